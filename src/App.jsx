@@ -4,8 +4,10 @@ import ErrorBoundary from './components/ErrorBoundary.jsx';
 import AppShell from './components/Layout/AppShell.jsx';
 import CharacterCreation from './components/CharacterSheet/CharacterCreation.jsx';
 import SettingsModal from './components/Settings/SettingsModal.jsx';
+import CloudConflictDialog from './components/Settings/CloudConflictDialog.jsx';
 import { loadAutoSave, listSaves, loadGame } from './state/persistence.js';
 import { loadGameFromCloud, listCloudSaves } from './state/cloudSync.js';
+import { findCloudLoadConflict, resolveCloudConflict } from './state/cloudConflicts.js';
 import { clearImageCache } from './llm/providers/imageGen.js';
 import './App.css';
 
@@ -18,6 +20,8 @@ function StartScreen() {
   const [loadError, setLoadError] = useState('');
   const [loading, setLoading] = useState(true);
   const [showSaves, setShowSaves] = useState(false);
+  const [cloudConflict, setCloudConflict] = useState(null);
+  const [isResolvingConflict, setIsResolvingConflict] = useState(false);
 
   useEffect(() => {
     async function checkSaves() {
@@ -78,6 +82,18 @@ function StartScreen() {
     }
     setLoadingSlot(slotId);
     try {
+      // The cloud copy changed on another device since this one saw it: the
+      // player picks a version before anything loads.
+      const conflict = await findCloudLoadConflict(state.user?.uid, {
+        slotId,
+        source: isCloud ? 'cloud' : 'local',
+        cloudSave: cloudSaves.find(s => s.slotId === slotId),
+        localSave: saves.find(s => s.slotId === slotId),
+      });
+      if (conflict) {
+        setCloudConflict(conflict);
+        return;
+      }
       const savedState = isCloud
         ? await loadGameFromCloud(state.user.uid, slotId)
         : await loadGame(slotId);
@@ -96,6 +112,23 @@ function StartScreen() {
     }
   };
 
+  const handleResolveConflict = async ({ keep, saveOtherAsNew }) => {
+    if (!cloudConflict || !state.user?.uid || isResolvingConflict) return;
+    setIsResolvingConflict(true);
+    try {
+      const result = await resolveCloudConflict(state.user.uid, cloudConflict, { keep, saveOtherAsNew });
+      setCloudConflict(null);
+      clearImageCache();
+      dispatch({ type: 'LOAD_GAME', payload: result.state });
+    } catch (e) {
+      console.error('Failed to resolve the cloud conflict', e);
+      setCloudConflict(null);
+      setLoadError(`Could not resolve the conflict: ${e?.message || 'details in the browser console.'}`);
+    } finally {
+      setIsResolvingConflict(false);
+    }
+  };
+
   const handleNewGame = () => {
     dispatch({ type: 'SET_UI', payload: { isCharacterCreationOpen: true } });
   };
@@ -215,6 +248,14 @@ function StartScreen() {
           </div>
         )}
       </div>
+      {cloudConflict && (
+        <CloudConflictDialog
+          conflict={cloudConflict}
+          isResolving={isResolvingConflict}
+          onResolve={handleResolveConflict}
+          onCancel={() => { if (!isResolvingConflict) setCloudConflict(null); }}
+        />
+      )}
     </div>
   );
 }
@@ -3,7 +3,7 @@ import { useGame } from '../../state/GameContext.jsx';
 import { createCharacter, createStartingInventory, STANDARD_ARRAY, ABILITY_NAMES, ABILITY_SHORT, SKILL_LABELS } from '../../engine/characterUtils.js';
 import { sanitizeCharacter, sanitizeInventory, parseCharacterExport, downloadCharacterExport } from '../../engine/characterVault.js';
 import { listRosterCharacters, saveRosterCharacter, deleteRosterCharacter } from '../../state/persistence.js';
-import { RACES, RACE_LIST } from '../../data/races.js';
+import { RACES, RACE_LIST, resolveRace } from '../../data/races.js';
 import { CLASSES, CLASS_LIST } from '../../data/classes.js';
 import { SKILL_ABILITIES, computeACFromInventory, getModifier, getProficiencyBonus, getSkillModifier } from '../../engine/rules.js';
 import { getAbilityGuidance } from '../../engine/abilityGuidance.js';
@@ -41,6 +41,7 @@ export default function CharacterCreation() {
     const [appearance, setAppearance] = useState('');
     const [background, setBackground] = useState('');
     const [race, setRace] = useState('');
+    const [subrace, setSubrace] = useState('');
     const [charClass, setCharClass] = useState('');
     const [fightingStyle, setFightingStyle] = useState('defense');
     const [statAssignment, setStatAssignment] = useState({});
@@ -65,7 +66,7 @@ export default function CharacterCreation() {
         setPortraitProvider('');
         setPortraitPromptUsed('');
         setPortraitError('');
-    }, [name, gender, appearance, race, charClass]);
+    }, [name, gender, appearance, race, subrace, charClass]);
 
     useEffect(() => {
         listRosterCharacters().then(setRoster).catch(() => setRoster([]));
@@ -107,7 +108,8 @@ export default function CharacterCreation() {
 
     // Skills logic
     const classData = charClass ? CLASSES[charClass] : null;
-    const raceData = race ? RACES[race] : null;
+    // Race merged with the chosen subrace: bonuses, skills and name as the engine sees them.
+    const raceData = race ? resolveRace(race, subrace || null) : null;
     const racialSkills = raceData?.skillProficiencies || [];
     const availableSkillChoices = classData?.skillChoices || [];
     const numChoices = classData?.numSkillChoices || 2;
@@ -122,6 +124,12 @@ export default function CharacterCreation() {
         });
     };
 
+    // A race with subraces starts on its first one, so the pick is never blank.
+    const handleRaceSelect = (r) => {
+        setRace(r);
+        setSubrace(Object.keys(RACES[r].subraces || {})[0] || '');
+    };
+
     // Reset skills when class changes
     const handleClassSelect = (c) => {
         setCharClass(c);
@@ -150,13 +158,13 @@ export default function CharacterCreation() {
         // adventure changes a dep, and a recompute would re-run the crypto gold
         // roll. Same identity inputs → the SAME built character all the way to
         // handleCreate; an identity edit mints a fresh one (and its fresh roll).
-        const key = JSON.stringify([name, race, charClass, abilityScores, chosenSkills, fightingStyle, expertiseSkills, gender, appearance, background]);
+        const key = JSON.stringify([name, race, subrace, charClass, abilityScores, chosenSkills, fightingStyle, expertiseSkills, gender, appearance, background]);
         if (previewCacheRef.current.key !== key) {
-            const character = createCharacter(name, race, charClass, abilityScores, chosenSkills, { fightingStyle, expertiseSkills, gender, appearance, background });
+            const character = createCharacter(name, race, charClass, abilityScores, chosenSkills, { subrace, fightingStyle, expertiseSkills, gender, appearance, background });
             previewCacheRef.current = { key, value: { character, inventory: createStartingInventory(charClass) } };
         }
         return previewCacheRef.current.value;
-    }, [revealReady, currentStepName, name, race, charClass, statAssignment, chosenSkills, fightingStyle, expertiseSkills, gender, appearance, background]);
+    }, [revealReady, currentStepName, name, race, subrace, charClass, statAssignment, chosenSkills, fightingStyle, expertiseSkills, gender, appearance, background]);
 
     const imageKeyAvailable = !!(state.settings?.imageApiKey || getMachineryGeminiKey(state.settings));
 
@@ -195,6 +203,10 @@ export default function CharacterCreation() {
                 name: sessionName,
                 premise: trimmedPremise || undefined,
                 openingScenePending: !!trimmedPremise,
+                // Pinned per campaign: changing the preset later does not
+                // switch hunger and exhaustion on or off mid-story.
+                survivalRules: state.settings?.preset === 'grimdark',
+                multiclassing: true,
                 createdAt: Date.now(),
                 lastPlayedAt: Date.now(),
             },
@@ -205,7 +217,7 @@ export default function CharacterCreation() {
         // to the classic "send a message to begin" prompt.
         const openingContent = trimmedPremise
             ? `**Your tale begins.**\n\n${trimmedPremise}`
-            : `**${character.name}** the **${RACES[character.race]?.name} ${CLASSES[character.class]?.name}** has entered the world. Send a message to begin your adventure!`;
+            : `**${character.name}** the **${resolveRace(character.race, character.subrace)?.name} ${CLASSES[character.class]?.name}** has entered the world. Send a message to begin your adventure!`;
         dispatch({
             type: 'ADD_MESSAGE',
             payload: { role: 'system', content: openingContent },
@@ -232,7 +244,7 @@ export default function CharacterCreation() {
             abilityScores[ability] = statAssignment[ability];
         }
 
-        const character = createCharacter(name, race, charClass, abilityScores, chosenSkills, { fightingStyle, expertiseSkills, gender, appearance, background });
+        const character = createCharacter(name, race, charClass, abilityScores, chosenSkills, { subrace, fightingStyle, expertiseSkills, gender, appearance, background });
         if (portraitUrl) {
             character.portraitUrl = portraitUrl;
             character.portraitPrompt = portraitPromptUsed;
@@ -330,7 +342,7 @@ export default function CharacterCreation() {
                                 <button className="roster-entry-main" onClick={() => setSelectedHeroId(entry.id)}>
                                     <span className="roster-entry-name">{entry.name}</span>
                                     <span className="roster-entry-meta">
-                                        Lv.{entry.level} {RACES[entry.race]?.name || entry.race} {CLASSES[entry.class]?.name || entry.class}
+                                        Lv.{entry.level} {resolveRace(entry.race, entry.subrace)?.name || entry.race} {CLASSES[entry.class]?.name || entry.class}
                                         {' · saved '}{new Date(entry.savedAt).toLocaleDateString()}
                                     </span>
                                 </button>
@@ -460,7 +472,7 @@ export default function CharacterCreation() {
                                     <button
                                         key={r}
                                         className={`creation-card ${race === r ? 'selected' : ''}`}
-                                        onClick={() => setRace(r)}
+                                        onClick={() => handleRaceSelect(r)}
                                     >
                                         <div className="card-name">{RACES[r].name}</div>
                                         <div className="card-desc">{RACES[r].description}</div>
@@ -477,6 +489,33 @@ export default function CharacterCreation() {
                                     </button>
                                 ))}
                             </div>
+                            {RACES[race]?.subraces && (
+                                <>
+                                    <h3>Choose your heritage</h3>
+                                    <div className="creation-grid">
+                                        {Object.entries(RACES[race].subraces).map(([key, sub]) => (
+                                            <button
+                                                key={key}
+                                                className={`creation-card ${subrace === key ? 'selected' : ''}`}
+                                                onClick={() => setSubrace(key)}
+                                            >
+                                                <div className="card-name">{sub.name}</div>
+                                                <div className="card-desc">{sub.description}</div>
+                                                {sub.abilityBonuses && (
+                                                    <div className="card-bonus">
+                                                        {Object.entries(sub.abilityBonuses).map(([a, b]) =>
+                                                            `${ABILITY_SHORT[a]} +${b}`
+                                                        ).join(', ')}
+                                                    </div>
+                                                )}
+                                                {sub.traits?.length > 0 && (
+                                                    <div className="card-bonus">{sub.traits.join(', ')}</div>
+                                                )}
+                                            </button>
+                                        ))}
+                                    </div>
+                                </>
+                            )}
                         </div>
                     )}
 
@@ -694,7 +733,7 @@ export default function CharacterCreation() {
                                 <div className="reveal-identity">
                                     <div className="reveal-meta">
                                         {gender.trim() && <>{gender.trim()} · </>}
-                                        {RACES[race]?.name} {CLASSES[charClass]?.name} · Level 1
+                                        {raceData?.name} {CLASSES[charClass]?.name} · Level 1
                                         {charClass === 'fighter' && <> · {CLASSES.fighter.fightingStyles[fightingStyle]?.label}</>}
                                     </div>
                                     <div className="reveal-chips">
@@ -7,11 +7,13 @@
  * character screen, with first-class color-coded skills.
  */
 import { createPortal } from 'react-dom';
-import { formatModifier, getAllSkills, getModifier, getProficiencyBonus, getSavingThrowModifier } from '../../engine/rules.js';
-import { ABILITY_NAMES, ABILITY_SHORT, SKILL_LABELS } from '../../engine/characterUtils.js';
+import { formatModifier, getAllSkills, getEncumbrance, getFeats, getHeroSpeed, getInitiativeModifier, getModifier, getProficiencyBonus, getSavingThrowModifier, isMulticlassed } from '../../engine/rules.js';
+import { ABILITY_NAMES, ABILITY_SHORT, SKILL_LABELS, getResourceDefinitions } from '../../engine/characterUtils.js';
 import { getExperienceThreshold, isMaxLevel } from '../../engine/progression.js';
-import { getKnownSpells, getSpellAttackBonus, getSpellSaveDC, isSpellcaster } from '../../engine/spellcasting.js';
-import { RACES } from '../../data/races.js';
+import { getInnateSpells, getKnownSpells, getSpellAttackBonus, getSpellSaveDC, isCharacterSpellcaster } from '../../engine/spellcasting.js';
+import { describeClassLevels, getHitDicePools } from '../../engine/multiclass.js';
+import { describeActiveEffects, describeRoundsLeft } from '../../engine/activeEffects.js';
+import { resolveRace } from '../../data/races.js';
 import { CLASSES } from '../../data/classes.js';
 import { formatCurrency } from '../../engine/currency.js';
 import './CharacterScreen.css';
@@ -19,7 +21,7 @@ import './CharacterScreen.css';
 export default function CharacterScreen({ character, inventory = [], isOpen, onClose }) {
     if (!isOpen || !character) return null;
 
-    const race = RACES[character.race];
+    const race = resolveRace(character.race, character.subrace);
     const charClass = CLASSES[character.class];
     const hpPercent = Math.max(0, Math.min(100, Math.round((character.currentHP / character.maxHP) * 100)));
     const exp = character.exp || 0;
@@ -32,12 +34,20 @@ export default function CharacterScreen({ character, inventory = [], isOpen, onC
         (SKILL_LABELS[a.skill] || a.skill).localeCompare(SKILL_LABELS[b.skill] || b.skill));
     const equipped = inventory.filter(item => item.equipped && item.name);
     const carried = inventory.filter(item => !item.equipped && item.name);
+    const load = getEncumbrance(character, inventory);
+    const speed = getHeroSpeed(character, inventory);
+    const feats = getFeats(character);
+    const resourceDefs = getResourceDefinitions(character);
     const resources = Object.entries(character.classResources || {})
-        .filter(([key]) => charClass?.resources?.[key])
-        .map(([key, res]) => ({ key, label: charClass.resources[key].label, ...res }));
-    const caster = isSpellcaster(character.class);
+        .filter(([key]) => resourceDefs[key])
+        .map(([key, res]) => ({ key, label: resourceDefs[key].label, ...res }));
+    // A non-caster with racial magic (Tiefling) still gets the section, with the
+    // DC and attack of their innate spellcasting ability.
+    const innateSpell = isCharacterSpellcaster(character) ? null : getInnateSpells(character)[0]?.spell || null;
+    const caster = isCharacterSpellcaster(character) || !!innateSpell;
     const knownSpells = caster ? getKnownSpells(character) : [];
     const hitDice = character.hitDice || { total: character.level, remaining: character.level, die: charClass?.hitDie || 8 };
+    const hitDicePools = getHitDicePools(hitDice);
     const wealthCp = (character.gold || 0) * 100 + (character.silver || 0) * 10 + (character.copper || 0);
 
     // Portal to <body>: the compact sheet lives inside the mobile drawer, whose
@@ -59,7 +69,7 @@ export default function CharacterScreen({ character, inventory = [], isOpen, onC
                         <div className="char-hero-id">
                             <h2 className="char-hero-name">{character.name}</h2>
                             <div className="char-hero-sub">
-                                {race?.name || character.race} {charClass?.name || character.class} · Level {character.level}
+                                {race?.name || character.race} {isMulticlassed(character) ? describeClassLevels(character) : charClass?.name || character.class} · Level {character.level}
                             </div>
                             <div className="char-hero-bars">
                                 <div className="char-bar">
@@ -84,10 +94,10 @@ export default function CharacterScreen({ character, inventory = [], isOpen, onC
                     {/* Derived chips */}
                     <div className="char-chips">
                         <div className="char-chip"><span className="char-chip-value">{character.armorClass}</span><span className="char-chip-label">AC</span></div>
-                        <div className="char-chip"><span className="char-chip-value">{formatModifier(getModifier(character.abilityScores.dexterity))}</span><span className="char-chip-label">Initiative</span></div>
+                        <div className="char-chip"><span className="char-chip-value">{formatModifier(getInitiativeModifier(character))}</span><span className="char-chip-label">Initiative</span></div>
                         <div className="char-chip"><span className="char-chip-value">{formatModifier(getProficiencyBonus(character.level))}</span><span className="char-chip-label">Proficiency</span></div>
-                        <div className="char-chip"><span className="char-chip-value">{character.speed}</span><span className="char-chip-label">Speed</span></div>
-                        <div className="char-chip"><span className="char-chip-value">{hitDice.remaining}/{hitDice.total}</span><span className="char-chip-label">Hit Dice d{hitDice.die}</span></div>
+                        <div className="char-chip"><span className="char-chip-value" title={speed < character.speed ? `${[load.speedPenalty > 0 && load.level, speed < load.speed && 'exhaustion'].filter(Boolean).join(', ')}: base ${character.speed} ft` : undefined}>{speed}</span><span className="char-chip-label">Speed</span></div>
+                        <div className="char-chip"><span className="char-chip-value">{hitDicePools.map(pool => `${pool.remaining}/${pool.total}`).join(' + ')}</span><span className="char-chip-label">Hit Dice {hitDicePools.map(pool => `d${pool.die}`).join(' + ')}</span></div>
                         <div className="char-chip"><span className="char-chip-value">{formatCurrency(wealthCp) || '0 cp'}</span><span className="char-chip-label">Wealth</span></div>
                     </div>
 
@@ -148,8 +158,8 @@ export default function CharacterScreen({ character, inventory = [], isOpen, onC
                             {caster && (
                                 <div className="char-section">
                                     <h3 className="char-section-title">Spellcasting</h3>
-                                    <div className="char-kv"><span>Spell save DC</span><span className="char-kv-value">{getSpellSaveDC(character)}</span></div>
-                                    <div className="char-kv"><span>Spell attack</span><span className="char-kv-value">{formatModifier(getSpellAttackBonus(character))}</span></div>
+                                    <div className="char-kv"><span>Spell save DC</span><span className="char-kv-value">{getSpellSaveDC(character, innateSpell)}</span></div>
+                                    <div className="char-kv"><span>Spell attack</span><span className="char-kv-value">{formatModifier(getSpellAttackBonus(character, innateSpell))}</span></div>
                                     {Object.entries(character.spellSlots || {}).map(([lvl, slot]) => (
                                         <div key={lvl} className="char-kv">
                                             <span>Level {lvl} slots</span>
@@ -157,7 +167,10 @@ export default function CharacterScreen({ character, inventory = [], isOpen, onC
                                         </div>
                                     ))}
                                     {character.sustainedSpell && (
-                                        <div className="char-sustained">Sustaining: {character.sustainedSpell.name || character.sustainedSpell.key}{character.sustainedSpell.targetName ? ` (on ${character.sustainedSpell.targetName})` : ''}</div>
+                                        <div className="char-sustained">Concentrating: {character.sustainedSpell.name || character.sustainedSpell.key}{character.sustainedSpell.targetName ? ` (on ${character.sustainedSpell.targetName})` : ''}, {describeRoundsLeft(character.sustainedSpell.remainingRounds)}</div>
+                                    )}
+                                    {character.activeEffects?.length > 0 && (
+                                        <div className="char-sustained">Effects: {describeActiveEffects(character.activeEffects)}</div>
                                     )}
                                     <div className="char-spell-names">
                                         {knownSpells.map(spell => (
@@ -178,6 +191,15 @@ export default function CharacterScreen({ character, inventory = [], isOpen, onC
                                 </div>
                             )}
 
+                            {feats.length > 0 && (
+                                <div className="char-section">
+                                    <h3 className="char-section-title">Feats</h3>
+                                    <ul className="char-list">
+                                        {feats.map(feat => <li key={feat.key}><strong>{feat.name}</strong> — {feat.summary}</li>)}
+                                    </ul>
+                                </div>
+                            )}
+
                             {character.traits?.length > 0 && (
                                 <div className="char-section">
                                     <h3 className="char-section-title">Traits</h3>
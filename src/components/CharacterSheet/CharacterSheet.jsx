@@ -1,15 +1,20 @@
 import { useEffect, useMemo, useState } from 'react';
 import { useGame } from '../../state/GameContext.jsx';
-import { getModifier, formatModifier, getProficiencyBonus, getAllSkills } from '../../engine/rules.js';
-import { ABILITY_NAMES, ABILITY_SHORT, SKILL_LABELS } from '../../engine/characterUtils.js';
+import { getModifier, formatModifier, getProficiencyBonus, hasClass, isMulticlassed, getAllSkills, getEncumbrance, getHeroSpeed, getExhaustionLevel, describeExhaustion, EXHAUSTION_MAX, getHeroMaxHP, getFeats, getInitiativeModifier } from '../../engine/rules.js';
+import { foodGraceDays, isSurvivalEnabled, waterCapacity, waterCarried } from '../../engine/survival.js';
+import { countProvisions } from '../../engine/travel.js';
+import { ABILITY_NAMES, ABILITY_SHORT, SKILL_LABELS, canTakeFeat, getClassResourceReset, getResourceDefinitions, getResourceLevel } from '../../engine/characterUtils.js';
 import { downloadCharacterExport } from '../../engine/characterVault.js';
 import { saveRosterCharacter } from '../../state/persistence.js';
-import { getExperienceThreshold, isMaxLevel } from '../../engine/progression.js';
+import { getExperienceThreshold, getPendingLevelUps, isMaxLevel } from '../../engine/progression.js';
+import { describeClassLevels, describeMulticlassProficiencies, getHitDicePools, getLevelUpOptions } from '../../engine/multiclass.js';
 import { generatePortraitImage } from '../../llm/providers/imageGen.js';
 import { getMachineryGeminiKey } from '../../llm/machinery.js';
-import { RACES } from '../../data/races.js';
+import { resolveRace } from '../../data/races.js';
 import { CLASSES } from '../../data/classes.js';
-import { getKnownSpells, getSpellAttackBonus, getSpellSaveDC, isSpellcaster } from '../../engine/spellcasting.js';
+import { FEATS } from '../../data/feats.js';
+import { getInnateSpells, getKnownSpells, getSpellAttackBonus, getSpellSaveDC, isCharacterSpellcaster } from '../../engine/spellcasting.js';
+import { describeActiveEffects, describeRoundsLeft } from '../../engine/activeEffects.js';
 import CharacterScreen from './CharacterScreen.jsx';
 import { buildPortraitPrompt } from './portraitPrompt.js';
 import './CharacterSheet.css';
@@ -25,6 +30,8 @@ export default function CharacterSheet() {
     const [isGeneratingPortrait, setIsGeneratingPortrait] = useState(false);
     const [portraitError, setPortraitError] = useState('');
     const [asiDraft, setAsiDraft] = useState({});
+    const [featDraft, setFeatDraft] = useState('');
+    const [levelUpDraft, setLevelUpDraft] = useState({});
     const characterId = character?.id;
     const characterAppearance = character?.appearance || '';
 
@@ -34,8 +41,13 @@ export default function CharacterSheet() {
 
     useEffect(() => {
         setAsiDraft({});
+        setFeatDraft('');
     }, [characterId, character?.pendingAbilityScoreImprovements]);
 
+    useEffect(() => {
+        setLevelUpDraft({});
+    }, [characterId, character?.pendingLevelUps]);
+
     const equippedItems = useMemo(() => (state.inventory || [])
         .filter(i => i.equipped && i.name)
         .map(i => i.name), [state.inventory]);
@@ -44,9 +56,14 @@ export default function CharacterSheet() {
 
     if (!character) return null;
 
-    const race = RACES[character.race];
+    const race = resolveRace(character.race, character.subrace);
     const charClass = CLASSES[character.class];
     const hpPercent = Math.round((character.currentHP / character.maxHP) * 100);
+    const load = getEncumbrance(character, state.inventory);
+    const speed = getHeroSpeed(character, state.inventory);
+    const feats = getFeats(character);
+    const survivalOn = isSurvivalEnabled(state);
+    const exhaustion = getExhaustionLevel(character);
 
     const exp = character.exp || 0;
     const maxLevel = isMaxLevel(character.level);
@@ -67,15 +84,16 @@ export default function CharacterSheet() {
         skillsByAbility[s.ability].push(s);
     }
 
-    // Class resources
+    // Class resources (and racial ones: Breath Weapon, Relentless Endurance)
     const classResources = character.classResources || {};
-    const resourceDefs = charClass?.resources || {};
+    const resourceDefs = getResourceDefinitions(character);
     const activeResources = Object.entries(resourceDefs).filter(
-        ([key, def]) => character.level >= (def.minLevel || 1) && classResources[key]
+        ([key, def]) => getResourceLevel(character, key) >= (def.minLevel || 1) && classResources[key]
     );
 
-    // Spellcasting (wizard/cleric)
-    const caster = isSpellcaster(character.class);
+    // Spellcasting (class casters, plus racial innate magic on anyone)
+    const innateSpell = isCharacterSpellcaster(character) ? null : getInnateSpells(character)[0]?.spell || null;
+    const caster = isCharacterSpellcaster(character) || !!innateSpell;
     const spellSlots = caster ? (character.spellSlots || {}) : {};
     const knownSpells = caster ? getKnownSpells(character) : [];
     const spellsByLevel = knownSpells.reduce((acc, spell) => {
@@ -85,6 +103,7 @@ export default function CharacterSheet() {
 
     // Hit dice
     const hitDice = character.hitDice || { total: character.level, remaining: character.level, die: charClass?.hitDie || 8 };
+    const hitDicePools = getHitDicePools(hitDice);
     const currentCombatant = state.combat?.turnOrder?.[state.combat?.currentTurn];
     const isPlayerCombatTurn = !!state.combat?.active && currentCombatant?.type === 'player';
     const bonusActionUsed = !!state.combat?.active && !!state.combat?.bonusActionUsed;
@@ -92,6 +111,10 @@ export default function CharacterSheet() {
     const pendingAsi = character.pendingAbilityScoreImprovements || 0;
     const asiUsed = Object.values(asiDraft).reduce((sum, value) => sum + value, 0);
     const asiRemaining = Math.max(0, 2 - asiUsed);
+    const pendingLevels = getPendingLevelUps(character);
+    const levelUpOptions = pendingLevels > 0 ? getLevelUpOptions(character) : [];
+    const chosenLevelUp = levelUpOptions.find(option => option.className === levelUpDraft.className && option.ok) || null;
+    const needsLevelUpSkill = !!chosenLevelUp?.skillChoices.length;
 
     const handleSaveToRoster = async () => {
         try {
@@ -178,6 +201,18 @@ export default function CharacterSheet() {
         setAsiDraft({});
     };
 
+    const handleTakeFeat = () => {
+        if (!featDraft) return;
+        dispatch({ type: 'APPLY_ABILITY_SCORE_IMPROVEMENT', payload: { feat: featDraft } });
+        setFeatDraft('');
+    };
+
+    const handleApplyLevelUp = () => {
+        if (!chosenLevelUp || (needsLevelUpSkill && !levelUpDraft.skill)) return;
+        dispatch({ type: 'APPLY_LEVEL_UP', payload: levelUpDraft });
+        setLevelUpDraft({});
+    };
+
     return (
         <div className="character-sheet">
             <div className="cs-header-row">
@@ -186,6 +221,7 @@ export default function CharacterSheet() {
                     onClick={() => setIsExpanded(!isExpanded)}
                 >
                     <span className="cs-dropdown-title">Character Profile</span>
+                    {pendingLevels > 0 && <span className="cs-dropdown-badge">Level Up</span>}
                     {pendingAsi > 0 && <span className="cs-dropdown-badge">ASI</span>}
                     <span className="cs-dropdown-icon">{isExpanded ? '▲' : '▼'}</span>
                 </button>
@@ -216,7 +252,7 @@ export default function CharacterSheet() {
                         )}
                         <h2 className="cs-name">{character.name}</h2>
                         <div className="cs-subtitle">
-                            {race?.name || character.race} {charClass?.name || character.class} · Level {character.level}
+                            {race?.name || character.race} {isMulticlassed(character) ? describeClassLevels(character) : charClass?.name || character.class} · Level {character.level}
                         </div>
                     </div>
 
@@ -254,17 +290,47 @@ export default function CharacterSheet() {
                         </div>
                     )}
 
+                    {(survivalOn || exhaustion > 0) && (
+                        <div className="cs-survival">
+                            <div className="cs-survival-row">
+                                <span className="cs-survival-label">Exhaustion</span>
+                                <span className="cs-exhaustion-pips" aria-label={`Exhaustion ${exhaustion} of ${EXHAUSTION_MAX}`}>
+                                    {Array.from({ length: EXHAUSTION_MAX }, (_, i) => (
+                                        <span key={i} className={`cs-exhaustion-pip ${i < exhaustion ? 'filled' : ''}`} />
+                                    ))}
+                                </span>
+                                <span className="cs-survival-value">{exhaustion}/{EXHAUSTION_MAX}</span>
+                            </div>
+                            {exhaustion > 0 && (
+                                <div className="cs-survival-effects">
+                                    {describeExhaustion(exhaustion).join(' · ')}
+                                    {exhaustion >= 4 && ` (max ${getHeroMaxHP(character)} HP)`}
+                                </div>
+                            )}
+                            {survivalOn && (
+                                <div className="cs-survival-row cs-survival-supplies">
+                                    <span title={`Past ${foodGraceDays(character)} days without food, each day costs a level`}>
+                                        Food: {countProvisions(state.inventory, 'rations')} rations{character.daysWithoutFood > 0 ? ` · ${character.daysWithoutFood} day${character.daysWithoutFood === 1 ? '' : 's'} hungry` : ''}
+                                    </span>
+                                    <span>
+                                        Water: {waterCapacity(state.inventory) > 0 ? `${waterCarried(character, state.inventory)}/${waterCapacity(state.inventory)} days` : 'no waterskin'}{character.daysWithoutWater > 0 ? ' · parched' : ''}
+                                    </span>
+                                </div>
+                            )}
+                        </div>
+                    )}
+
                     <div className="cs-combat-stats">
                         <div className="cs-combat-stat">
                             <div className="cs-stat-value">{character.armorClass}</div>
                             <div className="cs-stat-label">AC</div>
                         </div>
                         <div className="cs-combat-stat">
-                            <div className="cs-stat-value">{formatModifier(getModifier(character.abilityScores.dexterity))}</div>
+                            <div className="cs-stat-value">{formatModifier(getInitiativeModifier(character))}</div>
                             <div className="cs-stat-label">Initiative</div>
                         </div>
                         <div className="cs-combat-stat">
-                            <div className="cs-stat-value">{character.speed}</div>
+                            <div className="cs-stat-value" title={speed < character.speed ? `${[load.speedPenalty > 0 && load.level, speed < load.speed && 'exhaustion'].filter(Boolean).join(', ')}: base ${character.speed} ft` : undefined}>{speed}</div>
                             <div className="cs-stat-label">Speed</div>
                         </div>
                         <div className="cs-combat-stat">
@@ -287,6 +353,63 @@ export default function CharacterSheet() {
                         })}
                     </div>
 
+                    {pendingLevels > 0 && (
+                        <div className="cs-section cs-asi-section cs-level-up-section">
+                            <h4 className="cs-section-title">Level Up</h4>
+                            <div className="cs-level-up-options">
+                                {levelUpOptions.map(option => (
+                                    <button
+                                        key={option.className}
+                                        className={`cs-level-up-option ${levelUpDraft.className === option.className ? 'selected' : ''}`}
+                                        onClick={() => setLevelUpDraft({ className: option.className })}
+                                        disabled={!option.ok}
+                                        title={option.reason || (option.isNew ? `Grants ${describeMulticlassProficiencies(option.className)}` : `Level ${option.nextLevel} ${option.name}`)}
+                                    >
+                                        <span className="cs-level-up-name">{option.name} {option.nextLevel}</span>
+                                        <span className="cs-level-up-meta">d{option.hitDie}{option.isNew ? ' · new class' : ''}</span>
+                                    </button>
+                                ))}
+                            </div>
+                            {chosenLevelUp?.isNew && (
+                                <div className="cs-level-up-note">Grants {describeMulticlassProficiencies(chosenLevelUp.className)}.</div>
+                            )}
+                            {needsLevelUpSkill && (
+                                <select
+                                    className="cs-level-up-select"
+                                    value={levelUpDraft.skill || ''}
+                                    onChange={(e) => setLevelUpDraft(prev => ({ ...prev, skill: e.target.value }))}
+                                >
+                                    <option value="">Choose a skill…</option>
+                                    {chosenLevelUp.skillChoices.map(skill => (
+                                        <option key={skill} value={skill}>{SKILL_LABELS[skill] || skill}</option>
+                                    ))}
+                                </select>
+                            )}
+                            {chosenLevelUp?.className === 'fighter' && !hasClass(character, 'fighter') && (
+                                <select
+                                    className="cs-level-up-select"
+                                    value={levelUpDraft.fightingStyle || ''}
+                                    onChange={(e) => setLevelUpDraft(prev => ({ ...prev, fightingStyle: e.target.value || undefined }))}
+                                >
+                                    <option value="">Fighting style (default)</option>
+                                    {Object.entries(CLASSES.fighter.fightingStyles).map(([key, style]) => (
+                                        <option key={key} value={key}>{style.label}</option>
+                                    ))}
+                                </select>
+                            )}
+                            <div className="cs-asi-footer">
+                                <span>{pendingLevels} level{pendingLevels > 1 ? 's' : ''} to assign</span>
+                                <button
+                                    className="btn btn-secondary btn-sm"
+                                    onClick={handleApplyLevelUp}
+                                    disabled={!chosenLevelUp || (needsLevelUpSkill && !levelUpDraft.skill)}
+                                >
+                                    Gain Level
+                                </button>
+                            </div>
+                        </div>
+                    )}
+
                     {pendingAsi > 0 && (
                         <div className="cs-section cs-asi-section">
                             <h4 className="cs-section-title">Ability Score Improvement</h4>
@@ -332,6 +455,28 @@ export default function CharacterSheet() {
                                     Apply
                                 </button>
                             </div>
+                            <select
+                                className="cs-level-up-select"
+                                value={featDraft}
+                                onChange={(e) => setFeatDraft(e.target.value)}
+                            >
+                                <option value="">Or take a feat instead…</option>
+                                {Object.entries(FEATS).map(([key, feat]) => {
+                                    const check = canTakeFeat(character, key);
+                                    return (
+                                        <option key={key} value={key} disabled={!check.ok} title={check.reason || feat.summary}>{feat.name}</option>
+                                    );
+                                })}
+                            </select>
+                            {featDraft && <div className="cs-level-up-note">{FEATS[featDraft].summary}</div>}
+                            {featDraft && (
+                                <div className="cs-asi-footer">
+                                    <span>Spends one improvement</span>
+                                    <button className="btn btn-secondary btn-sm" onClick={handleTakeFeat}>
+                                        Take Feat
+                                    </button>
+                                </div>
+                            )}
                         </div>
                     )}
 
@@ -385,11 +530,14 @@ export default function CharacterSheet() {
                                                 {isBonusAction && <span className="cs-resource-tag">Bonus</span>}
                                             </span>
                                             <span className="cs-resource-pips">
-                                                {Array.from({ length: res.max }, (_, i) => (
-                                                    <span key={i} className={`cs-pip ${i < available ? 'available' : 'spent'}`} />
-                                                ))}
+                                                {/* A pool (Lay on Hands, 5 HP per level) would be a wall of pips. */}
+                                                {def.pool
+                                                    ? `${available}/${res.max} HP`
+                                                    : Array.from({ length: res.max }, (_, i) => (
+                                                        <span key={i} className={`cs-pip ${i < available ? 'available' : 'spent'}`} />
+                                                    ))}
                                             </span>
-                                            <span className="cs-resource-reset">{def.resetOn} rest</span>
+                                            <span className="cs-resource-reset">{getClassResourceReset(def, getResourceLevel(character, key))} rest</span>
                                             {def.passive ? (
                                                 /* Automatic feature (Arcane Recovery): TAKE_REST applies it. A
                                                    generic Use button here consumed the charge with no effect. */
@@ -415,8 +563,8 @@ export default function CharacterSheet() {
                                     </div>
                                 )}
                                 <div className="cs-resource-row">
-                                    <span className="cs-resource-name">Hit Dice (d{hitDice.die})</span>
-                                    <span className="cs-resource-count">{hitDice.remaining}/{hitDice.total}</span>
+                                    <span className="cs-resource-name">Hit Dice ({hitDicePools.map(pool => `d${pool.die}`).join(' + ')})</span>
+                                    <span className="cs-resource-count">{hitDicePools.map(pool => `${pool.remaining}/${pool.total}`).join(' + ')}</span>
                                     <span className="cs-resource-reset">short rest</span>
                                 </div>
                                 <div className="cs-rest-actions" aria-label="Rest actions">
@@ -447,9 +595,12 @@ export default function CharacterSheet() {
                             <h4 className="cs-section-title">Spellcasting</h4>
                             <div className="cs-resources">
                                 <div className="cs-spell-meta">
-                                    Save DC {getSpellSaveDC(character)} · Spell attack {formatModifier(getSpellAttackBonus(character))}
+                                    Save DC {getSpellSaveDC(character, innateSpell)} · Spell attack {formatModifier(getSpellAttackBonus(character, innateSpell))}
                                     {character.sustainedSpell && (
-                                        <span className="cs-sustained"> · Sustaining: {character.sustainedSpell.name || character.sustainedSpell.key}{character.sustainedSpell.targetName ? ` (on ${character.sustainedSpell.targetName})` : ''}</span>
+                                        <span className="cs-sustained"> · Concentrating: {character.sustainedSpell.name || character.sustainedSpell.key}{character.sustainedSpell.targetName ? ` (on ${character.sustainedSpell.targetName})` : ''}, {describeRoundsLeft(character.sustainedSpell.remainingRounds)}</span>
+                                    )}
+                                    {character.activeEffects?.length > 0 && (
+                                        <span className="cs-sustained"> · Effects: {describeActiveEffects(character.activeEffects)}</span>
                                     )}
                                 </div>
                                 {Object.entries(spellSlots).map(([lvl, slot]) => (
@@ -527,15 +678,26 @@ export default function CharacterSheet() {
                         </div>
                     )}
 
+                    {feats.length > 0 && (
+                        <div className="cs-section">
+                            <h4 className="cs-section-title">Feats</h4>
+                            <ul className="cs-list">
+                                {feats.map(feat => (
+                                    <li key={feat.key} title={feat.summary}>{feat.name}</li>
+                                ))}
+                            </ul>
+                        </div>
+                    )}
+
                     {character.features?.length > 0 && (
                         <div className="cs-section">
                             <h4 className="cs-section-title">Features</h4>
                             <ul className="cs-list">
                                 {character.features.map((feature, i) => (
                                     <li key={i}>
-                                        {feature === 'Fighting Style' && character.class === 'fighter' && character.fightingStyle
+                                        {feature === 'Fighting Style' && hasClass(character, 'fighter') && character.fightingStyle
                                             ? `Fighting Style: ${CLASSES.fighter.fightingStyles[character.fightingStyle]?.label || character.fightingStyle}`
-                                            : feature === 'Martial Archetype' && character.class === 'fighter' && character.martialArchetype
+                                            : feature === 'Martial Archetype' && hasClass(character, 'fighter') && character.martialArchetype
                                                 ? `Martial Archetype: ${CLASSES.fighter.martialArchetypes[character.martialArchetype]?.label || character.martialArchetype}`
                                                 : feature}
                                     </li>
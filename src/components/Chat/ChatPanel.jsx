@@ -8,7 +8,8 @@ import { reconcileDeclaredSpells } from '../../engine/declaredSpells.js';
 import { buildKnownAppearances, buildKnownLocations, buildKnownStances, runScribe } from '../../llm/scribe.js';
 import { isTableTalkMessage } from '../../llm/tableTalk.js';
 import { addMemory, seedMemories } from '../../engine/vectorMemory.js';
-import { getMachineryGeminiKey, isMachineryReady } from '../../llm/machinery.js';
+import { getDmConfig, isDmReady, isMachineryReady } from '../../llm/machinery.js';
+import { getEmbedder } from '../../llm/embeddings.js';
 import { generateCampaignFronts, shouldGenerateCampaignFronts } from '../../llm/frontDirector.js';
 import { generateFrontAftermath, shouldGenerateFrontAftermath } from '../../llm/frontAftermath.js';
 import { generateAbsenceDrift, shouldGenerateAbsenceDrift } from '../../llm/absenceDrift.js';
@@ -99,6 +100,7 @@ export default function ChatPanel() {
     const [combatNarrationRetry, setCombatNarrationRetry] = useState(0);
     const [roleplayChallenge, setRoleplayChallenge] = useState('');
     const [showRoleplayChallenge, setShowRoleplayChallenge] = useState(false);
+    const [turnHistory, setTurnHistory] = useState({ undoCount: 0, redoCount: 0, lastPlayerMessage: '' });
     const messagesContainerRef = useRef(null);
     const stickToBottomRef = useRef(true); // Follow new content only while the reader is at the bottom
     const [showJumpToLatest, setShowJumpToLatest] = useState(false);
@@ -107,8 +109,8 @@ export default function ChatPanel() {
     const hasPrimedRef = useRef(false); // True while an opening-scene attempt is in flight (reset on failure so it can retry)
     const [primingRetryToken, setPrimingRetryToken] = useState(0); // Bumped after a failed attempt to re-arm the priming effect
     const primingAttemptsRef = useRef(0); // Bounded so a persistently failing key can't loop the opening call
-    const primingKeyRef = useRef(undefined); // Last apiKey seen by the priming effect; a change resets the attempt budget
-    const memorySeededRef = useRef(false); // Ensure RAG seeding only fires once per mount
+    const primingKeyRef = useRef(undefined); // Last DM key/model seen by the priming effect; a change resets the attempt budget
+    const memorySeededRef = useRef(null); // Embedding space the RAG store was seeded in this mount — one seed per space
     const pendingStreamTextRef = useRef(''); // Latest fence-frozen display text from the turn runner
     const narratedCueIdsRef = useRef(new Set()); // Mechanic system messages already given an LLM flavor beat
     const narratedCombatExchangeIdsRef = useRef(new Set()); // Prevent duplicate narration calls for one mechanics commit
@@ -182,6 +184,7 @@ export default function ChatPanel() {
                 setRoleplayChallenge('');
                 setShowRoleplayChallenge(false);
             },
+            onTurnHistoryChange: setTurnHistory,
         });
     }
     const runner = runnerRef.current;
@@ -242,8 +245,10 @@ export default function ChatPanel() {
      */
     useEffect(() => {
         const s = stateRef.current;
-        if (primingKeyRef.current !== s.settings?.apiKey) {
-            primingKeyRef.current = s.settings?.apiKey;
+        const dmConfig = getDmConfig(s.settings);
+        const primingKey = `${dmConfig.apiKey}|${dmConfig.model}`;
+        if (primingKeyRef.current !== primingKey) {
+            primingKeyRef.current = primingKey;
             primingAttemptsRef.current = 0; // a new key is a fresh chance
         }
         if (!shouldPrimeCampaignOpening(s) || hasPrimedRef.current) return;
@@ -292,7 +297,7 @@ export default function ChatPanel() {
                 clearStreamingDisplay();
             });
     // eslint-disable-next-line react-hooks/exhaustive-deps
-    }, [primingRetryToken, state.settings?.apiKey]);
+    }, [primingRetryToken, state.settings?.llmProvider, state.settings?.apiKey, state.settings?.model]);
 
     /**
      * All living-world background directors, one table-driven effect (see
@@ -325,7 +330,9 @@ export default function ChatPanel() {
         state.session?.pendingFrontAftermath?.frontId,
         state.session?.pendingAbsenceDrift?.key,
         state.session?.pendingRegionalFronts?.key,
+        state.settings.llmProvider,
         state.settings.apiKey,
+        state.settings.model,
         state.messages.length,
         state.combat?.active,
         dispatch,
@@ -337,10 +344,10 @@ export default function ChatPanel() {
      */
     useEffect(() => {
         const s = stateRef.current;
-        const machineryKey = getMachineryGeminiKey(s.settings);
-        if (!machineryKey || memorySeededRef.current) return;
+        const embedder = getEmbedder(s.settings);
+        if (memorySeededRef.current === embedder.space) return;
 
-        memorySeededRef.current = true; // Prevent concurrent attempts
+        memorySeededRef.current = embedder.space; // Prevent concurrent attempts
 
         const items = [
             // Secret facts/cards keep their knower boundary inside the embedded
@@ -367,20 +374,27 @@ export default function ChatPanel() {
         // re-embeds only what's missing — no wipe, no cross-campaign leakage, and a
         // page reload no longer re-embeds the whole corpus. One mount = one campaign
         // (AppShell is keyed by session id), so mount-time seeding is sound.
-        seedMemories(machineryKey, items, s.session?.id || null)
+        seedMemories(embedder, items, s.session?.id || null)
+            .then(() => {
+                // Record which embedding space this campaign's memory now lives in.
+                if (s.session?.id && s.session.embeddingSpace !== embedder.space) {
+                    dispatch({ type: 'UPDATE_SESSION', payload: { embeddingSpace: embedder.space } });
+                }
+            })
             .catch((e) => {
                 console.error('[RAG] Memory seeding failed — will retry next mount:', e);
-                memorySeededRef.current = false; // Allow retry on next mount
+                memorySeededRef.current = null; // Allow retry on next mount
             });
-        // Re-runs when the machinery key first appears (a key entered in
-        // Settings after mount previously left the session unseeded AND its
-        // live embeds unpersisted for the whole session — 2026-08-06 audit);
-        // memorySeededRef keeps this one-shot once a seed succeeds.
-    }, [!!getMachineryGeminiKey(state.settings)]); // eslint-disable-line react-hooks/exhaustive-deps
+        // Re-runs whenever the embedding space changes (a Gemini key entered
+        // after mount previously left the session unseeded AND its live embeds
+        // unpersisted for the whole session — 2026-08-06 audit; switching
+        // embedding providers re-embeds the campaign into the new space);
+        // memorySeededRef keeps this one-shot per space once a seed succeeds.
+    }, [getEmbedder(state.settings).space]); // eslint-disable-line react-hooks/exhaustive-deps
 
     useEffect(() => {
         const s = stateRef.current;
-        if (!s.settings.apiKey || isLoading) return;
+        if (!isDmReady(s.settings) || isLoading) return;
         const cueMessage = (s.messages || [])
             .findLast(m => m.role === 'system' && m.narrationCue && !narratedCueIdsRef.current.has(m.id));
         if (!cueMessage) return;
@@ -389,7 +403,13 @@ export default function ChatPanel() {
         const cue = cueMessage.narrationCue;
         const combatLine = s.combat?.active
             ? 'Combat is active; do not advance enemy turns, request rolls, or resolve any enemy actions.'
-            : 'Do not advance time or introduce a new challenge.';
+            : cue.actionType === 'downtime'
+                ? 'The days of downtime have already passed; do not advance time further or introduce a new challenge.'
+                : cue.actionType === 'journey'
+                    ? 'The days on the road have already passed; narrate the arrival, and do not advance time further or introduce a new challenge.'
+                    : cue.actionType === 'journey_encounter'
+                        ? 'The road has thrown up an encounter: open it and stop at the moment of contact, leaving the response to the player. Do not start combat, request rolls, or advance time.'
+                        : 'Do not advance time or introduce a new challenge.';
         const narrationRequest = [
             '[SYSTEM: The engine just resolved a player-triggered mechanic. Narrate only the felt fictional beat.',
             'Write one short paragraph maximum, usually one or two sentences.',
@@ -494,13 +514,12 @@ export default function ChatPanel() {
                     // Ordinary combat beats are transient and the engine snapshot, not prose,
                     // owns their truth. Persist only terminal combat narration to RAG so a
                     // model wording mistake cannot become a long-lived semantic memory.
-                    const machineryKey = getMachineryGeminiKey(latest.settings);
-                    if (['victory', 'defeat', 'escaped'].includes(result.terminal) && machineryKey) {
+                    if (['victory', 'defeat', 'escaped'].includes(result.terminal)) {
                         const loc = latest.currentLocation;
                         const narrativeText = loc
                             ? `[Location: ${loc}] ${narrative.slice(0, 500)}`
                             : narrative.slice(0, 500);
-                        addMemory(machineryKey, narrativeText, 'narrative', loc).catch(() => {});
+                        addMemory(getEmbedder(latest.settings), narrativeText, 'narrative', loc).catch(() => {});
                     }
                 }
                 runner.runAutoSummarize();
@@ -556,6 +575,19 @@ export default function ChatPanel() {
             return;
         }
 
+        setInput('');
+        // Reset textarea height to single line
+        if (inputRef.current) {
+            inputRef.current.style.height = 'auto';
+        }
+        await playTurn(trimmed);
+    };
+
+    /** One player turn, from the player's line to the final extraction. Shared by Send and Regenerate. */
+    const playTurn = async (trimmed) => {
+        // The undo point: everything below, the player's line included, rolls back together.
+        runner.beginTurn(trimmed);
+
         // Explicit OOC table talk ("OOC: ...", "DM, ...") is a question to the DM,
         // never a character action: it must not enter the combat-intent machine,
         // seed memory, or run the Scribe — the world is paused for one exchange.
@@ -565,23 +597,16 @@ export default function ChatPanel() {
             && stateRef.current.combat.phase === COMBAT_PHASES.AWAITING_PLAYER;
         if (startedCombatIntent) dispatch({ type: 'BEGIN_COMBAT_INTENT' });
 
-        setInput('');
-        // Reset textarea height to single line
-        if (inputRef.current) {
-            inputRef.current.style.height = 'auto';
-        }
-
         dispatch({
             type: 'ADD_MESSAGE',
             payload: { role: 'user', content: trimmed },
         });
-        const playerMachineryKey = getMachineryGeminiKey(stateRef.current.settings);
-        if (playerMachineryKey && !tableTalkTurn) {
+        if (!tableTalkTurn) {
             const loc = stateRef.current.currentLocation;
             const playerText = loc
                 ? `[Location: ${loc}] ${trimmed.slice(0, 500)}`
                 : trimmed.slice(0, 500);
-            addMemory(playerMachineryKey, playerText, 'player', loc).catch(() => {});
+            addMemory(getEmbedder(stateRef.current.settings), playerText, 'player', loc).catch(() => {});
         }
 
         setIsLoading(true);
@@ -698,6 +723,35 @@ export default function ChatPanel() {
         }
     };
 
+    // Undo restores the state captured before the last turn; Regenerate undoes
+    // it and plays the same line again once the restored state has rendered
+    // (the send flow reads stateRef, which only a render refreshes).
+    const regenerateRef = useRef(null);
+    const handleUndoTurn = () => {
+        if (isLoading) return;
+        runner.undoTurn();
+    };
+
+    const handleRedoTurn = () => {
+        if (isLoading) return;
+        runner.redoTurn();
+    };
+
+    const handleRegenerate = () => {
+        if (isLoading) return;
+        const entry = runner.undoTurn();
+        if (entry) regenerateRef.current = entry.playerMessage;
+    };
+
+    useEffect(() => {
+        const text = regenerateRef.current;
+        if (text === null || isLoading) return;
+        regenerateRef.current = null;
+        playTurn(text);
+    // Fires on the restored log's render; playTurn reads through refs.
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [state.messages]);
+
     const handleKeyDown = (e) => {
         if (e.key === 'Enter' && !e.shiftKey) {
             e.preventDefault();
@@ -730,11 +784,13 @@ export default function ChatPanel() {
 
     // Playing without the Gemini machinery (RAG, Scribe, journal, loot audit)
     // isn't a degraded mode — it quietly rots a campaign. Both keys or no play.
-    const hasApiKey = !!state.settings.apiKey;
+    const dmReady = isDmReady(state.settings);
     const machineryReady = isMachineryReady(state.settings);
-    const readyToPlay = hasApiKey && machineryReady;
-    const missingKeyHint = !hasApiKey
-        ? 'Set your DM API key in Settings to begin your quest.'
+    const readyToPlay = dmReady && machineryReady;
+    const missingKeyHint = !dmReady
+        ? (state.settings.llmProvider === 'local'
+            ? 'Choose a model for your local server in Settings to begin your quest.'
+            : 'Set your DM API key in Settings to begin your quest.')
         : 'Set your Gemini API key in Settings — the game’s memory (Scribe, journal, RAG) requires it.';
     const awaitingCombatNarration = state.combat?.phase === COMBAT_PHASES.AWAITING_NARRATION;
     const pendingRoleplayCheck = state.pendingRoleplayCheck;
@@ -820,6 +876,35 @@ export default function ChatPanel() {
                 />
             )}
 
+            {(turnHistory.undoCount > 0 || turnHistory.redoCount > 0) && (
+                <div className="chat-turn-controls">
+                    <button
+                        className="chat-turn-btn"
+                        onClick={handleUndoTurn}
+                        disabled={isLoading || !turnHistory.undoCount}
+                        title={turnHistory.lastPlayerMessage ? `Undo “${turnHistory.lastPlayerMessage.slice(0, 80)}” and everything it changed` : 'Undo the last turn'}
+                    >
+                        ↶ Undo last turn
+                    </button>
+                    <button
+                        className="chat-turn-btn"
+                        onClick={handleRegenerate}
+                        disabled={isLoading || !turnHistory.undoCount || !readyToPlay}
+                        title="Undo the last turn and send the same line again for a new response"
+                    >
+                        ⟳ Regenerate response
+                    </button>
+                    <button
+                        className="chat-turn-btn"
+                        onClick={handleRedoTurn}
+                        disabled={isLoading || !turnHistory.redoCount}
+                        title="Bring back the turn you undid"
+                    >
+                        ↷ Redo
+                    </button>
+                </div>
+            )}
+
             <div className="chat-input-area">
                 <textarea
                     ref={inputRef}
@@ -1,3 +1,5 @@
+import { isDmReady } from '../../llm/machinery.js';
+
 /**
  * Only brand-new campaigns explicitly marked by character creation may ask the DM
  * to open a scene automatically. Loaded campaigns must restore the transcript
@@ -9,7 +11,7 @@ export function shouldPrimeCampaignOpening(state) {
 
     return Boolean(
         state.character
-        && state.settings?.apiKey
+        && isDmReady(state.settings)
         && state.session?.openingScenePending === true
         && state.session?.premise?.trim()
         && visibleAssistantMessages.length === 0
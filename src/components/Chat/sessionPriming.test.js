@@ -45,6 +45,12 @@ describe('shouldPrimeCampaignOpening', () => {
             messages: [{ role: 'assistant', content: 'The road waits. What do you do?' }],
         }))).toBe(false);
     });
+
+    it('runs on a keyless local server once a model is chosen', () => {
+        const state = campaignState();
+        expect(shouldPrimeCampaignOpening({ ...state, settings: { llmProvider: 'local', apiKey: '', model: 'qwen3:14b' } })).toBe(true);
+        expect(shouldPrimeCampaignOpening({ ...state, settings: { llmProvider: 'local', apiKey: '', model: '' } })).toBe(false);
+    });
 });
 
 describe('buildCampaignOpeningPrompt', () => {
@@ -73,6 +73,10 @@ export function dropOrphanCombatExchange(events, combatActive) {
  * exception (DECISIONS.md 2026-08-04): the narration call receives them as
  * RESOLVED EVENTS and the narration prose then owns the fiction, so keeping
  * them here starved the window (~8 of 20 slots per round with a full field).
+ * Shop-panel trades (`shopLine`), downtime stretches (`downtimeLine`),
+ * journey logs (`journeyLine`) and survival upkeep (`survivalLine`) also
+ * pass: the engine settled them without a DM turn, so this is how the DM
+ * hears they happened.
  * System lines travel as `user` role — providers only accept user/assistant.
  *
  * @param {Array<object>} messages - full chat history from state.
@@ -83,7 +87,7 @@ export function buildMessageWindow(messages, windowSize) {
     const unsummarized = (messages || []).filter(m => {
         if (m.summarized || m.hidden || m.exchangeLine) return false;
         if (m.role === 'system') {
-            return /rolled \*\*/i.test(m.content || '');
+            return m.shopLine === true || m.downtimeLine === true || m.journeyLine === true || m.survivalLine === true || /rolled \*\*/i.test(m.content || '');
         }
         return true;
     });
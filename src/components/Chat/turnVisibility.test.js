@@ -99,6 +99,16 @@ describe('buildMessageWindow', () => {
         expect(window.map(m => m.content)).toEqual(['keep-1', 'keep-2']);
     });
 
+    it('keeps engine-settled shop, downtime, journey and survival lines', () => {
+        const history = [
+            msg('system', '**Bought** Rope.', { shopLine: true }),
+            msg('system', '**Downtime — Craft:** 2 days spent.', { downtimeLine: true }),
+            msg('system', '**Journey — Aldermill → Ghyll:** Arrived at Ghyll.', { journeyLine: true }),
+            msg('system', '**Survival — 1 day:** 1 ration eaten.', { survivalLine: true }),
+        ];
+        expect(buildMessageWindow(history, 20)).toHaveLength(4);
+    });
+
     it('tolerates missing content on system messages', () => {
         expect(buildMessageWindow([msg('system', undefined)], 5)).toEqual([]);
     });
@@ -2,6 +2,8 @@ import { useState } from 'react';
 import { useGame } from '../../state/GameContext.jsx';
 import { getCombatStatus } from '../../engine/combatStatus.js';
 import { COMBAT_PHASES, isEnemyActive } from '../../engine/combatExchange.js';
+import { enemyRange } from '../../engine/rangeBands.js';
+import { describeRoundsLeft } from '../../engine/activeEffects.js';
 import { summarizeSpellSlots } from '../../engine/spellcasting.js';
 import './Combat.css';
 
@@ -24,8 +26,9 @@ export default function CombatPanel() {
         party: state.party || [],
     });
     const enemySummary = aliveEnemies.length > 0
-        ? aliveEnemies.map(enemy => `${enemy.name} ${enemy.hp}/${enemy.maxHp} HP`).join(' · ')
+        ? aliveEnemies.map(enemy => `${enemy.name} ${enemy.hp}/${enemy.maxHp} HP (${enemyRange(enemy)})`).join(' · ')
         : 'No foes standing';
+    const engagedCount = aliveEnemies.filter(enemy => enemyRange(enemy) === 'engaged').length;
 
     // The hero's own numbers live HERE, not only in the collapsed Character
     // Profile — at 1/12 HP the fight panel was the one place not showing it
@@ -105,6 +108,7 @@ export default function CombatPanel() {
                                     AC {state.character?.armorClass ?? '—'}
                                     {heroSlots ? ` · slots ${heroSlots}` : ''}
                                     {` · bonus action ${combat.bonusActionUsed ? 'used' : 'free'}`}
+                                    {` · ${engagedCount > 0 ? `engaged with ${engagedCount}` : 'not engaged'}`}
                                 </span>
                             </div>
                             <div className="enemy-hp-bar-container">
@@ -193,14 +197,20 @@ function EnemyCard({ enemy, flanked = false }) {
                 <span className="enemy-hp-text">
                     {enemy.condition === 'dead' ? 'Dead' : displayStatus === 'fled' ? 'Fled' : displayStatus === 'surrendered' ? 'Surrendered' : `${enemy.hp}/${enemy.maxHp} HP`}
                 </span>
+                {isEnemyActive(enemy) && (
+                    <span className={`enemy-range ${enemyRange(enemy)}`}>{enemyRange(enemy)}</span>
+                )}
                 <span className="enemy-ac">AC {enemy.ac}</span>
             </div>
             {(enemy.conditions?.length > 0 || flanked) && (
                 <div className="enemy-mechanical-conditions">
                     {flanked && <span>flanked</span>}
-                    {enemy.conditions?.map(condition => (
-                        <span key={condition}>{condition}</span>
-                    ))}
+                    {enemy.conditions?.map(condition => {
+                        const effect = enemy.activeEffects?.find(entry => entry.condition === condition);
+                        return effect
+                            ? <span key={condition} title={`${effect.name} — ${describeRoundsLeft(effect.remainingRounds)}`}>{condition} · {effect.name}</span>
+                            : <span key={condition}>{condition}</span>;
+                    })}
                 </div>
             )}
         </div>
@@ -55,7 +55,7 @@ export default function MemoryInspector({ isOpen, onClose }) {
     const messageCount = (state.messages || []).length;
     const heat = computeRecentHeat(state);
     const directive = state.worldTempo?.directive || null;
-    const windowActive = isTempoWindowActive(directive, messageCount, state.messages);
+    const windowActive = isTempoWindowActive(directive, messageCount, state.messages, state.calendar?.elapsedMinutes);
     const directiveDistances = directive ? tempoDirectiveDistances(directive) : null;
     const directiveDistance = directive && Number.isFinite(directive.grantedAtMessage)
         ? conversationalDistance(state.messages || [], directive.grantedAtMessage - 1, messageCount)
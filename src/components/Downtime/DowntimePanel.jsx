@@ -0,0 +1,126 @@
+import { useState } from 'react';
+import { useGame } from '../../state/GameContext.jsx';
+import { ITEM_CATALOG } from '../../data/items.js';
+import { SKILL_LABELS } from '../../engine/characterUtils.js';
+import { formatCalendarDate } from '../../engine/calendar.js';
+import { formatCurrency } from '../../engine/currency.js';
+import {
+    BREW_MAX_BATCH,
+    DOWNTIME_ACTIVITIES,
+    isCraftableItemKey,
+    isDowntimeSafe,
+    planDowntimeProject,
+} from '../../engine/downtime.js';
+import { getCurrentLocationRecord } from '../../engine/locationRegistry.js';
+import { SKILL_ABILITIES } from '../../engine/rules.js';
+import './Downtime.css';
+
+const ACTIVITY_LABELS = { craft: 'Craft', brew: 'Brew', work: 'Work', research: 'Research', train: 'Train' };
+const CRAFTABLE_KEYS = Object.keys(ITEM_CATALOG)
+    .filter(isCraftableItemKey)
+    .sort((a, b) => ITEM_CATALOG[a].name.localeCompare(ITEM_CATALOG[b].name));
+
+function describeTerms(project) {
+    const terms = [`${project.daysNeeded} day${project.daysNeeded === 1 ? '' : 's'}`];
+    if (project.upfrontCp > 0) terms.push(`${formatCurrency(project.upfrontCp)} materials`);
+    if (project.dailyCostCp > 0) terms.push(`${formatCurrency(project.dailyCostCp)}/day`);
+    if (project.dailyWageCp > 0) terms.push(`earns ${formatCurrency(project.dailyWageCp)}/day`);
+    return terms.join(' · ');
+}
+
+/**
+ * Spend days between adventures on one downtime project. Every number comes
+ * from the engine tables (engine/downtime.js); the reducer settles the days
+ * with no DM turn and cues a narration when a project finishes.
+ */
+export default function DowntimePanel() {
+    const { state, dispatch } = useGame();
+    const [activity, setActivity] = useState('craft');
+    const [itemKey, setItemKey] = useState(CRAFTABLE_KEYS[0] || '');
+    const [quantity, setQuantity] = useState(1);
+    const [topic, setTopic] = useState('');
+    const [skill, setSkill] = useState('');
+    const character = state.character;
+    if (!character || character.isDead || state.combat?.active) return null;
+
+    const safe = isDowntimeSafe(getCurrentLocationRecord(state.locations, state.currentLocation));
+    const project = character.downtime;
+    const untrainedSkills = Object.keys(SKILL_ABILITIES).filter(key => !(character.skillProficiencies || []).includes(key));
+    const plan = project ? null : planDowntimeProject(activity, { itemKey, quantity, topic, skill }, { character, inventory: state.inventory });
+
+    return (
+        <div className="downtime-panel">
+            <div className="downtime-header">
+                <h3 className="downtime-title">Downtime</h3>
+                <span className="downtime-days">{formatCalendarDate(state.calendar)}</span>
+            </div>
+            {!safe && <div className="downtime-empty">Find a town or a haven to settle into downtime</div>}
+
+            {safe && project && (
+                <div className="downtime-project">
+                    <div className="downtime-project-name">{project.label}</div>
+                    <div className="downtime-progress" aria-label={`Day ${project.daysDone} of ${project.daysNeeded}`}>
+                        <div className="downtime-progress-fill" style={{ width: `${Math.round((project.daysDone / project.daysNeeded) * 100)}%` }} />
+                    </div>
+                    <div className="downtime-terms">Day {project.daysDone}/{project.daysNeeded} · {describeTerms(project)}</div>
+                    <div className="downtime-actions">
+                        <button className="downtime-btn" onClick={() => dispatch({ type: 'SPEND_DOWNTIME', payload: { days: 1 } })}>1 day</button>
+                        <button className="downtime-btn" onClick={() => dispatch({ type: 'SPEND_DOWNTIME', payload: { days: 7 } })}>A week</button>
+                        <button className="downtime-btn downtime-btn-quiet" onClick={() => dispatch({ type: 'ABANDON_DOWNTIME' })}>Abandon</button>
+                    </div>
+                </div>
+            )}
+
+            {safe && !project && (
+                <div className="downtime-plan">
+                    <div className="downtime-mode">
+                        {DOWNTIME_ACTIVITIES.map(key => (
+                            <button
+                                key={key}
+                                className={`downtime-mode-btn ${activity === key ? 'active' : ''}`}
+                                onClick={() => setActivity(key)}
+                            >
+                                {ACTIVITY_LABELS[key]}
+                            </button>
+                        ))}
+                    </div>
+                    {activity === 'craft' && (
+                        <select className="downtime-input" value={itemKey} onChange={e => setItemKey(e.target.value)}>
+                            {CRAFTABLE_KEYS.map(key => <option key={key} value={key}>{ITEM_CATALOG[key].name}</option>)}
+                        </select>
+                    )}
+                    {activity === 'brew' && (
+                        <select className="downtime-input" value={quantity} onChange={e => setQuantity(Number(e.target.value))}>
+                            {Array.from({ length: BREW_MAX_BATCH }, (_, i) => i + 1).map(n => (
+                                <option key={n} value={n}>{n} {n === 1 ? 'potion' : 'potions'}</option>
+                            ))}
+                        </select>
+                    )}
+                    {(activity === 'work' || activity === 'research') && (
+                        <input
+                            className="downtime-input"
+                            value={topic}
+                            maxLength={120}
+                            placeholder={activity === 'work' ? 'Trade (optional), e.g. scribe' : 'Topic to research'}
+                            onChange={e => setTopic(e.target.value)}
+                        />
+                    )}
+                    {activity === 'train' && (
+                        <select className="downtime-input" value={skill} onChange={e => setSkill(e.target.value)}>
+                            <option value="">Choose a skill…</option>
+                            {untrainedSkills.map(key => <option key={key} value={key}>{SKILL_LABELS[key] || key}</option>)}
+                        </select>
+                    )}
+                    <div className="downtime-terms">{plan.error || describeTerms(plan.project)}</div>
+                    <button
+                        className="btn btn-sm downtime-begin"
+                        disabled={!!plan.error}
+                        onClick={() => dispatch({ type: 'BEGIN_DOWNTIME', payload: { activity, itemKey, quantity, topic, skill } })}
+                    >
+                        Begin
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+}
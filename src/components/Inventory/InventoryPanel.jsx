@@ -1,8 +1,9 @@
 import { useState } from 'react';
 import { useGame } from '../../state/GameContext.jsx';
 import { formatCurrency } from '../../engine/currency.js';
-import { isProficientWithWeapon } from '../../engine/rules.js';
+import { getEncumbrance, isProficientWithWeapon } from '../../engine/rules.js';
 import { deriveGiftAC } from '../../engine/companionGear.js';
+import { attunedItems, describeMagicProperties, MAX_ATTUNED_ITEMS } from '../../engine/magicItems.js';
 import './Inventory.css';
 
 export default function InventoryPanel() {
@@ -12,7 +13,10 @@ export default function InventoryPanel() {
 
     const equippedItems = state.inventory.filter(i => i.equipped);
     const carriedItems = state.inventory.filter(i => !i.equipped);
-    const totalWeight = state.inventory.reduce((sum, i) => sum + (i.weight || 0) * (i.quantity || 1), 0);
+    const load = getEncumbrance(state.character, state.inventory);
+    const loadPercent = Math.min(100, Math.round((load.carried / load.capacity) * 100));
+    const attunedCount = attunedItems(state.inventory).length;
+    const hasAttunableItems = state.inventory.some(i => i.requiresAttunement);
     const currentTurn = state.combat?.turnOrder?.[state.combat?.currentTurn];
     const isPlayerCombatTurn = !!state.combat?.active && currentTurn?.type === 'player';
     const bonusActionUsed = !!state.combat?.active && !!state.combat?.bonusActionUsed;
@@ -40,6 +44,10 @@ export default function InventoryPanel() {
         });
     };
 
+    const handleToggleAttune = (item) => {
+        dispatch({ type: item.attuned ? 'END_ATTUNEMENT' : 'ATTUNE_ITEM', payload: item.id });
+    };
+
     const handleUse = (item) => {
         dispatch({ type: 'USE_ITEM', payload: item.id });
     };
@@ -67,9 +75,16 @@ export default function InventoryPanel() {
                     <span className="inv-silver" title="Silver Pieces">{state.character?.silver || 0} sp</span>
                     <span className="inv-copper" title="Copper Pieces">{state.character?.copper || 0} cp</span>
                 </span>
-                <span className="inv-weight">{totalWeight.toFixed(1)} lbs</span>
+                {hasAttunableItems && (
+                    <span className="inv-attuned" title="Magic items need attunement to work; you can attune to three at a time">
+                        Attuned {attunedCount}/{MAX_ATTUNED_ITEMS}
+                    </span>
+                )}
+                <span className="inv-weight">{load.carried.toFixed(1)} / {load.capacity} lbs</span>
             </div>
 
+            <LoadMeter load={load} percent={loadPercent} />
+
             {showAddItem && (
                 <div className="inv-add-form">
                     <input
@@ -99,6 +114,8 @@ export default function InventoryPanel() {
                                 isPlayerCombatTurn={isPlayerCombatTurn}
                                 bonusActionUsed={bonusActionUsed}
                                 onToggleEquip={handleToggleEquip}
+                                attuneBlocked={attunedCount >= MAX_ATTUNED_ITEMS}
+                                onToggleAttune={handleToggleAttune}
                                 onUse={handleUse}
                                 onUseOn={handleUseOn}
                                 onGiveGear={handleGiveGear}
@@ -124,6 +141,8 @@ export default function InventoryPanel() {
                                 isPlayerCombatTurn={isPlayerCombatTurn}
                                 bonusActionUsed={bonusActionUsed}
                                 onToggleEquip={handleToggleEquip}
+                                attuneBlocked={attunedCount >= MAX_ATTUNED_ITEMS}
+                                onToggleAttune={handleToggleAttune}
                                 onUse={handleUse}
                                 onUseOn={handleUseOn}
                                 onGiveGear={handleGiveGear}
@@ -138,7 +157,30 @@ export default function InventoryPanel() {
     );
 }
 
-function InventoryItem({ item, nonProficient, character, combatActive, isPlayerCombatTurn, bonusActionUsed, onToggleEquip, onUse, onUseOn, onGiveGear, party = [], onRemove }) {
+const LOAD_LABELS = {
+    unencumbered: null,
+    encumbered: 'Encumbered: -10 ft speed',
+    'heavily encumbered': 'Heavily encumbered: -20 ft speed, disadvantage on STR/DEX/CON rolls',
+    overloaded: 'Overloaded: speed 5 ft, disadvantage on STR/DEX/CON rolls',
+};
+
+// The carried weight against capacity, with ticks at the encumbered and
+// heavily-encumbered lines (one and two thirds of capacity).
+function LoadMeter({ load, percent }) {
+    const label = LOAD_LABELS[load.level];
+    return (
+        <div className="inv-load" title={`Encumbered past ${load.encumberedAt} lbs, heavily past ${load.heavilyEncumberedAt} lbs, capacity ${load.capacity} lbs`}>
+            <div className="inv-load-track">
+                <div className={`inv-load-fill inv-load-${load.level.replace(' ', '-')}`} style={{ width: `${percent}%` }} />
+                <span className="inv-load-tick" style={{ left: `${(load.encumberedAt / load.capacity) * 100}%` }} />
+                <span className="inv-load-tick" style={{ left: `${(load.heavilyEncumberedAt / load.capacity) * 100}%` }} />
+            </div>
+            {label && <div className={`inv-load-status inv-load-${load.level.replace(' ', '-')}`}>{label}</div>}
+        </div>
+    );
+}
+
+function InventoryItem({ item, nonProficient, character, combatActive, isPlayerCombatTurn, bonusActionUsed, onToggleEquip, attuneBlocked, onToggleAttune, onUse, onUseOn, onGiveGear, party = [], onRemove }) {
     // Out of combat, a healing consumable can be administered to a hurt living
     // companion (in combat, companion healing goes through spells/the exchange).
     const isHealingItem = item.consumableType === 'healing' && item.healing;
@@ -166,6 +208,14 @@ function InventoryItem({ item, nonProficient, character, combatActive, isPlayerC
                 : isHealingPotion
                     ? `Drink as a bonus action and heal ${item.healing}`
                     : 'Use';
+    const magicLabels = describeMagicProperties(item);
+    const attuneTitle = combatActive
+        ? 'Attunement takes an hour of focus — not mid-fight'
+        : item.attuned
+            ? 'End attunement to free a slot'
+            : attuneBlocked
+                ? `Already attuned to ${MAX_ATTUNED_ITEMS} items — end one first`
+                : 'Attune to this item so its magic works';
 
     return (
         <div className={`inv-item ${item.equipped ? 'equipped' : ''}`}>
@@ -179,6 +229,9 @@ function InventoryItem({ item, nonProficient, character, combatActive, isPlayerC
                 {item.damageBonus > 0 && <span className="inv-item-detail">+{item.damageBonus} dmg</span>}
                 {item.baseAC && !item.isShield && <span className="inv-item-detail">AC {item.baseAC + (item.acBonus || 0)}</span>}
                 {(item.type === 'shield' || item.isShield) && <span className="inv-item-detail">+{(item.shieldAC || 2) + (item.acBonus || 0)} AC</span>}
+                {magicLabels.map(label => (
+                    <span key={label} className={`inv-item-detail inv-item-magic ${item.attuned ? '' : 'inert'}`}>{label}</span>
+                ))}
                 {Number.isFinite(item.valueCp) && <span className="inv-item-detail">{formatCurrency(item.valueCp)}</span>}
                 {nonProficient && (
                     <span className="inv-item-warn" title="Your class is not proficient with this weapon — attacks don't gain your proficiency bonus.">
@@ -236,6 +289,16 @@ function InventoryItem({ item, nonProficient, character, combatActive, isPlayerC
                         </button>
                     );
                 })}
+                {item.requiresAttunement && (
+                    <button
+                        className={`inv-attune-btn ${item.attuned ? 'attuned' : ''}`}
+                        onClick={() => onToggleAttune(item)}
+                        disabled={combatActive || (!item.attuned && attuneBlocked)}
+                        title={attuneTitle}
+                    >
+                        {item.attuned ? 'Attuned' : 'Attune'}
+                    </button>
+                )}
                 {(item.type === 'weapon' || item.type === 'armor' || item.type === 'shield') && (
                     <button
                         className={`inv-equip-btn ${item.equipped ? 'unequip' : ''}`}
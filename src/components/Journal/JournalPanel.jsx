@@ -4,9 +4,11 @@ import { enrichNpcProfile, needsNpcEnrichment, normalizeCallbackHook } from '../
 import { suggestArchivableFodder } from '../../llm/npcFodderReview.js';
 import { isMachineryReady, getMachineryGeminiKey } from '../../llm/machinery.js';
 import { scoreNpcForPrompt } from '../../engine/npcRoster.js';
-import { generatePortraitImageDetailed } from '../../llm/providers/imageGen.js';
+import { describeCalendar } from '../../engine/calendar.js';
+import { generatePortraitImageDetailed, listCachedSceneImages } from '../../llm/providers/imageGen.js';
 import { buildNpcPortraitPrompt } from '../CharacterSheet/portraitPrompt.js';
 import { writeChronicleChapter, chronicleToMarkdown, collectChapterMessages, CHRONICLE_MIN_MESSAGES } from '../../llm/chronicler.js';
+import { buildChronicleBook, chronicleBookFilename, chronicleToEpub, chronicleToHtml, inlineImageUrl } from '../../llm/chronicleBook.js';
 import './Journal.css';
 
 const DISPOSITION_MARK = {
@@ -29,6 +31,9 @@ export default function JournalPanel({ isOpen, onClose }) {
     const [chapterTitle, setChapterTitle] = useState('');
     const [writingChapter, setWritingChapter] = useState(false);
     const [chronicleStatus, setChronicleStatus] = useState('');
+    const [bookPortrait, setBookPortrait] = useState(true);
+    const [bookSceneArt, setBookSceneArt] = useState(true);
+    const [bindingBook, setBindingBook] = useState(false);
 
     const imageKeyAvailable = !!(state.settings?.imageApiKey || getMachineryGeminiKey(state.settings));
 
@@ -129,18 +134,49 @@ export default function JournalPanel({ isOpen, onClose }) {
         }
     };
 
-    const handleExportChronicle = () => {
-        const markdown = chronicleToMarkdown(state.chronicle || [], state.session?.name || 'Campaign');
-        const blob = new Blob([markdown], { type: 'text/markdown' });
+    const downloadChronicleFile = (data, type, extension) => {
+        const blob = new Blob([data], { type });
         const url = URL.createObjectURL(blob);
         const link = document.createElement('a');
         link.href = url;
-        const slug = String(state.session?.name || 'campaign').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
-        link.download = `${slug || 'campaign'}-chronicle.md`;
+        link.download = chronicleBookFilename(state.session?.name, extension);
         link.click();
         URL.revokeObjectURL(url);
     };
 
+    const handleExportChronicle = async (format = 'markdown') => {
+        if (format === 'markdown') {
+            downloadChronicleFile(chronicleToMarkdown(state.chronicle || [], state.session?.name || 'Campaign'), 'text/markdown', 'md');
+            return;
+        }
+        if (bindingBook) return;
+        setBindingBook(true);
+        setChronicleStatus('Binding the book…');
+        try {
+            // Books carry pictures inline, so remote renders are fetched first;
+            // one that cannot be had is simply left out.
+            const portraitUrl = bookPortrait ? await inlineImageUrl(state.character?.portraitUrl) : null;
+            const sceneArt = [];
+            if (bookSceneArt) {
+                for (const scene of listCachedSceneImages()) {
+                    const url = await inlineImageUrl(scene.url);
+                    if (url) sceneArt.push({ ...scene, url });
+                }
+            }
+            const book = buildChronicleBook(state, { portraitUrl, sceneArt });
+            if (format === 'epub') {
+                downloadChronicleFile(chronicleToEpub(book), 'application/epub+zip', 'epub');
+            } else {
+                downloadChronicleFile(chronicleToHtml(book), 'text/html', 'html');
+            }
+            setChronicleStatus('');
+        } catch (error) {
+            setChronicleStatus(error.message || 'The book could not be bound.');
+        } finally {
+            setBindingBook(false);
+        }
+    };
+
     const handlePortrait = async (npc) => {
         if (portraitBusyId) return;
         setEnrichError('');
@@ -210,7 +246,7 @@ export default function JournalPanel({ isOpen, onClose }) {
                 </div>
 
                 <div className="journal-body">
-                    {tab === 'journal' && <JournalTab journal={state.journal || []} location={state.currentLocation} />}
+                    {tab === 'journal' && <JournalTab journal={state.journal || []} location={state.currentLocation} calendar={state.calendar} />}
                     {tab === 'chronicle' && (
                         <ChronicleTab
                             chapters={state.chronicle || []}
@@ -221,6 +257,9 @@ export default function JournalPanel({ isOpen, onClose }) {
                             status={chronicleStatus}
                             onWrite={handleWriteChapter}
                             onExport={handleExportChronicle}
+                            bookOptions={{ portrait: bookPortrait, sceneArt: bookSceneArt, binding: bindingBook }}
+                            onBookPortrait={setBookPortrait}
+                            onBookSceneArt={setBookSceneArt}
                             suggestedTitle={state.session?.chapterCloseSuggested?.title || null}
                         />
                     )}
@@ -289,7 +328,7 @@ export default function JournalPanel({ isOpen, onClose }) {
     );
 }
 
-function ChronicleTab({ chapters, messages, chapterTitle, onChapterTitle, writing, status, onWrite, onExport, suggestedTitle }) {
+function ChronicleTab({ chapters, messages, chapterTitle, onChapterTitle, writing, status, onWrite, onExport, bookOptions, onBookPortrait, onBookSceneArt, suggestedTitle }) {
     const lastChronicled = chapters.length > 0 ? (chapters[chapters.length - 1].toIndex ?? -1) : -1;
     const pendingCount = collectChapterMessages(messages, lastChronicled + 1).length;
     const canWrite = pendingCount >= CHRONICLE_MIN_MESSAGES;
@@ -330,11 +369,29 @@ function ChronicleTab({ chapters, messages, chapterTitle, onChapterTitle, writin
                         {writing ? 'Writing…' : 'Close chapter'}
                     </button>
                     {chapters.length > 0 && (
-                        <button type="button" className="chronicle-export-btn" onClick={onExport}>
+                        <button type="button" className="chronicle-export-btn" onClick={() => onExport('markdown')}>
                             Export markdown
                         </button>
                     )}
                 </div>
+                {chapters.length > 0 && (
+                    <div className="chronicle-compose-row chronicle-book-row">
+                        <label className="chronicle-book-option">
+                            <input type="checkbox" checked={bookOptions.portrait} onChange={(e) => onBookPortrait(e.target.checked)} />
+                            {' '}Hero portrait
+                        </label>
+                        <label className="chronicle-book-option">
+                            <input type="checkbox" checked={bookOptions.sceneArt} onChange={(e) => onBookSceneArt(e.target.checked)} />
+                            {' '}Scene art
+                        </label>
+                        <button type="button" className="chronicle-export-btn" disabled={bookOptions.binding} onClick={() => onExport('epub')}>
+                            Export EPUB
+                        </button>
+                        <button type="button" className="chronicle-export-btn" disabled={bookOptions.binding} onClick={() => onExport('html')}>
+                            Export HTML book
+                        </button>
+                    </div>
+                )}
                 {status && <p className="chronicle-status">{status}</p>}
             </div>
 
@@ -367,7 +424,7 @@ function ChronicleTab({ chapters, messages, chapterTitle, onChapterTitle, writin
     );
 }
 
-function JournalTab({ journal, location }) {
+function JournalTab({ journal, location, calendar }) {
     if (journal.length === 0) {
         return (
             <div className="journal-empty">
@@ -385,13 +442,21 @@ function JournalTab({ journal, location }) {
                     <span>Current location: <strong>{location}</strong></span>
                 </div>
             )}
+            {calendar && (
+                <div className="journal-location">
+                    <span className="journal-location-icon" aria-hidden="true" />
+                    <span>Now: <strong>{describeCalendar(calendar)}</strong></span>
+                </div>
+            )}
 
             {[...journal].reverse().map((entry, idx) => (
                 <div key={entry.id} className="journal-entry">
                     <div className="journal-entry-header">
                         <span className="journal-entry-num">Entry {journal.length - idx}</span>
-                        <span className="journal-entry-time">
-                            {new Date(entry.timestamp).toLocaleDateString()}
+                        <span className="journal-entry-time" title={new Date(entry.timestamp).toLocaleDateString()}>
+                            {entry.calendar?.date
+                                ? `Day ${entry.calendar.day} · ${entry.calendar.date}, ${entry.calendar.timeOfDay}`
+                                : new Date(entry.timestamp).toLocaleDateString()}
                         </span>
                     </div>
                     <p className="journal-entry-text">{entry.summary}</p>
@@ -6,19 +6,24 @@ import CharacterSheet from '../CharacterSheet/CharacterSheet.jsx';
 import DicePanel from '../DiceRoller/DicePanel.jsx';
 import InventoryPanel from '../Inventory/InventoryPanel.jsx';
 import QuestPanel from '../Quests/QuestPanel.jsx';
+import ShopPanel from '../Shop/ShopPanel.jsx';
+import DowntimePanel from '../Downtime/DowntimePanel.jsx';
+import TravelPanel from '../Travel/TravelPanel.jsx';
 import JournalPanel from '../Journal/JournalPanel.jsx';
+import MapPanel from '../Map/MapPanel.jsx';
 import SceneArt from '../SceneArt/SceneArt.jsx';
 import AmbientControls from '../AmbientAudio/AmbientControls.jsx';
 import CompanionsPanel from '../Companions/CompanionsPanel.jsx';
 import MemoryInspector from '../Debug/MemoryInspector.jsx';
 import { isMemoryInspectorEnabled } from '../../debug/memoryInspectorStore.js';
-import { isMachineryReady } from '../../llm/machinery.js';
+import { isDmReady, isMachineryReady } from '../../llm/machinery.js';
 import './Layout.css';
 
 export default function AppShell() {
     const { state, dispatch } = useGame();
     const saveToast = useSaveToast();
     const [isJournalOpen, setIsJournalOpen] = useState(false);
+    const [isMapOpen, setIsMapOpen] = useState(false);
     const [isInspectorOpen, setIsInspectorOpen] = useState(false);
     const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
     const inspectorEnabled = isMemoryInspectorEnabled(state.settings);
@@ -45,8 +50,10 @@ export default function AppShell() {
                     <span className="session-name">{state.session.name || 'New Adventure'}</span>
                 </div>
                 <div className="header-right">
-                    {!state.settings.apiKey ? (
-                        <span className="api-warning" onClick={handleOpenSettings}>Set API Key</span>
+                    {!isDmReady(state.settings) ? (
+                        <span className="api-warning" onClick={handleOpenSettings}>
+                            {state.settings.llmProvider === 'local' ? 'Choose Model' : 'Set API Key'}
+                        </span>
                     ) : !isMachineryReady(state.settings) && (
                         <span className="api-warning" onClick={handleOpenSettings}>Set Gemini Key</span>
                     )}
@@ -57,6 +64,13 @@ export default function AppShell() {
                     >
                         Journal
                     </button>
+                    <button
+                        className="header-btn desktop-only-btn"
+                        onClick={() => setIsMapOpen(true)}
+                        title="World Map"
+                    >
+                        Map
+                    </button>
                     {inspectorEnabled && (
                         <button
                             className="header-btn desktop-only-btn"
@@ -103,6 +117,15 @@ export default function AppShell() {
                         <ErrorBoundary label="Quests">
                             <QuestPanel />
                         </ErrorBoundary>
+                        <ErrorBoundary label="Shops">
+                            <ShopPanel />
+                        </ErrorBoundary>
+                        <ErrorBoundary label="Downtime">
+                            <DowntimePanel />
+                        </ErrorBoundary>
+                        <ErrorBoundary label="Travel">
+                            <TravelPanel />
+                        </ErrorBoundary>
 
                         {/* Mobile-only Action Buttons at the bottom of the drawer */}
                         <div className="mobile-only-actions">
@@ -115,6 +138,12 @@ export default function AppShell() {
                             >
                                 World Journal
                             </button>
+                            <button
+                                className="mobile-drawer-btn"
+                                onClick={() => { setIsMapOpen(true); setIsMobileMenuOpen(false); }}
+                            >
+                                World Map
+                            </button>
                             {inspectorEnabled && (
                                 <button
                                     className="mobile-drawer-btn"
@@ -150,6 +179,9 @@ export default function AppShell() {
             </div>
 
             <JournalPanel isOpen={isJournalOpen} onClose={() => setIsJournalOpen(false)} />
+            <ErrorBoundary label="World Map">
+                <MapPanel isOpen={isMapOpen} onClose={() => setIsMapOpen(false)} />
+            </ErrorBoundary>
             {inspectorEnabled && (
                 <MemoryInspector isOpen={isInspectorOpen} onClose={() => setIsInspectorOpen(false)} />
             )}
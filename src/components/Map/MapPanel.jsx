@@ -0,0 +1,113 @@
+import { useMemo, useState } from 'react';
+import { useGame } from '../../state/GameContext.jsx';
+import { buildWorldMap, describePlace, MAP_HEIGHT, MAP_WIDTH } from '../../engine/worldMap.js';
+import './Map.css';
+
+const TYPE_LABELS = {
+    haven: 'Haven',
+    settlement: 'Settlement',
+    wilderness: 'Wilderness',
+    frontier: 'Frontier',
+    hostile_site: 'Hostile site',
+};
+
+/**
+ * The world as the hero knows it: regions, places, the roads walked between
+ * them, and a profile for the place picked. Layout and lookups are
+ * engine/worldMap.js — nothing about fronts reaches this panel.
+ */
+export default function MapPanel({ isOpen, onClose }) {
+    const { state } = useGame();
+    const [selectedId, setSelectedId] = useState(null);
+    const map = useMemo(
+        () => buildWorldMap(state.locations || [], state.currentLocation),
+        [state.locations, state.currentLocation],
+    );
+
+    if (!isOpen) return null;
+
+    const placeById = new Map(map.places.map(place => [place.id, place]));
+    const currentId = map.places.find(place => place.current)?.id || null;
+    const activeId = selectedId && placeById.has(selectedId) ? selectedId : currentId;
+    const profile = describePlace((state.locations || []).find(record => record.id === activeId), {
+        locations: state.locations,
+        npcs: state.npcs,
+        recentHearsay: state.recentHearsay,
+        storyMemory: state.storyMemory,
+        recentEncounters: state.recentEncounters,
+    });
+
+    return (
+        <div className="map-overlay" onClick={onClose}>
+            <div className="map-modal" onClick={(e) => e.stopPropagation()}>
+                <div className="map-header">
+                    <h2 className="map-modal-title">World Map</h2>
+                    <button className="map-close" onClick={onClose}>✕</button>
+                </div>
+
+                {map.places.length === 0 ? (
+                    <p className="map-empty">No places known yet — the map fills in as the hero travels.</p>
+                ) : (
+                    <div className="map-body">
+                        <svg className="map-canvas" viewBox={`0 0 ${MAP_WIDTH} ${MAP_HEIGHT}`} role="img" aria-label="Known places">
+                            {map.regions.filter(region => region.label).map(region => (
+                                <g key={region.key} className="map-region">
+                                    <circle cx={region.x} cy={region.y} r={region.radius + 22} />
+                                    <text x={region.x} y={region.y - region.radius - 28} textAnchor="middle">{region.label}</text>
+                                </g>
+                            ))}
+                            {map.edges.map(edge => {
+                                const from = placeById.get(edge.from);
+                                const to = placeById.get(edge.to);
+                                return <line key={`${edge.from}-${edge.to}`} className={`map-edge map-edge-${edge.kind}`} x1={from.x} y1={from.y} x2={to.x} y2={to.y} />;
+                            })}
+                            {map.places.map(place => (
+                                <g
+                                    key={place.id}
+                                    className={`map-place map-danger-${place.danger || 'unknown'}${place.current ? ' current' : ''}${place.id === activeId ? ' selected' : ''}`}
+                                    onClick={() => setSelectedId(place.id)}
+                                >
+                                    <circle cx={place.x} cy={place.y} r={place.current ? 9 : 6} />
+                                    <text x={place.x} y={place.y + 20} textAnchor="middle">{place.name}</text>
+                                </g>
+                            ))}
+                        </svg>
+
+                        {profile && (
+                            <div className="map-profile">
+                                <div className="map-profile-name">
+                                    {profile.name}
+                                    {profile.id === currentId && <span className="map-here">You are here</span>}
+                                </div>
+                                <div className="map-profile-meta">
+                                    {[TYPE_LABELS[profile.type], profile.danger && `${profile.danger} danger`, profile.region].filter(Boolean).join(' · ') || 'Unprofiled'}
+                                </div>
+                                <div className="map-profile-meta">
+                                    {profile.visitCount} visit{profile.visitCount === 1 ? '' : 's'}
+                                    {profile.lastVisited && ` · last there ${profile.lastVisited}`}
+                                </div>
+                                {profile.aliases.length > 0 && (
+                                    <div className="map-profile-meta">Also called: {profile.aliases.join(', ')}</div>
+                                )}
+                                <div className="map-profile-section">People based here</div>
+                                {profile.npcs.length > 0 ? (
+                                    <ul className="map-list">
+                                        {profile.npcs.map(npc => (
+                                            <li key={npc.id}>{npc.name} <span className={`map-disposition ${npc.disposition}`}>{npc.disposition}</span></li>
+                                        ))}
+                                    </ul>
+                                ) : <div className="map-profile-meta">No one the hero knows.</div>}
+                                <div className="map-profile-section">Rumors heard here</div>
+                                {profile.rumors.length > 0 ? (
+                                    <ul className="map-list">
+                                        {profile.rumors.map(rumor => <li key={rumor}>{rumor}</li>)}
+                                    </ul>
+                                ) : <div className="map-profile-meta">None yet.</div>}
+                            </div>
+                        )}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,67 @@
+import { useState } from 'react';
+
+function VersionColumn({ title, summary }) {
+    return (
+        <div className="cloud-conflict-version">
+            <div className="save-name">{title}</div>
+            <div className="save-meta">
+                {summary.characterName} · Lv.{summary.level}{summary.location ? ` · ${summary.location}` : ''}
+            </div>
+            <div className="save-meta">
+                {summary.messageCount} msgs{summary.savedAt ? ` · saved ${new Date(summary.savedAt).toLocaleString()}` : ''}
+            </div>
+            {summary.lastJournal.length === 0
+                ? <p className="save-meta">No journal entries yet.</p>
+                : summary.lastJournal.map(entry => <p key={entry.id || entry.timestamp} className="save-meta cloud-conflict-journal">{entry.summary}</p>)}
+        </div>
+    );
+}
+
+/**
+ * The player's call when a cloud slot changed on another device since this
+ * one last saw it (state/cloudConflicts.js). Shows both versions and keeps
+ * either; the other can be kept too, as a new slot.
+ */
+export default function CloudConflictDialog({ conflict, isResolving, onResolve, onCancel }) {
+    const [saveOtherAsNew, setSaveOtherAsNew] = useState(true);
+    const cloudTitle = conflict.cloud.summary.byThisDevice ? 'Cloud (saved from this device)' : 'Cloud (another device)';
+
+    return (
+        <div className="settings-overlay cloud-conflict-overlay" onClick={onCancel}>
+            <div className="settings-modal cloud-conflict" role="dialog" aria-modal="true" onClick={e => e.stopPropagation()}>
+                <div className="settings-header">
+                    <h2>Save Conflict</h2>
+                    <button className="settings-close" onClick={onCancel} disabled={isResolving}>✕</button>
+                </div>
+                <div className="settings-content">
+                    <p className="setting-hint">
+                        “{conflict.name}” changed in the cloud since this device last saw it. Choose which version
+                        the slot keeps.
+                    </p>
+                    <div className="journal-compare-columns">
+                        <VersionColumn title="This device" summary={conflict.mine.summary} />
+                        <VersionColumn title={cloudTitle} summary={conflict.cloud.summary} />
+                    </div>
+                    <label className="cloud-conflict-option">
+                        <input
+                            type="checkbox"
+                            checked={saveOtherAsNew}
+                            onChange={(e) => setSaveOtherAsNew(e.target.checked)}
+                            disabled={isResolving}
+                        />
+                        {' '}Save the version I don’t keep as a new slot
+                    </label>
+                    <div className="cloud-conflict-actions">
+                        <button className="btn btn-primary" onClick={() => onResolve({ keep: 'mine', saveOtherAsNew })} disabled={isResolving}>
+                            Keep This Device’s
+                        </button>
+                        <button className="btn btn-secondary" onClick={() => onResolve({ keep: 'cloud', saveOtherAsNew })} disabled={isResolving}>
+                            Keep the Cloud’s
+                        </button>
+                        <button className="btn" onClick={onCancel} disabled={isResolving}>Decide Later</button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,144 @@
+import { useEffect, useState } from 'react';
+import { listTurnSnapshots, loadTurnSnapshot, saveGame } from '../../state/persistence.js';
+import { saveGameToCloud } from '../../state/cloudSync.js';
+import { exportCampaignMemories, importCampaignMemories } from '../../engine/vectorMemory.js';
+import { branchMemoryRows, branchPointsFor, buildBranchState, describeBranchPoint } from '../../state/saveBranches.js';
+
+/**
+ * Branch the live campaign at an earlier turn (state/saveBranches.js). The
+ * branch is saved as a new slot — the live game keeps playing where it is
+ * until the player loads the branch from the list.
+ */
+export function BranchFromTurn({ state, onBranched }) {
+    const sessionId = state.session?.id;
+    const messageCount = state.messages.length;
+    const [points, setPoints] = useState([]);
+    const [selected, setSelected] = useState('');
+    const [branchName, setBranchName] = useState('');
+    const [isBranching, setIsBranching] = useState(false);
+    const [status, setStatus] = useState('');
+
+    useEffect(() => {
+        let isCancelled = false;
+        listTurnSnapshots(sessionId)
+            .then(snapshots => {
+                if (isCancelled) return;
+                setPoints(branchPointsFor(snapshots, state.messages));
+                setSelected('');
+            })
+            .catch(() => { if (!isCancelled) setPoints([]); });
+        return () => { isCancelled = true; };
+        // Re-read when the log grows — a new turn is a new branch point.
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [sessionId, messageCount]);
+
+    const point = points.find(p => String(p.messageCount) === selected) || null;
+
+    const handleBranch = async () => {
+        if (!point || isBranching) return;
+        setIsBranching(true);
+        setStatus('');
+        try {
+            const snapshotState = await loadTurnSnapshot(sessionId, point.messageCount);
+            if (!snapshotState) {
+                setStatus('That turn\'s snapshot is gone — pick another.');
+                return;
+            }
+            const branchState = buildBranchState({
+                snapshotState,
+                snapshot: point,
+                messages: state.messages,
+                parentSession: state.session,
+                name: branchName,
+            });
+            const slotId = `save-${Date.now()}`;
+            await saveGame(slotId, branchState);
+            // The branch remembers what the parent had embedded by then; the
+            // rest re-seeds from its own journal and memory on first load.
+            await importCampaignMemories(branchState.session.id, branchMemoryRows(await exportCampaignMemories(sessionId), point));
+            const cloudOk = state.user?.uid ? await saveGameToCloud(state.user.uid, slotId, branchState) : null;
+            setBranchName('');
+            setStatus(`Branched "${branchState.session.name}" at turn ${point.turn} — load it from Saved Games${cloudOk === false ? ' (the cloud upload failed)' : ''}.`);
+            await onBranched?.();
+        } catch (err) {
+            setStatus(`Could not branch: ${err.message}`);
+        } finally {
+            setIsBranching(false);
+        }
+    };
+
+    return (
+        <div className="saves-list save-branches">
+            <h4 className="saves-list-title">Branch From a Turn</h4>
+            {points.length === 0 ? (
+                <p className="setting-hint">
+                    Every turn you play leaves a branch point here. Branch from one to try it again as a new
+                    save, with this timeline kept as it is.
+                </p>
+            ) : (
+                <>
+                    <select className="setting-select" value={selected} onChange={(e) => setSelected(e.target.value)}>
+                        <option value="">Choose a turn…</option>
+                        {points.map(p => (
+                            <option key={p.messageCount} value={String(p.messageCount)}>
+                                {describeBranchPoint(p)}
+                            </option>
+                        ))}
+                    </select>
+                    <div className="save-new">
+                        <input
+                            type="text"
+                            className="setting-input"
+                            value={branchName}
+                            onChange={(e) => setBranchName(e.target.value)}
+                            placeholder={point ? `${state.session.name || 'Campaign'} (turn ${point.turn})` : 'Branch name (optional)...'}
+                        />
+                        <button className="btn btn-secondary" onClick={handleBranch} disabled={!point || isBranching}>
+                            {isBranching ? 'Branching…' : 'Branch'}
+                        </button>
+                    </div>
+                    {point && (
+                        <p className="setting-hint">
+                            HP {point.characterHP}/{point.characterMaxHP} · {new Date(point.takenAt).toLocaleString()}
+                        </p>
+                    )}
+                </>
+            )}
+            {status && <div className="auth-status" style={{ margin: '0.5rem 0', fontSize: '0.8rem' }}>{status}</div>}
+        </div>
+    );
+}
+
+function JournalColumn({ title, entries }) {
+    return (
+        <div className="journal-compare-column">
+            <div className="save-name">{title}</div>
+            {entries.length === 0
+                ? <div className="save-meta">Nothing of its own yet.</div>
+                : entries.map(entry => <p key={entry.id || entry.timestamp} className="save-meta">{entry.summary}</p>)}
+        </div>
+    );
+}
+
+/**
+ * Two saves' journals side by side: what they share from before the split,
+ * then what only each timeline wrote. `comparison` is compareBranchJournals'.
+ */
+export function JournalCompare({ left, right, comparison, onClose }) {
+    return (
+        <div className="save-slot journal-compare">
+            <div className="save-info">
+                <div className="save-meta">
+                    {comparison.shared.length} shared {comparison.shared.length === 1 ? 'entry' : 'entries'} before the timelines split
+                </div>
+                <div className="journal-compare-columns">
+                    <JournalColumn title={left} entries={comparison.onlyA} />
+                    <JournalColumn title={right} entries={comparison.onlyB} />
+                </div>
+            </div>
+            <div className="save-actions">
+                <button className="btn btn-sm" onClick={onClose}>Close</button>
+            </div>
+        </div>
+    );
+}
@@ -1,15 +1,23 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useGame } from '../../state/GameContext.jsx';
 import { initialGameState } from '../../state/gameReducer.js';
 import { PROVIDERS, PROVIDER_LIST } from '../../llm/adapter.js';
 import { PRESETS, PRESET_LIST } from '../../data/presets.js';
-import { saveGame, loadGame, listSaves, deleteSave, getSaveSessionId } from '../../state/persistence.js';
-import { deleteCampaignMemories, shouldPurgeCampaignEmbeddings } from '../../engine/vectorMemory.js';
+import { saveGame, loadGame, listSaves, deleteSave, getSaveSessionId, deleteTurnSnapshots } from '../../state/persistence.js';
+import { deleteCampaignMemories, exportCampaignMemories, importCampaignMemories, shouldPurgeCampaignEmbeddings } from '../../engine/vectorMemory.js';
+import { downloadCampaignBundle, parseCampaignBundle } from '../../state/campaignBundle.js';
+import { buildSaveTree, compareBranchJournals } from '../../state/saveBranches.js';
 import { saveGameToCloud, loadGameFromCloud, listCloudSaves, deleteGameFromCloud } from '../../state/cloudSync.js';
+import { findCloudLoadConflict, openCloudConflict, readSaveForComparison, resolveCloudConflict } from '../../state/cloudConflicts.js';
 import { getFirebaseConfigError, initializeFirebase } from '../../config/firebase.js';
 import { signInWithGoogle, logOut } from '../../state/auth.js';
 import { upgradeCampaignFrontsV2 } from '../../llm/frontUpgrade.js';
 import { clearImageCache } from '../../llm/providers/imageGen.js';
+import { DEFAULT_LOCAL_BASE_URL, listLocalModels } from '../../llm/providers/local.js';
+import { isDmReady, usesLocalMachinery } from '../../llm/machinery.js';
+import { EMBEDDING_PROVIDERS, resolveEmbeddingProvider } from '../../llm/embeddings.js';
+import { BranchFromTurn, JournalCompare } from './SaveBranches.jsx';
+import CloudConflictDialog from './CloudConflictDialog.jsx';
 import './Settings.css';
 
 export default function SettingsModal() {
@@ -29,6 +37,17 @@ export default function SettingsModal() {
     const [syncStatus, setSyncStatus] = useState('');
     const [isMigratingFronts, setIsMigratingFronts] = useState(false);
     const [frontMigrationStatus, setFrontMigrationStatus] = useState('');
+    const [localModels, setLocalModels] = useState([]);
+    const [localModelStatus, setLocalModelStatus] = useState('');
+    const [bundleVectors, setBundleVectors] = useState(false);
+    const [bundlePortraits, setBundlePortraits] = useState(true);
+    const [bundleImport, setBundleImport] = useState(null);
+    const [bundleStatus, setBundleStatus] = useState('');
+    const bundleInputRef = useRef(null);
+    const [compareSlots, setCompareSlots] = useState([]);
+    const [journalComparison, setJournalComparison] = useState(null);
+    const [cloudConflict, setCloudConflict] = useState(null);
+    const [isResolvingConflict, setIsResolvingConflict] = useState(false);
     const hasRichLivingWorld = state.session?.frontDirector?.generationVersion >= 2;
 
     useEffect(() => {
@@ -131,6 +150,20 @@ export default function SettingsModal() {
             setSyncStatus('Sign in with Google to load cloud saves — your session has expired or you are signed out.');
             return;
         }
+        // The cloud copy changed on another device since this one saw it:
+        // the player picks a version before anything loads.
+        if (state.user?.uid) {
+            const conflict = await findCloudLoadConflict(state.user.uid, {
+                slotId,
+                source: isCloud ? 'cloud' : 'local',
+                cloudSave: cloudSaves.find(s => s.slotId === slotId),
+                localSave: saves.find(s => s.slotId === slotId),
+            });
+            if (conflict) {
+                setCloudConflict(conflict);
+                return;
+            }
+        }
         let savedState = null;
         if (isCloud) {
             savedState = await loadGameFromCloud(state.user.uid, slotId);
@@ -168,6 +201,7 @@ export default function SettingsModal() {
                 remainingSessionIds: [...remaining.map(s => s.sessionId), autosaveSessionId].filter(Boolean),
             })) {
                 await deleteCampaignMemories(deletedSessionId);
+                await deleteTurnSnapshots(deletedSessionId); // its branch points go with it
                 console.info('[VectorMemory] Purged the deleted campaign\'s embedding cache.');
             }
         } catch (e) {
@@ -199,10 +233,21 @@ export default function SettingsModal() {
             };
             await saveGame(slotId, updatedState);
             if (state.user?.uid) {
-                const cloudOk = await saveGameToCloud(state.user.uid, slotId, updatedState);
+                let conflict = null;
+                const cloudOk = await saveGameToCloud(state.user.uid, slotId, updatedState, { onConflict: c => { conflict = c; } });
+                const opened = conflict && await openCloudConflict(state.user.uid, {
+                    slotId,
+                    origin: 'save',
+                    mineState: updatedState,
+                    mineSavedAt: Date.now(),
+                    cloud: conflict.cloud,
+                });
+                if (opened) setCloudConflict(opened);
                 setSyncStatus(cloudOk
                     ? `✓ Overwrote "${name}" locally and in the cloud`
-                    : `Overwrote "${name}" locally, but the cloud upload failed`);
+                    : conflict
+                        ? `Overwrote "${name}" locally — the cloud copy changed on another device, so choose which version to keep`
+                        : `Overwrote "${name}" locally, but the cloud upload failed`);
             } else {
                 setSyncStatus(`Overwrote "${name}" locally (sign in for cloud sync)`);
             }
@@ -212,6 +257,86 @@ export default function SettingsModal() {
         }
     };
 
+    const handleResolveConflict = async ({ keep, saveOtherAsNew }) => {
+        if (!cloudConflict || !state.user?.uid || isResolvingConflict) return;
+        setIsResolvingConflict(true);
+        try {
+            const result = await resolveCloudConflict(state.user.uid, cloudConflict, { keep, saveOtherAsNew });
+            const kept = keep === 'cloud' ? 'the cloud version' : 'this device\'s version';
+            setSyncStatus(`"${cloudConflict.name}" now holds ${kept}`
+                + (result.cloudOk ? '' : ' locally — the cloud upload failed')
+                + (result.newSlot ? `; the other was saved as "${result.newSlot.name}"` : ''));
+            setCloudConflict(null);
+            await loadSavesList();
+            if (cloudConflict.origin === 'load') {
+                clearImageCache();
+                dispatch({ type: 'LOAD_GAME', payload: result.state });
+                handleClose();
+            }
+        } catch (e) {
+            setSyncStatus(`Could not resolve the conflict: ${e.message}`);
+        } finally {
+            setIsResolvingConflict(false);
+        }
+    };
+
+    // Pick two saves (local or cloud) to compare journals; a third pick replaces the oldest.
+    const handleToggleCompare = (save, isCloud) => {
+        const key = `${isCloud ? 'cloud' : 'local'}:${save.slotId}`;
+        setJournalComparison(null);
+        setCompareSlots(current => (current.some(slot => slot.key === key)
+            ? current.filter(slot => slot.key !== key)
+            : [...current, { key, slotId: save.slotId, isCloud, name: save.name }].slice(-2)));
+    };
+
+    const handleCompareJournals = async () => {
+        if (compareSlots.length !== 2) return;
+        const [left, right] = await Promise.all(compareSlots.map(slot => readSaveForComparison(state.user?.uid, slot)));
+        if (!left || !right) {
+            setSyncStatus('One of the saves could not be read for comparison.');
+            return;
+        }
+        setJournalComparison({
+            left: compareSlots[0].name,
+            right: compareSlots[1].name,
+            comparison: compareBranchJournals(left.journal, right.journal),
+        });
+    };
+
+    const handleExportBundle = async () => {
+        if (!state.character) return;
+        const vectors = bundleVectors ? await exportCampaignMemories(state.session?.id) : null;
+        downloadCampaignBundle(state, { vectors, includePortraits: bundlePortraits });
+        setBundleStatus(vectors
+            ? `Exported the campaign with ${vectors.length} memory vectors`
+            : 'Exported the campaign');
+    };
+
+    // Reading a bundle only previews it — the current game is replaced on confirm.
+    const handleBundleFile = async (event) => {
+        const file = event.target.files?.[0];
+        event.target.value = ''; // allow re-importing the same file
+        if (!file) return;
+        setBundleStatus('');
+        try {
+            setBundleImport(parseCampaignBundle(await file.text()));
+        } catch (err) {
+            setBundleImport(null);
+            setBundleStatus(err.message || 'Could not read this campaign file.');
+        }
+    };
+
+    const handleConfirmBundle = async () => {
+        if (!bundleImport) return;
+        const { state: bundleState, vectors } = bundleImport;
+        // Vectors land before LOAD_GAME so the campaign's first seed finds them cached.
+        if (vectors) await importCampaignMemories(bundleState.session.id, vectors);
+        clearImageCache();
+        dispatch({ type: 'LOAD_GAME', payload: bundleState });
+        setBundleImport(null);
+        handleClose();
+    };
+
     const handleNewGame = () => {
         if (confirm('Start a new game? Current unsaved progress will be lost.')) {
             clearImageCache();
@@ -224,6 +349,24 @@ export default function SettingsModal() {
         dispatch({ type: 'UPDATE_SETTINGS', payload: { [key]: value } });
     };
 
+    const handleDiscoverLocalModels = async () => {
+        setLocalModelStatus('Asking the local server for its models…');
+        try {
+            const models = await listLocalModels(state.settings.localBaseUrl);
+            setLocalModels(models);
+            if (models.length === 0) {
+                setLocalModelStatus('The server answered but lists no models — pull or load one first.');
+                return;
+            }
+            // A blank or stale model would fail every turn; adopt the first listed one.
+            if (!models.includes(state.settings.model)) updateSetting('model', models[0]);
+            setLocalModelStatus(`Found ${models.length} model${models.length === 1 ? '' : 's'}.`);
+        } catch (e) {
+            setLocalModels([]);
+            setLocalModelStatus(`Could not reach the local server: ${e.message}. Is it running, and does it allow this page's origin (CORS)?`);
+        }
+    };
+
     const handleFrontMigration = async () => {
         if (isMigratingFronts || hasRichLivingWorld) return;
         setIsMigratingFronts(true);
@@ -303,16 +446,18 @@ export default function SettingsModal() {
             }
 
             let uploaded = 0;
+            let conflicted = 0;
             for (const save of localSaves) {
                 const savedState = await loadGame(save.slotId);
                 if (savedState) {
-                    const ok = await saveGameToCloud(state.user.uid, save.slotId, savedState);
+                    const ok = await saveGameToCloud(state.user.uid, save.slotId, savedState, { onConflict: () => { conflicted++; } });
                     if (ok) uploaded++;
                 }
             }
 
             await loadSavesList();
-            setSyncStatus(`Uploaded ${uploaded} of ${localSaves.length} local save${localSaves.length === 1 ? '' : 's'} to cloud`);
+            setSyncStatus(`Uploaded ${uploaded} of ${localSaves.length} local save${localSaves.length === 1 ? '' : 's'} to cloud`
+                + (conflicted ? ` — ${conflicted} changed on another device; load ${conflicted === 1 ? 'it' : 'them'} to choose a version` : ''));
         } catch (e) {
             setSyncStatus('');
             setAuthError('Cloud upload failed: ' + e.message);
@@ -320,6 +465,7 @@ export default function SettingsModal() {
     };
 
     const selectedProvider = PROVIDERS[state.settings.llmProvider];
+    const isLocalProvider = !!selectedProvider?.discoverModels;
 
     return (
         <div className="settings-overlay" onClick={handleClose}>
@@ -366,10 +512,16 @@ export default function SettingsModal() {
                                     value={state.settings.llmProvider}
                                     onChange={(e) => {
                                         updateSetting('llmProvider', e.target.value);
-                                        // Reset model to first model of new provider
+                                        // Reset model to first model of new provider; a
+                                        // discovered-model provider starts blank until
+                                        // its server's list is fetched.
                                         const newProvider = PROVIDERS[e.target.value];
                                         if (newProvider?.models?.[0]) {
                                             updateSetting('model', newProvider.models[0].id);
+                                        } else if (newProvider?.discoverModels) {
+                                            updateSetting('model', '');
+                                            setLocalModels([]);
+                                            setLocalModelStatus('');
                                         }
                                     }}
                                 >
@@ -379,27 +531,50 @@ export default function SettingsModal() {
                                 </select>
                             </div>
 
+                            {isLocalProvider && (
+                                <div className="setting-group">
+                                    <label className="setting-label">Server URL</label>
+                                    <input
+                                        type="text"
+                                        className="setting-input"
+                                        value={state.settings.localBaseUrl || ''}
+                                        onChange={(e) => updateSetting('localBaseUrl', e.target.value)}
+                                        placeholder={DEFAULT_LOCAL_BASE_URL}
+                                    />
+                                    <p className="setting-hint">
+                                        The OpenAI-compatible root of your model server. Ollama serves
+                                        {' '}{DEFAULT_LOCAL_BASE_URL}; llama.cpp&apos;s llama-server serves
+                                        http://localhost:8080/v1. The server must allow requests from this
+                                        page&apos;s origin (for Ollama, set OLLAMA_ORIGINS).
+                                    </p>
+                                </div>
+                            )}
+
                             <div className="setting-group">
-                                <label className="setting-label">API Key</label>
+                                <label className="setting-label">{isLocalProvider ? 'API Key (optional)' : 'API Key'}</label>
                                 <input
                                     type="password"
                                     className="setting-input"
                                     value={state.settings.apiKey}
                                     onChange={(e) => updateSetting('apiKey', e.target.value)}
-                                    placeholder="Enter your API key..."
+                                    placeholder={isLocalProvider ? 'Leave blank unless your server requires one' : 'Enter your API key...'}
                                 />
                                 <p className="setting-hint">
                                     {state.settings.llmProvider === 'gemini'
                                         ? 'Get a free key at aistudio.google.com'
                                         : state.settings.llmProvider === 'xai'
                                             ? 'Get a key at console.x.ai — the same kind of key as scene art below. Keys pasted without the xai- prefix are normalized automatically.'
-                                            : 'Get a key at platform.openai.com'}
+                                            : isLocalProvider
+                                                ? 'Only needed when the server was started with an API key (e.g. llama-server --api-key).'
+                                                : 'Get a key at platform.openai.com'}
                                 </p>
                             </div>
 
                             {state.settings.llmProvider !== 'gemini' && (
                                 <div className="setting-group">
-                                    <label className="setting-label">Gemini API Key (game memory — required)</label>
+                                    <label className="setting-label">
+                                        {isLocalProvider ? 'Gemini API Key (game memory — optional)' : 'Gemini API Key (game memory — required)'}
+                                    </label>
                                     <input
                                         type="password"
                                         className="setting-input"
@@ -407,33 +582,120 @@ export default function SettingsModal() {
                                         onChange={(e) => updateSetting('geminiApiKey', e.target.value)}
                                         placeholder="Enter your Gemini API key..."
                                     />
+                                    {isLocalProvider ? (
+                                        <p className="setting-hint">
+                                            Without this key the campaign machinery — the Scribe world-state extractor,
+                                            journal summaries, loot audits, and roll-policy checks — runs on your local
+                                            server too, so no hosted key is needed. Entering a key moves the machinery
+                                            (and long-term memory embeddings) to Gemini.
+                                        </p>
+                                    ) : (
+                                        <p className="setting-hint">
+                                            The campaign machinery — long-term vector memory (RAG), the Scribe world-state
+                                            extractor, journal summaries, loot audits, and roll-policy checks — always runs
+                                            on Gemini Flash regardless of your DM provider. Playing without it would quietly
+                                            break long campaigns, so the game will not start until this key is set. Get a
+                                            free key at aistudio.google.com.
+                                        </p>
+                                    )}
+                                </div>
+                            )}
+
+                            {isLocalProvider ? (
+                                <div className="setting-group">
+                                    <div className="setting-label-row">
+                                        <label className="setting-label">Model</label>
+                                        <button
+                                            type="button"
+                                            className="setting-inline-btn"
+                                            onClick={handleDiscoverLocalModels}
+                                        >
+                                            Discover models
+                                        </button>
+                                    </div>
+                                    <input
+                                        type="text"
+                                        className="setting-input"
+                                        list="local-model-options"
+                                        value={state.settings.model || ''}
+                                        onChange={(e) => updateSetting('model', e.target.value)}
+                                        placeholder="e.g. llama3.1:8b"
+                                    />
+                                    <datalist id="local-model-options">
+                                        {localModels.map(id => <option key={id} value={id} />)}
+                                    </datalist>
+                                    <p className="setting-hint">
+                                        {localModelStatus || 'Discover lists the models your server has loaded, or type a model name.'}
+                                    </p>
+                                </div>
+                            ) : (
+                                <div className="setting-group">
+                                    <label className="setting-label">Model</label>
+                                    <select
+                                        className="setting-select"
+                                        value={state.settings.model}
+                                        onChange={(e) => updateSetting('model', e.target.value)}
+                                    >
+                                        {selectedProvider?.models?.map(m => (
+                                            <option key={m.id} value={m.id}>
+                                                {m.name}
+                                            </option>
+                                        ))}
+                                    </select>
+                                    {selectedProvider?.models?.find(m => m.id === state.settings.model)?.description && (
+                                        <p className="setting-hint">
+                                            {selectedProvider.models.find(m => m.id === state.settings.model).description}
+                                        </p>
+                                    )}
+                                </div>
+                            )}
+
+                            {usesLocalMachinery(state.settings) && (
+                                <div className="setting-group">
+                                    <label className="setting-label">Machinery Model (optional)</label>
+                                    <input
+                                        type="text"
+                                        className="setting-input"
+                                        list="local-model-options"
+                                        value={state.settings.localMachineryModel || ''}
+                                        onChange={(e) => updateSetting('localMachineryModel', e.target.value)}
+                                        placeholder={state.settings.model || 'Same as the DM model'}
+                                    />
                                     <p className="setting-hint">
-                                        The campaign machinery — long-term vector memory (RAG), the Scribe world-state
-                                        extractor, journal summaries, loot audits, and roll-policy checks — always runs
-                                        on Gemini Flash regardless of your DM provider. Playing without it would quietly
-                                        break long campaigns, so the game will not start until this key is set. Get a
-                                        free key at aistudio.google.com.
+                                        The background Scribe, journal, and audit calls are short JSON extractions — a
+                                        smaller, faster model on the same server usually keeps turns snappier. Blank
+                                        uses the DM model.
                                     </p>
                                 </div>
                             )}
 
                             <div className="setting-group">
-                                <label className="setting-label">Model</label>
+                                <label className="setting-label">Memory Embeddings (RAG)</label>
                                 <select
                                     className="setting-select"
-                                    value={state.settings.model}
-                                    onChange={(e) => updateSetting('model', e.target.value)}
+                                    value={state.settings.embeddingProvider || 'auto'}
+                                    onChange={(e) => updateSetting('embeddingProvider', e.target.value)}
                                 >
-                                    {selectedProvider?.models?.map(m => (
-                                        <option key={m.id} value={m.id}>
-                                            {m.name}
-                                        </option>
+                                    {Object.entries(EMBEDDING_PROVIDERS).map(([id, option]) => (
+                                        <option key={id} value={id}>{option.name}</option>
                                     ))}
                                 </select>
-                                {selectedProvider?.models?.find(m => m.id === state.settings.model)?.description && (
-                                    <p className="setting-hint">
-                                        {selectedProvider.models.find(m => m.id === state.settings.model).description}
-                                    </p>
+                                <p className="setting-hint">
+                                    Long-term memory retrieval currently uses{' '}
+                                    <strong>{EMBEDDING_PROVIDERS[resolveEmbeddingProvider(state.settings)].name}</strong>.
+                                    {' '}Automatic prefers Gemini, then a local embedding model, then OpenAI, then offline
+                                    keyword vectors that need no network. Switching re-embeds this campaign&apos;s memories
+                                    in the background — vectors from different embedders are never mixed.
+                                </p>
+                                {isLocalProvider && (
+                                    <input
+                                        type="text"
+                                        className="setting-input"
+                                        list="local-model-options"
+                                        value={state.settings.localEmbeddingModel || ''}
+                                        onChange={(e) => updateSetting('localEmbeddingModel', e.target.value)}
+                                        placeholder="Local embedding model, e.g. nomic-embed-text"
+                                    />
                                 )}
                             </div>
 
@@ -505,6 +767,46 @@ export default function SettingsModal() {
                                 </p>
                             </div>
 
+                            <div className="setting-group">
+                                <label className="setting-label">Survival Rules (this campaign)</label>
+                                <select
+                                    className="setting-select"
+                                    value={typeof state.session?.survivalRules === 'boolean' ? (state.session.survivalRules ? 'on' : 'off') : 'preset'}
+                                    onChange={(e) => dispatch({
+                                        type: 'UPDATE_SESSION',
+                                        payload: { survivalRules: e.target.value === 'preset' ? undefined : e.target.value === 'on' },
+                                    })}
+                                    disabled={!state.character}
+                                >
+                                    <option value="preset">Follow the preset — on for {PRESETS.grimdark.name}</option>
+                                    <option value="on">On — hunger, thirst, cold and six-level exhaustion</option>
+                                    <option value="off">Off</option>
+                                </select>
+                                <p className="setting-hint">
+                                    Every day eats a ration and drinks from your waterskins; winter in the open and
+                                    forced marches call for Constitution saves. Hardship raises exhaustion one level
+                                    at a time — level 6 is death — and a long rest with food and water lifts one.
+                                </p>
+                            </div>
+
+                            <div className="setting-group">
+                                <label className="setting-label">Multiclassing (this campaign)</label>
+                                <select
+                                    className="setting-select"
+                                    value={state.session?.multiclassing === true ? 'on' : 'off'}
+                                    onChange={(e) => dispatch({ type: 'UPDATE_SESSION', payload: { multiclassing: e.target.value === 'on' } })}
+                                    disabled={!state.character}
+                                >
+                                    <option value="on">On — choose the class that gains each new level</option>
+                                    <option value="off">Off — every level goes to your first class</option>
+                                </select>
+                                <p className="setting-hint">
+                                    A new level waits in the character sheet until you pick its class. Taking a second
+                                    class needs 13 in the abilities both classes rely on; spell slots from every
+                                    casting class pool together.
+                                </p>
+                            </div>
+
                             <div className="setting-group living-world-migration">
                                 <div className="setting-label-row">
                                     <label className="setting-label">Living World</label>
@@ -528,14 +830,14 @@ export default function SettingsModal() {
                                         type="button"
                                         className="btn btn-primary"
                                         onClick={handleFrontMigration}
-                                        disabled={isMigratingFronts || !state.character || !state.session?.id || !state.settings.apiKey || state.combat?.active}
+                                        disabled={isMigratingFronts || !state.character || !state.session?.id || !isDmReady(state.settings) || state.combat?.active}
                                     >
                                         {isMigratingFronts
                                             ? 'Upgrading Dynamic World…'
                                             : 'Upgrade This Campaign to Dynamic World v2'}
                                     </button>
                                 )}
-                                {!state.settings.apiKey && !hasRichLivingWorld && (
+                                {!isDmReady(state.settings) && !hasRichLivingWorld && (
                                     <p className="setting-hint">Set your DM API key before running this one-time private upgrade.</p>
                                 )}
                                 {state.combat?.active && !hasRichLivingWorld && (
@@ -617,16 +919,127 @@ export default function SettingsModal() {
                                 </div>
                             )}
 
+                            {state.character && state.session?.id && (
+                                <BranchFromTurn state={state} onBranched={loadSavesList} />
+                            )}
+
+                            <div className="saves-list campaign-bundle">
+                                <h4 className="saves-list-title">Campaign File</h4>
+                                {state.character && (
+                                    <div className="campaign-bundle-options">
+                                        <label>
+                                            <input type="checkbox" checked={bundleVectors} onChange={(e) => setBundleVectors(e.target.checked)} />
+                                            {' '}Include memory vectors
+                                        </label>
+                                        <label>
+                                            <input type="checkbox" checked={bundlePortraits} onChange={(e) => setBundlePortraits(e.target.checked)} />
+                                            {' '}Include portraits
+                                        </label>
+                                    </div>
+                                )}
+                                <div className="save-new">
+                                    {state.character && (
+                                        <button className="btn btn-secondary" onClick={handleExportBundle}>
+                                            Export Campaign
+                                        </button>
+                                    )}
+                                    <button className="btn btn-secondary" onClick={() => bundleInputRef.current?.click()}>
+                                        Import Campaign…
+                                    </button>
+                                    <input
+                                        ref={bundleInputRef}
+                                        type="file"
+                                        accept=".json,application/json"
+                                        style={{ display: 'none' }}
+                                        onChange={handleBundleFile}
+                                    />
+                                </div>
+                                <p className="setting-hint">
+                                    One file with the whole campaign — state, journal, chronicle, story memory, fronts
+                                    and places — to hand to a teammate or keep outside the browser. Vectors spare the
+                                    importer a re-embed; portraits make the file larger.
+                                </p>
+                                {bundleStatus && <div className="auth-status" style={{ margin: '0.5rem 0', fontSize: '0.8rem' }}>{bundleStatus}</div>}
+                                {bundleImport && (
+                                    <div className="save-slot campaign-bundle-preview">
+                                        <div className="save-info">
+                                            <div className="save-name">{bundleImport.preview.name}</div>
+                                            <div className="save-meta">
+                                                {bundleImport.preview.characterName} · Lv.{bundleImport.preview.characterLevel} {bundleImport.preview.characterClass}
+                                                {` · HP ${bundleImport.preview.characterHP}/${bundleImport.preview.characterMaxHP}`}
+                                                {bundleImport.preview.location ? ` · ${bundleImport.preview.location}` : ''}
+                                            </div>
+                                            <div className="save-meta">
+                                                {bundleImport.preview.messageCount} messages · {bundleImport.preview.journalCount} journal entries
+                                                {' · '}{bundleImport.preview.chronicleCount} chronicle chapters · {bundleImport.preview.storyMemoryCount} story cards
+                                                {' · '}{bundleImport.preview.frontCount} fronts · {bundleImport.preview.locationCount} places
+                                            </div>
+                                            <div className="save-meta">
+                                                {bundleImport.preview.vectorCount ? `${bundleImport.preview.vectorCount} memory vectors` : 'No memory vectors — memories re-embed on load'}
+                                                {` · ${bundleImport.preview.portraitCount} portraits`}
+                                            </div>
+                                            {bundleImport.preview.dropped.length > 0 && (
+                                                <div className="save-meta">
+                                                    Skipped as unreadable: {bundleImport.preview.dropped.map(({ label, count }) => `${count} ${label}`).join(', ')}
+                                                </div>
+                                            )}
+                                            {bundleImport.preview.importedFromSessionId
+                                                && (bundleImport.preview.importedFromSessionId === state.session?.id
+                                                    || saves.some(save => save.sessionId === bundleImport.preview.importedFromSessionId)) && (
+                                                <div className="save-meta">
+                                                    This campaign is already on this device — it loads as a separate copy and leaves yours untouched.
+                                                </div>
+                                            )}
+                                            {bundleImport.preview.exportedAt && (
+                                                <div className="save-date">
+                                                    Exported {new Date(bundleImport.preview.exportedAt).toLocaleString()}
+                                                </div>
+                                            )}
+                                        </div>
+                                        <div className="save-actions">
+                                            <button className="btn btn-sm btn-primary" title="Replace the current game with this campaign" onClick={handleConfirmBundle}>
+                                                Load
+                                            </button>
+                                            <button className="btn btn-sm" onClick={() => setBundleImport(null)}>
+                                                Cancel
+                                            </button>
+                                        </div>
+                                    </div>
+                                )}
+                            </div>
+
                             <div className="saves-list">
                                 <h4 className="saves-list-title">Saved Games</h4>
+                                {compareSlots.length > 0 && (
+                                    <div className="save-new">
+                                        <span className="setting-hint">
+                                            Comparing {compareSlots.map(slot => `"${slot.name}"`).join(' and ')}
+                                            {compareSlots.length < 2 ? ' — pick one more save' : ''}
+                                        </span>
+                                        <button className="btn btn-sm btn-secondary" disabled={compareSlots.length !== 2} onClick={handleCompareJournals}>
+                                            Compare Journals
+                                        </button>
+                                        <button className="btn btn-sm" onClick={() => { setCompareSlots([]); setJournalComparison(null); }}>
+                                            Clear
+                                        </button>
+                                    </div>
+                                )}
+                                {journalComparison && (
+                                    <JournalCompare {...journalComparison} onClose={() => setJournalComparison(null)} />
+                                )}
                                 {saves.length === 0 && cloudSaves.length === 0 ? (
                                     <div className="saves-empty">No saved games yet</div>
                                 ) : (
                                     <>
                                         {cloudSaves.length > 0 && <div className="saves-empty" style={{ textAlign: 'left', margin: '0 0 10px' }}>Cloud Saves</div>}
-                                        {cloudSaves.map(save => (
-                                            <div key={`cloud-${save.slotId}`} className="save-slot">
+                                        {buildSaveTree(cloudSaves).map(({ save, depth, forksFrom }) => (
+                                            <div key={`cloud-${save.slotId}`} className={`save-slot${depth ? ' save-branch' : ''}`} style={depth ? { marginLeft: `${depth * 1.25}rem` } : undefined}>
                                                 <div className="save-info">
+                                                    {forksFrom && (
+                                                        <div className="save-branch-point">
+                                                            ↳ Branched{forksFrom.parentName ? ` from "${forksFrom.parentName}"` : ''}{forksFrom.branchPoint != null ? ` at turn ${forksFrom.branchPoint}` : ''}
+                                                        </div>
+                                                    )}
                                                     <div className="save-name">{save.name}</div>
                                                     <div className="save-meta">
                                                         {save.characterName} · Lv.{save.characterLevel} {save.characterClass}
@@ -653,6 +1066,9 @@ export default function SettingsModal() {
                                                             Overwrite
                                                         </button>
                                                     )}
+                                                    <button className={`btn btn-sm${compareSlots.some(slot => slot.key === `cloud:${save.slotId}`) ? ' btn-secondary' : ''}`} title="Compare this save's journal with another" onClick={() => handleToggleCompare(save, true)}>
+                                                        Compare
+                                                    </button>
                                                     <button className="btn btn-sm btn-danger" title="Delete this cloud save" onClick={() => handleDeleteCloud(save.slotId, save.name)}>
                                                         ✕
                                                     </button>
@@ -661,9 +1077,14 @@ export default function SettingsModal() {
                                         ))}
 
                                         {saves.length > 0 && <div className="saves-empty" style={{ textAlign: 'left', margin: '15px 0 10px' }}>Local Saves</div>}
-                                        {saves.map(save => (
-                                            <div key={save.slotId} className="save-slot">
+                                        {buildSaveTree(saves).map(({ save, depth, forksFrom }) => (
+                                            <div key={save.slotId} className={`save-slot${depth ? ' save-branch' : ''}`} style={depth ? { marginLeft: `${depth * 1.25}rem` } : undefined}>
                                                 <div className="save-info">
+                                                    {forksFrom && (
+                                                        <div className="save-branch-point">
+                                                            ↳ Branched{forksFrom.parentName ? ` from "${forksFrom.parentName}"` : ''}{forksFrom.branchPoint != null ? ` at turn ${forksFrom.branchPoint}` : ''}
+                                                        </div>
+                                                    )}
                                                     <div className="save-name">{save.name}</div>
                                                     <div className="save-meta">
                                                         {save.characterName} · Lv.{save.characterLevel} {save.characterClass}
@@ -690,6 +1111,9 @@ export default function SettingsModal() {
                                                             Overwrite
                                                         </button>
                                                     )}
+                                                    <button className={`btn btn-sm${compareSlots.some(slot => slot.key === `local:${save.slotId}`) ? ' btn-secondary' : ''}`} title="Compare this save's journal with another" onClick={() => handleToggleCompare(save, false)}>
+                                                        Compare
+                                                    </button>
                                                     <button className="btn btn-sm btn-danger" onClick={() => handleDelete(save.slotId)}>
                                                         ✕
                                                     </button>
@@ -789,6 +1213,14 @@ export default function SettingsModal() {
                         </div>
                     )}
                 </div>
+                {cloudConflict && (
+                    <CloudConflictDialog
+                        conflict={cloudConflict}
+                        isResolving={isResolvingConflict}
+                        onResolve={handleResolveConflict}
+                        onCancel={() => { if (!isResolvingConflict) setCloudConflict(null); }}
+                    />
+                )}
             </div>
         </div>
     );
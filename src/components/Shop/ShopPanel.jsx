@@ -0,0 +1,104 @@
+import { useState } from 'react';
+import { useGame } from '../../state/GameContext.jsx';
+import { ITEM_CATALOG } from '../../data/items.js';
+import { characterCurrencyToCopper, formatCurrency } from '../../engine/currency.js';
+import { getCurrentLocationRecord } from '../../engine/locationRegistry.js';
+import {
+    currentMerchantView,
+    describeHaggle,
+    getMerchantsHere,
+    merchantBuyPriceCp,
+    merchantSellPriceCp,
+    regionalPriceMultiplier,
+} from '../../engine/merchants.js';
+import './Shop.css';
+
+/**
+ * Trade with the merchants where the hero stands. Buying and selling settle
+ * in the reducer with no DM turn (the DM reads the shop line next turn);
+ * haggling stages an ordinary roleplay check in the chat.
+ */
+export default function ShopPanel() {
+    const { state, dispatch } = useGame();
+    const [mode, setMode] = useState('buy');
+    if (state.combat?.active) return null;
+    const merchants = getMerchantsHere(state).map(merchant => currentMerchantView(state, merchant));
+    if (merchants.length === 0) return null;
+
+    const multiplier = regionalPriceMultiplier(getCurrentLocationRecord(state.locations, state.currentLocation), state.fronts);
+    const purseCp = characterCurrencyToCopper(state.character || {});
+    const sellable = (state.inventory || []).filter(item => !item.equipped && item.valueCp > 0);
+
+    return (
+        <div className="shop-panel">
+            <div className="shop-header">
+                <h3 className="shop-title">Shops</h3>
+                <div className="shop-mode">
+                    <button className={`shop-mode-btn ${mode === 'buy' ? 'active' : ''}`} onClick={() => setMode('buy')}>Buy</button>
+                    <button className={`shop-mode-btn ${mode === 'sell' ? 'active' : ''}`} onClick={() => setMode('sell')}>Sell</button>
+                </div>
+            </div>
+            <div className="shop-purse">Purse: {formatCurrency(purseCp)}</div>
+
+            {merchants.map(merchant => (
+                <div key={merchant.id} className="shop-merchant">
+                    <div className="shop-merchant-header">
+                        <div className="shop-merchant-info">
+                            <span className="shop-merchant-name">{merchant.name}</span>
+                            <span className="shop-merchant-terms">{merchant.kind} · {describeHaggle(merchant)}</span>
+                        </div>
+                        <button
+                            className="btn btn-sm shop-haggle-btn"
+                            disabled={!!merchant.haggle || !!state.pendingRoleplayCheck}
+                            onClick={() => dispatch({ type: 'START_HAGGLE', payload: { merchantId: merchant.id } })}
+                            title={merchant.haggle ? 'Already haggled — terms hold until the next restock' : 'Haggle over prices (a Persuasion check)'}
+                        >
+                            Haggle
+                        </button>
+                    </div>
+
+                    <div className="shop-list">
+                        {mode === 'buy' && merchant.stock.filter(line => line.quantity > 0).map(line => {
+                            const item = ITEM_CATALOG[line.itemKey];
+                            const priceCp = merchantBuyPriceCp(item.valueCp, multiplier, merchant);
+                            return (
+                                <div key={line.itemKey} className="shop-row">
+                                    <span className="shop-row-name">{item.name}</span>
+                                    <span className="shop-row-stock">×{line.quantity}</span>
+                                    <span className="shop-row-price">{formatCurrency(priceCp)}</span>
+                                    <button
+                                        className="shop-row-btn"
+                                        disabled={priceCp > purseCp}
+                                        onClick={() => dispatch({ type: 'BUY_FROM_MERCHANT', payload: { merchantId: merchant.id, itemKey: line.itemKey, quantity: 1 } })}
+                                    >
+                                        Buy
+                                    </button>
+                                </div>
+                            );
+                        })}
+                        {mode === 'buy' && !merchant.stock.some(line => line.quantity > 0) && (
+                            <div className="shop-empty">Sold out until the next restock</div>
+                        )}
+
+                        {mode === 'sell' && sellable.map(item => (
+                            <div key={item.id} className="shop-row">
+                                <span className="shop-row-name">{item.name}</span>
+                                <span className="shop-row-stock">{item.quantity > 1 ? `×${item.quantity}` : ''}</span>
+                                <span className="shop-row-price">{formatCurrency(merchantSellPriceCp(item.valueCp, merchant))}</span>
+                                <button
+                                    className="shop-row-btn"
+                                    onClick={() => dispatch({ type: 'SELL_TO_MERCHANT', payload: { merchantId: merchant.id, itemId: item.id, quantity: 1 } })}
+                                >
+                                    Sell
+                                </button>
+                            </div>
+                        ))}
+                        {mode === 'sell' && sellable.length === 0 && (
+                            <div className="shop-empty">Nothing to sell — unequip gear first</div>
+                        )}
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+}
@@ -0,0 +1,95 @@
+import { useState } from 'react';
+import { useGame } from '../../state/GameContext.jsx';
+import { getCurrentLocationRecord } from '../../engine/locationRegistry.js';
+import { countProvisions, describeJourney, journeyRationEstimate, planJourney } from '../../engine/travel.js';
+import { FORCED_MARCH_DC, isSurvivalEnabled } from '../../engine/survival.js';
+import './Travel.css';
+
+function describeRoute(journey) {
+    return journey.legs
+        .map(leg => `${leg.region}${leg.uncharted ? ' (uncharted)' : ''} · ${leg.danger}`)
+        .join(' → ');
+}
+
+/**
+ * Set out for a known place. The route, the daily checks and the provisions
+ * are the engine's (engine/travel.js); the reducer walks the legs with no DM
+ * turn and cues a narration on arrival or when the road throws an encounter.
+ */
+export default function TravelPanel() {
+    const { state, dispatch } = useGame();
+    const [destination, setDestination] = useState('');
+    const [forcedMarch, setForcedMarch] = useState(false);
+    const character = state.character;
+    if (!character || character.isDead || state.combat?.active) return null;
+
+    const journey = state.journey;
+    const here = getCurrentLocationRecord(state.locations, state.currentLocation);
+    const destinations = here ? (state.locations || []).filter(record => record.id !== here.id) : [];
+    const travelers = 1 + (state.party || []).filter(companion => companion && companion.status !== 'dead').length;
+    const rations = countProvisions(state.inventory, 'rations');
+    const torches = countProvisions(state.inventory, 'torch');
+    const survival = isSurvivalEnabled(state);
+    // Survival rules only: a lost leg costs a CON save instead of a day.
+    const forcedMarchToggle = survival && (
+        <label className="travel-terms travel-forced-march" title={`A lost leg costs a DC ${FORCED_MARCH_DC} Constitution save instead of a day`}>
+            <input type="checkbox" checked={forcedMarch} onChange={e => setForcedMarch(e.target.checked)} />
+            Forced march
+        </label>
+    );
+    const plan = !journey && destination
+        ? planJourney({ locations: state.locations, currentLocation: state.currentLocation, destination, fronts: state.fronts })
+        : null;
+
+    return (
+        <div className="travel-panel">
+            <div className="travel-header">
+                <h3 className="travel-title">Travel</h3>
+                <span className="travel-supplies">{rations} rations · {torches} torches</span>
+            </div>
+
+            {journey && (
+                <div className="travel-journey">
+                    <div className="travel-journey-name">{journey.origin} → {journey.destination}</div>
+                    <div className="travel-terms">Halted: {describeJourney(journey)}</div>
+                    <div className="travel-terms">About {journeyRationEstimate(journey, travelers)} rations for the rest of the road</div>
+                    {forcedMarchToggle}
+                    <div className="travel-actions">
+                        <button className="travel-btn" onClick={() => dispatch({ type: 'CONTINUE_JOURNEY', payload: { forcedMarch: survival && forcedMarch } })}>Continue</button>
+                        <button className="travel-btn travel-btn-quiet" onClick={() => dispatch({ type: 'ABANDON_JOURNEY' })}>Abandon</button>
+                    </div>
+                </div>
+            )}
+
+            {!journey && !here && <div className="travel-empty">Journeys set out from a known place</div>}
+            {!journey && here && destinations.length === 0 && <div className="travel-empty">No other places known yet</div>}
+
+            {!journey && here && destinations.length > 0 && (
+                <div className="travel-plan">
+                    <select className="travel-input" value={destination} onChange={e => setDestination(e.target.value)}>
+                        <option value="">Choose a destination…</option>
+                        {destinations.map(record => <option key={record.id} value={record.name}>{record.name}</option>)}
+                    </select>
+                    {plan && (
+                        <div className="travel-terms">
+                            {plan.ok
+                                ? `${describeRoute(plan.journey)} · ${plan.journey.legs.length} day${plan.journey.legs.length === 1 ? '' : 's'} · about ${journeyRationEstimate(plan.journey, travelers)} rations`
+                                : plan.reason}
+                        </div>
+                    )}
+                    {forcedMarchToggle}
+                    <button
+                        className="btn btn-sm travel-begin"
+                        disabled={!plan?.ok}
+                        onClick={() => {
+                            dispatch({ type: 'START_JOURNEY', payload: { destination, forcedMarch: survival && forcedMarch } });
+                            setDestination('');
+                        }}
+                    >
+                        Set out
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+}
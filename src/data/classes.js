@@ -1,10 +1,24 @@
 /**
  * Class definitions — simplified D&D 5e-inspired.
- * Core four classes, each with distinct mechanical identity.
+ * Eight classes, each with distinct mechanical identity.
  *
  * `features` — text descriptions granted at each level (shown on character sheet, sent to LLM)
- * `resources` — tracked per-rest abilities with real mechanical backing
+ * `resources` — tracked per-rest abilities with real mechanical backing. `max` is a
+ *   flat use count; `maxPerLevel` scales it with class level (a Lay on Hands HP
+ *   pool), and `maxFromAbility` sets it to that ability's modifier (+`maxBonus`,
+ *   min 1). `shortRestFromLevel` moves a long-rest resource to short-rest recovery
+ *   from that level on (Font of Inspiration).
+ * `spellcasting` — slot progression for casters: 'full' (wizard table), 'half'
+ *   (slots from level 2, on the Ranger/Paladin table), or 'pact' (a few Warlock
+ *   slots, all at one level, back on every short rest). Spells cast with
+ *   `spellcastingAbility`.
+ * `extraAttackLevel` — level at which an Attack action makes two strikes
  * `numSkillChoices` — how many skills the player picks at character creation
+ * `multiclass` — the 5e multiclassing rules for taking this class as a second
+ *   (or later) class: `prerequisites` is a list of alternatives, each a set of
+ *   minimum scores that must ALL be met (Fighter: STR 13 or DEX 13; Paladin:
+ *   STR 13 and CHA 13); `armor`/`weapons`/`skills` are the narrower
+ *   proficiencies the class grants when it is not the first class.
  * `abilityGuidance` — creation-time advice: `priority` orders all six abilities
  *   best-first for this class (the standard array is offered in that order), and
  *   `notes` explains WHY in terms of what this engine actually does with the score.
@@ -18,6 +32,7 @@ export const CLASSES = {
         hitDie: 10,
         primaryAbility: 'strength',
         savingThrows: ['strength', 'constitution'],
+        extraAttackLevel: 5,
         abilityGuidance: {
             priority: ['strength', 'constitution', 'dexterity', 'wisdom', 'charisma', 'intelligence'],
             notes: {
@@ -44,6 +59,7 @@ export const CLASSES = {
         weaponProficiencies: ['simple', 'martial'],
         skillChoices: ['acrobatics', 'athletics', 'intimidation', 'perception', 'survival', 'animalHandling'],
         numSkillChoices: 2,
+        multiclass: { prerequisites: [{ strength: 13 }, { dexterity: 13 }], armor: ['light', 'medium', 'shields'], weapons: ['simple', 'martial'], skills: 0 },
         features: {
             1: ['Second Wind', 'Fighting Style'],
             2: ['Action Surge'],
@@ -110,6 +126,8 @@ export const CLASSES = {
         description: 'Scholarly magic-users who harness arcane power through study and intellect.',
         hitDie: 6,
         primaryAbility: 'intelligence',
+        spellcastingAbility: 'intelligence',
+        spellcasting: 'full',
         savingThrows: ['intelligence', 'wisdom'],
         abilityGuidance: {
             priority: ['intelligence', 'constitution', 'dexterity', 'wisdom', 'charisma', 'strength'],
@@ -126,6 +144,7 @@ export const CLASSES = {
         weaponProficiencies: ['daggers', 'darts', 'slings', 'quarterstaffs', 'light crossbows'],
         skillChoices: ['arcana', 'history', 'insight', 'investigation', 'medicine', 'religion'],
         numSkillChoices: 2,
+        multiclass: { prerequisites: [{ intelligence: 13 }], armor: [], weapons: [], skills: 0 },
         features: {
             1: ['Spellcasting', 'Arcane Recovery'],
             2: ['Arcane Tradition'],
@@ -178,6 +197,7 @@ export const CLASSES = {
         weaponProficiencies: ['simple', 'hand crossbows', 'longswords', 'rapiers', 'shortswords'],
         skillChoices: ['acrobatics', 'athletics', 'deception', 'insight', 'intimidation', 'investigation', 'perception', 'performance', 'persuasion', 'sleightOfHand', 'stealth'],
         numSkillChoices: 4, // Rogues are the skill class — they get 4
+        multiclass: { prerequisites: [{ dexterity: 13 }], armor: ['light'], weapons: [], skills: 1 },
         features: {
             1: ['Sneak Attack (1d6)', 'Expertise', "Thieves' Cant"],
             2: ['Cunning Action'],
@@ -205,6 +225,8 @@ export const CLASSES = {
         description: 'Divine spellcasters who channel the power of their deity to heal and protect.',
         hitDie: 8,
         primaryAbility: 'wisdom',
+        spellcastingAbility: 'wisdom',
+        spellcasting: 'full',
         savingThrows: ['wisdom', 'charisma'],
         abilityGuidance: {
             priority: ['wisdom', 'constitution', 'strength', 'dexterity', 'charisma', 'intelligence'],
@@ -221,6 +243,7 @@ export const CLASSES = {
         weaponProficiencies: ['simple'],
         skillChoices: ['history', 'insight', 'medicine', 'persuasion', 'religion'],
         numSkillChoices: 2,
+        multiclass: { prerequisites: [{ wisdom: 13 }], armor: ['light', 'medium', 'shields'], weapons: [], skills: 0 },
         features: {
             1: ['Spellcasting', 'Divine Domain'],
             2: ['Channel Divinity'],
@@ -249,6 +272,219 @@ export const CLASSES = {
             { name: 'Holy Symbol', type: 'gear', weight: 1 },
         ],
     },
+    ranger: {
+        name: 'Ranger',
+        description: 'Wilderness hunters who mark their quarry and strike from the treeline with bow and blade.',
+        hitDie: 10,
+        primaryAbility: 'dexterity',
+        spellcastingAbility: 'wisdom',
+        spellcasting: 'half',
+        savingThrows: ['strength', 'dexterity'],
+        extraAttackLevel: 5,
+        abilityGuidance: {
+            priority: ['dexterity', 'wisdom', 'constitution', 'strength', 'intelligence', 'charisma'],
+            notes: {
+                dexterity: 'Attack and damage with your bow and shortswords, your AC in light or medium armour, and Stealth.',
+                wisdom: "Your spell save DC and the healing in Cure Wounds, plus Perception and Survival — a ranger's senses.",
+                constitution: 'Hit points at every level on a d10 hit die.',
+                strength: 'Athletics and your first saving-throw proficiency. Finesse blades and bows never need it.',
+                intelligence: 'Nature and Investigation when you read the land rather than listen to it.',
+                charisma: 'Rarely called for in the wilds — the safest place for your lowest score.',
+            },
+        },
+        armorProficiencies: ['light', 'medium', 'shields'],
+        weaponProficiencies: ['simple', 'martial'],
+        skillChoices: ['animalHandling', 'athletics', 'insight', 'investigation', 'nature', 'perception', 'stealth', 'survival'],
+        numSkillChoices: 3,
+        multiclass: { prerequisites: [{ dexterity: 13, wisdom: 13 }], armor: ['light', 'medium', 'shields'], weapons: ['simple', 'martial'], skills: 1 },
+        features: {
+            1: ['Favored Enemy', 'Natural Explorer'],
+            2: ['Spellcasting', "Hunter's Mark"],
+            3: ['Ranger Archetype', 'Primeval Awareness'],
+            4: ['Ability Score Improvement'],
+            5: ['Extra Attack'],
+            8: ['Ability Score Improvement'],
+            9: ['3rd-Level Spells'],
+            12: ['Ability Score Improvement'],
+            16: ['Ability Score Improvement'],
+            19: ['Ability Score Improvement'],
+        },
+        resources: {
+            // Hunter's Mark runs on spell slots — no resource tracking needed
+        },
+        startingEquipment: [
+            { name: 'Leather Armor', type: 'armor', armorType: 'light', baseAC: 11, weight: 10 },
+            { name: 'Longbow', type: 'weapon', damage: '1d8', damageType: 'piercing', weight: 2 },
+            { name: 'Shortsword', type: 'weapon', damage: '1d6', damageType: 'piercing', weight: 2 },
+            { name: "Explorer's Pack", type: 'gear', weight: 10 },
+        ],
+    },
+    paladin: {
+        name: 'Paladin',
+        description: 'Oath-bound holy warriors who heal with a touch and pour divine fire through their blades.',
+        hitDie: 10,
+        primaryAbility: 'strength',
+        spellcastingAbility: 'charisma',
+        spellcasting: 'half',
+        savingThrows: ['wisdom', 'charisma'],
+        extraAttackLevel: 5,
+        abilityGuidance: {
+            priority: ['strength', 'charisma', 'constitution', 'wisdom', 'dexterity', 'intelligence'],
+            notes: {
+                strength: 'Attack and damage with your longsword — every Divine Smite rides on a hit.',
+                charisma: 'Your spell save DC and how often you can use Divine Sense, plus one of your saving-throw proficiencies.',
+                constitution: 'Hit points at every level — you stand at the front with a d10 hit die.',
+                wisdom: 'Your other saving-throw proficiency, Insight, and Perception.',
+                dexterity: 'Your chain mail ignores Dexterity for AC, so only initiative really uses it.',
+                intelligence: 'Least used by a Paladin — the safest place for your lowest score.',
+            },
+        },
+        armorProficiencies: ['light', 'medium', 'heavy', 'shields'],
+        weaponProficiencies: ['simple', 'martial'],
+        skillChoices: ['athletics', 'insight', 'intimidation', 'medicine', 'persuasion', 'religion'],
+        numSkillChoices: 2,
+        multiclass: { prerequisites: [{ strength: 13, charisma: 13 }], armor: ['light', 'medium', 'shields'], weapons: ['simple', 'martial'], skills: 0 },
+        features: {
+            1: ['Divine Sense', 'Lay on Hands'],
+            2: ['Spellcasting', 'Divine Smite'],
+            3: ['Divine Health', 'Sacred Oath'],
+            4: ['Ability Score Improvement'],
+            5: ['Extra Attack'],
+            8: ['Ability Score Improvement'],
+            9: ['3rd-Level Spells'],
+            12: ['Ability Score Improvement'],
+            16: ['Ability Score Improvement'],
+            19: ['Ability Score Improvement'],
+        },
+        resources: {
+            layOnHands: {
+                label: 'Lay on Hands',
+                description: 'Restore HP from a healing pool of 5 × paladin level',
+                maxPerLevel: 5,
+                resetOn: 'long',
+                minLevel: 1,
+                // A pool, not charges: one activation heals up to the missing HP
+                // and spends exactly that much.
+                pool: true,
+                effect: { kind: 'poolHeal' },
+            },
+            divineSense: {
+                label: 'Divine Sense',
+                description: 'Sense celestials, fiends, and undead nearby until the end of your next turn',
+                maxFromAbility: 'charisma',
+                maxBonus: 1,
+                resetOn: 'long',
+                minLevel: 1,
+            },
+        },
+        startingEquipment: [
+            { name: 'Chain Mail', type: 'armor', armorType: 'heavy', baseAC: 16, weight: 55 },
+            { name: 'Longsword', type: 'weapon', damage: '1d8', damageType: 'slashing', weight: 3 },
+            { name: 'Shield', type: 'shield', isShield: true, weight: 6 },
+            { name: "Explorer's Pack", type: 'gear', weight: 10 },
+            { name: 'Holy Symbol', type: 'gear', weight: 1 },
+        ],
+    },
+    bard: {
+        name: 'Bard',
+        description: 'Silver-tongued performers whose words and music inspire allies and unravel foes.',
+        hitDie: 8,
+        primaryAbility: 'charisma',
+        spellcastingAbility: 'charisma',
+        spellcasting: 'full',
+        savingThrows: ['dexterity', 'charisma'],
+        abilityGuidance: {
+            priority: ['charisma', 'dexterity', 'constitution', 'wisdom', 'intelligence', 'strength'],
+            notes: {
+                charisma: 'Your spell save DC, spell attacks, Bardic Inspiration uses, and every Persuasion or Performance roll.',
+                dexterity: 'Your rapier, your AC in leather, initiative, and one of your saving-throw proficiencies.',
+                constitution: 'Hit points at every level — a d8 hit die does not go far on its own.',
+                wisdom: 'Insight and Perception, and the most common saves against charm and fear.',
+                intelligence: 'History and Arcana for the lore-keeper; Jack of All Trades softens a low score.',
+                strength: 'A Bard almost never swings for strength. The safest place for your lowest score.',
+            },
+        },
+        armorProficiencies: ['light'],
+        weaponProficiencies: ['simple', 'hand crossbows', 'longswords', 'rapiers', 'shortswords'],
+        skillChoices: ['acrobatics', 'animalHandling', 'arcana', 'athletics', 'deception', 'history', 'insight', 'intimidation', 'investigation', 'medicine', 'nature', 'perception', 'performance', 'persuasion', 'religion', 'sleightOfHand', 'stealth', 'survival'],
+        numSkillChoices: 3,
+        multiclass: { prerequisites: [{ charisma: 13 }], armor: ['light'], weapons: [], skills: 1 },
+        features: {
+            1: ['Spellcasting', 'Bardic Inspiration (d6)'],
+            2: ['Jack of All Trades', 'Song of Rest'],
+            3: ['Bard College', '2nd-Level Spells'],
+            4: ['Ability Score Improvement'],
+            5: ['Bardic Inspiration (d8)', 'Font of Inspiration', '3rd-Level Spells'],
+            8: ['Ability Score Improvement'],
+            12: ['Ability Score Improvement'],
+            16: ['Ability Score Improvement'],
+            19: ['Ability Score Improvement'],
+        },
+        resources: {
+            bardicInspiration: {
+                label: 'Bardic Inspiration',
+                description: 'Grant a companion an inspiration die to add to one roll',
+                maxFromAbility: 'charisma',
+                resetOn: 'long',
+                shortRestFromLevel: 5,
+                minLevel: 1,
+                actionType: 'bonus',
+            },
+        },
+        startingEquipment: [
+            { name: 'Leather Armor', type: 'armor', armorType: 'light', baseAC: 11, weight: 10 },
+            { name: 'Rapier', type: 'weapon', damage: '1d8', damageType: 'piercing', weight: 2 },
+            { name: 'Dagger', type: 'weapon', damage: '1d4', damageType: 'piercing', weight: 1 },
+            { name: "Entertainer's Pack", type: 'gear', weight: 10 },
+            { name: 'Lute', type: 'gear', weight: 2 },
+        ],
+    },
+    warlock: {
+        name: 'Warlock',
+        description: 'Pact-bound casters who trade with an otherworldly patron for a few potent spells and a curse.',
+        hitDie: 8,
+        primaryAbility: 'charisma',
+        spellcastingAbility: 'charisma',
+        spellcasting: 'pact',
+        savingThrows: ['wisdom', 'charisma'],
+        abilityGuidance: {
+            priority: ['charisma', 'constitution', 'dexterity', 'wisdom', 'intelligence', 'strength'],
+            notes: {
+                charisma: 'Eldritch Blast, Hex, and every other spell runs on it — attack bonus and save DC alike.',
+                constitution: 'Hit points at every level; you stand closer to the fight than a wizard does.',
+                dexterity: 'Your AC in leather armour and your initiative.',
+                wisdom: 'Your first saving-throw proficiency, and the saves that resist charm.',
+                intelligence: 'Arcana and History — what you know about the thing you made a deal with.',
+                strength: 'Your magic does the fighting. The safest place for your lowest score.',
+            },
+        },
+        armorProficiencies: ['light'],
+        weaponProficiencies: ['simple'],
+        skillChoices: ['arcana', 'deception', 'history', 'intimidation', 'investigation', 'nature', 'religion'],
+        numSkillChoices: 2,
+        multiclass: { prerequisites: [{ charisma: 13 }], armor: ['light'], weapons: ['simple'], skills: 0 },
+        features: {
+            1: ['Otherworldly Patron', 'Pact Magic'],
+            2: ['Eldritch Invocations'],
+            3: ['Pact Boon', '2nd-Level Pact Slots'],
+            4: ['Ability Score Improvement'],
+            5: ['3rd-Level Pact Slots'],
+            8: ['Ability Score Improvement'],
+            12: ['Ability Score Improvement'],
+            16: ['Ability Score Improvement'],
+            19: ['Ability Score Improvement'],
+        },
+        resources: {
+            // Pact slots live in spellSlots and refill on every short rest (TAKE_REST)
+        },
+        startingEquipment: [
+            { name: 'Leather Armor', type: 'armor', armorType: 'light', baseAC: 11, weight: 10 },
+            { name: 'Light Crossbow', type: 'weapon', damage: '1d8', damageType: 'piercing', weight: 5 },
+            { name: 'Dagger', type: 'weapon', damage: '1d4', damageType: 'piercing', weight: 1 },
+            { name: "Scholar's Pack", type: 'gear', weight: 10 },
+            { name: 'Arcane Focus', type: 'gear', weight: 1 },
+        ],
+    },
 };
 
 export const CLASS_LIST = Object.keys(CLASSES);
@@ -0,0 +1,76 @@
+/**
+ * Feat definitions — simplified D&D 5e-inspired.
+ * Taken instead of an Ability Score Improvement; each one the engine enforces:
+ *
+ * - `initiativeBonus`: added to the hero's initiative roll — Alert, which also
+ *   keeps the hero from being surprised (START_COMBAT).
+ * - `powerAttack`: the weapon kind whose Attack slot may declare
+ *   `power_attack` for −5 to hit and +10 damage — 'heavy' melee weapons
+ *   (Great Weapon Master) or 'ranged' ones (Sharpshooter).
+ * - `hpPerLevel`: extra max HP per character level (getMaxHitPoints) — Tough.
+ * - `speedBonus`: feet added to the hero's speed — Mobile, whose melee targets
+ *   also get no opportunity attack when the hero moves away.
+ * - `concentrationAdvantage`: concentration saves roll with advantage — War Caster.
+ * - `sentinel`: a foe engaged with the hero that tries to flee provokes the
+ *   hero's opportunity attack, and a hit stops it where it stands.
+ * - `prerequisite`: 'spellcaster' — only a hero with a casting class may take it.
+ * Feat `resources` merge into `character.classResources` like racial ones
+ * (Lucky's luck points, spent by rollResolver on a failed requested d20).
+ */
+
+export const FEATS = {
+    alert: {
+        name: 'Alert',
+        summary: '+5 to initiative, and you cannot be surprised.',
+        initiativeBonus: 5,
+    },
+    greatWeaponMaster: {
+        name: 'Great Weapon Master',
+        summary: 'With a heavy melee weapon, take −5 to hit for +10 damage on an attack you declare it on.',
+        powerAttack: 'heavy',
+    },
+    lucky: {
+        name: 'Lucky',
+        summary: 'Three luck points per long rest; a failed roll the DM calls for (attack, check or save) spends one to roll again and keep the better die.',
+        resources: {
+            luckPoints: {
+                label: 'Luck Points',
+                description: 'Reroll a failed attack roll, ability check or saving throw and keep the better result.',
+                max: 3,
+                resetOn: 'long',
+                passive: 'failed roll',
+            },
+        },
+    },
+    mobile: {
+        name: 'Mobile',
+        summary: '+10 ft speed; a foe you attack in melee gets no opportunity attack when you move away from it that turn.',
+        speedBonus: 10,
+    },
+    sentinel: {
+        name: 'Sentinel',
+        summary: 'A foe engaged with you that tries to flee provokes your opportunity attack; a hit stops it in its tracks.',
+        sentinel: true,
+    },
+    sharpshooter: {
+        name: 'Sharpshooter',
+        summary: 'With a ranged weapon, take −5 to hit for +10 damage on an attack you declare it on.',
+        powerAttack: 'ranged',
+    },
+    tough: {
+        name: 'Tough',
+        summary: '+2 maximum hit points for every level you have.',
+        hpPerLevel: 2,
+    },
+    warCaster: {
+        name: 'War Caster',
+        summary: 'Advantage on Constitution saves to keep concentration on a spell.',
+        concentrationAdvantage: true,
+        prerequisite: 'spellcaster',
+    },
+};
+
+/** Known feat keys only, each once — saves and imports are untrusted. */
+export function sanitizeFeats(raw) {
+    return [...new Set((Array.isArray(raw) ? raw : []).filter(key => typeof key === 'string' && Object.hasOwn(FEATS, key)))];
+}
@@ -0,0 +1,55 @@
+import { describe, expect, it } from 'vitest';
+import { FEATS, sanitizeFeats } from './feats.js';
+import { getFeats, getHeroSpeed, getInitiativeModifier, getMaxHitPoints, getPowerAttackFeat, hasFeat } from '../engine/rules.js';
+import { canTakeFeat, getResourceDefinitions } from '../engine/characterUtils.js';
+import { ITEM_CATALOG } from './items.js';
+import { CLASSES } from './classes.js';
+
+const hero = feats => ({ class: 'fighter', level: 4, abilityScores: { strength: 14, dexterity: 14 }, speed: 30, feats });
+
+describe('feat catalog', () => {
+    it('names and summarizes every feat', () => {
+        expect(Object.keys(FEATS)).toHaveLength(8);
+        for (const feat of Object.values(FEATS)) {
+            expect(feat.name).toBeTruthy();
+            expect(feat.summary).toBeTruthy();
+        }
+    });
+
+    it('keeps only known feats, each once', () => {
+        expect(sanitizeFeats(['alert', 'alert', 'toughness', 7, 'tough'])).toEqual(['alert', 'tough']);
+        expect(sanitizeFeats('alert')).toEqual([]);
+        expect(hasFeat(hero(['constructor']), 'constructor')).toBe(false);
+        expect(getFeats(hero(['lucky'])).map(feat => feat.key)).toEqual(['lucky']);
+    });
+});
+
+describe('feat mechanics in the rules', () => {
+    it('adds Alert to initiative and Mobile to speed', () => {
+        expect(getInitiativeModifier(hero([]))).toBe(2);
+        expect(getInitiativeModifier(hero(['alert']))).toBe(7);
+        expect(getHeroSpeed(hero(['mobile']), [])).toBe(40);
+    });
+
+    it('adds Tough to max HP at every level', () => {
+        const plain = getMaxHitPoints('fighter', 4, 2, CLASSES.fighter);
+        expect(getMaxHitPoints('fighter', 4, 2, CLASSES.fighter, 0, ['tough'])).toBe(plain + 8);
+    });
+
+    it('pairs the power attack feat with the weapon kind', () => {
+        const greatsword = { ...ITEM_CATALOG.greatsword };
+        const longbow = { ...ITEM_CATALOG.longbow };
+        expect(getPowerAttackFeat(hero(['greatWeaponMaster']), greatsword)?.key).toBe('greatWeaponMaster');
+        expect(getPowerAttackFeat(hero(['greatWeaponMaster']), longbow)).toBeNull();
+        expect(getPowerAttackFeat(hero(['sharpshooter']), longbow)?.key).toBe('sharpshooter');
+        expect(getPowerAttackFeat(hero(['greatWeaponMaster']), { ...ITEM_CATALOG.longsword })).toBeNull();
+        expect(getPowerAttackFeat(hero(['greatWeaponMaster']), null)).toBeNull();
+    });
+
+    it('grants luck points as a resource and gates War Caster on a casting class', () => {
+        expect(getResourceDefinitions({ ...hero(['lucky']) }).luckPoints).toMatchObject({ max: 3, resetOn: 'long' });
+        expect(canTakeFeat(hero([]), 'warCaster')).toMatchObject({ ok: false });
+        expect(canTakeFeat({ ...hero([]), class: 'wizard' }, 'warCaster')).toEqual({ ok: true });
+        expect(canTakeFeat(hero(['alert']), 'alert').reason).toContain('already taken');
+    });
+});
@@ -6,6 +6,8 @@
  * not the source of truth.
  */
 
+import { hasMagicProperties, MAGIC_PROPERTY_KEYS, sanitizeMagicProperties } from '../engine/magicItems.js';
+
 const MAGIC_BONUS_MAX = 3;
 
 const GP = 100;
@@ -43,15 +45,15 @@ export const ITEM_CATALOG = {
     // Martial melee weapons
     battleaxe: { name: 'Battleaxe', type: 'weapon', category: 'martialMelee', damage: '1d8', damageVersatile: '1d10', damageType: 'slashing', valueCp: 10 * GP, weight: 4, versatile: true },
     flail: { name: 'Flail', type: 'weapon', category: 'martialMelee', damage: '1d8', damageType: 'bludgeoning', valueCp: 10 * GP, weight: 2 },
-    glaive: { name: 'Glaive', type: 'weapon', category: 'martialMelee', damage: '1d10', damageType: 'slashing', valueCp: 20 * GP, weight: 6, twoHanded: true, reach: true },
-    greataxe: { name: 'Greataxe', type: 'weapon', category: 'martialMelee', damage: '1d12', damageType: 'slashing', valueCp: 30 * GP, weight: 7, twoHanded: true },
-    greatsword: { name: 'Greatsword', type: 'weapon', category: 'martialMelee', damage: '2d6', damageType: 'slashing', valueCp: 50 * GP, weight: 6, twoHanded: true },
-    halberd: { name: 'Halberd', type: 'weapon', category: 'martialMelee', damage: '1d10', damageType: 'slashing', valueCp: 20 * GP, weight: 6, twoHanded: true, reach: true },
+    glaive: { name: 'Glaive', type: 'weapon', category: 'martialMelee', damage: '1d10', damageType: 'slashing', valueCp: 20 * GP, weight: 6, twoHanded: true, heavy: true, reach: true },
+    greataxe: { name: 'Greataxe', type: 'weapon', category: 'martialMelee', damage: '1d12', damageType: 'slashing', valueCp: 30 * GP, weight: 7, twoHanded: true, heavy: true },
+    greatsword: { name: 'Greatsword', type: 'weapon', category: 'martialMelee', damage: '2d6', damageType: 'slashing', valueCp: 50 * GP, weight: 6, twoHanded: true, heavy: true },
+    halberd: { name: 'Halberd', type: 'weapon', category: 'martialMelee', damage: '1d10', damageType: 'slashing', valueCp: 20 * GP, weight: 6, twoHanded: true, heavy: true, reach: true },
     lance: { name: 'Lance', type: 'weapon', category: 'martialMelee', damage: '1d12', damageType: 'piercing', valueCp: 10 * GP, weight: 6, reach: true },
     longsword: { name: 'Longsword', type: 'weapon', category: 'martialMelee', damage: '1d8', damageVersatile: '1d10', damageType: 'slashing', valueCp: 15 * GP, weight: 3, versatile: true },
-    maul: { name: 'Maul', type: 'weapon', category: 'martialMelee', damage: '2d6', damageType: 'bludgeoning', valueCp: 10 * GP, weight: 10, twoHanded: true },
+    maul: { name: 'Maul', type: 'weapon', category: 'martialMelee', damage: '2d6', damageType: 'bludgeoning', valueCp: 10 * GP, weight: 10, twoHanded: true, heavy: true },
     morningstar: { name: 'Morningstar', type: 'weapon', category: 'martialMelee', damage: '1d8', damageType: 'piercing', valueCp: 15 * GP, weight: 4 },
-    pike: { name: 'Pike', type: 'weapon', category: 'martialMelee', damage: '1d10', damageType: 'piercing', valueCp: 5 * GP, weight: 18, twoHanded: true, reach: true },
+    pike: { name: 'Pike', type: 'weapon', category: 'martialMelee', damage: '1d10', damageType: 'piercing', valueCp: 5 * GP, weight: 18, twoHanded: true, heavy: true, reach: true },
     rapier: { name: 'Rapier', type: 'weapon', category: 'martialMelee', damage: '1d8', damageType: 'piercing', valueCp: 25 * GP, weight: 2, finesse: true },
     scimitar: { name: 'Scimitar', type: 'weapon', category: 'martialMelee', damage: '1d6', damageType: 'slashing', valueCp: 25 * GP, weight: 3, finesse: true },
     shortsword: { name: 'Shortsword', type: 'weapon', category: 'martialMelee', damage: '1d6', damageType: 'piercing', valueCp: 10 * GP, weight: 2, finesse: true },
@@ -63,8 +65,8 @@ export const ITEM_CATALOG = {
     // Martial ranged weapons
     blowgun: { name: 'Blowgun', type: 'weapon', category: 'martialRanged', damage: '1', damageType: 'piercing', valueCp: 10 * GP, weight: 1, ranged: true },
     handCrossbow: { name: 'Hand Crossbow', type: 'weapon', category: 'martialRanged', damage: '1d6', damageType: 'piercing', valueCp: 75 * GP, weight: 3, ranged: true },
-    heavyCrossbow: { name: 'Heavy Crossbow', type: 'weapon', category: 'martialRanged', damage: '1d10', damageType: 'piercing', valueCp: 50 * GP, weight: 18, ranged: true, twoHanded: true },
-    longbow: { name: 'Longbow', type: 'weapon', category: 'martialRanged', damage: '1d8', damageType: 'piercing', valueCp: 50 * GP, weight: 2, ranged: true, twoHanded: true },
+    heavyCrossbow: { name: 'Heavy Crossbow', type: 'weapon', category: 'martialRanged', damage: '1d10', damageType: 'piercing', valueCp: 50 * GP, weight: 18, ranged: true, twoHanded: true, heavy: true },
+    longbow: { name: 'Longbow', type: 'weapon', category: 'martialRanged', damage: '1d8', damageType: 'piercing', valueCp: 50 * GP, weight: 2, ranged: true, twoHanded: true, heavy: true },
     net: { name: 'Net', type: 'weapon', category: 'martialRanged', damage: '0', damageType: 'restraining', valueCp: 1 * GP, weight: 3, ranged: true },
 
     // Armor and shields
@@ -88,6 +90,8 @@ export const ITEM_CATALOG = {
     healerKit: { name: "Healer's Kit", type: 'gear', valueCp: 5 * GP, weight: 3, quantity: 1 },
     rations: { name: 'Rations (1 day)', type: 'gear', valueCp: 5 * SP, weight: 2, quantity: 1 },
     torch: { name: 'Torch', type: 'gear', valueCp: 1, weight: 1, quantity: 1 },
+    waterskin: { name: 'Waterskin', type: 'gear', valueCp: 2 * SP, weight: 5, quantity: 1 },
+    coldWeatherGear: { name: 'Cold-Weather Gear', type: 'gear', valueCp: 10 * GP, weight: 8 },
     ropeHempen: { name: 'Hempen Rope (50 ft)', type: 'gear', valueCp: 1 * GP, weight: 10 },
     ropeSilk: { name: 'Silk Rope (50 ft)', type: 'gear', valueCp: 10 * GP, weight: 5 },
     thievesTools: { name: "Thieves' Tools", type: 'tool', valueCp: 25 * GP, weight: 1 },
@@ -197,6 +201,9 @@ function applyMagicName(item) {
 // coin-grant clamp (10,000 gp) so no single item outweighs the largest legal payout.
 const MAX_ITEM_QUANTITY = 999;
 const MAX_ITEM_VALUE_CP = 1000000;
+// Non-catalog weight is LLM-authored and now drives encumbrance; a 5000-lb
+// trinket would pin the hero at 5 ft forever. Nothing portable outweighs this.
+const MAX_ITEM_WEIGHT = 250;
 // AC/attack stats on non-catalog gear are LLM- or import-authored; the hero is
 // the only combatant with no other ceiling (companions clamp at 21, enemies are
 // band-validated), so bound them here. Ceilings mirror the best catalog gear:
@@ -236,7 +243,7 @@ export function normalizeItem(raw = {}) {
         itemKey: itemKey || source.itemKey || null,
         name: itemKey ? base.name : (source.name || 'Unknown item'),
         type: itemType,
-        weight: itemKey ? (base.weight ?? 1) : (Number.isFinite(source.weight) ? source.weight : 1),
+        weight: itemKey ? (base.weight ?? 1) : (Number.isFinite(source.weight) ? Math.max(0, Math.min(MAX_ITEM_WEIGHT, source.weight)) : 1),
         magicBonus,
         valueCp: hasExplicitValue
             ? (itemKey ? (magicBonus ? MAGIC_ITEM_VALUES[magicBonus] : base.valueCp) : (Number.isFinite(source.valueCp) ? source.valueCp : source.priceCp))
@@ -254,6 +261,21 @@ export function normalizeItem(raw = {}) {
         normalized.valueCp = Math.max(0, Math.min(MAX_ITEM_VALUE_CP, Math.trunc(normalized.valueCp)));
     }
 
+    // Structured magic (magicItems.js) is rebuilt from the source on every
+    // pass: only validated, bounded properties survive, and any of them makes
+    // the item require attunement. Nothing else an item claims becomes magic.
+    delete normalized.resistance;
+    delete normalized.charges;
+    for (const key of MAGIC_PROPERTY_KEYS) delete normalized[key];
+    Object.assign(normalized, sanitizeMagicProperties(source, itemType));
+    if (hasMagicProperties(normalized)) {
+        normalized.requiresAttunement = true;
+        normalized.rarity = normalized.rarity || 'rare';
+    } else if (normalized.requiresAttunement !== true) {
+        delete normalized.requiresAttunement;
+    }
+    if (!(normalized.requiresAttunement && normalized.attuned === true)) delete normalized.attuned;
+
     normalized.attackBonus = clampMagicBonus(normalized.attackBonus);
     normalized.damageBonus = clampMagicBonus(normalized.damageBonus);
     normalized.acBonus = clampMagicBonus(normalized.acBonus);
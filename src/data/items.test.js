@@ -83,6 +83,12 @@ describe('item catalog normalization', () => {
         expect(item.valueCp).toBe(0);
     });
 
+    it('bounds non-catalog weight so one trinket cannot pin the hero in place', () => {
+        expect(normalizeItem({ name: 'Cursed Anvil', weight: 5000 }).weight).toBe(250);
+        expect(normalizeItem({ name: 'Feather Token', weight: -3 }).weight).toBe(0);
+        expect(normalizeItem({ name: 'Chain Mail', weight: 1 }).weight).toBe(55);
+    });
+
     it('clamps non-catalog armor stats so the hero cannot equip AC 40', () => {
         const item = normalizeItem({
             name: 'Godplate of the Ancients',
@@ -111,4 +117,33 @@ describe('item catalog normalization', () => {
         expect(blade.attackBonus).toBe(3);
         expect(blade.damageBonus).toBe(0); // negative junk zeroed
     });
+
+    it('lets a magic item resist one damage type, and makes it require attunement', () => {
+        const armor = normalizeItem({ itemKey: 'chainMail', resistances: ['Fire', 'cold'] });
+        expect(armor.resistances).toEqual(['fire']);
+        expect(armor.rarity).toBe('rare');
+        expect(armor.requiresAttunement).toBe(true);
+        expect(normalizeItem({ name: 'Dragonscale Buckler', type: 'shield', resistance: 'acid' }).resistances).toEqual(['acid']);
+        expect(normalizeItem({ name: 'Ring of Warmth', type: 'gear', resistances: ['cold'] }).resistances).toEqual(['cold']);
+        const mundane = normalizeItem({ itemKey: 'chainMail', resistances: ['holy'] });
+        expect(mundane.resistances).toBeUndefined();
+        expect(mundane.requiresAttunement).toBeUndefined();
+    });
+
+    it('keeps only validated magic properties, at most two per item', () => {
+        const blade = normalizeItem({
+            name: 'Flame Tongue', type: 'weapon', damage: '1d8', damageType: 'slashing',
+            extraDamage: { dice: '2d6', damageType: 'Fire' },
+            resistances: ['fire'],
+            skillAdvantage: ['intimidation'],
+            attuned: true,
+        });
+        expect(blade.extraDamage).toEqual({ dice: '2d6', damageType: 'fire' });
+        expect(blade.resistances).toEqual(['fire']);
+        expect(blade.skillAdvantage).toBeUndefined();
+        expect(blade.attuned).toBe(true);
+        expect(normalizeItem({ name: 'Doom Blade', type: 'weapon', damage: '1d8', extraDamage: { dice: '10d10', damageType: 'necrotic' } }).extraDamage).toBeUndefined();
+        expect(normalizeItem({ name: 'Fire Cloak', type: 'gear', extraDamage: { dice: '1d6', damageType: 'fire' } }).extraDamage).toBeUndefined();
+        expect(normalizeItem({ name: 'Old Boots', attuned: true }).attuned).toBeUndefined();
+    });
 });
@@ -0,0 +1,287 @@
+/**
+ * Monster catalog — CR-tagged stat blocks the DM spawns by key.
+ *
+ * `combat_start: { enemies: [{ monster: 'ghoul', count: 3 }] }` expands into
+ * three tracked Ghouls whose HP, AC, attack, damage, save bonus and undead
+ * flag come from here, not from the DM. Numbers are 5e SRD values folded into
+ * the engine's one-attack enemy model:
+ * - `attackBonus` / `damage` / `damageType` describe the creature's main
+ *   attack; `multiattack` is how many of them it makes on its turn.
+ * - `attackRange: 'ranged'` marks a creature that fights from a distance.
+ * - `saveBonus` is the single flat spell-save bonus every enemy carries.
+ * - `resistances`, `vulnerabilities` and `immunities` list the damage types
+ *   the engine halves, doubles or zeroes on every hit against the creature.
+ * - `specials` are the stat block's other abilities, shown to the DM to
+ *   narrate and adjudicate (through situational rulings and conditions).
+ * XP is derived from CR (`monsterExperience`), never stored per entry.
+ */
+
+// 5e Dungeon Master's Guide XP by challenge rating.
+export const CR_EXPERIENCE = Object.freeze({
+    0: 10, 0.125: 25, 0.25: 50, 0.5: 100, 1: 200, 2: 450, 3: 700, 4: 1100, 5: 1800,
+    6: 2300, 7: 2900, 8: 3900,
+});
+
+export const MAX_SPAWN_COUNT = 10;
+
+export const MONSTERS = {
+    giantRat: {
+        key: 'giantRat', name: 'Giant Rat', type: 'beast', cr: 0.125,
+        ac: 12, hp: 7, attackBonus: 4, damage: '1d4+2', damageType: 'piercing', saveBonus: 0,
+        specials: [{ name: 'Pack Tactics', summary: 'Advantage on attacks against a foe an ally of the rat stands beside.' }],
+    },
+    kobold: {
+        key: 'kobold', name: 'Kobold', type: 'humanoid', cr: 0.125,
+        ac: 12, hp: 5, attackBonus: 4, damage: '1d4+2', damageType: 'piercing', saveBonus: 0,
+        specials: [
+            { name: 'Pack Tactics', summary: 'Advantage on attacks against a foe an ally of the kobold stands beside.' },
+            { name: 'Sunlight Sensitivity', summary: 'Disadvantage on attacks while in direct sunlight.' },
+        ],
+    },
+    bandit: {
+        key: 'bandit', name: 'Bandit', type: 'humanoid', cr: 0.125,
+        ac: 12, hp: 11, attackBonus: 3, damage: '1d6+1', damageType: 'slashing', saveBonus: 1,
+        specials: [],
+    },
+    cultist: {
+        key: 'cultist', name: 'Cultist', type: 'humanoid', cr: 0.125,
+        ac: 12, hp: 9, attackBonus: 3, damage: '1d6+1', damageType: 'slashing', saveBonus: 1,
+        specials: [{ name: 'Dark Devotion', summary: 'Hard to charm or frighten — it shakes off fear and enchantment.' }],
+    },
+    guard: {
+        key: 'guard', name: 'Guard', type: 'humanoid', cr: 0.125,
+        ac: 16, hp: 11, attackBonus: 3, damage: '1d6+1', damageType: 'piercing', saveBonus: 1,
+        specials: [],
+    },
+    goblin: {
+        key: 'goblin', name: 'Goblin', type: 'humanoid', cr: 0.25,
+        ac: 15, hp: 7, attackBonus: 4, damage: '1d6+2', damageType: 'slashing', saveBonus: 2,
+        specials: [{ name: 'Nimble Escape', summary: 'Disengages or hides as a bonus action — it darts out of reach rather than trading blows.' }],
+    },
+    wolf: {
+        key: 'wolf', name: 'Wolf', type: 'beast', cr: 0.25,
+        ac: 13, hp: 11, attackBonus: 4, damage: '2d4+2', damageType: 'piercing', saveBonus: 2,
+        specials: [
+            { name: 'Pack Tactics', summary: 'Advantage on attacks against a foe an ally of the wolf stands beside.' },
+            { name: 'Trip', summary: 'A bite can drag a Medium foe prone (DC 11 Strength save).' },
+        ],
+    },
+    skeleton: {
+        key: 'skeleton', name: 'Skeleton', type: 'undead', cr: 0.25,
+        ac: 13, hp: 13, attackBonus: 4, damage: '1d6+2', damageType: 'piercing', saveBonus: 2, isUndead: true,
+        vulnerabilities: ['bludgeoning'], immunities: ['poison'],
+        specials: [],
+    },
+    zombie: {
+        key: 'zombie', name: 'Zombie', type: 'undead', cr: 0.25,
+        ac: 8, hp: 22, attackBonus: 3, damage: '1d6+1', damageType: 'bludgeoning', saveBonus: 0, isUndead: true,
+        immunities: ['poison'],
+        specials: [{ name: 'Undead Fortitude', summary: 'A blow that should drop it may leave it standing at 1 HP unless the damage was radiant or a critical hit.' }],
+    },
+    orc: {
+        key: 'orc', name: 'Orc', type: 'humanoid', cr: 0.5,
+        ac: 13, hp: 15, attackBonus: 5, damage: '1d12+3', damageType: 'slashing', saveBonus: 1,
+        specials: [{ name: 'Aggressive', summary: 'Charges a foe it can see as a bonus action.' }],
+    },
+    hobgoblin: {
+        key: 'hobgoblin', name: 'Hobgoblin', type: 'humanoid', cr: 0.5,
+        ac: 18, hp: 11, attackBonus: 3, damage: '1d8+1', damageType: 'slashing', saveBonus: 1,
+        specials: [{ name: 'Martial Advantage', summary: 'Deals an extra 2d6 once a turn to a foe an ally of it stands beside.' }],
+    },
+    gnoll: {
+        key: 'gnoll', name: 'Gnoll', type: 'humanoid', cr: 0.5,
+        ac: 15, hp: 22, attackBonus: 4, damage: '1d8+2', damageType: 'piercing', saveBonus: 0,
+        specials: [{ name: 'Rampage', summary: 'Dropping a creature to 0 HP lets it lunge at another foe.' }],
+    },
+    scout: {
+        key: 'scout', name: 'Scout', type: 'humanoid', cr: 0.5,
+        ac: 13, hp: 16, attackBonus: 4, damage: '1d8+2', damageType: 'piercing', saveBonus: 2,
+        attackRange: 'ranged', multiattack: 2,
+        specials: [{ name: 'Keen Hearing and Sight', summary: 'Hard to sneak past — it notices hidden foes readily.' }],
+    },
+    thug: {
+        key: 'thug', name: 'Thug', type: 'humanoid', cr: 0.5,
+        ac: 11, hp: 32, attackBonus: 4, damage: '1d6+2', damageType: 'bludgeoning', saveBonus: 2,
+        multiattack: 2,
+        specials: [{ name: 'Pack Tactics', summary: 'Advantage on attacks against a foe an ally of the thug stands beside.' }],
+    },
+    ghoul: {
+        key: 'ghoul', name: 'Ghoul', type: 'undead', cr: 1,
+        ac: 12, hp: 22, attackBonus: 4, damage: '2d4+2', damageType: 'slashing', saveBonus: 2, isUndead: true,
+        immunities: ['poison'],
+        specials: [{ name: 'Paralyzing Claws', summary: 'A clawed non-elf must make a DC 10 Constitution save or be paralyzed for a minute.' }],
+    },
+    giantSpider: {
+        key: 'giantSpider', name: 'Giant Spider', type: 'beast', cr: 1,
+        ac: 14, hp: 26, attackBonus: 5, damage: '1d8+3', damageType: 'piercing', saveBonus: 2,
+        specials: [
+            { name: 'Poisonous Bite', summary: 'A bite also burns with 2d8 poison (DC 11 Constitution save for half).' },
+            { name: 'Web', summary: 'Spits webbing that restrains a foe until it breaks free (DC 12 Strength).' },
+        ],
+    },
+    direWolf: {
+        key: 'direWolf', name: 'Dire Wolf', type: 'beast', cr: 1,
+        ac: 14, hp: 37, attackBonus: 5, damage: '2d6+3', damageType: 'piercing', saveBonus: 2,
+        specials: [
+            { name: 'Pack Tactics', summary: 'Advantage on attacks against a foe an ally of the wolf stands beside.' },
+            { name: 'Trip', summary: 'A bite can drag a foe prone (DC 13 Strength save).' },
+        ],
+    },
+    bugbear: {
+        key: 'bugbear', name: 'Bugbear', type: 'humanoid', cr: 1,
+        ac: 16, hp: 27, attackBonus: 4, damage: '2d8+2', damageType: 'piercing', saveBonus: 2,
+        specials: [{ name: 'Surprise Attack', summary: 'Deals an extra 2d6 on its first hit against a surprised foe.' }],
+    },
+    banditCaptain: {
+        key: 'banditCaptain', name: 'Bandit Captain', type: 'humanoid', cr: 2,
+        ac: 15, hp: 65, attackBonus: 5, damage: '1d6+3', damageType: 'slashing', saveBonus: 4,
+        multiattack: 3,
+        specials: [{ name: 'Parry', summary: 'Turns aside one melee hit a round with a blade.' }],
+    },
+    ghast: {
+        key: 'ghast', name: 'Ghast', type: 'undead', cr: 2,
+        ac: 13, hp: 36, attackBonus: 5, damage: '2d6+3', damageType: 'slashing', saveBonus: 3, isUndead: true,
+        resistances: ['necrotic'], immunities: ['poison'],
+        specials: [
+            { name: 'Stench', summary: 'Its reek poisons a foe that starts its turn close by (DC 10 Constitution save).' },
+            { name: 'Paralyzing Claws', summary: 'A clawed non-undead must make a DC 10 Constitution save or be paralyzed for a minute.' },
+        ],
+    },
+    ogre: {
+        key: 'ogre', name: 'Ogre', type: 'giant', cr: 2,
+        ac: 11, hp: 59, attackBonus: 6, damage: '2d8+4', damageType: 'bludgeoning', saveBonus: 1,
+        specials: [],
+    },
+    owlbear: {
+        key: 'owlbear', name: 'Owlbear', type: 'monstrosity', cr: 3,
+        ac: 13, hp: 59, attackBonus: 7, damage: '2d8+5', damageType: 'slashing', saveBonus: 3,
+        multiattack: 2,
+        specials: [{ name: 'Keen Sight and Smell', summary: 'Hard to hide from — it tracks by scent.' }],
+    },
+    wight: {
+        key: 'wight', name: 'Wight', type: 'undead', cr: 3,
+        ac: 14, hp: 45, attackBonus: 4, damage: '1d8+2', damageType: 'slashing', saveBonus: 3, isUndead: true,
+        multiattack: 2, resistances: ['necrotic'], immunities: ['poison'],
+        specials: [
+            { name: 'Life Drain', summary: 'A draining touch can shrink the victim\'s maximum HP until a long rest (DC 13 Constitution).' },
+            { name: 'Sunlight Sensitivity', summary: 'Disadvantage on attacks while in direct sunlight.' },
+        ],
+    },
+    troll: {
+        key: 'troll', name: 'Troll', type: 'giant', cr: 5,
+        ac: 15, hp: 84, attackBonus: 7, damage: '2d6+4', damageType: 'slashing', saveBonus: 3,
+        multiattack: 3,
+        specials: [{ name: 'Regeneration', summary: 'Regains 10 HP each turn unless acid or fire burned it since its last turn.' }],
+    },
+    hillGiant: {
+        key: 'hillGiant', name: 'Hill Giant', type: 'giant', cr: 5,
+        ac: 13, hp: 105, attackBonus: 8, damage: '3d8+5', damageType: 'bludgeoning', saveBonus: 2,
+        multiattack: 2,
+        specials: [{ name: 'Rock', summary: 'Hurls a boulder at a distant foe instead of clubbing a close one.' }],
+    },
+};
+
+export const MONSTER_LIST = Object.values(MONSTERS);
+
+const monsterRefKey = value => String(value || '').toLowerCase().replace(/[^a-z]/g, '');
+
+const MONSTER_KEY_INDEX = (() => {
+    const index = new Map();
+    for (const monster of MONSTER_LIST) {
+        index.set(monsterRefKey(monster.key), monster.key);
+        index.set(monsterRefKey(monster.name), monster.key);
+    }
+    return index;
+})();
+
+/** Loose monster lookup by key or display name ("giant spider", "giant_spider"). Returns the stat block or null. */
+export function findMonster(ref) {
+    const key = MONSTER_KEY_INDEX.get(monsterRefKey(ref));
+    return key ? MONSTERS[key] : null;
+}
+
+/** XP a monster is worth, from its challenge rating. */
+export function monsterExperience(monster) {
+    return CR_EXPERIENCE[monster?.cr] ?? 0;
+}
+
+/** "1/4", "1/2", "3" — challenge rating as the books print it. */
+export function formatChallengeRating(cr) {
+    if (cr === 0.125) return '1/8';
+    if (cr === 0.25) return '1/4';
+    if (cr === 0.5) return '1/2';
+    return String(cr);
+}
+
+/** The engine-owned enemy fields a stat block fills in. DM-supplied values for these are discarded. */
+export function monsterEnemyStats(monster) {
+    return {
+        monster: monster.key,
+        hp: monster.hp,
+        ac: monster.ac,
+        attackBonus: monster.attackBonus,
+        damage: monster.damage,
+        damageType: monster.damageType,
+        saveBonus: monster.saveBonus,
+        ...(monster.attackRange && { attackRange: monster.attackRange }),
+        ...(monster.resistances && { resistances: [...monster.resistances] }),
+        ...(monster.vulnerabilities && { vulnerabilities: [...monster.vulnerabilities] }),
+        ...(monster.immunities && { immunities: [...monster.immunities] }),
+        isUndead: !!monster.isUndead,
+    };
+}
+
+/**
+ * Expand `{ monster, count }` spawn entries into one raw enemy per creature:
+ * "Ghoul 1", "Ghoul 2"… (or the DM's own `name` as the base), each carrying the
+ * stat block's numbers. Entries without a known `monster` pass through as-is,
+ * so hand-authored foes keep working; an unknown key with no name is left
+ * nameless and dropped by the caller.
+ */
+export function expandMonsterSpawns(entries) {
+    if (!Array.isArray(entries)) return [];
+    const expanded = [];
+    for (const entry of entries) {
+        const monster = entry && typeof entry === 'object' && !Array.isArray(entry) ? findMonster(entry.monster) : null;
+        if (!monster) {
+            expanded.push(entry);
+            continue;
+        }
+        const rawCount = Math.trunc(Number(entry.count));
+        const count = Number.isFinite(rawCount) ? Math.max(1, Math.min(MAX_SPAWN_COUNT, rawCount)) : 1;
+        const baseName = typeof entry.name === 'string' && entry.name.trim() ? entry.name.trim() : monster.name;
+        const {
+            monster: _monster, count: _count, hp: _hp, ac: _ac,
+            attack_bonus: _ab, attackBonus: _abCamel, damage: _damage, damage_type: _type, damageType: _typeCamel,
+            save_bonus: _sb, saveBonus: _sbCamel, attack_range: _reach, attackRange: _reachCamel,
+            is_undead: _undead, isUndead: _undeadCamel,
+            resistances: _resist, vulnerabilities: _vulnerable, immunities: _immune,
+            ...placement
+        } = entry;
+        for (let index = 0; index < count; index++) {
+            expanded.push({
+                ...placement,
+                ...(entry.id && count > 1 && { id: `${entry.id}-${index + 1}` }),
+                name: count > 1 ? `${baseName} ${index + 1}` : baseName,
+                ...monsterEnemyStats(monster),
+            });
+        }
+    }
+    return expanded;
+}
+
+/** One line per stat-block enemy for the combat prompt: CR, multiattack, defenses, specials. */
+export function describeMonsterForPrompt(monster) {
+    const parts = [`${monster.name}, CR ${formatChallengeRating(monster.cr)}`];
+    if (monster.multiattack > 1) parts.push(`Multiattack ×${monster.multiattack}`);
+    if (monster.resistances?.length) parts.push(`resists ${monster.resistances.join(', ')}`);
+    if (monster.vulnerabilities?.length) parts.push(`vulnerable to ${monster.vulnerabilities.join(', ')}`);
+    if (monster.immunities?.length) parts.push(`immune to ${monster.immunities.join(', ')}`);
+    for (const special of monster.specials || []) parts.push(`${special.name}: ${special.summary}`);
+    return parts.join('; ');
+}
+
+/** Compact key list for the DM's rules block: "goblin (CR 1/4), ghoul (CR 1)…". */
+export function describeMonsterCatalogForPrompt() {
+    return MONSTER_LIST.map(monster => `${monster.key} (CR ${formatChallengeRating(monster.cr)})`).join(', ');
+}
@@ -0,0 +1,53 @@
+import { describe, expect, it } from 'vitest';
+import {
+    describeMonsterForPrompt,
+    expandMonsterSpawns,
+    findMonster,
+    MAX_SPAWN_COUNT,
+    MONSTER_LIST,
+    monsterExperience,
+} from './monsters.js';
+import { sanitizeEnemyDamage, validateEnemyAttackBonus, validateEnemySaveBonus } from '../engine/enemyStats.js';
+
+describe('monster catalog', () => {
+    it('keeps every stat block inside the engine\'s enemy-stat bounds', () => {
+        for (const monster of MONSTER_LIST) {
+            expect(sanitizeEnemyDamage(monster.damage), monster.key).toBe(monster.damage);
+            expect(validateEnemyAttackBonus(monster.attackBonus), monster.key).toBe(monster.attackBonus);
+            expect(validateEnemySaveBonus(monster.saveBonus), monster.key).toBe(monster.saveBonus);
+            expect(monsterExperience(monster), monster.key).toBeGreaterThan(0);
+        }
+    });
+
+    it('finds a monster by key or display name', () => {
+        expect(findMonster('giant_spider')?.key).toBe('giantSpider');
+        expect(findMonster('Dire Wolf')?.key).toBe('direWolf');
+        expect(findMonster('dragon')).toBeNull();
+    });
+
+    it('describes a stat block for the combat prompt', () => {
+        expect(describeMonsterForPrompt(findMonster('skeleton'))).toBe('Skeleton, CR 1/4; vulnerable to bludgeoning; immune to poison');
+        expect(describeMonsterForPrompt(findMonster('troll'))).toMatch(/^Troll, CR 5; Multiattack ×3; Regeneration: /);
+    });
+});
+
+describe('expandMonsterSpawns', () => {
+    it('numbers a counted spawn and keeps the DM\'s placement fields', () => {
+        const [first, second] = expandMonsterSpawns([{ monster: 'wolf', count: 2, id: 'pack', range: 'far', damage: '9d12' }]);
+        expect(first).toMatchObject({ id: 'pack-1', name: 'Wolf 1', monster: 'wolf', range: 'far', damage: '2d4+2' });
+        expect(second).toMatchObject({ id: 'pack-2', name: 'Wolf 2' });
+    });
+
+    it('caps the count and passes hand-authored foes through untouched', () => {
+        const custom = { name: 'Mire Hag', hp: 40 };
+        const expanded = expandMonsterSpawns([{ monster: 'kobold', count: 99 }, custom]);
+        expect(expanded).toHaveLength(MAX_SPAWN_COUNT + 1);
+        expect(expanded.at(-1)).toBe(custom);
+    });
+
+    it('carries the stat block\'s damage defenses and drops the DM\'s', () => {
+        const [skeleton] = expandMonsterSpawns([{ monster: 'skeleton', resistances: ['slashing'], immunities: ['fire'] }]);
+        expect(skeleton).toMatchObject({ vulnerabilities: ['bludgeoning'], immunities: ['poison'] });
+        expect(skeleton).not.toHaveProperty('resistances');
+    });
+});
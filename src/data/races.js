@@ -1,6 +1,25 @@
 /**
  * Race definitions — simplified D&D 5e-inspired.
- * Core four races, each with distinct mechanical identity.
+ *
+ * Each race carries display data (bonuses, traits, languages) plus a
+ * `mechanics` block the engine actually enforces:
+ * - `lucky`: a natural 1 on the hero's attack, check, or save d20 is rerolled
+ *   once (combatMath rollD20Kept) — Halfling.
+ * - `savageAttacks`: a melee weapon crit rolls one extra weapon die — Half-Orc.
+ * - `saveAdvantage`: `{ source, abilities }` — saves that roll with advantage.
+ * - `resistances`: damage types halved when an attack names its type.
+ * - `hpPerLevel`: extra max HP per character level — Hill Dwarf.
+ * - `breathWeapon`: damage type + save ability of the Dragonborn exhalation.
+ * - `innateSpells`: spells cast from the race rather than a class list; a
+ *   leveled one is paid for with a racial resource at a fixed slot level.
+ * Racial `resources` merge into `character.classResources` beside the class's
+ * own (same `{ used, max }` bookkeeping, same rest resets). `combatAction`
+ * names the exchange slot that spends a resource in a fight; `paysForSpell`
+ * marks a charge only a cast of that spell spends.
+ *
+ * Subraces add to their parent: ability bonuses and traits stack, mechanics
+ * lists concatenate, and a subrace `speed` replaces the race's. Characters
+ * from before subraces existed carry no `subrace` and keep the base race only.
  */
 
 export const RACES = {
@@ -21,6 +40,22 @@ export const RACES = {
         skillProficiencies: ['perception'], // Keen Senses — coded, not just flavor
         traits: ['Darkvision (60 ft)', 'Keen Senses (Perception proficiency)', 'Fey Ancestry (advantage vs. charm)', 'Trance (4 hours rest)'],
         languages: ['Common', 'Elvish'],
+        subraces: {
+            highElf: {
+                name: 'High Elf',
+                description: 'Keen-minded heirs of old elven courts, born with a spark of arcane talent.',
+                abilityBonuses: { intelligence: 1 },
+                traits: ['Cantrip (Fire Bolt, Intelligence)'],
+                mechanics: { innateSpells: [{ spell: 'fireBolt', ability: 'intelligence' }] },
+            },
+            woodElf: {
+                name: 'Wood Elf',
+                description: 'Swift and wary, wood elves move through the wilds like a rumor.',
+                abilityBonuses: { wisdom: 1 },
+                speed: 35,
+                traits: ['Fleet of Foot (35 ft speed)', 'Mask of the Wild (hide in light natural cover)'],
+            },
+        },
     },
     dwarf: {
         name: 'Dwarf',
@@ -30,6 +65,81 @@ export const RACES = {
         skillProficiencies: [],
         traits: ['Darkvision (60 ft)', 'Dwarven Resilience (poison resistance)'],
         languages: ['Common', 'Dwarvish'],
+        mechanics: { resistances: ['poison'] },
+        subraces: {
+            hillDwarf: {
+                name: 'Hill Dwarf',
+                description: 'Hardy and perceptive, hill dwarves endure what would fell anyone else.',
+                abilityBonuses: { wisdom: 1 },
+                traits: ['Dwarven Toughness (+1 HP per level)'],
+                mechanics: { hpPerLevel: 1 },
+            },
+            mountainDwarf: {
+                name: 'Mountain Dwarf',
+                description: 'Strong and warlike, mountain dwarves are raised under arms.',
+                abilityBonuses: { strength: 2 },
+                traits: ['Dwarven Armor Training (light and medium armor)'],
+            },
+        },
+    },
+    halfling: {
+        name: 'Halfling',
+        description: 'Small, cheerful, and uncannily fortunate, halflings slip through danger that swallows bigger folk.',
+        abilityBonuses: { dexterity: 2 },
+        speed: 25,
+        skillProficiencies: [],
+        traits: ['Lucky (reroll natural 1s on attacks, checks, and saves)', 'Brave (advantage vs. fear)', 'Halfling Nimbleness (move through larger creatures)'],
+        languages: ['Common', 'Halfling'],
+        mechanics: { lucky: true },
+        subraces: {
+            lightfoot: {
+                name: 'Lightfoot',
+                description: 'Affable wanderers who vanish behind anyone taller than they are.',
+                abilityBonuses: { charisma: 1 },
+                traits: ['Naturally Stealthy (hide behind larger creatures)'],
+            },
+            stout: {
+                name: 'Stout',
+                description: 'Hardier halflings said to carry a trace of dwarven blood.',
+                abilityBonuses: { constitution: 1 },
+                traits: ['Stout Resilience (poison resistance)'],
+                mechanics: { resistances: ['poison'] },
+            },
+        },
+    },
+    gnome: {
+        name: 'Gnome',
+        description: 'Curious, inventive, and stubbornly hard to bewitch, gnomes treat the world as a puzzle.',
+        abilityBonuses: { intelligence: 2 },
+        speed: 25,
+        skillProficiencies: [],
+        traits: ['Darkvision (60 ft)', 'Gnome Cunning (advantage on INT, WIS, and CHA saves)'],
+        languages: ['Common', 'Gnomish'],
+        mechanics: { saveAdvantage: { source: 'Gnome Cunning', abilities: ['intelligence', 'wisdom', 'charisma'] } },
+        subraces: {
+            rockGnome: {
+                name: 'Rock Gnome',
+                description: 'Tinkers and artificers with a knack for clockwork.',
+                abilityBonuses: { constitution: 1 },
+                traits: ["Artificer's Lore (double proficiency on History checks about devices)", 'Tinker (tiny clockwork toys)'],
+            },
+            forestGnome: {
+                name: 'Forest Gnome',
+                description: 'Reclusive woodland gnomes who speak with small beasts.',
+                abilityBonuses: { dexterity: 1 },
+                traits: ['Natural Illusionist (minor illusions)', 'Speak with Small Beasts'],
+            },
+        },
+    },
+    halfElf: {
+        name: 'Half-Elf',
+        description: 'Born between two peoples, half-elves are charming diplomats and restless wanderers.',
+        // Simplified: the two free +1s land on DEX and CON.
+        abilityBonuses: { charisma: 2, dexterity: 1, constitution: 1 },
+        speed: 30,
+        skillProficiencies: ['insight', 'persuasion'], // Skill Versatility — coded, not just flavor
+        traits: ['Darkvision (60 ft)', 'Fey Ancestry (advantage vs. charm)', 'Skill Versatility (Insight, Persuasion proficiency)'],
+        languages: ['Common', 'Elvish', 'One extra language'],
     },
     halfOrc: {
         name: 'Half-Orc',
@@ -39,7 +149,133 @@ export const RACES = {
         skillProficiencies: ['intimidation'], // Menacing — coded, not just flavor
         traits: ['Darkvision (60 ft)', 'Menacing (Intimidation proficiency)', 'Relentless Endurance (drop to 1 HP instead of 0, once per long rest)', 'Savage Attacks (extra crit damage die)'],
         languages: ['Common', 'Orc'],
+        mechanics: { savageAttacks: true },
+        resources: {
+            relentlessEndurance: {
+                label: 'Relentless Endurance',
+                description: 'When reduced to 0 HP but not killed outright, drop to 1 HP instead.',
+                max: 1,
+                resetOn: 'long',
+                passive: 'drop to 0 HP',
+            },
+        },
+    },
+    tiefling: {
+        name: 'Tiefling',
+        description: 'Marked by an infernal bloodline, tieflings carry horns, a tail, and a fire that will not burn them.',
+        abilityBonuses: { charisma: 2, intelligence: 1 },
+        speed: 30,
+        skillProficiencies: [],
+        traits: ['Darkvision (60 ft)', 'Hellish Resistance (fire resistance)', 'Infernal Legacy (Thaumaturgy; Hellish Rebuke once per long rest from level 3, Charisma)'],
+        languages: ['Common', 'Infernal'],
+        mechanics: {
+            resistances: ['fire'],
+            innateSpells: [
+                { spell: 'thaumaturgy', ability: 'charisma' },
+                { spell: 'hellishRebuke', ability: 'charisma', minLevel: 3, slotLevel: 2, resource: 'infernalLegacy' },
+            ],
+        },
+        resources: {
+            infernalLegacy: {
+                label: 'Infernal Legacy',
+                description: 'Cast Hellish Rebuke as a 2nd-level spell without a spell slot.',
+                max: 1,
+                resetOn: 'long',
+                minLevel: 3,
+                paysForSpell: 'Hellish Rebuke',
+            },
+        },
+    },
+    dragonborn: {
+        name: 'Dragonborn',
+        description: 'Proud draconic humanoids who carry their ancestors\' breath in their lungs.',
+        abilityBonuses: { strength: 2, charisma: 1 },
+        speed: 30,
+        skillProficiencies: [],
+        traits: ['Draconic Ancestry', 'Breath Weapon (2d6, scales with level; once per short rest)'],
+        languages: ['Common', 'Draconic'],
+        resources: {
+            breathWeapon: {
+                label: 'Breath Weapon',
+                description: 'Exhale destructive energy at up to 3 foes (save for half). Recharges on a short rest.',
+                max: 1,
+                resetOn: 'short',
+                combatAction: 'breath_weapon',
+            },
+        },
+        subraces: {
+            red: {
+                name: 'Red Dragonborn',
+                description: 'Heirs of red dragons, quick to anger and slow to forgive.',
+                traits: ['Fire breath (DEX save)', 'Fire resistance'],
+                mechanics: { resistances: ['fire'], breathWeapon: { damageType: 'fire', save: 'dexterity' } },
+            },
+            blue: {
+                name: 'Blue Dragonborn',
+                description: 'Heirs of blue dragons, vain and territorial.',
+                traits: ['Lightning breath (DEX save)', 'Lightning resistance'],
+                mechanics: { resistances: ['lightning'], breathWeapon: { damageType: 'lightning', save: 'dexterity' } },
+            },
+            black: {
+                name: 'Black Dragonborn',
+                description: 'Heirs of black dragons, cruel and patient.',
+                traits: ['Acid breath (DEX save)', 'Acid resistance'],
+                mechanics: { resistances: ['acid'], breathWeapon: { damageType: 'acid', save: 'dexterity' } },
+            },
+            green: {
+                name: 'Green Dragonborn',
+                description: 'Heirs of green dragons, silver-tongued and scheming.',
+                traits: ['Poison breath (CON save)', 'Poison resistance'],
+                mechanics: { resistances: ['poison'], breathWeapon: { damageType: 'poison', save: 'constitution' } },
+            },
+            white: {
+                name: 'White Dragonborn',
+                description: 'Heirs of white dragons, feral and enduring.',
+                traits: ['Cold breath (CON save)', 'Cold resistance'],
+                mechanics: { resistances: ['cold'], breathWeapon: { damageType: 'cold', save: 'constitution' } },
+            },
+        },
     },
 };
 
 export const RACE_LIST = Object.keys(RACES);
+
+/** A valid subrace key for this race, or null (no subraces, or an unknown value). */
+export function normalizeSubrace(raceKey, value) {
+    const subraces = RACES[raceKey]?.subraces;
+    return subraces && value && Object.hasOwn(subraces, value) ? value : null;
+}
+
+/**
+ * The race and subrace merged into one profile: display name, stacked
+ * ability bonuses, concatenated traits/skills/mechanics lists, and the
+ * combined racial resources. Null for an unknown race.
+ */
+export function resolveRace(raceKey, subraceKey = null) {
+    const race = RACES[raceKey];
+    if (!race) return null;
+    const subrace = race.subraces?.[normalizeSubrace(raceKey, subraceKey)] || null;
+    if (!subrace) {
+        return { ...race, key: raceKey, subrace: null, mechanics: race.mechanics || {}, resources: race.resources || {} };
+    }
+    const abilityBonuses = { ...race.abilityBonuses };
+    for (const [ability, bonus] of Object.entries(subrace.abilityBonuses || {})) {
+        abilityBonuses[ability] = (abilityBonuses[ability] || 0) + bonus;
+    }
+    const mechanics = { ...(race.mechanics || {}) };
+    for (const [key, value] of Object.entries(subrace.mechanics || {})) {
+        mechanics[key] = Array.isArray(value) ? [...new Set([...(mechanics[key] || []), ...value])] : value;
+    }
+    return {
+        ...race,
+        key: raceKey,
+        name: subrace.name,
+        subrace: normalizeSubrace(raceKey, subraceKey),
+        abilityBonuses,
+        speed: subrace.speed || race.speed,
+        skillProficiencies: [...new Set([...(race.skillProficiencies || []), ...(subrace.skillProficiencies || [])])],
+        traits: [...(race.traits || []), ...(subrace.traits || [])],
+        mechanics,
+        resources: { ...(race.resources || {}), ...(subrace.resources || {}) },
+    };
+}
@@ -0,0 +1,40 @@
+import { describe, expect, it } from 'vitest';
+import { RACE_LIST, RACES, normalizeSubrace, resolveRace } from './races.js';
+
+describe('race catalog and subraces', () => {
+    it('stacks a subrace on its parent race', () => {
+        const highElf = resolveRace('elf', 'highElf');
+        expect(highElf.name).toBe('High Elf');
+        expect(highElf.abilityBonuses).toEqual({ dexterity: 2, intelligence: 1 });
+        expect(highElf.skillProficiencies).toContain('perception');
+        expect(highElf.mechanics.innateSpells.map(grant => grant.spell)).toEqual(['fireBolt']);
+        expect(resolveRace('elf', 'woodElf').speed).toBe(35);
+    });
+
+    it('concatenates mechanic lists and keeps the parent resistances', () => {
+        expect(resolveRace('halfling', 'stout').mechanics).toMatchObject({ lucky: true, resistances: ['poison'] });
+        expect(resolveRace('dwarf', 'hillDwarf').mechanics).toMatchObject({ resistances: ['poison'], hpPerLevel: 1 });
+        expect(resolveRace('dragonborn', 'white').mechanics.breathWeapon).toEqual({ damageType: 'cold', save: 'constitution' });
+    });
+
+    it('falls back to the base race without a subrace and rejects unknown races', () => {
+        expect(resolveRace('dragonborn').mechanics.breathWeapon).toBeUndefined();
+        expect(resolveRace('dragonborn').resources.breathWeapon).toBeDefined();
+        expect(resolveRace('aasimar')).toBeNull();
+    });
+
+    it('normalizes subrace keys against the race', () => {
+        expect(normalizeSubrace('dwarf', 'hillDwarf')).toBe('hillDwarf');
+        expect(normalizeSubrace('dwarf', 'highElf')).toBeNull();
+        expect(normalizeSubrace('human', 'anything')).toBeNull();
+        expect(normalizeSubrace('elf', 'constructor')).toBeNull();
+    });
+
+    it('lists every race with a name and ability bonuses', () => {
+        expect(RACE_LIST).toHaveLength(9);
+        for (const key of RACE_LIST) {
+            expect(RACES[key].name).toBeTruthy();
+            expect(Object.keys(RACES[key].abilityBonuses).length).toBeGreaterThan(0);
+        }
+    });
+});
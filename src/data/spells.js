@@ -1,19 +1,37 @@
 /**
- * Curated spell catalog for Wizard/Cleric spellcasting v1.
+ * Curated spell catalog for spellcasting v1: the Wizard and Cleric lists, plus
+ * the Bard, Warlock, Ranger and Paladin lists built mostly from shared entries.
  *
  * Design contract (rpg-balance-master spec, 2026-07-17 — see
  * .claude/agent-memory/rpg-balance-master/spellcasting_v1_spec.md):
- * - Model TARGETS, not shapes: "fireball" hits up to 3 named foes, no geometry.
+ * - Model TARGETS, not shapes: an area spell (`mode: 'area'`) hits every foe the
+ *   DM names as caught in the blast, up to its `maxTargets`; no geometry.
  * - Every spell resolves through existing engine primitives only: spell attack
  *   roll vs AC, engine-rolled enemy save (d20 + saveBonus) vs caster spell DC,
- *   auto effects (damage/heal), the nine supported enemy conditions, and a
- *   single sustained-buff slot per caster (the v1 replacement for concentration).
+ *   auto effects (damage/heal), the nine supported enemy conditions, and
+ *   timed active effects (engine/activeEffects.js).
+ * - `duration` (`{ rounds }` or `{ minutes }`) makes an effect last; the engine
+ *   ticks it down each round and on rests. `concentration: true` spells share
+ *   the caster's one concentration (`character.sustainedSpell`): a second one
+ *   ends the first, and damage forces a Constitution save to hold it.
+ *   `repeatSave` lets a held foe re-roll its save after each of its turns.
  * - Upcasting: +`upcastPerLevel` dice per slot level above the spell's base.
- *   Condition/sustained-only spells gain nothing from upcasting.
+ *   Condition/concentration-only spells gain nothing from upcasting.
  * - Cantrips (level 0) never cost slots; their damage scales with character
  *   level (1/2/3/4 dice at 1/5/11/17) via `cantripScaling`.
  * - Out-of-combat "utility" spells are narrative-gated: the engine validates
  *   and spends the slot; the DM adjudicates what the magic reveals or opens.
+ * - `damageType` names what a damaging spell deals, so foes' resistances,
+ *   vulnerabilities and immunities apply; `resistances` on a self buff
+ *   (Stoneskin) join the hero's own defenses while it lasts.
+ * - Marks (Hunter's Mark, Hex) use the concentration slot on a foe: `mark.dice`
+ *   rides every later weapon hit on it (`appliesTo: 'any'` adds spell attacks),
+ *   as `mark.damageType` or, without one, as the hit's own type.
+ * - `lingering` spells (Spiritual Weapon) leave an effect on the caster; while
+ *   it lasts, casting the spell again is a free bonus-action strike, no slot.
+ * - Racial innate spells (data/races.js `innateSpells`) reuse these entries;
+ *   a race may grant a spell outside its class list (a Tiefling fighter's
+ *   Hellish Rebuke) — spellcasting.js owns how it is paid for.
  * - Death Ward was cut from v1 (its own spec flags it "cut first under scope
  *   pressure" — it needs a clamp check at every damage-application site).
  */
@@ -23,19 +41,19 @@ export const SPELLS = {
     fireBolt: {
         key: 'fireBolt', name: 'Fire Bolt', level: 0, classes: ['wizard'], castTime: 'action',
         targeting: { side: 'enemy', mode: 'single' }, resolution: 'attack',
-        damage: { dice: '1d10', upcastPerLevel: 0, cantripScaling: true },
+        damage: { dice: '1d10', upcastPerLevel: 0, cantripScaling: true }, damageType: 'fire',
         combatAvailable: true, outOfCombatAvailable: false,
         summary: 'At-will fire attack (d10s scale with level).',
     },
     rayOfFrost: {
         key: 'rayOfFrost', name: 'Ray of Frost', level: 0, classes: ['wizard'], castTime: 'action',
         targeting: { side: 'enemy', mode: 'single' }, resolution: 'attack',
-        damage: { dice: '1d10', upcastPerLevel: 0, cantripScaling: true },
+        damage: { dice: '1d10', upcastPerLevel: 0, cantripScaling: true }, damageType: 'cold',
         combatAvailable: true, outOfCombatAvailable: false,
         summary: 'At-will cold attack (d10s scale with level).',
     },
     detectMagic: {
-        key: 'detectMagic', name: 'Detect Magic', level: 0, classes: ['wizard'], castTime: 'action',
+        key: 'detectMagic', name: 'Detect Magic', level: 0, classes: ['wizard', 'bard'], castTime: 'action',
         targeting: { side: 'self', mode: 'self' }, resolution: 'auto',
         combatAvailable: false, outOfCombatAvailable: true,
         summary: 'Sense magic nearby; the DM describes what is revealed.',
@@ -43,92 +61,99 @@ export const SPELLS = {
     magicMissile: {
         key: 'magicMissile', name: 'Magic Missile', level: 1, classes: ['wizard'], castTime: 'action',
         targeting: { side: 'enemy', mode: 'single' }, resolution: 'auto',
-        damage: { dice: '3d4+3', upcastPerLevel: 1 },
+        damage: { dice: '3d4+3', upcastPerLevel: 1 }, damageType: 'force',
         combatAvailable: true, outOfCombatAvailable: false,
         summary: 'Unerring force darts — never misses, no roll to hit.',
     },
     sleep: {
-        key: 'sleep', name: 'Sleep', level: 1, classes: ['wizard'], castTime: 'action',
+        key: 'sleep', name: 'Sleep', level: 1, classes: ['wizard', 'bard'], castTime: 'action',
         targeting: { side: 'enemy', mode: 'single' }, resolution: 'save', saveEffect: 'negate',
-        condition: 'unconscious',
+        condition: 'unconscious', duration: { minutes: 1 },
         combatAvailable: true, outOfCombatAvailable: false,
-        summary: 'One foe saves or falls unconscious (wakes on taking damage).',
+        summary: 'One foe saves or falls unconscious for 1 minute (wakes on taking damage).',
     },
     mageArmor: {
         key: 'mageArmor', name: 'Mage Armor', level: 1, classes: ['wizard'], castTime: 'action',
         targeting: { side: 'self', mode: 'self' }, resolution: 'auto',
-        sustained: true, acBonus: 3,
+        acBonus: 3, duration: { minutes: 480 },
         combatAvailable: true, outOfCombatAvailable: true,
-        summary: 'Sustained: +3 AC on yourself (one sustained spell at a time).',
+        summary: '+3 AC on yourself for 8 hours — no concentration needed.',
     },
     scorchingRay: {
         key: 'scorchingRay', name: 'Scorching Ray', level: 2, classes: ['wizard'], castTime: 'action',
         targeting: { side: 'enemy', mode: 'upTo3' }, resolution: 'attack',
-        damage: { dice: '2d6', upcastPerLevel: 1 },
+        damage: { dice: '2d6', upcastPerLevel: 1 }, damageType: 'fire',
         combatAvailable: true, outOfCombatAvailable: false,
         summary: 'Fire rays at up to 3 named foes — one attack roll each.',
     },
     holdPerson: {
-        key: 'holdPerson', name: 'Hold Person', level: 2, classes: ['wizard'], castTime: 'action',
+        key: 'holdPerson', name: 'Hold Person', level: 2, classes: ['wizard', 'bard', 'warlock'], castTime: 'action',
         targeting: { side: 'enemy', mode: 'single' }, resolution: 'save', saveEffect: 'negate',
-        condition: 'paralyzed',
+        condition: 'paralyzed', concentration: true, duration: { minutes: 1 }, repeatSave: true,
         combatAvailable: true, outOfCombatAvailable: false,
-        summary: 'One foe saves or is paralyzed (lift it after ~1 round of struggle).',
+        summary: 'Concentration: one foe saves or is paralyzed, re-saving after each of its turns.',
     },
     invisibility: {
-        key: 'invisibility', name: 'Invisibility', level: 2, classes: ['wizard'], castTime: 'action',
+        key: 'invisibility', name: 'Invisibility', level: 2, classes: ['wizard', 'bard', 'warlock'], castTime: 'action',
         targeting: { side: 'ally', mode: 'single' }, resolution: 'auto',
-        sustained: true, condition: 'invisible',
+        concentration: true, condition: 'invisible', duration: { minutes: 60 },
         combatAvailable: true, outOfCombatAvailable: true,
-        summary: 'Sustained: you or a companion turn invisible until it ends.',
+        summary: 'Concentration, 1 hour: you or a companion turn invisible until it ends.',
     },
     fireball: {
         key: 'fireball', name: 'Fireball', level: 3, classes: ['wizard'], castTime: 'action',
-        targeting: { side: 'enemy', mode: 'upTo3' }, resolution: 'save', saveEffect: 'half',
-        damage: { dice: '6d6', upcastPerLevel: 1 },
+        targeting: { side: 'enemy', mode: 'area', maxTargets: 6 }, resolution: 'save', saveEffect: 'half',
+        damage: { dice: '6d6', upcastPerLevel: 1 }, damageType: 'fire',
         combatAvailable: true, outOfCombatAvailable: false,
-        summary: 'Up to 3 named foes save for half of a 6d6 blast.',
+        summary: 'Every foe caught in the blast (up to 6) saves for half of 6d6.',
     },
     fear: {
-        key: 'fear', name: 'Fear', level: 3, classes: ['wizard'], castTime: 'action',
+        key: 'fear', name: 'Fear', level: 3, classes: ['wizard', 'bard', 'warlock'], castTime: 'action',
         targeting: { side: 'enemy', mode: 'upTo3' }, resolution: 'save', saveEffect: 'negate',
-        condition: 'frightened',
+        condition: 'frightened', concentration: true, duration: { minutes: 1 },
         combatAvailable: true, outOfCombatAvailable: false,
-        summary: 'Up to 3 named foes save or are frightened.',
+        summary: 'Concentration: up to 3 named foes save or are frightened for 1 minute.',
     },
     iceStorm: {
         key: 'iceStorm', name: 'Ice Storm', level: 4, classes: ['wizard'], castTime: 'action',
-        targeting: { side: 'enemy', mode: 'upTo3' }, resolution: 'save', saveEffect: 'half',
-        damage: { dice: '6d8', upcastPerLevel: 1 },
+        targeting: { side: 'enemy', mode: 'area', maxTargets: 6 }, resolution: 'save', saveEffect: 'half',
+        damage: { dice: '6d8', upcastPerLevel: 1 }, damageType: 'cold',
         combatAvailable: true, outOfCombatAvailable: false,
-        summary: 'Up to 3 named foes save for half of a 6d8 hail.',
+        summary: 'Every foe under the hail (up to 6) saves for half of 6d8.',
+    },
+    stoneskin: {
+        key: 'stoneskin', name: 'Stoneskin', level: 4, classes: ['wizard'], castTime: 'action',
+        targeting: { side: 'self', mode: 'self' }, resolution: 'auto',
+        concentration: true, resistances: ['bludgeoning', 'piercing', 'slashing'], duration: { minutes: 60 },
+        combatAvailable: true, outOfCombatAvailable: true,
+        summary: 'Concentration, 1 hour: your flesh turns hard as stone — resistance to bludgeoning, piercing and slashing.',
     },
     knock: {
-        key: 'knock', name: 'Knock', level: 4, classes: ['wizard'], castTime: 'action',
+        key: 'knock', name: 'Knock', level: 4, classes: ['wizard', 'bard'], castTime: 'action',
         targeting: { side: 'self', mode: 'self' }, resolution: 'auto',
         combatAvailable: false, outOfCombatAvailable: true,
         summary: 'Opens one lock, bar, or arcane seal the DM presents.',
     },
     coneOfCold: {
         key: 'coneOfCold', name: 'Cone of Cold', level: 5, classes: ['wizard'], castTime: 'action',
-        targeting: { side: 'enemy', mode: 'upTo3' }, resolution: 'save', saveEffect: 'half',
-        damage: { dice: '8d8', upcastPerLevel: 0 },
+        targeting: { side: 'enemy', mode: 'area', maxTargets: 6 }, resolution: 'save', saveEffect: 'half',
+        damage: { dice: '8d8', upcastPerLevel: 0 }, damageType: 'cold',
         combatAvailable: true, outOfCombatAvailable: false,
-        summary: 'Capstone blast: up to 3 named foes save for half of 8d8.',
+        summary: 'Capstone blast: every foe in the cone (up to 6) saves for half of 8d8.',
     },
     holdMonster: {
-        key: 'holdMonster', name: 'Hold Monster', level: 5, classes: ['wizard'], castTime: 'action',
+        key: 'holdMonster', name: 'Hold Monster', level: 5, classes: ['wizard', 'bard', 'warlock'], castTime: 'action',
         targeting: { side: 'enemy', mode: 'single' }, resolution: 'save', saveEffect: 'negate',
-        condition: 'paralyzed',
+        condition: 'paralyzed', concentration: true, duration: { minutes: 1 }, repeatSave: true,
         combatAvailable: true, outOfCombatAvailable: false,
-        summary: 'Any one foe saves or is paralyzed.',
+        summary: 'Concentration: any one foe saves or is paralyzed, re-saving after each of its turns.',
     },
 
     // --- Cleric (heal/support/undead) ---
     sacredFlame: {
         key: 'sacredFlame', name: 'Sacred Flame', level: 0, classes: ['cleric'], castTime: 'action',
         targeting: { side: 'enemy', mode: 'single' }, resolution: 'attack',
-        damage: { dice: '1d8', upcastPerLevel: 0, cantripScaling: true },
+        damage: { dice: '1d8', upcastPerLevel: 0, cantripScaling: true }, damageType: 'radiant',
         combatAvailable: true, outOfCombatAvailable: false,
         summary: 'At-will radiant attack (d8s scale with level).',
     },
@@ -138,6 +163,12 @@ export const SPELLS = {
         combatAvailable: false, outOfCombatAvailable: true,
         summary: 'A whisper of divine aid on a task at hand; the DM weighs it.',
     },
+    thaumaturgy: {
+        key: 'thaumaturgy', name: 'Thaumaturgy', level: 0, classes: ['cleric'], castTime: 'action',
+        targeting: { side: 'self', mode: 'self' }, resolution: 'auto',
+        combatAvailable: false, outOfCombatAvailable: true,
+        summary: 'A minor wonder — a booming voice, guttering flames, a tremor; the DM describes it.',
+    },
     spareTheDying: {
         key: 'spareTheDying', name: 'Spare the Dying', level: 0, classes: ['cleric'], castTime: 'action',
         targeting: { side: 'ally', mode: 'single' }, resolution: 'auto',
@@ -146,35 +177,35 @@ export const SPELLS = {
         summary: 'Stabilize a dying ally at 0 HP — restores no hit points.',
     },
     cureWounds: {
-        key: 'cureWounds', name: 'Cure Wounds', level: 1, classes: ['cleric'], castTime: 'action',
+        key: 'cureWounds', name: 'Cure Wounds', level: 1, classes: ['cleric', 'bard', 'ranger', 'paladin'], castTime: 'action',
         targeting: { side: 'ally', mode: 'single' }, resolution: 'auto',
         healing: { dice: '1d8', upcastPerLevel: 1, addAbilityMod: true },
         combatAvailable: true, outOfCombatAvailable: true,
-        summary: 'Touch heal: 1d8+WIS (revives a dying ally, never the dead).',
+        summary: 'Touch heal: 1d8 + casting modifier (revives a dying ally, never the dead).',
     },
     shieldOfFaith: {
-        key: 'shieldOfFaith', name: 'Shield of Faith', level: 1, classes: ['cleric'], castTime: 'action',
+        key: 'shieldOfFaith', name: 'Shield of Faith', level: 1, classes: ['cleric', 'paladin'], castTime: 'action',
         targeting: { side: 'ally', mode: 'single' }, resolution: 'auto',
-        sustained: true, acBonus: 2,
+        concentration: true, acBonus: 2, duration: { minutes: 10 },
         combatAvailable: true, outOfCombatAvailable: true,
-        summary: 'Sustained: +2 AC on yourself or a companion.',
+        summary: 'Concentration, 10 minutes: +2 AC on yourself or a companion.',
     },
     command: {
-        key: 'command', name: 'Command', level: 1, classes: ['cleric'], castTime: 'action',
+        key: 'command', name: 'Command', level: 1, classes: ['cleric', 'bard', 'paladin'], castTime: 'action',
         targeting: { side: 'enemy', mode: 'single' }, resolution: 'save', saveEffect: 'negate',
-        condition: 'prone',
+        condition: 'prone', duration: { rounds: 1 },
         combatAvailable: true, outOfCombatAvailable: false,
-        summary: 'One word of divine command: the foe saves or drops prone.',
+        summary: 'One word of divine command: the foe saves or drops prone for a round.',
     },
     healingWord: {
-        key: 'healingWord', name: 'Healing Word', level: 2, classes: ['cleric'], castTime: 'bonus',
+        key: 'healingWord', name: 'Healing Word', level: 2, classes: ['cleric', 'bard'], castTime: 'bonus',
         targeting: { side: 'ally', mode: 'single' }, resolution: 'auto',
         healing: { dice: '1d4', upcastPerLevel: 1, addAbilityMod: true },
         combatAvailable: true, outOfCombatAvailable: true,
-        summary: 'Bonus action heal at range: 1d4+WIS — pairs with a normal action.',
+        summary: 'Bonus action heal at range: 1d4 + casting modifier — pairs with a normal action.',
     },
     lesserRestoration: {
-        key: 'lesserRestoration', name: 'Lesser Restoration', level: 2, classes: ['cleric'], castTime: 'action',
+        key: 'lesserRestoration', name: 'Lesser Restoration', level: 2, classes: ['cleric', 'bard', 'ranger', 'paladin'], castTime: 'action',
         targeting: { side: 'ally', mode: 'single' }, resolution: 'auto',
         removeConditions: ['poisoned', 'blinded', 'restrained', 'frightened'],
         combatAvailable: true, outOfCombatAvailable: true,
@@ -183,9 +214,10 @@ export const SPELLS = {
     spiritualWeapon: {
         key: 'spiritualWeapon', name: 'Spiritual Weapon', level: 2, classes: ['cleric'], castTime: 'action',
         targeting: { side: 'enemy', mode: 'single' }, resolution: 'attack',
-        damage: { dice: '1d8', upcastPerLevel: 1, addAbilityMod: true },
+        damage: { dice: '1d8', upcastPerLevel: 1, addAbilityMod: true }, damageType: 'force',
+        lingering: true, duration: { minutes: 1 },
         combatAvailable: true, outOfCombatAvailable: false,
-        summary: 'A spectral weapon strikes: 1d8+WIS force.',
+        summary: 'A spectral weapon strikes for 1d8+WIS force, then lingers 1 minute — later turns it strikes again as a bonus action, no slot.',
     },
     massHealingWord: {
         key: 'massHealingWord', name: 'Mass Healing Word', level: 3, classes: ['cleric'], castTime: 'bonus',
@@ -197,30 +229,93 @@ export const SPELLS = {
     bestowCurse: {
         key: 'bestowCurse', name: 'Bestow Curse', level: 3, classes: ['cleric'], castTime: 'action',
         targeting: { side: 'enemy', mode: 'single' }, resolution: 'save', saveEffect: 'negate',
-        condition: 'poisoned',
+        condition: 'poisoned', concentration: true, duration: { minutes: 1 },
         combatAvailable: true, outOfCombatAvailable: false,
-        summary: 'A withering curse: the foe saves or fights at disadvantage.',
+        summary: 'Concentration: a withering curse — the foe saves or fights at disadvantage for 1 minute.',
     },
     greaterRestoration: {
-        key: 'greaterRestoration', name: 'Greater Restoration', level: 4, classes: ['cleric'], castTime: 'action',
+        key: 'greaterRestoration', name: 'Greater Restoration', level: 4, classes: ['cleric', 'bard'], castTime: 'action',
         targeting: { side: 'ally', mode: 'single' }, resolution: 'auto',
         removeConditions: 'any',
         combatAvailable: true, outOfCombatAvailable: true,
         summary: 'Cleanse any affliction — even paralysis or unconsciousness.',
     },
     massCureWounds: {
-        key: 'massCureWounds', name: 'Mass Cure Wounds', level: 5, classes: ['cleric'], castTime: 'action',
+        key: 'massCureWounds', name: 'Mass Cure Wounds', level: 5, classes: ['cleric', 'bard'], castTime: 'action',
         targeting: { side: 'ally', mode: 'upTo3' }, resolution: 'auto',
         healing: { dice: '2d8', upcastPerLevel: 0, addAbilityMod: true },
         combatAvailable: true, outOfCombatAvailable: true,
-        summary: 'Capstone heal: up to 3 allies recover 2d8+WIS each.',
+        summary: 'Capstone heal: up to 3 allies recover 2d8 + casting modifier each.',
     },
     flameStrike: {
         key: 'flameStrike', name: 'Flame Strike', level: 5, classes: ['cleric'], castTime: 'action',
+        targeting: { side: 'enemy', mode: 'area', maxTargets: 4 }, resolution: 'save', saveEffect: 'half',
+        damage: { dice: '6d8', upcastPerLevel: 0 }, damageType: 'fire',
+        combatAvailable: true, outOfCombatAvailable: false,
+        summary: 'A pillar of divine fire: every foe in the column (up to 4) saves for half of 6d8.',
+    },
+
+    // --- Bard (words and song) ---
+    viciousMockery: {
+        key: 'viciousMockery', name: 'Vicious Mockery', level: 0, classes: ['bard'], castTime: 'action',
+        targeting: { side: 'enemy', mode: 'single' }, resolution: 'save', saveEffect: 'negate',
+        damage: { dice: '1d4', upcastPerLevel: 0, cantripScaling: true }, damageType: 'psychic',
+        combatAvailable: true, outOfCombatAvailable: false,
+        summary: 'At-will cutting insult: the foe saves or takes psychic d4s (scale with level).',
+    },
+    dissonantWhispers: {
+        key: 'dissonantWhispers', name: 'Dissonant Whispers', level: 1, classes: ['bard'], castTime: 'action',
+        targeting: { side: 'enemy', mode: 'single' }, resolution: 'save', saveEffect: 'half',
+        damage: { dice: '3d6', upcastPerLevel: 1 }, damageType: 'psychic',
+        condition: 'frightened',
+        combatAvailable: true, outOfCombatAvailable: false,
+        summary: 'A maddening melody: the foe saves for half of 3d6 psychic, or is also frightened.',
+    },
+
+    // --- Warlock (pact magic) ---
+    eldritchBlast: {
+        key: 'eldritchBlast', name: 'Eldritch Blast', level: 0, classes: ['warlock'], castTime: 'action',
+        targeting: { side: 'enemy', mode: 'single' }, resolution: 'attack',
+        damage: { dice: '1d10', upcastPerLevel: 0, cantripScaling: true }, damageType: 'force',
+        combatAvailable: true, outOfCombatAvailable: false,
+        summary: 'At-will force beam (d10s scale with level).',
+    },
+    hex: {
+        key: 'hex', name: 'Hex', level: 1, classes: ['warlock'], castTime: 'bonus',
+        targeting: { side: 'enemy', mode: 'single' }, resolution: 'auto',
+        concentration: true, mark: { dice: '1d6', appliesTo: 'any', damageType: 'necrotic' }, duration: { minutes: 60 },
+        combatAvailable: true, outOfCombatAvailable: false,
+        summary: 'Bonus action, concentration: curse one foe — every attack you hit it with adds 1d6 necrotic.',
+    },
+    hellishRebuke: {
+        key: 'hellishRebuke', name: 'Hellish Rebuke', level: 1, classes: ['warlock'], castTime: 'action',
+        targeting: { side: 'enemy', mode: 'single' }, resolution: 'save', saveEffect: 'half',
+        damage: { dice: '2d10', upcastPerLevel: 1 }, damageType: 'fire',
+        combatAvailable: true, outOfCombatAvailable: false,
+        summary: 'Hellfire engulfs one foe: save for half of 2d10 fire (resolved as your action).',
+    },
+    armsOfHadar: {
+        key: 'armsOfHadar', name: 'Arms of Hadar', level: 1, classes: ['warlock'], castTime: 'action',
         targeting: { side: 'enemy', mode: 'upTo3' }, resolution: 'save', saveEffect: 'half',
-        damage: { dice: '6d8', upcastPerLevel: 0 },
+        damage: { dice: '2d6', upcastPerLevel: 1 }, damageType: 'necrotic',
+        combatAvailable: true, outOfCombatAvailable: false,
+        summary: 'Dark tendrils lash up to 3 nearby foes: save for half of 2d6 necrotic.',
+    },
+
+    // --- Ranger (the hunt) ---
+    huntersMark: {
+        key: 'huntersMark', name: "Hunter's Mark", level: 1, classes: ['ranger'], castTime: 'bonus',
+        targeting: { side: 'enemy', mode: 'single' }, resolution: 'auto',
+        concentration: true, mark: { dice: '1d6', appliesTo: 'weapon' }, duration: { minutes: 60 },
+        combatAvailable: true, outOfCombatAvailable: false,
+        summary: 'Bonus action, concentration: mark one quarry — every weapon hit on it adds 1d6.',
+    },
+    conjureBarrage: {
+        key: 'conjureBarrage', name: 'Conjure Barrage', level: 3, classes: ['ranger'], castTime: 'action',
+        targeting: { side: 'enemy', mode: 'area', maxTargets: 6 }, resolution: 'save', saveEffect: 'half',
+        damage: { dice: '3d8', upcastPerLevel: 0 }, damageType: 'piercing',
         combatAvailable: true, outOfCombatAvailable: false,
-        summary: 'A pillar of divine fire: up to 3 named foes save for half of 6d8.',
+        summary: 'A storm of conjured arrows: every foe in the cone (up to 6) saves for half of 3d8.',
     },
 };
 
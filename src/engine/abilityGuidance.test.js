@@ -47,7 +47,7 @@ describe('getAbilityGuidance', () => {
 
     it('ignores an unknown fighting style and unknown classes', () => {
         expect(getAbilityGuidance('fighter', { fightingStyle: 'nonsense' }).recommended.strength).toBe(15);
-        expect(getAbilityGuidance('bard')).toBeNull();
+        expect(getAbilityGuidance('monk')).toBeNull();
         expect(getAbilityGuidance(undefined)).toBeNull();
     });
 });
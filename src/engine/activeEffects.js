@@ -0,0 +1,167 @@
+/**
+ * Active effects — engine-owned spell durations and concentration.
+ *
+ * An effect is a timed entry on whoever carries it: `character.activeEffects`
+ * for the hero's own lasting magic (Mage Armor, a Spiritual Weapon hovering
+ * at their side) and `enemy.activeEffects` for what was laid on a foe (Hold
+ * Person's paralysis, Fear, a Command). Durations are counted in rounds; a
+ * minute is ten rounds, so minute-long spells tick down in combat and by the
+ * rest's length on TAKE_REST.
+ * - The caster's concentration is the single `character.sustainedSpell` record
+ *   (with its own `remainingRounds`). Effects it holds up on foes carry
+ *   `concentration: true` and end the moment it does.
+ * - Concentration breaks on a failed Constitution save when the hero takes
+ *   damage (DC 10 or half the damage, whichever is higher), on a drop to 0 HP,
+ *   on a second concentration cast, when the duration runs out, on any rest,
+ *   and when the fight ends.
+ */
+
+import { normalizeDamageTypeList } from './damageDefenses.js';
+
+export const ROUNDS_PER_MINUTE = 10;
+export const REST_MINUTES = Object.freeze({ short: 60, long: 480 });
+
+const MAX_EFFECTS = 8;
+const MAX_EFFECT_ROUNDS = REST_MINUTES.long * ROUNDS_PER_MINUTE;
+
+const clampInt = (value, min, max) => {
+    const n = Number(value);
+    if (!Number.isFinite(n)) return null;
+    return Math.max(min, Math.min(max, Math.trunc(n)));
+};
+
+/** A spell's duration in rounds (`{ rounds }` or `{ minutes }`), or null when it has none. */
+export function spellDurationRounds(spell) {
+    const duration = spell?.duration;
+    if (!duration) return null;
+    if (Number.isFinite(duration.rounds)) return Math.max(1, Math.trunc(duration.rounds));
+    if (Number.isFinite(duration.minutes)) return Math.max(1, Math.trunc(duration.minutes * ROUNDS_PER_MINUTE));
+    return null;
+}
+
+/** Human-readable time left: rounds inside a minute, then minutes, then hours. */
+export function describeRoundsLeft(rounds) {
+    if (!Number.isFinite(rounds)) return 'until it ends';
+    if (rounds <= ROUNDS_PER_MINUTE) return `${rounds} round${rounds === 1 ? '' : 's'} left`;
+    const minutes = Math.ceil(rounds / ROUNDS_PER_MINUTE);
+    if (minutes < 60) return `${minutes} min left`;
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    return `${hours} h${rest ? ` ${rest} min` : ''} left`;
+}
+
+/** What a self/ally buff grants, for cast lines: " (+2 AC)", " (resists fire)", or ''. */
+export function describeSpellBuff(spell) {
+    const details = [
+        spell?.acBonus ? `+${spell.acBonus} AC` : null,
+        spell?.resistances?.length ? `resists ${spell.resistances.join(', ')}` : null,
+    ].filter(Boolean);
+    return details.length > 0 ? ` (${details.join(', ')})` : '';
+}
+
+/** A fresh effect entry for `spell`, plus carrier-specific fields (condition, acBonus, saveDc…). */
+export function createSpellEffect(spell, extra = {}) {
+    const remainingRounds = spellDurationRounds(spell);
+    return {
+        key: spell.key,
+        name: spell.name,
+        ...(remainingRounds !== null && { remainingRounds }),
+        ...(spell.concentration && { concentration: true }),
+        ...extra,
+    };
+}
+
+/** Add or refresh an effect (one entry per spell key on a carrier). */
+export function upsertEffect(effects, effect) {
+    return [...(effects || []).filter(existing => existing.key !== effect.key), effect].slice(-MAX_EFFECTS);
+}
+
+/** The effect `key` on a carrier, or null. */
+export function findEffect(effects, key) {
+    return (effects || []).find(effect => effect.key === key) || null;
+}
+
+/**
+ * Let `rounds` pass: `{ active, expired }`. Effects without a duration never
+ * expire by time (they end with concentration or the fight).
+ */
+export function advanceEffects(effects, rounds) {
+    const active = [];
+    const expired = [];
+    for (const effect of effects || []) {
+        if (!Number.isFinite(effect.remainingRounds)) {
+            active.push(effect);
+            continue;
+        }
+        const remainingRounds = effect.remainingRounds - rounds;
+        if (remainingRounds > 0) active.push({ ...effect, remainingRounds });
+        else expired.push(effect);
+    }
+    return { active, expired };
+}
+
+/** Constitution save DC to keep concentrating after taking `damage`. */
+export function concentrationSaveDC(damage) {
+    return Math.max(10, Math.floor((Number(damage) || 0) / 2));
+}
+
+/** Total armor-class bonus the effects grant their carrier. */
+export function effectAcBonus(effects) {
+    return (effects || []).reduce((sum, effect) => sum + (effect.acBonus || 0), 0);
+}
+
+/**
+ * Whether a condition is still imposed by an effect after `endingKey` ends —
+ * two effects laying the same condition must not lift it early.
+ */
+export function conditionHeldByOtherEffect(effects, condition, endingKey) {
+    const wanted = String(condition || '').toLowerCase();
+    return (effects || []).some(effect => effect.key !== endingKey
+        && String(effect.condition || '').toLowerCase() === wanted);
+}
+
+/** One line per effect for prompts and the sheet: "Hold Person (paralyzed, concentration, 9 rounds left)". */
+export function describeActiveEffects(effects) {
+    return (effects || []).map(effect => {
+        const details = [
+            effect.condition,
+            effect.acBonus ? `+${effect.acBonus} AC` : null,
+            effect.resistances?.length ? `resists ${effect.resistances.join(', ')}` : null,
+            effect.concentration ? 'concentration' : null,
+            describeRoundsLeft(effect.remainingRounds),
+        ].filter(Boolean);
+        return `${effect.name || effect.key} (${details.join(', ')})`;
+    }).join('; ');
+}
+
+/** Whitelist a saved effects list: bounded, typed, and dropping anything already expired. */
+export function sanitizeActiveEffects(raw) {
+    if (!Array.isArray(raw)) return [];
+    const cleaned = [];
+    for (const effect of raw) {
+        if (!effect || typeof effect !== 'object' || typeof effect.key !== 'string' || !effect.key.trim()) continue;
+        const entry = {
+            key: effect.key.trim().slice(0, 40),
+            name: String(effect.name || effect.key).trim().slice(0, 60),
+        };
+        if (effect.remainingRounds !== undefined) {
+            const rounds = clampInt(effect.remainingRounds, 0, MAX_EFFECT_ROUNDS);
+            if (!rounds) continue;
+            entry.remainingRounds = rounds;
+        }
+        if (effect.concentration) entry.concentration = true;
+        if (typeof effect.condition === 'string' && effect.condition.trim()) {
+            entry.condition = effect.condition.trim().toLowerCase().slice(0, 30);
+        }
+        const acBonus = clampInt(effect.acBonus, 0, 5);
+        if (acBonus) entry.acBonus = acBonus;
+        const resistances = normalizeDamageTypeList(effect.resistances);
+        if (resistances.length > 0) entry.resistances = resistances;
+        const saveDc = clampInt(effect.saveDc, 1, 30);
+        if (saveDc) entry.saveDc = saveDc;
+        const slotLevel = clampInt(effect.slotLevel, 1, 9);
+        if (slotLevel) entry.slotLevel = slotLevel;
+        cleaned.push(entry);
+    }
+    return cleaned.slice(-MAX_EFFECTS);
+}
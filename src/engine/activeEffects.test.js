@@ -0,0 +1,98 @@
+import { describe, expect, it } from 'vitest';
+import {
+    advanceEffects,
+    concentrationSaveDC,
+    conditionHeldByOtherEffect,
+    createSpellEffect,
+    describeActiveEffects,
+    describeRoundsLeft,
+    effectAcBonus,
+    sanitizeActiveEffects,
+    spellDurationRounds,
+    upsertEffect,
+} from './activeEffects.js';
+import { SPELLS } from '../data/spells.js';
+
+describe('spell durations', () => {
+    it('counts durations in rounds, ten to the minute', () => {
+        expect(spellDurationRounds(SPELLS.command)).toBe(1);
+        expect(spellDurationRounds(SPELLS.holdPerson)).toBe(10);
+        expect(spellDurationRounds(SPELLS.mageArmor)).toBe(4800);
+        expect(spellDurationRounds(SPELLS.fireball)).toBeNull();
+    });
+
+    it('reads time left in rounds, then minutes, then hours', () => {
+        expect(describeRoundsLeft(1)).toBe('1 round left');
+        expect(describeRoundsLeft(10)).toBe('10 rounds left');
+        expect(describeRoundsLeft(95)).toBe('10 min left');
+        expect(describeRoundsLeft(4200)).toBe('7 h left');
+        expect(describeRoundsLeft(650)).toBe('1 h 5 min left');
+        expect(describeRoundsLeft(undefined)).toBe('until it ends');
+    });
+
+    it('builds an effect entry that marks concentration spells', () => {
+        expect(createSpellEffect(SPELLS.holdPerson, { condition: 'paralyzed', saveDc: 14 })).toEqual({
+            key: 'holdPerson', name: 'Hold Person', remainingRounds: 10, concentration: true, condition: 'paralyzed', saveDc: 14,
+        });
+        expect(createSpellEffect(SPELLS.mageArmor, { acBonus: 3 })).toEqual({
+            key: 'mageArmor', name: 'Mage Armor', remainingRounds: 4800, acBonus: 3,
+        });
+    });
+});
+
+describe('effect bookkeeping', () => {
+    it('keeps one entry per spell and lets time expire the spent ones', () => {
+        const effects = upsertEffect(
+            upsertEffect([], { key: 'command', name: 'Command', remainingRounds: 1, condition: 'prone' }),
+            { key: 'fear', name: 'Fear', remainingRounds: 10, condition: 'frightened' },
+        );
+        const refreshed = upsertEffect(effects, { key: 'command', name: 'Command', remainingRounds: 1, condition: 'prone' });
+        expect(refreshed.map(effect => effect.key)).toEqual(['fear', 'command']);
+
+        const { active, expired } = advanceEffects([...refreshed, { key: 'odd', name: 'Odd' }], 1);
+        expect(active).toEqual([
+            { key: 'fear', name: 'Fear', remainingRounds: 9, condition: 'frightened' },
+            { key: 'odd', name: 'Odd' },
+        ]);
+        expect(expired.map(effect => effect.key)).toEqual(['command']);
+    });
+
+    it('sets the concentration DC at 10 or half the damage, whichever is higher', () => {
+        expect(concentrationSaveDC(7)).toBe(10);
+        expect(concentrationSaveDC(25)).toBe(12);
+    });
+
+    it('sums AC bonuses and notices a condition another effect still holds', () => {
+        const effects = [
+            { key: 'mageArmor', name: 'Mage Armor', acBonus: 3 },
+            { key: 'holdPerson', name: 'Hold Person', condition: 'paralyzed' },
+            { key: 'holdMonster', name: 'Hold Monster', condition: 'paralyzed' },
+        ];
+        expect(effectAcBonus(effects)).toBe(3);
+        expect(conditionHeldByOtherEffect(effects, 'Paralyzed', 'holdPerson')).toBe(true);
+        expect(conditionHeldByOtherEffect(effects.slice(0, 2), 'paralyzed', 'holdPerson')).toBe(false);
+    });
+
+    it('describes effects for prompts and the sheet', () => {
+        expect(describeActiveEffects([
+            { key: 'holdPerson', name: 'Hold Person', condition: 'paralyzed', concentration: true, remainingRounds: 9 },
+            { key: 'mageArmor', name: 'Mage Armor', acBonus: 3, remainingRounds: 4800 },
+        ])).toBe('Hold Person (paralyzed, concentration, 9 rounds left); Mage Armor (+3 AC, 8 h left)');
+    });
+});
+
+describe('sanitizeActiveEffects', () => {
+    it('whitelists fields, clamps numbers, and drops junk or expired entries', () => {
+        expect(sanitizeActiveEffects([
+            { key: 'mageArmor', name: 'Mage Armor', remainingRounds: 99999, acBonus: 40, rogue: 'x' },
+            { key: 'fear', name: 'Fear', remainingRounds: 0, condition: 'frightened' },
+            { key: 'holdPerson', condition: ' Paralyzed ', saveDc: '14', concentration: 'yes', remainingRounds: 6.7 },
+            { name: 'no key' },
+            'garbage',
+        ])).toEqual([
+            { key: 'mageArmor', name: 'Mage Armor', remainingRounds: 4800, acBonus: 5 },
+            { key: 'holdPerson', name: 'holdPerson', remainingRounds: 6, concentration: true, condition: 'paralyzed', saveDc: 14 },
+        ]);
+        expect(sanitizeActiveEffects('nope')).toEqual([]);
+    });
+});
@@ -0,0 +1,176 @@
+/**
+ * Calendar — engine-owned fictional time (DECISIONS.md 2026-10-19).
+ *
+ * Message indexes measure conversation, not the world: "three days later"
+ * used to have no mechanical meaning. The calendar is a single counter,
+ * `calendar.elapsedMinutes` since the campaign opened at 08:00 on
+ * 1 Seedtide, Year 1, and everything else is derived from it: the campaign
+ * day, the date in a 12-month × 30-day year, the season, and the time of
+ * day.
+ *
+ * Only the engine moves it: rests (short 1 hour, long 8 hours), downtime
+ * stretches, and the DM's `time_passed` event for travel, waiting and scene
+ * skips — clamped to TIME_PASSED_MAX_MINUTES per event. worldTempo.js turns
+ * the days that pass into front pressure (advanceWorldTime).
+ */
+
+export const MINUTES_PER_HOUR = 60;
+export const MINUTES_PER_DAY = 24 * MINUTES_PER_HOUR;
+export const DAYS_PER_MONTH = 30;
+export const MONTHS = [
+    { name: 'Deepwinter', season: 'winter' },
+    { name: 'Icemelt', season: 'winter' },
+    { name: 'Seedtide', season: 'spring' },
+    { name: 'Greengrass', season: 'spring' },
+    { name: 'Blossomtide', season: 'spring' },
+    { name: 'Highsun', season: 'summer' },
+    { name: 'Goldfield', season: 'summer' },
+    { name: 'Harvestide', season: 'summer' },
+    { name: 'Leaffall', season: 'autumn' },
+    { name: 'Mistmoot', season: 'autumn' },
+    { name: 'Emberwane', season: 'autumn' },
+    { name: 'Frostfall', season: 'winter' },
+];
+export const DAYS_PER_YEAR = DAYS_PER_MONTH * MONTHS.length;
+/** The most one `time_passed` event may move the clock: a month of travel. */
+export const TIME_PASSED_MAX_MINUTES = 30 * MINUTES_PER_DAY;
+
+/** Where elapsedMinutes 0 falls in the year: 08:00, 1 Seedtide. */
+const EPOCH_MINUTES = 2 * DAYS_PER_MONTH * MINUTES_PER_DAY + 8 * MINUTES_PER_HOUR;
+const MAX_ELAPSED_MINUTES = 1000 * DAYS_PER_YEAR * MINUTES_PER_DAY;
+
+/** The hour dawn breaks — the start of the 'dawn' band; dawn-recharging items refill then. */
+export const DAWN_HOUR = 5;
+
+const TIME_OF_DAY_BANDS = [
+    { until: 5, label: 'deep night' },
+    { until: 7, label: 'dawn' },
+    { until: 12, label: 'morning' },
+    { until: 14, label: 'midday' },
+    { until: 17, label: 'afternoon' },
+    { until: 19, label: 'dusk' },
+    { until: 22, label: 'evening' },
+    { until: 24, label: 'night' },
+];
+
+export function createInitialCalendar() {
+    return { elapsedMinutes: 0 };
+}
+
+function elapsedOf(calendar) {
+    const value = Math.trunc(Number(calendar?.elapsedMinutes));
+    return Number.isFinite(value) ? Math.max(0, Math.min(MAX_ELAPSED_MINUTES, value)) : 0;
+}
+
+/** Saves are untrusted input: any unreadable calendar restarts at the epoch. */
+export function sanitizeCalendar(raw) {
+    return { elapsedMinutes: elapsedOf(raw) };
+}
+
+export function advanceCalendar(calendar, minutes) {
+    const delta = Math.max(0, Math.trunc(Number(minutes)) || 0);
+    return { elapsedMinutes: Math.min(MAX_ELAPSED_MINUTES, elapsedOf(calendar) + delta) };
+}
+
+/** The campaign day (1-based) a calendar falls on. */
+export function calendarDay(calendar) {
+    return Math.floor((EPOCH_MINUTES + elapsedOf(calendar)) / MINUTES_PER_DAY)
+        - Math.floor(EPOCH_MINUTES / MINUTES_PER_DAY) + 1;
+}
+
+/** Whole calendar days between two readings, counted in midnights crossed. */
+export function daysBetween(fromMinutes, toMinutes) {
+    const from = Math.floor((EPOCH_MINUTES + Math.max(0, fromMinutes || 0)) / MINUTES_PER_DAY);
+    const to = Math.floor((EPOCH_MINUTES + Math.max(0, toMinutes || 0)) / MINUTES_PER_DAY);
+    return Math.max(0, to - from);
+}
+
+/** How many dawns break after `fromMinutes`, up to and including `toMinutes`. */
+export function dawnsBetween(fromMinutes, toMinutes) {
+    const sinceDawn = minutes => Math.floor((EPOCH_MINUTES + Math.max(0, minutes || 0) - DAWN_HOUR * MINUTES_PER_HOUR) / MINUTES_PER_DAY);
+    return Math.max(0, sinceDawn(toMinutes) - sinceDawn(fromMinutes));
+}
+
+export function timeOfDayForHour(hour) {
+    return TIME_OF_DAY_BANDS.find(band => hour < band.until)?.label || 'night';
+}
+
+/** Every derived reading of a calendar. */
+export function readCalendar(calendar) {
+    const absolute = EPOCH_MINUTES + elapsedOf(calendar);
+    const dayIndex = Math.floor(absolute / MINUTES_PER_DAY);
+    const minuteOfDay = absolute % MINUTES_PER_DAY;
+    const dayOfYear = dayIndex % DAYS_PER_YEAR;
+    const month = MONTHS[Math.floor(dayOfYear / DAYS_PER_MONTH)];
+    const hour = Math.floor(minuteOfDay / MINUTES_PER_HOUR);
+    return {
+        day: calendarDay(calendar),
+        year: Math.floor(dayIndex / DAYS_PER_YEAR) + 1,
+        monthName: month.name,
+        dayOfMonth: (dayOfYear % DAYS_PER_MONTH) + 1,
+        season: month.season,
+        hour,
+        minute: minuteOfDay % MINUTES_PER_HOUR,
+        timeOfDay: timeOfDayForHour(hour),
+    };
+}
+
+export function formatCalendarDate(calendar) {
+    const reading = readCalendar(calendar);
+    return `${reading.dayOfMonth} ${reading.monthName}, Year ${reading.year}`;
+}
+
+/** "Day 3 · 14 Seedtide, Year 1 · spring · afternoon (14:20)" */
+export function describeCalendar(calendar) {
+    const reading = readCalendar(calendar);
+    const clock = `${String(reading.hour).padStart(2, '0')}:${String(reading.minute).padStart(2, '0')}`;
+    return `Day ${reading.day} · ${formatCalendarDate(calendar)} · ${reading.season} · ${reading.timeOfDay} (${clock})`;
+}
+
+/** The compact stamp journal entries carry. */
+export function calendarStamp(calendar) {
+    const reading = readCalendar(calendar);
+    return { day: reading.day, date: formatCalendarDate(calendar), timeOfDay: reading.timeOfDay };
+}
+
+/** "2 days, 3 hours" — a duration for system lines and prompt text. */
+export function formatDuration(minutes) {
+    const total = Math.max(0, Math.trunc(minutes) || 0);
+    const days = Math.floor(total / MINUTES_PER_DAY);
+    const hours = Math.floor((total % MINUTES_PER_DAY) / MINUTES_PER_HOUR);
+    const mins = total % MINUTES_PER_HOUR;
+    const parts = [];
+    if (days) parts.push(`${days} day${days === 1 ? '' : 's'}`);
+    if (hours) parts.push(`${hours} hour${hours === 1 ? '' : 's'}`);
+    if (mins || parts.length === 0) parts.push(`${mins} minute${mins === 1 ? '' : 's'}`);
+    return parts.join(', ');
+}
+
+/**
+ * A DM `time_passed` event → `{ minutes, reason }`, or null. Accepts
+ * { days, hours, minutes } in any mix (or a bare number of hours), summed
+ * and clamped to TIME_PASSED_MAX_MINUTES; anything under ten minutes is
+ * scene time, not a skip.
+ */
+export function normalizeTimePassed(raw) {
+    if (raw === null || raw === undefined || raw === false) return null;
+    const value = typeof raw === 'number' || typeof raw === 'string' ? { hours: raw } : raw;
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
+    const part = key => {
+        const n = Number(value[key]);
+        return Number.isFinite(n) && n > 0 ? n : 0;
+    };
+    const minutes = Math.round(part('days') * MINUTES_PER_DAY + part('hours') * MINUTES_PER_HOUR + part('minutes'));
+    if (minutes < 10) return null;
+    return {
+        minutes: Math.min(TIME_PASSED_MAX_MINUTES, minutes),
+        reason: String(value.reason || '').replace(/\s+/g, ' ').trim().slice(0, 80),
+    };
+}
+
+/** The prompt's TIME block: the date and hour the narration must honor. */
+export function buildCalendarBlock(calendar) {
+    const reading = readCalendar(calendar);
+    return `## TIME
+It is ${describeCalendar(calendar)}. Keep light, weather, crowds, and open doors true to a ${reading.season} ${reading.timeOfDay}. The engine keeps this clock: report skipped time with "time_passed" rather than inventing a date.`;
+}
@@ -0,0 +1,93 @@
+import { describe, expect, it } from 'vitest';
+import {
+    advanceCalendar,
+    buildCalendarBlock,
+    calendarDay,
+    calendarStamp,
+    createInitialCalendar,
+    dawnsBetween,
+    daysBetween,
+    describeCalendar,
+    formatDuration,
+    MINUTES_PER_DAY,
+    normalizeTimePassed,
+    readCalendar,
+    sanitizeCalendar,
+    TIME_PASSED_MAX_MINUTES,
+} from './calendar.js';
+
+describe('reading the calendar', () => {
+    it('opens the campaign at 08:00 on 1 Seedtide, Year 1', () => {
+        expect(readCalendar(createInitialCalendar())).toEqual({
+            day: 1, year: 1, monthName: 'Seedtide', dayOfMonth: 1, season: 'spring', hour: 8, minute: 0, timeOfDay: 'morning',
+        });
+        expect(describeCalendar(createInitialCalendar())).toBe('Day 1 · 1 Seedtide, Year 1 · spring · morning (08:00)');
+    });
+
+    it('rolls hours into days, months, seasons and years', () => {
+        const evening = advanceCalendar(createInitialCalendar(), 12 * 60 + 20);
+        expect(readCalendar(evening)).toMatchObject({ day: 1, hour: 20, minute: 20, timeOfDay: 'evening' });
+        const pastMidnight = advanceCalendar(evening, 5 * 60);
+        expect(readCalendar(pastMidnight)).toMatchObject({ day: 2, dayOfMonth: 2, hour: 1, timeOfDay: 'deep night' });
+        const summer = advanceCalendar(createInitialCalendar(), 90 * MINUTES_PER_DAY);
+        expect(readCalendar(summer)).toMatchObject({ monthName: 'Highsun', season: 'summer', day: 91 });
+        const nextYear = advanceCalendar(createInitialCalendar(), 300 * MINUTES_PER_DAY);
+        expect(readCalendar(nextYear)).toMatchObject({ year: 2, monthName: 'Deepwinter', season: 'winter' });
+        expect(calendarStamp(nextYear)).toEqual({ day: 301, date: '1 Deepwinter, Year 2', timeOfDay: 'morning' });
+    });
+
+    it('counts days in midnights crossed', () => {
+        expect(daysBetween(0, 15 * 60)).toBe(0);
+        expect(daysBetween(0, 16 * 60)).toBe(1);
+        expect(calendarDay({ elapsedMinutes: 16 * 60 })).toBe(2);
+    });
+
+    it('counts the dawns that break at 05:00', () => {
+        expect(dawnsBetween(0, 21 * 60 - 1)).toBe(0);
+        expect(dawnsBetween(0, 21 * 60)).toBe(1);
+        expect(dawnsBetween(21 * 60, 22 * 60)).toBe(0);
+        expect(dawnsBetween(0, 3 * MINUTES_PER_DAY)).toBe(3);
+    });
+});
+
+describe('moving and loading the clock', () => {
+    it('only ever moves forward', () => {
+        expect(advanceCalendar({ elapsedMinutes: 100 }, -50)).toEqual({ elapsedMinutes: 100 });
+        expect(advanceCalendar({ elapsedMinutes: 100 }, 'junk')).toEqual({ elapsedMinutes: 100 });
+        expect(advanceCalendar(null, 60)).toEqual({ elapsedMinutes: 60 });
+    });
+
+    it('restarts an unreadable saved calendar at the epoch', () => {
+        expect(sanitizeCalendar({ elapsedMinutes: 4321.7 })).toEqual({ elapsedMinutes: 4321 });
+        expect(sanitizeCalendar({ elapsedMinutes: -5 })).toEqual({ elapsedMinutes: 0 });
+        expect(sanitizeCalendar('yesterday')).toEqual({ elapsedMinutes: 0 });
+        expect(sanitizeCalendar(undefined)).toEqual({ elapsedMinutes: 0 });
+    });
+});
+
+describe('normalizeTimePassed', () => {
+    it('sums days, hours and minutes, reading a bare number as hours', () => {
+        expect(normalizeTimePassed({ days: 2, hours: 3, reason: '  the   road north ' })).toEqual({ minutes: 2 * MINUTES_PER_DAY + 180, reason: 'the road north' });
+        expect(normalizeTimePassed(4)).toEqual({ minutes: 240, reason: '' });
+        expect(normalizeTimePassed({ minutes: 45 })).toEqual({ minutes: 45, reason: '' });
+    });
+
+    it('ignores scene-scale and malformed skips and clamps long ones', () => {
+        expect(normalizeTimePassed({ minutes: 5 })).toBeNull();
+        expect(normalizeTimePassed({ days: -3 })).toBeNull();
+        expect(normalizeTimePassed(['3 days'])).toBeNull();
+        expect(normalizeTimePassed(null)).toBeNull();
+        expect(normalizeTimePassed({ days: 400 }).minutes).toBe(TIME_PASSED_MAX_MINUTES);
+    });
+});
+
+describe('calendar text', () => {
+    it('formats durations and the prompt block', () => {
+        expect(formatDuration(MINUTES_PER_DAY + 61)).toBe('1 day, 1 hour, 1 minute');
+        expect(formatDuration(480)).toBe('8 hours');
+        const block = buildCalendarBlock(advanceCalendar(createInitialCalendar(), 10 * 60));
+        expect(block).toContain('## TIME');
+        expect(block).toContain('It is Day 1 · 1 Seedtide, Year 1 · spring · dusk (18:00).');
+        expect(block).toContain('"time_passed"');
+    });
+});
@@ -1,12 +1,13 @@
 /**
  * Character creation utilities and helpers.
  */
-import { getModifier, getProficiencyBonus, getMaxHitPoints, computeACFromInventory } from './rules.js';
+import { getModifier, getProficiencyBonus, getMaxHitPoints, computeACFromInventory, getClassLevels } from './rules.js';
 import { rollDice } from './dice.ts';
-import { RACES } from '../data/races.js';
+import { normalizeSubrace, resolveRace } from '../data/races.js';
 import { CLASSES } from '../data/classes.js';
 import { normalizeItem } from '../data/items.js';
-import { buildSpellSlots, isSpellcaster } from './spellcasting.js';
+import { buildSpellSlots, isCharacterSpellcaster, isSpellcaster } from './spellcasting.js';
+import { FEATS, sanitizeFeats } from '../data/feats.js';
 import { CHARACTER_APPEARANCE_MAX } from '../config/contentLimits.js';
 
 /**
@@ -15,9 +16,10 @@ import { CHARACTER_APPEARANCE_MAX } from '../config/contentLimits.js';
 export const STANDARD_ARRAY = [15, 14, 13, 12, 10, 8];
 
 const STARTING_GOLD_DICE = { count: 2, sides: 20 };
-// Standard 5e ASI cadence, uniform across classes — no feats by design, and no
-// Fighter bonus ASIs (Fighter identity already comes from Fighting Styles,
-// Champion crits, Extra Attack, and Action Surge).
+// Standard 5e ASI cadence, uniform across classes — a feat may stand in for
+// any of them (data/feats.js), but there are no Fighter bonus ASIs (Fighter
+// identity already comes from Fighting Styles, Champion crits, Extra Attack,
+// and Action Surge).
 const ABILITY_SCORE_IMPROVEMENT_LEVELS = [4, 8, 12, 16, 19];
 
 /**
@@ -65,10 +67,10 @@ export const SKILL_LABELS = {
 };
 
 /**
- * Apply racial ability score bonuses.
+ * Apply racial ability score bonuses (a subrace's stack on the race's).
  */
-export function applyRacialBonuses(abilityScores, raceName) {
-    const race = RACES[raceName];
+export function applyRacialBonuses(abilityScores, raceName, subraceName = null) {
+    const race = resolveRace(raceName, subraceName);
     if (!race?.abilityBonuses) return { ...abilityScores };
 
     const result = { ...abilityScores };
@@ -80,30 +82,90 @@ export function applyRacialBonuses(abilityScores, raceName) {
     return result;
 }
 
+/**
+ * Maximum uses of a class resource: a flat `max`, `maxPerLevel` × level (the
+ * Lay on Hands pool), or an ability modifier (+`maxBonus`, at least 1).
+ */
+export function getClassResourceMax(def, level, abilityScores = null) {
+    if (def.maxPerLevel) return def.maxPerLevel * Math.max(1, level || 1);
+    if (def.maxFromAbility) {
+        return Math.max(1, getModifier(abilityScores?.[def.maxFromAbility] || 10) + (def.maxBonus || 0));
+    }
+    return def.max;
+}
+
+/** Which rest refills a resource at this level ('short' | 'long'). */
+export function getClassResourceReset(def, level) {
+    if (def.shortRestFromLevel && (level || 1) >= def.shortRestFromLevel) return 'short';
+    return def.resetOn;
+}
+
+/**
+ * Every resource definition a character draws on: each class's plus any the
+ * race grants (Breath Weapon, Relentless Endurance) or a feat does (Lucky).
+ * All live in `character.classResources` under their own keys.
+ */
+export function getResourceDefinitions(character) {
+    const classLevels = getClassLevels(character);
+    const classNames = Object.keys(classLevels).length > 0 ? Object.keys(classLevels) : [character?.class];
+    return {
+        ...Object.assign({}, ...classNames.map(name => CLASSES[name]?.resources || {})),
+        ...(resolveRace(character?.race, character?.subrace)?.resources || {}),
+        ...Object.assign({}, ...sanitizeFeats(character?.feats).map(key => FEATS[key].resources || {})),
+    };
+}
+
+/**
+ * The level a resource scales with: its class's level for a class resource
+ * (a Fighter 2 / Wizard 3's Second Wind heals +2), the character level for a
+ * racial one.
+ */
+export function getResourceLevel(character, key) {
+    const classLevels = getClassLevels(character);
+    const owner = Object.keys(classLevels).find(name => CLASSES[name]?.resources?.[key]);
+    return owner ? classLevels[owner] : (character?.level || 1);
+}
+
 /**
  * Build the classResources object for a character.
  * Each resource tracks `used` count vs `max` uses. Pass `previous` (the
  * buildSpellSlots pattern) to carry spent uses forward — a level-up mid-day
  * unlocks new resources at 0 used but never silently refills the day's
  * spent Second Wind / Action Surge / Channel Divinity / Arcane Recovery.
+ * `abilityScores` sizes resources that scale with an ability (Bardic
+ * Inspiration, Divine Sense). `origin` (`{ race, subrace, feats }` — a
+ * character object works) adds the racial and feat resources.
  */
-export function buildClassResources(className, level, previous = null) {
-    const charClass = CLASSES[className];
-    if (!charClass?.resources) return {};
+export function buildClassResources(className, level, previous = null, abilityScores = null, origin = null) {
+    const defs = getResourceDefinitions({ class: className, race: origin?.race, subrace: origin?.subrace, feats: origin?.feats });
 
     const resources = {};
-    for (const [key, def] of Object.entries(charClass.resources)) {
+    for (const [key, def] of Object.entries(defs)) {
         if (level >= (def.minLevel || 1)) {
+            const max = getClassResourceMax(def, level, abilityScores);
             const prevUsed = previous?.[key]?.used;
             resources[key] = {
-                used: Number.isFinite(prevUsed) ? Math.max(0, Math.min(def.max, Math.trunc(prevUsed))) : 0,
-                max: def.max,
+                used: Number.isFinite(prevUsed) ? Math.max(0, Math.min(max, Math.trunc(prevUsed))) : 0,
+                max,
             };
         }
     }
     return resources;
 }
 
+/**
+ * buildClassResources for a whole hero: each class's resources at that
+ * class's level, the race's at the character level. For a single-classed
+ * hero this is exactly buildClassResources(class, level, …).
+ */
+export function buildCharacterResources(character, previous = character?.classResources) {
+    const resources = buildClassResources(null, character?.level || 1, previous, character?.abilityScores, character);
+    for (const [name, level] of Object.entries(getClassLevels(character))) {
+        Object.assign(resources, buildClassResources(name, level, previous, character.abilityScores));
+    }
+    return resources;
+}
+
 export function normalizeFightingStyle(className, value) {
     const styles = CLASSES[className]?.fightingStyles;
     if (!styles) return null;
@@ -131,8 +193,34 @@ export function getAbilityScoreImprovementCount(level) {
     return ABILITY_SCORE_IMPROVEMENT_LEVELS.filter(l => n >= l).length;
 }
 
+/**
+ * ASIs come with class levels (4, 8, 12, 16, 19 in each class), so a
+ * Fighter 4 / Wizard 4 has earned two.
+ */
+export function getCharacterAbilityScoreImprovementCount(character = {}) {
+    const levels = Object.values(getClassLevels(character));
+    return levels.length > 1
+        ? levels.reduce((sum, level) => sum + getAbilityScoreImprovementCount(level), 0)
+        : getAbilityScoreImprovementCount(character.level);
+}
+
+/**
+ * May the hero spend a pending Ability Score Improvement on this feat? Each
+ * feat is taken once; War Caster needs a casting class.
+ * @returns {{ ok: boolean, reason?: string }}
+ */
+export function canTakeFeat(character, key) {
+    const feat = Object.hasOwn(FEATS, key) ? FEATS[key] : null;
+    if (!feat) return { ok: false, reason: `"${key}" is not a feat in this game.` };
+    if (sanitizeFeats(character?.feats).includes(key)) return { ok: false, reason: `${feat.name} is already taken.` };
+    if (feat.prerequisite === 'spellcaster' && !isCharacterSpellcaster(character)) {
+        return { ok: false, reason: `${feat.name} needs the ability to cast spells from a class.` };
+    }
+    return { ok: true };
+}
+
 export function normalizeAbilityScoreImprovementState(character = {}) {
-    const earned = getAbilityScoreImprovementCount(character.level);
+    const earned = getCharacterAbilityScoreImprovementCount(character);
     const rawApplied = Number(character.abilityScoreImprovementsApplied);
     const applied = Number.isFinite(rawApplied)
         ? Math.max(0, Math.min(earned, Math.trunc(rawApplied)))
@@ -181,16 +269,17 @@ export function getAllFeaturesUpToLevel(className, level) {
  * @param {string[]} chosenSkills - Skills chosen by the player during creation
  */
 export function createCharacter(name, raceName, className, abilityScores, chosenSkills = [], options = {}) {
-    const race = RACES[raceName];
+    const subrace = normalizeSubrace(raceName, options.subrace);
+    const race = resolveRace(raceName, subrace);
     const charClass = CLASSES[className];
 
     if (!race || !charClass) {
         throw new Error(`Invalid race "${raceName}" or class "${className}"`);
     }
 
-    const adjustedScores = applyRacialBonuses(abilityScores, raceName);
+    const adjustedScores = applyRacialBonuses(abilityScores, raceName, subrace);
     const conMod = getModifier(adjustedScores.constitution);
-    const maxHP = getMaxHitPoints(className, 1, conMod, charClass);
+    const maxHP = getMaxHitPoints(className, 1, conMod, charClass, race.mechanics.hpPerLevel || 0);
     const inventory = createStartingInventory(className);
     const startingGoldRolls = rollDice(STARTING_GOLD_DICE.count, STARTING_GOLD_DICE.sides);
     const startingGold = startingGoldRolls.reduce((sum, roll) => sum + roll, 0);
@@ -203,8 +292,10 @@ export function createCharacter(name, raceName, className, abilityScores, chosen
         id: `char-${Date.now()}`,
         name,
         race: raceName,
+        subrace,
         class: className,
         level: 1,
+        classLevels: { [className]: 1 },
         exp: 0,
         gold: startingGold,
         silver: 0,
@@ -224,8 +315,8 @@ export function createCharacter(name, raceName, className, abilityScores, chosen
         speed: race.speed || 30,
         traits: [...(race.traits || [])],
         features: [...(charClass.features?.['1'] || [])],
-        classResources: buildClassResources(className, 1),
-        ...(isSpellcaster(className) && { spellSlots: buildSpellSlots(1), sustainedSpell: null }),
+        classResources: buildClassResources(className, 1, null, adjustedScores, { race: raceName, subrace }),
+        ...(isSpellcaster(className) && { spellSlots: buildSpellSlots(1, null, className), sustainedSpell: null }),
         hitDice: { total: 1, remaining: 1, die: charClass.hitDie },
         conditions: [],
         // Player-authored identity, all optional. Appearance caps at the shared
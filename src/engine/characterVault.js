@@ -7,13 +7,16 @@
  * validated and clamped, and every derived field is rebuilt from race/class data
  * instead of trusted — the same "engine owns the math" rule applied to the DM.
  */
-import { RACES } from '../data/races.js';
+import { normalizeSubrace, resolveRace } from '../data/races.js';
 import { CLASSES } from '../data/classes.js';
+import { sanitizeFeats } from '../data/feats.js';
 import { normalizeItem } from '../data/items.js';
-import { getMaxHitPoints, getModifier, getProficiencyBonus } from './rules.js';
-import { ABILITY_NAMES, SKILL_LABELS, buildClassResources, getAllFeaturesUpToLevel, normalizeAbilityScoreImprovementState, normalizeFightingStyle, normalizeMartialArchetype } from './characterUtils.js';
+import { getClassLevels, getFeatHitPointsPerLevel, getMaxHitPoints, getModifier, getProficiencyBonus } from './rules.js';
+import { ABILITY_NAMES, SKILL_LABELS, buildCharacterResources, canTakeFeat, getAllFeaturesUpToLevel, normalizeAbilityScoreImprovementState, normalizeFightingStyle, normalizeMartialArchetype } from './characterUtils.js';
+import { buildHitDice, meetsMulticlassPrerequisites } from './multiclass.js';
 import { getExperienceThreshold, MAX_CHARACTER_LEVEL } from './progression.js';
 import { normalizeEquippedSlots } from './equipment.js';
+import { enforceAttunementLimit } from './magicItems.js';
 import { CHARACTER_APPEARANCE_MAX } from '../config/contentLimits.js';
 
 export const EXPORT_FORMAT = 'quest-forge-character';
@@ -45,7 +48,8 @@ function clampInt(value, min, max, fallback) {
     return Math.max(min, Math.min(max, Math.trunc(n)));
 }
 
-function sanitizeImageUrl(value) {
+/** A portrait URL from an untrusted file: a Pollinations render or an inline image, else ''. */
+export function sanitizeImageUrl(value) {
     const s = String(value || '').trim();
     if (!s || s.length > MAX_PORTRAIT_URL_LENGTH) return '';
     if (/^https:\/\/image\.pollinations\.ai\/prompt\//i.test(s)) return s;
@@ -101,7 +105,8 @@ export function sanitizeCharacter(raw) {
     const name = String(raw.name || '').trim().slice(0, 30);
     if (!name) throw new Error('This character has no name.');
 
-    const race = RACES[raw.race];
+    const subrace = normalizeSubrace(raw.race, raw.subrace);
+    const race = resolveRace(raw.race, subrace);
     const charClass = CLASSES[raw.class];
     if (!race) throw new Error(`Unknown race "${raw.race}" — this hero may come from an older version of the game.`);
     if (!charClass) throw new Error(`Unknown class "${raw.class}" — this hero may come from an older version of the game.`);
@@ -115,19 +120,43 @@ export function sanitizeCharacter(raw) {
 
     const level = clampInt(raw.level, 1, MAX_CHARACTER_LEVEL, 1);
     const exp = clampInt(raw.exp, 0, getExperienceThreshold(level) - 1, 0);
+    // A multiclass split is kept only when it adds up and the scores meet every
+    // class's prerequisites; anything else imports as the first class alone.
+    const splitLevels = getClassLevels({ class: raw.class, level, classLevels: raw.classLevels });
+    const classLevels = Object.keys(splitLevels).length > 1
+        && Object.keys(splitLevels).every(name => meetsMulticlassPrerequisites(abilityScores, name))
+        ? splitLevels
+        : { [raw.class]: level };
+    // Each feat spent an Ability Score Improvement, so no more of them than
+    // the file's applied count allows, and each must still be takeable.
+    const asiApplied = normalizeAbilityScoreImprovementState({
+        class: raw.class, level, classLevels, abilityScoreImprovementsApplied: raw.abilityScoreImprovementsApplied,
+    }).abilityScoreImprovementsApplied;
+    const feats = sanitizeFeats(raw.feats).reduce((taken, key) => (
+        taken.length < asiApplied && canTakeFeat({ class: raw.class, level, classLevels, feats: taken }, key).ok ? [...taken, key] : taken
+    ), []);
 
     // Heroes created since the fixed-average-HP decision have exactly one correct
     // maxHP — recompute it and ignore whatever the (hand-editable) file claims.
     // Only pre-decision heroes (or files without a creation timestamp) keep the
     // broad legacy clamp band, because their level-ups genuinely rolled HP.
     const conMod = getModifier(abilityScores.constitution);
+    const racialHp = race.mechanics.hpPerLevel || 0;
+    const featHp = getFeatHitPointsPerLevel(feats);
     const createdAt = Number.isFinite(raw.createdAt) ? raw.createdAt : null;
     let maxHP;
-    if (createdAt && createdAt >= FIXED_AVERAGE_HP_SINCE) {
-        maxHP = Math.max(1, getMaxHitPoints(raw.class, level, conMod, charClass));
+    if (Object.keys(classLevels).length > 1) {
+        // Multiclassing postdates fixed-average HP: first class as usual, every
+        // later class's levels at its own average.
+        maxHP = Object.entries(classLevels).slice(1).reduce(
+            (sum, [name, classLevel]) => sum + classLevel * (Math.max(1, Math.floor(CLASSES[name].hitDie / 2) + 1 + conMod) + racialHp + featHp),
+            Math.max(1, getMaxHitPoints(raw.class, classLevels[raw.class], conMod, charClass, racialHp, feats)),
+        );
+    } else if (createdAt && createdAt >= FIXED_AVERAGE_HP_SINCE) {
+        maxHP = Math.max(1, getMaxHitPoints(raw.class, level, conMod, charClass, racialHp, feats));
     } else {
-        const perLevelMax = Math.max(1, charClass.hitDie + conMod);
-        const minPossibleHP = perLevelMax + (level - 1);
+        const perLevelMax = Math.max(1, charClass.hitDie + conMod) + racialHp + featHp;
+        const minPossibleHP = perLevelMax + (level - 1) * (1 + racialHp + featHp);
         const maxPossibleHP = perLevelMax * level;
         maxHP = clampInt(raw.maxHP, minPossibleHP, maxPossibleHP, minPossibleHP);
     }
@@ -148,8 +177,10 @@ export function sanitizeCharacter(raw) {
         id: `char-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
         name,
         race: raw.race,
+        subrace,
         class: raw.class,
         level,
+        classLevels,
         exp,
         gold: clampInt(raw.gold, 0, MAX_COIN, 0),
         silver: clampInt(raw.silver, 0, MAX_COIN, 0),
@@ -162,13 +193,14 @@ export function sanitizeCharacter(raw) {
         skillProficiencies,
         expertiseSkills,
         savingThrowProficiencies: [...(charClass.savingThrows || [])],
-        fightingStyle: normalizeFightingStyle(raw.class, raw.fightingStyle),
-        martialArchetype: normalizeMartialArchetype(raw.class, level, raw.martialArchetype),
+        fightingStyle: classLevels.fighter ? normalizeFightingStyle('fighter', raw.fightingStyle) : null,
+        martialArchetype: normalizeMartialArchetype('fighter', classLevels.fighter || 0, raw.martialArchetype),
         speed: race.speed || 30,
         traits: [...(race.traits || [])],
-        features: getAllFeaturesUpToLevel(raw.class, level),
-        classResources: buildClassResources(raw.class, level),
-        hitDice: { total: level, remaining: level, die: charClass.hitDie },
+        feats,
+        features: [...new Set(Object.entries(classLevels).flatMap(([name, classLevel]) => getAllFeaturesUpToLevel(name, classLevel)))],
+        classResources: buildCharacterResources({ class: raw.class, level, classLevels, race: raw.race, subrace, abilityScores, feats }, null),
+        hitDice: buildHitDice({ class: raw.class, level, classLevels }, null),
         conditions: [],
         gender: String(raw.gender || '').trim().slice(0, 60),
         background: String(raw.background || '').trim().slice(0, 2000),
@@ -208,7 +240,7 @@ export function sanitizeInventory(rawInventory) {
                 equipped: wantsEquip,
             };
         });
-    return normalizeEquippedSlots(sanitized);
+    return enforceAttunementLimit(normalizeEquippedSlots(sanitized));
 }
 
 /**
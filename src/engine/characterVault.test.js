@@ -146,10 +146,10 @@ describe('parseCharacterExport rejections', () => {
 
     it('rejects characters with cut/unknown races or classes', () => {
         const { character, inventory } = makeFighter();
-        const asBard = buildCharacterExport({ ...character, class: 'bard' }, inventory);
-        expect(() => parseCharacterExport(JSON.stringify(asBard))).toThrow(/class "bard"/);
-        const asGnome = buildCharacterExport({ ...character, race: 'gnome' }, inventory);
-        expect(() => parseCharacterExport(JSON.stringify(asGnome))).toThrow(/race "gnome"/);
+        const asMonk = buildCharacterExport({ ...character, class: 'monk' }, inventory);
+        expect(() => parseCharacterExport(JSON.stringify(asMonk))).toThrow(/class "monk"/);
+        const asAasimar = buildCharacterExport({ ...character, race: 'aasimar' }, inventory);
+        expect(() => parseCharacterExport(JSON.stringify(asAasimar))).toThrow(/race "aasimar"/);
     });
 
     it('rejects a character missing a name or an ability score', () => {
@@ -247,6 +247,37 @@ describe('sanitizeCharacter clamps and rebuilds', () => {
         expect(tampered.classResources.actionSurge).toBeDefined(); // L2+ resource present at L5
     });
 
+    it('keeps a multiclass split the scores allow and rebuilds it per class', () => {
+        const { character } = makeFighter();
+        const scholar = { ...character, abilityScores: { ...character.abilityScores, intelligence: 13 }, createdAt: Date.UTC(2026, 9, 1) };
+        const fighterOnly = sanitizeCharacter({ ...scholar, level: 3 });
+        const imported = sanitizeCharacter({ ...scholar, level: 5, classLevels: { fighter: 3, wizard: 2 } });
+        expect(imported.classLevels).toEqual({ fighter: 3, wizard: 2 });
+        // Two d6 levels at their average (4) + CON 3 on top of the Fighter 3.
+        expect(imported.maxHP).toBe(fighterOnly.maxHP + 2 * (4 + 3));
+        expect(imported.features).toEqual(expect.arrayContaining(['Action Surge', 'Arcane Recovery']));
+        expect(imported.features).not.toContain('Extra Attack');
+        expect(imported.hitDice.pools).toEqual([{ die: 10, total: 3, remaining: 3 }, { die: 6, total: 2, remaining: 2 }]);
+        expect(imported.classResources.arcaneRecovery).toBeDefined();
+        // A split the scores never allowed — or that doesn't add up — imports as the first class alone.
+        expect(sanitizeCharacter({ ...character, level: 5, classLevels: { fighter: 3, wizard: 2 } }).classLevels).toEqual({ fighter: 5 });
+        expect(sanitizeCharacter({ ...scholar, level: 5, classLevels: { fighter: 3, wizard: 9 } }).classLevels).toEqual({ fighter: 5 });
+    });
+
+    it('keeps feats the applied improvements paid for, with their HP and resources', () => {
+        const { character } = makeFighter();
+        const veteran = { ...character, level: 4, createdAt: Date.UTC(2026, 9, 1) };
+        const plain = sanitizeCharacter(veteran);
+        const imported = sanitizeCharacter({ ...veteran, abilityScoreImprovementsApplied: 1, feats: ['tough', 'lucky', 'madeUp'] });
+        // One improvement spent buys one feat; the file's second is dropped.
+        expect(imported.feats).toEqual(['tough']);
+        expect(imported.maxHP).toBe(plain.maxHP + 8);
+        expect(sanitizeCharacter({ ...veteran, abilityScoreImprovementsApplied: 1, feats: ['lucky'] }).classResources.luckPoints).toEqual({ used: 0, max: 3 });
+        // War Caster needs a casting class; a fighter's file cannot keep it.
+        expect(sanitizeCharacter({ ...veteran, abilityScoreImprovementsApplied: 1, feats: ['warCaster'] }).feats).toEqual([]);
+        expect(plain.feats).toEqual([]);
+    });
+
     it('preserves already-applied Ability Score Improvements on import', () => {
         const { character } = makeFighter();
         const clean = sanitizeCharacter({
@@ -9,30 +9,62 @@ import { rollWithModifier } from './dice.ts';
 import {
     combineRollModifiers,
     computeACFromInventory,
-    getConditionRollEffects,
+    getAttacksPerAction,
+    getBreathWeapon,
+    getCharacterRollEffects,
+    getClassLevel,
+    getEquippedWeapon,
+    getHeroConditions,
+    getFeats,
+    getHeroMaxHP,
     getIncapacitatingCondition,
     getModifier,
+    getPowerAttackFeat,
     getSavingThrowModifier,
     getSkillModifier,
     getWeaponAttackBonus,
     getWeaponDamageNotation,
+    hasFeat,
+    isMagicItemActive,
+    SKILL_ABILITIES,
 } from './rules.js';
 import {
+    applyHeroDamageDefenses,
+    applyRelentlessEndurance,
     applyUncannyDodge,
     conditionAwareAttackModifiers,
+    createRelentlessEnduranceState,
+    hasLucky,
     isCriticalNatural,
     rollD20Kept as rollD20,
     rollDamage,
 } from './combatMath.js';
+import {
+    advanceEffects,
+    concentrationSaveDC,
+    conditionHeldByOtherEffect,
+    createSpellEffect,
+    describeSpellBuff,
+    findEffect,
+    upsertEffect,
+} from './activeEffects.js';
+import { applyDamageDefenses, describeDamageDefense, normalizeDamageType } from './damageDefenses.js';
+import { findMonster } from '../data/monsters.js';
+import { asItemCast, spendItemCharges } from './magicItems.js';
+import { describeRangeBand, enemyRange, normalizeRangeBand, shiftRangeBand, strikeAtBand, weaponReach } from './rangeBands.js';
 import { sanitizeEnemyDamage, validateEnemyAttackBonus, validateEnemySaveBonus, enemyHealthCondition, normalizeEnemyConditions } from './enemyStats.js';
 import {
     chooseSlotLevel,
+    chooseSpellPayment,
+    getClassSpellSaveDC,
+    getPrimaryCastingClass,
     getSpellAttackBonus,
     getSpellSaveDC,
-    isSpellcaster,
+    isCharacterSpellcaster,
     resolveSpellForCharacter,
     spellDamageNotation,
     spellHealingNotation,
+    spellTargetLimit,
     spendSpellSlot,
     summarizeSpellSlots,
 } from './spellcasting.js';
@@ -44,7 +76,7 @@ export const COMBAT_PHASES = Object.freeze({
     AWAITING_NARRATION: 'awaiting_narration',
 });
 
-const PLAYER_ACTIONS = new Set(['attack', 'cast', 'channel', 'check', 'save', 'dodge', 'dash', 'disengage', 'flee', 'interact', 'pass', 'death_save', 'second_wind']);
+const PLAYER_ACTIONS = new Set(['attack', 'cast', 'channel', 'check', 'save', 'dodge', 'dash', 'disengage', 'flee', 'interact', 'pass', 'death_save', 'second_wind', 'breath_weapon']);
 const ENEMY_ACTIONS = new Set(['attack', 'defend', 'flee', 'surrender']);
 const COMPANION_ACTIONS = new Set(['attack', 'defend', 'guard', 'pass']);
 const ABILITIES = new Set(['strength', 'dexterity', 'constitution', 'intelligence', 'wisdom', 'charisma']);
@@ -73,12 +105,47 @@ function normalizeStrikes(slot) {
     return raw.slice(0, 4).map(strike => ({ target: ref(strike?.target || strike) })).filter(s => s.target);
 }
 
-/** Up to 3 deduped target refs for a cast slot ("targets" array or single "target"). */
-function normalizeCastTargets(slot) {
-    const raw = Array.isArray(slot?.targets)
-        ? slot.targets
+/**
+ * Divine Smite request on an attack slot: `smite: true` spends the lowest
+ * available slot, a number asks for that slot level. Null when absent.
+ */
+function normalizeSmite(slot) {
+    const raw = slot?.smite ?? slot?.divine_smite ?? slot?.divineSmite;
+    if (raw === true) return { slotLevel: null };
+    if (Number.isFinite(raw) && raw > 0) return { slotLevel: Math.max(1, Math.min(5, Math.round(raw))) };
+    return null;
+}
+
+/** Power attack on an attack slot (Great Weapon Master / Sharpshooter): −5 to hit, +10 damage. */
+function normalizePowerAttack(slot) {
+    return (slot?.power_attack ?? slot?.powerAttack) === true;
+}
+
+/**
+ * Dash destination: toward a named foe (closing to engaged) or away from the
+ * fight (every foe falls back to far). A dash with no target retreats.
+ */
+function normalizeDash(slot) {
+    const target = ref(slot?.target);
+    const direction = text(slot?.direction, 20).toLowerCase();
+    if (direction === 'away' || !target) return { direction: 'away' };
+    return { direction: 'toward', target };
+}
+
+// Enough refs for the widest area spell; each spell clamps to its own cap at resolution.
+const MAX_CAST_TARGETS = 8;
+const BREATH_WEAPON_TARGETS = 3;
+
+/**
+ * Deduped target refs for a cast slot: a "targets" array (an area spell may
+ * name the foes "caught" in the blast instead) or a single "target".
+ */
+function normalizeCastTargets(slot, limit = MAX_CAST_TARGETS) {
+    const listed = slot?.targets ?? slot?.caught;
+    const raw = Array.isArray(listed)
+        ? listed
         : (slot?.target != null ? [slot.target] : []);
-    return [...new Set(raw.slice(0, 3)
+    return [...new Set(raw.slice(0, limit)
         .map(value => ref(value?.target ?? value))
         .filter(Boolean))];
 }
@@ -117,14 +184,21 @@ export function normalizeCombatExchange(raw) {
     const playerSlots = Array.isArray(rawPlayerSlots)
         ? rawPlayerSlots.slice(0, 3).map((slot, index) => {
             // "Second Wind"/"secondWind" spellings fold into the documented key.
-            const action = text(slot?.action, 30).toLowerCase().replace(/[\s-]+/g, '_').replace(/^secondwind$/, 'second_wind');
+            const action = text(slot?.action, 30).toLowerCase().replace(/[\s-]+/g, '_')
+                .replace(/^secondwind$/, 'second_wind')
+                .replace(/^breathweapon$/, 'breath_weapon');
             if (!PLAYER_ACTIONS.has(action)) return null;
             const situationalRuling = normalizeSituationalRuling(slot);
             return {
                 id: ref(slot.id) || `player-slot-${index + 1}`,
                 action,
                 description: text(slot.description, 180),
-                ...(action === 'attack' && { strikes: normalizeStrikes(slot), weaponId: ref(slot.weapon_id || slot.weaponId) }),
+                ...(action === 'attack' && {
+                    strikes: normalizeStrikes(slot),
+                    weaponId: ref(slot.weapon_id || slot.weaponId),
+                    ...(normalizeSmite(slot) && { smite: normalizeSmite(slot) }),
+                    ...(normalizePowerAttack(slot) && { powerAttack: true }),
+                }),
                 ...(action === 'cast' && {
                     target: ref(slot.target),
                     targets: normalizeCastTargets(slot),
@@ -133,6 +207,8 @@ export function normalizeCombatExchange(raw) {
                         ? Math.max(1, Math.min(5, Math.round(slot.slot_level ?? slot.slotLevel)))
                         : null,
                 }),
+                ...(action === 'breath_weapon' && { targets: normalizeCastTargets(slot, BREATH_WEAPON_TARGETS) }),
+                ...(action === 'dash' && normalizeDash(slot)),
                 ...((action === 'check' || action === 'save') && {
                     skill: normalizeSkillRef(slot.skill || slot.ability),
                     dc: Number.isFinite(slot.dc) ? Math.max(5, Math.min(30, Math.round(slot.dc))) : 15,
@@ -156,12 +232,14 @@ export function normalizeCombatExchange(raw) {
             const removeConditions = normalizeEnemyConditions(
                 Array.isArray(rawRemoveConditions) ? rawRemoveConditions : [rawRemoveConditions]
             );
+            const moveTo = normalizeRangeBand(intent.move_to ?? intent.moveTo);
             return {
                 enemyId,
                 action,
                 target: ref(intent.target) || 'player',
                 description: text(intent.description, 180),
                 ...(removeConditions.length > 0 && { removeConditions }),
+                ...(moveTo && { moveTo }),
                 ...(situationalRuling && { situationalRuling }),
             };
         }).filter(Boolean)
@@ -250,6 +328,7 @@ export function reconcileStartingCombatExchange(rawExchange, enemies = []) {
                 target: slot.target ? resolveEnemy(slot.target) : slot.target,
                 targets: (slot.targets || []).map(resolveEnemy),
             }),
+            ...(slot.action === 'dash' && slot.target && { target: resolveEnemy(slot.target) }),
             ...(slot.onSuccess && {
                 onSuccess: { ...slot.onSuccess, target: resolveEnemy(slot.onSuccess.target) },
             }),
@@ -286,6 +365,49 @@ export function isCompanionActive(companion) {
         && companion.status !== 'dead';
 }
 
+/** A foe close enough and alert enough to punish the hero in melee. */
+function threatensInMelee(enemy) {
+    return isEnemyActive(enemy)
+        && enemyRange(enemy) === 'engaged'
+        && !getIncapacitatingCondition(enemy.conditions);
+}
+
+/**
+ * Apply a hero movement slot (dash / disengage / flee) to the foes' range
+ * bands. Returns the threatening foes the hero broke away from — the ones owed
+ * an opportunity attack unless the hero Disengaged this turn.
+ */
+function moveHero(enemies, slot) {
+    const target = slot.action === 'dash' && slot.direction === 'toward'
+        ? findByRef(enemies, slot.target)
+        : null;
+    const left = [];
+    for (const enemy of enemies.filter(isEnemyActive)) {
+        if (enemy === target) {
+            enemy.range = 'engaged';
+            continue;
+        }
+        const engaged = enemyRange(enemy) === 'engaged';
+        if (engaged && threatensInMelee(enemy)) left.push(enemy);
+        if (slot.action === 'dash' && !target) enemy.range = 'far';
+        else if (slot.action !== 'flee' && engaged) enemy.range = 'near';
+    }
+    return left;
+}
+
+function movementNote(character, slot, enemies, left) {
+    const name = character.name || 'The player';
+    const brokeAway = left.length > 0 ? `, breaking away from ${left.map(enemy => enemy.name).join(', ')}` : '';
+    if (slot.action === 'disengage') {
+        return `${name} disengages, stepping back out of reach${left.length > 0 ? ` of ${left.map(enemy => enemy.name).join(', ')}` : ''} without provoking.`;
+    }
+    if (slot.direction === 'toward') {
+        const target = findByRef(enemies, slot.target);
+        return `${name} dashes to close with ${target?.name || slot.target}${brokeAway}.`;
+    }
+    return `${name} dashes away${brokeAway} — every foe is now far.`;
+}
+
 function applyEnemyConditionDelta(enemy, delta, events) {
     if (!enemy || !delta) return;
     const remove = new Set(normalizeEnemyConditions(delta.remove));
@@ -297,6 +419,10 @@ function applyEnemyConditionDelta(enemy, delta, events) {
     enemy.conditions = after;
     const added = after.filter(condition => !before.includes(condition));
     const removed = before.filter(condition => !after.includes(condition));
+    if (removed.length > 0 && enemy.activeEffects?.length) {
+        // A lifted condition takes the timed effect that laid it with it.
+        enemy.activeEffects = enemy.activeEffects.filter(effect => !removed.includes(effect.condition));
+    }
     if (added.length > 0) events?.push({ type: 'note', text: `${enemy.name} gains: ${added.join(', ')}.` });
     if (removed.length > 0) events?.push({ type: 'note', text: `${enemy.name} is no longer: ${removed.join(', ')}.` });
 }
@@ -325,11 +451,16 @@ function isSharedFlankingRuling(ruling) {
         || /\bhemmed in\b/.test(reason);
 }
 
-function rollModeLabel(roll, modifiers, ruling) {
+// Shown beside a ranged attack rolled at disadvantage because a foe is in reach.
+const RANGED_IN_MELEE = 'ranged attack while engaged';
+
+function rollModeLabel(roll, modifiers, ruling, rangeNote = null) {
     const parts = [];
     if (roll.detail) parts.push(roll.detail);
     else if (modifiers.advantage) parts.push('advantage');
     else if (modifiers.disadvantage) parts.push('disadvantage');
+    if (roll.luckyReroll) parts.push('Lucky — natural 1 rerolled');
+    if (rangeNote) parts.push(rangeNote);
     if (ruling) {
         const cancelled = !roll.detail && !modifiers.advantage && !modifiers.disadvantage;
         parts.push(`DM ruling — ${ruling.mode}: ${ruling.reason}${cancelled ? ' (cancelled by an opposing modifier)' : ''}`);
@@ -357,17 +488,31 @@ function eventMessage(event) {
     const roll = event.rolled != null ? ` Rolled **${event.rolled}** vs AC ${event.dc}${mode}` : '';
     if (event.type === 'attack') {
         const intercept = event.intercepted ? ` (guard — ${event.target} intercepts the blow meant for the hero)` : '';
+        const opportunity = event.opportunity ? ` (${event.sentinel ? 'Sentinel ' : ''}opportunity attack)` : '';
+        const power = event.powerAttack ? ' (power attack −5/+10)' : '';
         const verb = event.spellName ? `casts ${event.spellName} at` : 'attacks';
-        if (!event.hit) return `**${event.actor} ${verb} ${event.target}**${intercept} —${roll}; **Miss.**`;
+        if (!event.hit) return `**${event.actor} ${verb} ${event.target}**${opportunity}${power}${intercept} —${roll}; **Miss.**`;
         const crit = event.critical ? ' Critical hit.' : '';
         const sa = event.sneakAttackDetail
             ? ` Includes **${event.sneakAttackDetail.total}** Sneak Attack damage (${event.sneakAttackDetail.diceCount}d6: ${event.sneakAttackDetail.rolls.join(', ')}).`
             : '';
+        const smite = event.smiteDetail
+            ? ` Includes **${event.smiteDetail.total}** Divine Smite damage (level ${event.smiteDetail.slotLevel} slot).`
+            : '';
+        const mark = event.markDetail ? ` Includes **${event.markDetail.total}** ${event.markDetail.name} damage.` : '';
+        const itemDamage = event.itemDamageDetail
+            ? ` Includes **${event.itemDamageDetail.total}** ${event.itemDamageDetail.damageType} damage from ${event.itemDamageDetail.name}.`
+            : '';
+        const savage = event.savageAttackDetail ? ` Includes **${event.savageAttackDetail.roll}** Savage Attacks damage.` : '';
         const ud = event.uncannyDodgeApplied ? ' (damage halved by Uncanny Dodge)' : '';
+        // `resistedType` is the pre-2026-10-19 shape, still read on saved results.
+        const resisted = event.resistedType ? ` (${event.resistedType} damage halved by resistance)` : '';
+        const defended = (event.damageDefenses || []).map(entry => ` (${describeDamageDefense(entry)})`).join('');
+        const endurance = event.relentlessEndurance ? ` **Relentless Endurance** — ${event.target} refuses to fall and stays at 1 HP.` : '';
         const survival = event.remainingHp <= 0
             ? ` ${event.target} is down.`
             : ` ${event.target} remains alive at ${event.remainingHp}/${event.maxHp} HP.`;
-        return `**${event.actor} ${verb} ${event.target}**${intercept} —${roll}; **Hit for ${event.damage} damage.**${crit}${sa}${ud}${survival}`;
+        return `**${event.actor} ${verb} ${event.target}**${opportunity}${power}${intercept} —${roll}; **Hit for ${event.damage} damage.**${crit}${sa}${smite}${itemDamage}${mark}${savage}${ud}${resisted}${defended}${endurance}${survival}`;
     }
     if (event.type === 'check' || event.type === 'save') {
         const checkMode = event.mode ? ` (${event.mode})` : '';
@@ -376,7 +521,7 @@ function eventMessage(event) {
             : event.success ? 'Success' : 'Failure';
         return `**${event.actor}: ${event.description}** — Rolled **${event.rolled}** vs DC ${event.dc}${checkMode}; **${outcome}.**`;
     }
-    if (event.type === 'death_save') return `**Death Saving Throw:** natural **${event.natural}**.`;
+    if (event.type === 'death_save') return `**Death Saving Throw:** natural **${event.natural}**${event.luckyReroll ? ' (Lucky — natural 1 rerolled)' : ''}.`;
     return event.text || `${event.actor} ${event.type}.`;
 }
 
@@ -412,6 +557,7 @@ function enemySnapshot(enemy) {
         maxHp: enemy.maxHp,
         condition: enemy.condition,
         conditions: normalizeEnemyConditions(enemy.conditions),
+        range: enemyRange(enemy),
         status,
     };
 }
@@ -455,14 +601,76 @@ function activeEnemies(enemies) {
     return enemies.filter(isEnemyActive);
 }
 
-function expectedStrikes(character) {
-    return character?.class === 'fighter' && (character.level || 1) >= 5 ? 2 : 1;
-}
+const FALLBACK_CANTRIPS = {
+    wizard: 'fireBolt',
+    cleric: 'sacredFlame',
+    bard: 'viciousMockery',
+    warlock: 'eldritchBlast',
+};
 
 /** Backward compatibility: a bare "cast" with no spell name means the class's attack cantrip. */
-function resolveCastSpell(character, slot) {
-    const fallback = character?.class === 'wizard' ? 'fireBolt' : character?.class === 'cleric' ? 'sacredFlame' : null;
-    return resolveSpellForCharacter(character, slot?.spell || fallback);
+function resolveCastSpell(character, slot, inventory = []) {
+    return resolveSpellForCharacter(character, slot?.spell || FALLBACK_CANTRIPS[getPrimaryCastingClass(character)] || null, inventory);
+}
+
+// Divine Smite pays with a spell slot like a level 1 spell that can be upcast.
+const SMITE_SLOT_COST = Object.freeze({ level: 1 });
+
+/**
+ * Weapons the hero would swing for this attack slot: the inventory with the
+ * slot's named weapon equipped in place of the current one.
+ */
+function attackSlotInventory(inventory, slot) {
+    if (!slot.weaponId) return inventory;
+    return inventory.map(item => ({
+        ...item,
+        equipped: item.type === 'weapon' || item.category?.toLowerCase().includes('melee') || item.category?.toLowerCase().includes('ranged')
+            ? item.id === slot.weaponId || item.name?.toLowerCase() === slot.weaponId.toLowerCase()
+            : item.equipped,
+    }));
+}
+
+/** The sustained mark (Hunter's Mark, Hex) currently on an enemy, or null. */
+function activeMark(character, support) {
+    const sustained = support.characterUpdates.sustainedSpell !== undefined
+        ? support.characterUpdates.sustainedSpell
+        : character.sustainedSpell;
+    return sustained?.targetType === 'enemy' && sustained.mark ? sustained : null;
+}
+
+/** Extra damage from a mark on this enemy, or null when it does not apply. */
+function rollMarkDamage(character, support, enemy, { critical, weaponAttack }, rolls) {
+    const mark = activeMark(character, support);
+    if (!mark || mark.targetId !== enemy.id) return null;
+    if (!weaponAttack && mark.mark.appliesTo !== 'any') return null;
+    const markRoll = rollDamage(mark.mark.dice, `${mark.name} damage`, { critical });
+    rolls.push(markRoll.roll);
+    return { name: mark.name, total: markRoll.total, ...(mark.mark.damageType && { damageType: mark.mark.damageType }) };
+}
+
+/**
+ * Run one hit's damage through a foe's resistances, vulnerabilities and
+ * immunities. `parts` are the hit's typed components (`{ damage, damageType }`
+ * — a weapon's dice, a smite's radiant, a mark's necrotic). Returns the total
+ * the foe takes and, for the event line, why any part changed.
+ */
+function defendedEnemyDamage(enemy, parts) {
+    let damage = 0;
+    const damageDefenses = [];
+    for (const part of parts) {
+        const defended = applyDamageDefenses(part.damage, part.damageType, enemy);
+        damage += defended.damage;
+        const damageType = normalizeDamageType(part.damageType);
+        if (defended.defense && !damageDefenses.some(entry => entry.damageType === damageType)) {
+            damageDefenses.push({ damageType, defense: defended.defense });
+        }
+    }
+    return { damage, damageDefenses };
+}
+
+/** " (fire damage halved by resistance)" suffixes for a note line. */
+function defenseSuffix(damageDefenses) {
+    return damageDefenses.map(entry => ` (${describeDamageDefense(entry)})`).join('');
 }
 
 /** An ally target for support spells: the hero ('self'/name/'player') or a living companion. */
@@ -477,9 +685,15 @@ function resolveAllyTarget(character, companions, targetRef) {
     return null;
 }
 
-function isBonusCastSlot(character, slot) {
+/** A lingering spell (Spiritual Weapon) still hovering: casting it again is a free bonus-action strike. */
+function isLingeringStrike(character, spell) {
+    return !!spell?.lingering && !!findEffect(character?.activeEffects, spell.key);
+}
+
+function isBonusCastSlot(character, slot, inventory = []) {
     if (slot?.action !== 'cast') return false;
-    return resolveCastSpell(character, slot)?.castTime === 'bonus';
+    const spell = resolveCastSpell(character, slot, inventory);
+    return spell?.castTime === 'bonus' || isLingeringStrike(character, spell);
 }
 
 function castTargetRefs(slot, fallback = []) {
@@ -510,13 +724,12 @@ function validatePlayerSlots(exchange, state) {
         }
     }
     const surge = !!state.character?.pendingActionSurge;
-    const isRogue = state.character?.class === 'rogue';
-    const hasCunningActionFeature = isRogue && (state.character?.level >= 2);
+    const hasCunningActionFeature = getClassLevel(state.character, 'rogue') >= 2;
     // Cleric bonus-spell lane (spellcasting v1): exactly one bonus-time cast may
     // ride alongside one normal action — the caster's "do two things" lever,
     // parallel to Rogue Cunning Action and Fighter Action Surge.
-    const bonusCastCount = slots.filter(slot => isBonusCastSlot(state.character, slot)).length;
-    const casterBonusTurn = isSpellcaster(state.character?.class) && bonusCastCount === 1;
+    const bonusCastCount = slots.filter(slot => isBonusCastSlot(state.character, slot, state.inventory || [])).length;
+    const casterBonusTurn = isCharacterSpellcaster(state.character) && bonusCastCount === 1;
 
     const maxSlots = hasCunningActionFeature || surge || casterBonusTurn ? 2 : 1;
 
@@ -585,8 +798,18 @@ function validatePlayerSlots(exchange, state) {
     }
 
     const living = activeEnemies(state.combat?.enemies || []);
-    const strikeLimit = expectedStrikes(state.character);
+    const strikeLimit = getAttacksPerAction(state.character);
+    // Range bands as they stand after each earlier slot, so a Dash can set up
+    // the melee strike declared beside it.
+    const projected = living.map(enemy => ({ ...enemy }));
     for (const slot of slots) {
+        if (slot.action === 'dash' && slot.target && !findByRef(living, slot.target)) {
+            return { ok: false, error: `Dash target "${slot.target}" is not an active enemy in this fight.` };
+        }
+        if (slot.action === 'dash' || slot.action === 'disengage') {
+            moveHero(projected, slot);
+            continue;
+        }
         if ((slot.action === 'check' || slot.action === 'save') && !slot.skill) {
             return { ok: false, error: `${slot.action === 'save' ? 'Save' : 'Check'} slots must name an ability or skill.` };
         }
@@ -600,14 +823,15 @@ function validatePlayerSlots(exchange, state) {
             return { ok: false, error: `Check condition target "${slot.onSuccess.target}" is not an active enemy in this fight.` };
         }
         if (slot.action === 'cast') {
-            const spell = resolveCastSpell(state.character, slot);
+            const spell = resolveCastSpell(state.character, slot, state.inventory || []);
             if (!spell) {
                 return { ok: false, error: 'That spell is not on this character\'s engine-owned spell list; choose a known class spell or another action.' };
             }
             if (!spell.combatAvailable) {
                 return { ok: false, error: `${spell.name} has no combat effect; it belongs outside battle.` };
             }
-            if (spell.level > 0 && chooseSlotLevel(state.character.spellSlots, spell, slot.slotLevel) === null) {
+            if (!isLingeringStrike(state.character, spell)
+                && chooseSpellPayment(state.character, state.character.spellSlots, spell, slot.slotLevel, state.character.classResources, state.inventory || []) === null) {
                 return { ok: false, error: `No spell slot remains to cast ${spell.name} (needs a level ${spell.level}+ slot).` };
             }
             // Over-targeting a limited spell is NOT a rejection: the resolvers clamp to
@@ -634,7 +858,7 @@ function validatePlayerSlots(exchange, state) {
             continue;
         }
         if (slot.action === 'channel') {
-            if (state.character?.class !== 'cleric' || (state.character.level || 1) < 2) {
+            if (getClassLevel(state.character, 'cleric') < 2) {
                 return { ok: false, error: 'Channel Divinity requires a Cleric of level 2 or higher.' };
             }
             const channel = state.character.classResources?.channelDivinity;
@@ -646,10 +870,46 @@ function validatePlayerSlots(exchange, state) {
             }
             continue;
         }
+        if (slot.action === 'breath_weapon') {
+            if (!getBreathWeapon(state.character)) {
+                return { ok: false, error: 'Only a Dragonborn with a draconic ancestry has a Breath Weapon.' };
+            }
+            const breath = state.character.classResources?.breathWeapon;
+            if (!breath || breath.used >= breath.max) {
+                return { ok: false, error: 'Breath Weapon is already spent; it recharges on a rest.' };
+            }
+            if (!slot.targets?.length) return { ok: false, error: 'Breath Weapon needs a living enemy target.' };
+            for (const target of slot.targets) {
+                if (!findByRef(living, target)) {
+                    return { ok: false, error: `Breath Weapon target "${target}" is not an active enemy in this fight.` };
+                }
+            }
+            continue;
+        }
         if (slot.action !== 'attack') continue;
         if (slot.weaponId && !findByRef(state.inventory || [], slot.weaponId)) {
             return { ok: false, error: `Attack weapon "${slot.weaponId}" is not in the player's inventory.` };
         }
+        if (slot.smite) {
+            if (getClassLevel(state.character, 'paladin') < 2) {
+                return { ok: false, error: 'Divine Smite requires a Paladin of level 2 or higher.' };
+            }
+            if (getEquippedWeapon(attackSlotInventory(state.inventory || [], slot))?.ranged) {
+                return { ok: false, error: 'Divine Smite only rides a melee weapon hit.' };
+            }
+            if (chooseSlotLevel(state.character.spellSlots, SMITE_SLOT_COST, slot.smite.slotLevel) === null) {
+                return { ok: false, error: 'No spell slot remains to fuel Divine Smite.' };
+            }
+        }
+        if (slot.powerAttack && !getPowerAttackFeat(state.character, getEquippedWeapon(attackSlotInventory(state.inventory || [], slot)))) {
+            const feats = getFeats(state.character).filter(feat => feat.powerAttack);
+            return {
+                ok: false,
+                error: feats.length === 0
+                    ? 'A power attack (−5 to hit, +10 damage) needs the Great Weapon Master or Sharpshooter feat.'
+                    : feats.map(feat => `${feat.name} powers only ${feat.powerAttack === 'heavy' ? 'a heavy melee' : 'a ranged'} weapon attack`).join('; ') + '.',
+            };
+        }
         if (!slot.strikes?.length) return { ok: false, error: 'Every combat Attack needs a living target.' };
         if (slot.strikes.length > strikeLimit) {
             return { ok: false, error: `One Attack action currently allows ${strikeLimit} strike${strikeLimit === 1 ? '' : 's'}.` };
@@ -659,13 +919,25 @@ function validatePlayerSlots(exchange, state) {
                 return { ok: false, error: `Attack target "${strike.target}" is not an active enemy in this fight.` };
             }
         }
+        const reach = weaponReach(getEquippedWeapon(attackSlotInventory(state.inventory || [], slot)));
+        for (const strike of slot.strikes) {
+            const foe = findByRef(projected, strike.target);
+            const approach = strikeAtBand(reach, enemyRange(foe));
+            if (!approach) {
+                return { ok: false, error: `${foe.name} is far away — Dash toward it first, or attack with a ranged or thrown weapon.` };
+            }
+            if (approach.closes) foe.range = 'engaged';
+        }
     }
     return { ok: true };
 }
 
-/** Resolve an enemy-side spell (attack rolls, engine-rolled saves, auto damage). */
-function resolveEnemySpell({ spell, slotLevel, slot, character, enemies, events, rolls }) {
-    const targetLimit = spell.targeting.mode === 'upTo3' ? 3 : 1;
+/**
+ * Resolve an enemy-side spell (attack rolls, engine-rolled saves, auto damage,
+ * sustained marks).
+ */
+function resolveEnemySpell({ spell, slotLevel, slot, character, companions, enemies, events, rolls, support }) {
+    const targetLimit = spellTargetLimit(spell);
     const named = castTargetRefs(slot)
         .map(target => findByRef(enemies, target))
         .filter(isEnemyActive);
@@ -680,19 +952,39 @@ function resolveEnemySpell({ spell, slotLevel, slot, character, enemies, events,
         events.push({ type: 'note', text: `${spell.name} affects ${targetLimit === 1 ? 'only one target' : `up to ${targetLimit} targets`} — resolved against ${targets.map(enemy => enemy.name).join(', ')}; the others are unaffected.` });
     }
 
+    if (spell.mark) {
+        // Hunter's Mark / Hex: no damage now — the mark adds its die to every
+        // later hit on this foe while the caster sustains it.
+        const [enemy] = targets;
+        endConcentration({ character, companions, enemies, updates: support.characterUpdates, events, reason: 'fades as the new spell takes hold.' });
+        support.characterUpdates.sustainedSpell = createSpellEffect(spell, {
+            mark: spell.mark,
+            targetType: 'enemy',
+            targetId: enemy.id,
+            targetName: enemy.name,
+        });
+        events.push({ type: 'note', text: `**${spell.name}** marks ${enemy.name} — ${character.name || 'the caster'}'s ${spell.mark.appliesTo === 'any' ? 'attacks' : 'weapon attacks'} deal an extra ${spell.mark.dice} to it while the spell holds.` });
+        return;
+    }
+
     if (spell.resolution === 'attack') {
         for (const enemy of targets) {
             const ruling = rulingFlags(slot.situationalRuling);
             const modifiers = conditionAwareAttackModifiers(character.conditions, enemy.conditions, ruling.advantage, ruling.disadvantage || !!enemy.defending);
-            const attack = rollD20(getSpellAttackBonus(character), `${character.name || 'Player'} casts ${spell.name} at ${enemy.name}`, modifiers.advantage, modifiers.disadvantage);
+            const attack = rollD20(getSpellAttackBonus(character, spell), `${character.name || 'Player'} casts ${spell.name} at ${enemy.name}`, modifiers.advantage, modifiers.disadvantage, { lucky: hasLucky(character) });
             rolls.push(attack.roll);
             const critical = attack.natural === 20;
             const hit = attack.natural !== 1 && (critical || attack.roll.total >= enemy.ac);
             let damage = 0;
+            let damageDefenses = [];
+            let markDetail = null;
             if (hit) {
                 const damageRoll = rollDamage(spellDamageNotation(spell, character, slotLevel), `${spell.name} damage`, { critical });
                 rolls.push(damageRoll.roll);
-                damage = damageRoll.total;
+                markDetail = rollMarkDamage(character, support, enemy, { critical, weaponAttack: false }, rolls);
+                const parts = [{ damage: damageRoll.total, damageType: spell.damageType }];
+                if (markDetail) parts.push({ damage: markDetail.total, damageType: markDetail.damageType || spell.damageType });
+                ({ damage, damageDefenses } = defendedEnemyDamage(enemy, parts));
                 enemy.hp = Math.max(0, enemy.hp - damage);
                 enemy.condition = enemyHealthCondition(enemy.hp, enemy.maxHp);
                 if (spell.condition && isEnemyActive(enemy)) {
@@ -709,14 +1001,24 @@ function resolveEnemySpell({ spell, slotLevel, slot, character, enemies, events,
                 rolled: attack.roll.total, natural: attack.natural, dc: enemy.ac,
                 mode: rollModeLabel(attack, modifiers, slot.situationalRuling),
                 hit, critical, damage, remainingHp: enemy.hp, maxHp: enemy.maxHp,
+                markDetail,
+                ...(damageDefenses.length > 0 && { damageDefenses }),
             });
         }
         return;
     }
 
     if (spell.resolution === 'save') {
-        const dc = getSpellSaveDC(character);
+        const dc = getSpellSaveDC(character, spell);
         const notation = spellDamageNotation(spell, character, slotLevel);
+        // Casting a concentration spell ends the old one whether or not anyone fails.
+        if (spell.concentration) {
+            endConcentration({ character, companions, enemies, updates: support.characterUpdates, events, reason: 'fades as the new spell takes hold.' });
+        }
+        const held = [];
+        if (spell.targeting.mode === 'area') {
+            events.push({ type: 'note', text: `**${spell.name}** catches ${targets.map(enemy => enemy.name).join(', ')} in its area (DC ${dc} save each).` });
+        }
         let damageRoll = null;
         if (notation) {
             // One damage roll shared by every target, 5e-style.
@@ -732,22 +1034,39 @@ function resolveEnemySpell({ spell, slotLevel, slot, character, enemies, events,
                 rolled: save.roll.total, natural: save.natural, dc, success,
             });
             if (damageRoll) {
-                const damage = success
+                const rolled = success
                     ? (spell.saveEffect === 'half' ? Math.floor(damageRoll.total / 2) : 0)
                     : damageRoll.total;
+                const { damage, damageDefenses } = defendedEnemyDamage(enemy, [{ damage: rolled, damageType: spell.damageType }]);
                 if (damage > 0) {
                     enemy.hp = Math.max(0, enemy.hp - damage);
                     enemy.condition = enemyHealthCondition(enemy.hp, enemy.maxHp);
                     events.push({
                         type: 'note',
-                        text: `**${spell.name}** ${success ? 'grazes' : 'strikes'} ${enemy.name} for **${damage}** damage${success ? ' (half on the save)' : ''}. ${enemy.hp <= 0 ? `${enemy.name} is down.` : `${enemy.name} remains alive at ${enemy.hp}/${enemy.maxHp} HP.`}`,
+                        text: `**${spell.name}** ${success ? 'grazes' : 'strikes'} ${enemy.name} for **${damage}** damage${success ? ' (half on the save)' : ''}${defenseSuffix(damageDefenses)}. ${enemy.hp <= 0 ? `${enemy.name} is down.` : `${enemy.name} remains alive at ${enemy.hp}/${enemy.maxHp} HP.`}`,
                     });
+                } else {
+                    events.push({ type: 'note', text: `**${spell.name}** leaves ${enemy.name} unharmed${defenseSuffix(damageDefenses)}. ${enemy.name} remains alive at ${enemy.hp}/${enemy.maxHp} HP.` });
                 }
             }
             if (!success && spell.condition && isEnemyActive(enemy)) {
                 applyEnemyConditionDelta(enemy, { add: [spell.condition], remove: [] }, events);
+                if (spell.duration) {
+                    enemy.activeEffects = upsertEffect(enemy.activeEffects, createSpellEffect(spell, {
+                        condition: spell.condition,
+                        ...(spell.repeatSave && { saveDc: dc }),
+                    }));
+                    held.push(enemy);
+                }
             }
         }
+        if (spell.concentration && held.length > 0) {
+            support.characterUpdates.sustainedSpell = createSpellEffect(spell, {
+                targetType: 'enemy',
+                targetName: held.map(enemy => enemy.name).join(', '),
+            });
+            events.push({ type: 'note', text: `${character.name || 'The caster'} concentrates on **${spell.name}** — it holds ${held.map(enemy => enemy.name).join(', ')} until it runs out or concentration breaks.` });
+        }
         return;
     }
 
@@ -755,12 +1074,52 @@ function resolveEnemySpell({ spell, slotLevel, slot, character, enemies, events,
     for (const enemy of targets) {
         const damageRoll = rollDamage(spellDamageNotation(spell, character, slotLevel), `${spell.name} damage`, {});
         rolls.push(damageRoll.roll);
-        enemy.hp = Math.max(0, enemy.hp - damageRoll.total);
+        const { damage, damageDefenses } = defendedEnemyDamage(enemy, [{ damage: damageRoll.total, damageType: spell.damageType }]);
+        enemy.hp = Math.max(0, enemy.hp - damage);
         enemy.condition = enemyHealthCondition(enemy.hp, enemy.maxHp);
         events.push({
             type: 'note',
-            text: `**${spell.name}** strikes ${enemy.name} unerringly for **${damageRoll.total}** damage. ${enemy.hp <= 0 ? `${enemy.name} is down.` : `${enemy.name} remains alive at ${enemy.hp}/${enemy.maxHp} HP.`}`,
+            text: `**${spell.name}** strikes ${enemy.name} unerringly for **${damage}** damage${defenseSuffix(damageDefenses)}. ${enemy.hp <= 0 ? `${enemy.name} is down.` : `${enemy.name} remains alive at ${enemy.hp}/${enemy.maxHp} HP.`}`,
+        });
+    }
+}
+
+/**
+ * Dragonborn Breath Weapon: one shared damage roll, each target saves against
+ * the hero's DC for half — the save-spell shape with the racial profile.
+ */
+function resolveBreathWeapon({ breath, slot, character, enemies, events, rolls }) {
+    const targets = [...new Map(slot.targets
+        .map(target => findByRef(enemies, target))
+        .filter(isEnemyActive)
+        .map(enemy => [enemy.id, enemy])).values()];
+    if (targets.length === 0) {
+        events.push({ type: 'note', text: 'Breath Weapon has no valid target and is not redirected.' });
+        return;
+    }
+    events.push({ type: 'note', text: `${character.name || 'The player'} exhales a blast of ${breath.damageType} (DC ${breath.dc} ${breath.save} save).` });
+    const damageRoll = rollDamage(breath.notation, 'Breath Weapon damage', {});
+    rolls.push(damageRoll.roll);
+    for (const enemy of targets) {
+        const save = rollD20(validateEnemySaveBonus(enemy.saveBonus) ?? DEFAULT_ENEMY_SAVE_BONUS, `${enemy.name} saves vs Breath Weapon`);
+        rolls.push(save.roll);
+        const success = save.roll.total >= breath.dc;
+        events.push({
+            type: 'save', actor: enemy.name, description: 'save vs Breath Weapon',
+            rolled: save.roll.total, natural: save.natural, dc: breath.dc, success,
         });
+        const rolled = success ? Math.floor(damageRoll.total / 2) : damageRoll.total;
+        const { damage, damageDefenses } = defendedEnemyDamage(enemy, [{ damage: rolled, damageType: breath.damageType }]);
+        if (damage > 0) {
+            enemy.hp = Math.max(0, enemy.hp - damage);
+            enemy.condition = enemyHealthCondition(enemy.hp, enemy.maxHp);
+            events.push({
+                type: 'note',
+                text: `**Breath Weapon** ${success ? 'grazes' : 'engulfs'} ${enemy.name} for **${damage}** ${breath.damageType} damage${success ? ' (half on the save)' : ''}${defenseSuffix(damageDefenses)}. ${enemy.hp <= 0 ? `${enemy.name} is down.` : `${enemy.name} remains alive at ${enemy.hp}/${enemy.maxHp} HP.`}`,
+            });
+        } else if (damageDefenses.length > 0) {
+            events.push({ type: 'note', text: `**Breath Weapon** leaves ${enemy.name} unharmed${defenseSuffix(damageDefenses)}. ${enemy.name} remains alive at ${enemy.hp}/${enemy.maxHp} HP.` });
+        }
     }
 }
 
@@ -781,9 +1140,9 @@ function stripConditionList(conditions, toRemove) {
  * through `support.playerHealing` and `support.characterUpdates` so the reducer
  * applies them atomically with the exchange.
  */
-function resolveSupportSpell({ spell, slotLevel, slot, character, companions, events, rolls, support }) {
+function resolveSupportSpell({ spell, slotLevel, slot, character, companions, enemies, events, rolls, support }) {
     const updates = support.characterUpdates;
-    const targetLimit = spell.targeting.mode === 'upTo3' ? 3 : 1;
+    const targetLimit = spellTargetLimit(spell);
     const refs = spell.targeting.side === 'self' ? ['self'] : castTargetRefs(slot, ['self']);
     if (refs.length > targetLimit) {
         events.push({ type: 'note', text: `${spell.name} affects ${targetLimit === 1 ? 'only one recipient' : `up to ${targetLimit} recipients`}; extra targets are unaffected.` });
@@ -808,7 +1167,7 @@ function resolveSupportSpell({ spell, slotLevel, slot, character, companions, ev
             rolls.push(healRoll.roll);
             if (ally.type === 'player') {
                 support.playerHealing += healRoll.total;
-                const preview = Math.min(character.maxHP, (character.currentHP || 0) + support.playerHealing);
+                const preview = Math.min(getHeroMaxHP(character), (character.currentHP || 0) + support.playerHealing);
                 events.push({ type: 'note', text: `**${spell.name}** — ${allyName} recovers **${healRoll.total}** HP (now ${preview}/${character.maxHP}).` });
             } else {
                 const companion = ally.companion;
@@ -851,17 +1210,15 @@ function resolveSupportSpell({ spell, slotLevel, slot, character, companions, ev
             continue;
         }
 
-        if (spell.sustained) {
-            clearPreviousSustained({ character, companions, updates, events });
-            const sustained = {
-                key: spell.key,
-                name: spell.name,
+        if (spell.concentration) {
+            endConcentration({ character, companions, enemies, updates, events, reason: 'fades as the new spell takes hold.' });
+            updates.sustainedSpell = createSpellEffect(spell, {
                 ...(spell.acBonus && { acBonus: spell.acBonus }),
+                ...(spell.resistances && { resistances: [...spell.resistances] }),
                 ...(spell.condition && { condition: spell.condition }),
                 targetType: ally.type === 'player' ? 'self' : 'companion',
                 ...(ally.type === 'companion' && { targetId: ally.companion.id, targetName: ally.companion.name }),
-            };
-            updates.sustainedSpell = sustained;
+            });
             if (ally.type === 'companion') {
                 if (spell.acBonus) ally.companion.spellAcBonus = spell.acBonus;
                 if (spell.condition) {
@@ -870,7 +1227,17 @@ function resolveSupportSpell({ spell, slotLevel, slot, character, companions, ev
             } else if (spell.condition) {
                 updates.addConditions = [...(updates.addConditions || []), spell.condition];
             }
-            events.push({ type: 'note', text: `**${spell.name}** settles over ${allyName}${spell.acBonus ? ` (+${spell.acBonus} AC)` : ''} — it holds until ${character.name || 'the caster'} sustains something else, rests, or the fight ends.` });
+            events.push({ type: 'note', text: `**${spell.name}** settles over ${allyName}${describeSpellBuff(spell)} — it holds while ${character.name || 'the caster'} keeps concentrating, until it runs out, a rest, or the fight ends.` });
+            continue;
+        }
+
+        if (spell.duration && ally.type === 'player') {
+            // A timed buff without concentration (Mage Armor) rides the hero's effects list.
+            updates.activeEffects = upsertEffect(updates.activeEffects ?? character.activeEffects, createSpellEffect(spell, {
+                ...(spell.acBonus && { acBonus: spell.acBonus }),
+                ...(spell.resistances && { resistances: [...spell.resistances] }),
+            }));
+            events.push({ type: 'note', text: `**${spell.name}** settles over ${allyName}${describeSpellBuff(spell)} — no concentration needed; it lasts until it runs out.` });
             continue;
         }
 
@@ -878,9 +1245,28 @@ function resolveSupportSpell({ spell, slotLevel, slot, character, companions, ev
     }
 }
 
-/** End the caster's previous sustained spell (one sustained effect at a time). */
-function clearPreviousSustained({ character, companions, updates, events }) {
-    const previous = updates.sustainedSpell !== undefined ? updates.sustainedSpell : character.sustainedSpell;
+/** Drop the `key` effect from a foe, lifting its condition unless another effect still lays it. */
+function endEnemyEffect(enemy, key, events) {
+    const effect = findEffect(enemy.activeEffects, key);
+    if (!effect) return;
+    enemy.activeEffects = enemy.activeEffects.filter(other => other.key !== key);
+    if (effect.condition && !conditionHeldByOtherEffect(enemy.activeEffects, effect.condition, key)) {
+        applyEnemyConditionDelta(enemy, { add: [], remove: [effect.condition] }, events);
+    }
+}
+
+/** The hero's concentration as it stands mid-exchange (a cast this turn may have replaced it). */
+function currentConcentration(character, updates) {
+    return updates.sustainedSpell !== undefined ? updates.sustainedSpell : character.sustainedSpell;
+}
+
+/**
+ * End the caster's concentration (one concentration spell at a time): strip
+ * what it held up — a companion's buff, the hero's own condition, every foe's
+ * effect — and clear the record. `reason` finishes the log line.
+ */
+function endConcentration({ character, companions, enemies, updates, events, reason }) {
+    const previous = currentConcentration(character, updates);
     if (!previous) return;
     if (previous.targetType === 'companion') {
         const companion = companions.find(c => c.id === previous.targetId);
@@ -893,18 +1279,91 @@ function clearPreviousSustained({ character, companions, updates, events }) {
     } else if (previous.condition) {
         updates.removeConditions = [...(updates.removeConditions || []), previous.condition];
     }
-    events.push({ type: 'note', text: `${previous.name || previous.key} fades as the new spell takes hold.` });
+    updates.sustainedSpell = null;
+    events.push({ type: 'note', text: `${previous.name || previous.key} ${reason}` });
+    for (const enemy of enemies || []) endEnemyEffect(enemy, previous.key, events);
 }
 
-function resolvePlayerSlots({ state, exchange, enemies, companions, events, rolls, standingFlankIds = null }) {
+/**
+ * Damage to a concentrating hero forces a Constitution save (DC 10 or half the
+ * damage); a failure — or a drop to 0 HP, with no save — ends the spell.
+ */
+function checkConcentration({ concentration, character, inventory = [], damage, remainingHp, events, rolls }) {
+    if (!concentration || damage <= 0) return;
+    const { updates, companions, enemies } = concentration;
+    const held = currentConcentration(character, updates);
+    if (!held) return;
+    const name = character.name || 'The player';
+    if (remainingHp <= 0) {
+        endConcentration({ character, companions, enemies, updates, events, reason: `ends as ${name} goes down.` });
+        return;
+    }
+    const dc = concentrationSaveDC(damage);
+    // War Caster: concentration saves roll with advantage.
+    const modifiers = combineRollModifiers(hasFeat(character, 'warCaster'), false, getCharacterRollEffects(character, 'save', 'constitution', inventory));
+    const save = rollD20(getSavingThrowModifier(character, 'constitution'), `${name} concentration save (${held.name})`, modifiers.advantage, modifiers.disadvantage, { lucky: hasLucky(character) });
+    rolls.push(save.roll);
+    const success = save.roll.total >= dc;
+    events.push({
+        type: 'save', actor: name, description: `Constitution save to hold concentration on ${held.name}`,
+        rolled: save.roll.total, natural: save.natural, dc, success,
+        mode: rollModeLabel(save, modifiers, null),
+    });
+    if (!success) endConcentration({ character, companions, enemies, updates, events, reason: 'ends — concentration is broken.' });
+}
+
+function resolvePlayerSlots({ state, exchange, enemies, companions, events, rolls, standingFlankIds = null, uncannyDodgeState = null, relentlessState = null, characterUpdates = {}, concentration = null }) {
     const character = state.character;
     const inventory = state.inventory || [];
     let dodging = false;
     let fled = false;
     let deathSaveNatural = null;
-    const strikeLimit = expectedStrikes(character);
-    const support = { playerHealing: 0, characterUpdates: {} };
+    const strikeLimit = getAttacksPerAction(character);
+    const support = { playerHealing: 0, characterUpdates };
     let workingSlots = character.spellSlots || null;
+    // Item charges spent by casts this turn: `{ [itemId]: used }` for the reducer.
+    let workingInventory = inventory;
+    const itemCharges = {};
+    // Disengage anywhere in the turn covers all of the turn's movement.
+    const disengaging = exchange.playerSlots.some(slot => slot.action === 'disengage');
+    let opportunityDamage = 0;
+    const currentHp = () => Math.max(0,
+        Math.min(getHeroMaxHP(character), (character.currentHP || 0) + support.playerHealing) - opportunityDamage);
+    // Mobile: a foe the hero attacked in melee this turn gets no opportunity attack.
+    const mobile = hasFeat(character, 'mobile');
+    const meleeAttackedIds = new Set();
+    // Foes the hero broke away from swing before the move completes; a hero cut
+    // down here loses the rest of the turn.
+    const provokeOpportunityAttacks = foes => {
+        if (disengaging) return false;
+        for (const enemy of foes) {
+            if (mobile && meleeAttackedIds.has(enemy.id)) {
+                events.push({ type: 'note', text: `**Mobile** — ${enemy.name} gets no opportunity attack as ${character.name || 'the player'} moves away.` });
+                continue;
+            }
+            const moving = mergeCharacterUpdates(character, support.characterUpdates);
+            const resolved = resolveEnemyAttack({
+                enemy,
+                targetRef: 'player',
+                character: moving,
+                playerAc: computeACFromInventory(inventory, moving) ?? moving.armorClass ?? 10,
+                playerInventory: inventory,
+                companions,
+                playerHp: currentHp(),
+                playerDodging: dodging,
+                events,
+                rolls,
+                uncannyDodgeState,
+                relentlessState,
+                concentration,
+                opportunity: true,
+            });
+            opportunityDamage += resolved.playerDamage;
+        }
+        if (currentHp() > 0) return false;
+        events.push({ type: 'note', text: `${character.name || 'The player'} falls before the move is finished; the rest of the turn is lost.` });
+        return true;
+    };
 
     for (const slot of exchange.playerSlots) {
         if (slot.action === 'dodge') {
@@ -912,16 +1371,23 @@ function resolvePlayerSlots({ state, exchange, enemies, companions, events, roll
             events.push({ type: 'note', text: `${character.name || 'The player'} takes the Dodge action.` });
             continue;
         }
+        if (slot.action === 'dash' || slot.action === 'disengage') {
+            const left = moveHero(enemies, slot);
+            events.push({ type: 'note', text: movementNote(character, slot, enemies, left) });
+            if (provokeOpportunityAttacks(left)) break;
+            continue;
+        }
         if (slot.action === 'flee') {
+            if (provokeOpportunityAttacks(moveHero(enemies, slot))) break;
             fled = true;
             events.push({ type: 'note', text: `${character.name || 'The player'} escapes the fight.` });
             continue;
         }
         if (slot.action === 'death_save') {
-            const save = rollWithModifier(1, 20, 0, 'Death Saving Throw');
-            rolls.push(save);
-            deathSaveNatural = save.rolls[0];
-            events.push({ type: 'death_save', natural: deathSaveNatural });
+            const save = rollD20(0, 'Death Saving Throw', false, false, { lucky: hasLucky(character) });
+            rolls.push(save.roll);
+            deathSaveNatural = save.natural;
+            events.push({ type: 'death_save', natural: deathSaveNatural, ...(save.luckyReroll && { luckyReroll: true }) });
             continue;
         }
         if (slot.action === 'second_wind') {
@@ -933,38 +1399,71 @@ function resolvePlayerSlots({ state, exchange, enemies, companions, events, roll
                 events.push({ type: 'note', text: 'Second Wind is already spent; nothing happens.' });
                 continue;
             }
-            const heal = rollWithModifier(1, 10, character.level || 1, 'Second Wind (bonus action)');
+            const heal = rollWithModifier(1, 10, getClassLevel(character, 'fighter') || 1, 'Second Wind (bonus action)');
             rolls.push(heal);
             support.playerHealing += heal.total;
             support.characterUpdates.classResources = { ...resources, secondWind: { ...res, used: res.used + 1 } };
-            const preview = Math.min(character.maxHP, (character.currentHP || 0) + support.playerHealing);
+            const preview = Math.min(getHeroMaxHP(character), (character.currentHP || 0) + support.playerHealing);
             events.push({ type: 'note', text: `**${character.name || 'The player'} catches a Second Wind** *(bonus action)* — recovering **${heal.total} HP** (now ${preview}/${character.maxHP}). Their main action is unaffected.` });
             continue;
         }
         if (slot.action === 'cast') {
-            const spell = resolveCastSpell(character, slot);
+            let spell = resolveCastSpell(character, slot, workingInventory);
             if (!spell) {
                 events.push({ type: 'note', text: `${slot.spell || 'The spell'} is not on the engine-owned spell list; nothing happens.` });
                 continue;
             }
             let slotLevel = 0;
-            if (spell.level > 0) {
-                slotLevel = chooseSlotLevel(workingSlots, spell, slot.slotLevel);
-                if (slotLevel === null) {
+            const lingering = isLingeringStrike(character, spell);
+            if (lingering) {
+                slotLevel = findEffect(character.activeEffects, spell.key).slotLevel || spell.level;
+                events.push({ type: 'note', text: `**${character.name || 'Player'}'s ${spell.name} strikes again** *(bonus action — no spell slot spent)*.` });
+            } else if (spell.level > 0) {
+                const resources = support.characterUpdates.classResources || character.classResources || {};
+                const payment = chooseSpellPayment(character, workingSlots, spell, slot.slotLevel, resources, workingInventory);
+                if (payment === null) {
                     events.push({ type: 'note', text: `${spell.name} fizzles — no spell slot remains to pay for it.` });
                     continue;
                 }
-                workingSlots = spendSpellSlot(workingSlots, slotLevel);
-                support.characterUpdates.spellSlots = workingSlots;
-                events.push({
-                    type: 'note',
-                    text: `**${character.name || 'Player'} casts ${spell.name}**${slotLevel > spell.level ? ` using a level ${slotLevel} slot` : ''} (slots left: ${summarizeSpellSlots(workingSlots)}).`,
-                });
+                slotLevel = payment.slotLevel;
+                if (payment.resource) {
+                    // Innate racial magic (Infernal Legacy) spends its own charge, not a slot.
+                    const charge = resources[payment.resource];
+                    support.characterUpdates.classResources = { ...resources, [payment.resource]: { ...charge, used: charge.used + 1 } };
+                    events.push({
+                        type: 'note',
+                        text: `**${character.name || 'Player'} casts ${spell.name}** as innate magic at level ${slotLevel} (no spell slot spent).`,
+                    });
+                } else if (payment.item) {
+                    const { itemId, itemName, cost } = payment.item;
+                    workingInventory = spendItemCharges(workingInventory, itemId, cost);
+                    const charges = workingInventory.find(item => item.id === itemId).charges;
+                    itemCharges[itemId] = charges.used;
+                    spell = asItemCast(spell, payment.item);
+                    events.push({
+                        type: 'note',
+                        text: `**${character.name || 'Player'} casts ${spell.name}** from ${itemName} (${cost} charge${cost === 1 ? '' : 's'}; ${charges.max - charges.used}/${charges.max} left, save DC ${spell.itemCast.saveDc}).`,
+                    });
+                } else {
+                    workingSlots = spendSpellSlot(workingSlots, slotLevel);
+                    support.characterUpdates.spellSlots = workingSlots;
+                    events.push({
+                        type: 'note',
+                        text: `**${character.name || 'Player'} casts ${spell.name}**${slotLevel > spell.level ? ` using a level ${slotLevel} slot` : ''} (slots left: ${summarizeSpellSlots(workingSlots)}).`,
+                    });
+                }
             }
             if (spell.targeting.side === 'enemy') {
-                resolveEnemySpell({ spell, slotLevel, slot, character, enemies, events, rolls });
+                resolveEnemySpell({ spell, slotLevel, slot, character, companions, enemies, events, rolls, support });
             } else {
-                resolveSupportSpell({ spell, slotLevel, slot, character, companions, events, rolls, support });
+                resolveSupportSpell({ spell, slotLevel, slot, character, companions, enemies, events, rolls, support });
+            }
+            if (spell.lingering && !lingering) {
+                support.characterUpdates.activeEffects = upsertEffect(
+                    support.characterUpdates.activeEffects ?? character.activeEffects,
+                    createSpellEffect(spell, { slotLevel }),
+                );
+                events.push({ type: 'note', text: `The ${spell.name} lingers — on later turns it can strike again as a bonus action, no slot.` });
             }
             continue;
         }
@@ -978,7 +1477,7 @@ function resolvePlayerSlots({ state, exchange, enemies, companions, events, roll
                 ...character.classResources,
                 channelDivinity: { ...channel, used: channel.used + 1 },
             };
-            const dc = getSpellSaveDC(character);
+            const dc = getClassSpellSaveDC(character, 'cleric');
             events.push({ type: 'note', text: `**${character.name || 'Player'} presents their holy symbol — Turn Undead** (save DC ${dc}).` });
             for (const enemy of enemies) {
                 if (!isEnemyActive(enemy) || !enemy.isUndead) continue;
@@ -990,7 +1489,7 @@ function resolvePlayerSlots({ state, exchange, enemies, companions, events, roll
                     rolled: save.roll.total, natural: save.natural, dc, success,
                 });
                 if (success) continue;
-                if ((character.level || 1) >= 5 && (enemy.maxHp || 0) <= 20) {
+                if (getClassLevel(character, 'cleric') >= 5 && (enemy.maxHp || 0) <= 20) {
                     enemy.hp = 0;
                     enemy.condition = 'dead';
                     events.push({ type: 'note', text: `**${enemy.name} is destroyed outright by the divine radiance.**` });
@@ -1000,6 +1499,22 @@ function resolvePlayerSlots({ state, exchange, enemies, companions, events, roll
             }
             continue;
         }
+        if (slot.action === 'breath_weapon') {
+            // Soft guard against a stale envelope double-spending (the channel pattern).
+            const resources = support.characterUpdates.classResources || character.classResources || {};
+            const res = resources.breathWeapon;
+            const breath = getBreathWeapon(character);
+            if (!breath || !res || res.used >= res.max) {
+                events.push({ type: 'note', text: 'Breath Weapon is already spent; nothing happens.' });
+                continue;
+            }
+            support.characterUpdates.classResources = {
+                ...resources,
+                breathWeapon: { ...res, used: res.used + 1 },
+            };
+            resolveBreathWeapon({ breath, slot, character, enemies, events, rolls });
+            continue;
+        }
         if (slot.action === 'check' || slot.action === 'save') {
             const skill = String(slot.skill || '').toLowerCase();
             const modifier = slot.action === 'save'
@@ -1007,10 +1522,12 @@ function resolvePlayerSlots({ state, exchange, enemies, companions, events, roll
                 : character.abilityScores?.[skill] != null
                     ? getModifier(character.abilityScores[skill])
                     : getSkillModifier(character, skill);
-            const conditionEffects = getConditionRollEffects(character.conditions, slot.action === 'save' ? 'save' : 'check');
+            const conditionEffects = slot.action === 'save'
+                ? getCharacterRollEffects(character, 'save', skill, inventory)
+                : getCharacterRollEffects(character, 'check', SKILL_ABILITIES[skill] || skill, inventory, skill);
             const ruling = rulingFlags(slot.situationalRuling);
             const modifiers = combineRollModifiers(ruling.advantage, ruling.disadvantage, conditionEffects);
-            const roll = rollD20(modifier, slot.description || `${skill} ${slot.action}`, modifiers.advantage, modifiers.disadvantage);
+            const roll = rollD20(modifier, slot.description || `${skill} ${slot.action}`, modifiers.advantage, modifiers.disadvantage, { lucky: hasLucky(character) });
             rolls.push(roll.roll);
             const success = roll.natural === 20 || roll.roll.total >= slot.dc;
             events.push({
@@ -1034,14 +1551,18 @@ function resolvePlayerSlots({ state, exchange, enemies, companions, events, roll
             continue;
         }
 
-        const attackInventory = slot.weaponId
-            ? inventory.map(item => ({
-                ...item,
-                equipped: item.type === 'weapon' || item.category?.toLowerCase().includes('melee') || item.category?.toLowerCase().includes('ranged')
-                    ? item.id === slot.weaponId || item.name?.toLowerCase() === slot.weaponId.toLowerCase()
-                    : item.equipped,
-            }))
-            : inventory;
+        const attackInventory = attackSlotInventory(inventory, slot);
+        const weapon = getEquippedWeapon(attackInventory);
+        const reach = weaponReach(weapon);
+        // An empty hand strikes for bludgeoning, like the 5e unarmed strike; a
+        // weapon without a catalog type deals untyped damage.
+        const weaponDamageType = weapon ? weapon.damageType : 'bludgeoning';
+        // An attuned Flame Tongue's typed rider (magicItems.js) lands on every hit.
+        const weaponRider = weapon?.extraDamage && isMagicItemActive(weapon) ? weapon.extraDamage : null;
+        // Divine Smite is declared with the attack but spent on its first hit.
+        let smitePending = !!slot.smite;
+        // A power attack (validated against the feat and weapon) rides every strike.
+        const powerAttack = !!slot.powerAttack;
         const declared = slot.strikes;
         const strikes = [...declared];
         while (strikes.length < strikeLimit) strikes.push({ ...strikes[strikes.length - 1] });
@@ -1051,22 +1572,37 @@ function resolvePlayerSlots({ state, exchange, enemies, companions, events, roll
                 events.push({ type: 'note', text: `${enemy?.name || strike.target} has already been overcome; the unused strike does not retarget without player intent.` });
                 continue;
             }
+            const approach = strikeAtBand(reach, enemyRange(enemy));
+            if (!approach) {
+                events.push({ type: 'note', text: `${enemy.name} is out of reach; the strike is lost.` });
+                continue;
+            }
+            // The hero's free move carries them into melee with a near foe.
+            if (approach.closes) enemy.range = 'engaged';
+            const rangedInMelee = approach.rangedAttack && enemies.some(threatensInMelee);
             // A standing flank persists between exchanges; a slot's own ruling replaces it.
             const appliedRuling = slot.situationalRuling
                 || (standingFlankIds?.has(enemy.id) ? STANDING_FLANK_RULING : null);
             const ruling = rulingFlags(appliedRuling);
-            const modifiers = conditionAwareAttackModifiers(character.conditions, enemy.conditions, ruling.advantage, ruling.disadvantage || !!enemy.defending);
+            const modifiers = conditionAwareAttackModifiers(getHeroConditions(character, inventory), enemy.conditions, ruling.advantage, ruling.disadvantage || !!enemy.defending || rangedInMelee);
+            if (!approach.rangedAttack) meleeAttackedIds.add(enemy.id);
             const attack = rollD20(
-                getWeaponAttackBonus(character, attackInventory),
+                getWeaponAttackBonus(character, attackInventory) - (powerAttack ? 5 : 0),
                 `${character.name || 'Player'} attacks ${enemy.name}`,
                 modifiers.advantage,
-                modifiers.disadvantage
+                modifiers.disadvantage,
+                { lucky: hasLucky(character) }
             );
             rolls.push(attack.roll);
             const critical = isCriticalNatural(character, attack.natural);
             const hit = attack.natural !== 1 && (critical || attack.roll.total >= enemy.ac);
             let damage = 0;
             let sneakAttackDetail = null;
+            let savageAttackDetail = null;
+            let smiteDetail = null;
+            let markDetail = null;
+            let itemDamageDetail = null;
+            let damageDefenses = [];
             if (hit) {
                 const hasAlly = (state.party || []).some(isCompanionActive);
                 const damageRoll = rollDamage(
@@ -1082,17 +1618,49 @@ function resolvePlayerSlots({ state, exchange, enemies, companions, events, roll
                     }
                 );
                 rolls.push(damageRoll.roll);
-                damage = damageRoll.total;
+                const parts = [{ damage: damageRoll.total + (powerAttack ? 10 : 0), damageType: weaponDamageType }];
                 sneakAttackDetail = damageRoll.sneakAttackDetail;
+                savageAttackDetail = damageRoll.savageAttackDetail || null;
+                if (smitePending) {
+                    smitePending = false;
+                    const smiteLevel = chooseSlotLevel(workingSlots, SMITE_SLOT_COST, slot.smite.slotLevel);
+                    if (smiteLevel === null) {
+                        events.push({ type: 'note', text: 'Divine Smite finds no spell slot to draw on.' });
+                    } else {
+                        workingSlots = spendSpellSlot(workingSlots, smiteLevel);
+                        support.characterUpdates.spellSlots = workingSlots;
+                        // 2d8 at a 1st-level slot, +1d8 per level above (max 5d8), +1d8 vs undead.
+                        const smiteDice = Math.min(5, 1 + smiteLevel) + (enemy.isUndead ? 1 : 0);
+                        const smiteRoll = rollDamage(`${smiteDice}d8`, `Divine Smite on ${enemy.name}`, { critical });
+                        rolls.push(smiteRoll.roll);
+                        smiteDetail = { slotLevel: smiteLevel, total: smiteRoll.total };
+                        parts.push({ damage: smiteRoll.total, damageType: 'radiant' });
+                    }
+                }
+                if (weaponRider) {
+                    const riderRoll = rollDamage(weaponRider.dice, `${weapon.name} ${weaponRider.damageType} damage to ${enemy.name}`, { critical });
+                    rolls.push(riderRoll.roll);
+                    itemDamageDetail = { name: weapon.name, total: riderRoll.total, damageType: weaponRider.damageType };
+                    parts.push({ damage: riderRoll.total, damageType: weaponRider.damageType });
+                }
+                markDetail = rollMarkDamage(character, support, enemy, { critical, weaponAttack: true }, rolls);
+                if (markDetail) parts.push({ damage: markDetail.total, damageType: markDetail.damageType || weaponDamageType });
+                ({ damage, damageDefenses } = defendedEnemyDamage(enemy, parts));
                 enemy.hp = Math.max(0, enemy.hp - damage);
                 enemy.condition = enemyHealthCondition(enemy.hp, enemy.maxHp);
             }
             events.push({
                 type: 'attack', actor: character.name || 'Player', target: enemy.name,
                 rolled: attack.roll.total, natural: attack.natural, dc: enemy.ac,
-                mode: rollModeLabel(attack, modifiers, appliedRuling),
+                mode: rollModeLabel(attack, modifiers, appliedRuling, rangedInMelee ? RANGED_IN_MELEE : null),
                 hit, critical, damage, remainingHp: enemy.hp, maxHp: enemy.maxHp,
+                ...(powerAttack && { powerAttack: true }),
                 sneakAttackDetail,
+                savageAttackDetail,
+                smiteDetail,
+                markDetail,
+                itemDamageDetail,
+                ...(damageDefenses.length > 0 && { damageDefenses }),
             });
         }
     }
@@ -1101,8 +1669,10 @@ function resolvePlayerSlots({ state, exchange, enemies, companions, events, roll
         dodging,
         fled,
         deathSaveNatural,
+        opportunityDamage,
         playerHealing: support.playerHealing,
         characterUpdates: hasCharacterUpdates ? support.characterUpdates : null,
+        itemCharges: Object.keys(itemCharges).length > 0 ? itemCharges : null,
     };
 }
 
@@ -1147,10 +1717,11 @@ function resolveCompanionAttack(companion, target, events, rolls, situationalRul
     const critical = attack.natural === 20;
     const hit = attack.natural !== 1 && (critical || attack.roll.total >= target.ac);
     let damage = 0;
+    let damageDefenses = [];
     if (hit) {
         const damageRoll = rollDamage(companionDamageNotation(companion), `${companion.name} damage`, { critical });
         rolls.push(damageRoll.roll);
-        damage = damageRoll.total;
+        ({ damage, damageDefenses } = defendedEnemyDamage(target, [{ damage: damageRoll.total, damageType: companion.damageType }]));
         target.hp = Math.max(0, target.hp - damage);
         target.condition = enemyHealthCondition(target.hp, target.maxHp);
     }
@@ -1158,6 +1729,7 @@ function resolveCompanionAttack(companion, target, events, rolls, situationalRul
         type: 'attack', actor: companion.name, target: target.name, rolled: attack.roll.total,
         natural: attack.natural, dc: target.ac, mode: rollModeLabel(attack, modifiers, effectiveRuling), hit, critical, damage,
         remainingHp: target.hp, maxHp: target.maxHp,
+        ...(damageDefenses.length > 0 && { damageDefenses }),
     });
 }
 
@@ -1205,7 +1777,7 @@ function resolveCompanions({ exchange, enemies, companions, events, rolls, onlyI
     }
 }
 
-function resolveEnemyAttack({ enemy, targetRef, character, playerAc, companions, playerHp, playerDodging, situationalRuling, events, rolls, uncannyDodgeState }) {
+function resolveEnemyAttack({ enemy, targetRef, character, playerAc, playerInventory = [], companions, playerHp, playerDodging, situationalRuling = null, events, rolls, uncannyDodgeState, relentlessState, concentration = null, opportunity = false, rangedInMelee = false }) {
     let targetType = 'player';
     let target = character;
     let targetName = character.name || 'Player';
@@ -1241,7 +1813,7 @@ function resolveEnemyAttack({ enemy, targetRef, character, playerAc, companions,
     }
 
     const ruling = rulingFlags(situationalRuling);
-    const modifiers = conditionAwareAttackModifiers(enemy.conditions, targetConditions, ruling.advantage, ruling.disadvantage || targetDisadvantage);
+    const modifiers = conditionAwareAttackModifiers(enemy.conditions, targetConditions, ruling.advantage, ruling.disadvantage || targetDisadvantage || rangedInMelee);
     const attackBonus = validateEnemyAttackBonus(enemy.attackBonus) ?? DEFAULT_ENEMY_ATTACK_BONUS;
     const attack = rollD20(attackBonus, `${enemy.name} attacks ${targetName}`, modifiers.advantage, modifiers.disadvantage);
     rolls.push(attack.roll);
@@ -1249,6 +1821,8 @@ function resolveEnemyAttack({ enemy, targetRef, character, playerAc, companions,
     const hit = attack.natural !== 1 && (critical || attack.roll.total >= targetAc);
     let damage = 0;
     let uncannyDodgeApplied = false;
+    let heroDefense = null;
+    let relentlessEndurance = false;
     if (hit) {
         const notation = sanitizeEnemyDamage(enemy.damage) || DEFAULT_ENEMY_DAMAGE;
         const damageRoll = rollDamage(notation, `${enemy.name} damage`, { critical });
@@ -1259,6 +1833,12 @@ function resolveEnemyAttack({ enemy, targetRef, character, playerAc, companions,
             const dodge = applyUncannyDodge(character, damage, uncannyDodgeState);
             damage = dodge.damage;
             uncannyDodgeApplied = dodge.applied;
+            const defended = applyHeroDamageDefenses(character, playerInventory, damage, enemy.damageType);
+            damage = defended.damage;
+            if (defended.defense) heroDefense = { damageType: enemy.damageType, defense: defended.defense };
+            const endurance = applyRelentlessEndurance(playerHp, damage, relentlessState);
+            damage = endurance.damage;
+            relentlessEndurance = endurance.applied;
         }
 
         if (targetType === 'player') {
@@ -1271,17 +1851,23 @@ function resolveEnemyAttack({ enemy, targetRef, character, playerAc, companions,
     events.push({
         type: 'attack', actor: enemy.name, target: targetName, rolled: attack.roll.total,
         natural: attack.natural, dc: targetAc,
-        mode: rollModeLabel(attack, modifiers, situationalRuling),
+        mode: rollModeLabel(attack, modifiers, situationalRuling, rangedInMelee ? RANGED_IN_MELEE : null),
         hit, critical, damage,
         remainingHp: targetType === 'player' ? playerHp : target.hp,
         maxHp: targetType === 'player' ? character.maxHP : target.maxHp,
         uncannyDodgeApplied,
+        ...(heroDefense && { damageDefenses: [heroDefense] }),
+        ...(relentlessEndurance && { relentlessEndurance: true }),
         ...(intercepted && { intercepted: true }),
+        ...(opportunity && { opportunity: true }),
     });
+    if (targetType === 'player') {
+        checkConcentration({ concentration, character, inventory: playerInventory, damage, remainingHp: playerHp, events, rolls });
+    }
     return { playerHp, playerDamage: targetType === 'player' ? damage : 0 };
 }
 
-function resolveEnemies({ state, exchange, enemies, companions, playerHp, playerDodging, events, rolls, onlyIds = null, uncannyDodgeState = null }) {
+function resolveEnemies({ state, exchange, enemies, companions, playerHp, playerDodging, events, rolls, onlyIds = null, uncannyDodgeState = null, relentlessState = null, concentration = null, sentinelState = null }) {
     const intents = new Map();
     for (const intent of exchange?.enemyIntents || []) {
         const enemy = findByRef(enemies, intent.enemyId);
@@ -1292,6 +1878,12 @@ function resolveEnemies({ state, exchange, enemies, companions, playerHp, player
     // resolve the same turn across multiple calls (planOpeningExchange goes actor by
     // actor) must pass one shared state object for the whole turn.
     uncannyDodgeState = uncannyDodgeState || { used: false };
+    // Relentless Endurance follows the same rule: one shared state for the turn, so
+    // a second drop to 0 HP in the same turn is not saved again.
+    relentlessState = relentlessState || createRelentlessEnduranceState(state.character);
+    // Sentinel spends the hero's reaction: one stopping strike per ROUND, so it
+    // follows the same rule — callers pass one shared state for the round.
+    sentinelState = sentinelState || { used: false };
     // Character and inventory are fixed for the duration of this call (a cast that
     // changes AC substitutes a new state object before we're invoked), so the hero's
     // AC is computed once instead of per enemy attack.
@@ -1310,14 +1902,23 @@ function resolveEnemies({ state, exchange, enemies, companions, playerHp, player
         if (incapacitated) {
             enemy.defending = false;
             events.push({ type: 'note', text: `${enemy.name} is ${incapacitated} and cannot act.` });
+            resolveRepeatSaves(enemy, events, rolls);
             continue;
         }
+        if (intent.moveTo && intent.moveTo !== enemyRange(enemy)) {
+            enemy.range = intent.moveTo;
+            events.push({ type: 'note', text: `${enemy.name} repositions — now ${describeRangeBand(enemy.range)}.` });
+        }
         if (intent.action === 'defend') {
             enemy.defending = true;
             events.push({ type: 'note', text: `${enemy.name} defends and gives up its attack.` });
             continue;
         }
         if (intent.action === 'flee') {
+            if (!sentinelState.used && playerHp > 0 && canSentinelStrike(state, enemy)) {
+                sentinelState.used = true;
+                if (resolveSentinelStrike({ state, enemy, events, rolls })) continue;
+            }
             enemy.combatStatus = 'fled';
             enemy.defending = false;
             events.push({ type: 'note', text: `${enemy.name} flees and is overcome as a threat.` });
@@ -1329,25 +1930,160 @@ function resolveEnemies({ state, exchange, enemies, companions, playerHp, player
             events.push({ type: 'note', text: `${enemy.name} surrenders and leaves the fight.` });
             continue;
         }
-        const resolved = resolveEnemyAttack({
-            enemy,
-            targetRef: intent.target,
-            character: state.character,
-            playerAc,
-            companions,
-            playerHp,
-            playerDodging,
-            situationalRuling: intent.situationalRuling,
-            events,
-            rolls,
-            uncannyDodgeState,
-        });
-        playerHp = resolved.playerHp;
-        playerDamage += resolved.playerDamage;
+        // A melee foe spends its move closing in: a near foe engages and
+        // strikes, a far one only gets near. Ranged foes shoot from where they stand.
+        const rangedAttacker = enemy.attackRange === 'ranged';
+        if (!rangedAttacker && enemyRange(enemy) === 'far') {
+            enemy.range = shiftRangeBand('far', -1);
+            events.push({ type: 'note', text: `${enemy.name} closes in but cannot reach the fight this turn.` });
+            continue;
+        }
+        if (!rangedAttacker) enemy.range = 'engaged';
+        // A stat-block Multiattack swings at the same target until it drops.
+        const attackCount = findMonster(enemy.monster)?.multiattack || 1;
+        if (attackCount > 1) events.push({ type: 'note', text: `${enemy.name} makes ${attackCount} attacks (Multiattack).` });
+        for (let strike = 0; strike < attackCount; strike++) {
+            if (strike > 0) {
+                const targetsPlayer = !intent.target || intent.target === 'player';
+                const standing = targetsPlayer ? playerHp > 0 : isCompanionActive(findByRef(companions, intent.target));
+                if (!standing) break;
+            }
+            const resolved = resolveEnemyAttack({
+                enemy,
+                targetRef: intent.target,
+                character: state.character,
+                playerAc,
+                playerInventory: state.inventory || [],
+                companions,
+                playerHp,
+                playerDodging,
+                situationalRuling: intent.situationalRuling,
+                events,
+                rolls,
+                uncannyDodgeState,
+                relentlessState,
+                concentration,
+                rangedInMelee: rangedAttacker && enemyRange(enemy) === 'engaged',
+            });
+            playerHp = resolved.playerHp;
+            playerDamage += resolved.playerDamage;
+        }
     }
     return { playerHp, playerDamage };
 }
 
+/**
+ * Sentinel: a foe engaged with the hero that flees provokes the hero's
+ * opportunity attack — a melee weapon (or an empty hand) and a hero able to act.
+ */
+function canSentinelStrike(state, enemy) {
+    const character = state.character;
+    const inventory = state.inventory || [];
+    return hasFeat(character, 'sentinel')
+        && enemyRange(enemy) === 'engaged'
+        && !getEquippedWeapon(inventory)?.ranged
+        && !getIncapacitatingCondition(getHeroConditions(character, inventory));
+}
+
+/**
+ * The Sentinel strike itself. A hit deals weapon damage and stops the foe
+ * where it stands — it stays engaged and in the fight. Returns whether it hit.
+ */
+function resolveSentinelStrike({ state, enemy, events, rolls }) {
+    const character = state.character;
+    const inventory = state.inventory || [];
+    const modifiers = conditionAwareAttackModifiers(getHeroConditions(character, inventory), enemy.conditions, false, false);
+    const attack = rollD20(
+        getWeaponAttackBonus(character, inventory),
+        `${character.name || 'Player'} Sentinel strike at ${enemy.name}`,
+        modifiers.advantage,
+        modifiers.disadvantage,
+        { lucky: hasLucky(character) }
+    );
+    rolls.push(attack.roll);
+    const critical = isCriticalNatural(character, attack.natural);
+    const hit = attack.natural !== 1 && (critical || attack.roll.total >= enemy.ac);
+    let damage = 0;
+    let damageDefenses = [];
+    if (hit) {
+        const damageRoll = rollDamage(getWeaponDamageNotation(character, inventory, '1d4'), `Damage to ${enemy.name}`, {
+            critical, character, inventory, includeSneakAttack: false,
+        });
+        rolls.push(damageRoll.roll);
+        const weapon = getEquippedWeapon(inventory);
+        ({ damage, damageDefenses } = defendedEnemyDamage(enemy, [{ damage: damageRoll.total, damageType: weapon ? weapon.damageType : 'bludgeoning' }]));
+        enemy.hp = Math.max(0, enemy.hp - damage);
+        enemy.condition = enemyHealthCondition(enemy.hp, enemy.maxHp);
+    }
+    events.push({
+        type: 'attack', actor: character.name || 'Player', target: enemy.name,
+        rolled: attack.roll.total, natural: attack.natural, dc: enemy.ac,
+        mode: rollModeLabel(attack, modifiers, null),
+        hit, critical, damage, remainingHp: enemy.hp, maxHp: enemy.maxHp,
+        opportunity: true, sentinel: true,
+        ...(damageDefenses.length > 0 && { damageDefenses }),
+    });
+    if (hit && enemy.hp > 0) {
+        enemy.defending = false;
+        events.push({ type: 'note', text: `**Sentinel** — ${enemy.name} is stopped in its tracks and cannot flee this turn.` });
+    }
+    return hit;
+}
+
+/**
+ * A held foe (Hold Person) re-rolls its save at the end of each of its turns;
+ * a success throws off that effect. The caster keeps concentrating either way.
+ */
+function resolveRepeatSaves(enemy, events, rolls) {
+    for (const effect of enemy.activeEffects || []) {
+        if (!effect.saveDc) continue;
+        const save = rollD20(validateEnemySaveBonus(enemy.saveBonus) ?? DEFAULT_ENEMY_SAVE_BONUS, `${enemy.name} saves vs ${effect.name}`);
+        rolls.push(save.roll);
+        const success = save.roll.total >= effect.saveDc;
+        events.push({
+            type: 'save', actor: enemy.name, description: `save to throw off ${effect.name}`,
+            rolled: save.roll.total, natural: save.natural, dc: effect.saveDc, success,
+        });
+        if (success) endEnemyEffect(enemy, effect.key, events);
+    }
+}
+
+/**
+ * The round ends: every timed effect ticks down once. A foe's effect that runs
+ * out lifts its condition; the hero's concentration running out ends like any
+ * broken concentration, taking the effects it held up with it.
+ */
+function tickRound({ character, companions, enemies, updates, events }) {
+    for (const enemy of enemies) {
+        if (!isEnemyActive(enemy) || !enemy.activeEffects?.length) continue;
+        const { active, expired } = advanceEffects(enemy.activeEffects, 1);
+        enemy.activeEffects = active;
+        for (const effect of expired) {
+            if (effect.condition && !conditionHeldByOtherEffect(active, effect.condition, effect.key)) {
+                applyEnemyConditionDelta(enemy, { add: [], remove: [effect.condition] }, events);
+            }
+            // Concentration effects are announced once, with the spell itself below.
+            if (!effect.concentration) events.push({ type: 'note', text: `${effect.name} on ${enemy.name} runs out.` });
+        }
+    }
+    const effects = updates.activeEffects ?? character.activeEffects;
+    if (effects?.length) {
+        const { active, expired } = advanceEffects(effects, 1);
+        updates.activeEffects = active;
+        for (const effect of expired) {
+            events.push({ type: 'note', text: `${effect.name} on ${character.name || 'the hero'} runs out.` });
+        }
+    }
+    const held = currentConcentration(character, updates);
+    if (Number.isFinite(held?.remainingRounds)) {
+        if (held.remainingRounds > 1) {
+            updates.sustainedSpell = { ...held, remainingRounds: held.remainingRounds - 1 };
+        } else {
+            endConcentration({ character, companions, enemies, updates, events, reason: 'runs out — its duration is over.' });
+        }
+    }
+}
+
 function projectedDeathSaveState(character, natural) {
     if (!Number.isInteger(natural)) return 'dying';
     if (natural === 20) return 'revived';
@@ -1428,13 +2164,23 @@ export function planCombatExchange(state, exchange) {
             events.push({ type: 'note', text: `The flank on ${enemy.name} is broken — the standing advantage ends.` });
         }
     }
-    const player = resolvePlayerSlots({ state, exchange, enemies, companions, events, rolls, standingFlankIds });
+    // Reactions are once per round: opportunity attacks during the hero's move
+    // and the foes' own turns share one Uncanny Dodge and one Relentless Endurance.
+    const uncannyDodgeState = { used: false };
+    const sentinelState = { used: false };
+    const relentlessState = createRelentlessEnduranceState(state.character);
+    const relentlessAvailable = relentlessState.available;
+    // Concentration is checked on every hit the hero takes this round, from the
+    // hero's move through the foes' turns, against one shared set of updates.
+    const characterUpdates = {};
+    const concentration = { updates: characterUpdates, companions, enemies };
+    const player = resolvePlayerSlots({ state, exchange, enemies, companions, events, rolls, standingFlankIds, uncannyDodgeState, relentlessState, characterUpdates, concentration });
     // Casting changes the character mid-exchange (AC buffs, invisibility, spent
     // slots); enemies acting later in this same exchange must see that state.
     const castCharacter = mergeCharacterUpdates(state.character, player.characterUpdates);
-    const healedBaseHp = player.playerHealing > 0
-        ? Math.min(state.character.maxHP, state.character.currentHP + player.playerHealing)
-        : state.character.currentHP;
+    const healedBaseHp = Math.max(0, (player.playerHealing > 0
+        ? Math.min(getHeroMaxHP(state.character), state.character.currentHP + player.playerHealing)
+        : state.character.currentHP) - player.opportunityDamage);
 
     if (player.fled) {
         const result = makeResult('exchange', exchangeId, state.combat.round, events, 'escaped', {
@@ -1449,14 +2195,16 @@ export function planCombatExchange(state, exchange) {
                 exchangeId,
                 enemies,
                 party: companions,
-                playerDamage: 0,
+                playerDamage: player.opportunityDamage,
                 playerHealing: player.playerHealing,
-                characterUpdates: player.characterUpdates,
+                characterUpdates: Object.keys(characterUpdates).length > 0 ? characterUpdates : null,
                 deathSaveNatural: player.deathSaveNatural,
                 rolls,
                 result,
                 flankedEnemyIds: [],
                 consumeActionSurge: !!state.character.pendingActionSurge,
+                ...(player.itemCharges && { itemCharges: player.itemCharges }),
+                ...(relentlessAvailable && !relentlessState.available && { relentlessEndurance: true }),
             },
         };
     }
@@ -1492,8 +2240,15 @@ export function planCombatExchange(state, exchange) {
         playerHp: healedBaseHp,
         playerDodging: player.dodging,
         events, rolls,
+        uncannyDodgeState,
+        relentlessState,
+        concentration,
+        sentinelState,
     });
     const terminal = terminalState(enemies, enemyResult.playerHp, castCharacter, player.deathSaveNatural, companions);
+    if (!terminal || terminal === 'dying') {
+        tickRound({ character: state.character, companions, enemies, updates: characterUpdates, events });
+    }
     const playerHp = player.deathSaveNatural === 20 ? Math.max(1, enemyResult.playerHp) : enemyResult.playerHp;
     const result = makeResult('exchange', exchangeId, state.combat.round, events, terminal, {
         enemies,
@@ -1519,14 +2274,16 @@ export function planCombatExchange(state, exchange) {
             exchangeId,
             enemies,
             party: companions,
-            playerDamage: enemyResult.playerDamage,
+            playerDamage: enemyResult.playerDamage + player.opportunityDamage,
             playerHealing: player.playerHealing,
-            characterUpdates: player.characterUpdates,
+            characterUpdates: Object.keys(characterUpdates).length > 0 ? characterUpdates : null,
             deathSaveNatural: player.deathSaveNatural,
             rolls,
             result,
             flankedEnemyIds,
             consumeActionSurge: !!state.character.pendingActionSurge,
+            ...(player.itemCharges && { itemCharges: player.itemCharges }),
+            ...(relentlessAvailable && !relentlessState.available && { relentlessEndurance: true }),
         },
     };
 }
@@ -1546,9 +2303,15 @@ export function planOpeningExchange(state) {
 
     let playerHp = state.character.currentHP;
     let playerDamage = 0;
-    // One Uncanny Dodge for the entire opening round — the per-actor resolveEnemies
-    // calls below must not each hand the Rogue a fresh reaction.
+    // One Uncanny Dodge and one Sentinel strike for the entire opening round — the
+    // per-actor resolveEnemies calls below must not each hand the hero a fresh reaction.
     const uncannyDodgeState = { used: false };
+    const sentinelState = { used: false };
+    const relentlessState = createRelentlessEnduranceState(state.character);
+    const relentlessAvailable = relentlessState.available;
+    // A spell the hero was concentrating on before the fight can break here too.
+    const characterUpdates = {};
+    const concentration = { updates: characterUpdates, companions, enemies };
     for (const actor of state.combat.turnOrder || []) {
         const actorId = actor.id || actor.name;
         if (!actorIds.has(actorId)) continue;
@@ -1565,6 +2328,9 @@ export function planOpeningExchange(state) {
                 events, rolls,
                 onlyIds: new Set([actor.id]),
                 uncannyDodgeState,
+                relentlessState,
+                concentration,
+                sentinelState,
             });
             playerHp = resolved.playerHp;
             playerDamage += resolved.playerDamage;
@@ -1584,10 +2350,12 @@ export function planOpeningExchange(state) {
             enemies,
             party: companions,
             playerDamage,
+            ...(Object.keys(characterUpdates).length > 0 && { characterUpdates }),
             deathSaveNatural: null,
             rolls,
             result,
             consumeActionSurge: false,
+            ...(relentlessAvailable && !relentlessState.available && { relentlessEndurance: true }),
         },
     };
 }
@@ -1608,7 +2376,9 @@ export function combatNarrationPrompt(result) {
             if (enemy.status === 'fled') return `- ALIVE, FLED: ${enemy.name} — ${enemy.hp}/${enemy.maxHp} HP.`;
             if (enemy.status === 'surrendered') return `- ALIVE, SURRENDERED: ${enemy.name} — ${enemy.hp}/${enemy.maxHp} HP.`;
             const conditions = enemy.conditions?.length ? `; conditions: ${enemy.conditions.join(', ')}` : '';
-            return `- ALIVE AND ACTIVE: ${enemy.name} — ${enemy.hp}/${enemy.maxHp} HP (${enemy.condition || 'wounded'}${conditions}).`;
+            // Results stored before range bands carry no band; say nothing rather than guess.
+            const range = enemy.range ? `; ${describeRangeBand(enemy.range)}` : '';
+            return `- ALIVE AND ACTIVE: ${enemy.name} — ${enemy.hp}/${enemy.maxHp} HP (${enemy.condition || 'wounded'}${conditions}${range}).`;
         })
         : result.events
             .filter(event => event.type === 'attack' && Number.isFinite(event.remainingHp))
@@ -1630,6 +2400,7 @@ export function combatNarrationPrompt(result) {
         `The terminal state is mechanically authoritative: ${result.terminal || 'ongoing'}.`,
         'The POST-EXCHANGE STATE is absolute. Never describe an ALIVE AND ACTIVE combatant as dead, defeated, lifeless, finished, going slack, or collapsing permanently. Fled and surrendered foes may be overcome, but remain alive. Do not quote HP numbers in the prose.',
         'Do not introduce, remove, or imply a mechanical condition unless it appears in the POST-EXCHANGE STATE or resolved events.',
+        'Keep the geography consistent with each foe\'s range band: an engaged foe is toe-to-toe with the hero, a near foe is a short move away, a far foe is across the field. Never put a near or far foe in melee.',
         ending,
         '',
         'POST-EXCHANGE STATE (AUTHORITATIVE):',
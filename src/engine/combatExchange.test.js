@@ -371,6 +371,18 @@ describe('engine-owned exchange resolution', () => {
         expect(attack.mode).toContain('cancelled');
     });
 
+    it('swings a weapon at disadvantage when the hero is heavily encumbered', () => {
+        rollQueue.push(15, 2);
+        const intent = exchange({ enemy_intents: [{ enemy_id: 'Goblin', action: 'defend' }] });
+        const loaded = state();
+        // STR 16: heavily encumbered past 160 lb.
+        loaded.inventory = [...loaded.inventory, { id: 'plate', name: 'Plate Armor', type: 'armor', weight: 65, quantity: 2 }, { id: 'chain', name: 'Chain Mail', type: 'armor', weight: 55 }];
+        const attack = planCombatExchange(loaded, intent).payload.result.events.find(event => event.type === 'attack');
+
+        expect(attack.natural).toBe(2);
+        expect(attack.mode).toContain('heavily encumbered');
+    });
+
     it('applies situational rulings symmetrically to companions and enemies', () => {
         rollQueue.push(2, 18, 1, 17, 3);
         const intent = normalizeCombatExchange({
@@ -1012,6 +1024,41 @@ describe('spellcasting v1 combat exchanges', () => {
         expect(exchangeSummary(plan.payload.result)).toContain(`save vs Fireball`);
     });
 
+    it('resolves an area spell against every foe caught, each saving on its own', () => {
+        // Damage 6d6 (18), then saves 4 fail, 18 save, 4 fail, 18 save; all four
+        // survive and default-attack with 2 (+4=6), missing AC 11.
+        rollQueue.push(3, 3, 3, 3, 3, 3, 4, 18, 4, 18, 2, 2, 2, 2);
+        const foes = [`A`, `B`, `C`, `D`].map(name => enemy(name, { hp: 30, maxHp: 30 }));
+        const plan = planCombatExchange(
+            wizardState({ enemies: foes }),
+            normalizeCombatExchange({
+                player_slots: [{ action: `cast`, spell: `fireball`, caught: [`A`, `B`, `C`, `D`] }],
+                enemy_intents: [],
+            })
+        );
+        expect(plan.ok).toBe(true);
+        expect(plan.payload.enemies.map(foe => foe.hp)).toEqual([12, 21, 12, 21]);
+        const summary = exchangeSummary(plan.payload.result);
+        expect(summary).toContain(`**Fireball** catches A, B, C, D in its area`);
+        expect(summary).not.toContain(`affects up to`);
+    });
+
+    it('clamps an area spell to its blast size and leaves the rest untouched', () => {
+        // Six saves of 2 (+2=4) all fail against 18 damage; seven foes default-attack and miss.
+        rollQueue.push(3, 3, 3, 3, 3, 3, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2);
+        const names = [`A`, `B`, `C`, `D`, `E`, `F`, `G`];
+        const plan = planCombatExchange(
+            wizardState({ enemies: names.map(name => enemy(name, { hp: 30, maxHp: 30 })) }),
+            normalizeCombatExchange({
+                player_slots: [{ action: `cast`, spell: `fireball`, targets: names }],
+                enemy_intents: [],
+            })
+        );
+        expect(plan.ok).toBe(true);
+        expect(plan.payload.enemies.map(foe => foe.hp)).toEqual([12, 12, 12, 12, 12, 12, 30]);
+        expect(exchangeSummary(plan.payload.result)).toContain(`Fireball affects up to 6 targets`);
+    });
+
     it('applies a control condition on a failed save and rejects casts with no slots left', () => {
         rollQueue.push(2); // save 2 + 2 = 4 vs DC 14 — fail
         const drained = { 1: { used: 4, max: 4 }, 2: { used: 3, max: 3 }, 3: { used: 2, max: 2 } };
@@ -1091,7 +1138,7 @@ describe('spellcasting v1 combat exchanges', () => {
         expect(jorun.status).toBe(`bloodied`); // 5/12 HP — up, but still hurt
     });
 
-    it('sustains Mage Armor: +3 AC applies to enemy attacks in the same exchange', () => {
+    it('lays Mage Armor as a timed effect: +3 AC applies to enemy attacks in the same exchange', () => {
         // Enemy attack draw 9: 9+4=13 vs unarmored AC 11+3=14 — miss because of the buff.
         rollQueue.push(9);
         const unarmored = wizardState();
@@ -1101,7 +1148,9 @@ describe('spellcasting v1 combat exchanges', () => {
             enemy_intents: [{ enemy_id: `Goblin`, action: `attack`, target: `player` }],
         }));
         expect(plan.ok).toBe(true);
-        expect(plan.payload.characterUpdates.sustainedSpell).toMatchObject({ key: `mageArmor`, acBonus: 3, targetType: `self` });
+        // No concentration: the ward rides the hero's effects list, already one round down.
+        expect(plan.payload.characterUpdates.sustainedSpell).toBeUndefined();
+        expect(plan.payload.characterUpdates.activeEffects).toEqual([{ key: `mageArmor`, name: `Mage Armor`, remainingRounds: 4799, acBonus: 3 }]);
         expect(plan.payload.playerDamage).toBe(0);
         const attackEvent = plan.payload.result.events.find(e => e.type === `attack`);
         expect(attackEvent).toMatchObject({ hit: false, dc: 14 });
@@ -1519,3 +1568,701 @@ describe('Second Wind bonus-action lane (Codex 2026-08-09)', () => {
         expect(plan).toMatchObject({ ok: false, error: expect.stringContaining('death saving throw') });
     });
 });
+
+describe('Divine Smite, Hunter\'s Mark, and Hex', () => {
+    const paladinState = ({ character: charOverrides, ...rest } = {}) => state({
+        character: {
+            class: 'paladin', level: 2,
+            spellSlots: buildSpellSlots(charOverrides?.level || 2, null, 'paladin'),
+            ...(charOverrides || {}),
+        },
+        enemies: [enemy('Goblin', { hp: 30, maxHp: 30 })],
+        ...rest,
+    });
+
+    it('adds Divine Smite to the first hit and spends the slot only then', () => {
+        rollQueue.push(15, 5, 4, 4, 1); // hit 15+5, 1d8=5 (+3), smite 2d8 (4,4); goblin nat 1 misses
+        const plan = planCombatExchange(paladinState(), exchange({
+            player_slots: [{ action: 'attack', strikes: [{ target: 'Goblin' }], smite: true }],
+        }));
+        expect(plan.ok).toBe(true);
+        expect(plan.payload.enemies[0].hp).toBe(14);
+        expect(plan.payload.characterUpdates.spellSlots[1]).toEqual({ used: 1, max: 2 });
+        expect(exchangeSummary(plan.payload.result)).toContain('Includes **8** Divine Smite damage (level 1 slot)');
+    });
+
+    it('keeps the slot when the attack misses', () => {
+        rollQueue.push(2, 1); // player misses; goblin nat 1 misses
+        const plan = planCombatExchange(paladinState(), exchange({
+            player_slots: [{ action: 'attack', strikes: [{ target: 'Goblin' }], smite: true }],
+        }));
+        expect(plan.ok).toBe(true);
+        expect(plan.payload.characterUpdates).toBeNull();
+    });
+
+    it('upcasts against undead: a level 2 slot rolls 3d8 plus 1d8 more', () => {
+        // 1d8=5 (+3), smite 4d8 of 1s; Extra Attack's second strike misses (2+6);
+        // goblin nat 1 misses.
+        rollQueue.push(15, 5, 1, 1, 1, 1, 2, 1);
+        const plan = planCombatExchange(
+            paladinState({ character: { level: 5 }, enemies: [enemy('Goblin', { hp: 30, maxHp: 30, isUndead: true })] }),
+            exchange({ player_slots: [{ action: 'attack', strikes: [{ target: 'Goblin' }], smite: 2 }] })
+        );
+        expect(plan.ok).toBe(true);
+        expect(plan.payload.enemies[0].hp).toBe(18);
+        expect(plan.payload.characterUpdates.spellSlots[2]).toEqual({ used: 1, max: 2 });
+    });
+
+    it('rejects a smite from a non-Paladin or without a slot', () => {
+        const fighter = planCombatExchange(state(), exchange({
+            player_slots: [{ action: 'attack', strikes: [{ target: 'Goblin' }], smite: true }],
+        }));
+        expect(fighter).toMatchObject({ ok: false, error: expect.stringContaining('Paladin of level 2') });
+        const drained = planCombatExchange(paladinState({ character: { spellSlots: { 1: { used: 2, max: 2 } } } }), exchange({
+            player_slots: [{ action: 'attack', strikes: [{ target: 'Goblin' }], smite: true }],
+        }));
+        expect(drained).toMatchObject({ ok: false, error: expect.stringContaining('No spell slot remains to fuel Divine Smite') });
+    });
+
+    it('marks a quarry with Hunter\'s Mark as a bonus action and adds 1d6 to each weapon hit', () => {
+        // Both strikes hit: 1d8=5 (+3) and mark 1d6=3 each; goblin nat 1 misses.
+        rollQueue.push(15, 5, 3, 15, 5, 3, 1);
+        const plan = planCombatExchange(
+            state({
+                character: { class: 'ranger', level: 5, spellSlots: buildSpellSlots(5, null, 'ranger') },
+                enemies: [enemy('Goblin', { hp: 30, maxHp: 30 })],
+            }),
+            exchange({
+                player_slots: [
+                    { action: 'cast', spell: "hunter's mark", target: 'Goblin' },
+                    { action: 'attack', strikes: [{ target: 'Goblin' }, { target: 'Goblin' }] },
+                ],
+            })
+        );
+        expect(plan.ok).toBe(true);
+        expect(plan.payload.enemies[0].hp).toBe(8);
+        expect(plan.payload.characterUpdates.sustainedSpell).toMatchObject({ key: 'huntersMark', targetType: 'enemy', targetId: 'Goblin' });
+        expect(plan.payload.characterUpdates.spellSlots[1].used).toBe(1);
+        expect(exchangeSummary(plan.payload.result)).toContain("Includes **3** Hunter's Mark damage");
+    });
+
+    it('lets an existing Hex add its die to a spell attack on the cursed foe', () => {
+        rollQueue.push(15, 4, 4, 2, 1); // Eldritch Blast hits, 2d10 (4,4), Hex 1d6=2; goblin nat 1 misses
+        const plan = planCombatExchange(
+            state({
+                character: {
+                    class: 'warlock', level: 5,
+                    abilityScores: { strength: 8, dexterity: 14, constitution: 14, intelligence: 10, wisdom: 10, charisma: 16 },
+                    spellSlots: buildSpellSlots(5, null, 'warlock'),
+                    sustainedSpell: { key: 'hex', name: 'Hex', mark: { dice: '1d6', appliesTo: 'any' }, targetType: 'enemy', targetId: 'Goblin', targetName: 'Goblin' },
+                },
+                enemies: [enemy('Goblin', { hp: 30, maxHp: 30 })],
+            }),
+            exchange({ player_slots: [{ action: 'cast', spell: 'eldritch blast', target: 'Goblin' }] })
+        );
+        expect(plan.ok).toBe(true);
+        expect(plan.payload.enemies[0].hp).toBe(20);
+        expect(exchangeSummary(plan.payload.result)).toContain('Includes **2** Hex damage');
+    });
+});
+
+describe('racial traits in the exchange', () => {
+    it('rerolls a Halfling\'s natural 1 on an attack (Lucky)', () => {
+        rollQueue.push(1, 15, 5, 1); // nat 1 rerolled into 15+5 hit, 1d8=5 (+3); goblin nat 1 misses
+        const plan = planCombatExchange(state({ character: { race: 'halfling' } }), exchange());
+        expect(plan.ok).toBe(true);
+        expect(plan.payload.enemies[0].hp).toBe(2);
+        expect(exchangeSummary(plan.payload.result)).toContain('Lucky — natural 1 rerolled');
+    });
+
+    it('adds a Half-Orc\'s Savage Attacks die to a melee crit', () => {
+        rollQueue.push(20, 4, 4, 6, 1); // crit: 2d8 (4,4) +3, Savage Attacks 1d8=6; goblin nat 1 misses
+        const plan = planCombatExchange(state({
+            character: { race: 'halfOrc' },
+            enemies: [enemy('Goblin', { hp: 20, maxHp: 20 })],
+        }), exchange());
+        expect(plan.payload.enemies[0].hp).toBe(3);
+        expect(exchangeSummary(plan.payload.result)).toContain('Includes **6** Savage Attacks damage.');
+    });
+
+    it('gives a Gnome advantage on Wisdom saves (Gnome Cunning)', () => {
+        rollQueue.push(3, 16, 1); // advantage keeps 16; goblin nat 1 misses
+        const plan = planCombatExchange(state({ character: { race: 'gnome' } }), exchange({
+            player_slots: [{ action: 'save', skill: 'wisdom', dc: 14 }],
+        }));
+        const line = exchangeSummary(plan.payload.result);
+        expect(line).toContain('d20 3, 16 → 16');
+        expect(line).toContain('[gnome cunning]');
+    });
+
+    it('halves typed damage the hero resists', () => {
+        rollQueue.push(2, 15, 6); // player misses; goblin hits for 1d6+2 = 8 fire
+        const plan = planCombatExchange(state({
+            character: { race: 'tiefling' },
+            enemies: [enemy('Goblin', { damageType: 'fire' })],
+        }), exchange());
+        expect(plan.payload.playerDamage).toBe(4);
+        expect(exchangeSummary(plan.payload.result)).toContain('(fire damage halved by resistance)');
+    });
+
+    it('holds a Half-Orc at 1 HP once with Relentless Endurance', () => {
+        rollQueue.push(2, 15, 6); // player misses; goblin hits for 8 against 3 HP
+        const plan = planCombatExchange(state({
+            character: { race: 'halfOrc', currentHP: 3, classResources: { relentlessEndurance: { used: 0, max: 1 } } },
+        }), exchange());
+        expect(plan.payload.playerDamage).toBe(2);
+        expect(plan.payload.relentlessEndurance).toBe(true);
+        expect(plan.payload.result.terminal).not.toBe('defeat');
+        expect(exchangeSummary(plan.payload.result)).toContain('**Relentless Endurance**');
+
+        rollQueue.push(2, 15, 6);
+        const spent = planCombatExchange(state({
+            character: { race: 'halfOrc', currentHP: 3, classResources: { relentlessEndurance: { used: 1, max: 1 } } },
+        }), exchange());
+        expect(spent.payload.playerDamage).toBe(8);
+        expect(spent.payload.relentlessEndurance).toBeUndefined();
+    });
+
+    it('breathes on up to three foes: one damage roll, a save each for half', () => {
+        // 2d6 = 9 fire; Goblin saves 5+2 (fails), Orc saves 15+2 (halves); both foes then miss.
+        rollQueue.push(4, 5, 5, 15, 1, 1);
+        const plan = planCombatExchange(state({
+            character: {
+                race: 'dragonborn', subrace: 'red',
+                classResources: { breathWeapon: { used: 0, max: 1 } },
+            },
+            enemies: [enemy('Goblin'), enemy('Orc')],
+        }), exchange({ player_slots: [{ action: 'breath weapon', targets: ['Goblin', 'Orc'] }] }));
+        expect(plan.ok).toBe(true);
+        expect(plan.payload.enemies.map(foe => foe.hp)).toEqual([1, 6]);
+        expect(plan.payload.characterUpdates.classResources.breathWeapon).toEqual({ used: 1, max: 1 });
+        const summary = exchangeSummary(plan.payload.result);
+        expect(summary).toContain('DC 12 dexterity save');
+        expect(summary).toContain('for **4** fire damage (half on the save)');
+    });
+
+    it('rejects a breath weapon without an ancestry or a charge', () => {
+        const slot = { player_slots: [{ action: 'breath_weapon', target: 'Goblin' }] };
+        expect(planCombatExchange(state(), exchange(slot)))
+            .toMatchObject({ ok: false, error: expect.stringContaining('Only a Dragonborn') });
+        expect(planCombatExchange(state({
+            character: { race: 'dragonborn', subrace: 'red', classResources: { breathWeapon: { used: 1, max: 1 } } },
+        }), exchange(slot))).toMatchObject({ ok: false, error: expect.stringContaining('already spent') });
+    });
+
+    it('pays a Tiefling\'s Hellish Rebuke with Infernal Legacy at level 2, no slot needed', () => {
+        // 3d10 = 15; Goblin saves 3+2 and fails; Goblin then misses.
+        rollQueue.push(5, 5, 5, 3, 1);
+        const plan = planCombatExchange(state({
+            character: { race: 'tiefling', level: 3, classResources: { infernalLegacy: { used: 0, max: 1 } } },
+            enemies: [enemy('Goblin', { hp: 30, maxHp: 30 })],
+        }), exchange({ player_slots: [{ action: 'cast', spell: 'hellish rebuke', target: 'Goblin' }] }));
+        expect(plan.ok).toBe(true);
+        expect(plan.payload.enemies[0].hp).toBe(15);
+        expect(plan.payload.characterUpdates.classResources.infernalLegacy).toEqual({ used: 1, max: 1 });
+        expect(plan.payload.characterUpdates.spellSlots).toBeUndefined();
+
+        const spent = planCombatExchange(state({
+            character: { race: 'tiefling', level: 3, classResources: { infernalLegacy: { used: 1, max: 1 } } },
+        }), exchange({ player_slots: [{ action: 'cast', spell: 'hellish rebuke', target: 'Goblin' }] }));
+        expect(spent.ok).toBe(false);
+    });
+});
+
+describe('feats in the exchange', () => {
+    const greatsword = { id: 'greatsword', name: 'Greatsword', type: 'weapon', category: 'martialMelee', damage: '2d6', damageType: 'slashing', twoHanded: true, heavy: true, equipped: true };
+    const featState = (feats, { inventory, ...overrides } = {}) => {
+        const base = state({ ...overrides, character: { feats, ...(overrides.character || {}) } });
+        return inventory ? { ...base, inventory } : base;
+    };
+
+    it('trades 5 to hit for 10 damage on a declared Great Weapon Master attack', () => {
+        rollQueue.push(15, 3, 4, 1); // 15+5−5 = 15 hits AC 12; 2d6 (3,4) +3 +10 = 20; goblin nat 1 misses
+        const parsed = exchange({ player_slots: [{ action: 'attack', strikes: [{ target: 'Goblin' }], power_attack: true }] });
+        expect(parsed.playerSlots[0].powerAttack).toBe(true);
+        const plan = planCombatExchange(featState(['greatWeaponMaster'], {
+            inventory: [greatsword],
+            enemies: [enemy('Goblin', { hp: 30, maxHp: 30 })],
+        }), parsed);
+        expect(plan.ok).toBe(true);
+        expect(plan.payload.enemies[0].hp).toBe(10);
+        expect(plan.payload.result.events.find(event => event.type === 'attack')).toMatchObject({ rolled: 15, powerAttack: true });
+        expect(exchangeSummary(plan.payload.result)).toContain('**Vesa attacks Goblin** (power attack −5/+10)');
+    });
+
+    it('rejects a power attack without the feat or with the wrong weapon', () => {
+        const declared = exchange({ player_slots: [{ action: 'attack', strikes: [{ target: 'Goblin' }], power_attack: true }] });
+        expect(planCombatExchange(featState([]), declared)).toMatchObject({ ok: false, error: expect.stringContaining('needs the Great Weapon Master or Sharpshooter feat') });
+        expect(planCombatExchange(featState(['greatWeaponMaster']), declared)).toMatchObject({ ok: false, error: expect.stringContaining('Great Weapon Master powers only a heavy melee weapon attack') });
+    });
+
+    it('spares a Mobile hero the opportunity attack from a foe it struck this turn', () => {
+        rollQueue.push(1); // the strike misses; the goblin, left far behind, only closes to near
+        const plan = planCombatExchange(featState(['mobile'], {
+            character: { class: 'rogue', level: 2 },
+            enemies: [enemy('Goblin', { range: 'engaged' })],
+        }), exchange({
+            player_slots: [{ action: 'attack', strikes: [{ target: 'Goblin' }] }, { action: 'dash' }],
+        }));
+        expect(plan.ok).toBe(true);
+        expect(plan.payload.playerDamage).toBe(0);
+        expect(plan.payload.result.events.some(event => event.opportunity)).toBe(false);
+        expect(exchangeSummary(plan.payload.result)).toContain('**Mobile** — Goblin gets no opportunity attack');
+        expect(rollQueue).toHaveLength(0);
+    });
+
+    it('stops a fleeing foe with a Sentinel hit, and lets it go on a miss', () => {
+        const fleeing = exchange({
+            player_slots: [{ action: 'pass' }],
+            enemy_intents: [{ enemy_id: 'Goblin', action: 'flee' }],
+        });
+        rollQueue.push(15, 5); // 15+5 hits; 1d8=5 +3 = 8
+        const stopped = planCombatExchange(featState(['sentinel'], { enemies: [enemy('Goblin', { range: 'engaged' })] }), fleeing);
+        expect(stopped.payload.enemies[0]).toMatchObject({ hp: 2, combatStatus: 'active' });
+        expect(exchangeSummary(stopped.payload.result)).toContain('**Vesa attacks Goblin** (Sentinel opportunity attack)');
+        expect(exchangeSummary(stopped.payload.result)).toContain('**Sentinel** — Goblin is stopped in its tracks');
+
+        rollQueue.push(2); // 2+5 misses
+        const escaped = planCombatExchange(featState(['sentinel'], { enemies: [enemy('Goblin', { range: 'engaged' })] }), fleeing);
+        expect(escaped.payload.enemies[0].combatStatus).toBe('fled');
+
+        const unwatched = planCombatExchange(featState([], { enemies: [enemy('Goblin', { range: 'engaged' })] }), fleeing);
+        expect(unwatched.payload.enemies[0].combatStatus).toBe('fled');
+        expect(rollQueue).toHaveLength(0);
+    });
+
+    it('gives a War Caster advantage on the concentration save', () => {
+        // Goblin hits (15+4) for 5+2 = 7; CON save d20 3 and 12 → 12+1 = 13 vs DC 10 holds.
+        rollQueue.push(15, 5, 3, 12);
+        const plan = planCombatExchange(featState(['warCaster'], {
+            character: {
+                class: 'wizard', level: 5,
+                abilityScores: { strength: 8, dexterity: 10, constitution: 12, intelligence: 16, wisdom: 10, charisma: 10 },
+                sustainedSpell: { key: 'shieldOfFaith', name: 'Shield of Faith', acBonus: 2, targetType: 'self', remainingRounds: 80 },
+            },
+        }), exchange({ player_slots: [{ action: 'pass' }] }));
+        const save = plan.payload.result.events.find(event => event.type === 'save');
+        expect(save).toMatchObject({ rolled: 13, success: true });
+        expect(save.mode).toContain('d20 3, 12 → 12');
+    });
+});
+
+describe('range bands', () => {
+    const longbow = { id: 'bow', name: 'Longbow', type: 'weapon', category: 'martialRanged', damage: '1d8', ranged: true, twoHanded: true, equipped: true };
+    const glaive = { id: 'glaive', name: 'Glaive', type: 'weapon', category: 'martialMelee', damage: '1d10', twoHanded: true, reach: true, equipped: true };
+    const armed = (weapon, overrides) => ({ ...state(overrides), inventory: [weapon] });
+
+    it('normalizes dash destinations and enemy repositioning', () => {
+        const parsed = normalizeCombatExchange({
+            player_slots: [{ action: 'dash', target: 'Goblin' }],
+            enemy_intents: [{ enemy_id: 'Goblin', action: 'attack', move_to: 'Distant' }],
+        });
+        expect(parsed.playerSlots[0]).toMatchObject({ action: 'dash', direction: 'toward', target: 'Goblin' });
+        expect(parsed.enemyIntents[0].moveTo).toBe('far');
+        expect(normalizeCombatExchange({ player_slots: [{ action: 'dash' }] }).playerSlots[0].direction).toBe('away');
+    });
+
+    it('closes on a near foe with a melee strike', () => {
+        rollQueue.push(1); // player misses; the goblin only defends
+        const plan = planCombatExchange(state(), exchange({
+            enemy_intents: [{ enemy_id: 'Goblin', action: 'defend' }],
+        }));
+        expect(plan.payload.enemies[0].range).toBe('engaged');
+        expect(plan.payload.result.postState.enemies[0].range).toBe('engaged');
+    });
+
+    it('lets a reach weapon strike a near foe without stepping in', () => {
+        rollQueue.push(1);
+        const plan = planCombatExchange(armed(glaive), exchange({
+            enemy_intents: [{ enemy_id: 'Goblin', action: 'defend' }],
+        }));
+        expect(plan.ok).toBe(true);
+        expect(plan.payload.result.postState.enemies[0].range).toBe('near');
+    });
+
+    it('rejects a melee strike on a far foe until a Dash closes the gap', () => {
+        const far = { enemies: [enemy('Goblin', { range: 'far' })] };
+        expect(planCombatExchange(state(far), exchange()))
+            .toMatchObject({ ok: false, error: expect.stringContaining('Goblin is far away') });
+
+        rollQueue.push(15, 3, 1); // dagger hits for 1d4=3 +3; the engaged goblin misses
+        const rogue = {
+            ...state({ ...far, character: { class: 'rogue', level: 2 } }),
+            inventory: [{ id: 'dagger', name: 'Dagger', type: 'weapon', finesse: true, thrown: true, damage: '1d4', equipped: true }],
+        };
+        const plan = planCombatExchange(rogue, exchange({
+            player_slots: [{ action: 'dash', target: 'Goblin' }, { action: 'attack', strikes: [{ target: 'Goblin' }] }],
+        }));
+        expect(plan.ok).toBe(true);
+        expect(plan.payload.enemies[0]).toMatchObject({ hp: 4, range: 'engaged' });
+        expect(exchangeSummary(plan.payload.result)).toContain('Vesa dashes to close with Goblin.');
+    });
+
+    it('shoots a far foe without penalty while melee foes spend the turn closing in', () => {
+        rollQueue.push(15, 5); // 15+3 hits, 1d8=5 (+1 DEX)
+        const plan = planCombatExchange(armed(longbow, { enemies: [enemy('Goblin', { range: 'far' })] }), exchange());
+        expect(plan.payload.enemies[0]).toMatchObject({ hp: 4, range: 'near' });
+        expect(plan.payload.playerDamage).toBe(0);
+        const summary = exchangeSummary(plan.payload.result);
+        expect(summary).not.toContain('ranged attack while engaged');
+        expect(summary).toContain('Goblin closes in but cannot reach the fight this turn.');
+        expect(rollQueue).toHaveLength(0);
+    });
+
+    it('rolls a ranged attack at disadvantage while a foe is engaged', () => {
+        rollQueue.push(18, 3, 1); // disadvantage keeps the 3 → miss; goblin misses
+        const plan = planCombatExchange(armed(longbow, { enemies: [enemy('Goblin', { range: 'engaged' })] }), exchange());
+        const [shot] = plan.payload.result.events;
+        expect(shot).toMatchObject({ hit: false, natural: 3 });
+        expect(shot.mode).toContain('ranged attack while engaged');
+    });
+
+    it('gives a ranged foe disadvantage in melee and lets it reposition', () => {
+        rollQueue.push(1, 15, 2); // player misses; the archer's disadvantage keeps the 2
+        const archer = enemy('Goblin', { range: 'engaged', attackRange: 'ranged' });
+        const plan = planCombatExchange(state({ enemies: [archer] }), exchange());
+        expect(plan.payload.result.events.at(-1)).toMatchObject({ hit: false, mode: expect.stringContaining('ranged attack while engaged') });
+
+        rollQueue.push(1, 15, 4); // player misses; the archer backs off and shoots normally for 6
+        const retreat = planCombatExchange(state({ enemies: [archer] }), exchange({
+            enemy_intents: [{ enemy_id: 'Goblin', action: 'attack', move_to: 'far' }],
+        }));
+        expect(retreat.payload.enemies[0].range).toBe('far');
+        expect(retreat.payload.playerDamage).toBe(6);
+        expect(exchangeSummary(retreat.payload.result)).toContain('Goblin repositions — now far (beyond a single move).');
+    });
+
+    it('provokes an opportunity attack when the hero dashes away without disengaging', () => {
+        rollQueue.push(19, 4); // opportunity attack hits for 1d6=4 +2; the goblin then only closes to near
+        const plan = planCombatExchange(state({ enemies: [enemy('Goblin', { range: 'engaged' })] }), exchange({
+            player_slots: [{ action: 'dash' }],
+        }));
+        expect(plan.ok).toBe(true);
+        expect(plan.payload.playerDamage).toBe(6);
+        expect(plan.payload.enemies[0].range).toBe('near');
+        expect(plan.payload.result.events.find(event => event.type === 'attack')).toMatchObject({ opportunity: true, hit: true });
+        expect(exchangeSummary(plan.payload.result)).toContain('**Goblin attacks Vesa** (opportunity attack)');
+    });
+
+    it('lets a Disengage cover the retreat', () => {
+        const rogue = state({
+            character: { class: 'rogue', level: 2 },
+            enemies: [enemy('Goblin', { range: 'engaged' })],
+        });
+        const plan = planCombatExchange(rogue, exchange({
+            player_slots: [{ action: 'disengage' }, { action: 'dash' }],
+        }));
+        expect(plan.ok).toBe(true);
+        expect(plan.payload.playerDamage).toBe(0);
+        expect(plan.payload.enemies[0].range).toBe('near');
+        expect(exchangeSummary(plan.payload.result)).toContain('without provoking');
+        expect(rollQueue).toHaveLength(0);
+    });
+
+    it('keeps a hero cut down while fleeing in the fight', () => {
+        rollQueue.push(19, 4); // opportunity attack deals 6 against 3 HP
+        const plan = planCombatExchange(state({
+            character: { currentHP: 3 },
+            enemies: [enemy('Goblin', { range: 'engaged' })],
+        }), exchange({ player_slots: [{ action: 'flee' }] }));
+        expect(plan.payload.result.terminal).toBe('defeat');
+        expect(plan.payload.playerDamage).toBe(6);
+        expect(exchangeSummary(plan.payload.result)).toContain('falls before the move is finished');
+    });
+
+    it('hands the narrator each foe\'s band', () => {
+        rollQueue.push(1, 1);
+        const plan = planCombatExchange(state(), exchange());
+        const prompt = combatNarrationPrompt(plan.payload.result);
+        expect(prompt).toContain('ALIVE AND ACTIVE: Goblin — 10/10 HP (healthy; engaged in melee)');
+        expect(prompt).toContain('Keep the geography consistent');
+    });
+});
+
+describe('concentration and timed effects', () => {
+    const casterState = (className, { character: charOverrides, ...rest } = {}) => state({
+        character: {
+            class: className, level: 5,
+            abilityScores: className === 'cleric'
+                ? { strength: 12, dexterity: 10, constitution: 14, intelligence: 10, wisdom: 16, charisma: 12 }
+                : { strength: 8, dexterity: 10, constitution: 12, intelligence: 16, wisdom: 10, charisma: 10 },
+            spellSlots: buildSpellSlots(5, null, className),
+            ...(charOverrides || {}),
+        },
+        ...rest,
+    });
+    const heldGoblin = (remainingRounds = 5) => enemy('Goblin', {
+        conditions: ['paralyzed'],
+        activeEffects: [{ key: 'holdPerson', name: 'Hold Person', concentration: true, condition: 'paralyzed', saveDc: 14, remainingRounds }],
+    });
+    const holdingPerson = { key: 'holdPerson', name: 'Hold Person', concentration: true, targetType: 'enemy', targetName: 'Goblin', remainingRounds: 5 };
+
+    it('lays Hold Person as a concentration effect that ticks down with the round', () => {
+        // Save 2 (+2=4) fails vs DC 14; the held Goblin re-saves after its lost turn with 3 (+2=5).
+        rollQueue.push(2, 3);
+        const plan = planCombatExchange(casterState('wizard'), exchange({
+            player_slots: [{ action: 'cast', spell: 'hold person', target: 'Goblin' }],
+        }));
+        expect(plan.ok).toBe(true);
+        const [goblin] = plan.payload.enemies;
+        expect(goblin.conditions).toContain('paralyzed');
+        expect(goblin.activeEffects).toEqual([
+            { key: 'holdPerson', name: 'Hold Person', remainingRounds: 9, concentration: true, condition: 'paralyzed', saveDc: 14 },
+        ]);
+        expect(plan.payload.characterUpdates.sustainedSpell).toMatchObject({ key: 'holdPerson', targetType: 'enemy', targetName: 'Goblin', remainingRounds: 9 });
+        expect(exchangeSummary(plan.payload.result)).toContain('Goblin is paralyzed and cannot act.');
+    });
+
+    it('lets a held foe throw the effect off on a repeat save while the caster still concentrates', () => {
+        rollQueue.push(15); // 15 + 2 = 17 vs DC 14 — free
+        const plan = planCombatExchange(
+            casterState('wizard', { enemies: [heldGoblin()], character: { sustainedSpell: holdingPerson } }),
+            exchange({ player_slots: [{ action: 'pass' }], enemy_intents: [] }),
+        );
+        const [goblin] = plan.payload.enemies;
+        expect(goblin.conditions).not.toContain('paralyzed');
+        expect(goblin.activeEffects).toEqual([]);
+        expect(exchangeSummary(plan.payload.result)).toContain('save to throw off Hold Person');
+        expect(plan.payload.characterUpdates.sustainedSpell).toMatchObject({ key: 'holdPerson', remainingRounds: 4 });
+    });
+
+    it('breaks concentration on a failed Constitution save after damage', () => {
+        // Goblin hits (15+4=19 vs AC 12) for 5+2=7; CON save 3+2=5 vs DC 10 fails.
+        rollQueue.push(15, 5, 3);
+        const shielded = casterState('cleric', {
+            character: { sustainedSpell: { key: 'shieldOfFaith', name: 'Shield of Faith', acBonus: 2, targetType: 'self', remainingRounds: 80 } },
+        });
+        const plan = planCombatExchange(shielded, exchange({ player_slots: [{ action: 'pass' }] }));
+        expect(plan.payload.playerDamage).toBe(7);
+        const save = plan.payload.result.events.find(event => event.type === 'save');
+        expect(save).toMatchObject({ actor: 'Vesa', dc: 10, success: false, description: 'Constitution save to hold concentration on Shield of Faith' });
+        expect(plan.payload.characterUpdates.sustainedSpell).toBeNull();
+        expect(exchangeSummary(plan.payload.result)).toContain('Shield of Faith ends — concentration is broken.');
+    });
+
+    it('ends the first concentration spell — and the foe it held — when a second is cast', () => {
+        // Hold Person ends, so the Goblin attacks the now-invisible wizard at disadvantage: 2, 3 miss.
+        rollQueue.push(2, 3);
+        const plan = planCombatExchange(
+            casterState('wizard', { enemies: [heldGoblin()], character: { sustainedSpell: holdingPerson } }),
+            exchange({ player_slots: [{ action: 'cast', spell: 'invisibility', target: 'self' }] }),
+        );
+        const [goblin] = plan.payload.enemies;
+        expect(goblin.conditions).toEqual([]);
+        expect(goblin.activeEffects).toEqual([]);
+        const summary = exchangeSummary(plan.payload.result);
+        expect(summary).toContain('Hold Person fades as the new spell takes hold.');
+        expect(summary).toContain('Goblin is no longer: paralyzed.');
+        expect(plan.payload.characterUpdates.sustainedSpell).toMatchObject({ key: 'invisibility', targetType: 'self', remainingRounds: 599 });
+    });
+
+    it('expires timed effects and a spent concentration spell at the round tick', () => {
+        // The prone Goblin attacks at disadvantage (2, 3) and misses; then the round ends.
+        rollQueue.push(2, 3);
+        const plan = planCombatExchange(state({
+            enemies: [enemy('Goblin', {
+                conditions: ['prone'],
+                activeEffects: [{ key: 'command', name: 'Command', condition: 'prone', remainingRounds: 1 }],
+            })],
+            character: {
+                sustainedSpell: { key: 'huntersMark', name: "Hunter's Mark", mark: { dice: '1d6', appliesTo: 'weapon' }, targetType: 'enemy', targetId: 'Goblin', remainingRounds: 1 },
+            },
+        }), exchange({ player_slots: [{ action: 'pass' }] }));
+        expect(plan.payload.enemies[0].conditions).toEqual([]);
+        expect(plan.payload.characterUpdates.sustainedSpell).toBeNull();
+        const summary = exchangeSummary(plan.payload.result);
+        expect(summary).toContain('Command on Goblin runs out.');
+        expect(summary).toContain("Hunter's Mark runs out — its duration is over.");
+    });
+
+    it('keeps a Spiritual Weapon hovering for free bonus-action strikes on later turns', () => {
+        // Attack 15+6=21 hits for 4+3=7; the Goblin misses with 2.
+        rollQueue.push(15, 4, 2);
+        const cast = planCombatExchange(casterState('cleric'), exchange({
+            player_slots: [{ action: 'cast', spell: 'spiritual weapon', target: 'Goblin' }],
+        }));
+        expect(cast.ok).toBe(true);
+        expect(cast.payload.characterUpdates.spellSlots[2].used).toBe(1);
+        expect(cast.payload.characterUpdates.activeEffects).toEqual([
+            { key: 'spiritualWeapon', name: 'Spiritual Weapon', remainingRounds: 9, slotLevel: 2 },
+        ]);
+
+        // Next turn: Sacred Flame (15 hits, 2d8 = 1+1) beside the weapon's free strike (15 hits, 4+3).
+        rollQueue.push(15, 1, 1, 15, 4, 2);
+        const next = planCombatExchange(casterState('cleric', {
+            enemies: [enemy('Goblin', { hp: 20, maxHp: 20 })],
+            character: { activeEffects: cast.payload.characterUpdates.activeEffects },
+        }), exchange({
+            player_slots: [
+                { action: 'cast', spell: 'sacred flame', target: 'Goblin' },
+                { action: 'cast', spell: 'spiritual weapon', target: 'Goblin' },
+            ],
+        }));
+        expect(next.ok).toBe(true);
+        expect(next.payload.characterUpdates.spellSlots).toBeUndefined();
+        expect(next.payload.enemies[0].hp).toBe(11);
+        expect(exchangeSummary(next.payload.result)).toContain("Vesa's Spiritual Weapon strikes again");
+        expect(next.payload.characterUpdates.activeEffects[0].remainingRounds).toBe(8);
+    });
+});
+
+describe('catalog monsters', () => {
+    it('swings a stat-block Multiattack at the same target', () => {
+        // Thug: 15+4=19 hits AC 16 for 3+2=5, then 2+4=6 misses.
+        rollQueue.push(15, 3, 2);
+        const plan = planCombatExchange(
+            state({ enemies: [enemy('Thug', { monster: 'thug', hp: 32, maxHp: 32, ac: 11, damage: '1d6+2' })] }),
+            exchange({ player_slots: [{ action: 'pass' }] }),
+        );
+        expect(plan.payload.playerDamage).toBe(5);
+        expect(plan.payload.rolls).toHaveLength(3);
+        expect(exchangeSummary(plan.payload.result)).toContain('Thug makes 2 attacks (Multiattack).');
+    });
+
+    it('stops a Multiattack once its target is down', () => {
+        rollQueue.push(15, 6);
+        const plan = planCombatExchange(
+            state({
+                character: { currentHP: 4 },
+                enemies: [enemy('Thug', { monster: 'thug', hp: 32, maxHp: 32, ac: 11, damage: '1d6+2' })],
+            }),
+            exchange({ player_slots: [{ action: 'pass' }] }),
+        );
+        expect(plan.payload.rolls).toHaveLength(2);
+        expect(exchangeSummary(plan.payload.result)).not.toContain('does not make another attack');
+    });
+});
+
+describe('damage resistances, vulnerabilities and immunities', () => {
+    const wizard = ({ level = 5, ...charOverrides } = {}) => ({
+        class: 'wizard', level,
+        abilityScores: { strength: 8, dexterity: 10, constitution: 12, intelligence: 16, wisdom: 10, charisma: 10 },
+        spellSlots: buildSpellSlots(level, null, 'wizard'),
+        ...charOverrides,
+    });
+
+    it('doubles a weapon hit of the type a foe is vulnerable to', () => {
+        // 15+5=20 hits AC 12; Mace 4+3=7 bludgeoning, doubled to 14. Skeleton's 2+4=6 misses.
+        rollQueue.push(15, 4, 2);
+        const fight = state({ enemies: [enemy('Skeleton', { hp: 20, maxHp: 20, vulnerabilities: ['bludgeoning'] })] });
+        fight.inventory = [{ id: 'mace', name: 'Mace', type: 'weapon', category: 'simpleMelee', damage: '1d6', damageType: 'bludgeoning', equipped: true }];
+        const plan = planCombatExchange(fight, exchange({
+            player_slots: [{ action: 'attack', strikes: [{ target: 'Skeleton' }] }],
+            enemy_intents: [{ enemy_id: 'Skeleton', action: 'attack', target: 'player' }],
+        }));
+        expect(plan.payload.enemies[0].hp).toBe(6);
+        const hit = plan.payload.result.events.find(event => event.type === 'attack' && event.actor === 'Vesa');
+        expect(hit).toMatchObject({ damage: 14, damageDefenses: [{ damageType: 'bludgeoning', defense: 'vulnerable' }] });
+        expect(exchangeSummary(plan.payload.result)).toContain('**Hit for 14 damage.** (bludgeoning damage doubled by vulnerability)');
+    });
+
+    it('leaves untyped weapon damage alone', () => {
+        // The fixture Longsword carries no damage type: 4+3=7 lands in full.
+        rollQueue.push(15, 4, 2);
+        const plan = planCombatExchange(state({ enemies: [enemy('Goblin', { resistances: ['slashing'] })] }), exchange());
+        expect(plan.payload.enemies[0].hp).toBe(3);
+        expect(exchangeSummary(plan.payload.result)).not.toContain('resistance');
+    });
+
+    it('zeroes a spell attack against an immune foe', () => {
+        // Fire Bolt 15+6=21 hits; 2d10 = 10 fire, negated. Goblin's 2+4=6 misses.
+        rollQueue.push(15, 5, 5, 2);
+        const plan = planCombatExchange(
+            state({ character: wizard(), enemies: [enemy('Goblin', { immunities: ['fire'] })] }),
+            exchange({ player_slots: [{ action: 'cast', spell: 'fireBolt', targets: ['Goblin'] }] }),
+        );
+        expect(plan.payload.enemies[0].hp).toBe(10);
+        expect(exchangeSummary(plan.payload.result)).toContain('**Hit for 0 damage.** (fire damage negated by immunity)');
+    });
+
+    it('halves each resisting foe\'s share of a save spell', () => {
+        // Fireball 6d6 = 18; both fail (4+2, 5+2 vs DC 14). Only the resistant foe halves it.
+        rollQueue.push(3, 3, 3, 3, 3, 3, 4, 5, 2, 2);
+        const plan = planCombatExchange(
+            state({
+                character: wizard(),
+                enemies: [enemy('A', { hp: 30, maxHp: 30, resistances: ['fire'] }), enemy('B', { hp: 30, maxHp: 30 })],
+            }),
+            normalizeCombatExchange({ player_slots: [{ action: 'cast', spell: 'fireball', targets: ['A', 'B'] }], enemy_intents: [] }),
+        );
+        const [a, b] = plan.payload.enemies;
+        expect(a.hp).toBe(21);
+        expect(b.hp).toBe(12);
+        expect(exchangeSummary(plan.payload.result)).toContain('**Fireball** strikes A for **9** damage (fire damage halved by resistance).');
+    });
+
+    it('lets Stoneskin halve the slashing blow that lands in the same exchange', () => {
+        // Goblin 15+4=19 hits AC 10 for 6+2=8 slashing, halved to 4; CON save 15+1 holds concentration.
+        rollQueue.push(15, 6, 15);
+        const fight = state({ character: wizard({ level: 7 }), enemies: [enemy('Goblin', { damageType: 'slashing' })] });
+        fight.inventory = [];
+        const plan = planCombatExchange(fight, exchange({ player_slots: [{ action: 'cast', spell: 'stoneskin' }] }));
+        expect(plan.ok).toBe(true);
+        expect(plan.payload.playerDamage).toBe(4);
+        expect(plan.payload.characterUpdates.sustainedSpell).toMatchObject({
+            key: 'stoneskin', targetType: 'self', resistances: ['bludgeoning', 'piercing', 'slashing'],
+        });
+        const summary = exchangeSummary(plan.payload.result);
+        expect(summary).toContain('**Stoneskin** settles over Vesa (resists bludgeoning, piercing, slashing)');
+        expect(summary).toContain('(slashing damage halved by resistance)');
+    });
+
+    it('still renders the resistance note on results saved before typed defenses', () => {
+        const [line] = exchangeEventLines({
+            events: [{ type: 'attack', actor: 'Imp', target: 'Vesa', rolled: 17, dc: 16, hit: true, damage: 4, remainingHp: 16, maxHp: 20, resistedType: 'fire' }],
+        });
+        expect(line).toContain('(fire damage halved by resistance)');
+    });
+});
+
+describe('magic item properties', () => {
+    const flameTongue = overrides => ({
+        id: 'flame', name: 'Flame Tongue', type: 'weapon', category: 'martialMelee', damage: '1d8', damageType: 'slashing',
+        equipped: true, requiresAttunement: true, attuned: true, extraDamage: { dice: '2d6', damageType: 'fire' },
+        ...overrides,
+    });
+    const wand = {
+        id: 'wand-1', name: 'Wand of Magic Missiles', type: 'gear', requiresAttunement: true, attuned: true,
+        spells: [{ spell: 'magicMissile', cost: 1 }], charges: { used: 0, max: 7, recharge: 'dawn' },
+    };
+
+    it('adds an attuned weapon\'s typed rider to every hit', () => {
+        rollQueue.push(15, 5, 3, 4, 1); // hit 15+5, 1d8=5 (+3), 2d6 fire (3,4); goblin nat 1 misses
+        const fight = state({ enemies: [enemy('Goblin', { hp: 30, maxHp: 30 })] });
+        fight.inventory = [flameTongue()];
+        const plan = planCombatExchange(fight, exchange());
+        expect(plan.payload.enemies[0].hp).toBe(15);
+        expect(exchangeSummary(plan.payload.result)).toContain('Includes **7** fire damage from Flame Tongue.');
+    });
+
+    it('leaves the rider dormant until the hero attunes', () => {
+        rollQueue.push(15, 5, 1);
+        const fight = state({ enemies: [enemy('Goblin', { hp: 30, maxHp: 30 })] });
+        fight.inventory = [flameTongue({ attuned: false })];
+        const plan = planCombatExchange(fight, exchange());
+        expect(plan.payload.enemies[0].hp).toBe(22);
+    });
+
+    it('lets a non-caster cast from a wand and reports the spent charge', () => {
+        rollQueue.push(1, 2, 3, 1); // Magic Missile 3d4+3 = 9; goblin nat 1 misses
+        const fight = state();
+        fight.inventory = [...fight.inventory, wand];
+        const plan = planCombatExchange(fight, exchange({
+            player_slots: [{ action: 'cast', spell: 'magicMissile', target: 'Goblin' }],
+        }));
+        expect(plan.ok).toBe(true);
+        expect(plan.payload.enemies[0].hp).toBe(1);
+        expect(plan.payload.itemCharges).toEqual({ 'wand-1': 1 });
+        expect(plan.payload.characterUpdates).toBeNull();
+        expect(exchangeSummary(plan.payload.result)).toContain('casts Magic Missile** from Wand of Magic Missiles (1 charge; 6/7 left');
+    });
+
+    it('rejects an item spell once the charges are gone', () => {
+        const fight = state();
+        fight.inventory = [...fight.inventory, { ...wand, charges: { used: 7, max: 7, recharge: 'dawn' } }];
+        const plan = planCombatExchange(fight, exchange({
+            player_slots: [{ action: 'cast', spell: 'magicMissile', target: 'Goblin' }],
+        }));
+        expect(plan.ok).toBe(false);
+    });
+});
@@ -16,7 +16,8 @@
  */
 
 import { rollDice, rollWithModifier, parseNotation } from './dice.ts';
-import { getEquippedWeapon, getSneakAttackDice, getConditionRollEffects, combineRollModifiers } from './rules.js';
+import { getEquippedWeapon, getSneakAttackDice, getConditionRollEffects, combineRollModifiers, getRacialTraits, characterDamageDefenses, getClassLevel, hasClass } from './rules.js';
+import { applyDamageDefenses } from './damageDefenses.js';
 
 /**
  * Combine base advantage/disadvantage with the condition effects of BOTH sides
@@ -33,28 +34,47 @@ export function conditionAwareAttackModifiers(attackerConditions, targetConditio
     });
 }
 
+/** True when this character's d20s reroll natural 1s (Halfling Lucky). */
+export function hasLucky(character) {
+    return !!getRacialTraits(character).lucky;
+}
+
+/**
+ * One d20; with `lucky`, a natural 1 is rerolled once and the new die stands
+ * (even another 1). `state.rerolled` records that the reroll happened.
+ */
+function rollOneD20(modifier, description, lucky, state) {
+    const roll = rollWithModifier(1, 20, modifier, description);
+    if (!lucky || roll.rolls[0] !== 1) return roll;
+    state.rerolled = true;
+    return rollWithModifier(1, 20, modifier, `${description} (Lucky reroll)`);
+}
+
 /**
  * Roll a d20 with advantage/disadvantage (both cancel to a plain roll).
  * Returns the kept rollWithModifier result plus the raw naturals so callers
  * can build their own display strings:
- *   { roll, natural, first, second, detail }
+ *   { roll, natural, first, second, detail, luckyReroll }
  * `first`/`second` are null on a plain roll. `detail` is the exchange-machine
  * format ("d20 X, Y → Z"); rollResolver builds its own string from the
  * naturals. opts.secondDescription overrides the second die's description
  * (the exchange labels it "(second die)"; rollResolver keeps them identical
- * so the kept roll's history entry reads the same either way).
+ * so the kept roll's history entry reads the same either way). opts.lucky
+ * rerolls each natural-1 die before advantage picks (Halfling Lucky);
+ * `luckyReroll` reports whether it fired.
  */
-export function rollD20Kept(modifier, description, advantage = false, disadvantage = false, { secondDescription } = {}) {
+export function rollD20Kept(modifier, description, advantage = false, disadvantage = false, { secondDescription, lucky = false } = {}) {
     if (advantage && disadvantage) {
         advantage = false;
         disadvantage = false;
     }
+    const luck = { rerolled: false };
     if (!advantage && !disadvantage) {
-        const roll = rollWithModifier(1, 20, modifier, description);
-        return { roll, natural: roll.rolls[0], first: null, second: null, detail: '' };
+        const roll = rollOneD20(modifier, description, lucky, luck);
+        return { roll, natural: roll.rolls[0], first: null, second: null, detail: '', luckyReroll: luck.rerolled };
     }
-    const first = rollWithModifier(1, 20, modifier, description);
-    const second = rollWithModifier(1, 20, modifier, secondDescription ?? `${description} (second die)`);
+    const first = rollOneD20(modifier, description, lucky, luck);
+    const second = rollOneD20(modifier, secondDescription ?? `${description} (second die)`, lucky, luck);
     const useFirst = advantage ? first.rolls[0] >= second.rolls[0] : first.rolls[0] <= second.rolls[0];
     const kept = useFirst ? first : second;
     return {
@@ -63,11 +83,12 @@ export function rollD20Kept(modifier, description, advantage = false, disadvanta
         first: first.rolls[0],
         second: second.rolls[0],
         detail: `d20 ${first.rolls[0]}, ${second.rolls[0]} → ${kept.rolls[0]}`,
+        luckyReroll: luck.rerolled,
     };
 }
 
 export function shouldUseGreatWeaponFighting(character, inventory = []) {
-    if (character?.class !== 'fighter' || character.fightingStyle !== 'greatWeaponFighting') return false;
+    if (!hasClass(character, 'fighter') || character.fightingStyle !== 'greatWeaponFighting') return false;
     const weapon = getEquippedWeapon(inventory);
     return !!weapon && !weapon.ranged && weapon.twoHanded;
 }
@@ -81,18 +102,18 @@ export function shouldUseGreatWeaponFighting(character, inventory = []) {
 export function isCriticalNatural(character, natural) {
     return natural === 20 || (
         natural === 19
-        && character?.class === 'fighter'
-        && (character.level || 1) >= 3
+        && getClassLevel(character, 'fighter') >= 3
         && character.martialArchetype === 'champion'
     );
 }
 
 /**
  * Roll weapon/spell damage with crit doubling, Great Weapon Fighting rerolls,
- * and Rogue Sneak Attack. Returns raw data:
- *   { roll, total, notation, rerolls: ["2→5", ...], sneakAttackDetail: { diceCount, rolls, total } | null }
- * `roll.total` includes the sneak-attack damage (the dispatched roll-history
- * entry shows the full number).
+ * Rogue Sneak Attack, and Half-Orc Savage Attacks. Returns raw data:
+ *   { roll, total, notation, rerolls: ["2→5", ...], sneakAttackDetail: { diceCount, rolls, total } | null,
+ *     savageAttackDetail: { roll } | null }
+ * `roll.total` includes the sneak-attack and savage-attack damage (the
+ * dispatched roll-history entry shows the full number).
  *
  * opts.onInvalid: 'fallback' (default) quietly rolls 1d4 for malformed
  * notation — combat must never dead-end on a bad string; 'throw' propagates,
@@ -106,8 +127,9 @@ export function rollDamage(notation, description, {
     disadvantage = false,
     hasAlly = false,
     onInvalid = 'fallback',
-    // Generic (non-weapon-attack) damage rolls must not smuggle Sneak Attack in
-    // just because the character is a rogue — only attack callers leave this on.
+    // Generic (non-weapon-attack) damage rolls must not smuggle Sneak Attack (or
+    // Savage Attacks) in just because of the character — only attack callers
+    // leave this on.
     includeSneakAttack = true,
 } = {}) {
     let parsed;
@@ -132,7 +154,7 @@ export function rollDamage(notation, description, {
     }
     // Rogue Sneak Attack
     let sneakAttackDetail = null;
-    if (includeSneakAttack && character && character.class === 'rogue') {
+    if (includeSneakAttack && hasClass(character, 'rogue')) {
         const weapon = getEquippedWeapon(inventory);
         const sneakAttackDice = getSneakAttackDice(character, weapon, advantage, disadvantage, hasAlly);
         if (sneakAttackDice > 0) {
@@ -148,7 +170,16 @@ export function rollDamage(notation, description, {
         }
     }
 
-    return { roll, total: Math.max(0, roll.total), notation, rerolls, sneakAttackDetail };
+    // Half-Orc Savage Attacks: a melee weapon crit rolls one weapon die more.
+    let savageAttackDetail = null;
+    if (critical && includeSneakAttack && character && getRacialTraits(character).savageAttacks
+        && !getEquippedWeapon(inventory)?.ranged) {
+        const savage = rollDice(1, parsed.sides)[0];
+        roll.total += savage;
+        savageAttackDetail = { roll: savage };
+    }
+
+    return { roll, total: Math.max(0, roll.total), notation, rerolls, sneakAttackDetail, savageAttackDetail };
 }
 
 /**
@@ -158,8 +189,7 @@ export function rollDamage(notation, description, {
  */
 export function applyUncannyDodge(character, damage, state) {
     if (
-        character?.class === 'rogue'
-        && (character?.level >= 5)
+        getClassLevel(character, 'rogue') >= 5
         && damage > 0
         && state && !state.used
     ) {
@@ -168,3 +198,33 @@ export function applyUncannyDodge(character, damage, state) {
     }
     return { damage, applied: false };
 }
+
+/**
+ * Relentless Endurance (Half-Orc): a hit that would drop the hero from above
+ * 0 HP to 0 leaves them at 1 instead, once per long rest. The caller owns the
+ * once-per-scope state ({ available }, from createRelentlessEnduranceState)
+ * and spends the real charge when `applied` comes back true.
+ */
+export function applyRelentlessEndurance(currentHp, damage, state) {
+    if (state?.available && currentHp > 0 && damage >= currentHp) {
+        state.available = false;
+        return { damage: currentHp - 1, applied: true };
+    }
+    return { damage, applied: false };
+}
+
+/** Once-per-scope Relentless Endurance state: available while the charge is unspent. */
+export function createRelentlessEnduranceState(character) {
+    const res = character?.classResources?.relentlessEndurance;
+    return { available: !!res && res.used < res.max };
+}
+
+/**
+ * The hero's typed damage defenses (race, own spell effects, worn magic gear —
+ * characterDamageDefenses): halves, doubles or zeroes damage of a type the
+ * hero resists, is vulnerable to, or is immune to. Untyped damage is never
+ * changed. Returns `{ damage, defense }` (see applyDamageDefenses).
+ */
+export function applyHeroDamageDefenses(character, inventory, damage, damageType) {
+    return applyDamageDefenses(damage, damageType, characterDamageDefenses(character, inventory));
+}
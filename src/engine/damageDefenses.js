@@ -0,0 +1,92 @@
+/**
+ * Damage defenses — typed resistance, vulnerability and immunity.
+ *
+ * Every damage roll that names a 5e damage type passes through
+ * applyDamageDefenses against its target's three sets:
+ * - immunity zeroes the damage;
+ * - resistance halves it (rounded down) and vulnerability doubles it — a target
+ *   listing the same type under both takes the roll unchanged;
+ * - untyped damage is never changed.
+ * Enemies carry the sets on the enemy record (a catalog monster's come from
+ * its stat block, never from the DM); the hero's are gathered from race,
+ * active spell effects and attuned magic items by characterDamageDefenses in
+ * rules.js.
+ */
+
+export const DAMAGE_TYPES = Object.freeze([
+    'acid', 'bludgeoning', 'cold', 'fire', 'force', 'lightning', 'necrotic',
+    'piercing', 'poison', 'psychic', 'radiant', 'slashing', 'thunder',
+]);
+
+export const DAMAGE_DEFENSE_KEYS = Object.freeze(['resistances', 'vulnerabilities', 'immunities']);
+
+// The widest catalog stat block lists two types per set; a hand-authored foe
+// gets headroom but can never be immune to everything.
+const MAX_TYPES_PER_SET = 4;
+
+const DAMAGE_TYPE_SET = new Set(DAMAGE_TYPES);
+
+/** A lowercase 5e damage type, or undefined when absent/unknown. */
+export function normalizeDamageType(value) {
+    const type = String(value || '').trim().toLowerCase();
+    return DAMAGE_TYPE_SET.has(type) ? type : undefined;
+}
+
+/** A deduped list of known damage types from an array (or one string), bounded per set. */
+export function normalizeDamageTypeList(value) {
+    const raw = Array.isArray(value) ? value : (typeof value === 'string' ? [value] : []);
+    return [...new Set(raw.map(normalizeDamageType).filter(Boolean))].slice(0, MAX_TYPES_PER_SET);
+}
+
+/** The validated `{ resistances, vulnerabilities, immunities }` of a record, omitting empty sets. */
+export function normalizeDamageDefenses(source) {
+    const defenses = {};
+    for (const key of DAMAGE_DEFENSE_KEYS) {
+        const list = normalizeDamageTypeList(source?.[key]);
+        if (list.length > 0) defenses[key] = list;
+    }
+    return defenses;
+}
+
+/**
+ * Adjust `damage` of `damageType` for a target's defenses: `{ damage, defense }`
+ * where `defense` is 'immune', 'resisted', 'vulnerable', or null when nothing
+ * changed the number.
+ */
+export function applyDamageDefenses(damage, damageType, defenses) {
+    const type = normalizeDamageType(damageType);
+    if (!(damage > 0) || !type || !defenses) return { damage, defense: null };
+    if (defenses.immunities?.includes(type)) return { damage: 0, defense: 'immune' };
+    const resisted = !!defenses.resistances?.includes(type);
+    const vulnerable = !!defenses.vulnerabilities?.includes(type);
+    if (resisted && !vulnerable) return { damage: Math.floor(damage / 2), defense: 'resisted' };
+    if (vulnerable && !resisted) return { damage: damage * 2, defense: 'vulnerable' };
+    return { damage, defense: null };
+}
+
+/** The defense behind each `applyDamageDefenses` outcome, for log titles. */
+export const DAMAGE_DEFENSE_NAMES = Object.freeze({
+    immune: 'immunity',
+    resisted: 'resistance',
+    vulnerable: 'vulnerability',
+});
+
+const DEFENSE_PHRASES = {
+    immune: 'negated by immunity',
+    resisted: 'halved by resistance',
+    vulnerable: 'doubled by vulnerability',
+};
+
+/** "fire damage halved by resistance" — the log's reason a number changed. */
+export function describeDamageDefense({ damageType, defense }) {
+    return DEFENSE_PHRASES[defense] ? `${damageType} damage ${DEFENSE_PHRASES[defense]}` : '';
+}
+
+/** "resists fire; immune to poison" for prompts and enemy cards, or '' with no defenses. */
+export function describeDamageDefenses(defenses) {
+    const parts = [];
+    if (defenses?.resistances?.length) parts.push(`resists ${defenses.resistances.join(', ')}`);
+    if (defenses?.vulnerabilities?.length) parts.push(`vulnerable to ${defenses.vulnerabilities.join(', ')}`);
+    if (defenses?.immunities?.length) parts.push(`immune to ${defenses.immunities.join(', ')}`);
+    return parts.join('; ');
+}
@@ -0,0 +1,56 @@
+import { describe, expect, it } from 'vitest';
+import {
+    applyDamageDefenses,
+    describeDamageDefense,
+    describeDamageDefenses,
+    normalizeDamageDefenses,
+    normalizeDamageTypeList,
+} from './damageDefenses.js';
+
+describe('damage defense validation', () => {
+    it('keeps known types only, lowercased and deduped', () => {
+        expect(normalizeDamageTypeList(['Fire', 'fire', 'holy', 42, null, 'COLD'])).toEqual(['fire', 'cold']);
+        expect(normalizeDamageTypeList('poison')).toEqual(['poison']);
+        expect(normalizeDamageTypeList({ fire: true })).toEqual([]);
+    });
+
+    it('caps a set so no foe is declared immune to everything', () => {
+        const every = ['acid', 'bludgeoning', 'cold', 'fire', 'force', 'lightning', 'necrotic'];
+        expect(normalizeDamageTypeList(every)).toHaveLength(4);
+    });
+
+    it('omits empty sets and ignores unrelated keys', () => {
+        expect(normalizeDamageDefenses({ resistances: ['necrotic'], vulnerabilities: [], immunities: ['nonsense'], hp: 9 }))
+            .toEqual({ resistances: ['necrotic'] });
+        expect(normalizeDamageDefenses(null)).toEqual({});
+    });
+});
+
+describe('applyDamageDefenses', () => {
+    const ghoulish = { resistances: ['necrotic', 'cold'], vulnerabilities: ['radiant', 'cold'], immunities: ['poison'] };
+
+    it('halves, doubles and zeroes by type', () => {
+        expect(applyDamageDefenses(9, 'necrotic', ghoulish)).toEqual({ damage: 4, defense: 'resisted' });
+        expect(applyDamageDefenses(9, 'radiant', ghoulish)).toEqual({ damage: 18, defense: 'vulnerable' });
+        expect(applyDamageDefenses(9, 'poison', ghoulish)).toEqual({ damage: 0, defense: 'immune' });
+    });
+
+    it('lets resistance and vulnerability to one type cancel', () => {
+        expect(applyDamageDefenses(9, 'cold', ghoulish)).toEqual({ damage: 9, defense: null });
+    });
+
+    it('never changes untyped, unknown-type, or zero damage', () => {
+        expect(applyDamageDefenses(9, undefined, ghoulish)).toEqual({ damage: 9, defense: null });
+        expect(applyDamageDefenses(9, 'holy', ghoulish)).toEqual({ damage: 9, defense: null });
+        expect(applyDamageDefenses(0, 'poison', ghoulish)).toEqual({ damage: 0, defense: null });
+        expect(applyDamageDefenses(9, 'fire', null)).toEqual({ damage: 9, defense: null });
+    });
+
+    it('explains each change for the log', () => {
+        expect(describeDamageDefense({ damageType: 'fire', defense: 'resisted' })).toBe('fire damage halved by resistance');
+        expect(describeDamageDefense({ damageType: 'radiant', defense: 'vulnerable' })).toBe('radiant damage doubled by vulnerability');
+        expect(describeDamageDefense({ damageType: 'poison', defense: 'immune' })).toBe('poison damage negated by immunity');
+        expect(describeDamageDefenses(ghoulish)).toBe('resists necrotic, cold; vulnerable to radiant, cold; immune to poison');
+        expect(describeDamageDefenses({})).toBe('');
+    });
+});
@@ -20,12 +20,12 @@
  */
 
 import { SPELL_LIST } from '../data/spells.js';
-import { getKnownSpells, getMaxSpellLevel, isSpellcaster } from './spellcasting.js';
+import { getKnownSpells, getMaxSpellLevel, getSpellcastingClasses } from './spellcasting.js';
 
 /** Smallest class level whose slot table reaches the spell's level (1..20, or null). */
-function minLevelToCast(spell) {
+function minLevelToCast(spell, className) {
     for (let level = 1; level <= 20; level++) {
-        if (getMaxSpellLevel(level) >= spell.level) return level;
+        if (getMaxSpellLevel(level, className) >= spell.level) return level;
     }
     return null;
 }
@@ -55,9 +55,10 @@ export function reconcileDeclaredSpells(playerMessage, exchange, character) {
 
     for (const spell of mentioned) {
         if (knownKeys.has(spell.key)) continue;
-        if (isSpellcaster(character?.class) && spell.classes.includes(character.class)) {
-            const atLevel = minLevelToCast(spell);
-            result.notes.push(`${spell.name} is a level ${spell.level} spell in this game — out of reach until ${character.class} level ${atLevel}; it was not cast.`);
+        const className = getSpellcastingClasses(character).map(([name]) => name).find(name => spell.classes.includes(name));
+        if (className) {
+            const atLevel = minLevelToCast(spell, className);
+            result.notes.push(`${spell.name} is a level ${spell.level} spell in this game — out of reach until ${className} level ${atLevel}; it was not cast.`);
         } else {
             result.notes.push(`${spell.name} is not a spell your class can cast in this game; it was not cast.`);
         }
@@ -0,0 +1,199 @@
+/**
+ * Downtime — the days a hero spends between adventures (DECISIONS.md
+ * 2026-10-19).
+ *
+ * One project at a time lives on `character.downtime`, and the engine owns
+ * every number in it:
+ * - CRAFT a mundane catalog item: materials cost half its value up front and
+ *   each day works off 5 gp of its value (PHB crafting).
+ * - BREW Potions of Healing with a Healer's Kit in the pack: 25 gp of herbs
+ *   and one day per potion, up to a batch of five.
+ * - WORK a trade: a five-day workweek paying 1 gp a day.
+ * - RESEARCH a topic: a workweek at 1 gp a day in fees and bribes; the DM
+ *   narrates what the research turned up.
+ * - TRAIN a new skill proficiency: 50 days less five per point of
+ *   Intelligence modifier (never under 25), paying a teacher 5 gp a day.
+ *
+ * Daily costs are paid as the days are spent, so a thin purse stops a
+ * stretch short rather than refusing it. Downtime needs a place to stay put —
+ * never the wilderness, a frontier post or a hostile site, never mid-fight —
+ * and its days run the calendar forward like any other time
+ * (worldTempo.js advanceWorldTime): the world does not wait.
+ */
+
+import { ITEM_CATALOG } from '../data/items.js';
+import { SKILL_LABELS } from './characterUtils.js';
+import { normalizeSkillKey } from './magicItems.js';
+import { getModifier } from './rules.js';
+
+export const DOWNTIME_ACTIVITIES = ['craft', 'brew', 'work', 'research', 'train'];
+/** Most days one stretch may spend; longer projects carry over between stretches. */
+export const DOWNTIME_MAX_STRETCH_DAYS = 28;
+export const CRAFT_PROGRESS_CP_PER_DAY = 500;
+export const CRAFT_MATERIAL_FRACTION = 0.5;
+export const BREW_COST_CP = 2500;
+export const BREW_MAX_BATCH = 5;
+export const WORK_DAYS = 5;
+export const WORK_WAGE_CP_PER_DAY = 100;
+export const RESEARCH_DAYS = 5;
+export const RESEARCH_COST_CP_PER_DAY = 100;
+export const TRAIN_BASE_DAYS = 50;
+export const TRAIN_MIN_DAYS = 25;
+export const TRAIN_COST_CP_PER_DAY = 500;
+
+const ACTIVITY_LABELS = { craft: 'Craft', brew: 'Brew', work: 'Work', research: 'Research', train: 'Train' };
+const CRAFTABLE_TYPES = new Set(['weapon', 'armor', 'shield', 'gear', 'tool']);
+const UNSAFE_LOCATION_TYPES = new Set(['wilderness', 'frontier', 'hostile_site']);
+const BREW_ITEM_KEY = 'potionHealing';
+const BREW_KIT_KEY = 'healerKit';
+const MAX_PROJECT_DAYS = 400;
+
+function cleanText(value, max = 120) {
+    return String(value || '').replace(/\s+/g, ' ').trim().slice(0, max);
+}
+
+function clampInt(value, min, max, fallback) {
+    const n = Math.trunc(Number(value));
+    return Number.isFinite(n) ? Math.max(min, Math.min(max, n)) : fallback;
+}
+
+/** Catalog goods a workbench can turn out: mundane, priced, and not potions (brewing owns those). */
+export function isCraftableItemKey(itemKey) {
+    const item = ITEM_CATALOG[itemKey];
+    return !!item && CRAFTABLE_TYPES.has(item.type) && item.valueCp > 0 && !item.magicBonus;
+}
+
+/** Whether the hero can settle in for downtime here; an unregistered place gets the benefit of the doubt. */
+export function isDowntimeSafe(locationRecord) {
+    return !locationRecord || !UNSAFE_LOCATION_TYPES.has(locationRecord.type);
+}
+
+export function trainingDays(character) {
+    const intMod = getModifier(character?.abilityScores?.intelligence || 10);
+    return Math.max(TRAIN_MIN_DAYS, TRAIN_BASE_DAYS - 5 * intMod);
+}
+
+/**
+ * Price and schedule a project from the engine tables. Returns
+ * `{ project }` or `{ error }` with a player-facing reason.
+ */
+export function planDowntimeProject(activity, options = {}, { character = null, inventory = [] } = {}) {
+    const base = { activity, daysDone: 0, upfrontCp: 0, dailyCostCp: 0, dailyWageCp: 0 };
+    if (activity === 'craft') {
+        const itemKey = String(options.itemKey || '');
+        if (!isCraftableItemKey(itemKey)) return { error: 'Only mundane catalog weapons, armor and gear can be crafted.' };
+        const item = ITEM_CATALOG[itemKey];
+        return {
+            project: {
+                ...base,
+                itemKey,
+                quantity: 1,
+                label: `Craft ${item.name}`,
+                daysNeeded: Math.min(MAX_PROJECT_DAYS, Math.max(1, Math.ceil(item.valueCp / CRAFT_PROGRESS_CP_PER_DAY))),
+                upfrontCp: Math.ceil(item.valueCp * CRAFT_MATERIAL_FRACTION),
+            },
+        };
+    }
+    if (activity === 'brew') {
+        if (!(inventory || []).some(item => item.itemKey === BREW_KIT_KEY)) {
+            return { error: `Brewing needs a ${ITEM_CATALOG[BREW_KIT_KEY].name} in the pack.` };
+        }
+        const quantity = clampInt(options.quantity, 1, BREW_MAX_BATCH, 1);
+        return {
+            project: {
+                ...base,
+                itemKey: BREW_ITEM_KEY,
+                quantity,
+                label: `Brew ${quantity > 1 ? `${quantity}x ` : ''}${ITEM_CATALOG[BREW_ITEM_KEY].name}`,
+                daysNeeded: quantity,
+                upfrontCp: BREW_COST_CP * quantity,
+            },
+        };
+    }
+    if (activity === 'work') {
+        const trade = cleanText(options.topic, 60);
+        return {
+            project: {
+                ...base,
+                ...(trade && { topic: trade }),
+                label: trade ? `Work as ${trade}` : 'Work a trade',
+                daysNeeded: WORK_DAYS,
+                dailyWageCp: WORK_WAGE_CP_PER_DAY,
+            },
+        };
+    }
+    if (activity === 'research') {
+        const topic = cleanText(options.topic, 120);
+        if (!topic) return { error: 'Name what to research.' };
+        return {
+            project: { ...base, topic, label: `Research ${topic}`, daysNeeded: RESEARCH_DAYS, dailyCostCp: RESEARCH_COST_CP_PER_DAY },
+        };
+    }
+    if (activity === 'train') {
+        const skill = normalizeSkillKey(options.skill);
+        if (!skill) return { error: 'Choose a skill to train.' };
+        if ((character?.skillProficiencies || []).includes(skill)) {
+            return { error: `${SKILL_LABELS[skill] || skill} is already a proficiency.` };
+        }
+        return {
+            project: {
+                ...base,
+                skill,
+                label: `Train ${SKILL_LABELS[skill] || skill}`,
+                daysNeeded: trainingDays(character),
+                dailyCostCp: TRAIN_COST_CP_PER_DAY,
+            },
+        };
+    }
+    return { error: 'Unknown downtime activity.' };
+}
+
+/**
+ * Work a project for up to `days`, never past its end nor past the days the
+ * purse can pay for. Returns the advanced project, the days actually worked,
+ * what they cost and earned, and whether the project is finished.
+ */
+export function workDowntimeDays(project, days, purseCp = 0) {
+    const requested = clampInt(days, 0, DOWNTIME_MAX_STRETCH_DAYS, 0);
+    const remaining = Math.max(0, project.daysNeeded - project.daysDone);
+    const affordable = project.dailyCostCp > 0 ? Math.floor(Math.max(0, purseCp) / project.dailyCostCp) : Infinity;
+    const daysWorked = Math.min(requested, remaining, affordable);
+    const advanced = { ...project, daysDone: project.daysDone + daysWorked };
+    return {
+        project: advanced,
+        daysWorked,
+        costCp: daysWorked * project.dailyCostCp,
+        wageCp: daysWorked * project.dailyWageCp,
+        complete: advanced.daysDone >= advanced.daysNeeded,
+    };
+}
+
+export function describeDowntimeProject(project) {
+    if (!project) return '';
+    return `${project.label} — day ${project.daysDone}/${project.daysNeeded}`;
+}
+
+/** Saves are untrusted input: keep a project only in a shape the engine could have minted. */
+export function sanitizeDowntimeProject(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return null;
+    const activity = DOWNTIME_ACTIVITIES.includes(raw.activity) ? raw.activity : null;
+    if (!activity) return null;
+    if ((activity === 'craft' && !isCraftableItemKey(raw.itemKey))
+        || (activity === 'brew' && raw.itemKey !== BREW_ITEM_KEY)
+        || (activity === 'train' && !normalizeSkillKey(raw.skill))
+        || (activity === 'research' && !cleanText(raw.topic))) return null;
+    const daysNeeded = clampInt(raw.daysNeeded, 1, MAX_PROJECT_DAYS, 1);
+    return {
+        activity,
+        label: cleanText(raw.label, 160) || ACTIVITY_LABELS[activity],
+        ...(raw.itemKey && activity !== 'work' && { itemKey: raw.itemKey }),
+        ...((activity === 'craft' || activity === 'brew') && { quantity: clampInt(raw.quantity, 1, BREW_MAX_BATCH, 1) }),
+        ...(cleanText(raw.topic) && { topic: cleanText(raw.topic) }),
+        ...(activity === 'train' && { skill: normalizeSkillKey(raw.skill) }),
+        daysNeeded,
+        daysDone: clampInt(raw.daysDone, 0, daysNeeded - 1, 0),
+        upfrontCp: clampInt(raw.upfrontCp, 0, 10_000_000, 0),
+        dailyCostCp: activity === 'research' || activity === 'train' ? clampInt(raw.dailyCostCp, 0, TRAIN_COST_CP_PER_DAY, 0) : 0,
+        dailyWageCp: activity === 'work' ? clampInt(raw.dailyWageCp, 0, WORK_WAGE_CP_PER_DAY, 0) : 0,
+    };
+}
@@ -0,0 +1,69 @@
+import { describe, expect, it } from 'vitest';
+import {
+    describeDowntimeProject,
+    isCraftableItemKey,
+    isDowntimeSafe,
+    planDowntimeProject,
+    sanitizeDowntimeProject,
+    trainingDays,
+    workDowntimeDays,
+} from './downtime.js';
+
+const hero = { abilityScores: { intelligence: 14 }, skillProficiencies: ['athletics'] };
+
+describe('downtime tables', () => {
+    it('prices crafting at half value up front and 5 gp of value a day', () => {
+        const { project } = planDowntimeProject('craft', { itemKey: 'longsword' });
+        expect(project).toMatchObject({ label: 'Craft Longsword', daysNeeded: 3, upfrontCp: 750, daysDone: 0 });
+        expect(planDowntimeProject('craft', { itemKey: 'potionHealing' }).error).toMatch(/mundane/);
+        expect(isCraftableItemKey('plateArmor')).toBe(true);
+        expect(isCraftableItemKey('potionHealing')).toBe(false);
+    });
+
+    it('brews healing potions only with a healer\'s kit in the pack', () => {
+        expect(planDowntimeProject('brew', { quantity: 2 }, { inventory: [] }).error).toMatch(/Healer's Kit/);
+        const { project } = planDowntimeProject('brew', { quantity: 9 }, { inventory: [{ itemKey: 'healerKit' }] });
+        expect(project).toMatchObject({ itemKey: 'potionHealing', quantity: 5, daysNeeded: 5, upfrontCp: 12500 });
+    });
+
+    it('schedules work, research and training from the tables', () => {
+        expect(planDowntimeProject('work', { topic: 'scribe' }).project).toMatchObject({ label: 'Work as scribe', daysNeeded: 5, dailyWageCp: 100 });
+        expect(planDowntimeProject('research', {}).error).toMatch(/research/);
+        expect(planDowntimeProject('research', { topic: 'the Drowned Crown' }).project).toMatchObject({ daysNeeded: 5, dailyCostCp: 100 });
+        expect(trainingDays(hero)).toBe(40);
+        expect(trainingDays({ abilityScores: { intelligence: 24 } })).toBe(25);
+        expect(planDowntimeProject('train', { skill: 'Sleight of Hand' }, { character: hero }).project)
+            .toMatchObject({ skill: 'sleightOfHand', daysNeeded: 40, dailyCostCp: 500 });
+        expect(planDowntimeProject('train', { skill: 'athletics' }, { character: hero }).error).toMatch(/already/);
+        expect(planDowntimeProject('loaf').error).toMatch(/Unknown/);
+    });
+
+    it('keeps downtime off the road and out of hostile places', () => {
+        expect(isDowntimeSafe(null)).toBe(true);
+        expect(isDowntimeSafe({ type: 'settlement' })).toBe(true);
+        expect(isDowntimeSafe({ type: 'frontier' })).toBe(false);
+        expect(isDowntimeSafe({ type: 'hostile_site' })).toBe(false);
+    });
+});
+
+describe('working downtime days', () => {
+    it('stops at the project end and at what the purse can pay for', () => {
+        const research = planDowntimeProject('research', { topic: 'old roads' }).project;
+        expect(workDowntimeDays(research, 7, 10_000)).toMatchObject({ daysWorked: 5, costCp: 500, complete: true });
+        const short = workDowntimeDays(research, 7, 250);
+        expect(short).toMatchObject({ daysWorked: 2, costCp: 200, complete: false });
+        expect(describeDowntimeProject(short.project)).toBe('Research old roads — day 2/5');
+        const work = planDowntimeProject('work').project;
+        expect(workDowntimeDays(work, 3, 0)).toMatchObject({ daysWorked: 3, wageCp: 300, complete: false });
+    });
+});
+
+describe('sanitizeDowntimeProject', () => {
+    it('keeps only projects the engine could have minted', () => {
+        expect(sanitizeDowntimeProject({ activity: 'craft', itemKey: 'longsword', label: 'Craft Longsword', daysNeeded: 3, daysDone: 9, upfrontCp: 750, dailyWageCp: 999 }))
+            .toEqual({ activity: 'craft', label: 'Craft Longsword', itemKey: 'longsword', quantity: 1, daysNeeded: 3, daysDone: 2, upfrontCp: 750, dailyCostCp: 0, dailyWageCp: 0 });
+        expect(sanitizeDowntimeProject({ activity: 'craft', itemKey: 'vorpalSword' })).toBeNull();
+        expect(sanitizeDowntimeProject({ activity: 'train', skill: 'juggling' })).toBeNull();
+        expect(sanitizeDowntimeProject('junk')).toBeNull();
+    });
+});
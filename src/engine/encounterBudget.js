@@ -0,0 +1,124 @@
+/**
+ * Encounter budget — 5e XP thresholds grading every combat_start.
+ *
+ * The Dungeon Master's Guide method: each enemy is worth XP (its challenge
+ * rating for a catalog monster, the END_COMBAT estimate otherwise), the sum is
+ * multiplied for crowd size, and the result is compared to the party's
+ * easy / medium / hard / deadly thresholds — per-character thresholds for the
+ * hero's level, times the party size (the hero plus every companion who can
+ * fight). Small parties use the next-larger crowd multiplier, large parties the
+ * next-smaller one, exactly as the book does.
+ *
+ * The campaign's pace dial sets a ceiling: slow-burn fights stay below Hard,
+ * standard below Deadly, and breakneck allows Deadly up to half again past the
+ * line. START_COMBAT fits an over-budget group by holding back its weakest
+ * extra foes until it fits or one foe is left.
+ */
+import { estimateEnemyExperience } from './progression.js';
+import { normalizePaceDial } from './worldTempo.js';
+
+export const ENCOUNTER_GRADES = ['trivial', 'easy', 'medium', 'hard', 'deadly'];
+
+// Per-character XP thresholds by level: [easy, medium, hard, deadly].
+const LEVEL_THRESHOLDS = [
+    [25, 50, 75, 100], [50, 100, 150, 200], [75, 150, 225, 400], [125, 250, 375, 500],
+    [250, 500, 750, 1100], [300, 600, 900, 1400], [350, 750, 1100, 1700], [450, 900, 1400, 2100],
+    [550, 1100, 1600, 2400], [600, 1200, 1900, 2800], [800, 1600, 2400, 3600], [1000, 2000, 3000, 4500],
+    [1100, 2200, 3400, 5100], [1250, 2500, 3800, 5700], [1400, 2800, 4300, 6400], [1600, 3200, 4800, 7200],
+    [2000, 3900, 5900, 8800], [2100, 4200, 6300, 9500], [2400, 4900, 7300, 10900], [2800, 5700, 8500, 12700],
+];
+
+// The DMG's ×1–×4 ladder, a step lower for six or more heroes and a step
+// higher — up to ×5 — for one or two.
+const CROWD_MULTIPLIERS = [0.5, 1, 1.5, 2, 2.5, 3, 4, 5];
+
+// The adjusted-XP ceiling each pace dial allows, as a share of a threshold.
+const PACE_CEILINGS = {
+    'slow-burn': { threshold: 'hard', factor: 1 },
+    standard: { threshold: 'deadly', factor: 1 },
+    breakneck: { threshold: 'deadly', factor: 1.5 },
+};
+
+/** The party's summed thresholds: `{ easy, medium, hard, deadly }`. */
+export function partyThresholds(level, partySize = 1) {
+    const row = LEVEL_THRESHOLDS[Math.max(1, Math.min(20, Math.trunc(level) || 1)) - 1];
+    const size = Math.max(1, Math.trunc(partySize) || 1);
+    return { easy: row[0] * size, medium: row[1] * size, hard: row[2] * size, deadly: row[3] * size };
+}
+
+/** The crowd multiplier for `count` foes against a party of `partySize`. */
+export function encounterMultiplier(count, partySize = 1) {
+    if (count <= 0) return 0;
+    let index = count === 1 ? 1 : count === 2 ? 2 : count <= 6 ? 3 : count <= 10 ? 4 : count <= 14 ? 5 : 6;
+    if (partySize < 3) index += 1;
+    else if (partySize >= 6) index -= 1;
+    return CROWD_MULTIPLIERS[Math.max(0, Math.min(CROWD_MULTIPLIERS.length - 1, index))];
+}
+
+/**
+ * Grade a group of enemies: `{ grade, baseXp, adjustedXp, multiplier, thresholds }`.
+ * Below the easy threshold reads as `trivial`.
+ */
+export function gradeEncounter(enemies, { level = 1, partySize = 1 } = {}) {
+    const list = Array.isArray(enemies) ? enemies : [];
+    const baseXp = list.reduce((sum, enemy) => sum + estimateEnemyExperience(enemy), 0);
+    const multiplier = encounterMultiplier(list.length, partySize);
+    const adjustedXp = Math.round(baseXp * multiplier);
+    const thresholds = partyThresholds(level, partySize);
+    const grade = adjustedXp >= thresholds.deadly ? 'deadly'
+        : adjustedXp >= thresholds.hard ? 'hard'
+            : adjustedXp >= thresholds.medium ? 'medium'
+                : adjustedXp >= thresholds.easy ? 'easy'
+                    : 'trivial';
+    return { grade, baseXp, adjustedXp, multiplier, thresholds };
+}
+
+/** The most adjusted XP a fight may carry under the pace dial (exclusive for slow-burn and standard). */
+export function paceBudgetCeiling(thresholds, paceDial) {
+    const ceiling = PACE_CEILINGS[normalizePaceDial(paceDial)];
+    return Math.round(thresholds[ceiling.threshold] * ceiling.factor);
+}
+
+function withinBudget(graded, ceiling, paceDial) {
+    // Breakneck's ceiling is inclusive (a deadly fight is the point); the
+    // others must stay strictly under the next threshold up.
+    return normalizePaceDial(paceDial) === 'breakneck'
+        ? graded.adjustedXp <= ceiling
+        : graded.adjustedXp < ceiling;
+}
+
+/**
+ * Fit `enemies` under the pace dial's ceiling. Returns `{ enemies, heldBack,
+ * original, graded }`: the foes that fight, those held out of the fight
+ * (weakest first, later-listed first among equals), and the grades before and
+ * after. A lone foe is never held back — an over-budget single antagonist is
+ * graded as it stands and the DM sees the grade.
+ */
+export function fitEncounterToBudget(enemies, { level = 1, partySize = 1, paceDial = 'standard' } = {}) {
+    const original = gradeEncounter(enemies, { level, partySize });
+    const ceiling = paceBudgetCeiling(original.thresholds, paceDial);
+    let kept = [...(Array.isArray(enemies) ? enemies : [])];
+    const heldBack = [];
+    let graded = original;
+    while (kept.length > 1 && !withinBudget(graded, ceiling, paceDial)) {
+        let weakest = kept.length - 1;
+        for (let index = kept.length - 2; index >= 0; index--) {
+            if (estimateEnemyExperience(kept[index]) < estimateEnemyExperience(kept[weakest])) weakest = index;
+        }
+        heldBack.push(kept[weakest]);
+        kept = kept.filter((_, index) => index !== weakest);
+        graded = gradeEncounter(kept, { level, partySize });
+    }
+    return { enemies: kept, heldBack, original, graded };
+}
+
+/** "Hard for a party of 2 at level 3 (adjusted 675 XP; medium 300 / hard 450 / deadly 800)". */
+export function describeEncounterGrade(encounter) {
+    if (!encounter?.grade) return '';
+    const { grade, adjustedXp, thresholds, partySize, level } = encounter;
+    const name = grade.charAt(0).toUpperCase() + grade.slice(1);
+    const bands = thresholds
+        ? `; medium ${thresholds.medium} / hard ${thresholds.hard} / deadly ${thresholds.deadly}`
+        : '';
+    return `${name} for a party of ${partySize} at level ${level} (adjusted ${adjustedXp} XP${bands})`;
+}
@@ -0,0 +1,67 @@
+import { describe, expect, it } from 'vitest';
+import {
+    describeEncounterGrade,
+    encounterMultiplier,
+    fitEncounterToBudget,
+    gradeEncounter,
+    paceBudgetCeiling,
+    partyThresholds,
+} from './encounterBudget.js';
+
+const goblins = count => Array.from({ length: count }, (_, index) => ({ name: `Goblin ${index + 1}`, monster: 'goblin', hp: 7, ac: 15 }));
+
+describe('encounter thresholds and multipliers', () => {
+    it('sums per-character thresholds across the party', () => {
+        expect(partyThresholds(1, 1)).toEqual({ easy: 25, medium: 50, hard: 75, deadly: 100 });
+        expect(partyThresholds(5, 3)).toEqual({ easy: 750, medium: 1500, hard: 2250, deadly: 3300 });
+        expect(partyThresholds(99, 1).deadly).toBe(12700);
+    });
+
+    it('shifts the crowd multiplier for small and large parties', () => {
+        expect(encounterMultiplier(1, 4)).toBe(1);
+        expect(encounterMultiplier(4, 4)).toBe(2);
+        expect(encounterMultiplier(4, 1)).toBe(2.5);
+        expect(encounterMultiplier(1, 6)).toBe(0.5);
+        expect(encounterMultiplier(14, 1)).toBe(4);
+        expect(encounterMultiplier(15, 1)).toBe(5);
+        expect(encounterMultiplier(15, 4)).toBe(4);
+    });
+});
+
+describe('gradeEncounter', () => {
+    it('grades catalog monsters by CR XP and hand-authored foes by the XP estimate', () => {
+        // One goblin (50 XP) × 1.5 for a solo hero → 75: exactly Hard at level 1.
+        expect(gradeEncounter(goblins(1), { level: 1, partySize: 1 })).toMatchObject({ grade: 'hard', baseXp: 50, adjustedXp: 75 });
+        // Four goblins for a level-3 party of three: 200 × 2 = 400 → Easy (Medium starts at 450).
+        expect(gradeEncounter(goblins(4), { level: 3, partySize: 3 }).grade).toBe('easy');
+        // A 20 HP / AC 14 brute is worth 82 XP by the fallback estimate.
+        expect(gradeEncounter([{ name: 'Brute', hp: 20, ac: 14 }], { level: 4, partySize: 2 })).toMatchObject({ grade: 'trivial', adjustedXp: 123 });
+    });
+});
+
+describe('fitEncounterToBudget', () => {
+    it('holds back the weakest extra foes until the group fits the pace ceiling', () => {
+        const ogre = { name: 'Ogre', monster: 'ogre', hp: 59, ac: 11 };
+        const fitted = fitEncounterToBudget([ogre, ...goblins(3)], { level: 3, partySize: 2, paceDial: 'standard' });
+        // Declared: (450 + 150) × 2.5 = 1500 vs deadly 800. Without two goblins: 500 × 2 = 1000; alone, 450 × 1.5 = 675.
+        expect(fitted.original.grade).toBe('deadly');
+        expect(fitted.enemies).toEqual([ogre]);
+        expect(fitted.heldBack.map(enemy => enemy.name)).toEqual(['Goblin 3', 'Goblin 2', 'Goblin 1']);
+        expect(fitted.graded).toMatchObject({ grade: 'hard', adjustedXp: 675 });
+    });
+
+    it('lets the pace dial move the ceiling and never holds back a lone foe', () => {
+        const pack = goblins(4); // 200 × 2.5 = 500 vs a level-2 solo hero: deadly 200
+        expect(fitEncounterToBudget(pack, { level: 2, partySize: 1, paceDial: 'slow-burn' }).enemies).toHaveLength(1);
+        expect(fitEncounterToBudget(pack, { level: 2, partySize: 1, paceDial: 'breakneck' }).enemies).toHaveLength(2);
+        const lone = fitEncounterToBudget([{ name: 'Troll', monster: 'troll', hp: 84, ac: 15 }], { level: 1, partySize: 1 });
+        expect(lone.enemies).toHaveLength(1);
+        expect(lone.graded.grade).toBe('deadly');
+        expect(paceBudgetCeiling(partyThresholds(2, 1), 'breakneck')).toBe(300);
+    });
+
+    it('describes the grade for the combat prompt', () => {
+        expect(describeEncounterGrade({ grade: 'hard', adjustedXp: 675, thresholds: partyThresholds(3, 2), partySize: 2, level: 3 }))
+            .toBe('Hard for a party of 2 at level 3 (adjusted 675 XP; medium 300 / hard 450 / deadly 800)');
+    });
+});
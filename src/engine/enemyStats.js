@@ -10,6 +10,10 @@
  * Used at every enemy-stat entry point: combat_start (parser), START_COMBAT, LOAD_GAME,
  * UPDATE_ENEMY, and immediately before rolling (defense-in-depth).
  */
+import { sanitizeActiveEffects } from './activeEffects.js';
+import { findMonster } from '../data/monsters.js';
+import { normalizeEnemyAttackRange, normalizeRangeBand } from './rangeBands.js';
+import { normalizeDamageDefenses, normalizeDamageType } from './damageDefenses.js';
 
 const ATTACK_BONUS_MIN = -5;
 const ATTACK_BONUS_MAX = 15;
@@ -30,6 +34,11 @@ const SUPPORTED_ENEMY_CONDITIONS = new Set([
     'invisible', 'stunned', 'paralyzed', 'unconscious',
 ]);
 
+/** A lowercase 5e damage type for an enemy's attack, or undefined when absent/unknown. */
+export function normalizeEnemyDamageType(value) {
+    return normalizeDamageType(value);
+}
+
 /** Bounded, normalized conditions that the combat engine knows how to resolve. */
 export function normalizeEnemyConditions(value) {
     if (!Array.isArray(value)) return [];
@@ -105,8 +114,12 @@ export function normalizeEnemyAttackProfile(enemy) {
     const out = {};
     const ab = validateEnemyAttackBonus(enemy?.attackBonus);
     const dmg = sanitizeEnemyDamage(enemy?.damage);
+    const damageType = normalizeEnemyDamageType(enemy?.damageType);
+    const attackRange = normalizeEnemyAttackRange(enemy?.attackRange);
     if (ab !== undefined) out.attackBonus = ab;
     if (dmg !== undefined) out.damage = dmg;
+    if (damageType !== undefined) out.damageType = damageType;
+    if (attackRange !== undefined) out.attackRange = attackRange;
     return out;
 }
 
@@ -140,8 +153,20 @@ export function sanitizeLoadedEnemy(enemy) {
     const ab = validateEnemyAttackBonus(enemy.attackBonus);
     const dmg = sanitizeEnemyDamage(enemy.damage);
     const sb = validateEnemySaveBonus(enemy.saveBonus);
+    const damageType = normalizeEnemyDamageType(enemy.damageType);
+    const attackRange = normalizeEnemyAttackRange(enemy.attackRange);
+    const range = normalizeRangeBand(enemy.range);
     if (ab !== undefined) cleaned.attackBonus = ab;
     if (dmg !== undefined) cleaned.damage = dmg;
     if (sb !== undefined) cleaned.saveBonus = sb;
+    if (damageType !== undefined) cleaned.damageType = damageType;
+    if (attackRange !== undefined) cleaned.attackRange = attackRange;
+    if (range !== undefined) cleaned.range = range;
+    const monster = findMonster(enemy.monster);
+    if (monster) cleaned.monster = monster.key;
+    // A stat-block foe's defenses are the catalog's, whatever the save says.
+    Object.assign(cleaned, normalizeDamageDefenses(monster || enemy));
+    const activeEffects = sanitizeActiveEffects(enemy.activeEffects);
+    if (activeEffects.length > 0) cleaned.activeEffects = activeEffects;
     return cleaned;
 }
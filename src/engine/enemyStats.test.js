@@ -67,6 +67,15 @@ describe('validateEnemySaveBonus (offensive: reject, never clamp — 2026-07-27
         const rejected = sanitizeLoadedEnemy({ id: 'e2', name: 'Wight', hp: 10, maxHp: 10, saveBonus: 99 });
         expect(rejected).not.toHaveProperty('saveBonus');
     });
+
+    it('keeps validated damage defenses, and a stat-block foe keeps the catalog\'s', () => {
+        const custom = sanitizeLoadedEnemy({ id: 'e3', name: 'Ember Wisp', hp: 12, resistances: ['Fire', 'holy'], immunities: 'poison', vulnerabilities: [] });
+        expect(custom).toMatchObject({ resistances: ['fire'], immunities: ['poison'] });
+        expect(custom).not.toHaveProperty('vulnerabilities');
+        const ghoul = sanitizeLoadedEnemy({ id: 'e4', name: 'Ghoul', hp: 22, monster: 'ghoul', immunities: ['slashing'] });
+        expect(ghoul).toMatchObject({ immunities: ['poison'] });
+        expect(ghoul.immunities).not.toContain('slashing');
+    });
 });
 
 describe('sanitizeEnemyDamage (offensive: reject, never clamp)', () => {
@@ -189,6 +198,19 @@ describe('sanitizeLoadedEnemy', () => {
         expect(cleaned.defending).toBe(true);
     });
 
+    it('keeps a valid range band and attack style, dropping junk', () => {
+        const kept = sanitizeLoadedEnemy({ name: 'Archer', hp: 9, maxHp: 9, range: 'far', attackRange: 'ranged' });
+        expect(kept).toMatchObject({ range: 'far', attackRange: 'ranged' });
+        const junk = sanitizeLoadedEnemy({ name: 'Archer', hp: 9, maxHp: 9, range: 'orbit', attackRange: 'psychic' });
+        expect(junk.range).toBeUndefined();
+        expect(junk.attackRange).toBeUndefined();
+    });
+
+    it('keeps a catalog monster key and drops an unknown one', () => {
+        expect(sanitizeLoadedEnemy({ name: 'Ghoul 1', hp: 22, maxHp: 22, monster: 'ghoul' }).monster).toBe('ghoul');
+        expect(sanitizeLoadedEnemy({ name: 'Thing', hp: 9, maxHp: 9, monster: 'tarrasque' }).monster).toBeUndefined();
+    });
+
     it('keeps a loaded 0-HP enemy dead instead of resurrecting it', () => {
         const cleaned = sanitizeLoadedEnemy({ name: 'Rarg', hp: 0, maxHp: 30, ac: 13 });
         expect(cleaned.hp).toBe(0);
@@ -194,6 +194,14 @@ export function normalizeFrontUpdate(update = {}) {
     return normalized;
 }
 
+/** The portent stage a clock value reaches: portents spread evenly across the clock. */
+function deriveStage(front, clock) {
+    const portentCount = Math.max(0, (front.grimPortents || []).length);
+    return portentCount > 0
+        ? Math.min(portentCount, Math.floor((clock / (front.maxClock || DEFAULT_MAX_CLOCK)) * portentCount))
+        : 0;
+}
+
 function normalizeAdvance(advance = {}) {
     if (!advance || typeof advance !== 'object' || Array.isArray(advance)) return null;
     const id = cleanText(advance.id || advance.frontId || advance.front_id).slice(0, 120);
@@ -250,10 +258,6 @@ export function applyFrontAdvanceBatch(fronts = [], batch = {}) {
         }
 
         const clock = clampInt((front.clock || 0) + delta, 0, front.maxClock || DEFAULT_MAX_CLOCK, front.clock || 0);
-        const portentCount = Math.max(0, (front.grimPortents || []).length);
-        const derivedStage = portentCount > 0
-            ? Math.min(portentCount, Math.floor((clock / (front.maxClock || DEFAULT_MAX_CLOCK)) * portentCount))
-            : 0;
         const publicHints = advance.symptom
             ? [...(front.publicHints || []), advance.symptom]
             : front.publicHints;
@@ -261,7 +265,7 @@ export function applyFrontAdvanceBatch(fronts = [], batch = {}) {
         return normalizeFront({
             ...front,
             clock,
-            stage: Math.max(front.stage || 0, derivedStage),
+            stage: Math.max(front.stage || 0, deriveStage(front, clock)),
             publicHints,
             notes: advance.reason || front.notes,
             lastAdvancedAt: Date.now(),
@@ -272,3 +276,29 @@ export function applyFrontAdvanceBatch(fronts = [], batch = {}) {
 
     return { fronts: nextFronts, appliedCount };
 }
+
+/**
+ * Calendar weeks that pass (worldTempo.js advanceWorldTime) are weeks every
+ * active front spends unopposed: each tick adds one clock to each of them, up
+ * to its max. Unlike the cadence batch this is not throttled to one front —
+ * the days really passed — and it leaves the cadence bookkeeping
+ * (lastAdvanceId/Delta) alone.
+ */
+export function advanceFrontsForElapsedWeeks(fronts = [], ticks = 0) {
+    const weeks = Math.max(0, Math.trunc(Number(ticks)) || 0);
+    const advancedIds = [];
+    if (weeks === 0) return { fronts, advancedIds };
+    const nextFronts = fronts.map(front => {
+        const maxClock = front.maxClock || DEFAULT_MAX_CLOCK;
+        if ((front.status || 'active') !== 'active' || (front.clock || 0) >= maxClock) return front;
+        const clock = Math.min(maxClock, (front.clock || 0) + weeks);
+        advancedIds.push(front.id);
+        return normalizeFront({
+            ...front,
+            clock,
+            stage: Math.max(front.stage || 0, deriveStage(front, clock)),
+            lastAdvancedAt: Date.now(),
+        }, front);
+    });
+    return { fronts: nextFronts, advancedIds };
+}
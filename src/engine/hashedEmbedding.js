@@ -0,0 +1,97 @@
+/**
+ * Hashed bag-of-words vectorizer — the no-network embedding fallback for RAG.
+ *
+ * When no embedding API is available (a local DM with no embedding model, or
+ * no key at all), retrieval used to switch off silently. This turns text into
+ * a fixed-width vector with the hashing trick: stop-word-filtered, lightly
+ * stemmed unigrams plus half-weight bigrams, sublinear term frequency
+ * (1 + ln tf), a sign hash to cancel collisions, and L2 normalization so
+ * cosine similarity is a plain dot product. It is lexical, not semantic —
+ * "blacksmith" only matches "blacksmith" — but it is deterministic, free, and
+ * keeps callbacks like names, places, and items retrievable.
+ */
+
+export const HASHED_EMBED_DIMENSIONS = 512;
+
+/**
+ * Bump the version when tokenization, weighting, or hashing changes: vectors
+ * from a different scheme are not comparable and must be re-embedded.
+ */
+export const HASHED_EMBED_SCHEMA = `hashed-tf:v1:${HASHED_EMBED_DIMENSIONS}`;
+
+const BIGRAM_WEIGHT = 0.5;
+
+// Function words carry no recall signal and would dominate short texts. The
+// scene-context scaffolding retrieval queries are built with ("Location:",
+// "In combat with:") is filtered too.
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'can', 'could', 'did', 'do',
+    'does', 'for', 'from', 'had', 'has', 'have', 'he', 'her', 'here', 'him', 'his', 'how', 'i',
+    'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'no', 'not', 'of', 'on', 'or', 'our',
+    'she', 'so', 'that', 'the', 'their', 'them', 'then', 'there', 'they', 'this', 'to', 'up',
+    'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who', 'will', 'with', 'would',
+    'you', 'your', 'location', 'combat',
+]);
+
+/** Crude suffix folding so "swords"/"sword" and "hunted"/"hunting" share a bucket. */
+function stem(token) {
+    if (token.length > 5 && token.endsWith('ing')) return token.slice(0, -3);
+    if (token.length > 4 && token.endsWith('ed')) return token.slice(0, -2);
+    if (token.length > 4 && token.endsWith('es')) return token.slice(0, -2);
+    if (token.length > 3 && token.endsWith('s') && !token.endsWith('ss')) return token.slice(0, -1);
+    return token;
+}
+
+/** Meaningful terms in reading order (Unicode-aware, like textMatch.tokenSet). */
+function terms(text) {
+    const normalized = String(text || '')
+        .toLowerCase()
+        .replace(/['’]s\b/g, '')
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .trim();
+    if (!normalized) return [];
+    return normalized
+        .split(/\s+/)
+        .filter(token => token.length > 1 && !STOP_WORDS.has(token))
+        .map(stem);
+}
+
+/** 32-bit FNV-1a — cheap, stable across sessions and devices. */
+function fnv1a(value) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+        hash ^= value.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Embed one text. Returns a unit-length number[] of HASHED_EMBED_DIMENSIONS,
+ * or null when the text has no meaningful terms (callers skip it, exactly
+ * like a failed API embed).
+ * @param {string} text
+ * @returns {number[]|null}
+ */
+export function hashedEmbed(text) {
+    const tokens = terms(text);
+    if (tokens.length === 0) return null;
+
+    const counts = new Map();
+    const bump = (feature, weight) => counts.set(feature, (counts.get(feature) || 0) + weight);
+    tokens.forEach((token, i) => {
+        bump(token, 1);
+        if (i > 0) bump(`${tokens[i - 1]} ${token}`, BIGRAM_WEIGHT);
+    });
+
+    const vector = new Array(HASHED_EMBED_DIMENSIONS).fill(0);
+    for (const [feature, tf] of counts) {
+        const hash = fnv1a(feature);
+        const sign = (hash & 0x80000000) ? -1 : 1;
+        // Sublinear only past one occurrence: a lone half-weight bigram keeps its 0.5.
+        vector[hash % HASHED_EMBED_DIMENSIONS] += sign * (tf > 1 ? 1 + Math.log(tf) : tf);
+    }
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+    if (norm === 0) return null;
+    return vector.map(v => v / norm);
+}
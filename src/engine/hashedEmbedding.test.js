@@ -0,0 +1,36 @@
+import { describe, it, expect } from 'vitest';
+import { hashedEmbed, HASHED_EMBED_DIMENSIONS } from './hashedEmbedding.js';
+
+const dot = (a, b) => a.reduce((sum, v, i) => sum + v * b[i], 0);
+
+describe('hashedEmbed', () => {
+    it('returns a unit vector of the fixed width', () => {
+        const vector = hashedEmbed('Mira the blacksmith forged a silver blade.');
+        expect(vector).toHaveLength(HASHED_EMBED_DIMENSIONS);
+        expect(dot(vector, vector)).toBeCloseTo(1, 6);
+    });
+
+    it('is deterministic', () => {
+        expect(hashedEmbed('The Ashen Keep')).toEqual(hashedEmbed('The Ashen Keep'));
+    });
+
+    it('returns null for text with no meaningful terms', () => {
+        expect(hashedEmbed('')).toBeNull();
+        expect(hashedEmbed('   ')).toBeNull();
+        expect(hashedEmbed('the and of')).toBeNull();
+        expect(hashedEmbed(null)).toBeNull();
+    });
+
+    it('scores shared names and places above unrelated text', () => {
+        const memory = hashedEmbed('Mira the blacksmith owes the party a favor in Ashford.');
+        const related = hashedEmbed('Location: Ashford. I visit Mira at her forge.');
+        const unrelated = hashedEmbed('A storm rolls over the northern sea.');
+        expect(dot(memory, related)).toBeGreaterThan(0.15);
+        expect(dot(memory, related)).toBeGreaterThan(dot(memory, unrelated));
+    });
+
+    it('folds plurals, possessives, and case onto the same terms', () => {
+        expect(hashedEmbed("Goblins' swords")).toEqual(hashedEmbed('goblin sword'));
+        expect(hashedEmbed("Mira's forge")).toEqual(hashedEmbed('mira forge'));
+    });
+});
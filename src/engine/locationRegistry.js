@@ -21,6 +21,7 @@ export const LOCATION_TYPES = ['haven', 'settlement', 'wilderness', 'frontier',
 export const DANGER_LEVELS = ['none', 'low', 'moderate', 'high', 'deadly'];
 export const MAX_LOCATIONS = 60;
 const MAX_ALIASES = 6;
+const MAX_ARRIVED_FROM = 6;
 
 // Only connective filler — direction/age words ("north", "old") stay meaningful:
 // North Gate and South Gate are different places.
@@ -151,6 +152,12 @@ export function normalizeLocationRecord(record = {}, existing = null) {
             || normalizeLocationType(record.type) === 'settlement',
         danger: normalizeDangerLevel(record.danger) || existing?.danger || null,
         theaterFrontIds: [...new Set([...(existing?.theaterFrontIds || []), ...((record.theaterFrontIds || []).map(id => cleanText(id, 60)))].filter(Boolean))].slice(0, 6),
+        // Records the hero has arrived here FROM (SET_LOCATION stamps them):
+        // the only evidence of which places connect, so engine/travel.js
+        // builds its region graph from these. Most recent routes kept.
+        arrivedFromIds: [...new Set([...(existing?.arrivedFromIds || []), ...((record.arrivedFromIds || []).map(id => cleanText(id, 60)))].filter(Boolean))]
+            .filter(id => id !== (existing?.id || record.id))
+            .slice(-MAX_ARRIVED_FROM),
         firstSeenAt: existing?.firstSeenAt || record.firstSeenAt || Date.now(),
         lastVisitedAt: record.lastVisitedAt || Date.now(),
         // Message-index visit stamp (living-world system, DECISIONS.md 2026-08-05):
@@ -160,6 +167,17 @@ export function normalizeLocationRecord(record = {}, existing = null) {
         lastVisitedMessage: Number.isFinite(record.lastVisitedMessage)
             ? record.lastVisitedMessage
             : (Number.isFinite(existing?.lastVisitedMessage) ? existing.lastVisitedMessage : null),
+        // Arrivals counted by SET_LOCATION (the world map's visit count);
+        // legacy records start from zero.
+        visitCount: Math.max(
+            Number.isFinite(record.visitCount) ? Math.trunc(record.visitCount) : 0,
+            Number.isFinite(existing?.visitCount) ? existing.visitCount : 0,
+        ),
+        // Its calendar twin (engine/calendar.js elapsedMinutes), same rules:
+        // absence is also measured in days, not only in messages.
+        lastVisitedMinute: Number.isFinite(record.lastVisitedMinute)
+            ? record.lastVisitedMinute
+            : (Number.isFinite(existing?.lastVisitedMinute) ? existing.lastVisitedMinute : null),
         // The broader named land this place belongs to (Scribe-classified,
         // DECISIONS.md 2026-08-05 ×2) — drives regional front seeding. The
         // FIRST fiction-established value wins: a place's region is canon, and
@@ -528,8 +546,9 @@ export function getCurrentLocationRecord(locations = [], currentLocation) {
 /**
  * Save-load heal: fold records that ended up with the same canonical name
  * (pre-fix saves could grow a shadowed duplicate — see findLocationRecord).
- * Keeps the earliest record's id/firstSeenAt, merges aliases and theaters,
- * prefers known type/danger over null, and keeps the latest lastVisitedAt.
+ * Keeps the earliest record's id/firstSeenAt, merges aliases, theaters and
+ * roads, sums visit counts, prefers known type/danger over null, and keeps the
+ * latest lastVisitedAt.
  * Then strips any alias that exactly equals ANOTHER record's canonical name —
  * pre-fix alias chaining could leave "Harrowmere" as an alias of the tavern,
  * shadowing the real town record on every exact lookup.
@@ -540,6 +559,8 @@ export function dedupeLocationRecords(locations = []) {
         type: kept.type || record.type,
         danger: kept.danger || record.danger,
         theaterFrontIds: record.theaterFrontIds,
+        arrivedFromIds: record.arrivedFromIds,
+        visitCount: (kept.visitCount || 0) + (record.visitCount || 0),
         lastVisitedAt: Math.max(kept.lastVisitedAt || 0, record.lastVisitedAt || 0),
     }, kept);
 
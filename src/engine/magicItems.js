@@ -0,0 +1,220 @@
+/**
+ * Magic item properties — structured magic beyond a flat +N bonus.
+ *
+ * An item may carry at most two of these, each bounded by the strongest
+ * common 5e treasure:
+ * - `extraDamage: { dice, damageType }` — a weapon's typed rider on every
+ *   hit (Flame Tongue's 2d6 fire), up to 2d6 or 1d8;
+ * - `resistances: [type]` — one damage type (a Ring of Fire Resistance);
+ * - `skillAdvantage: [skill]` — advantage on one skill's checks (Boots of
+ *   Elvenkind);
+ * - `spells: [{ spell, cost }]` with `charges: { used, max, recharge }` — up
+ *   to two catalog spells of level 1–3 at a charge per spell level or more,
+ *   seven charges at most, regained at dawn or after a long rest.
+ * Every property makes the item require attunement, and the hero attunes to
+ * at most three items, so no amount of DM-authored loot stacks past that.
+ * A property works only while its item is attuned (isMagicItemActive in
+ * rules.js); a weapon's, armor's or shield's also needs it equipped.
+ *
+ * A long rest refills both recharge kinds, whatever hour it ends; 'dawn'
+ * charges also refill whenever the world clock passes dawn (calendar.js
+ * DAWN_HOUR) — a short rest, PASS_TIME, a journey or downtime.
+ */
+import { findSpell } from '../data/spells.js';
+import { normalizeDamageType, normalizeDamageTypeList } from './damageDefenses.js';
+import { isMagicItemActive, SKILL_ABILITIES } from './rules.js';
+
+export const MAX_ATTUNED_ITEMS = 3;
+export const CHARGE_RECHARGES = ['dawn', 'longRest'];
+
+// Priority order when an item claims more than MAX_PROPERTIES_PER_ITEM.
+export const MAGIC_PROPERTY_KEYS = ['extraDamage', 'resistances', 'skillAdvantage', 'spells'];
+
+const MAX_PROPERTIES_PER_ITEM = 2;
+const MAX_EXTRA_DAMAGE_DICE = 2;
+const EXTRA_DAMAGE_SIDES = [4, 6, 8];
+const MAX_EXTRA_DAMAGE_FACES = 12;
+const MAX_CHARGES = 7;
+const MAX_ITEM_SPELLS = 2;
+const MAX_ITEM_SPELL_LEVEL = 3;
+
+const SKILL_BY_TOKEN = new Map(Object.keys(SKILL_ABILITIES).map(skill => [skill.toLowerCase(), skill]));
+
+/** A skill reference ("Sleight of Hand", "stealth") as its SKILL_ABILITIES key, or null. */
+export function normalizeSkillKey(value) {
+    return SKILL_BY_TOKEN.get(String(value || '').toLowerCase().replace(/[^a-z]/g, '')) || null;
+}
+
+function sanitizeExtraDamage(raw) {
+    const match = String(raw?.dice || '').trim().toLowerCase().match(/^(\d)d(\d+)$/);
+    const damageType = normalizeDamageType(raw?.damageType ?? raw?.damage_type);
+    if (!match || !damageType) return null;
+    const count = Number(match[1]);
+    const sides = Number(match[2]);
+    if (count < 1 || count > MAX_EXTRA_DAMAGE_DICE || !EXTRA_DAMAGE_SIDES.includes(sides) || count * sides > MAX_EXTRA_DAMAGE_FACES) return null;
+    return { dice: `${count}d${sides}`, damageType };
+}
+
+function sanitizeItemSpells(raw) {
+    const seen = new Set();
+    const spells = [];
+    for (const entry of Array.isArray(raw) ? raw : []) {
+        const spell = findSpell(typeof entry === 'string' ? entry : entry?.spell);
+        // Riders that follow the caster (a mark, a lingering weapon) need the
+        // caster's own magic behind them.
+        if (!spell || spell.level < 1 || spell.level > MAX_ITEM_SPELL_LEVEL || spell.mark || spell.lingering) continue;
+        if (seen.has(spell.key)) continue;
+        seen.add(spell.key);
+        const asked = Math.trunc(Number(entry?.cost));
+        spells.push({ spell: spell.key, cost: Math.min(MAX_CHARGES, Math.max(spell.level, Number.isFinite(asked) ? asked : 0)) });
+    }
+    return spells.slice(0, MAX_ITEM_SPELLS);
+}
+
+function sanitizeCharges(raw, spells) {
+    const max = Math.trunc(Number(raw?.max));
+    const cheapest = Math.min(...spells.map(entry => entry.cost));
+    if (!Number.isFinite(max) || max < cheapest) return null;
+    const bounded = Math.min(MAX_CHARGES, max);
+    const used = Math.trunc(Number(raw?.used));
+    return {
+        used: Number.isFinite(used) ? Math.max(0, Math.min(bounded, used)) : 0,
+        max: bounded,
+        recharge: CHARGE_RECHARGES.includes(raw?.recharge) ? raw.recharge : 'dawn',
+    };
+}
+
+/**
+ * The validated magic properties of an item source (DM loot, a save, an
+ * import): only the shapes and bounds above survive, at most two of them,
+ * and spells only with charges to pay for them. Returns {} for a mundane item.
+ */
+export function sanitizeMagicProperties(source, itemType) {
+    const candidates = {};
+    if (itemType === 'weapon' && source?.extraDamage) {
+        const extraDamage = sanitizeExtraDamage(source.extraDamage);
+        if (extraDamage) candidates.extraDamage = extraDamage;
+    }
+    const resistances = normalizeDamageTypeList(source?.resistances ?? source?.resistance).slice(0, 1);
+    if (resistances.length > 0) candidates.resistances = resistances;
+    const rawSkills = Array.isArray(source?.skillAdvantage) ? source.skillAdvantage : [source?.skillAdvantage];
+    const skill = rawSkills.map(normalizeSkillKey).find(Boolean);
+    if (skill) candidates.skillAdvantage = [skill];
+    const spells = sanitizeItemSpells(source?.spells);
+    const charges = spells.length > 0 ? sanitizeCharges(source?.charges, spells) : null;
+    if (charges) candidates.spells = spells.filter(entry => entry.cost <= charges.max);
+
+    const properties = {};
+    for (const key of MAGIC_PROPERTY_KEYS.filter(name => candidates[name]).slice(0, MAX_PROPERTIES_PER_ITEM)) {
+        properties[key] = candidates[key];
+    }
+    if (properties.spells) properties.charges = charges;
+    return properties;
+}
+
+/** True when an item carries any structured magic property (and so needs attunement). */
+export function hasMagicProperties(item) {
+    return MAGIC_PROPERTY_KEYS.some(key => item?.[key]);
+}
+
+/** The items the hero is attuned to. */
+export function attunedItems(inventory = []) {
+    return (Array.isArray(inventory) ? inventory : []).filter(item => item?.requiresAttunement && item.attuned);
+}
+
+/**
+ * Clear stray attunement flags: only items that require attunement keep one,
+ * and only the first MAX_ATTUNED_ITEMS of those.
+ */
+export function enforceAttunementLimit(inventory = []) {
+    let attuned = 0;
+    return inventory.map(item => {
+        if (!item?.attuned) return item;
+        if (item.requiresAttunement && attuned < MAX_ATTUNED_ITEMS) {
+            attuned += 1;
+            return item;
+        }
+        return { ...item, attuned: false };
+    });
+}
+
+/** Spell save DC and attack bonus for an item-cast spell — the DMG spell scroll table. */
+export function itemSpellCastStats(level) {
+    return level >= 3 ? { saveDc: 15, attackBonus: 7 } : { saveDc: 13, attackBonus: 5 };
+}
+
+function chargesLeft(item) {
+    return item.charges ? item.charges.max - item.charges.used : 0;
+}
+
+/**
+ * Spells the hero's active magic items can cast: `{ spell, grant }` pairs,
+ * where `grant` is `{ itemId, itemName, cost, remaining }`.
+ */
+export function getItemSpells(inventory = []) {
+    return (Array.isArray(inventory) ? inventory : [])
+        .filter(item => item?.spells?.length && item.charges && isMagicItemActive(item))
+        .flatMap(item => item.spells.map(entry => ({
+            spell: findSpell(entry.spell),
+            grant: { itemId: item.id, itemName: item.name, cost: entry.cost, remaining: chargesLeft(item) },
+        })))
+        .filter(entry => entry.spell);
+}
+
+/**
+ * The spell as cast through an item: the same catalog spell carrying the
+ * item's fixed DC and attack bonus, which getSpellSaveDC/getSpellAttackBonus
+ * read in place of the hero's.
+ */
+export function asItemCast(spell, grant) {
+    return { ...spell, itemCast: { itemId: grant.itemId, itemName: grant.itemName, ...itemSpellCastStats(spell.level) } };
+}
+
+/** The inventory after `itemId` spends `cost` charges. */
+export function spendItemCharges(inventory, itemId, cost) {
+    return inventory.map(item => (item.id === itemId && item.charges
+        ? { ...item, charges: { ...item.charges, used: Math.min(item.charges.max, item.charges.used + cost) } }
+        : item));
+}
+
+/**
+ * Commit an exchange's spent charges (`{ [itemId]: used }`, the itemCharges
+ * payload) to the inventory, bounded by each item's own maximum.
+ */
+export function applyItemCharges(inventory, usedById) {
+    return inventory.map(item => {
+        const used = Math.trunc(Number(usedById?.[item.id]));
+        if (!item.charges || !Number.isFinite(used)) return item;
+        return { ...item, charges: { ...item.charges, used: Math.max(0, Math.min(item.charges.max, used)) } };
+    });
+}
+
+/**
+ * Refill spent charges of the given recharge kinds — both on a long rest,
+ * `['dawn']` when the clock passes dawn: `{ inventory, recharged }` names.
+ */
+export function rechargeItems(inventory = [], kinds = CHARGE_RECHARGES) {
+    const recharged = [];
+    const next = inventory.map(item => {
+        if (!item?.charges?.used || !kinds.includes(item.charges.recharge ?? 'dawn')) return item;
+        recharged.push(item.name);
+        return { ...item, charges: { ...item.charges, used: 0 } };
+    });
+    return { inventory: recharged.length > 0 ? next : inventory, recharged };
+}
+
+/**
+ * Short property labels for the inventory panel and the DM prompt:
+ * ["+2d6 fire", "advantage on Stealth", "Fireball (3 charges)", "5/7 charges, dawn"].
+ */
+export function describeMagicProperties(item) {
+    const labels = [];
+    if (item?.extraDamage) labels.push(`+${item.extraDamage.dice} ${item.extraDamage.damageType}`);
+    if (item?.resistances?.length) labels.push(`resists ${item.resistances.join(', ')}`);
+    if (item?.skillAdvantage?.length) labels.push(`advantage on ${item.skillAdvantage.join(', ')}`);
+    for (const entry of item?.spells || []) {
+        labels.push(`${findSpell(entry.spell)?.name || entry.spell} (${entry.cost} charge${entry.cost === 1 ? '' : 's'})`);
+    }
+    if (item?.charges) labels.push(`${chargesLeft(item)}/${item.charges.max} charges, ${item.charges.recharge === 'dawn' ? 'dawn' : 'long rest'}`);
+    return labels;
+}
@@ -0,0 +1,105 @@
+import { describe, expect, it } from 'vitest';
+import {
+    applyItemCharges,
+    asItemCast,
+    describeMagicProperties,
+    enforceAttunementLimit,
+    getItemSpells,
+    normalizeSkillKey,
+    rechargeItems,
+    sanitizeMagicProperties,
+    spendItemCharges,
+} from './magicItems.js';
+import { chooseSpellPayment, getSpellSaveDC, resolveSpellForCharacter } from './spellcasting.js';
+
+const wand = (overrides = {}) => ({
+    id: 'wand-1', name: 'Wand of Magic Missiles', type: 'gear', requiresAttunement: true, attuned: true,
+    spells: [{ spell: 'magicMissile', cost: 1 }], charges: { used: 0, max: 7, recharge: 'dawn' },
+    ...overrides,
+});
+
+describe('magic property validation', () => {
+    it('bounds extra damage to a small typed rider on weapons', () => {
+        expect(sanitizeMagicProperties({ extraDamage: { dice: '2D6', damageType: 'Fire' } }, 'weapon'))
+            .toEqual({ extraDamage: { dice: '2d6', damageType: 'fire' } });
+        expect(sanitizeMagicProperties({ extraDamage: { dice: '3d6', damageType: 'fire' } }, 'weapon')).toEqual({});
+        expect(sanitizeMagicProperties({ extraDamage: { dice: '1d12', damageType: 'fire' } }, 'weapon')).toEqual({});
+        expect(sanitizeMagicProperties({ extraDamage: { dice: '1d6', damageType: 'holy' } }, 'weapon')).toEqual({});
+        expect(sanitizeMagicProperties({ extraDamage: { dice: '1d6', damageType: 'fire' } }, 'armor')).toEqual({});
+    });
+
+    it('keeps one resistance and one canonical skill', () => {
+        expect(sanitizeMagicProperties({ resistances: ['cold', 'fire'], skillAdvantage: ['Sleight of Hand', 'stealth'] }, 'gear'))
+            .toEqual({ resistances: ['cold'], skillAdvantage: ['sleightOfHand'] });
+        expect(normalizeSkillKey('animal handling')).toBe('animalHandling');
+        expect(normalizeSkillKey('lockpicking')).toBeNull();
+    });
+
+    it('allows two catalog spells of level 1–3 only with charges to pay for them', () => {
+        const props = sanitizeMagicProperties({
+            spells: [{ spell: 'Fireball', cost: 1 }, { spell: 'wish' }, 'huntersMark', { spell: 'magicMissile' }, { spell: 'cureWounds' }],
+            charges: { max: 12, used: -3, recharge: 'whenever' },
+        }, 'gear');
+        // Fireball costs at least its level; Hunter's Mark follows the caster and is refused.
+        expect(props.spells).toEqual([{ spell: 'fireball', cost: 3 }, { spell: 'magicMissile', cost: 1 }]);
+        expect(props.charges).toEqual({ used: 0, max: 7, recharge: 'dawn' });
+        expect(sanitizeMagicProperties({ spells: ['magicMissile'] }, 'gear')).toEqual({});
+        expect(sanitizeMagicProperties({ charges: { max: 3 } }, 'gear')).toEqual({});
+    });
+
+    it('keeps the first two properties in priority order', () => {
+        const props = sanitizeMagicProperties({
+            extraDamage: { dice: '1d6', damageType: 'cold' },
+            resistances: ['fire'],
+            skillAdvantage: ['athletics'],
+        }, 'weapon');
+        expect(Object.keys(props)).toEqual(['extraDamage', 'resistances']);
+    });
+});
+
+describe('attunement', () => {
+    it('clears stray flags past the limit and on items that need none', () => {
+        const items = ['a', 'b', 'c', 'd'].map(id => ({ id, name: id, requiresAttunement: true, attuned: true }));
+        const cleaned = enforceAttunementLimit([{ id: 'x', name: 'Rope', attuned: true }, ...items]);
+        expect(cleaned.map(item => !!item.attuned)).toEqual([false, true, true, true, false]);
+    });
+});
+
+describe('item spells and charges', () => {
+    const fighter = { class: 'fighter', level: 3, abilityScores: { intelligence: 8 } };
+
+    it('casts only from an attuned item with charges left', () => {
+        expect(getItemSpells([wand()])[0].grant).toEqual({ itemId: 'wand-1', itemName: 'Wand of Magic Missiles', cost: 1, remaining: 7 });
+        expect(getItemSpells([wand({ attuned: false })])).toEqual([]);
+        expect(resolveSpellForCharacter(fighter, 'magic missile', [wand()])?.key).toBe('magicMissile');
+        expect(resolveSpellForCharacter(fighter, 'magic missile')).toBeNull();
+        const spell = resolveSpellForCharacter(fighter, 'magicMissile', [wand()]);
+        expect(chooseSpellPayment(fighter, null, spell, null, {}, [wand()]).item).toMatchObject({ itemId: 'wand-1', cost: 1 });
+        expect(chooseSpellPayment(fighter, null, spell, null, {}, [wand({ charges: { used: 7, max: 7, recharge: 'dawn' } })])).toBeNull();
+    });
+
+    it('uses the item\'s own save DC', () => {
+        const fireball = resolveSpellForCharacter(fighter, 'fireball', [wand({ spells: [{ spell: 'fireball', cost: 3 }] })]);
+        expect(getSpellSaveDC(fighter, asItemCast(fireball, { itemId: 'wand-1', itemName: 'Wand' }))).toBe(15);
+    });
+
+    it('spends, commits, and recharges charges', () => {
+        const spent = spendItemCharges([wand()], 'wand-1', 3);
+        expect(spent[0].charges.used).toBe(3);
+        expect(applyItemCharges([wand()], { 'wand-1': 99 })[0].charges.used).toBe(7);
+        const rested = rechargeItems(spent);
+        expect(rested.recharged).toEqual(['Wand of Magic Missiles']);
+        expect(rested.inventory[0].charges.used).toBe(0);
+        const untouched = [wand()];
+        expect(rechargeItems(untouched).inventory).toBe(untouched);
+        const ring = wand({ id: 'ring-1', name: 'Ring of Spells', charges: { used: 2, max: 3, recharge: 'longRest' } });
+        const dawn = rechargeItems([spent[0], ring], ['dawn']);
+        expect(dawn.recharged).toEqual(['Wand of Magic Missiles']);
+        expect(dawn.inventory[1]).toBe(ring);
+    });
+
+    it('describes properties for the panel and the prompt', () => {
+        expect(describeMagicProperties(wand({ charges: { used: 2, max: 7, recharge: 'longRest' } })))
+            .toEqual(['Magic Missile (1 charge)', '5/7 charges, long rest']);
+    });
+});
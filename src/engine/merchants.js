@@ -0,0 +1,344 @@
+/**
+ * Merchants — persistent per-location shops with engine-owned prices.
+ *
+ * A merchant is a record the DM names once (the `merchant` event: a name and
+ * a kind) and the engine owns from then on:
+ * - STOCK is built from the item catalog by kind (a smith sells melee arms,
+ *   an armorer armor and shields…), thinned by place: a frontier post keeps
+ *   nothing past 100 gp, a wilderness camp nothing past 50 gp.
+ * - PRICES are catalog value × the place's regional multiplier (remoteness,
+ *   intrinsic danger, and an active front's theater all raise them) × the
+ *   merchant's haggle adjustment. Sell-back pays half of value, nudged the
+ *   other way by the same haggle.
+ * - HAGGLING is an ordinary out-of-combat check: a Persuasion, Deception or
+ *   Intimidation roll tagged `haggle` goes through the roleplay-check flow,
+ *   and the result moves this merchant's prices once per restock (−20% to
+ *   +10%, a botched haggle insults them).
+ * - RESTOCKING happens after RESTOCK_MESSAGES conversational messages — the
+ *   same clock the living-world absence drift measures time with — and
+ *   refreshes the stock and the haggle alike.
+ *
+ * The DM never sets a catalog good's price; it narrates the numbers the
+ * MERCHANTS block shows it.
+ */
+
+import { ITEM_CATALOG } from '../data/items.js';
+import { findLocationRecord, getCurrentLocationRecord, isSameLocation } from './locationRegistry.js';
+import { distanceSince } from './worldTempo.js';
+import { formatCurrency } from './currency.js';
+
+export const MERCHANT_KINDS = ['general', 'smith', 'armorer', 'bowyer', 'alchemist', 'outfitter'];
+export const MAX_MERCHANTS = 40;
+export const SELL_BACK_FRACTION = 0.5;
+/** Conversational messages (~20 scenes) before a merchant restocks. */
+export const RESTOCK_MESSAGES = 40;
+export const HAGGLE_DC = 12;
+export const HAGGLE_SKILLS = ['persuasion', 'deception', 'intimidation'];
+
+const GP = 100;
+const MAX_STOCK_LINES = 40;
+const MAX_STOCK_QUANTITY = 99;
+const HAGGLE_ADJUSTMENTS = [-0.2, -0.1, 0, 0.1];
+
+const MERCHANT_KIND_ALIASES = {
+    blacksmith: 'smith', weaponsmith: 'smith', forge: 'smith',
+    armourer: 'armorer', fletcher: 'bowyer',
+    apothecary: 'alchemist', herbalist: 'alchemist',
+    trader: 'general', store: 'general', market: 'general', shop: 'general', peddler: 'general',
+    provisioner: 'outfitter', quartermaster: 'outfitter',
+};
+
+const STOCKED_BY_KIND = {
+    general: item => ['gear', 'tool', 'consumable'].includes(item.type) || item.category === 'simpleMelee' || item.category === 'simpleRanged',
+    smith: item => item.category === 'simpleMelee' || item.category === 'martialMelee' || item.type === 'shield',
+    armorer: item => item.type === 'armor' || item.type === 'shield',
+    bowyer: item => item.category === 'simpleRanged' || item.category === 'martialRanged',
+    alchemist: item => item.type === 'consumable' || item.name === "Healer's Kit" || item.name === 'Component Pouch',
+    outfitter: item => item.type === 'gear' || item.type === 'tool' || item.armorType === 'light',
+};
+
+// A place's remoteness caps what a shop there can carry at all.
+const MAX_STOCK_VALUE_BY_TYPE = {
+    frontier: 100 * GP,
+    wilderness: 50 * GP,
+    hostile_site: 50 * GP,
+};
+
+const TYPE_PRICE_MULTIPLIER = {
+    haven: 1,
+    settlement: 1,
+    frontier: 1.25,
+    wilderness: 1.5,
+    hostile_site: 1.5,
+};
+const DANGER_PRICE_SURCHARGE = { none: 0, low: 0, moderate: 0.1, high: 0.25, deadly: 0.5 };
+const FRONT_THEATER_SURCHARGE = 0.1;
+
+function cleanText(value, max = 120) {
+    return String(value || '').replace(/\s+/g, ' ').trim().slice(0, max);
+}
+
+/** A merchant kind ("Blacksmith", "apothecary") as one of MERCHANT_KINDS; unknown kinds are general stores. */
+export function normalizeMerchantKind(value) {
+    const raw = cleanText(value, 30).toLowerCase();
+    if (MERCHANT_KINDS.includes(raw)) return raw;
+    return MERCHANT_KIND_ALIASES[raw] || 'general';
+}
+
+function baseStockQuantity(item) {
+    if (item.valueCp <= 1 * GP) return 10;
+    if (item.valueCp <= 25 * GP) return 3;
+    if (item.valueCp <= 100 * GP) return 2;
+    return 1;
+}
+
+/** A kind's opening stock at a place: `[{ itemKey, quantity }]` from the catalog. */
+export function buildMerchantStock(kind, locationRecord = null) {
+    const stocked = STOCKED_BY_KIND[normalizeMerchantKind(kind)];
+    const maxValue = MAX_STOCK_VALUE_BY_TYPE[locationRecord?.type] ?? Infinity;
+    return Object.entries(ITEM_CATALOG)
+        .filter(([, item]) => stocked(item) && item.valueCp <= maxValue)
+        .map(([itemKey, item]) => ({ itemKey, quantity: baseStockQuantity(item) }));
+}
+
+/**
+ * How much dearer goods are at a place than in a settled town: remote and
+ * dangerous places charge more, and a place an active front is pressing on
+ * charges more again. 1 with no known place.
+ */
+export function regionalPriceMultiplier(locationRecord, fronts = []) {
+    if (!locationRecord) return 1;
+    const base = TYPE_PRICE_MULTIPLIER[locationRecord.type] ?? 1;
+    const danger = DANGER_PRICE_SURCHARGE[locationRecord.danger] ?? 0;
+    const pressured = (locationRecord.theaterFrontIds || []).some(id => (fronts || [])
+        .some(front => front?.id === id && (front.status || 'active') === 'active'));
+    return Math.round((base + danger + (pressured ? FRONT_THEATER_SURCHARGE : 0)) * 100) / 100;
+}
+
+function haggleAdjust(merchant) {
+    return merchant?.haggle?.adjust || 0;
+}
+
+/** What one unit costs the hero: value × regional multiplier × the merchant's haggle. */
+export function merchantBuyPriceCp(valueCp, multiplier = 1, merchant = null) {
+    return Math.max(1, Math.round((valueCp || 0) * multiplier * (1 + haggleAdjust(merchant))));
+}
+
+/** What one unit fetches when the hero sells it: half of value, moved by the haggle. */
+export function merchantSellPriceCp(valueCp, merchant = null) {
+    return Math.max(0, Math.floor((valueCp || 0) * SELL_BACK_FRACTION * (1 - haggleAdjust(merchant))));
+}
+
+/** Is the merchant's shop where the hero stands? Registry records first, then name containment. */
+export function isMerchantHere(merchant, locations = [], currentLocation = null) {
+    if (!merchant?.location || !currentLocation) return false;
+    const here = findLocationRecord(locations, currentLocation);
+    const there = findLocationRecord(locations, merchant.location);
+    if (here !== -1 && there !== -1) return here === there;
+    return isSameLocation(merchant.location, currentLocation);
+}
+
+/** The merchants at the hero's current location. */
+export function getMerchantsHere(state) {
+    return (state?.merchants || []).filter(merchant => isMerchantHere(merchant, state.locations, state.currentLocation));
+}
+
+/**
+ * Register the shop the DM named at the current location, or return the list
+ * unchanged when it is already known there (the first kind named is canon).
+ */
+export function registerMerchant(merchants = [], entry = {}, { location, locationRecord = null, messageCount = 0 } = {}) {
+    const name = cleanText(entry.name, 60);
+    const place = cleanText(locationRecord?.name || location, 120);
+    if (!name || !place) return merchants;
+    const list = Array.isArray(merchants) ? merchants : [];
+    const known = list.some(merchant => merchant.name.toLowerCase() === name.toLowerCase()
+        && (merchant.location.toLowerCase() === place.toLowerCase() || isSameLocation(merchant.location, place)));
+    if (known) return list;
+    const kind = normalizeMerchantKind(entry.kind);
+    const merchant = {
+        id: `merchant-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+        name,
+        kind,
+        location: place,
+        stock: buildMerchantStock(kind, locationRecord),
+        stockedAt: messageCount,
+        haggle: null,
+    };
+    return [...list, merchant].slice(-MAX_MERCHANTS);
+}
+
+/** The merchant after time has passed: a fresh stock and a forgotten haggle once RESTOCK_MESSAGES have gone by. */
+export function restockMerchant(merchant, { locationRecord = null, messages = null, messageCount = 0 } = {}) {
+    if (!merchant || distanceSince(messages, merchant.stockedAt, messageCount) < RESTOCK_MESSAGES) return merchant;
+    return {
+        ...merchant,
+        stock: buildMerchantStock(merchant.kind, locationRecord),
+        stockedAt: messageCount,
+        haggle: null,
+    };
+}
+
+/** The merchant as the hero finds it now in `state` (restocked if due). */
+export function currentMerchantView(state, merchant) {
+    return restockMerchant(merchant, {
+        locationRecord: getCurrentLocationRecord(state.locations, merchant?.location),
+        messages: state.messages,
+        messageCount: (state.messages || []).length,
+    });
+}
+
+export function stockQuantity(merchant, itemKey) {
+    return merchant?.stock?.find(line => line.itemKey === itemKey)?.quantity || 0;
+}
+
+/** Move `delta` units of `itemKey` in or out of stock (a sold-in catalog good gains a line). */
+export function adjustStock(merchant, itemKey, delta) {
+    const lines = merchant.stock || [];
+    const existing = lines.find(line => line.itemKey === itemKey);
+    if (!existing) {
+        if (delta <= 0 || !ITEM_CATALOG[itemKey] || lines.length >= MAX_STOCK_LINES) return merchant;
+        return { ...merchant, stock: [...lines, { itemKey, quantity: Math.min(MAX_STOCK_QUANTITY, delta) }] };
+    }
+    return {
+        ...merchant,
+        stock: lines.map(line => (line === existing
+            ? { ...line, quantity: Math.max(0, Math.min(MAX_STOCK_QUANTITY, line.quantity + delta)) }
+            : line)),
+    };
+}
+
+function isMundane(item) {
+    return !item.magicBonus && !item.requiresAttunement;
+}
+
+/**
+ * Price a catalog good bought where the hero stands: `{ unitCp, merchant }`,
+ * the merchant being the local one with `quantity` of it in stock (its haggle
+ * applies, and the sale comes off its shelf). Magic goods are no shop's
+ * stock, so only the regional multiplier applies to them.
+ */
+export function quoteCatalogPurchase(state, item, quantity = 1) {
+    const record = getCurrentLocationRecord(state?.locations, state?.currentLocation);
+    const multiplier = regionalPriceMultiplier(record, state?.fronts);
+    const merchant = isMundane(item)
+        ? getMerchantsHere(state).map(entry => currentMerchantView(state, entry))
+            .find(entry => stockQuantity(entry, item.itemKey) >= quantity) || null
+        : null;
+    return { unitCp: merchantBuyPriceCp(item.valueCp, multiplier, merchant), merchant };
+}
+
+/**
+ * Price an inventory item sold where the hero stands: `{ unitCp, merchant }`,
+ * the merchant being the first local one (its haggle applies, and a mundane
+ * catalog good goes onto its shelf).
+ */
+export function quoteSale(state, item) {
+    const local = getMerchantsHere(state)[0];
+    const merchant = local ? currentMerchantView(state, local) : null;
+    return { unitCp: merchantSellPriceCp(item.valueCp, merchant), merchant };
+}
+
+/** The merchant after buying `quantity` of `item` from the hero: mundane catalog goods go back on the shelf. */
+export function shelveSoldItem(merchant, item, quantity) {
+    return item.itemKey && ITEM_CATALOG[item.itemKey] && isMundane(item)
+        ? adjustStock(merchant, item.itemKey, quantity)
+        : merchant;
+}
+
+/**
+ * The merchant a haggle roll is against, as the hero finds it now: the one
+ * named by `merchantId`, else the first merchant where the hero stands.
+ */
+export function findHaggleMerchant(state, merchantId = null) {
+    const local = getMerchantsHere(state);
+    const merchant = merchantId ? local.find(entry => entry.id === merchantId) : local[0];
+    return merchant ? currentMerchantView(state, merchant) : null;
+}
+
+/** Haggle price shift for a resolved roll: a good haggle −10%, a great one −20%, a bad miss +10%. */
+export function haggleAdjustment({ success, critical = false, margin = 0 }) {
+    if (success) return critical || margin >= 5 ? -0.2 : -0.1;
+    return margin <= -5 ? 0.1 : 0;
+}
+
+/** "prices 10% below list", "prices 10% above list", or "list prices". */
+export function describeHaggle(merchant) {
+    const adjust = haggleAdjust(merchant);
+    if (!adjust) return 'list prices';
+    return `prices ${Math.round(Math.abs(adjust) * 100)}% ${adjust < 0 ? 'below' : 'above'} list`;
+}
+
+/** Whether a resolved or requested roll is a haggle the engine prices. */
+export function isHaggleRoll(roll) {
+    return !!roll?.haggle && HAGGLE_SKILLS.includes(String(roll.skill || '').toLowerCase());
+}
+
+/** The engine's haggle check against a merchant, for the roleplay-check flow. */
+export function buildHaggleRoll(merchant) {
+    return {
+        type: 'skill_check',
+        skill: 'persuasion',
+        dc: HAGGLE_DC,
+        description: `Haggle with ${merchant.name}`,
+        reason: 'The merchant sets the price and will only move for a good argument',
+        opposition: `${merchant.name}'s margin`,
+        failureStakes: 'The merchant holds firm — or takes offense and charges more',
+        difficultyReason: 'A meaningful challenge: merchants haggle every day',
+        haggle: true,
+        merchantId: merchant.id,
+    };
+}
+
+const PROMPT_STOCK_LINES = 15;
+
+/**
+ * The MERCHANTS HERE block: each local shop's engine prices and stock, so
+ * the DM narrates the numbers the engine will charge. '' with no shop here.
+ */
+export function buildMerchantsBlock(state) {
+    const local = getMerchantsHere(state).map(merchant => currentMerchantView(state, merchant));
+    if (local.length === 0) return '';
+    const record = getCurrentLocationRecord(state.locations, state.currentLocation);
+    const multiplier = regionalPriceMultiplier(record, state.fronts);
+    const lines = ['## MERCHANTS HERE'];
+    lines.push(`Prices are engine-owned${multiplier !== 1 ? ` (×${multiplier} regional markup here)` : ''}: quote these, never invent others. Sell-back pays half of an item's value.`);
+    for (const merchant of local) {
+        const stocked = merchant.stock.filter(line => line.quantity > 0);
+        const shown = stocked.slice(0, PROMPT_STOCK_LINES).map(line => {
+            const item = ITEM_CATALOG[line.itemKey];
+            return `${item.name} ${formatCurrency(merchantBuyPriceCp(item.valueCp, multiplier, merchant))} ×${line.quantity}`;
+        });
+        const overflow = stocked.length > shown.length ? `, …and ${stocked.length - shown.length} more` : '';
+        lines.push(`- **${merchant.name}** (${merchant.kind}, ${describeHaggle(merchant)}): ${shown.length ? `${shown.join(', ')}${overflow}` : 'sold out until the next restock'}`);
+    }
+    return lines.join('\n');
+}
+
+/** Whitelist a saved merchant list: known kinds, catalog-only stock, bounded numbers. */
+export function sanitizeMerchants(raw) {
+    if (!Array.isArray(raw)) return [];
+    const merchants = [];
+    for (const merchant of raw) {
+        if (!merchant || typeof merchant !== 'object') continue;
+        const id = cleanText(merchant.id, 60);
+        const name = cleanText(merchant.name, 60);
+        const location = cleanText(merchant.location, 120);
+        if (!id || !name || !location) continue;
+        const stock = (Array.isArray(merchant.stock) ? merchant.stock : [])
+            .filter(line => line && ITEM_CATALOG[line.itemKey] && Number.isFinite(line.quantity))
+            .map(line => ({ itemKey: line.itemKey, quantity: Math.max(0, Math.min(MAX_STOCK_QUANTITY, Math.trunc(line.quantity))) }))
+            .slice(0, MAX_STOCK_LINES);
+        const adjust = merchant.haggle?.adjust;
+        merchants.push({
+            id,
+            name,
+            kind: normalizeMerchantKind(merchant.kind),
+            location,
+            stock,
+            stockedAt: Number.isInteger(merchant.stockedAt) ? Math.max(0, merchant.stockedAt) : 0,
+            haggle: merchant.haggle && HAGGLE_ADJUSTMENTS.includes(adjust) ? { adjust } : null,
+        });
+    }
+    return merchants.slice(-MAX_MERCHANTS);
+}
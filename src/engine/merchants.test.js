@@ -0,0 +1,107 @@
+import { describe, expect, it } from 'vitest';
+import {
+    buildMerchantStock,
+    buildMerchantsBlock,
+    getMerchantsHere,
+    haggleAdjustment,
+    merchantBuyPriceCp,
+    merchantSellPriceCp,
+    normalizeMerchantKind,
+    regionalPriceMultiplier,
+    registerMerchant,
+    restockMerchant,
+    RESTOCK_MESSAGES,
+    sanitizeMerchants,
+} from './merchants.js';
+
+const town = { id: 'loc-1', name: 'Harrowmere', type: 'settlement', danger: 'low', theaterFrontIds: [] };
+const outpost = { id: 'loc-2', name: 'Greywatch Post', type: 'frontier', danger: 'high', theaterFrontIds: ['front-1'] };
+const keys = stock => stock.map(line => line.itemKey);
+
+describe('merchant stock', () => {
+    it('stocks each kind from its slice of the catalog', () => {
+        expect(keys(buildMerchantStock('smith'))).toEqual(expect.arrayContaining(['longsword', 'dagger', 'shield']));
+        expect(keys(buildMerchantStock('smith'))).not.toContain('longbow');
+        expect(keys(buildMerchantStock('bowyer'))).toEqual(expect.arrayContaining(['longbow', 'shortbow']));
+        expect(keys(buildMerchantStock('alchemist'))).toEqual(expect.arrayContaining(['potionHealing', 'healerKit']));
+        expect(normalizeMerchantKind('Blacksmith')).toBe('smith');
+        expect(normalizeMerchantKind('tinker')).toBe('general');
+    });
+
+    it('keeps dear goods off a remote shelf and stocks cheap goods deeper', () => {
+        expect(keys(buildMerchantStock('armorer', town))).toContain('plateArmor');
+        expect(keys(buildMerchantStock('armorer', outpost))).not.toContain('plateArmor');
+        const stock = buildMerchantStock('general', town);
+        expect(stock.find(line => line.itemKey === 'torch').quantity).toBe(10);
+        expect(stock.find(line => line.itemKey === 'explorerPack').quantity).toBe(3);
+    });
+});
+
+describe('merchant prices', () => {
+    it('marks prices up with remoteness, danger and an active front', () => {
+        expect(regionalPriceMultiplier(null)).toBe(1);
+        expect(regionalPriceMultiplier(town)).toBe(1);
+        expect(regionalPriceMultiplier(outpost, [{ id: 'front-1', status: 'active' }])).toBe(1.6);
+        expect(regionalPriceMultiplier(outpost, [{ id: 'front-1', status: 'resolved' }])).toBe(1.5);
+    });
+
+    it('moves buy and sell prices by the haggle', () => {
+        const charmed = { haggle: { adjust: -0.1 } };
+        expect(merchantBuyPriceCp(1500, 1)).toBe(1500);
+        expect(merchantBuyPriceCp(1500, 1.25, charmed)).toBe(1688);
+        expect(merchantBuyPriceCp(1, 1, charmed)).toBe(1);
+        expect(merchantSellPriceCp(1500)).toBe(750);
+        expect(merchantSellPriceCp(1500, charmed)).toBe(825);
+    });
+
+    it('grades a haggle by its margin', () => {
+        expect(haggleAdjustment({ success: true, margin: 2 })).toBe(-0.1);
+        expect(haggleAdjustment({ success: true, margin: 6 })).toBe(-0.2);
+        expect(haggleAdjustment({ success: true, critical: true, margin: 0 })).toBe(-0.2);
+        expect(haggleAdjustment({ success: false, margin: -2 })).toBe(0);
+        expect(haggleAdjustment({ success: false, margin: -7 })).toBe(0.1);
+    });
+});
+
+describe('merchant records', () => {
+    it('registers a shop once per place and finds it only there', () => {
+        const merchants = registerMerchant([], { name: "Brann's Forge", kind: 'blacksmith' }, { location: 'Harrowmere', locationRecord: town, messageCount: 4 });
+        expect(merchants).toHaveLength(1);
+        expect(merchants[0]).toMatchObject({ name: "Brann's Forge", kind: 'smith', location: 'Harrowmere', stockedAt: 4, haggle: null });
+        expect(registerMerchant(merchants, { name: "brann's forge", kind: 'general' }, { location: 'Harrowmere' })).toBe(merchants);
+        expect(getMerchantsHere({ merchants, locations: [town], currentLocation: 'Harrowmere' })).toHaveLength(1);
+        expect(getMerchantsHere({ merchants, locations: [town, outpost], currentLocation: 'Greywatch Post' })).toHaveLength(0);
+    });
+
+    it('restocks and forgets the haggle after enough conversation', () => {
+        const merchant = { id: 'm1', name: 'Brann', kind: 'smith', location: 'Harrowmere', stock: [], stockedAt: 0, haggle: { adjust: -0.1 } };
+        expect(restockMerchant(merchant, { messageCount: RESTOCK_MESSAGES - 1 })).toBe(merchant);
+        const restocked = restockMerchant(merchant, { messageCount: RESTOCK_MESSAGES });
+        expect(restocked.haggle).toBeNull();
+        expect(restocked.stock.length).toBeGreaterThan(0);
+        expect(restocked.stockedAt).toBe(RESTOCK_MESSAGES);
+    });
+
+    it('sanitizes saved merchants to catalog stock and known haggles', () => {
+        const [merchant] = sanitizeMerchants([
+            { id: 'm1', name: 'Brann', kind: 'wizard', location: 'Harrowmere', stockedAt: 3,
+                stock: [{ itemKey: 'longsword', quantity: 500 }, { itemKey: 'vorpalSword', quantity: 1 }], haggle: { adjust: -0.9 } },
+            { name: 'No id' },
+        ]);
+        expect(merchant).toEqual({
+            id: 'm1', name: 'Brann', kind: 'general', location: 'Harrowmere', stockedAt: 3,
+            stock: [{ itemKey: 'longsword', quantity: 99 }], haggle: null,
+        });
+        expect(sanitizeMerchants('junk')).toEqual([]);
+    });
+
+    it('shows the DM the engine prices of the shops here', () => {
+        const merchants = [{ id: 'm1', name: 'Brann', kind: 'smith', location: 'Greywatch Post', stockedAt: 0,
+            stock: [{ itemKey: 'longsword', quantity: 2 }, { itemKey: 'dagger', quantity: 0 }], haggle: { adjust: -0.1 } }];
+        const block = buildMerchantsBlock({ merchants, locations: [outpost], currentLocation: 'Greywatch Post', fronts: [], messages: [] });
+        expect(block).toContain('×1.5 regional markup');
+        expect(block).toContain('**Brann** (smith, prices 10% below list): Longsword 20 gp, 2 sp, 5 cp ×2');
+        expect(block).not.toContain('Dagger');
+        expect(buildMerchantsBlock({ merchants, locations: [outpost, town], currentLocation: 'Harrowmere' })).toBe('');
+    });
+});
@@ -0,0 +1,188 @@
+/**
+ * Multiclassing — which classes a hero may take a level in, and the mixed
+ * hit-dice pool that comes with them (DECISIONS.md 2026-10-19).
+ *
+ * Optional per campaign: `session.multiclassing` (pinned on for campaigns
+ * started since, off for older ones until switched on in Settings). With it
+ * on, a level the hero earns is banked as `pendingLevelUps` and the player
+ * picks the class that gains it in the sheet's Level Up section; progression.js
+ * applies it. With it off, levels go straight to the first class as always.
+ *
+ * The data model lives in rules.js (getClassLevels): `character.class` is
+ * the first class, `character.classLevels` the levels in each, and
+ * `character.level` their total. Taking a new class needs the prerequisites
+ * of every class the hero already has AND of the new one (5e PHB), and
+ * grants only that class's `multiclass` proficiencies — never its saves.
+ */
+import { CLASSES } from '../data/classes.js';
+import { ABILITY_NAMES } from './characterUtils.js';
+import { getClassLevels } from './rules.js';
+
+const ABILITY_LABELS = Object.fromEntries(ABILITY_NAMES.map(name => [name, name.charAt(0).toUpperCase() + name.slice(1)]));
+
+/** Does this campaign play with the multiclassing rules? */
+export function isMulticlassingEnabled(state) {
+    return state?.session?.multiclassing === true;
+}
+
+/** Does this score line meet the class's multiclass prerequisites (any one alternative)? */
+export function meetsMulticlassPrerequisites(abilityScores, className) {
+    const alternatives = CLASSES[className]?.multiclass?.prerequisites || [];
+    return alternatives.some(required => Object.entries(required)
+        .every(([ability, minimum]) => (abilityScores?.[ability] || 0) >= minimum));
+}
+
+/** "Strength 13 and Charisma 13" / "Strength 13 or Dexterity 13". */
+export function describeMulticlassPrerequisites(className) {
+    return (CLASSES[className]?.multiclass?.prerequisites || [])
+        .map(required => Object.entries(required).map(([ability, minimum]) => `${ABILITY_LABELS[ability]} ${minimum}`).join(' and '))
+        .join(' or ');
+}
+
+/** "Fighter 3 / Wizard 2" — the sheet's and the prompt's class line. */
+export function describeClassLevels(character) {
+    return Object.entries(getClassLevels(character))
+        .map(([className, level]) => `${CLASSES[className]?.name || className} ${level}`)
+        .join(' / ');
+}
+
+/**
+ * May the hero take their next level in this class? Always, for a class they
+ * already have; for a new one, only when they meet the prerequisites of it
+ * and of every class they hold.
+ * @returns {{ ok: boolean, reason?: string }}
+ */
+export function canTakeClassLevel(character, className) {
+    const classData = CLASSES[className];
+    if (!classData) return { ok: false, reason: `"${className}" is not a class in this game.` };
+    const classLevels = getClassLevels(character);
+    if (classLevels[className]) return { ok: true };
+    const unmet = [...Object.keys(classLevels), className]
+        .filter(name => !meetsMulticlassPrerequisites(character?.abilityScores, name));
+    if (unmet.length === 0) return { ok: true };
+    return {
+        ok: false,
+        reason: `Multiclassing into ${classData.name} needs ${unmet.map(name => `${describeMulticlassPrerequisites(name)} (${CLASSES[name].name})`).join(', ')}.`,
+    };
+}
+
+/** What taking this class as a later class grants: "light armor, shields, simple weapons, 1 skill". */
+export function describeMulticlassProficiencies(className) {
+    const grants = CLASSES[className]?.multiclass;
+    if (!grants) return '';
+    const armor = (grants.armor || []).map(kind => (kind === 'shields' ? 'shields' : `${kind} armor`));
+    const weapons = (grants.weapons || []).map(kind => `${kind} weapons`);
+    const skills = grants.skills > 0 ? [`${grants.skills} skill from the ${CLASSES[className].name} list`] : [];
+    return [...armor, ...weapons, ...skills].join(', ') || 'no new proficiencies';
+}
+
+/** Skills a new class can teach this hero: its list, minus what they already know. */
+export function getMulticlassSkillChoices(character, className) {
+    if (!(CLASSES[className]?.multiclass?.skills > 0)) return [];
+    const known = new Set(character?.skillProficiencies || []);
+    return (CLASSES[className].skillChoices || []).filter(skill => !known.has(skill));
+}
+
+/**
+ * Every class the sheet's Level Up section offers, the hero's own first:
+ * `{ className, name, nextLevel, isNew, ok, reason, hitDie, skillChoices }`.
+ */
+export function getLevelUpOptions(character) {
+    const classLevels = getClassLevels(character);
+    const order = [...Object.keys(classLevels), ...Object.keys(CLASSES).filter(name => !classLevels[name])];
+    return order.map(className => {
+        const isNew = !classLevels[className];
+        const check = canTakeClassLevel(character, className);
+        return {
+            className,
+            name: CLASSES[className].name,
+            nextLevel: (classLevels[className] || 0) + 1,
+            isNew,
+            ok: check.ok,
+            reason: check.reason || null,
+            hitDie: CLASSES[className].hitDie,
+            skillChoices: isNew ? getMulticlassSkillChoices(character, className) : [],
+        };
+    });
+}
+
+// --- Hit dice ---
+// A single-classed hero keeps the flat `{ total, remaining, die }`. Mixed dice
+// add `pools` (largest die first); `total`/`remaining` are their sums and
+// `die` the largest, so every reader of the flat shape stays right.
+
+/** The hero's hit dice as pools, largest die first. */
+export function getHitDicePools(hitDice) {
+    if (Array.isArray(hitDice?.pools) && hitDice.pools.length > 0) {
+        return hitDice.pools.map(pool => ({ ...pool })).sort((a, b) => b.die - a.die);
+    }
+    if (!hitDice) return [];
+    return [{ die: hitDice.die || 8, total: hitDice.total || 0, remaining: hitDice.remaining ?? hitDice.total ?? 0 }];
+}
+
+function fromPools(pools) {
+    const sorted = pools.filter(pool => pool.total > 0).sort((a, b) => b.die - a.die);
+    const total = sorted.reduce((sum, pool) => sum + pool.total, 0);
+    const remaining = sorted.reduce((sum, pool) => sum + pool.remaining, 0);
+    const die = sorted[0]?.die || 8;
+    return sorted.length > 1 ? { total, remaining, die, pools: sorted } : { total, remaining, die };
+}
+
+/** One more hit die of this size, unspent — what a level in a class grants. */
+export function addHitDie(hitDice, die) {
+    const pools = getHitDicePools(hitDice);
+    const pool = pools.find(candidate => candidate.die === die);
+    if (pool) {
+        pool.total += 1;
+        pool.remaining = Math.min(pool.total, Math.max(0, pool.remaining) + 1);
+    } else {
+        pools.push({ die, total: 1, remaining: 1 });
+    }
+    return fromPools(pools);
+}
+
+/** Spend the largest unspent die: `{ hitDice, die }`, or null when none remain. */
+export function spendHitDie(hitDice) {
+    const pools = getHitDicePools(hitDice);
+    const pool = pools.find(candidate => candidate.remaining > 0);
+    if (!pool) return null;
+    pool.remaining -= 1;
+    return { hitDice: fromPools(pools), die: pool.die };
+}
+
+/** Recover up to `count` spent dice, largest first (the long rest's half). */
+export function recoverHitDice(hitDice, count) {
+    const pools = getHitDicePools(hitDice);
+    let left = Math.max(0, count);
+    for (const pool of pools) {
+        const back = Math.min(left, pool.total - pool.remaining);
+        pool.remaining += back;
+        left -= back;
+    }
+    return fromPools(pools);
+}
+
+/**
+ * The hit dice the hero's class levels grant, keeping what `previous` had
+ * spent (smallest dice spent first, so a short rest still has the big ones).
+ * Saves are untrusted: this is the load-time heal for a multiclassed hero.
+ */
+export function buildHitDice(character, previous = character?.hitDice) {
+    const pools = [];
+    for (const [className, level] of Object.entries(getClassLevels(character))) {
+        const die = CLASSES[className]?.hitDie || 8;
+        const pool = pools.find(candidate => candidate.die === die);
+        if (pool) pool.total += level;
+        else pools.push({ die, total: level, remaining: level });
+    }
+    const total = pools.reduce((sum, pool) => sum + pool.total, 0);
+    const stored = Number(previous?.remaining);
+    let spent = total - (Number.isFinite(stored) ? Math.max(0, Math.min(total, Math.trunc(stored))) : total);
+    for (const pool of [...pools].sort((a, b) => a.die - b.die)) {
+        const taken = Math.min(spent, pool.total);
+        pool.remaining -= taken;
+        spent -= taken;
+    }
+    return fromPools(pools);
+}
+
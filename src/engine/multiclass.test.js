@@ -0,0 +1,115 @@
+import { describe, expect, it } from 'vitest';
+import {
+    addHitDie,
+    buildHitDice,
+    canTakeClassLevel,
+    describeClassLevels,
+    getLevelUpOptions,
+    meetsMulticlassPrerequisites,
+    recoverHitDice,
+    spendHitDie,
+} from './multiclass.js';
+import { applyPendingLevelUp, awardExperience } from './progression.js';
+import { getClassLevels, isProficientWithWeapon } from './rules.js';
+
+const SCORES = { strength: 15, dexterity: 12, constitution: 14, intelligence: 13, wisdom: 10, charisma: 8 };
+
+const fighter = (level = 3, overrides = {}) => ({
+    name: 'Brann',
+    class: 'fighter',
+    level,
+    maxHP: 10 + (level - 1) * 8,
+    currentHP: 10 + (level - 1) * 8,
+    abilityScores: SCORES,
+    skillProficiencies: ['athletics', 'perception'],
+    features: ['Fighting Style', 'Second Wind'],
+    hitDice: { total: level, remaining: level, die: 10 },
+    ...overrides,
+});
+
+describe('class levels', () => {
+    it('reads a legacy hero as all levels in the first class', () => {
+        expect(getClassLevels(fighter(3))).toEqual({ fighter: 3 });
+        expect(getClassLevels(fighter(5, { classLevels: { fighter: 2, wizard: 2 } }))).toEqual({ fighter: 5 });
+        expect(describeClassLevels(fighter(5, { classLevels: { fighter: 3, wizard: 2 } }))).toBe('Fighter 3 / Wizard 2');
+    });
+});
+
+describe('prerequisites', () => {
+    it('accepts any one alternative and needs every part of it', () => {
+        expect(meetsMulticlassPrerequisites({ strength: 8, dexterity: 13 }, 'fighter')).toBe(true);
+        expect(meetsMulticlassPrerequisites({ strength: 13, charisma: 12 }, 'paladin')).toBe(false);
+    });
+
+    it('checks the classes the hero already has as well as the new one', () => {
+        expect(canTakeClassLevel(fighter(), 'wizard')).toEqual({ ok: true });
+        expect(canTakeClassLevel(fighter(), 'cleric')).toMatchObject({ ok: false, reason: expect.stringContaining('Wisdom 13 (Cleric)') });
+        const weakFighter = fighter(3, { abilityScores: { ...SCORES, strength: 10, dexterity: 10 } });
+        expect(canTakeClassLevel(weakFighter, 'wizard').reason).toContain('Strength 13 or Dexterity 13 (Fighter)');
+        // A class the hero already has is always open.
+        expect(canTakeClassLevel(weakFighter, 'fighter')).toEqual({ ok: true });
+    });
+
+    it('lists every class, the hero\'s own first, with multiclass skills for a new one', () => {
+        const options = getLevelUpOptions(fighter());
+        expect(options[0]).toMatchObject({ className: 'fighter', nextLevel: 4, isNew: false, ok: true });
+        const rogue = options.find(option => option.className === 'rogue');
+        expect(rogue).toMatchObject({ isNew: true, ok: false, hitDie: 8 });
+        expect(rogue.skillChoices).not.toContain('athletics');
+    });
+});
+
+describe('hit dice pools', () => {
+    it('keeps one die type flat and pools mixed ones, largest first', () => {
+        expect(addHitDie({ total: 2, remaining: 1, die: 10 }, 10)).toEqual({ total: 3, remaining: 2, die: 10 });
+        const mixed = addHitDie({ total: 3, remaining: 3, die: 10 }, 6);
+        expect(mixed).toEqual({ total: 4, remaining: 4, die: 10, pools: [{ die: 10, total: 3, remaining: 3 }, { die: 6, total: 1, remaining: 1 }] });
+    });
+
+    it('spends the largest die and recovers the largest first', () => {
+        let hitDice = { total: 3, remaining: 3, die: 10, pools: [{ die: 10, total: 1, remaining: 1 }, { die: 6, total: 2, remaining: 2 }] };
+        const first = spendHitDie(hitDice);
+        expect(first.die).toBe(10);
+        hitDice = spendHitDie(first.hitDice).hitDice;
+        expect(hitDice.remaining).toBe(1);
+        expect(recoverHitDice(hitDice, 1).pools).toEqual([{ die: 10, total: 1, remaining: 1 }, { die: 6, total: 2, remaining: 1 }]);
+        expect(spendHitDie({ total: 2, remaining: 0, die: 8 })).toBeNull();
+    });
+
+    it('rebuilds pools from class levels, counting spent dice against the small ones', () => {
+        const hero = { class: 'fighter', level: 5, classLevels: { fighter: 3, wizard: 2 } };
+        expect(buildHitDice(hero, { remaining: 4 }).pools).toEqual([{ die: 10, total: 3, remaining: 3 }, { die: 6, total: 2, remaining: 1 }]);
+    });
+});
+
+describe('choosing the class at level up', () => {
+    it('banks earned levels instead of applying them', () => {
+        const { character, messages } = awardExperience(fighter(1), 300, { chooseClass: true });
+        expect(character).toMatchObject({ level: 1, pendingLevelUps: 1 });
+        expect(messages.at(-1).content).toContain('Level 2 is ready');
+    });
+
+    it('takes a new class with its hit die, features and multiclass proficiencies only', () => {
+        const { character, message } = applyPendingLevelUp(fighter(3, { pendingLevelUps: 1, savingThrowProficiencies: ['strength', 'constitution'] }), 'wizard');
+        expect(character).toMatchObject({ level: 4, classLevels: { fighter: 3, wizard: 1 }, pendingLevelUps: 0, maxHP: 26 + 6 });
+        expect(character.hitDice.pools).toEqual([{ die: 10, total: 3, remaining: 3 }, { die: 6, total: 1, remaining: 1 }]);
+        expect(character.features).toContain('Arcane Recovery');
+        expect(character.savingThrowProficiencies).toEqual(['strength', 'constitution']);
+        expect(character.spellSlots).toEqual({ 1: { used: 0, max: 2 } });
+        expect(message.content).toContain('New class: **Wizard**');
+    });
+
+    it('grants a later class\'s skill and weapons, never its saves', () => {
+        const rogue = fighter(2, { class: 'rogue', abilityScores: { ...SCORES, dexterity: 14, wisdom: 14 }, savingThrowProficiencies: ['dexterity', 'intelligence'], pendingLevelUps: 1 });
+        expect(isProficientWithWeapon(rogue, { name: 'Greataxe', category: 'martial' })).toBe(false);
+        const { character } = applyPendingLevelUp(rogue, 'ranger', { skill: 'survival' });
+        expect(character.skillProficiencies).toContain('survival');
+        expect(character.savingThrowProficiencies).toEqual(['dexterity', 'intelligence']);
+        expect(isProficientWithWeapon(character, { name: 'Greataxe', category: 'martial' })).toBe(true);
+    });
+
+    it('refuses a class whose prerequisites the hero misses, or with nothing banked', () => {
+        expect(applyPendingLevelUp(fighter(3, { pendingLevelUps: 1 }), 'bard').error).toContain('Charisma 13');
+        expect(applyPendingLevelUp(fighter(3), 'fighter').error).toBe('No level-up is waiting.');
+    });
+});
@@ -1,7 +1,9 @@
 import { CLASSES } from '../data/classes.js';
-import { getModifier } from './rules.js';
-import { buildClassResources, getFeaturesForLevel, normalizeAbilityScoreImprovementState, normalizeMartialArchetype } from './characterUtils.js';
-import { buildSpellSlots, isSpellcaster } from './spellcasting.js';
+import { findMonster, monsterExperience } from '../data/monsters.js';
+import { getClassLevel, getClassLevels, getFeatHitPointsPerLevel, getModifier, getRacialTraits, isMulticlassed } from './rules.js';
+import { buildCharacterResources, getFeaturesForLevel, normalizeAbilityScoreImprovementState, normalizeFightingStyle, normalizeMartialArchetype } from './characterUtils.js';
+import { buildCharacterSpellSlots, isCharacterSpellcaster } from './spellcasting.js';
+import { addHitDie, canTakeClassLevel, describeMulticlassProficiencies, getMulticlassSkillChoices } from './multiclass.js';
 
 export const MAX_CHARACTER_LEVEL = 20;
 
@@ -49,16 +51,35 @@ function createSystemMessage(kind, content) {
     };
 }
 
-function applySingleLevelUp(character, { milestone = false } = {}) {
-    const classData = CLASSES[character.class];
+/** The class the martial-archetype rules read: Fighter whenever the hero has Fighter levels. */
+function archetypeFor(character) {
+    const fighterLevel = getClassLevel(character, 'fighter');
+    return fighterLevel > 0
+        ? normalizeMartialArchetype('fighter', fighterLevel, character.martialArchetype)
+        : normalizeMartialArchetype(character.class, character.level, character.martialArchetype);
+}
+
+/**
+ * One level in `className` (the first class by default). A class the hero
+ * does not have yet is a multiclass: its hit die, its level-1 features and its
+ * `multiclass` proficiencies — `choices.skill` from its list, and for Fighter
+ * `choices.fightingStyle` — but never its saving throws or level-1 hit points.
+ */
+function applySingleLevelUp(character, { milestone = false, className = character.class, choices = {} } = {}) {
+    const classData = CLASSES[className];
     const hitDie = classData?.hitDie || 8;
     const conMod = getModifier(character.abilityScores?.constitution || 10);
     const averageHp = Math.floor(hitDie / 2) + 1;
-    const hpGain = Math.max(1, averageHp + conMod);
+    const racialHp = getRacialTraits(character).hpPerLevel || 0;
+    const featHp = getFeatHitPointsPerLevel(character.feats);
+    const hpGain = Math.max(1, averageHp + conMod) + racialHp + featHp;
     const newLevel = (Number(character.level) || 1) + 1;
     const newMaxHP = character.maxHP + hpGain;
+    const classLevels = getClassLevels(character);
+    const isNewClass = !classLevels[className];
+    const classLevel = (classLevels[className] || 0) + 1;
 
-    const newFeatures = getFeaturesForLevel(character.class, newLevel);
+    const newFeatures = getFeaturesForLevel(className, classLevel);
     const existingFeatures = character.features || [];
     const updatedFeatures = [
         ...existingFeatures,
@@ -68,29 +89,40 @@ function applySingleLevelUp(character, { milestone = false } = {}) {
     const hitDice = character.hitDice || {
         total: character.level,
         remaining: character.level,
-        die: hitDie,
+        die: CLASSES[character.class]?.hitDie || hitDie,
     };
+    const skill = isNewClass && getMulticlassSkillChoices(character, className).includes(choices.skill) ? choices.skill : null;
 
-    const updatedCharacterBase = {
+    const leveled = {
         ...character,
         level: newLevel,
+        classLevels: { ...classLevels, [className]: classLevel },
         maxHP: newMaxHP,
         currentHP: newMaxHP,
         features: updatedFeatures,
+        ...(skill && { skillProficiencies: [...(character.skillProficiencies || []), skill] }),
+        ...(isNewClass && className === 'fighter' && { fightingStyle: normalizeFightingStyle('fighter', choices.fightingStyle) }),
+        // The new level grants ONE new hit die of its class; already-spent dice stay
+        // spent — like spell slots below, leveling mid-day never refills the day's rest resources.
+        hitDice: isNewClass || isMulticlassed(character)
+            ? addHitDie(hitDice, hitDie)
+            : {
+                ...hitDice,
+                total: newLevel,
+                remaining: Math.min(newLevel, Math.max(0, hitDice.remaining ?? hitDice.total ?? character.level) + 1),
+            },
+    };
+    const updatedCharacterBase = {
+        ...leveled,
         // Spent uses carry over — newly unlocked resources start fresh, but a
         // level-up mid-day never hands back the day's spent abilities.
-        classResources: buildClassResources(character.class, newLevel, character.classResources),
+        classResources: buildCharacterResources(leveled, character.classResources),
         // Spent slots carry over — a level-up mid-day grows the slot table but
         // never silently refills the day's magic.
-        ...(isSpellcaster(character.class) && { spellSlots: buildSpellSlots(newLevel, character.spellSlots) }),
-        martialArchetype: normalizeMartialArchetype(character.class, newLevel, character.martialArchetype),
-        // The new level grants ONE new hit die; already-spent dice stay spent — like
-        // spell slots above, leveling mid-day never refills the day's rest resources.
-        hitDice: {
-            ...hitDice,
-            total: newLevel,
-            remaining: Math.min(newLevel, Math.max(0, hitDice.remaining ?? hitDice.total ?? character.level) + 1),
-        },
+        ...(isCharacterSpellcaster(leveled) && { spellSlots: buildCharacterSpellSlots(leveled, character.spellSlots) }),
+        // A first caster level (a Fighter taking Wizard) starts with nothing sustained.
+        ...(isCharacterSpellcaster(leveled) && !isCharacterSpellcaster(character) && { sustainedSpell: null }),
+        martialArchetype: archetypeFor(leveled),
     };
     const updatedCharacter = {
         ...updatedCharacterBase,
@@ -101,16 +133,58 @@ function applySingleLevelUp(character, { milestone = false } = {}) {
         ? `\nNew features: **${newFeatures.join('**, **')}**`
         : '';
     const milestoneMsg = milestone ? ' Milestone level-up.' : '';
+    const classMsg = isMulticlassed(updatedCharacter) ? ` (${classData.name} ${classLevel})` : '';
+    const multiclassMsg = isNewClass
+        ? `\nNew class: **${classData.name}** — ${describeMulticlassProficiencies(className)}${skill ? ` (${skill})` : ''}.`
+        : '';
 
     return {
         character: updatedCharacter,
         message: createSystemMessage(
             'lvl',
-            `**Level Up!** You are now **Level ${newLevel}**!${milestoneMsg} Average HP **${averageHp}** from d${hitDie} + ${conMod} CON = **+${hpGain} HP** (${character.maxHP} → ${newMaxHP}). Fully healed!${featureMsg}`
+            `**Level Up!** You are now **Level ${newLevel}**${classMsg}!${milestoneMsg} Average HP **${averageHp}** from d${hitDie} + ${conMod} CON${racialHp ? ` + ${racialHp} racial` : ''}${featHp ? ` + ${featHp} Tough` : ''} = **+${hpGain} HP** (${character.maxHP} → ${newMaxHP}). Fully healed!${featureMsg}${multiclassMsg}`
         ),
     };
 }
 
+/** Levels earned and waiting for the player to choose their class (multiclassing on). */
+export function getPendingLevelUps(character) {
+    const pending = Math.trunc(Number(character?.pendingLevelUps));
+    return Number.isFinite(pending) && pending > 0 ? pending : 0;
+}
+
+/** Bank one earned level for the sheet's Level Up section instead of applying it. */
+function bankLevelUp(character, { milestone = false } = {}) {
+    const pendingLevelUps = getPendingLevelUps(character) + 1;
+    const level = (Number(character.level) || 1) + pendingLevelUps;
+    return {
+        character: { ...character, pendingLevelUps },
+        message: createSystemMessage(
+            'lvl',
+            `**Level Up!** Level ${level} is ready${milestone ? ' (milestone)' : ''} — choose the class that gains it in the character sheet.`
+        ),
+    };
+}
+
+/**
+ * Spend one banked level on `className` (the sheet's Level Up section). Returns
+ * `{ character, message }`, or `{ error }` when nothing is pending or the
+ * hero cannot take that class.
+ */
+export function applyPendingLevelUp(character, className, choices = {}) {
+    if (!character || getPendingLevelUps(character) === 0) return { error: 'No level-up is waiting.' };
+    const check = canTakeClassLevel(character, className);
+    if (!check.ok) return { error: check.reason };
+    const leveled = applySingleLevelUp(character, { className, choices });
+    const pendingLevelUps = getPendingLevelUps(character) - 1;
+    return { ...leveled, character: { ...leveled.character, pendingLevelUps } };
+}
+
+/**
+ * Add XP and take the levels it buys. With `options.chooseClass` (the
+ * campaign plays with multiclassing) each level is banked for the Level Up
+ * section of the sheet; otherwise it goes to the first class at once.
+ */
 export function awardExperience(character, amount = 0, options = {}) {
     if (!character) return { character, messages: [] };
 
@@ -120,31 +194,36 @@ export function awardExperience(character, amount = 0, options = {}) {
         ...character,
         exp: (character.exp || 0) + xpAwarded,
     };
+    // Banked levels count toward the XP curve as if already taken.
+    const effectiveLevel = () => (Number(updatedCharacter.level) || 1) + getPendingLevelUps(updatedCharacter);
+    const levelUp = milestone => (options.chooseClass
+        ? bankLevelUp(updatedCharacter, { milestone })
+        : applySingleLevelUp(updatedCharacter, { milestone }));
 
     if (xpAwarded > 0) {
         const reason = options.reason ? ` (${options.reason})` : '';
-        const progress = isMaxLevel(updatedCharacter.level)
+        const progress = isMaxLevel(effectiveLevel())
             ? `${updatedCharacter.exp} XP. Max level reached.`
-            : `${updatedCharacter.exp} / ${getExperienceThreshold(updatedCharacter.level)} XP.`;
+            : `${updatedCharacter.exp} / ${getExperienceThreshold(effectiveLevel())} XP.`;
         messages.push(createSystemMessage(
             'xp',
             `**Experience gained:** +${xpAwarded} XP${reason}. Progress: ${progress}`
         ));
     }
 
-    if (options.milestoneLevelUp && !isMaxLevel(updatedCharacter.level)) {
-        const leveled = applySingleLevelUp(updatedCharacter, { milestone: true });
+    if (options.milestoneLevelUp && !isMaxLevel(effectiveLevel())) {
+        const leveled = levelUp(true);
         updatedCharacter = leveled.character;
         messages.push(leveled.message);
     }
 
-    while (!isMaxLevel(updatedCharacter.level) && updatedCharacter.exp >= getExperienceThreshold(updatedCharacter.level)) {
-        const threshold = getExperienceThreshold(updatedCharacter.level);
+    while (!isMaxLevel(effectiveLevel()) && updatedCharacter.exp >= getExperienceThreshold(effectiveLevel())) {
+        const threshold = getExperienceThreshold(effectiveLevel());
         updatedCharacter = {
             ...updatedCharacter,
             exp: updatedCharacter.exp - threshold,
         };
-        const leveled = applySingleLevelUp(updatedCharacter);
+        const leveled = levelUp(false);
         updatedCharacter = leveled.character;
         messages.push(leveled.message);
     }
@@ -152,19 +231,30 @@ export function awardExperience(character, amount = 0, options = {}) {
     return { character: updatedCharacter, messages };
 }
 
-export function estimateCombatExperience(enemies = []) {
+const positiveStat = (value) => {
+    const n = Number(value);
+    return Number.isFinite(n) && n > 0 ? n : 0;
+};
+
+/**
+ * XP one enemy is worth: its challenge rating's XP for a catalog monster,
+ * otherwise hp*2 + ac*3 clamped to 25–300. The encounter budget grades fights
+ * with the same number the END_COMBAT fallback awards.
+ */
+export function estimateEnemyExperience(enemy) {
     // Fallback-estimator inputs come straight from LLM-authored enemy records —
     // an object-valued stat would poison the whole sum with NaN (Math.max(25, NaN)
     // is NaN), so coerce each stat and skip junk entries entirely.
-    const positive = (value) => {
-        const n = Number(value);
-        return Number.isFinite(n) && n > 0 ? n : 0;
-    };
-    return (Array.isArray(enemies) ? enemies : []).reduce((sum, enemy) => {
-        if (!enemy || typeof enemy !== 'object') return sum;
-        const hp = positive(enemy.maxHp) || positive(enemy.hp) || 10;
-        const ac = positive(enemy.ac) || 12;
-        const raw = hp * 2 + ac * 3;
-        return sum + Math.max(25, Math.min(300, Math.round(raw)));
-    }, 0);
+    if (!enemy || typeof enemy !== 'object') return 0;
+    // A catalog monster is worth its challenge rating's XP, as in the books.
+    const monster = findMonster(enemy.monster);
+    if (monster) return monsterExperience(monster);
+    const hp = positiveStat(enemy.maxHp) || positiveStat(enemy.hp) || 10;
+    const ac = positiveStat(enemy.ac) || 12;
+    const raw = hp * 2 + ac * 3;
+    return Math.max(25, Math.min(300, Math.round(raw)));
+}
+
+export function estimateCombatExperience(enemies = []) {
+    return (Array.isArray(enemies) ? enemies : []).reduce((sum, enemy) => sum + estimateEnemyExperience(enemy), 0);
 }
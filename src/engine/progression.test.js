@@ -192,6 +192,14 @@ describe('estimateCombatExperience (End-Combat XP fallback)', () => {
     it('returns 0 for an empty encounter', () => {
         expect(estimateCombatExperience([])).toBe(0);
     });
+
+    it('values a catalog monster by its challenge rating instead', () => {
+        expect(estimateCombatExperience([
+            { monster: 'ghoul', maxHp: 22, ac: 12 },   // CR 1 → 200
+            { monster: 'goblin', maxHp: 7, ac: 15 },   // CR 1/4 → 50
+            { monster: 'unknown', maxHp: 20, ac: 14 }, // 82 by the heuristic
+        ])).toBe(332);
+    });
 });
 
 describe('class resources across level-ups (2026-08-08 audit P1)', () => {
@@ -0,0 +1,83 @@
+/**
+ * Range bands — the combat exchange's engine-owned geography.
+ *
+ * Distance is one of three bands measured from the hero (companions move with
+ * the hero): `engaged` (within melee reach), `near` (one move away), `far`
+ * (beyond a single move). Every enemy carries its own band on `enemy.range`.
+ * - A melee weapon reaches `engaged` foes; a hero's normal move closes a `near`
+ *   foe for free, while a `far` one needs a Dash first.
+ * - A reach weapon (Glaive, Pike, Whip…) also strikes `near` foes without moving.
+ * - A ranged weapon reaches every band, at disadvantage while any foe is engaged;
+ *   a thrown weapon is hurled only at a `far` foe and otherwise fights in melee.
+ * - Leaving an engaged foe without Disengage provokes its opportunity attack.
+ * Enemies without a stored band (legacy saves, a combat_start that omitted it)
+ * read as `near`, so older fights resolve exactly as they did before bands.
+ */
+
+export const RANGE_BANDS = Object.freeze(['engaged', 'near', 'far']);
+export const DEFAULT_ENEMY_RANGE = 'near';
+
+const BAND_ALIASES = {
+    engaged: 'engaged',
+    melee: 'engaged',
+    adjacent: 'engaged',
+    near: 'near',
+    nearby: 'near',
+    close: 'near',
+    far: 'far',
+    distant: 'far',
+    long: 'far',
+};
+
+/** A canonical range band, or undefined when absent/unknown. */
+export function normalizeRangeBand(value) {
+    return BAND_ALIASES[String(value || '').trim().toLowerCase()];
+}
+
+/** An enemy's attack style: 'ranged' only when declared, otherwise melee. */
+export function normalizeEnemyAttackRange(value) {
+    const raw = String(value || '').trim().toLowerCase();
+    return raw === 'ranged' || raw === 'range' || raw === 'missile' ? 'ranged' : undefined;
+}
+
+/** The band an enemy stands in, defaulting legacy foes to `near`. */
+export function enemyRange(enemy) {
+    return normalizeRangeBand(enemy?.range) || DEFAULT_ENEMY_RANGE;
+}
+
+/** Move a band `steps` outward (positive) or inward (negative), clamped to the ends. */
+export function shiftRangeBand(band, steps) {
+    const index = RANGE_BANDS.indexOf(normalizeRangeBand(band) || DEFAULT_ENEMY_RANGE);
+    return RANGE_BANDS[Math.max(0, Math.min(RANGE_BANDS.length - 1, index + steps))];
+}
+
+/** How a weapon reaches: 'ranged', 'reach', 'thrown', or plain 'melee' (unarmed counts as melee). */
+export function weaponReach(weapon) {
+    if (weapon?.ranged) return 'ranged';
+    if (weapon?.reach) return 'reach';
+    if (weapon?.thrown) return 'thrown';
+    return 'melee';
+}
+
+/**
+ * How one strike with a weapon of this reach lands on a foe in `band`:
+ * `{ closes, rangedAttack }`, or null when the foe is out of reach this turn.
+ * `closes` means the hero's free move brings the foe to `engaged` first; a
+ * thrown weapon is hurled (a ranged attack) only at a far foe.
+ */
+export function strikeAtBand(reach, band) {
+    const normalized = normalizeRangeBand(band) || DEFAULT_ENEMY_RANGE;
+    if (reach === 'ranged') return { closes: false, rangedAttack: true };
+    if (normalized === 'engaged') return { closes: false, rangedAttack: false };
+    if (normalized === 'near') return { closes: reach !== 'reach', rangedAttack: false };
+    if (reach === 'thrown') return { closes: false, rangedAttack: true };
+    return null;
+}
+
+/** Human-readable band for logs, prompts, and the combat panel. */
+export function describeRangeBand(band) {
+    const normalized = normalizeRangeBand(band) || DEFAULT_ENEMY_RANGE;
+    if (normalized === 'engaged') return 'engaged in melee';
+    if (normalized === 'near') return 'near (one move away)';
+    return 'far (beyond a single move)';
+}
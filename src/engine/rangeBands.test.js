@@ -0,0 +1,51 @@
+import { describe, expect, it } from 'vitest';
+import {
+    describeRangeBand,
+    enemyRange,
+    normalizeEnemyAttackRange,
+    normalizeRangeBand,
+    shiftRangeBand,
+    strikeAtBand,
+    weaponReach,
+} from './rangeBands.js';
+
+describe('range band normalization', () => {
+    it('folds common spellings into the three bands and drops the rest', () => {
+        expect(normalizeRangeBand('Melee')).toBe('engaged');
+        expect(normalizeRangeBand(' close ')).toBe('near');
+        expect(normalizeRangeBand('distant')).toBe('far');
+        expect(normalizeRangeBand('orbit')).toBeUndefined();
+        expect(normalizeEnemyAttackRange('Ranged')).toBe('ranged');
+        expect(normalizeEnemyAttackRange('melee')).toBeUndefined();
+    });
+
+    it('reads a legacy foe without a band as near', () => {
+        expect(enemyRange({ name: 'Goblin' })).toBe('near');
+        expect(enemyRange({ range: 'far' })).toBe('far');
+        expect(describeRangeBand(undefined)).toBe('near (one move away)');
+    });
+
+    it('shifts bands and clamps at either end', () => {
+        expect(shiftRangeBand('far', -1)).toBe('near');
+        expect(shiftRangeBand('engaged', -1)).toBe('engaged');
+        expect(shiftRangeBand('near', 5)).toBe('far');
+    });
+});
+
+describe('strikeAtBand', () => {
+    it('maps each weapon reach onto each band', () => {
+        expect(weaponReach({ ranged: true })).toBe('ranged');
+        expect(weaponReach({ reach: true })).toBe('reach');
+        expect(weaponReach({ thrown: true })).toBe('thrown');
+        expect(weaponReach(null)).toBe('melee');
+
+        expect(strikeAtBand('melee', 'engaged')).toEqual({ closes: false, rangedAttack: false });
+        expect(strikeAtBand('melee', 'near')).toEqual({ closes: true, rangedAttack: false });
+        expect(strikeAtBand('melee', 'far')).toBeNull();
+        expect(strikeAtBand('reach', 'near')).toEqual({ closes: false, rangedAttack: false });
+        expect(strikeAtBand('reach', 'far')).toBeNull();
+        expect(strikeAtBand('thrown', 'near')).toEqual({ closes: true, rangedAttack: false });
+        expect(strikeAtBand('thrown', 'far')).toEqual({ closes: false, rangedAttack: true });
+        expect(strikeAtBand('ranged', 'engaged')).toEqual({ closes: false, rangedAttack: true });
+    });
+});
@@ -5,8 +5,10 @@ export function sanitizePendingRoleplayCheck(value) {
     const rolls = (Array.isArray(value.rolls) ? value.rolls : [])
         .filter(roll => roll && typeof roll === 'object')
         .slice(0, 6)
-        .map(roll => ({
+        .map(({ haggle, merchantId, ...roll }) => ({
             ...roll,
+            // A haggle carries its merchant through a reload (engine/merchants.js).
+            ...(haggle === true && { haggle: true, merchantId: text(merchantId, 60) || null }),
             type: text(roll.type || 'skill_check', 40),
             skill: text(roll.skill || roll.ability, 80) || null,
             description: text(roll.description, 300),
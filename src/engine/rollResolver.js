@@ -14,9 +14,21 @@
  */
 
 import { rollWithModifier } from './dice.ts';
-import { getSkillModifier, getModifier, getSavingThrowModifier, computeACFromInventory, getWeaponAttackBonus, getWeaponDamageNotation, getConditionRollEffects, combineRollModifiers, SKILL_ABILITIES } from './rules.js';
-import { validateEnemyAttackBonus, sanitizeEnemyDamage } from './enemyStats.js';
-import { applyUncannyDodge, conditionAwareAttackModifiers, isCriticalNatural, rollD20Kept, rollDamage } from './combatMath.js';
+import { getAttacksPerAction, getSkillModifier, getModifier, getSavingThrowModifier, computeACFromInventory, getWeaponAttackBonus, getWeaponDamageNotation, getCharacterRollEffects, getConditionRollEffects, combineRollModifiers, SKILL_ABILITIES } from './rules.js';
+import { validateEnemyAttackBonus, sanitizeEnemyDamage, normalizeEnemyDamageType } from './enemyStats.js';
+import { DAMAGE_DEFENSE_NAMES, describeDamageDefense } from './damageDefenses.js';
+import { describeHaggle, findHaggleMerchant, haggleAdjustment, isHaggleRoll } from './merchants.js';
+import {
+    applyHeroDamageDefenses,
+    applyRelentlessEndurance,
+    applyUncannyDodge,
+    conditionAwareAttackModifiers,
+    createRelentlessEnduranceState,
+    hasLucky,
+    isCriticalNatural,
+    rollD20Kept,
+    rollDamage,
+} from './combatMath.js';
 
 const ABILITY_NAMES = ['strength', 'dexterity', 'constitution', 'intelligence', 'wisdom', 'charisma'];
 
@@ -69,6 +81,10 @@ export function resolveRolls(requestedRolls, { character, inventory, combat, par
     // machine's once-per-turn reaction (parity fix: the rogue previously took
     // full damage from every out-of-combat npc_attack).
     const uncannyDodgeState = { used: false };
+    // Relentless Endurance (Half-Orc) — at most one save from 0 HP per batch.
+    const relentlessState = createRelentlessEnduranceState(character);
+    // Lucky (feat) — the luck points left, spent down as the batch's rolls fail.
+    const luck = createLuckState(character);
 
     for (const roll of requestedRolls) {
         const isNpcRoll = roll.type === 'npc_attack' || roll.type === 'npc_save';
@@ -154,9 +170,28 @@ export function resolveRolls(requestedRolls, { character, inventory, combat, par
                             payload: { role: 'system', content: `**Uncanny Dodge** — ${character?.name || 'The rogue'} twists aside and halves the blow: ${dmg.total} → **${dodge.damage}** damage.` },
                         });
                     }
-                    playerHp = Math.max(0, playerHp - dodge.damage);
-                    playerDamageTaken += dodge.damage;
-                    Object.assign(result, { damage: dodge.damage, targetName: character?.name || 'you', targetHp: playerHp, targetMaxHp: playerMaxHp, targetIsPlayer: true, ...(dodge.applied && { uncannyDodgeApplied: true }) });
+                    const damageType = normalizeEnemyDamageType(roll.damageType);
+                    const defended = applyHeroDamageDefenses(character, inventory, dodge.damage, damageType);
+                    if (defended.defense) {
+                        dispatch({
+                            type: 'ADD_MESSAGE',
+                            payload: { role: 'system', content: `**${damageType} ${DAMAGE_DEFENSE_NAMES[defended.defense]}** — ${describeDamageDefense({ damageType, defense: defended.defense })} for ${character?.name || 'the hero'}: ${dodge.damage} → **${defended.damage}** damage.` },
+                        });
+                    }
+                    // Relentless Endurance is settled per hit here, so the charge is
+                    // spent before the batched TAKE_DAMAGE (which would otherwise see
+                    // only the summed damage and fire it a second time).
+                    const endurance = applyRelentlessEndurance(playerHp, defended.damage, relentlessState);
+                    if (endurance.applied) {
+                        dispatch({ type: 'USE_RESOURCE', payload: 'relentlessEndurance' });
+                        dispatch({
+                            type: 'ADD_MESSAGE',
+                            payload: { role: 'system', content: `**Relentless Endurance** — ${character?.name || 'The hero'} refuses to fall and drops to 1 HP instead.` },
+                        });
+                    }
+                    playerHp = Math.max(0, playerHp - endurance.damage);
+                    playerDamageTaken += endurance.damage;
+                    Object.assign(result, { damage: endurance.damage, targetName: character?.name || 'you', targetHp: playerHp, targetMaxHp: playerMaxHp, targetIsPlayer: true, ...(dodge.applied && { uncannyDodgeApplied: true }), ...(defended.defense && { damageDefenses: [{ damageType, defense: defended.defense }] }), ...(endurance.applied && { relentlessEndurance: true }) });
                 }
                 appliedHp = true;
             }
@@ -189,13 +224,14 @@ export function resolveRolls(requestedRolls, { character, inventory, combat, par
                     };
                 }
             }
-            const resolved = resolvePlayerRoll(effectiveRoll, character, dispatch, inventory);
+            const resolved = resolvePlayerRoll(effectiveRoll, character, dispatch, inventory, luck);
             const list = Array.isArray(resolved) ? resolved : (resolved ? [resolved] : []);
             const damageNotation = isAttack
                 ? getWeaponDamageNotation(character, inventory, roll.damage || '1d4')
                 : roll.damage;
 
             for (const one of list) {
+                if (isHaggleRoll(roll)) Object.assign(one, { haggle: true, merchantId: roll.merchantId || null });
                 results.push(one);
                 // Inline damage for a player attack that hit and names an enemy target.
                 if (one.success && isAttack && damageNotation && roll.target) {
@@ -307,6 +343,29 @@ export function formatRollSummary(rollResults) {
     }).join('\n');
 }
 
+/**
+ * Settle each resolved haggle against its merchant (RESOLVE_HAGGLE) and
+ * return note results telling the DM the terms the engine set. A merchant
+ * that already haggled this restock keeps its terms; a haggle with no
+ * merchant here is ordinary roleplay and gets no note.
+ */
+function settleHaggles(rollResults, state, dispatch) {
+    const notes = [];
+    for (const result of rollResults.filter(r => r.haggle)) {
+        const merchant = findHaggleMerchant(state, result.merchantId);
+        if (!merchant) continue;
+        if (merchant.haggle) {
+            notes.push({ type: 'note', text: `HAGGLE: ${merchant.name} already settled on ${describeHaggle(merchant)} until the next restock — this roll changes no price.` });
+            continue;
+        }
+        const margin = result.rolled - result.dc;
+        dispatch({ type: 'RESOLVE_HAGGLE', payload: { merchantId: merchant.id, success: result.success, critical: !!result.critical, margin } });
+        const settled = { ...merchant, haggle: { adjust: haggleAdjustment({ success: result.success, critical: !!result.critical, margin }) } };
+        notes.push({ type: 'note', text: `HAGGLE: ${merchant.name} now trades at ${describeHaggle(settled)} until the next restock. The engine prices every trade — narrate the merchant's reaction, never a purchase or sell event for the haggle itself.` });
+    }
+    return notes;
+}
+
 /**
  * A withheld roll-setup response sometimes declared loot alongside the check it
  * proposed. Those events were deliberately dropped (setup mutations defer to the
@@ -377,7 +436,7 @@ export async function handleRequestedRolls(requestedRolls, {
     // (window, journal, chronicler, priming, fronts) and never rendered, pure
     // per-check save growth (2026-08-03 audit).
     if (rollResults.length > 0) {
-        const summary = formatRollSummary(rollResults);
+        const summary = formatRollSummary([...rollResults, ...settleHaggles(rollResults, state, dispatch)]);
 
         // Auto-trigger follow-up: DM narrates the outcome
         console.log('[RollResolver] 🔄 Auto-triggering follow-up LLM call with roll results');
@@ -454,14 +513,16 @@ export async function handleRequestedRolls(requestedRolls, {
 
 /**
  * Roll a d20 with advantage, disadvantage, or plain — returns a rollWithModifier result
- * extended with an `advantageDetail` string for display.
+ * extended with an `advantageDetail` string for display. `lucky` (Halfling) rerolls
+ * natural 1s and says so in the same detail string.
  */
-function rollWithAdvantage(count, sides, modifier, description, advantage, disadvantage) {
-    if ((advantage || disadvantage) && count === 1 && sides === 20) {
+function rollWithAdvantage(count, sides, modifier, description, advantage, disadvantage, lucky = false) {
+    if ((advantage || disadvantage || lucky) && count === 1 && sides === 20) {
         // Kernel note: advantage AND disadvantage now cancel to one die (correct
         // 5e; the old copy quietly kept the advantage bias when a DM emitted both).
-        const { roll, first, second } = rollD20Kept(modifier, description, advantage, disadvantage, { secondDescription: description });
-        roll.advantageDetail = first != null ? ` (d20: ${first}, ${second} → kept ${roll.rolls[0]})` : '';
+        const { roll, first, second, luckyReroll } = rollD20Kept(modifier, description, advantage, disadvantage, { secondDescription: description, lucky });
+        roll.advantageDetail = (first != null ? ` (d20: ${first}, ${second} → kept ${roll.rolls[0]})` : '')
+            + (luckyReroll ? ' *(Lucky: natural 1 rerolled)*' : '');
         return roll;
     }
     const result = rollWithModifier(count, sides, modifier, description);
@@ -469,6 +530,30 @@ function rollWithAdvantage(count, sides, modifier, description, advantage, disad
     return result;
 }
 
+/** Unspent luck points (Lucky feat) at the start of a batch — 0 without the feat. */
+function createLuckState(character) {
+    const points = character?.classResources?.luckPoints;
+    return { remaining: points ? Math.max(0, points.max - points.used) : 0 };
+}
+
+/**
+ * Lucky (feat): a failed player d20 spends a luck point for one more die, and
+ * the better die is kept. Returns the kept roll, or the original when no point
+ * is left. The point is spent through USE_RESOURCE like any other resource.
+ */
+function rerollWithLuck(result, luck, mod, label, dispatch) {
+    if (!luck || luck.remaining <= 0) return result;
+    luck.remaining -= 1;
+    dispatch({ type: 'USE_RESOURCE', payload: 'luckPoints' });
+    const reroll = rollWithModifier(1, 20, mod, `${label} (luck point)`);
+    dispatch({ type: 'ADD_ROLL', payload: reroll });
+    const kept = reroll.rolls[0] > result.rolls[0] ? reroll : result;
+    return {
+        ...kept,
+        advantageDetail: `${result.advantageDetail || ''} *(Luck point: d20 ${result.rolls[0]}, ${reroll.rolls[0]} → kept ${kept.rolls[0]})*`,
+    };
+}
+
 function applyPlayerAttackCritical(character, result) {
     const die = result.rolls?.[0];
     if (!result.isCritical && isCriticalNatural(character, die)) {
@@ -498,10 +583,12 @@ function rollDamageWithStyle(notation, label, { crit = false, character = null,
 function rollAndShowDamage(notation, label, dispatch, { crit = false, character = null, inventory = [], advantage = false, disadvantage = false, hasAlly = false } = {}) {
     let result;
     let saDetail = null;
+    let savageDetail = null;
     try {
         const out = rollDamageWithStyle(notation, label, { crit, character, inventory, includeSneakAttack: true, advantage, disadvantage, hasAlly });
         result = out.roll;
         saDetail = out.sneakAttackDetail;
+        savageDetail = out.savageAttackDetail;
     } catch (e) {
         console.error('[RollResolver] Bad damage notation:', notation, e);
         result = rollWithModifier(1, 4, 0, label); // safe fallback
@@ -511,6 +598,7 @@ function rollAndShowDamage(notation, label, dispatch, { crit = false, character
     const sneakAttackDetail = saDetail
         ? `, +**${saDetail.total}** Sneak Attack (${saDetail.diceCount}d6: ${saDetail.rolls.join(', ')})`
         : '';
+    const savageAttackDetail = savageDetail ? `, +**${savageDetail.roll}** Savage Attacks` : '';
 
     dispatch({ type: 'ADD_ROLL', payload: result });
 
@@ -519,7 +607,7 @@ function rollAndShowDamage(notation, label, dispatch, { crit = false, character
         type: 'ADD_MESSAGE',
         payload: {
             role: 'system',
-            content: `**${label}**${critLabel} (${notation}): **${result.total}** damage (dice: ${result.rolls.join(', ')}${baseMod ? `, mod: ${baseMod >= 0 ? '+' : ''}${baseMod}` : ''}${result.fightingStyleDetail || ''}${sneakAttackDetail})`,
+            content: `**${label}**${critLabel} (${notation}): **${result.total}** damage (dice: ${result.rolls.join(', ')}${baseMod ? `, mod: ${baseMod >= 0 ? '+' : ''}${baseMod}` : ''}${result.fightingStyleDetail || ''}${sneakAttackDetail}${savageAttackDetail})`,
         },
     });
 
@@ -640,7 +728,7 @@ function resolveDeathSave(character, dispatch) {
         };
     }
 
-    const result = rollWithModifier(1, 20, 0, 'Death Saving Throw');
+    const result = rollWithAdvantage(1, 20, 0, 'Death Saving Throw', false, false, hasLucky(character));
     dispatch({ type: 'ADD_ROLL', payload: result });
 
     const die = result.rolls[0];
@@ -671,19 +759,24 @@ function resolveDeathSave(character, dispatch) {
 
     dispatch({
         type: 'ADD_MESSAGE',
-        payload: { role: 'system', content: `**Death Saving Throw**: Rolled **${die}** — ${outcomeText}`, isDeathEvent: outcome === 'dead' },
+        payload: { role: 'system', content: `**Death Saving Throw**: Rolled **${die}**${result.advantageDetail} — ${outcomeText}`, isDeathEvent: outcome === 'dead' },
     });
 
     return { type: 'death_save', rolled: die, outcome, successes: Math.min(successes, 3), failures: Math.min(failures, 3) };
 }
 
-function resolveSinglePlayerAttackRoll(roll, character, dispatch, mod, label) {
-    const result = rollWithAdvantage(1, 20, mod, label, roll.advantage, roll.disadvantage);
-    const critical = applyPlayerAttackCritical(character, result);
+function resolveSinglePlayerAttackRoll(roll, character, dispatch, mod, label, luck = null) {
+    let result = rollWithAdvantage(1, 20, mod, label, roll.advantage, roll.disadvantage, hasLucky(character));
+    let critical = applyPlayerAttackCritical(character, result);
     dispatch({ type: 'ADD_ROLL', payload: result });
 
     const dc = roll.dc || 15;
-    const success = critical || result.total >= dc;
+    let success = critical || result.total >= dc;
+    if (!success) {
+        result = rerollWithLuck(result, luck, mod, label, dispatch);
+        critical = applyPlayerAttackCritical(character, result);
+        success = critical || result.total >= dc;
+    }
     const advLabel = roll.advantage ? ' *(advantage)*' : roll.disadvantage ? ' *(disadvantage)*' : '';
     const hitMiss = success ? '**Hit!**' : '**Miss!**';
     const critLabel = critical
@@ -709,7 +802,7 @@ function resolveSinglePlayerAttackRoll(roll, character, dispatch, mod, label) {
     };
 }
 
-function resolvePlayerRoll(roll, character, dispatch, inventory = []) {
+function resolvePlayerRoll(roll, character, dispatch, inventory = [], luck = null) {
     const skillName = roll.skill.toLowerCase();
 
     const ability = SKILL_ABILITIES[skillName];
@@ -747,21 +840,21 @@ function resolvePlayerRoll(roll, character, dispatch, inventory = []) {
 
     // Active conditions impose advantage/disadvantage automatically (engine-owned).
     const rollKind = usesAttackResolution ? 'attack' : (isSavingThrow ? 'save' : 'check');
-    const condEffects = getConditionRollEffects(character.conditions, rollKind);
+    const condEffects = getCharacterRollEffects(character, rollKind, ability || (isAbilityName ? skillName : null), inventory, ability ? skillName : null);
     const eff = combineRollModifiers(roll.advantage, roll.disadvantage, condEffects);
     if (eff.note) label += eff.note;
     const effRoll = { ...roll, advantage: eff.advantage, disadvantage: eff.disadvantage };
 
-    if (usesAttackResolution && character.class === 'fighter' && character.level >= 5) {
+    if (usesAttackResolution && getAttacksPerAction(character) === 2) {
         return [
-            resolveSinglePlayerAttackRoll(effRoll, character, dispatch, mod, `${label} (Attack 1)`),
-            resolveSinglePlayerAttackRoll(effRoll, character, dispatch, mod, `${label} (Extra Attack)`),
+            resolveSinglePlayerAttackRoll(effRoll, character, dispatch, mod, `${label} (Attack 1)`, luck),
+            resolveSinglePlayerAttackRoll(effRoll, character, dispatch, mod, `${label} (Extra Attack)`, luck),
         ];
     }
 
     const isAttack = roll.type === 'attack_roll' || skillName === 'attack';
-    const result = rollWithAdvantage(1, 20, mod, label, effRoll.advantage, effRoll.disadvantage);
-    const critical = isAttack ? applyPlayerAttackCritical(character, result) : result.isCritical;
+    let result = rollWithAdvantage(1, 20, mod, label, effRoll.advantage, effRoll.disadvantage, hasLucky(character));
+    let critical = isAttack ? applyPlayerAttackCritical(character, result) : result.isCritical;
     dispatch({ type: 'ADD_ROLL', payload: result });
 
     // Initiative is just a number for turn ordering — no DC or pass/fail
@@ -782,7 +875,12 @@ function resolvePlayerRoll(roll, character, dispatch, inventory = []) {
         };
     }
 
-    const success = (isAttack && critical) || result.isCritical || result.total >= (roll.dc || 15);
+    let success = (isAttack && critical) || result.isCritical || result.total >= (roll.dc || 15);
+    if (!success) {
+        result = rerollWithLuck(result, luck, mod, label, dispatch);
+        critical = isAttack ? applyPlayerAttackCritical(character, result) : result.isCritical;
+        success = (isAttack && critical) || result.isCritical || result.total >= (roll.dc || 15);
+    }
     const advLabel = effRoll.advantage ? ' *(advantage)*' : effRoll.disadvantage ? ' *(disadvantage)*' : '';
     const dcLabel = isAttack ? `vs AC ${roll.dc}` : `DC ${roll.dc}`;
     const hitMiss = isAttack
@@ -768,3 +768,105 @@ describe('exchange-machine parity via the combat math kernel (2026-07-30)', () =
         expect(results[0].damage).toBeGreaterThan(0);
     });
 });
+
+describe('racial traits out of combat', () => {
+    it('rerolls a Halfling\'s natural 1 on a check and says so (Lucky)', () => {
+        rollQueue.push(1, 14);
+        const { results, dispatch } = run([{ type: 'skill_check', skill: 'athletics', dc: 15 }], { race: 'halfling' });
+        expect(results[0]).toMatchObject({ rolled: 17, success: true });
+        expect(messagesFrom(dispatch)).toContain('Lucky: natural 1 rerolled');
+    });
+
+    it('keeps a non-Halfling\'s natural 1', () => {
+        rollQueue.push(1);
+        expect(run([{ type: 'skill_check', skill: 'athletics', dc: 15 }]).results[0].success).toBe(false);
+    });
+
+    it('rerolls a natural 1 death save for a Halfling', () => {
+        rollQueue.push(1, 12);
+        const { results } = run([{ type: 'death_save' }], {
+            race: 'halfling', currentHP: 0, dying: true, deathSaves: { successes: 0, failures: 0 }, conditions: ['Unconscious'],
+        });
+        expect(results[0]).toMatchObject({ rolled: 12, outcome: 'success' });
+    });
+
+    it('halves a typed npc_attack the hero resists', () => {
+        rollQueue.push(18, 6); // hit; 1d6+2 = 8 fire
+        const { results, dispatch } = run([
+            { type: 'npc_attack', attacker: 'Imp', damage: '1d6+2', damageType: 'fire' },
+        ], { race: 'tiefling' });
+        expect(results[0]).toMatchObject({ damage: 4, damageDefenses: [{ damageType: 'fire', defense: 'resisted' }] });
+        expect(messagesFrom(dispatch)).toContain('fire resistance');
+    });
+
+    it('spends Relentless Endurance before the batched damage lands', () => {
+        rollQueue.push(18, 6, 18, 6); // two hits for 8 against 5 HP
+        const { results, dispatch } = run([
+            { type: 'npc_attack', attacker: 'Orc', damage: '1d6+2' },
+            { type: 'npc_attack', attacker: 'Orc', damage: '1d6+2' },
+        ], { race: 'halfOrc', currentHP: 5, classResources: { relentlessEndurance: { used: 0, max: 1 } } });
+        expect(results[0]).toMatchObject({ damage: 4, targetHp: 1, relentlessEndurance: true });
+        expect(results[1]).toMatchObject({ damage: 8, targetHp: 0 });
+        const types = dispatch.mock.calls.map(([action]) => action.type);
+        expect(types.indexOf('USE_RESOURCE')).toBeLessThan(types.indexOf('TAKE_DAMAGE'));
+        expect(dispatch).toHaveBeenCalledWith({ type: 'TAKE_DAMAGE', payload: 12 });
+    });
+});
+
+describe('Lucky feat luck points', () => {
+    const lucky = used => ({ feats: ['lucky'], classResources: { luckPoints: { used, max: 3 } } });
+    const resourceUses = dispatch => dispatch.mock.calls.filter(([action]) => action.type === 'USE_RESOURCE');
+
+    it('spends a point to reroll a failed check and keeps the better die', () => {
+        rollQueue.push(5, 14); // 5+3 fails DC 15; the luck point rolls 14 → 17
+        const { results, dispatch } = run([{ type: 'skill_check', skill: 'athletics', dc: 15 }], lucky(0));
+        expect(results[0]).toMatchObject({ rolled: 17, success: true });
+        expect(resourceUses(dispatch)).toEqual([[{ type: 'USE_RESOURCE', payload: 'luckPoints' }]]);
+        expect(messagesFrom(dispatch)).toContain('Luck point: d20 5, 14 → kept 14');
+    });
+
+    it('spends only the points left in the batch, and never on a success', () => {
+        rollQueue.push(3, 2, 4, 18); // fail, reroll lower (3 kept), fail with no point left, success
+        const { results, dispatch } = run([
+            { type: 'skill_check', skill: 'athletics', dc: 15 },
+            { type: 'saving_throw', skill: 'dexterity', dc: 15 },
+            { type: 'skill_check', skill: 'athletics', dc: 15 },
+        ], lucky(2));
+        expect(results.map(result => result.rolled)).toEqual([6, 5, 21]);
+        expect(resourceUses(dispatch)).toHaveLength(1);
+        expect(rollQueue).toHaveLength(0);
+    });
+});
+
+describe('haggle rolls settle the merchant before the DM narrates', () => {
+    const merchant = { id: 'm1', name: 'Brann', kind: 'smith', location: 'Harrowmere', stock: [], stockedAt: 0, haggle: null };
+    const haggleState = (overrides = {}) => () => ({
+        character: makeCharacter(),
+        inventory: [],
+        combat: { active: false, enemies: [] },
+        party: [],
+        messages: [],
+        currentLocation: 'Harrowmere',
+        locations: [],
+        merchants: [{ ...merchant, ...overrides }],
+    });
+    const haggle = [{ type: 'skill_check', skill: 'persuasion', dc: 12, description: 'Haggle with Brann', haggle: true, merchantId: 'm1' }];
+
+    it('dispatches RESOLVE_HAGGLE and hands the DM the engine\'s terms', async () => {
+        rollQueue.push(15); // 15 - 1 CHA = 14 vs DC 12
+        const dispatch = vi.fn();
+        const sendToLLM = vi.fn().mockResolvedValue({ requestedRolls: [] });
+        await handleRequestedRolls(haggle, { getState: haggleState(), dispatch, sendToLLM });
+        expect(dispatch).toHaveBeenCalledWith({ type: 'RESOLVE_HAGGLE', payload: { merchantId: 'm1', success: true, critical: false, margin: 2 } });
+        expect(sendToLLM.mock.calls[0][0]).toContain('HAGGLE: Brann now trades at prices 10% below list');
+    });
+
+    it('leaves settled terms alone', async () => {
+        rollQueue.push(20);
+        const dispatch = vi.fn();
+        const sendToLLM = vi.fn().mockResolvedValue({ requestedRolls: [] });
+        await handleRequestedRolls(haggle, { getState: haggleState({ haggle: { adjust: 0.1 } }), dispatch, sendToLLM });
+        expect(dispatch).not.toHaveBeenCalledWith(expect.objectContaining({ type: 'RESOLVE_HAGGLE' }));
+        expect(sendToLLM.mock.calls[0][0]).toContain('already settled on prices 10% above list');
+    });
+});
@@ -3,6 +3,10 @@
  * Handles stat calculations, skill checks, and combat math.
  */
 import { CLASSES } from '../data/classes.js';
+import { FEATS, sanitizeFeats } from '../data/feats.js';
+import { resolveRace } from '../data/races.js';
+import { effectAcBonus } from './activeEffects.js';
+import { DAMAGE_DEFENSE_KEYS, normalizeDamageTypeList } from './damageDefenses.js';
 
 /**
  * Calculate ability modifier from ability score.
@@ -24,6 +28,53 @@ export function getProficiencyBonus(level) {
     return 6;
 }
 
+/**
+ * Levels held in each class, first class first: `{ fighter: 3, wizard: 2 }`.
+ * `character.level` stays the total (proficiency, XP, cantrips); class
+ * features read their own class's level. A single-class hero — or a save
+ * whose `classLevels` does not add up to its level — is all one class.
+ * @returns {Object<string, number>}
+ */
+export function getClassLevels(character) {
+    if (!character?.class) return {};
+    const level = Math.max(1, Math.trunc(Number(character.level)) || 1);
+    const stored = character.classLevels;
+    if (stored && typeof stored === 'object' && !Array.isArray(stored)) {
+        const entries = Object.entries(stored).filter(([name, value]) => CLASSES[name] && Number.isInteger(value) && value > 0);
+        const total = entries.reduce((sum, [, value]) => sum + value, 0);
+        if (total === level && entries.some(([name]) => name === character.class)) {
+            return Object.fromEntries([
+                ...entries.filter(([name]) => name === character.class),
+                ...entries.filter(([name]) => name !== character.class),
+            ]);
+        }
+    }
+    return { [character.class]: level };
+}
+
+/** Levels in one class (0 when the hero has none). */
+export function getClassLevel(character, className) {
+    return getClassLevels(character)[className] || 0;
+}
+
+export function hasClass(character, className) {
+    return getClassLevel(character, className) > 0;
+}
+
+export function isMulticlassed(character) {
+    return Object.keys(getClassLevels(character)).length > 1;
+}
+
+/**
+ * Weapon proficiencies across the hero's classes: the first class's full
+ * list, plus the narrower `multiclass.weapons` of each class taken later.
+ */
+export function getWeaponProficiencies(character) {
+    return [...new Set(Object.keys(getClassLevels(character)).flatMap((name, index) => (index === 0
+        ? CLASSES[name]?.weaponProficiencies
+        : CLASSES[name]?.multiclass?.weapons) || []))];
+}
+
 /**
  * Calculate Armor Class.
  * @param {number} dexMod - Dexterity modifier
@@ -90,17 +141,19 @@ export function computeACFromInventory(inventory, character) {
         i.equipped && (i.type === 'shield' || i.isShield)
     ) || null;
 
-    const styleBonus = character.class === 'fighter'
+    const styleBonus = hasClass(character, 'fighter')
         && character.fightingStyle === 'defense'
         && equippedArmor
         ? 1
         : 0;
 
-    // Sustained self-buff (Mage Armor / Shield of Faith on self). Computed here so
-    // the character sheet, the DM prompt, and enemy attack rolls all see one AC.
-    const spellBonus = character.sustainedSpell?.targetType !== 'companion'
+    // Spell AC on the hero: a concentration buff on self (Shield of Faith) plus
+    // timed effects (Mage Armor). Computed here so the character sheet, the DM
+    // prompt, and enemy attack rolls all see one AC.
+    const concentrationBonus = character.sustainedSpell?.targetType !== 'companion'
         ? (character.sustainedSpell?.acBonus || 0)
         : 0;
+    const spellBonus = concentrationBonus + effectAcBonus(character.activeEffects);
 
     return getArmorClass(dexMod, equippedArmor, equippedShield) + styleBonus + spellBonus;
 }
@@ -133,7 +186,7 @@ export function getWeaponAbilityModifier(character, weapon = null) {
  */
 export function isProficientWithWeapon(character, weapon) {
     if (!weapon || !character) return true;
-    const profs = (CLASSES[character.class]?.weaponProficiencies || []).map(p => p.toLowerCase().trim());
+    const profs = getWeaponProficiencies(character).map(p => p.toLowerCase().trim());
     // normalizeItem passes non-catalog names through untouched, so a hand-edited
     // numeric name/category reaches here — coerce instead of crashing.
     const category = String(weapon.category || '').toLowerCase();
@@ -160,7 +213,7 @@ export function getWeaponAttackBonus(character, inventory = []) {
     const weapon = getEquippedWeapon(inventory);
     const abilityMod = getWeaponAbilityModifier(character, weapon);
     const proficient = isProficientWithWeapon(character, weapon);
-    const styleBonus = character?.class === 'fighter'
+    const styleBonus = hasClass(character, 'fighter')
         && character.fightingStyle === 'archery'
         && weapon?.ranged
         ? 2
@@ -176,7 +229,7 @@ export function getWeaponDamageNotation(character, inventory = [], fallback = '1
     const dice = weapon?.damage || fallback;
     const abilityMod = getWeaponAbilityModifier(character, weapon);
     const itemBonus = Math.min(3, weapon?.damageBonus || weapon?.magicBonus || 0);
-    const styleBonus = character?.class === 'fighter'
+    const styleBonus = hasClass(character, 'fighter')
         && character.fightingStyle === 'dueling'
         && weapon
         && !weapon.ranged
@@ -218,6 +271,18 @@ export const SKILL_ABILITIES = {
     survival: 'wisdom',
 };
 
+/**
+ * Proficiency added to a skill: doubled with expertise, whole when proficient,
+ * and half (rounded down) for a level 2+ Bard's Jack of All Trades otherwise.
+ */
+function skillProficiencyBonus(character, isProficient, hasExpertise) {
+    const profBonus = getProficiencyBonus(character.level);
+    if (hasExpertise) return profBonus * 2;
+    if (isProficient) return profBonus;
+    if (getClassLevel(character, 'bard') >= 2) return Math.floor(profBonus / 2);
+    return 0;
+}
+
 /**
  * Get the modifier for a specific skill.
  * @param {object} character - Character object with abilityScores and skillProficiencies
@@ -229,12 +294,10 @@ export function getSkillModifier(character, skill) {
     if (!ability) return 0;
 
     const abilityMod = getModifier(character.abilityScores[ability]);
-    const profBonus = getProficiencyBonus(character.level);
     const isProficient = character.skillProficiencies?.includes(skill) || false;
     const hasExpertise = character.expertiseSkills?.includes(skill) || false;
 
-    const profMultiplier = hasExpertise ? 2 : (isProficient ? 1 : 0);
-    return abilityMod + (profBonus * profMultiplier);
+    return abilityMod + skillProficiencyBonus(character, isProficient, hasExpertise);
 }
 
 /**
@@ -243,11 +306,9 @@ export function getSkillModifier(character, skill) {
 export function getAllSkills(character) {
     return Object.entries(SKILL_ABILITIES).map(([skill, ability]) => {
         const abilityMod = getModifier(character.abilityScores[ability]);
-        const profBonus = getProficiencyBonus(character.level);
         const isProficient = character.skillProficiencies?.includes(skill) || false;
         const hasExpertise = character.expertiseSkills?.includes(skill) || false;
-        const profMultiplier = hasExpertise ? 2 : (isProficient ? 1 : 0);
-        const total = abilityMod + (profBonus * profMultiplier);
+        const total = abilityMod + skillProficiencyBonus(character, isProficient, hasExpertise);
 
         return {
             skill,
@@ -282,7 +343,9 @@ export function getSavingThrowModifier(character, ability) {
  *   check           - the afflicted creature's ability/skill checks
  *   save            - the afflicted creature's saving throws
  *   incomingAttack  - attack rolls made AGAINST the afflicted creature
- * Values are 'advantage' | 'disadvantage'.
+ * Values are 'advantage' | 'disadvantage'. An optional `abilities` list limits
+ * the entry to rolls made with one of those abilities (when the caller knows
+ * the ability — a weapon attack is always Strength or Dexterity).
  */
 export const CONDITION_EFFECTS = {
     poisoned: { attack: 'disadvantage', check: 'disadvantage' },
@@ -296,6 +359,15 @@ export const CONDITION_EFFECTS = {
     stunned: { incomingAttack: 'advantage' },
     paralyzed: { incomingAttack: 'advantage' },
     unconscious: { incomingAttack: 'advantage' },
+    // Engine-derived from carried weight (getEncumbrance), never stored.
+    'heavily encumbered': { attack: 'disadvantage', check: 'disadvantage', save: 'disadvantage', abilities: ['strength', 'dexterity', 'constitution'] },
+    overloaded: { attack: 'disadvantage', check: 'disadvantage', save: 'disadvantage', abilities: ['strength', 'dexterity', 'constitution'] },
+    // Engine-derived from the survival rules' exhaustion level (getHeroConditions),
+    // never stored: checks suffer from level 1, attacks and saves from level 3.
+    ...Object.fromEntries([1, 2, 3, 4, 5, 6].map(level => [
+        `exhaustion ${level}`,
+        level >= 3 ? { attack: 'disadvantage', check: 'disadvantage', save: 'disadvantage' } : { check: 'disadvantage' },
+    ])),
 };
 
 /**
@@ -319,12 +391,15 @@ export function getIncapacitatingCondition(conditions) {
  * Collect condition-driven advantage/disadvantage for a roll kind.
  * @param {string[]} conditions - Active condition names (any casing)
  * @param {'attack'|'check'|'save'|'incomingAttack'} kind
+ * @param {string|null} ability - The roll's ability, when known
  * @returns {{ advantage: boolean, disadvantage: boolean, sources: string[] }}
  */
-export function getConditionRollEffects(conditions, kind) {
+export function getConditionRollEffects(conditions, kind, ability = null) {
     const result = { advantage: false, disadvantage: false, sources: [] };
     for (const raw of conditions || []) {
-        const effect = CONDITION_EFFECTS[String(raw).toLowerCase().trim()]?.[kind];
+        const entry = CONDITION_EFFECTS[String(raw).toLowerCase().trim()];
+        if (ability && entry?.abilities && !entry.abilities.includes(ability)) continue;
+        const effect = entry?.[kind];
         if (effect === 'advantage') {
             result.advantage = true;
             result.sources.push(raw);
@@ -336,6 +411,228 @@ export function getConditionRollEffects(conditions, kind) {
     return result;
 }
 
+/**
+ * The enforced racial mechanics for a character (race merged with subrace —
+ * see data/races.js for the keys). Unknown or missing race → {}.
+ */
+export function getRacialTraits(character) {
+    return resolveRace(character?.race, character?.subrace)?.mechanics || {};
+}
+
+/** Has the hero taken this feat (data/feats.js)? */
+export function hasFeat(character, key) {
+    return sanitizeFeats(character?.feats).includes(key);
+}
+
+/** The hero's feat definitions, in the order taken. */
+export function getFeats(character) {
+    return sanitizeFeats(character?.feats).map(key => ({ key, ...FEATS[key] }));
+}
+
+/**
+ * The feat that lets this weapon take a −5/+10 power attack — Great Weapon
+ * Master with a heavy melee weapon, Sharpshooter with a ranged one — or null.
+ */
+export function getPowerAttackFeat(character, weapon) {
+    const kind = weapon?.ranged ? 'ranged' : (weapon?.heavy ? 'heavy' : null);
+    return kind ? getFeats(character).find(feat => feat.powerAttack === kind) || null : null;
+}
+
+/** Extra max HP per character level from feats (Tough). */
+export function getFeatHitPointsPerLevel(feats) {
+    return sanitizeFeats(feats).reduce((sum, key) => sum + (FEATS[key].hpPerLevel || 0), 0);
+}
+
+/** DEX modifier plus any feat bonus (Alert) — what the hero adds to initiative. */
+export function getInitiativeModifier(character) {
+    const dexMod = getModifier(character?.abilityScores?.dexterity ?? 10);
+    return getFeats(character).reduce((sum, feat) => sum + (feat.initiativeBonus || 0), dexMod);
+}
+
+/**
+ * Whether a magic item's properties are working: attuned when it requires
+ * attunement, and equipped when it is a weapon, armor or a shield (a ring or
+ * cloak works from the pack). See magicItems.js.
+ */
+export function isMagicItemActive(item) {
+    if (!item || (item.requiresAttunement && !item.attuned)) return false;
+    const wielded = item.type === 'weapon' || item.type === 'armor' || item.type === 'shield' || item.isShield;
+    return !wielded || !!item.equipped;
+}
+
+/**
+ * The hero's typed damage defenses: racial resistances, whatever their own
+ * spell effects grant (a self-cast concentration spell or a timed effect), and
+ * the sets on active magic items. Returns the damageDefenses.js shape, omitting
+ * empty sets.
+ */
+export function characterDamageDefenses(character, inventory = []) {
+    const sustained = character?.sustainedSpell?.targetType !== 'companion' ? character?.sustainedSpell : null;
+    const items = (Array.isArray(inventory) ? inventory : []).filter(isMagicItemActive);
+    const sources = [getRacialTraits(character), sustained, ...(character?.activeEffects || []), ...items];
+    const defenses = {};
+    for (const key of DAMAGE_DEFENSE_KEYS) {
+        // Each source is validated on its own, so the per-set cap bounds one
+        // source rather than the hero's union.
+        const types = [...new Set(sources.flatMap(source => normalizeDamageTypeList(source?.[key])))];
+        if (types.length > 0) defenses[key] = types;
+    }
+    return defenses;
+}
+
+/**
+ * The Dragonborn breath weapon for this character, or null without a draconic
+ * ancestry: damage type, the target's save ability, the DC (8 + CON +
+ * proficiency) and the damage dice (2d6, growing at levels 6, 11 and 16).
+ */
+export function getBreathWeapon(character) {
+    const breath = getRacialTraits(character).breathWeapon;
+    if (!breath) return null;
+    const level = character.level || 1;
+    const dice = 2 + (level >= 6) + (level >= 11) + (level >= 16);
+    return {
+        ...breath,
+        dc: 8 + getModifier(character.abilityScores?.constitution ?? 10) + getProficiencyBonus(level),
+        notation: `${dice}d6`,
+    };
+}
+
+/** Pounds per coin: fifty coins of any metal weigh a pound. */
+const COINS_PER_POUND = 50;
+
+/**
+ * Encumbrance levels by carried weight against Strength (the PHB variant):
+ * past 5 × STR the hero is encumbered (-10 ft speed), past 10 × STR heavily
+ * encumbered (-20 ft and disadvantage on Strength, Dexterity and Constitution
+ * rolls), and past the 15 × STR carrying capacity overloaded — barely able to
+ * shuffle (5 ft) under the same disadvantage.
+ */
+export const ENCUMBRANCE_LEVELS = ['unencumbered', 'encumbered', 'heavily encumbered', 'overloaded'];
+
+/** Carrying capacity in pounds: 15 × Strength score. */
+export function getCarryingCapacity(character) {
+    return 15 * (character?.abilityScores?.strength ?? 10);
+}
+
+/** Pounds carried: every item's weight × quantity, plus coins. */
+export function getCarriedWeight(character, inventory = []) {
+    const items = (Array.isArray(inventory) ? inventory : []).reduce((sum, item) => {
+        const weight = Number(item?.weight);
+        return sum + (Number.isFinite(weight) && weight > 0 ? weight * (item.quantity || 1) : 0);
+    }, 0);
+    const coins = (character?.gold || 0) + (character?.silver || 0) + (character?.copper || 0);
+    return Math.round((items + coins / COINS_PER_POUND) * 100) / 100;
+}
+
+/**
+ * The hero's load: `{ carried, capacity, encumberedAt, heavilyEncumberedAt,
+ * level, speedPenalty, speed }`. `level` is one of ENCUMBRANCE_LEVELS; `speed`
+ * is the race speed after the penalty.
+ */
+export function getEncumbrance(character, inventory = []) {
+    const strength = character?.abilityScores?.strength ?? 10;
+    const carried = getCarriedWeight(character, inventory);
+    const capacity = getCarryingCapacity(character);
+    const encumberedAt = 5 * strength;
+    const heavilyEncumberedAt = 10 * strength;
+    const level = carried > capacity ? 'overloaded'
+        : carried > heavilyEncumberedAt ? 'heavily encumbered'
+            : carried > encumberedAt ? 'encumbered'
+                : 'unencumbered';
+    const baseSpeed = character?.speed || 30;
+    const speed = level === 'overloaded' ? Math.min(5, baseSpeed)
+        : Math.max(5, baseSpeed - (level === 'heavily encumbered' ? 20 : level === 'encumbered' ? 10 : 0));
+    return { carried, capacity, encumberedAt, heavilyEncumberedAt, level, speedPenalty: baseSpeed - speed, speed };
+}
+
+/** Six-level exhaustion (survival rules); level 6 is death. */
+export const EXHAUSTION_MAX = 6;
+
+/** What each exhaustion level adds, cumulatively (index = level). */
+export const EXHAUSTION_EFFECTS = [
+    null,
+    'disadvantage on ability checks',
+    'speed halved',
+    'disadvantage on attack rolls and saving throws',
+    'hit point maximum halved',
+    'speed reduced to 0',
+    'death',
+];
+
+/** The hero's exhaustion level, 0 when the survival rules never raised it. */
+export function getExhaustionLevel(character) {
+    const level = Math.trunc(Number(character?.exhaustion));
+    return Number.isFinite(level) ? Math.max(0, Math.min(EXHAUSTION_MAX, level)) : 0;
+}
+
+/** Every effect in force at this level, mildest first. */
+export function describeExhaustion(level) {
+    return EXHAUSTION_EFFECTS.slice(1, Math.max(0, Math.min(EXHAUSTION_MAX, level)) + 1);
+}
+
+/** The hero's hit point maximum as healing sees it — halved from exhaustion level 4. */
+export function getHeroMaxHP(character) {
+    const maxHP = character?.maxHP || 0;
+    return getExhaustionLevel(character) >= 4 ? Math.max(1, Math.floor(maxHP / 2)) : maxHP;
+}
+
+/** The hero's speed: the load's (getEncumbrance) plus feats (Mobile), then halved at exhaustion 2 and gone at 5. */
+export function getHeroSpeed(character, inventory = []) {
+    const load = getEncumbrance(character, inventory);
+    // An overloaded hero barely moves; Mobile's stride doesn't help.
+    const speed = load.level === 'overloaded' ? load.speed
+        : load.speed + getFeats(character).reduce((sum, feat) => sum + (feat.speedBonus || 0), 0);
+    const exhaustion = getExhaustionLevel(character);
+    return exhaustion >= 5 ? 0 : exhaustion >= 2 ? Math.floor(speed / 2) : speed;
+}
+
+/**
+ * The hero's conditions with their derived ones added: the stored list, plus
+ * 'heavily encumbered' or 'overloaded' when the load imposes disadvantage, and
+ * 'exhaustion N' while the survival rules' exhaustion level is above 0.
+ */
+export function getHeroConditions(character, inventory = []) {
+    const conditions = character?.conditions || [];
+    const { level } = getEncumbrance(character, inventory);
+    const exhaustion = getExhaustionLevel(character);
+    return [
+        ...conditions,
+        ...(level === 'heavily encumbered' || level === 'overloaded' ? [level] : []),
+        ...(exhaustion > 0 ? [`exhaustion ${exhaustion}`] : []),
+    ];
+}
+
+const skillToken = skill => String(skill || '').toLowerCase().replace(/[^a-z]/g, '');
+
+/**
+ * Condition effects on one of the hero's own rolls plus racial saving-throw
+ * advantage (Gnome Cunning) — the getConditionRollEffects shape, so it feeds
+ * combineRollModifiers unchanged. With the inventory, a heavy load counts too,
+ * and a skill check gains an active magic item's advantage on that skill.
+ * @param {object} character
+ * @param {'attack'|'check'|'save'} kind
+ * @param {string|null} ability - The roll's ability (a save's ability, a check's governing one)
+ * @param {object[]} inventory - The hero's inventory, for encumbrance and magic items
+ * @param {string|null} skill - A check's skill, for item skill advantage
+ */
+export function getCharacterRollEffects(character, kind, ability = null, inventory = [], skill = null) {
+    const result = getConditionRollEffects(getHeroConditions(character, inventory), kind, ability);
+    const saveAdvantage = getRacialTraits(character).saveAdvantage;
+    if (kind === 'save' && saveAdvantage?.abilities?.includes(ability)) {
+        result.advantage = true;
+        result.sources.push(saveAdvantage.source);
+    }
+    if (kind === 'check' && skill) {
+        const item = (Array.isArray(inventory) ? inventory : []).find(entry => isMagicItemActive(entry)
+            && entry.skillAdvantage?.some(granted => skillToken(granted) === skillToken(skill)));
+        if (item) {
+            result.advantage = true;
+            result.sources.push(item.name);
+        }
+    }
+    return result;
+}
+
 /**
  * Combine explicit roll flags with condition effects. 5e rule: any advantage +
  * any disadvantage cancel out to a straight roll, regardless of how many sources.
@@ -351,6 +648,20 @@ export function combineRollModifiers(rollAdvantage, rollDisadvantage, conditionE
     return { advantage: adv, disadvantage: dis, note };
 }
 
+/**
+ * Strikes per Attack action: two once a class reaches its Extra Attack level
+ * (Fighter, Ranger, Paladin at 5), otherwise one. Extra Attack from two
+ * classes does not stack.
+ * @param {object} character
+ * @returns {number}
+ */
+export function getAttacksPerAction(character) {
+    return Object.entries(getClassLevels(character)).some(([name, level]) => {
+        const extraAttackLevel = CLASSES[name]?.extraAttackLevel;
+        return extraAttackLevel && level >= extraAttackLevel;
+    }) ? 2 : 1;
+}
+
 /**
  * Calculate the number of Sneak Attack dice (d6) for a Rogue.
  * @param {object} character
@@ -361,12 +672,13 @@ export function combineRollModifiers(rollAdvantage, rollDisadvantage, conditionE
  * @returns {number} Number of d6 dice to roll
  */
 export function getSneakAttackDice(character, weapon, advantage, disadvantage, hasAlly) {
-    if (!character || character.class !== 'rogue') return 0;
+    const rogueLevel = getClassLevel(character, 'rogue');
+    if (rogueLevel === 0) return 0;
     const isFinesseOrRanged = !!(weapon?.finesse || weapon?.ranged);
     if (!isFinesseOrRanged) return 0;
     if (disadvantage) return 0;
     if (advantage || hasAlly) {
-        return Math.ceil((character.level || 1) / 2);
+        return Math.ceil(rogueLevel / 2);
     }
     return 0;
 }
@@ -377,10 +689,14 @@ export function getSneakAttackDice(character, weapon, advantage, disadvantage, h
  * @param {number} level - Character level
  * @param {number} conMod - Constitution modifier
  * @param {object} classData - Class data object with hitDie
+ * @param {number} bonusPerLevel - Flat HP per level on top (Hill Dwarf's Dwarven Toughness)
+ * @param {string[]} feats - The hero's feat keys (Tough adds 2 per level)
  * @returns {number} Maximum HP
  */
-export function getMaxHitPoints(className, level, conMod, classData) {
-    if (!classData || !Number.isFinite(classData.hitDie)) return 10 + conMod;
+export function getMaxHitPoints(className, level, conMod, classData, bonusPerLevel = 0, feats = []) {
+    // Tough's +2 per level stacks with the racial bonus (Hill Dwarf).
+    bonusPerLevel += getFeatHitPointsPerLevel(feats);
+    if (!classData || !Number.isFinite(classData.hitDie)) return 10 + conMod + bonusPerLevel;
 
     // Level 1: max hit die + CON mod
     // Subsequent levels: average hit die + CON mod per level.
@@ -389,7 +705,7 @@ export function getMaxHitPoints(className, level, conMod, classData) {
     const hitDie = classData.hitDie;
     const firstLevel = Math.max(1, hitDie + conMod);
     const perLevel = Math.max(1, Math.floor(hitDie / 2) + 1 + conMod);
-    return firstLevel + perLevel * (level - 1);
+    return firstLevel + perLevel * (level - 1) + bonusPerLevel * level;
 }
 
 // NOTE (2026-07-31 dead-code sweep): the classic 5/10/15/20/25/30 DC_TABLE was
@@ -11,6 +11,7 @@ import {
     getIncapacitatingCondition,
     combineRollModifiers,
     getSkillModifier,
+    getAttacksPerAction,
     getArmorClass,
     computeACFromInventory,
     getEquippedWeapon,
@@ -19,6 +20,15 @@ import {
     getWeaponDamageNotation,
     getSneakAttackDice,
     isProficientWithWeapon,
+    getBreathWeapon,
+    getCharacterRollEffects,
+    characterDamageDefenses,
+    getCarriedWeight,
+    getEncumbrance,
+    getHeroConditions,
+    getHeroMaxHP,
+    getHeroSpeed,
+    isMagicItemActive,
 } from './rules.js';
 
 const fighter = {
@@ -122,6 +132,23 @@ describe('getSkillModifier', () => {
         const rogue = { ...fighter, class: 'rogue', expertiseSkills: ['stealth'], skillProficiencies: ['stealth'] };
         expect(getSkillModifier(rogue, 'stealth')).toBe(1 + 2 * getProficiencyBonus(rogue.level));
     });
+
+    it('adds half proficiency to untrained skills for a level 2+ Bard (Jack of All Trades)', () => {
+        const bard = { ...fighter, class: 'bard', level: 5 };
+        // stealth: DEX +1, half of prof +3 rounds down to +1; trained athletics keeps full prof
+        expect(getSkillModifier(bard, 'stealth')).toBe(2);
+        expect(getSkillModifier(bard, 'athletics')).toBe(6);
+        expect(getSkillModifier({ ...bard, level: 1 }, 'stealth')).toBe(1);
+    });
+});
+
+describe('getAttacksPerAction', () => {
+    it('grants Extra Attack at 5 to Fighters, Rangers, and Paladins only', () => {
+        expect(getAttacksPerAction({ class: 'fighter', level: 5 })).toBe(2);
+        expect(getAttacksPerAction({ class: 'ranger', level: 5 })).toBe(2);
+        expect(getAttacksPerAction({ class: 'paladin', level: 4 })).toBe(1);
+        expect(getAttacksPerAction({ class: 'bard', level: 10 })).toBe(1);
+    });
 });
 
 describe('armor class', () => {
@@ -352,3 +379,126 @@ describe('getIncapacitatingCondition', () => {
         expect(getIncapacitatingCondition(null)).toBe(null);
     });
 });
+
+describe('racial roll effects and breath weapon', () => {
+    it('grants Gnome Cunning advantage only on mental saves', () => {
+        const gnome = { race: 'gnome', conditions: [] };
+        expect(getCharacterRollEffects(gnome, 'save', 'wisdom')).toMatchObject({ advantage: true, sources: ['Gnome Cunning'] });
+        expect(getCharacterRollEffects(gnome, 'save', 'dexterity').advantage).toBe(false);
+        expect(getCharacterRollEffects(gnome, 'check').advantage).toBe(false);
+    });
+
+    it('keeps condition effects alongside the racial ones', () => {
+        const poisoned = { race: 'gnome', conditions: ['poisoned'] };
+        const effects = getCharacterRollEffects(poisoned, 'check');
+        expect(effects.disadvantage).toBe(true);
+    });
+
+    it('scales breath weapon dice and DC with level and Constitution', () => {
+        const base = { race: 'dragonborn', subrace: 'blue', abilityScores: { constitution: 14 } };
+        expect(getBreathWeapon({ ...base, level: 1 })).toEqual({ damageType: 'lightning', save: 'dexterity', dc: 12, notation: '2d6' });
+        expect(getBreathWeapon({ ...base, level: 11 })).toMatchObject({ dc: 14, notation: '4d6' });
+        expect(getBreathWeapon({ race: 'dragonborn', level: 1 })).toBeNull();
+    });
+});
+
+describe('characterDamageDefenses', () => {
+    it('gathers race, own spell effects, and worn armor of resistance', () => {
+        const hero = {
+            race: 'tiefling',
+            sustainedSpell: { key: 'stoneskin', targetType: 'self', resistances: ['bludgeoning', 'piercing', 'slashing'] },
+            activeEffects: [{ key: 'ward', resistances: ['fire', 'cold'] }],
+        };
+        const inventory = [
+            { name: 'Chain Mail', type: 'armor', equipped: true, resistances: ['lightning'] },
+            { name: 'Spare Shield', type: 'shield', equipped: false, resistances: ['acid'] },
+        ];
+        expect(characterDamageDefenses(hero, inventory)).toEqual({
+            resistances: ['fire', 'bludgeoning', 'piercing', 'slashing', 'cold', 'lightning'],
+        });
+    });
+
+    it('ignores a companion\'s concentration buff and magic items that are not working', () => {
+        const hero = { race: 'human', sustainedSpell: { key: 'stoneskin', targetType: 'companion', resistances: ['slashing'] } };
+        const inventory = [
+            { name: 'Ring of Fire Resistance', type: 'gear', requiresAttunement: true, resistances: ['fire'] },
+            { name: 'Frost Brand', type: 'weapon', requiresAttunement: true, attuned: true, equipped: false, resistances: ['fire'] },
+        ];
+        expect(characterDamageDefenses(hero, inventory)).toEqual({});
+    });
+
+    it('lets an attuned ring work from the pack', () => {
+        const inventory = [{ name: 'Ring of Cold Resistance', type: 'gear', requiresAttunement: true, attuned: true, resistances: ['cold'] }];
+        expect(characterDamageDefenses({ race: 'human' }, inventory)).toEqual({ resistances: ['cold'] });
+    });
+});
+
+describe('isMagicItemActive', () => {
+    it('needs attunement when required, and a wielded item equipped', () => {
+        expect(isMagicItemActive({ type: 'gear', requiresAttunement: true })).toBe(false);
+        expect(isMagicItemActive({ type: 'gear', requiresAttunement: true, attuned: true })).toBe(true);
+        expect(isMagicItemActive({ type: 'weapon', requiresAttunement: true, attuned: true })).toBe(false);
+        expect(isMagicItemActive({ type: 'weapon', requiresAttunement: true, attuned: true, equipped: true })).toBe(true);
+        expect(isMagicItemActive({ type: 'armor', equipped: true })).toBe(true);
+    });
+
+    it('grants an attuned item\'s skill advantage on that skill\'s checks only', () => {
+        const boots = [{ name: 'Boots of Elvenkind', type: 'gear', requiresAttunement: true, attuned: true, skillAdvantage: ['stealth'] }];
+        const hero = { abilityScores: { strength: 10 }, conditions: [] };
+        expect(getCharacterRollEffects(hero, 'check', 'dexterity', boots, 'stealth')).toMatchObject({ advantage: true, sources: ['Boots of Elvenkind'] });
+        expect(getCharacterRollEffects(hero, 'check', 'dexterity', boots, 'acrobatics').advantage).toBe(false);
+        expect(getCharacterRollEffects(hero, 'save', 'dexterity', boots, 'stealth').advantage).toBe(false);
+        expect(getCharacterRollEffects(hero, 'check', 'dexterity', [{ ...boots[0], attuned: false }], 'stealth').advantage).toBe(false);
+    });
+});
+
+describe('encumbrance', () => {
+    const hero = { abilityScores: { strength: 10 }, speed: 30, gold: 0, silver: 0, copper: 0, conditions: [] };
+    const pack = pounds => [{ name: 'Load', weight: pounds, quantity: 1 }];
+
+    it('weighs items by quantity and coins at fifty to the pound', () => {
+        const inventory = [{ name: 'Javelin', weight: 2, quantity: 4 }, { name: 'Note', quantity: 3 }];
+        expect(getCarriedWeight({ ...hero, gold: 90, silver: 10 }, inventory)).toBe(10);
+    });
+
+    it('grades the load against 5x, 10x and 15x Strength and slows the hero', () => {
+        expect(getEncumbrance(hero, pack(50))).toMatchObject({ level: 'unencumbered', capacity: 150, speed: 30, speedPenalty: 0 });
+        expect(getEncumbrance(hero, pack(51))).toMatchObject({ level: 'encumbered', speed: 20 });
+        expect(getEncumbrance(hero, pack(101))).toMatchObject({ level: 'heavily encumbered', speed: 10 });
+        expect(getEncumbrance(hero, pack(151))).toMatchObject({ level: 'overloaded', speed: 5, speedPenalty: 25 });
+    });
+
+    it('adds disadvantage only to Strength, Dexterity and Constitution rolls and weapon attacks', () => {
+        expect(getHeroConditions(hero, pack(60))).toEqual([]);
+        const heavy = pack(120);
+        expect(getHeroConditions(hero, heavy)).toEqual(['heavily encumbered']);
+        expect(getCharacterRollEffects(hero, 'save', 'constitution', heavy).disadvantage).toBe(true);
+        expect(getCharacterRollEffects(hero, 'check', 'dexterity', heavy).disadvantage).toBe(true);
+        expect(getCharacterRollEffects(hero, 'save', 'wisdom', heavy).disadvantage).toBe(false);
+        expect(getCharacterRollEffects(hero, 'attack', null, heavy).disadvantage).toBe(true);
+        expect(getCharacterRollEffects(hero, 'attack').disadvantage).toBe(false);
+    });
+});
+
+describe('exhaustion', () => {
+    const hero = { abilityScores: { strength: 10 }, speed: 30, maxHP: 21, conditions: [] };
+
+    it('stacks disadvantage by level: checks from 1, attacks and saves from 3', () => {
+        const tired = { ...hero, exhaustion: 2 };
+        expect(getHeroConditions(tired)).toEqual(['exhaustion 2']);
+        expect(getCharacterRollEffects(tired, 'check', 'wisdom')).toMatchObject({ disadvantage: true, sources: ['exhaustion 2'] });
+        expect(getCharacterRollEffects(tired, 'save', 'wisdom').disadvantage).toBe(false);
+        const spent = { ...hero, exhaustion: 3 };
+        expect(getCharacterRollEffects(spent, 'save', 'wisdom').disadvantage).toBe(true);
+        expect(getCharacterRollEffects(spent, 'attack').disadvantage).toBe(true);
+    });
+
+    it('halves speed at 2 and the hit point maximum at 4, and stops the hero at 5', () => {
+        expect(getHeroSpeed({ ...hero, exhaustion: 1 })).toBe(30);
+        expect(getHeroSpeed({ ...hero, exhaustion: 2 }, [{ name: 'Load', weight: 60, quantity: 1 }])).toBe(10);
+        expect(getHeroSpeed({ ...hero, exhaustion: 5 })).toBe(0);
+        expect(getHeroMaxHP({ ...hero, exhaustion: 3 })).toBe(21);
+        expect(getHeroMaxHP({ ...hero, exhaustion: 4 })).toBe(10);
+        expect(getHeroMaxHP({ ...hero, exhaustion: 'junk' })).toBe(21);
+    });
+});
@@ -3,29 +3,92 @@
  *
  * The engine owns everything numeric here: slot bookkeeping, save DCs, attack
  * bonuses, cantrip scaling, and upcast dice. The DM only ever names a spell,
- * its targets, and optionally a slot level — never dice or outcomes.
+ * its targets, and optionally a slot level — never dice or outcomes. Spells
+ * stored in attuned magic items (magicItems.js) are castable through the same
+ * paths and pay with the item's charges.
+ *
+ * Multiclass casters (DECISIONS.md 2026-10-19) know each class's spells as if
+ * single-classed at that class's level, and cast them with that class's
+ * ability; their slots come from one combined table
+ * (getCharacterSpellSlotTable).
  */
 import { CLASSES } from '../data/classes.js';
 import { findSpell, SPELL_LIST } from '../data/spells.js';
-import { getModifier, getProficiencyBonus } from './rules.js';
+import { getClassLevels, getModifier, getProficiencyBonus, getRacialTraits } from './rules.js';
+import { getItemSpells } from './magicItems.js';
 
 export const MAX_SPELL_LEVEL = 5;
 
 export function isSpellcaster(className) {
-    return className === 'wizard' || className === 'cleric';
+    return !!CLASSES[className]?.spellcasting;
 }
 
 export function getCastingAbility(className) {
-    return CLASSES[className]?.primaryAbility || 'intelligence';
+    const def = CLASSES[className];
+    return def?.spellcastingAbility || def?.primaryAbility || 'intelligence';
+}
+
+/** True for the Warlock: pact slots share one level and come back on a short rest. */
+export function usesPactMagic(className) {
+    return CLASSES[className]?.spellcasting === 'pact';
+}
+
+/** The hero's spellcasting classes with their class levels, first class first: `[['wizard', 2]]`. */
+export function getSpellcastingClasses(character) {
+    return Object.entries(getClassLevels(character)).filter(([name]) => isSpellcaster(name));
+}
+
+/** Does any of the hero's classes cast spells? */
+export function isCharacterSpellcaster(character) {
+    return getSpellcastingClasses(character).length > 0;
+}
+
+/** The first spellcasting class the hero took, or null. */
+export function getPrimaryCastingClass(character) {
+    return getSpellcastingClasses(character)[0]?.[0] || null;
+}
+
+function clampLevel(level) {
+    return Math.max(1, Math.min(20, Math.trunc(level || 1)));
 }
 
 /**
- * Slots per spell level for a character level. Real 5e numbers for levels 1-10;
- * frozen afterward because RAW growth beyond 10 only feeds the 6th-9th level
- * slots this game deliberately cuts (rpg-balance-master spec 2026-07-17).
+ * Half casters (Ranger, Paladin): no slots at level 1, then the real 5e table,
+ * which never reaches past 5th-level slots.
  */
-export function getSpellSlotTable(level) {
-    const l = Math.max(1, Math.min(20, Math.trunc(level || 1)));
+function getHalfCasterSlotTable(l) {
+    if (l === 1) return {};
+    if (l === 2) return { 1: 2 };
+    if (l <= 4) return { 1: 3 };
+    if (l <= 6) return { 1: 4, 2: 2 };
+    if (l <= 8) return { 1: 4, 2: 3 };
+    if (l <= 10) return { 1: 4, 2: 3, 3: 2 };
+    if (l <= 12) return { 1: 4, 2: 3, 3: 3 };
+    if (l <= 14) return { 1: 4, 2: 3, 3: 3, 4: 1 };
+    if (l <= 16) return { 1: 4, 2: 3, 3: 3, 4: 2 };
+    if (l <= 18) return { 1: 4, 2: 3, 3: 3, 4: 3, 5: 1 };
+    return { 1: 4, 2: 3, 3: 3, 4: 3, 5: 2 };
+}
+
+/** Warlock Pact Magic: 1-4 slots, all of a single level that rises to 5th at 9. */
+function getPactSlotTable(l) {
+    const count = l >= 17 ? 4 : l >= 11 ? 3 : l >= 2 ? 2 : 1;
+    const slotLevel = Math.min(MAX_SPELL_LEVEL, Math.ceil(l / 2));
+    return { [slotLevel]: count };
+}
+
+/**
+ * Slots per spell level for a character level. Full casters use real 5e
+ * numbers for levels 1-10, frozen afterward because RAW growth beyond 10 only
+ * feeds the 6th-9th level slots this game deliberately cuts (rpg-balance-master
+ * spec 2026-07-17). `className` selects the half-caster or pact table; omitted,
+ * it is the full-caster table.
+ */
+export function getSpellSlotTable(level, className = null) {
+    const l = clampLevel(level);
+    const progression = CLASSES[className]?.spellcasting;
+    if (progression === 'half') return getHalfCasterSlotTable(l);
+    if (progression === 'pact') return getPactSlotTable(l);
     if (l === 1) return { 1: 2 };
     if (l === 2) return { 1: 3 };
     if (l === 3) return { 1: 4, 2: 2 };
@@ -38,20 +101,80 @@ export function getSpellSlotTable(level) {
     return { 1: 4, 2: 3, 3: 3, 4: 3, 5: 2 };
 }
 
-export function getMaxSpellLevel(level) {
-    return Math.max(...Object.keys(getSpellSlotTable(level)).map(Number));
+/**
+ * 5e multiclass spellcaster level: every full-caster level plus half of each
+ * half-caster class's levels, rounded down per class. Pact Magic never counts.
+ */
+export function getMulticlassCasterLevel(classLevels) {
+    return Object.entries(classLevels || {}).reduce((sum, [name, level]) => {
+        const progression = CLASSES[name]?.spellcasting;
+        if (progression === 'full') return sum + level;
+        if (progression === 'half') return sum + Math.floor(level / 2);
+        return sum;
+    }, 0);
+}
+
+/**
+ * The hero's slot table. One spellcasting class uses its own table at its
+ * class level, exactly as a single-classed caster; two or more share the
+ * full-caster table at the multiclass caster level. A Warlock's pact slots
+ * join the table at their pact level — one pool, with the short rest
+ * restoring just the pact share (getPactSlotShare).
+ */
+export function getCharacterSpellSlotTable(character) {
+    const casters = getSpellcastingClasses(character);
+    if (casters.length === 1) return getSpellSlotTable(casters[0][1], casters[0][0]);
+    const spellcasting = casters.filter(([name]) => !usesPactMagic(name));
+    const pact = casters.find(([name]) => usesPactMagic(name));
+    let table = {};
+    if (spellcasting.length === 1) {
+        table = { ...getSpellSlotTable(spellcasting[0][1], spellcasting[0][0]) };
+    } else if (spellcasting.length > 1) {
+        const casterLevel = getMulticlassCasterLevel(Object.fromEntries(spellcasting));
+        table = casterLevel > 0 ? { ...getSpellSlotTable(casterLevel) } : {};
+    }
+    if (pact) {
+        for (const [lvl, count] of Object.entries(getPactSlotTable(clampLevel(pact[1])))) {
+            table[lvl] = (table[lvl] || 0) + count;
+        }
+    }
+    return table;
+}
+
+/**
+ * The pact slots a multiclass Warlock's short rest restores: `{ level, count }`,
+ * or null without Warlock levels. A pure Warlock refills every slot instead.
+ */
+export function getPactSlotShare(character) {
+    const pact = getSpellcastingClasses(character).find(([name]) => usesPactMagic(name));
+    if (!pact) return null;
+    const [[level, count]] = Object.entries(getPactSlotTable(clampLevel(pact[1])));
+    return { level: Number(level), count };
+}
+
+/** Highest spell level castable at this character level; 0 (cantrips only) before any slots. */
+export function getMaxSpellLevel(level, className = null) {
+    const levels = Object.keys(getSpellSlotTable(level, className)).map(Number);
+    return levels.length > 0 ? Math.max(...levels) : 0;
 }
 
 /**
  * Build the per-level slot state for a character level. When `previous` is
  * given (level-up, save load), spent slots carry over clamped to the new max —
- * gaining a level never silently refills the day's magic.
+ * gaining a level never silently refills the day's magic. Pact slots move up a
+ * level as the Warlock does, so their spent count carries across levels.
  */
-export function buildSpellSlots(level, previous = null) {
-    const table = getSpellSlotTable(level);
+export function buildSpellSlots(level, previous = null, className = null) {
+    const pactUsed = usesPactMagic(className) && previous
+        ? Object.values(previous).reduce((sum, slot) => sum + (Number.isFinite(slot?.used) ? slot.used : 0), 0)
+        : null;
+    return slotsFromTable(getSpellSlotTable(level, className), previous, pactUsed);
+}
+
+function slotsFromTable(table, previous, pactUsed = null) {
     const slots = {};
     for (const [lvl, max] of Object.entries(table)) {
-        const prevUsed = previous?.[lvl]?.used;
+        const prevUsed = pactUsed ?? previous?.[lvl]?.used;
         slots[lvl] = {
             used: Number.isFinite(prevUsed) ? Math.max(0, Math.min(max, Math.trunc(prevUsed))) : 0,
             max,
@@ -61,35 +184,142 @@ export function buildSpellSlots(level, previous = null) {
 }
 
 /** Sanitize a loaded/LLM-supplied slot state against the authoritative table. */
-export function sanitizeSpellSlots(level, value) {
-    return buildSpellSlots(level, value && typeof value === 'object' ? value : null);
+export function sanitizeSpellSlots(level, value, className = null) {
+    return buildSpellSlots(level, value && typeof value === 'object' ? value : null, className);
+}
+
+/**
+ * buildSpellSlots for a whole hero: a single-classed caster's own table, a
+ * multiclass caster's combined one (spent slots carry per level), or null
+ * for a hero with no spellcasting class.
+ */
+export function buildCharacterSpellSlots(character, previous = null) {
+    const casters = getSpellcastingClasses(character);
+    if (casters.length === 0) return null;
+    const carried = previous && typeof previous === 'object' ? previous : null;
+    if (casters.length === 1) return buildSpellSlots(casters[0][1], carried, casters[0][0]);
+    return slotsFromTable(getCharacterSpellSlotTable(character), carried);
+}
+
+/** The class whose list grants this spell at its class level, or null. */
+function grantingClass(character, spell) {
+    return getSpellcastingClasses(character)
+        .find(([name, level]) => spell.classes.includes(name) && spell.level <= getMaxSpellLevel(level, name))?.[0] || null;
+}
+
+/** True when one of the character's class lists grants this spell at that class's level. */
+function knowsFromClass(character, spell) {
+    return !!grantingClass(character, spell);
+}
+
+/**
+ * Racial innate spells castable at the character's level (High Elf cantrip,
+ * Tiefling Infernal Legacy): `{ spell, grant }` pairs. `grant.ability` is the
+ * casting ability; a leveled grant names the racial `resource` that pays for
+ * it and the fixed `slotLevel` it is cast at.
+ */
+export function getInnateSpells(character) {
+    const level = character?.level || 1;
+    return (getRacialTraits(character).innateSpells || [])
+        .filter(grant => level >= (grant.minLevel || 1))
+        .map(grant => ({ spell: findSpell(grant.spell), grant }))
+        .filter(entry => entry.spell);
 }
 
-export function getSpellSaveDC(character) {
-    const ability = getCastingAbility(character?.class);
+/** The innate grant behind this spell for this character, or null. */
+export function getInnateGrant(character, spell) {
+    return getInnateSpells(character).find(entry => entry.spell.key === spell?.key)?.grant || null;
+}
+
+/**
+ * The ability a cast uses: the class's casting ability for a class spell,
+ * the grant's ability for a spell known only innately.
+ */
+function castingAbilityFor(character, spell) {
+    const className = spell ? grantingClass(character, spell) : null;
+    if (spell && !className) {
+        const grant = getInnateGrant(character, spell);
+        if (grant?.ability) return grant.ability;
+    }
+    return getCastingAbility(className || getPrimaryCastingClass(character) || character?.class);
+}
+
+/**
+ * Spell save DC; pass the spell so an innate racial cast uses its own ability
+ * and an item cast (asItemCast) its item's fixed DC.
+ */
+export function getSpellSaveDC(character, spell = null) {
+    if (spell?.itemCast) return spell.itemCast.saveDc;
+    const ability = castingAbilityFor(character, spell);
     return 8 + getProficiencyBonus(character?.level || 1) + getModifier(character?.abilityScores?.[ability] || 10);
 }
 
-export function getSpellAttackBonus(character) {
-    const ability = getCastingAbility(character?.class);
+/** A class feature's save DC on that class's casting ability (a multiclass Cleric's Turn Undead). */
+export function getClassSpellSaveDC(character, className) {
+    return 8 + getProficiencyBonus(character?.level || 1) + getModifier(character?.abilityScores?.[getCastingAbility(className)] || 10);
+}
+
+/** Spell attack bonus; pass the spell as for getSpellSaveDC. */
+export function getSpellAttackBonus(character, spell = null) {
+    if (spell?.itemCast) return spell.itemCast.attackBonus;
+    const ability = castingAbilityFor(character, spell);
     return getProficiencyBonus(character?.level || 1) + getModifier(character?.abilityScores?.[ability] || 10);
 }
 
-/** All catalog spells this character can know at their level (slots permitting). */
+/** All catalog spells this character can know at their level (slots permitting), innate ones included. */
 export function getKnownSpells(character) {
-    if (!isSpellcaster(character?.class)) return [];
-    const maxLevel = getMaxSpellLevel(character.level || 1);
-    return SPELL_LIST.filter(spell =>
-        spell.classes.includes(character.class) && spell.level <= maxLevel);
+    const fromClass = isCharacterSpellcaster(character)
+        ? SPELL_LIST.filter(spell => knowsFromClass(character, spell))
+        : [];
+    const known = new Set(fromClass.map(spell => spell.key));
+    const innate = getInnateSpells(character)
+        .map(entry => entry.spell)
+        .filter(spell => !known.has(spell.key));
+    return [...fromClass, ...innate];
 }
 
-/** Resolve a DM/player spell reference for this character, or null. */
-export function resolveSpellForCharacter(character, ref) {
+/** The active item grant (getItemSpells) that can pay for this spell right now, or null. */
+export function getItemSpellGrant(inventory, spell) {
+    return getItemSpells(inventory)
+        .map(entry => (entry.spell.key === spell?.key ? entry.grant : null))
+        .find(grant => grant && grant.remaining >= grant.cost) || null;
+}
+
+/**
+ * Resolve a DM/player spell reference for this character, or null. With the
+ * inventory, spells stored in the hero's active magic items resolve too.
+ */
+export function resolveSpellForCharacter(character, ref, inventory = []) {
     const spell = findSpell(ref);
-    if (!spell || !isSpellcaster(character?.class)) return null;
-    if (!spell.classes.includes(character.class)) return null;
-    if (spell.level > getMaxSpellLevel(character.level || 1)) return null;
-    return spell;
+    if (!spell) return null;
+    if (knowsFromClass(character, spell) || getInnateGrant(character, spell)) return spell;
+    if (getItemSpells(inventory).some(entry => entry.spell.key === spell.key)) return spell;
+    return null;
+}
+
+/**
+ * How a cast is paid for: `{ slotLevel, resource, item? }`. Cantrips cost
+ * nothing (level 0). An innate racial spell spends its unspent racial charge
+ * at the grant's fixed level first; then a magic item holding the spell pays
+ * with its charges at the spell's own level (`item` is the getItemSpells
+ * grant) unless an upcast was asked for; otherwise a class spell takes a slot
+ * through chooseSlotLevel, with the item as the fallback. Null when nothing
+ * can pay.
+ */
+export function chooseSpellPayment(character, spellSlots, spell, requestedLevel = null, classResources = character?.classResources, inventory = []) {
+    if (!spell) return null;
+    if (spell.level === 0) return { slotLevel: 0, resource: null };
+    const grant = getInnateGrant(character, spell);
+    const charge = grant?.resource ? classResources?.[grant.resource] : null;
+    if (charge && charge.used < charge.max) {
+        return { slotLevel: Math.max(spell.level, grant.slotLevel || spell.level), resource: grant.resource };
+    }
+    const itemGrant = getItemSpellGrant(inventory, spell);
+    const itemPayment = itemGrant ? { slotLevel: spell.level, resource: null, item: itemGrant } : null;
+    const upcast = Number.isFinite(requestedLevel) && Math.trunc(requestedLevel) > spell.level;
+    if (itemPayment && !upcast) return itemPayment;
+    const slotLevel = knowsFromClass(character, spell) ? chooseSlotLevel(spellSlots, spell, requestedLevel) : null;
+    return slotLevel === null ? itemPayment : { slotLevel, resource: null };
 }
 
 /**
@@ -145,11 +375,18 @@ function buildNotation(block, character, spell, slotLevel) {
     }
     let modifier = parsed.modifier;
     if (block.addAbilityMod) {
-        modifier += getModifier(character?.abilityScores?.[getCastingAbility(character?.class)] || 10);
+        modifier += getModifier(character?.abilityScores?.[castingAbilityFor(character, spell)] || 10);
     }
     return `${count}d${parsed.sides}${modifier ? (modifier > 0 ? `+${modifier}` : `${modifier}`) : ''}`;
 }
 
+/** How many named targets a cast resolves against: an area's cap, 3, or 1. */
+export function spellTargetLimit(spell) {
+    const targeting = spell?.targeting;
+    if (targeting?.mode === 'area') return Math.max(1, targeting.maxTargets || 1);
+    return targeting?.mode === 'upTo3' ? 3 : 1;
+}
+
 /** Final damage notation for a cast (cantrip scaling / upcast / ability mod applied). */
 export function spellDamageNotation(spell, character, slotLevel) {
     return spell?.damage ? buildNotation(spell.damage, character, spell, slotLevel) : null;
@@ -198,25 +435,49 @@ export function summarizeSpellSlots(spellSlots) {
 
 /** Compact spell catalog + slot state block for the DM prompt's character section. */
 export function describeSpellcastingForPrompt(character) {
-    if (!isSpellcaster(character?.class) || !character.spellSlots) return '';
-    const known = getKnownSpells(character);
+    const caster = isCharacterSpellcaster(character) && !!character.spellSlots;
+    const known = getKnownSpells(character).filter(spell => caster || getInnateGrant(character, spell));
+    // A level-1 Ranger or Paladin has no slots and no cantrips yet.
+    if (known.length === 0) return '';
     const targetingTag = targeting => {
         if (!targeting) return '';
         if (targeting.side === 'self') return ', self';
         const noun = targeting.side === 'ally' ? 'ally' : 'foe';
         if (targeting.mode === 'upTo3') return `, up to 3 ${noun === 'ally' ? 'allies' : 'foes'}`;
+        if (targeting.mode === 'area') return `, AREA — every foe caught, up to ${targeting.maxTargets}`;
         return `, ONE ${noun}`;
     };
+    const innateCost = spell => {
+        const grant = caster && knowsFromClass(character, spell) ? null : getInnateGrant(character, spell);
+        if (!grant) return null;
+        if (spell.level === 0) return 'innate cantrip, at will';
+        return `innate, once per long rest as level ${Math.max(spell.level, grant.slotLevel || spell.level)}`;
+    };
     const lines = known.map(spell => {
-        const cost = spell.level === 0 ? 'cantrip, at will' : `level ${spell.level} slot`;
+        const cost = innateCost(spell) || (spell.level === 0 ? 'cantrip, at will' : `level ${spell.level} slot`);
         const timing = spell.castTime === 'bonus' ? ', bonus action' : '';
         const scope = spell.combatAvailable && spell.outOfCombatAvailable
             ? ''
             : spell.combatAvailable ? ' [combat only]' : ' [out of combat only]';
         return `- ${spell.name} (${cost}${timing}${targetingTag(spell.targeting)})${scope}: ${spell.summary}`;
     });
+    if (!caster) {
+        // Innate racial magic only: DC and attack come from the grant's ability.
+        const first = known[0];
+        return [
+            `Innate racial spellcasting (no spell slots): spell save DC ${getSpellSaveDC(character, first)}, spell attack +${getSpellAttackBonus(character, first)}.`,
+            ...lines,
+        ].join('\n');
+    }
+    const casters = getSpellcastingClasses(character);
+    const castingStats = casters.length > 1
+        ? `By class — ${casters.map(([name]) => {
+            const dc = getClassSpellSaveDC(character, name);
+            return `${CLASSES[name].name}: spell save DC ${dc}, spell attack +${dc - 8}`;
+        }).join('; ')}.`
+        : `Spell save DC ${getSpellSaveDC(character)}, spell attack +${getSpellAttackBonus(character)}.`;
     return [
-        `Spell slots remaining: ${summarizeSpellSlots(character.spellSlots)}. Spell save DC ${getSpellSaveDC(character)}, spell attack +${getSpellAttackBonus(character)}.`,
+        `Spell slots remaining: ${summarizeSpellSlots(character.spellSlots)}. ${castingStats}`,
         ...lines,
     ].join('\n');
 }
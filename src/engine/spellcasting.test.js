@@ -5,17 +5,23 @@ import {
     cantripDiceCount,
     chooseSlotLevel,
     describeSpellcastingForPrompt,
+    getCharacterSpellSlotTable,
+    getClassSpellSaveDC,
     getKnownSpells,
     getMaxSpellLevel,
+    getMulticlassCasterLevel,
+    getPactSlotShare,
     getSpellAttackBonus,
     getSpellSaveDC,
     getSpellSlotTable,
+    isCharacterSpellcaster,
     isSpellcaster,
     refillSpellSlots,
     resolveSpellForCharacter,
     sanitizeSpellSlots,
     spellDamageNotation,
     spellHealingNotation,
+    spellTargetLimit,
     spendSpellSlot,
     summarizeSpellSlots,
 } from './spellcasting.js';
@@ -58,6 +64,7 @@ describe('spell catalog integrity', () => {
             if (spell.healing) expect(spell.healing.dice).toMatch(/^\d+d\d+([+-]\d+)?$/);
             // Save-resolution spells never target allies — only enemies have saves in v1.
             if (spell.resolution === 'save') expect(spell.targeting.side).toBe('enemy');
+            if (spell.targeting.mode === 'area') expect(spell.targeting.maxTargets).toBeGreaterThan(1);
         }
     });
 
@@ -101,6 +108,59 @@ describe('slot table', () => {
     });
 });
 
+describe('class slot progressions', () => {
+    it('gives half casters no slots at level 1 and the real table after', () => {
+        expect(getSpellSlotTable(1, 'paladin')).toEqual({});
+        expect(getMaxSpellLevel(1, 'paladin')).toBe(0);
+        expect(getSpellSlotTable(2, 'ranger')).toEqual({ 1: 2 });
+        expect(getSpellSlotTable(5, 'paladin')).toEqual({ 1: 4, 2: 2 });
+        expect(getSpellSlotTable(20, 'ranger')).toEqual({ 1: 4, 2: 3, 3: 3, 4: 3, 5: 2 });
+    });
+
+    it('gives the Warlock a few pact slots that all share one rising level', () => {
+        expect(getSpellSlotTable(1, 'warlock')).toEqual({ 1: 1 });
+        expect(getSpellSlotTable(3, 'warlock')).toEqual({ 2: 2 });
+        expect(getSpellSlotTable(9, 'warlock')).toEqual({ 5: 2 });
+        expect(getSpellSlotTable(17, 'warlock')).toEqual({ 5: 4 });
+        // A level 1 spell from a level 3 pact slot is automatically upcast.
+        expect(chooseSlotLevel(buildSpellSlots(5, null, 'warlock'), findSpell('hex'))).toBe(3);
+    });
+
+    it('casts with the class spellcasting ability, not the primary one', () => {
+        const paladin = { class: 'paladin', level: 5, abilityScores: { strength: 16, charisma: 14 } };
+        expect(isSpellcaster('paladin')).toBe(true);
+        expect(isSpellcaster('rogue')).toBe(false);
+        expect(getSpellSaveDC(paladin)).toBe(13); // 8 + prof 3 + CHA 2
+        expect(spellHealingNotation(findSpell('cure wounds'), paladin, 1)).toBe('1d8+2');
+    });
+});
+
+describe('multiclass spellcasting', () => {
+    it('pools full and half casters at the multiclass caster level', () => {
+        expect(getMulticlassCasterLevel({ wizard: 3, paladin: 5, fighter: 2 })).toBe(5);
+        const clericPaladin = { class: 'cleric', level: 6, classLevels: { cleric: 3, paladin: 3 } };
+        expect(getCharacterSpellSlotTable(clericPaladin)).toEqual(getSpellSlotTable(4));
+        // A lone casting class keeps its own table: a Fighter 3 / Paladin 2 is a level 2 Paladin.
+        const fighterPaladin = { class: 'fighter', level: 5, classLevels: { fighter: 3, paladin: 2 } };
+        expect(getCharacterSpellSlotTable(fighterPaladin)).toEqual({ 1: 2 });
+        expect(isCharacterSpellcaster({ class: 'fighter', level: 4, classLevels: { fighter: 3, rogue: 1 } })).toBe(false);
+    });
+
+    it('adds pact slots to the pool and names the share a short rest restores', () => {
+        const hexblade = { class: 'paladin', level: 5, classLevels: { paladin: 2, warlock: 3 } };
+        expect(getCharacterSpellSlotTable(hexblade)).toEqual({ 1: 2, 2: 2 });
+        expect(getPactSlotShare(hexblade)).toEqual({ level: 2, count: 2 });
+        expect(getPactSlotShare(wizard(5))).toBeNull();
+    });
+
+    it('casts each class\'s spells with that class\'s ability', () => {
+        const mystic = wizard(4, { classLevels: { wizard: 2, cleric: 2 }, abilityScores: { ...wizard().abilityScores, wisdom: 14 } });
+        expect(getClassSpellSaveDC(mystic, 'wizard')).toBe(13); // 8 + prof 2 + INT 3
+        expect(getClassSpellSaveDC(mystic, 'cleric')).toBe(12); // 8 + prof 2 + WIS 2
+        expect(describeSpellcastingForPrompt(mystic)).toContain('Wizard: spell save DC 13');
+    });
+});
+
 describe('casting math', () => {
     it('computes save DC and attack bonus from the casting ability', () => {
         expect(getSpellSaveDC(wizard(5))).toBe(14); // 8 + prof 3 + INT 3
@@ -178,4 +238,12 @@ describe('known spells and prompt block', () => {
         expect(block).toContain('L1 4/4');
         expect(describeSpellcastingForPrompt({ class: 'rogue', level: 5 })).toBe('');
     });
+
+    it('caps area spells by their blast, not by the three-target rule', () => {
+        expect(spellTargetLimit(findSpell('fireball'))).toBe(6);
+        expect(spellTargetLimit(findSpell('flame strike'))).toBe(4);
+        expect(spellTargetLimit(findSpell('scorching ray'))).toBe(3);
+        expect(spellTargetLimit(findSpell('sleep'))).toBe(1);
+        expect(describeSpellcastingForPrompt(wizard(5))).toContain('AREA — every foe caught, up to 6');
+    });
 });
@@ -0,0 +1,147 @@
+/**
+ * Survival rules — hunger, thirst, cold and forced marches feeding six-level
+ * exhaustion (DECISIONS.md 2026-10-19).
+ *
+ * Optional per campaign: `session.survivalRules` decides — pinned from the
+ * preset when the campaign starts, switchable in Settings — and an older
+ * campaign that never chose follows the Grimdark Survival preset. The exhaustion level's
+ * penalties live in rules.js (getHeroConditions, getHeroMaxHP, getHeroSpeed)
+ * so every roll and heal honors them whether or not the rules are still on;
+ * this module settles one day at a time. The reducer (SURVIVAL_UPKEEP in
+ * handlers/resources.js) decides what the hero ate and drank and spends it.
+ *
+ * Days, not hours: a day without a meal counts toward the CON-based grace
+ * before hunger bites, a day without water costs a level outright, and a
+ * winter day in the open is one DC 10 Constitution save rather than one an
+ * hour. Cold-weather gear or cold resistance skips that save.
+ */
+import { normalizeItemKey } from '../data/items.js';
+import { hasLucky, rollD20Kept } from './combatMath.js';
+import {
+    characterDamageDefenses,
+    combineRollModifiers,
+    describeExhaustion,
+    EXHAUSTION_MAX,
+    getCharacterRollEffects,
+    getExhaustionLevel,
+    getHeroMaxHP,
+    getModifier,
+    getSavingThrowModifier,
+} from './rules.js';
+
+export const COLD_SAVE_DC = 10;
+/** A lost leg walked anyway: four hours past the eighth. */
+export const FORCED_MARCH_DC = 14;
+/** A day's modest meals bought in a settlement when the pack holds no rations. */
+export const SETTLED_MEAL_CP = 30;
+/** One waterskin carries one day's water in this abstraction. */
+export const WATERSKIN_DAYS = 1;
+
+const SETTLED_TYPES = ['haven', 'settlement'];
+
+/** Does this campaign play with the survival rules? */
+export function isSurvivalEnabled(state) {
+    const chosen = state?.session?.survivalRules;
+    return typeof chosen === 'boolean' ? chosen : state?.settings?.preset === 'grimdark';
+}
+
+/** Havens and settlements feed, water and shelter the hero; anywhere else is the open. */
+export function isSettledPlace(record) {
+    return SETTLED_TYPES.includes(record?.type);
+}
+
+/** Days the hero can go without food before each further one costs a level. */
+export function foodGraceDays(character) {
+    return Math.max(1, 3 + getModifier(character?.abilityScores?.constitution ?? 10));
+}
+
+function countCarried(inventory, key) {
+    return (inventory || [])
+        .filter(item => normalizeItemKey(item?.itemKey || item?.name) === key)
+        .reduce((sum, item) => sum + (item.quantity || 1), 0);
+}
+
+/** Days of water the hero's waterskins can hold. */
+export function waterCapacity(inventory) {
+    return countCarried(inventory, 'waterskin') * WATERSKIN_DAYS;
+}
+
+/** Days of water in the skins now; a hero never tracked starts with them full. */
+export function waterCarried(character, inventory) {
+    const capacity = waterCapacity(inventory);
+    const stored = Math.trunc(Number(character?.waterDays));
+    return Number.isFinite(stored) ? Math.max(0, Math.min(capacity, stored)) : capacity;
+}
+
+/** Cold-weather gear in the pack, or resistance to cold, spares the hero the winter save. */
+export function isProtectedFromCold(character, inventory) {
+    return countCarried(inventory, 'coldWeatherGear') > 0
+        || (characterDamageDefenses(character, inventory).resistances || []).includes('cold');
+}
+
+/** A Constitution save against the elements: `{ total, natural, dc, success }`. */
+export function rollEnduranceSave(character, inventory, dc, description) {
+    const modifiers = combineRollModifiers(false, false, getCharacterRollEffects(character, 'save', 'constitution', inventory));
+    const { roll, natural } = rollD20Kept(getSavingThrowModifier(character, 'constitution'), description, modifiers.advantage, modifiers.disadvantage, { lucky: hasLucky(character) });
+    return { total: roll.total, natural, dc, success: roll.total >= dc };
+}
+
+/**
+ * Set the hero's exhaustion level (clamped 0–6). Hit points above the halved
+ * maximum of level 4 are lost with it; death at 6 is the reducer's to apply.
+ */
+export function withExhaustion(character, level) {
+    const exhaustion = Math.max(0, Math.min(EXHAUSTION_MAX, Math.trunc(level) || 0));
+    const next = { ...character, exhaustion };
+    return { ...next, currentHP: Math.min(next.currentHP ?? 0, getHeroMaxHP(next)) };
+}
+
+/**
+ * Settle one day. `fed` and `watered` are what the reducer found for the
+ * hero; `cold` is a winter day in the open; `forcedMarch` a lost leg walked
+ * anyway. Returns the updated hero, the levels gained, and the saves rolled.
+ */
+export function resolveSurvivalDay(character, { fed, watered, cold = false, forcedMarch = false, inventory = [] }) {
+    const before = getExhaustionLevel(character);
+    const daysWithoutFood = fed ? 0 : (character.daysWithoutFood || 0) + 1;
+    const daysWithoutWater = watered ? 0 : (character.daysWithoutWater || 0) + 1;
+    const saves = [];
+    let gained = 0;
+    if (daysWithoutFood > foodGraceDays(character)) gained += 1;
+    if (!watered) gained += before > 0 ? 2 : 1;
+    if (cold && !isProtectedFromCold(character, inventory)) {
+        const save = rollEnduranceSave(character, inventory, COLD_SAVE_DC, 'Constitution save (cold)');
+        saves.push({ label: 'cold', ...save });
+        if (!save.success) gained += 1;
+    }
+    if (forcedMarch) {
+        const save = rollEnduranceSave(character, inventory, FORCED_MARCH_DC, 'Constitution save (forced march)');
+        saves.push({ label: 'forced march', ...save });
+        if (!save.success) gained += 1;
+    }
+    return {
+        character: withExhaustion({ ...character, daysWithoutFood, daysWithoutWater }, before + gained),
+        gained,
+        saves,
+    };
+}
+
+/** A long rest lifts one level — with the survival rules on, only after a day with food and water. */
+export function canRecoverExhaustion(character, survivalOn) {
+    if (getExhaustionLevel(character) === 0) return false;
+    return !survivalOn || (!(character.daysWithoutFood > 0) && !(character.daysWithoutWater > 0));
+}
+
+/** The prompt's SURVIVAL block for a campaign playing the survival rules. */
+export function buildSurvivalBlock(character, inventory = []) {
+    if (!character) return '';
+    const exhaustion = getExhaustionLevel(character);
+    const hunger = character.daysWithoutFood > 0
+        ? `${character.daysWithoutFood} day${character.daysWithoutFood === 1 ? '' : 's'} without food (exhaustion sets in past ${foodGraceDays(character)})`
+        : 'fed';
+    const water = waterCapacity(inventory) > 0
+        ? `${waterCarried(character, inventory)} of ${waterCapacity(inventory)} days of water in the skins`
+        : 'no waterskin';
+    return `## SURVIVAL
+This campaign plays with survival rules, run by the engine: every day eats a ration and drinks water, winter in the open calls for Constitution saves, and hardship raises exhaustion (1–6; 6 is death). The hero: exhaustion ${exhaustion} of ${EXHAUSTION_MAX}${exhaustion > 0 ? ` (${describeExhaustion(exhaustion).join('; ')})` : ''}; ${hunger}; ${character.daysWithoutWater > 0 ? 'parched; ' : ''}${water}. Lines starting "**Survival —" in the history are ALREADY applied — let hunger, thirst and cold show in the narration, but never emit items_lost for rations or water, nor "exhaustion" for them. A hardship the engine cannot see (a sleepless night, a drowning) may emit "exhaustion" in conditions_gained: the engine adds one level.`;
+}
@@ -0,0 +1,105 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+const { rollQueue } = vi.hoisted(() => ({ rollQueue: [] }));
+
+vi.mock('./dice.ts', () => {
+    const draw = () => {
+        if (!rollQueue.length) throw new Error('dice queue exhausted — a test under-queued its rolls');
+        return rollQueue.shift();
+    };
+    return {
+        rollDie: () => draw(),
+        rollDice: count => Array.from({ length: count }, draw),
+        rollWithModifier: (count, sides, modifier = 0, description = '') => {
+            const rolls = Array.from({ length: count }, draw);
+            const subtotal = rolls.reduce((sum, value) => sum + value, 0);
+            return { id: 'survival-roll', timestamp: 0, notation: `${count}d${sides}`, dice: { count, sides }, rolls, subtotal, modifier, total: subtotal + modifier, description };
+        },
+    };
+});
+
+import {
+    buildSurvivalBlock,
+    canRecoverExhaustion,
+    foodGraceDays,
+    isSurvivalEnabled,
+    resolveSurvivalDay,
+    waterCarried,
+    withExhaustion,
+} from './survival.js';
+
+// CON 14 (+2, not proficient): food grace 5 days, saves at +2.
+const hero = { name: 'Astra', level: 1, maxHP: 12, currentHP: 12, abilityScores: { constitution: 14 }, savingThrowProficiencies: [], conditions: [] };
+const skins = quantity => [{ id: 'skin-1', itemKey: 'waterskin', name: 'Waterskin', type: 'gear', quantity }];
+
+beforeEach(() => {
+    rollQueue.length = 0;
+});
+
+describe('the survival toggle', () => {
+    it('follows the campaign choice, then the Grimdark preset', () => {
+        expect(isSurvivalEnabled({ settings: { preset: 'grimdark' }, session: {} })).toBe(true);
+        expect(isSurvivalEnabled({ settings: { preset: 'grimdark' }, session: { survivalRules: false } })).toBe(false);
+        expect(isSurvivalEnabled({ settings: { preset: 'classicFantasy' }, session: { survivalRules: true } })).toBe(true);
+        expect(isSurvivalEnabled({ settings: { preset: 'classicFantasy' }, session: null })).toBe(false);
+    });
+});
+
+describe('resolveSurvivalDay', () => {
+    it('lets hunger bite only past 3 + CON modifier days', () => {
+        expect(foodGraceDays(hero)).toBe(5);
+        expect(foodGraceDays({ abilityScores: { constitution: 4 } })).toBe(1);
+        const lean = resolveSurvivalDay({ ...hero, daysWithoutFood: 4 }, { fed: false, watered: true });
+        expect(lean).toMatchObject({ gained: 0, character: { daysWithoutFood: 5, exhaustion: 0 } });
+        const starving = resolveSurvivalDay(lean.character, { fed: false, watered: true });
+        expect(starving).toMatchObject({ gained: 1, character: { daysWithoutFood: 6, exhaustion: 1 } });
+        expect(resolveSurvivalDay(starving.character, { fed: true, watered: true }).character.daysWithoutFood).toBe(0);
+    });
+
+    it('costs a level without water, two once already exhausted', () => {
+        expect(resolveSurvivalDay(hero, { fed: true, watered: false }).character).toMatchObject({ exhaustion: 1, daysWithoutWater: 1 });
+        expect(resolveSurvivalDay({ ...hero, exhaustion: 1 }, { fed: true, watered: false }).character.exhaustion).toBe(3);
+    });
+
+    it('rolls the winter save unless the hero is dressed for it', () => {
+        rollQueue.push(7);
+        const cold = resolveSurvivalDay(hero, { fed: true, watered: true, cold: true });
+        expect(cold.saves).toEqual([expect.objectContaining({ label: 'cold', total: 9, dc: 10, success: false })]);
+        expect(cold.character.exhaustion).toBe(1);
+        const furs = [{ id: 'furs', itemKey: 'coldWeatherGear', name: 'Cold-Weather Gear', type: 'gear' }];
+        expect(resolveSurvivalDay(hero, { fed: true, watered: true, cold: true, inventory: furs }).saves).toEqual([]);
+        rollQueue.push(12);
+        expect(resolveSurvivalDay(hero, { fed: true, watered: true, forcedMarch: true }).saves[0]).toMatchObject({ label: 'forced march', total: 14, success: true });
+    });
+});
+
+describe('exhaustion state', () => {
+    it('clamps the level and trims hit points to the halved maximum', () => {
+        expect(withExhaustion(hero, 4)).toMatchObject({ exhaustion: 4, currentHP: 6 });
+        expect(withExhaustion(hero, 9).exhaustion).toBe(6);
+        expect(withExhaustion(hero, -2).exhaustion).toBe(0);
+    });
+
+    it('recovers on a long rest only after food and water under the rules', () => {
+        expect(canRecoverExhaustion({ ...hero, exhaustion: 0 }, true)).toBe(false);
+        expect(canRecoverExhaustion({ ...hero, exhaustion: 2, daysWithoutFood: 1 }, true)).toBe(false);
+        expect(canRecoverExhaustion({ ...hero, exhaustion: 2, daysWithoutFood: 1 }, false)).toBe(true);
+        expect(canRecoverExhaustion({ ...hero, exhaustion: 2, daysWithoutFood: 0, daysWithoutWater: 0 }, true)).toBe(true);
+    });
+
+    it('fills untracked waterskins and caps water at what they hold', () => {
+        expect(waterCarried(hero, skins(2))).toBe(2);
+        expect(waterCarried({ ...hero, waterDays: 5 }, skins(1))).toBe(1);
+        expect(waterCarried({ ...hero, waterDays: 0 }, skins(2))).toBe(0);
+    });
+});
+
+describe('buildSurvivalBlock', () => {
+    it('states the level, its effects, hunger and water', () => {
+        const block = buildSurvivalBlock({ ...hero, exhaustion: 2, daysWithoutFood: 2, waterDays: 1 }, skins(2));
+        expect(block).toContain('## SURVIVAL');
+        expect(block).toContain('exhaustion 2 of 6 (disadvantage on ability checks; speed halved)');
+        expect(block).toContain('2 days without food (exhaustion sets in past 5)');
+        expect(block).toContain('1 of 2 days of water in the skins');
+    });
+});
@@ -0,0 +1,235 @@
+/**
+ * Overland travel — engine-run journeys between registered places
+ * (DECISIONS.md 2026-10-19).
+ *
+ * Routes: the registry has no map, only evidence. Every SET_LOCATION arrival
+ * stamps `arrivedFromIds` on the place reached, so places the hero has walked
+ * between are connected; places sharing a region are one node. planJourney
+ * runs a breadth-first search over that region graph — one leg per region
+ * entered, one leg inside a single region — and a destination no known road
+ * reaches is one "uncharted" cross-country leg with a harder navigation DC.
+ *
+ * Days: each leg is a day on the road. rollTravelDay rolls the hero's
+ * Survival twice (navigation vs NAVIGATION_DC, forage vs FORAGE_DC by the
+ * leg's danger) and the road's own d20 against ENCOUNTER_THRESHOLD, which
+ * drops where an active front holds theater in the leg's region and on a camp
+ * with no torch. Provisions (rations, torches) are spent by the reducer
+ * through consumeItem — this module only counts them.
+ */
+import { normalizeItemKey } from '../data/items.js';
+import { rollDie } from './dice.ts';
+import { hasLucky, rollD20Kept } from './combatMath.js';
+import { combineRollModifiers, getCharacterRollEffects, getSkillModifier } from './rules.js';
+import { DANGER_LEVELS, findLocationRecord, getCurrentLocationRecord, isSameRegion } from './locationRegistry.js';
+
+export const NAVIGATION_DC = { none: 8, low: 10, moderate: 12, high: 14, deadly: 16 };
+export const FORAGE_DC = { none: 10, low: 10, moderate: 13, high: 15, deadly: 18 };
+/** d20 at or above which the road throws something at the travelers; null = never. */
+export const ENCOUNTER_THRESHOLD = { none: null, low: 19, moderate: 17, high: 15, deadly: 13 };
+export const UNCHARTED_NAVIGATION_BONUS = 3;
+export const FRONT_THEATER_ENCOUNTER_SHIFT = 2;
+export const DARK_CAMP_ENCOUNTER_SHIFT = 2;
+/** Longest route planJourney will chart in one go. */
+export const MAX_JOURNEY_LEGS = 6;
+
+const DEFAULT_LEG_DANGER = 'low';
+
+function dangerRank(level) {
+    return DANGER_LEVELS.indexOf(level);
+}
+
+function maxDanger(levels) {
+    return levels.reduce((worst, level) => (dangerRank(level) > dangerRank(worst) ? level : worst), null);
+}
+
+/**
+ * Region nodes over the registry: records sharing a region fold into one
+ * node; a record with no region is a node of its own. Edges are undirected —
+ * a road walked once runs both ways.
+ */
+export function buildRegionGraph(locations = []) {
+    const nodes = [];
+    const nodeOf = new Map();
+    for (const record of locations || []) {
+        if (!record?.id || !record.name) continue;
+        let node = record.region ? nodes.find(candidate => candidate.region && isSameRegion(candidate.region, record.region)) : null;
+        if (!node) {
+            node = { key: record.region ? `region:${nodes.length}` : `place:${record.id}`, region: record.region || null, label: record.region || record.name, records: [] };
+            nodes.push(node);
+        }
+        node.records.push(record);
+        nodeOf.set(record.id, node);
+    }
+    const edges = new Map(nodes.map(node => [node.key, new Set()]));
+    for (const record of locations || []) {
+        const to = nodeOf.get(record?.id);
+        for (const fromId of record?.arrivedFromIds || []) {
+            const from = nodeOf.get(fromId);
+            if (!to || !from || from === to) continue;
+            edges.get(from.key).add(to.key);
+            edges.get(to.key).add(from.key);
+        }
+    }
+    return { nodes, nodeOf, edges };
+}
+
+function findRoute(graph, fromKey, toKey) {
+    const previous = new Map([[fromKey, null]]);
+    const queue = [fromKey];
+    while (queue.length) {
+        const key = queue.shift();
+        if (key === toKey) break;
+        for (const next of graph.edges.get(key) || []) {
+            if (previous.has(next)) continue;
+            previous.set(next, key);
+            queue.push(next);
+        }
+    }
+    if (!previous.has(toKey)) return null;
+    const route = [];
+    for (let key = toKey; key !== null; key = previous.get(key)) route.unshift(key);
+    return route;
+}
+
+/**
+ * A leg's danger is the roughest open country known in its region; hostile
+ * sites count only as the destination itself — a ghoul warren in the hills
+ * does not make the hill road deadly.
+ */
+function describeLeg(node, destination, fronts, extra = {}) {
+    const final = node.records.includes(destination);
+    const country = node.records.filter(record => record.type !== 'hostile_site' || record === destination);
+    const danger = maxDanger([
+        ...country.map(record => record.danger).filter(Boolean),
+        ...(final && destination.danger ? [destination.danger] : []),
+    ]) || DEFAULT_LEG_DANGER;
+    const theaterIds = new Set(node.records.flatMap(record => record.theaterFrontIds || []));
+    const frontIds = (fronts || [])
+        .filter(front => front?.id && (front.status || 'active') === 'active' && theaterIds.has(front.id))
+        .map(front => front.id);
+    return { region: node.label, to: final ? destination.name : node.label, danger, frontIds, uncharted: false, ...extra };
+}
+
+/**
+ * Chart a journey from the hero's current place to a known destination.
+ * @returns {{ ok: true, journey: object } | { ok: false, reason: string }}
+ */
+export function planJourney({ locations = [], currentLocation, destination, fronts = [] }) {
+    const origin = getCurrentLocationRecord(locations, currentLocation);
+    if (!origin) return { ok: false, reason: 'Travel sets out from a known place — the current location is not in the registry.' };
+    const idx = findLocationRecord(locations, destination);
+    if (idx === -1) return { ok: false, reason: `No known place called "${String(destination || '').trim()}".` };
+    const target = locations[idx];
+    if (target.id === origin.id) return { ok: false, reason: `${target.name} is already here.` };
+
+    const graph = buildRegionGraph(locations);
+    const fromNode = graph.nodeOf.get(origin.id);
+    const toNode = graph.nodeOf.get(target.id);
+    let legs;
+    if (fromNode === toNode) {
+        legs = [describeLeg(toNode, target, fronts)];
+    } else {
+        const route = findRoute(graph, fromNode.key, toNode.key);
+        legs = route
+            ? route.slice(1).map(key => describeLeg(graph.nodes.find(node => node.key === key), target, fronts))
+            : [describeLeg(toNode, target, fronts, { uncharted: true })];
+    }
+    if (legs.length > MAX_JOURNEY_LEGS) {
+        return { ok: false, reason: `${target.name} lies ${legs.length} regions away — plan the trip in shorter journeys.` };
+    }
+    return {
+        ok: true,
+        journey: {
+            id: `journey-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+            origin: origin.name,
+            destination: target.name,
+            legs,
+            legIndex: 0,
+            daysSpent: 0,
+            status: 'traveling',
+        },
+    };
+}
+
+/** Is this inventory entry the catalog provision `key` ('rations', 'torch')? */
+export function isProvision(item, key) {
+    return normalizeItemKey(item?.itemKey || item?.name) === key;
+}
+
+export function countProvisions(inventory, key) {
+    return (inventory || []).filter(item => isProvision(item, key)).reduce((sum, item) => sum + (item.quantity || 1), 0);
+}
+
+/** Rations a journey should carry: one per traveler per planned day. */
+export function journeyRationEstimate(journey, travelers = 1) {
+    const remaining = Math.max(0, (journey?.legs?.length || 0) - (journey?.legIndex || 0));
+    return remaining * Math.max(1, travelers);
+}
+
+function rollSurvival(character, inventory, dc, description) {
+    const modifiers = combineRollModifiers(false, false, getCharacterRollEffects(character, 'check', 'wisdom', inventory, 'Survival'));
+    const { roll, natural } = rollD20Kept(getSkillModifier(character, 'Survival'), description, modifiers.advantage, modifiers.disadvantage, { lucky: hasLucky(character) });
+    return { total: roll.total, natural, dc, success: roll.total >= dc };
+}
+
+/**
+ * One day on a leg: navigation, forage, and the road's encounter die.
+ * `litCamp` is whether a torch burns tonight; an unlit camp and a front's
+ * theater both make trouble likelier.
+ */
+export function rollTravelDay(leg, { character, inventory = [], litCamp = true } = {}) {
+    const danger = DANGER_LEVELS.includes(leg?.danger) ? leg.danger : DEFAULT_LEG_DANGER;
+    const navigation = rollSurvival(character, inventory,
+        NAVIGATION_DC[danger] + (leg?.uncharted ? UNCHARTED_NAVIGATION_BONUS : 0), 'Survival (navigation)');
+    const forage = rollSurvival(character, inventory, FORAGE_DC[danger], 'Survival (forage)');
+    const base = ENCOUNTER_THRESHOLD[danger];
+    if (base === null) return { navigation, forage, encounter: null };
+    const threshold = base
+        - ((leg?.frontIds || []).length > 0 ? FRONT_THEATER_ENCOUNTER_SHIFT : 0)
+        - (litCamp ? 0 : DARK_CAMP_ENCOUNTER_SHIFT);
+    const die = rollDie(20);
+    return { navigation, forage, encounter: { die, threshold, triggered: die >= threshold } };
+}
+
+/** Saves are untrusted input: an unreadable interrupted journey is dropped. */
+export function sanitizeJourney(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return null;
+    const text = (value, max) => String(value || '').replace(/\s+/g, ' ').trim().slice(0, max);
+    const legs = (Array.isArray(raw.legs) ? raw.legs : [])
+        .filter(leg => leg && typeof leg === 'object' && text(leg.region, 120))
+        .slice(0, MAX_JOURNEY_LEGS)
+        .map(leg => ({
+            region: text(leg.region, 120),
+            to: text(leg.to, 120) || text(leg.region, 120),
+            danger: DANGER_LEVELS.includes(leg.danger) ? leg.danger : DEFAULT_LEG_DANGER,
+            frontIds: (Array.isArray(leg.frontIds) ? leg.frontIds : []).map(id => text(id, 60)).filter(Boolean).slice(0, 6),
+            uncharted: leg.uncharted === true,
+        }));
+    const origin = text(raw.origin, 120);
+    const destination = text(raw.destination, 120);
+    if (!origin || !destination || legs.length === 0) return null;
+    const whole = value => Math.max(0, Math.trunc(Number(value)) || 0);
+    return {
+        id: text(raw.id, 80) || `journey-${Date.now()}`,
+        origin,
+        destination,
+        legs,
+        legIndex: Math.min(legs.length, whole(raw.legIndex)),
+        daysSpent: whole(raw.daysSpent),
+        forcedMarch: raw.forcedMarch === true,
+        status: 'interrupted',
+    };
+}
+
+/** "leg 2 of 3 toward Greywater, in the Blackfen (high danger), day 3 on the road" */
+export function describeJourney(journey) {
+    const leg = journey.legs[Math.min(journey.legIndex, journey.legs.length) - 1] || journey.legs[0];
+    return `leg ${Math.max(1, journey.legIndex)} of ${journey.legs.length} toward ${journey.destination}, in ${leg.region} (${leg.danger} danger), day ${journey.daysSpent} on the road`;
+}
+
+/** The prompt's JOURNEY block while an encounter holds a journey on the road. */
+export function buildJourneyBlock(journey) {
+    if (!journey) return '';
+    return `## JOURNEY
+The hero is on the road from ${journey.origin}: ${describeJourney(journey)}. The engine halted the journey for an encounter — play it out. When it is over, the player resumes the journey from the Travel panel: never move the hero to ${journey.destination} yourself, and never emit "time_passed" for the rest of the road.`;
+}
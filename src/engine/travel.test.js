@@ -0,0 +1,118 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+const { rollQueue } = vi.hoisted(() => ({ rollQueue: [] }));
+
+vi.mock('./dice.ts', () => {
+    const draw = () => {
+        if (!rollQueue.length) throw new Error('dice queue exhausted — a test under-queued its rolls');
+        return rollQueue.shift();
+    };
+    return {
+        rollDie: () => draw(),
+        rollDice: count => Array.from({ length: count }, draw),
+        rollWithModifier: (count, sides, modifier = 0, description = '') => {
+            const rolls = Array.from({ length: count }, draw);
+            const subtotal = rolls.reduce((sum, value) => sum + value, 0);
+            return { id: 'travel-roll', timestamp: 0, notation: `${count}d${sides}`, dice: { count, sides }, rolls, subtotal, modifier, total: subtotal + modifier, description };
+        },
+    };
+});
+
+import {
+    buildJourneyBlock,
+    buildRegionGraph,
+    countProvisions,
+    journeyRationEstimate,
+    planJourney,
+    rollTravelDay,
+    sanitizeJourney,
+} from './travel.js';
+
+const place = (id, name, overrides = {}) => ({ id, name, aliases: [], type: 'settlement', danger: 'low', theaterFrontIds: [], arrivedFromIds: [], region: null, ...overrides });
+
+const locations = [
+    place('loc-a', 'Aldermill', { region: 'Vale of Reeds' }),
+    place('loc-b', 'Reedford', { region: 'Vale of Reeds', arrivedFromIds: ['loc-a'] }),
+    place('loc-c', 'Ghyll', { region: 'Rimefell Marches', type: 'wilderness', danger: 'moderate', arrivedFromIds: ['loc-b'] }),
+    place('loc-w', 'the Ghoul Warren', { region: 'Rimefell Marches', type: 'hostile_site', danger: 'deadly' }),
+    place('loc-d', 'Greywater', { region: 'Blackfen', danger: 'high', theaterFrontIds: ['front-1'], arrivedFromIds: ['loc-c'] }),
+    place('loc-e', 'Saltmere', { region: 'the Far Shore' }),
+];
+const fronts = [{ id: 'front-1', title: 'The Drowned Court', status: 'active', clock: 2, maxClock: 6 }];
+
+const character = { name: 'Astra', class: 'fighter', level: 1, abilityScores: { strength: 14, dexterity: 12, constitution: 14, intelligence: 10, wisdom: 10, charisma: 8 }, skillProficiencies: [], conditions: [] };
+
+beforeEach(() => {
+    rollQueue.length = 0;
+});
+
+describe('route planning', () => {
+    it('folds places into region nodes joined by the roads the hero walked', () => {
+        const graph = buildRegionGraph(locations);
+        expect(graph.nodes.map(node => node.label)).toEqual(['Vale of Reeds', 'Rimefell Marches', 'Blackfen', 'the Far Shore']);
+        expect(graph.nodeOf.get('loc-a')).toBe(graph.nodeOf.get('loc-b'));
+        expect([...graph.edges.get(graph.nodeOf.get('loc-d').key)]).toEqual([graph.nodeOf.get('loc-c').key]);
+    });
+
+    it('charts one leg per region entered, with danger and front theater per leg', () => {
+        const plan = planJourney({ locations, currentLocation: 'Aldermill', destination: 'Greywater', fronts });
+        expect(plan.ok).toBe(true);
+        expect(plan.journey).toMatchObject({ origin: 'Aldermill', destination: 'Greywater', legIndex: 0, daysSpent: 0 });
+        expect(plan.journey.legs).toEqual([
+            { region: 'Rimefell Marches', to: 'Rimefell Marches', danger: 'moderate', frontIds: [], uncharted: false },
+            { region: 'Blackfen', to: 'Greywater', danger: 'high', frontIds: ['front-1'], uncharted: false },
+        ]);
+        expect(journeyRationEstimate(plan.journey, 2)).toBe(4);
+    });
+
+    it('walks inside a region in one leg, and counts a hostile site only as the destination', () => {
+        expect(planJourney({ locations, currentLocation: 'Reedford', destination: 'Aldermill' }).journey.legs).toHaveLength(1);
+        const warren = planJourney({ locations, currentLocation: 'Ghyll', destination: 'the Ghoul Warren' });
+        expect(warren.journey.legs).toEqual([{ region: 'Rimefell Marches', to: 'the Ghoul Warren', danger: 'deadly', frontIds: [], uncharted: false }]);
+    });
+
+    it('crosses unknown country as one uncharted leg and refuses impossible trips', () => {
+        const far = planJourney({ locations, currentLocation: 'Aldermill', destination: 'Saltmere' });
+        expect(far.journey.legs).toEqual([{ region: 'the Far Shore', to: 'Saltmere', danger: 'low', frontIds: [], uncharted: true }]);
+        expect(planJourney({ locations, currentLocation: 'Aldermill', destination: 'Atlantis' })).toMatchObject({ ok: false });
+        expect(planJourney({ locations, currentLocation: 'Aldermill', destination: 'Aldermill' }).reason).toBe('Aldermill is already here.');
+        expect(planJourney({ locations, currentLocation: 'somewhere in a ditch', destination: 'Aldermill' })).toMatchObject({ ok: false });
+    });
+});
+
+describe('a day on the road', () => {
+    it('rolls navigation, forage and the encounter die against the leg danger', () => {
+        rollQueue.push(12, 5, 17);
+        const day = rollTravelDay({ region: 'Rimefell Marches', danger: 'moderate', frontIds: [] }, { character });
+        expect(day.navigation).toMatchObject({ total: 12, dc: 12, success: true });
+        expect(day.forage).toMatchObject({ total: 5, dc: 13, success: false });
+        expect(day.encounter).toEqual({ die: 17, threshold: 17, triggered: true });
+    });
+
+    it('makes trouble likelier under a front and in a dark camp, and never in safe country', () => {
+        rollQueue.push(20, 20, 13);
+        const day = rollTravelDay({ region: 'Blackfen', danger: 'moderate', frontIds: ['front-1'], uncharted: true }, { character, litCamp: false });
+        expect(day.navigation.dc).toBe(15);
+        expect(day.encounter).toEqual({ die: 13, threshold: 13, triggered: true });
+        rollQueue.push(10, 10);
+        expect(rollTravelDay({ region: 'Vale of Reeds', danger: 'none', frontIds: [] }, { character }).encounter).toBeNull();
+        expect(rollQueue).toHaveLength(0);
+    });
+});
+
+describe('provisions and saves', () => {
+    it('counts catalog provisions across stacks', () => {
+        const inventory = [{ id: 'r1', itemKey: 'rations', name: 'Rations (1 day)', quantity: 3 }, { id: 'r2', name: 'Rations (1 day)', quantity: 2 }, { id: 't', itemKey: 'torch', name: 'Torch' }];
+        expect(countProvisions(inventory, 'rations')).toBe(5);
+        expect(countProvisions(inventory, 'torch')).toBe(1);
+    });
+
+    it('heals a saved journey and drops an unreadable one', () => {
+        const saved = sanitizeJourney({ origin: 'Aldermill', destination: 'Greywater', legs: [{ region: 'Blackfen', danger: 'apocalyptic' }], legIndex: 9, daysSpent: -2 });
+        expect(saved).toMatchObject({ legIndex: 1, daysSpent: 0, status: 'interrupted' });
+        expect(saved.legs[0]).toEqual({ region: 'Blackfen', to: 'Blackfen', danger: 'low', frontIds: [], uncharted: false });
+        expect(sanitizeJourney({ origin: 'Aldermill', legs: [] })).toBeNull();
+        expect(sanitizeJourney('the road')).toBeNull();
+        expect(buildJourneyBlock(saved)).toContain('leg 1 of 1 toward Greywater, in Blackfen (low danger), day 0 on the road');
+    });
+});
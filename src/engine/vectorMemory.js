@@ -3,23 +3,21 @@
  *
  * How it works:
  * 1. Significant events (world facts, journal summaries, NPC interactions) are
- *    embedded as 768-dim retrieval documents using Gemini's gemini-embedding-2.
- * 2. Embeddings are persisted in IndexedDB so they survive page refreshes.
+ *    embedded as retrieval documents by the campaign's embedder (llm/embeddings.js:
+ *    Gemini, an OpenAI-compatible endpoint, or the offline hashed vectorizer).
+ * 2. Embeddings are persisted in IndexedDB so they survive page refreshes, each
+ *    row tagged with the embedding space that produced it.
  * 3. Before each DM prompt, the current scene context is embedded as a search query
  *    and we retrieve the top-N most semantically relevant past memories.
  * 4. Retrieved memories are injected into the system prompt so the DM "remembers"
  *    relevant past events even from very early in the session.
  *
  * All similarity search is done client-side (cosine similarity) — no backend needed.
+ *
+ * Every entry point takes the embedder (see getEmbedder) rather than a key;
+ * a null embedder means "no RAG" and every call is a no-op.
  */
 
-import {
-    embedText,
-    embedTexts,
-    GEMINI_EMBED_DIMENSIONS,
-    GEMINI_EMBED_SCHEMA,
-} from '../llm/providers/gemini.js';
-
 // --- IndexedDB persistence for embeddings ---
 const EMBED_DB_NAME = 'rpg-vector-memory';
 // v3: gemini-embedding-2 plus Google's asymmetric search/document formatting.
@@ -83,7 +81,23 @@ function clearPersistedEmbeddings() {
     })).catch(() => {});
 }
 
-async function loadPersistedEmbeddings(sessionId) {
+/** A cached vector is usable only if it is finite and (when the space fixes one) the right width. */
+function isUsableVector(vector, dimensions) {
+    return Array.isArray(vector)
+        && vector.length > 0
+        && (!dimensions || vector.length === dimensions)
+        // A corrupted/tampered row with NaN/non-number elements would
+        // yield NaN cosine scores and pollute the store.
+        && vector.every(Number.isFinite);
+}
+
+/**
+ * This campaign's cached rows, split by embedding space: `compatible` rows
+ * live in the active embedder's space; `foreign` rows were embedded in another
+ * space (the player switched providers) and must be re-embedded — comparing
+ * vectors across spaces, or mixing widths, is meaningless.
+ */
+async function loadPersistedEmbeddings(sessionId, embedder) {
     try {
         const db = await openEmbedDB();
         // `return await`, not bare `return`: a bare returned promise's rejection
@@ -93,34 +107,36 @@ async function loadPersistedEmbeddings(sessionId) {
             const tx = db.transaction(EMBED_STORE, 'readonly');
             const request = tx.objectStore(EMBED_STORE).getAll();
             request.onsuccess = () => {
-                const entries = request.result || [];
-                const compatible = entries.filter(entry => (
+                const compatible = [];
+                const foreign = [];
+                for (const entry of request.result || []) {
                     // Only the active campaign's rows — another campaign's memories
                     // must never leak into this session's retrieval.
-                    entry.sessionId === sessionId
-                    && entry.schema === GEMINI_EMBED_SCHEMA
-                    && Array.isArray(entry.vector)
-                    && entry.vector.length === GEMINI_EMBED_DIMENSIONS
-                    // A corrupted/tampered row with NaN/non-number elements would
-                    // yield NaN cosine scores and pollute the store.
-                    && entry.vector.every(Number.isFinite)
-                ));
-                resolve(compatible);
+                    if (entry.sessionId !== sessionId || typeof entry.text !== 'string') continue;
+                    if (entry.schema === embedder.space && isUsableVector(entry.vector, embedder.dimensions)) {
+                        compatible.push(entry);
+                    } else {
+                        foreign.push(entry);
+                    }
+                }
+                resolve({ compatible, foreign });
             };
             request.onerror = () => reject(request.error);
             tx.oncomplete = () => db.close();
         });
     } catch {
-        return [];
+        return { compatible: [], foreign: [] };
     }
 }
 
 // --- In-memory store ---
 
-/** In-memory store for the ACTIVE campaign: { sessionId, text, vector, category, timestamp }[] */
+/** In-memory store for the ACTIVE campaign: { sessionId, text, vector, category, schema, timestamp }[] */
 let memoryStore = [];
 /** Campaign whose memories are currently loaded; stamped onto every new entry. */
 let activeSessionId = null;
+/** Bumped by forgetMemoriesSince: an embed that started before an undo is dropped on arrival. */
+let memoryEpoch = 0;
 
 // --- Lifecycle (2026-08-06 P1: the cache previously grew without bound) ---
 
@@ -183,31 +199,36 @@ function cosineSimilarity(a, b) {
 /**
  * Add a memory entry and embed it. Also persists to IndexedDB.
  * Silently skips if embedding fails.
- * @param {string} apiKey - Gemini API key
+ * @param {object|null} embedder - From getEmbedder(settings); null skips
  * @param {string} text - The memory text
  * @param {string} [category] - e.g. 'world_fact', 'journal', 'npc', 'event'
  */
-export async function addMemory(apiKey, text, category = 'general', location = null) {
+export async function addMemory(embedder, text, category = 'general', location = null) {
     // `?.` guards null/undefined but not type — an object-valued world fact from
     // the parser would throw on .trim() inside this async fn (2026-07-28 audit).
-    if (!apiKey || typeof text !== 'string' || !text.trim()) return;
+    if (!embedder || typeof text !== 'string' || !text.trim()) return;
 
-    // Deduplicate by exact text
-    if (memoryStore.some(m => m.text === text)) return;
+    // Deduplicate by exact text within the embedder's space
+    if (memoryStore.some(m => m.text === text && m.schema === embedder.space)) return;
 
-    const vector = await embedText(apiKey, text, { inputType: 'document' });
+    const epoch = memoryEpoch;
+    const [vector] = await embedder.embed([text], { inputType: 'document' });
     if (!vector) {
         console.error('[VectorMemory] Embedding failed for:', text.slice(0, 80));
         return;
     }
+    if (epoch !== memoryEpoch) return; // its turn was undone while it embedded
 
-    storeMemoryEntry({ text, vector, category, location });
+    storeMemoryEntry({ text, vector, category, location, schema: embedder.space });
     enforceCampaignCap();
 }
 
 /** Store one already-embedded entry (dedupe + persist) — shared by addMemory and the batch seed. */
-function storeMemoryEntry({ text, vector, category = 'general', location = null }) {
-    if (memoryStore.some(m => m.text === text)) return;
+function storeMemoryEntry({ text, vector, category = 'general', location = null, schema, timestamp = Date.now() }) {
+    // Same text from another space is replaced, not duplicated: rows are keyed
+    // [sessionId, text], so the persisted put below overwrites it on disk too.
+    if (memoryStore.some(m => m.text === text && m.schema === schema)) return;
+    memoryStore = memoryStore.filter(m => m.text !== text);
     const entry = {
         // Campaign key — rows are persisted per campaign so a switch loads its own
         // cache instead of wiping everything. An entry added before any seed set a
@@ -220,8 +241,8 @@ function storeMemoryEntry({ text, vector, category = 'general', location = null
         // memories from elsewhere so the DM doesn't transplant local color across
         // the map. Optional; older cached embeddings simply have no tag.
         ...(typeof location === 'string' && location.trim() && { location: location.trim().slice(0, 80) }),
-        schema: GEMINI_EMBED_SCHEMA,
-        timestamp: Date.now(),
+        schema,
+        timestamp,
     };
     memoryStore.push(entry);
     if (activeSessionId != null) persistEmbedding(entry); // fire-and-forget to IndexedDB
@@ -232,12 +253,17 @@ function storeMemoryEntry({ text, vector, category = 'general', location = null
  * embeddings from IndexedDB and re-embeds only the items not already cached.
  * Always REPLACES the in-memory store wholesale — switching campaigns is just
  * seeding the new one; no wipe of other campaigns' rows is needed or performed.
- * @param {string} apiKey
+ *
+ * Rows cached in a different embedding space (the player switched embedding
+ * providers) are re-embedded into the active space, live-only categories
+ * (player/narrative rows no seed can rebuild) included — the campaign's
+ * memory moves with it instead of being dropped or mixed.
+ * @param {object|null} embedder - From getEmbedder(settings); null skips
  * @param {Array<{text: string, category: string}>} items
  * @param {string|null} sessionId - the campaign these memories belong to
  */
-export async function seedMemories(apiKey, items, sessionId = null) {
-    if (!apiKey) return;
+export async function seedMemories(embedder, items, sessionId = null) {
+    if (!embedder) return;
     activeSessionId = sessionId;
     memoryStore = [];
     if (!items?.length && sessionId == null) return;
@@ -246,7 +272,9 @@ export async function seedMemories(apiKey, items, sessionId = null) {
     // story cards — state snapshots that get reworded) are kept only while their
     // exact text is still in the current seed: anything else is a stale
     // predecessor wording, dropped here and from disk (replace, not append).
-    const persistedRaw = sessionId != null ? await loadPersistedEmbeddings(sessionId) : [];
+    const { compatible: persistedRaw, foreign } = sessionId != null
+        ? await loadPersistedEmbeddings(sessionId, embedder)
+        : { compatible: [], foreign: [] };
     const currentSeedTexts = new Set((items || []).map(item => item.text));
     const persisted = [];
     const stale = [];
@@ -254,6 +282,17 @@ export async function seedMemories(apiKey, items, sessionId = null) {
         (!isMutableSeedCategory(entry.category) || currentSeedTexts.has(entry.text)
             ? persisted : stale).push(entry);
     }
+    // Foreign-space rows: the seed re-embeds its own texts; rows it cannot
+    // rebuild (live player/narrative/fact embeds) are carried over for
+    // re-embedding, except stale mutable wordings, which go like any other.
+    const carried = [];
+    for (const entry of foreign) {
+        if (currentSeedTexts.has(entry.text)) continue;
+        (isMutableSeedCategory(entry.category) ? stale : carried).push(entry);
+    }
+    if (foreign.length > 0) {
+        console.log(`[VectorMemory] ${foreign.length} cached rows are from another embedding space — re-embedding into ${embedder.space}`);
+    }
     if (stale.length > 0) {
         deletePersistedEmbeddings(stale);
         console.log(`[VectorMemory] Pruned ${stale.length} stale reworded rows from the campaign cache`);
@@ -269,15 +308,26 @@ export async function seedMemories(apiKey, items, sessionId = null) {
     // skips its item exactly like the per-item path, and the next mount's seed
     // retries whatever the cache is still missing.
     const existingTexts = new Set(persisted.map(m => m.text));
-    const newItems = (items || [])
+    const newItems = [
+        ...(items || []),
+        ...carried.map(entry => ({ text: entry.text, category: entry.category, location: entry.location, timestamp: entry.timestamp })),
+    ]
         .filter(item => typeof item?.text === 'string' && item.text.trim())
         .filter(item => !existingTexts.has(item.text));
     if (newItems.length > 0) {
         if (persisted.length > 0) console.log(`[VectorMemory] Embedding ${newItems.length} new items not in cache`);
-        const vectors = await embedTexts(apiKey, newItems.map(item => item.text), { inputType: 'document' });
+        const vectors = await embedder.embed(newItems.map(item => item.text), { inputType: 'document' });
         newItems.forEach((item, i) => {
             if (vectors?.[i]) {
-                storeMemoryEntry({ text: item.text, vector: vectors[i], category: item.category || 'general', location: item.location });
+                storeMemoryEntry({
+                    text: item.text,
+                    vector: vectors[i],
+                    category: item.category || 'general',
+                    location: item.location,
+                    schema: embedder.space,
+                    // Carried rows keep their age so cap eviction still ranks them truthfully.
+                    ...(Number.isFinite(item.timestamp) && { timestamp: item.timestamp }),
+                });
             } else {
                 console.error('[VectorMemory] Embedding failed for:', item.text.slice(0, 80));
             }
@@ -293,16 +343,17 @@ export async function seedMemories(apiKey, items, sessionId = null) {
 
 /**
  * Retrieve the top-N most relevant memories for a given query.
- * @param {string} apiKey
+ * @param {object|null} embedder - From getEmbedder(settings); null skips
  * @param {string} query - Current scene context / player action
  * @param {number} [topN=8] - How many memories to retrieve
- * @param {number} [minScore=0.55] - Minimum similarity threshold
+ * @param {number} [minScore] - Minimum similarity threshold (default: the
+ *   embedder's own floor — cosine scales differ per embedding space)
  * @returns {Promise<Array<{text: string, category: string, score: number}>>}
  */
-export async function retrieveRelevant(apiKey, query, topN = 8, minScore = 0.55) {
-    if (!apiKey || !query || memoryStore.length === 0) return [];
+export async function retrieveRelevant(embedder, query, topN = 8, minScore = embedder?.minScore ?? 0.55) {
+    if (!embedder || !query || memoryStore.length === 0) return [];
 
-    const queryVector = await embedText(apiKey, query, { inputType: 'query' });
+    const [queryVector] = await embedder.embed([query], { inputType: 'query' });
     if (!queryVector) return [];
 
     const categoryBoost = {
@@ -322,6 +373,9 @@ export async function retrieveRelevant(apiKey, query, topN = 8, minScore = 0.55)
     // orders the survivors. Boost-before-gate let a sub-threshold boosted hit
     // pass while dropping an above-threshold narrative one (2026-08-06 audit).
     const scored = memoryStore
+        // Never compare across spaces: a row another embedder wrote this
+        // session (settings changed mid-play) waits for the next re-seed.
+        .filter(m => m.schema === embedder.space)
         .map(m => ({ entry: m, similarity: cosineSimilarity(queryVector, m.vector) }))
         .filter(({ similarity }) => similarity >= minScore)
         .map(({ entry, similarity }) => ({
@@ -334,6 +388,30 @@ export async function retrieveRelevant(apiKey, query, topN = 8, minScore = 0.55)
     return scored.map(m => ({ text: m.text, category: m.category, score: m.score, ...(m.location && { location: m.location }) }));
 }
 
+/**
+ * Turn undo (llm/turnOrchestrator.js): take back the active campaign's rows
+ * stored at or after `timestamp` — in memory and on disk — and return them so
+ * a redo can put them back. Rows older than the turn are untouched, even when
+ * the turn repeated their text (dedupe never re-stamps them).
+ */
+export function forgetMemoriesSince(timestamp) {
+    memoryEpoch += 1;
+    const removed = memoryStore.filter(m => (m.timestamp || 0) >= timestamp);
+    if (!removed.length) return [];
+    memoryStore = memoryStore.filter(m => (m.timestamp || 0) < timestamp);
+    deletePersistedEmbeddings(removed);
+    return removed;
+}
+
+/** Turn redo: store rows forgetMemoriesSince took back, when their campaign is still the active one. */
+export function restoreMemories(entries) {
+    for (const entry of entries || []) {
+        if (entry?.sessionId !== activeSessionId) continue;
+        storeMemoryEntry(entry);
+    }
+    enforceCampaignCap();
+}
+
 /**
  * Clear the in-memory store and the ENTIRE persisted cache (all campaigns).
  * Since rows became campaign-keyed this is a maintenance/reset tool, not part
@@ -368,6 +446,66 @@ export function deleteCampaignMemories(sessionId) {
     })).catch(() => {});
 }
 
+/**
+ * One campaign's persisted rows for a campaign bundle (state/campaignBundle.js),
+ * without their sessionId — the importing device files them under the
+ * bundle's campaign. Never rejects; an unavailable cache exports nothing.
+ * @returns {Promise<Array<{text: string, vector: number[], category: string, schema: string, timestamp: number}>>}
+ */
+export async function exportCampaignMemories(sessionId) {
+    if (sessionId == null) return [];
+    try {
+        const db = await openEmbedDB();
+        return await new Promise((resolve, reject) => {
+            const tx = db.transaction(EMBED_STORE, 'readonly');
+            const request = tx.objectStore(EMBED_STORE).getAll();
+            request.onsuccess = () => resolve((request.result || [])
+                .filter(entry => entry.sessionId === sessionId && typeof entry.text === 'string')
+                .map(({ sessionId: _sessionId, ...row }) => row));
+            request.onerror = () => reject(request.error);
+            tx.oncomplete = () => db.close();
+        });
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Replace one campaign's persisted rows with a bundle's. Rows are untrusted:
+ * only string texts with a finite vector and a named embedding space survive,
+ * at most MAX_CAMPAIGN_MEMORIES of them. Rows from another space than the
+ * player's embedder are kept — the next seed re-embeds them like any switch.
+ * Resolves the number of rows written (0 when the cache is unavailable).
+ */
+export function importCampaignMemories(sessionId, rows) {
+    if (sessionId == null) return Promise.resolve(0);
+    const kept = (Array.isArray(rows) ? rows : [])
+        .filter(row => row && typeof row.text === 'string' && row.text.trim()
+            && typeof row.schema === 'string' && row.schema
+            && isUsableVector(row.vector))
+        .slice(-MAX_CAMPAIGN_MEMORIES)
+        .map(row => ({
+            sessionId,
+            text: row.text,
+            vector: row.vector,
+            category: typeof row.category === 'string' && row.category ? row.category : 'general',
+            ...(typeof row.location === 'string' && row.location.trim() && { location: row.location.trim().slice(0, 80) }),
+            schema: row.schema,
+            timestamp: Number.isFinite(row.timestamp) ? row.timestamp : Date.now(),
+        }));
+    if (activeSessionId === sessionId) {
+        memoryStore = [];
+    }
+    return openEmbedDB().then(db => new Promise(resolve => {
+        const tx = db.transaction(EMBED_STORE, 'readwrite');
+        const store = tx.objectStore(EMBED_STORE);
+        store.delete(IDBKeyRange.bound([sessionId, ''], [sessionId, []]));
+        for (const row of kept) store.put(row);
+        tx.oncomplete = () => { db.close(); resolve(kept.length); };
+        tx.onabort = () => { db.close(); resolve(0); };
+    })).catch(() => 0);
+}
+
 /**
  * Should deleting a save slot purge its campaign's embedding cache?
  * Only when the campaign is verifiably gone from this device: the deleted slot
@@ -29,12 +29,20 @@ import {
     buildRetrievedMemoriesBlock,
     clearMemories,
     deleteCampaignMemories,
+    exportCampaignMemories,
+    forgetMemoriesSince,
     getMemoryCount,
+    importCampaignMemories,
     MAX_CAMPAIGN_MEMORIES,
+    restoreMemories,
     retrieveRelevant,
     seedMemories,
     shouldPurgeCampaignEmbeddings,
 } from './vectorMemory.js';
+import { getEmbedder } from '../llm/embeddings.js';
+
+/** The Gemini embedder a Gemini-DM campaign resolves to (its key doubles as the machinery key). */
+const gemini = (apiKey) => getEmbedder({ llmProvider: 'gemini', apiKey });
 
 function unitVector(index) {
     const vector = Array(768).fill(0);
@@ -79,8 +87,8 @@ describe('VectorMemory embedding roles', () => {
         vector[0] = 1;
         embedTextMock.mockResolvedValue(vector);
 
-        await addMemory('test-key', 'Kraul was defeated in the cavern.', 'world_fact');
-        const matches = await retrieveRelevant('test-key', 'What happened to Kraul?', 1, 0.5);
+        await addMemory(gemini('test-key'), 'Kraul was defeated in the cavern.', 'world_fact');
+        const matches = await retrieveRelevant(gemini('test-key'), 'What happened to Kraul?', 1, 0.5);
 
         expect(embedTextMock).toHaveBeenNthCalledWith(
             1,
@@ -128,8 +136,8 @@ describe('VectorMemory embedding roles', () => {
         vector[0] = 1;
         embedTextMock.mockResolvedValue(vector);
 
-        await addMemory('test-key', 'The salt mine collapsed.', 'world_fact', '  Graven Deep  ');
-        const matches = await retrieveRelevant('test-key', 'What happened at the mine?', 1, 0.5);
+        await addMemory(gemini('test-key'), 'The salt mine collapsed.', 'world_fact', '  Graven Deep  ');
+        const matches = await retrieveRelevant(gemini('test-key'), 'What happened at the mine?', 1, 0.5);
 
         expect(matches).toEqual([expect.objectContaining({
             text: 'The salt mine collapsed.',
@@ -160,10 +168,10 @@ describe('VectorMemory embedding roles', () => {
             .mockResolvedValueOnce(withCosine(0.50))
             .mockResolvedValueOnce(withCosine(0.58))
             .mockResolvedValueOnce(query);
-        await addMemory('test-key', 'Marta once swore an oath.', 'npc_character');
-        await addMemory('test-key', 'The storm broke over the quay.', 'narrative');
+        await addMemory(gemini('test-key'), 'Marta once swore an oath.', 'npc_character');
+        await addMemory(gemini('test-key'), 'The storm broke over the quay.', 'narrative');
 
-        const matches = await retrieveRelevant('test-key', 'What does Marta remember?', 8, 0.55);
+        const matches = await retrieveRelevant(gemini('test-key'), 'What does Marta remember?', 8, 0.55);
         expect(matches.map(m => m.text)).toEqual(['The storm broke over the quay.']);
     });
 });
@@ -180,29 +188,64 @@ describe('addMemory guards and dedup', () => {
         embedTextMock.mockReset();
     });
 
-    it('does nothing without an API key', async () => {
-        await addMemory('', 'Some fact.', 'world_fact');
+    it('does nothing without an embedder', async () => {
+        await addMemory(null, 'Some fact.', 'world_fact');
         expect(embedTextMock).not.toHaveBeenCalled();
         expect(getMemoryCount()).toBe(0);
     });
 
     it('does nothing for empty or whitespace-only text', async () => {
-        await addMemory('key', '   ', 'world_fact');
+        await addMemory(gemini('key'), '   ', 'world_fact');
         expect(embedTextMock).not.toHaveBeenCalled();
         expect(getMemoryCount()).toBe(0);
     });
 
     it('does not re-embed an exact duplicate text', async () => {
         embedTextMock.mockResolvedValue(unitVector(0));
-        await addMemory('key', 'The bridge collapsed.', 'world_fact');
-        await addMemory('key', 'The bridge collapsed.', 'world_fact');
+        await addMemory(gemini('key'), 'The bridge collapsed.', 'world_fact');
+        await addMemory(gemini('key'), 'The bridge collapsed.', 'world_fact');
         expect(embedTextMock).toHaveBeenCalledTimes(1);
         expect(getMemoryCount()).toBe(1);
     });
 
     it('skips the entry when embedding fails (returns null)', async () => {
         embedTextMock.mockResolvedValue(null);
-        await addMemory('key', 'The bridge collapsed.', 'world_fact');
+        await addMemory(gemini('key'), 'The bridge collapsed.', 'world_fact');
+        expect(getMemoryCount()).toBe(0);
+    });
+});
+
+describe('turn undo (forgetMemoriesSince / restoreMemories)', () => {
+    beforeEach(() => {
+        clearMemories();
+        globalThis.indexedDB = new IDBFactory();
+        embedTextMock.mockReset();
+        embedTextMock.mockResolvedValue(unitVector(0));
+    });
+
+    it('takes back only the rows stored since the turn began, and a redo puts them back', async () => {
+        const now = vi.spyOn(Date, 'now');
+        now.mockReturnValue(1000);
+        await addMemory(gemini('key'), 'Before the turn.', 'world_fact');
+        now.mockReturnValue(2000);
+        await addMemory(gemini('key'), 'During the turn.', 'narrative');
+        now.mockRestore();
+
+        const removed = forgetMemoriesSince(1500);
+        expect(removed.map(m => m.text)).toEqual(['During the turn.']);
+        expect(getMemoryCount()).toBe(1);
+        restoreMemories(removed);
+        expect(getMemoryCount()).toBe(2);
+        expect(forgetMemoriesSince(1500)[0].timestamp).toBe(2000);
+    });
+
+    it('drops an embed that was still in flight when its turn was undone', async () => {
+        let finish;
+        embedTextMock.mockReturnValue(new Promise(resolve => { finish = resolve; }));
+        const pending = addMemory(gemini('key'), 'The undone turn\'s narration.', 'narrative');
+        forgetMemoriesSince(0);
+        finish(unitVector(1));
+        await pending;
         expect(getMemoryCount()).toBe(0);
     });
 });
@@ -219,57 +262,57 @@ describe('retrieveRelevant guards, scoring, and ranking', () => {
         embedTextMock.mockReset();
     });
 
-    it('returns no matches without an API key', async () => {
-        expect(await retrieveRelevant('', 'query')).toEqual([]);
+    it('returns no matches without an embedder', async () => {
+        expect(await retrieveRelevant(null, 'query')).toEqual([]);
         expect(embedTextMock).not.toHaveBeenCalled();
     });
 
     it('returns no matches without a query', async () => {
-        expect(await retrieveRelevant('key', '')).toEqual([]);
+        expect(await retrieveRelevant(gemini('key'), '')).toEqual([]);
         expect(embedTextMock).not.toHaveBeenCalled();
     });
 
     it('returns no matches when the memory store is empty', async () => {
-        expect(await retrieveRelevant('key', 'query')).toEqual([]);
+        expect(await retrieveRelevant(gemini('key'), 'query')).toEqual([]);
         expect(embedTextMock).not.toHaveBeenCalled();
     });
 
     it('returns no matches when embedding the query fails', async () => {
         embedTextMock.mockResolvedValueOnce(unitVector(0)); // for addMemory
-        await addMemory('key', 'Fact one.', 'world_fact');
+        await addMemory(gemini('key'), 'Fact one.', 'world_fact');
         embedTextMock.mockResolvedValueOnce(null); // for the query embed
-        expect(await retrieveRelevant('key', 'query')).toEqual([]);
+        expect(await retrieveRelevant(gemini('key'), 'query')).toEqual([]);
     });
 
     it('filters out matches below minScore', async () => {
         embedTextMock.mockResolvedValueOnce(unitVector(0));
-        await addMemory('key', 'Unrelated fact.', 'journal');
+        await addMemory(gemini('key'), 'Unrelated fact.', 'journal');
         embedTextMock.mockResolvedValueOnce(unitVector(1)); // orthogonal -> similarity 0
-        const matches = await retrieveRelevant('key', 'query', 8, 0.5);
+        const matches = await retrieveRelevant(gemini('key'), 'query', 8, 0.5);
         expect(matches).toEqual([]);
     });
 
     it('limits results to topN, highest score first', async () => {
         embedTextMock.mockResolvedValueOnce(unitVector(0));
-        await addMemory('key', 'Fact A.', 'world_fact');
+        await addMemory(gemini('key'), 'Fact A.', 'world_fact');
         embedTextMock.mockResolvedValueOnce(unitVector(0));
-        await addMemory('key', 'Fact B.', 'world_fact');
+        await addMemory(gemini('key'), 'Fact B.', 'world_fact');
         embedTextMock.mockResolvedValueOnce(unitVector(0));
-        await addMemory('key', 'Fact C.', 'world_fact');
+        await addMemory(gemini('key'), 'Fact C.', 'world_fact');
 
         embedTextMock.mockResolvedValueOnce(unitVector(0));
-        const matches = await retrieveRelevant('key', 'query', 2, 0.5);
+        const matches = await retrieveRelevant(gemini('key'), 'query', 2, 0.5);
         expect(matches).toHaveLength(2);
     });
 
     it('applies a category boost that can reorder equally-similar matches', async () => {
         embedTextMock.mockResolvedValueOnce(unitVector(0));
-        await addMemory('key', 'A plain narrative beat.', 'narrative'); // boost -0.04
+        await addMemory(gemini('key'), 'A plain narrative beat.', 'narrative'); // boost -0.04
         embedTextMock.mockResolvedValueOnce(unitVector(0));
-        await addMemory('key', 'An important NPC fact.', 'npc_character'); // boost +0.08
+        await addMemory(gemini('key'), 'An important NPC fact.', 'npc_character'); // boost +0.08
 
         embedTextMock.mockResolvedValueOnce(unitVector(0));
-        const matches = await retrieveRelevant('key', 'query', 8, 0);
+        const matches = await retrieveRelevant(gemini('key'), 'query', 8, 0);
         expect(matches[0].category).toBe('npc_character');
         expect(matches[0].score).toBeGreaterThan(matches[1].score);
     });
@@ -287,16 +330,16 @@ describe('seedMemories', () => {
         embedTextMock.mockReset();
     });
 
-    it('does nothing without an API key or with an empty item list', async () => {
-        await seedMemories('', [{ text: 'a', category: 'world_fact' }]);
-        await seedMemories('key', []);
+    it('does nothing without an embedder or with an empty item list', async () => {
+        await seedMemories(null, [{ text: 'a', category: 'world_fact' }]);
+        await seedMemories(gemini('key'), []);
         expect(embedTextMock).not.toHaveBeenCalled();
         expect(getMemoryCount()).toBe(0);
     });
 
     it('embeds every item fresh when no cache exists', async () => {
         embedTextMock.mockResolvedValue(unitVector(0));
-        await seedMemories('key', [
+        await seedMemories(gemini('key'), [
             { text: 'Fact one.', category: 'world_fact' },
             { text: 'Fact two.', category: 'journal' },
         ]);
@@ -315,7 +358,7 @@ describe('seedMemories', () => {
         });
         embedTextMock.mockResolvedValue(unitVector(1));
 
-        await seedMemories('key', [
+        await seedMemories(gemini('key'), [
             { text: 'Cached fact.', category: 'world_fact' },
             { text: 'Brand new fact.', category: 'world_fact' },
         ], 's1');
@@ -327,25 +370,25 @@ describe('seedMemories', () => {
 
     it('campaign-keyed seeding isolates campaigns without any wipe (2026-07-30, v4)', async () => {
         embedTextMock.mockResolvedValue(unitVector(0));
-        await seedMemories('key', [{ text: 'Old campaign: the Duke is dead.', category: 'world_fact' }], 'campaign-a');
+        await seedMemories(gemini('key'), [{ text: 'Old campaign: the Duke is dead.', category: 'world_fact' }], 'campaign-a');
         expect(getMemoryCount()).toBe(1);
 
         // Switching campaigns is just seeding the new one — no clear in between.
         embedTextMock.mockResolvedValue(unitVector(1));
-        await seedMemories('key', [{ text: 'New campaign: the ferry line is cut.', category: 'world_fact' }], 'campaign-b');
+        await seedMemories(gemini('key'), [{ text: 'New campaign: the ferry line is cut.', category: 'world_fact' }], 'campaign-b');
 
         // Only the new campaign's memory is live.
         expect(getMemoryCount()).toBe(1);
-        const matches = await retrieveRelevant('key', 'What happened to the ferry?', 3, 0.1);
+        const matches = await retrieveRelevant(gemini('key'), 'What happened to the ferry?', 3, 0.1);
         expect(matches.map(m => m.text)).toEqual(['New campaign: the ferry line is cut.']);
 
         // Switching BACK hits campaign A's persisted cache — nothing re-embeds.
         embedTextMock.mockClear();
-        await seedMemories('key', [{ text: 'Old campaign: the Duke is dead.', category: 'world_fact' }], 'campaign-a');
+        await seedMemories(gemini('key'), [{ text: 'Old campaign: the Duke is dead.', category: 'world_fact' }], 'campaign-a');
         expect(embedTextMock).not.toHaveBeenCalled();
         expect(getMemoryCount()).toBe(1);
         embedTextMock.mockResolvedValue(unitVector(0)); // query aligned with campaign A's cached vector
-        const back = await retrieveRelevant('key', 'Is the Duke alive?', 3, 0.1);
+        const back = await retrieveRelevant(gemini('key'), 'Is the Duke alive?', 3, 0.1);
         expect(back.map(m => m.text)).toEqual(['Old campaign: the Duke is dead.']);
     });
 
@@ -353,7 +396,7 @@ describe('seedMemories', () => {
         embedTextMock.mockResolvedValue(unitVector(0));
         const items = Array.from({ length: 12 }, (_, i) => ({ text: `Fact number ${i}.`, category: 'world_fact' }));
 
-        await seedMemories('key', items);
+        await seedMemories(gemini('key'), items);
 
         expect(embedTextsMock).toHaveBeenCalledTimes(1);
         expect(embedTextsMock.mock.calls[0][1]).toHaveLength(12);
@@ -364,7 +407,7 @@ describe('seedMemories', () => {
     it('a failed slot in the batch skips only that item', async () => {
         embedTextsMock.mockResolvedValue([unitVector(0), null, unitVector(1)]);
 
-        await seedMemories('key', [
+        await seedMemories(gemini('key'), [
             { text: 'Kept one.', category: 'world_fact' },
             { text: 'Failed slot.', category: 'world_fact' },
             { text: 'Kept two.', category: 'world_fact' },
@@ -384,7 +427,7 @@ describe('seedMemories', () => {
         });
         embedTextMock.mockResolvedValue(unitVector(0));
 
-        await seedMemories('key', [{ text: 'Stale fact.', category: 'world_fact' }], 's1');
+        await seedMemories(gemini('key'), [{ text: 'Stale fact.', category: 'world_fact' }], 's1');
 
         expect(embedTextMock).toHaveBeenCalledTimes(1);
         expect(getMemoryCount()).toBe(1);
@@ -400,7 +443,7 @@ describe('hostile-input guards (2026-07-28 audit)', () => {
 
     it('rejects non-string text without throwing (?. guards null, not type)', async () => {
         for (const junk of [{ fact: 'object-valued world fact' }, 42, ['a'], null, undefined, true]) {
-            await addMemory('key', junk, 'world_fact');
+            await addMemory(gemini('key'), junk, 'world_fact');
         }
         expect(embedTextMock).not.toHaveBeenCalled();
         expect(getMemoryCount()).toBe(0);
@@ -419,13 +462,13 @@ describe('hostile-input guards (2026-07-28 audit)', () => {
         });
         embedTextMock.mockResolvedValue(unitVector(1));
 
-        await seedMemories('key', [{ text: 'Poisoned fact.', category: 'world_fact' }], 's1');
+        await seedMemories(gemini('key'), [{ text: 'Poisoned fact.', category: 'world_fact' }], 's1');
 
         // The poisoned row failed the compat filter, so the item embedded fresh
         // instead of entering the store as a NaN-scoring vector.
         expect(embedTextMock).toHaveBeenCalledTimes(1);
         expect(getMemoryCount()).toBe(1);
-        const matches = await retrieveRelevant('key', 'query', 3, 0.1);
+        const matches = await retrieveRelevant(gemini('key'), 'query', 3, 0.1);
         expect(Number.isFinite(matches[0]?.score ?? 0)).toBe(true);
     });
 });
@@ -489,15 +532,15 @@ describe('cache lifecycle (2026-08-06 P1)', () => {
             { text: 'Marn: promised the hero a map of the Underway.', category: 'story_promise' },
             { text: 'The party reached the coast.', category: 'journal' },
         ];
-        await seedMemories('key', seed, 's1');
+        await seedMemories(gemini('key'), seed, 's1');
         await flushAsync();
 
         expect(getMemoryCount()).toBe(4);
         // The stale wordings are gone from DISK too: a re-seed can't resurrect them.
-        await seedMemories('key', seed, 's1');
+        await seedMemories(gemini('key'), seed, 's1');
         expect(getMemoryCount()).toBe(4);
         embedTextMock.mockResolvedValue(unitVector(0));
-        const matches = await retrieveRelevant('key', 'What about Marn and the gate?', 10, 0.1);
+        const matches = await retrieveRelevant(gemini('key'), 'What about Marn and the gate?', 10, 0.1);
         const texts = matches.map(m => m.text);
         expect(texts).not.toContain('Marn (friendly): guards the old gate.');
         expect(texts).not.toContain('Marn: promised the hero a map.');
@@ -518,20 +561,20 @@ describe('cache lifecycle (2026-08-06 P1)', () => {
         expect(rows.length).toBe(MAX_CAMPAIGN_MEMORIES + 2);
         await putEmbeddings(rows);
 
-        await seedMemories('key', [], 's1');
+        await seedMemories(gemini('key'), [], 's1');
         await flushAsync();
 
         expect(getMemoryCount()).toBe(MAX_CAMPAIGN_MEMORIES);
         // The two OLDEST transient rows went; the newest transient survived.
         embedTextMock.mockResolvedValue(unitVector(0));
-        const matches = await retrieveRelevant('key', 'query', MAX_CAMPAIGN_MEMORIES, 0.1);
+        const matches = await retrieveRelevant(gemini('key'), 'query', MAX_CAMPAIGN_MEMORIES, 0.1);
         const texts = new Set(matches.map(m => m.text));
         expect(texts.has('player action one')).toBe(false);
         expect(texts.has('player action two')).toBe(false);
         expect(texts.has('narrative beat three')).toBe(true);
 
         // Disk agrees: a fresh seed of the same campaign loads exactly the cap.
-        await seedMemories('key', [], 's1');
+        await seedMemories(gemini('key'), [], 's1');
         expect(getMemoryCount()).toBe(MAX_CAMPAIGN_MEMORIES);
     });
 
@@ -541,14 +584,14 @@ describe('cache lifecycle (2026-08-06 P1)', () => {
             rows.push(row(`Durable fact #${i}`, 'world_fact', 10 + i));
         }
         await putEmbeddings(rows);
-        await seedMemories('key', [], 's1');
+        await seedMemories(gemini('key'), [], 's1');
         expect(getMemoryCount()).toBe(MAX_CAMPAIGN_MEMORIES);
 
         embedTextMock.mockResolvedValue(unitVector(0));
-        await addMemory('key', 'A brand new fact.', 'world_fact');
+        await addMemory(gemini('key'), 'A brand new fact.', 'world_fact');
 
         expect(getMemoryCount()).toBe(MAX_CAMPAIGN_MEMORIES);
-        const matches = await retrieveRelevant('key', 'query', MAX_CAMPAIGN_MEMORIES, 0.1);
+        const matches = await retrieveRelevant(gemini('key'), 'query', MAX_CAMPAIGN_MEMORIES, 0.1);
         const texts = new Set(matches.map(m => m.text));
         expect(texts.has('old player chatter')).toBe(false);
         expect(texts.has('A brand new fact.')).toBe(true);
@@ -563,17 +606,40 @@ describe('cache lifecycle (2026-08-06 P1)', () => {
 
         await deleteCampaignMemories('campaign-a');
 
-        await seedMemories('key', [], 'campaign-a');
+        await seedMemories(gemini('key'), [], 'campaign-a');
         expect(getMemoryCount()).toBe(0);
-        await seedMemories('key', [], 'campaign-b');
+        await seedMemories(gemini('key'), [], 'campaign-b');
         expect(getMemoryCount()).toBe(1);
     });
 
     it('deleteCampaignMemories tolerates a null id and resolves without touching anything', async () => {
         await putEmbeddings([row('Campaign A fact.', 'world_fact', 1, 'campaign-a')]);
         await expect(deleteCampaignMemories(null)).resolves.toBeUndefined();
-        await seedMemories('key', [], 'campaign-a');
+        await seedMemories(gemini('key'), [], 'campaign-a');
+        expect(getMemoryCount()).toBe(1);
+    });
+
+    it('exports one campaign\'s rows and imports them in place of the target\'s', async () => {
+        await putEmbeddings([
+            row('Campaign A fact.', 'world_fact', 1, 'campaign-a'),
+            row('Campaign B fact.', 'world_fact', 2, 'campaign-b'),
+            row('Stale B fact.', 'world_fact', 3, 'campaign-b'),
+        ]);
+
+        const exported = await exportCampaignMemories('campaign-a');
+        expect(exported).toEqual([{ text: 'Campaign A fact.', category: 'world_fact', timestamp: 1, vector: unitVector(0), schema: SCHEMA }]);
+
+        const written = await importCampaignMemories('campaign-b', [
+            ...exported,
+            { text: 'Poisoned row.', vector: [NaN], schema: SCHEMA },
+            { text: 'No space.', vector: unitVector(1) },
+            null,
+        ]);
+        expect(written).toBe(1);
+        // Both of campaign B's old rows are gone; only the imported one seeds.
+        await seedMemories(gemini('key'), [], 'campaign-b');
         expect(getMemoryCount()).toBe(1);
+        expect(await importCampaignMemories(null, exported)).toBe(0);
     });
 
     it('shouldPurgeCampaignEmbeddings: only when the campaign is verifiably gone', () => {
@@ -621,15 +687,15 @@ describe('IndexedDB degradation paths (2026-07-28 audit)', () => {
         };
         embedTextMock.mockResolvedValue(unitVector(0));
 
-        await addMemory('key', 'The bridge collapsed.', 'world_fact');
+        await addMemory(gemini('key'), 'The bridge collapsed.', 'world_fact');
         expect(getMemoryCount()).toBe(1);
 
         // Seeding still works: the cache load degrades to an empty list. A seed
         // REPLACES the in-memory store (it activates a campaign), then embeds.
         embedTextMock.mockResolvedValue(unitVector(1));
-        await seedMemories('key', [{ text: 'Another fact.', category: 'journal' }], 's1');
+        await seedMemories(gemini('key'), [{ text: 'Another fact.', category: 'journal' }], 's1');
         expect(getMemoryCount()).toBe(1);
-        await addMemory('key', 'A later memory.', 'world_fact');
+        await addMemory(gemini('key'), 'A later memory.', 'world_fact');
         expect(getMemoryCount()).toBe(2);
 
         // The campaign-switch clear resolves instead of hanging the seed order.
@@ -655,7 +721,7 @@ describe('IndexedDB degradation paths (2026-07-28 audit)', () => {
         globalThis.indexedDB = stubOpenSuccess(db);
         embedTextMock.mockResolvedValue(unitVector(0));
 
-        await seedMemories('key', [{ text: 'Fact one.', category: 'world_fact' }]);
+        await seedMemories(gemini('key'), [{ text: 'Fact one.', category: 'world_fact' }]);
 
         expect(embedTextMock).toHaveBeenCalledTimes(1);
         expect(getMemoryCount()).toBe(1);
@@ -675,7 +741,7 @@ describe('IndexedDB degradation paths (2026-07-28 audit)', () => {
         globalThis.indexedDB = stubOpenSuccess(db);
         embedTextMock.mockResolvedValue(unitVector(0));
 
-        await addMemory('key', 'The bridge collapsed.', 'world_fact');
+        await addMemory(gemini('key'), 'The bridge collapsed.', 'world_fact');
         await new Promise(resolve => setTimeout(resolve, 0));
 
         expect(getMemoryCount()).toBe(1);
@@ -345,7 +345,10 @@ export function buildJournalContext(journal, npcs, currentLocation) {
     if (journal.length > 0) {
         const recentEntries = journal.slice(-3);
         const entrySummaries = recentEntries.map((e, i) => {
-            let entry = `Entry ${journal.length - recentEntries.length + i + 1}: ${e.summary}`;
+            const stamp = Number.isFinite(e.calendar?.day) && typeof e.calendar?.date === 'string'
+                ? ` (Day ${e.calendar.day} · ${e.calendar.date})`
+                : '';
+            let entry = `Entry ${journal.length - recentEntries.length + i + 1}${stamp}: ${e.summary}`;
             // Array belt for legacy entries persisted before normalizeJournalSummary —
             // a string-valued consequences here crashed the prompt build every turn.
             if (Array.isArray(e.consequences) && e.consequences.length) {
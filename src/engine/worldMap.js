@@ -0,0 +1,142 @@
+/**
+ * World map — the player-facing picture of the location registry
+ * (DECISIONS.md 2026-10-19).
+ *
+ * Pure layout and lookups for the Map panel. Places cluster by region (the
+ * same region nodes engine/travel.js routes over); region clusters sit on a
+ * ring, places on a small ring inside their cluster. Two kinds of edge:
+ * roads the hero actually walked (`arrivedFromIds`) and kinship between
+ * nested places (areRelatedPlaces — the shop and its street).
+ *
+ * Everything here is player knowledge. Front theaters, clocks and titles
+ * never leave this module: a place's profile is its type, danger, region and
+ * names, and its rumors are the deeds the hearsay ledger already offered
+ * there — never a front's.
+ */
+import { calendarDay, formatCalendarDate } from './calendar.js';
+import { areRelatedPlaces, findLocationRecord, getCurrentLocationRecord } from './locationRegistry.js';
+import { buildRegionGraph } from './travel.js';
+
+export const MAP_WIDTH = 640;
+export const MAP_HEIGHT = 420;
+const REGION_RING = { rx: 220, ry: 140 };
+const PLACE_RING_MIN = 28;
+const PLACE_RING_MAX = 64;
+
+function ringPoint(cx, cy, rx, ry, index, count) {
+    const angle = (2 * Math.PI * index) / count - Math.PI / 2;
+    return { x: Math.round(cx + rx * Math.cos(angle)), y: Math.round(cy + ry * Math.sin(angle)) };
+}
+
+/**
+ * Lay the registry out as region clusters, places and edges.
+ * @returns {{ regions: object[], places: object[], edges: object[] }}
+ */
+export function buildWorldMap(locations = [], currentLocation = null) {
+    const graph = buildRegionGraph(locations);
+    const current = getCurrentLocationRecord(locations, currentLocation);
+    const cx = MAP_WIDTH / 2;
+    const cy = MAP_HEIGHT / 2;
+    const regions = [];
+    const places = [];
+
+    graph.nodes.forEach((node, i) => {
+        const center = graph.nodes.length === 1
+            ? { x: cx, y: cy }
+            : ringPoint(cx, cy, REGION_RING.rx, REGION_RING.ry, i, graph.nodes.length);
+        const radius = node.records.length === 1
+            ? 0
+            : Math.min(PLACE_RING_MAX, PLACE_RING_MIN + 8 * node.records.length);
+        regions.push({ key: node.key, label: node.region, x: center.x, y: center.y, radius });
+        node.records.forEach((record, j) => {
+            const point = radius === 0 ? center : ringPoint(center.x, center.y, radius, radius, j, node.records.length);
+            places.push({
+                id: record.id,
+                name: record.name,
+                type: record.type || null,
+                danger: record.danger || null,
+                regionKey: node.key,
+                x: point.x,
+                y: point.y,
+                current: record.id === current?.id,
+                visitCount: record.visitCount || 0,
+            });
+        });
+    });
+
+    const edges = [];
+    const seen = new Set();
+    const addEdge = (a, b, kind) => {
+        const key = [a, b].sort().join('|');
+        if (a === b || seen.has(key)) return;
+        seen.add(key);
+        edges.push({ from: a, to: b, kind });
+    };
+    const known = new Set(places.map(place => place.id));
+    for (const record of locations || []) {
+        if (!known.has(record?.id)) continue;
+        for (const fromId of record.arrivedFromIds || []) {
+            if (known.has(fromId)) addEdge(fromId, record.id, 'road');
+        }
+    }
+    const records = (locations || []).filter(record => known.has(record?.id));
+    for (let i = 0; i < records.length; i += 1) {
+        for (let j = i + 1; j < records.length; j += 1) {
+            if (areRelatedPlaces(records[i], records[j])) addEdge(records[i].id, records[j].id, 'related');
+        }
+    }
+    return { regions, places, edges };
+}
+
+/** The hearsay ledger's deeds offered at this place, as the player heard them. */
+function collectPlaceRumors(record, { locations = [], recentHearsay = [], storyMemory = [], recentEncounters = [] }) {
+    const rumors = [];
+    const isHere = key => key === record.id || locations[findLocationRecord(locations, key)]?.id === record.id;
+    for (const entry of recentHearsay || []) {
+        if (typeof entry !== 'string') continue;
+        const [deedKey, locKey] = entry.split('|');
+        if (!deedKey || !isHere(locKey)) continue;
+        const kind = deedKey.slice(0, deedKey.indexOf(':'));
+        const ref = deedKey.slice(deedKey.indexOf(':') + 1);
+        if (kind === 'card') {
+            const card = (storyMemory || []).find(candidate => candidate?.id === ref);
+            if (card?.text) rumors.push(card.text);
+        } else if (kind === 'fight') {
+            const fight = (recentEncounters || []).find(candidate => String(candidate?.messageIndex) === ref);
+            if (fight?.enemies) {
+                rumors.push(fight.outcome === 'victory'
+                    ? `The hero cut down ${fight.enemies} at ${fight.location}.`
+                    : `The hero was beaten and driven off by ${fight.enemies} at ${fight.location}.`);
+            }
+        }
+        // `front:` deeds stay unlisted: the map never names a front.
+    }
+    return [...new Set(rumors)];
+}
+
+/**
+ * Everything the Map panel shows for one place: its profile, visits, the
+ * rumors heard there and the roster NPCs based there.
+ */
+export function describePlace(record, { locations = [], npcs = [], recentHearsay = [], storyMemory = [], recentEncounters = [] } = {}) {
+    if (!record) return null;
+    const lastVisited = Number.isFinite(record.lastVisitedMinute)
+        ? `Day ${calendarDay({ elapsedMinutes: record.lastVisitedMinute })} · ${formatCalendarDate({ elapsedMinutes: record.lastVisitedMinute })}`
+        : null;
+    const residents = (npcs || []).filter(npc => npc
+        && npc.rosterTier !== 'archived_creature'
+        && npc.basedIn
+        && locations[findLocationRecord(locations, npc.basedIn)]?.id === record.id);
+    return {
+        id: record.id,
+        name: record.name,
+        aliases: record.aliases || [],
+        type: record.type || null,
+        danger: record.danger || null,
+        region: record.region || null,
+        visitCount: record.visitCount || 0,
+        lastVisited,
+        rumors: collectPlaceRumors(record, { locations, recentHearsay, storyMemory, recentEncounters }),
+        npcs: residents.map(npc => ({ id: npc.id, name: npc.name, disposition: npc.disposition || 'unknown' })),
+    };
+}
@@ -0,0 +1,67 @@
+import { describe, expect, it } from 'vitest';
+import { MINUTES_PER_DAY } from './calendar.js';
+import { buildWorldMap, describePlace, MAP_HEIGHT, MAP_WIDTH } from './worldMap.js';
+
+const place = (id, name, overrides = {}) => ({ id, name, aliases: [], type: 'settlement', danger: 'low', theaterFrontIds: [], arrivedFromIds: [], region: null, visitCount: 1, ...overrides });
+
+const locations = [
+    place('loc-a', 'Harrowmere', { region: 'Vale of Reeds', visitCount: 3, lastVisitedMinute: 2 * MINUTES_PER_DAY, theaterFrontIds: ['front-1'] }),
+    place('loc-b', 'Gilded Eel, Harrowmere', { region: 'Vale of Reeds', type: 'haven', arrivedFromIds: ['loc-a'] }),
+    place('loc-c', 'Ghyll', { region: 'Rimefell Marches', type: 'wilderness', danger: 'moderate', arrivedFromIds: ['loc-a'] }),
+    place('loc-d', 'Saltmere'),
+];
+
+describe('buildWorldMap', () => {
+    it('clusters places by region inside the canvas and marks the current one', () => {
+        const map = buildWorldMap(locations, 'Ghyll');
+        expect(map.regions.map(region => region.label)).toEqual(['Vale of Reeds', 'Rimefell Marches', null]);
+        expect(map.places.find(p => p.current).id).toBe('loc-c');
+        expect(map.places.find(p => p.id === 'loc-a').visitCount).toBe(3);
+        for (const p of map.places) {
+            expect(p.x).toBeGreaterThanOrEqual(0);
+            expect(p.x).toBeLessThanOrEqual(MAP_WIDTH);
+            expect(p.y).toBeGreaterThanOrEqual(0);
+            expect(p.y).toBeLessThanOrEqual(MAP_HEIGHT);
+        }
+        const [a, b] = map.places;
+        expect(a.regionKey).toBe(b.regionKey);
+        expect([a.x, a.y]).not.toEqual([b.x, b.y]);
+    });
+
+    it('draws walked roads and nested-place kinship once each', () => {
+        const map = buildWorldMap(locations, 'Ghyll');
+        expect(map.edges).toEqual([
+            { from: 'loc-a', to: 'loc-b', kind: 'road' },
+            { from: 'loc-a', to: 'loc-c', kind: 'road' },
+        ]);
+        const unwalked = buildWorldMap(locations.map(record => ({ ...record, arrivedFromIds: [] })), null);
+        expect(unwalked.edges).toEqual([{ from: 'loc-a', to: 'loc-b', kind: 'related' }]);
+    });
+
+    it('is empty for an empty registry', () => {
+        expect(buildWorldMap([], null)).toEqual({ regions: [], places: [], edges: [] });
+    });
+});
+
+describe('describePlace', () => {
+    it('lists visits, residents and the rumors heard there, never a front', () => {
+        const profile = describePlace(locations[0], {
+            locations,
+            npcs: [
+                { id: 'npc-1', name: 'Odo', basedIn: 'Harrowmere', disposition: 'friendly' },
+                { id: 'npc-2', name: 'Wren', basedIn: 'Ghyll' },
+                { id: 'npc-3', name: 'Rat', basedIn: 'Harrowmere', rosterTier: 'archived_creature' },
+            ],
+            recentHearsay: ['card:card-1|loc-a|40', 'fight:12|harrowmere|41', 'front:front-1|loc-a|42', 'card:card-1|loc-c|50'],
+            storyMemory: [{ id: 'card-1', text: 'The hero shamed the reeve in the square.' }],
+            recentEncounters: [{ messageIndex: 12, enemies: 'three bandits', location: 'the Ghyll road', outcome: 'victory' }],
+        });
+        expect(profile).toMatchObject({ name: 'Harrowmere', type: 'settlement', region: 'Vale of Reeds', visitCount: 3, lastVisited: 'Day 3 · 3 Seedtide, Year 1' });
+        expect(profile.npcs).toEqual([{ id: 'npc-1', name: 'Odo', disposition: 'friendly' }]);
+        expect(profile.rumors).toEqual([
+            'The hero shamed the reeve in the square.',
+            'The hero cut down three bandits at the Ghyll road.',
+        ]);
+        expect(JSON.stringify(profile)).not.toContain('front-1');
+    });
+});
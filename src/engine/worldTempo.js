@@ -23,7 +23,8 @@
 
 import { findLocationRecord, getCurrentLocationRecord, isSameLocation } from './locationRegistry.js';
 import { conversationalDistance } from './replayLedger.js';
-import { DEFAULT_MAX_CLOCK } from './fronts.js';
+import { advanceCalendar, calendarDay, daysBetween, MINUTES_PER_DAY } from './calendar.js';
+import { advanceFrontsForElapsedWeeks, DEFAULT_MAX_CLOCK } from './fronts.js';
 
 export const INTENSITY_LEVELS = ['whispers', 'indirect', 'presence', 'confrontation'];
 export const PACE_DIALS = ['slow-burn', 'standard', 'breakneck'];
@@ -37,12 +38,21 @@ export const TEMPO_TIMING_DIE_SIDES = 5;
  * early on check-heavy stretches. A scene ≈ 2 conversational messages.
  */
 export const TEMPO_WINDOW_MESSAGES = 24;
+/**
+ * ...and on the calendar (calendar.js): a permission granted before three
+ * days of travel or waiting went by is stale, however few messages it took.
+ */
+export const TEMPO_WINDOW_MAX_DAYS = 3;
+/** Calendar days per tick of every active front's clock — the world does not wait. */
+export const WORLD_DAYS_PER_FRONT_TICK = 7;
 export const MAX_RECENT_ENCOUNTERS = 10;
 export const MAX_ACTIVE_FRONTS = 4;
 /** A foe family fielded in this many ledger encounters is fatigued — the DM must vary. */
 export const FOE_FATIGUE_THRESHOLD = 3;
 /** How long (in conversational messages) a resolved front's absence keeps being echoed to the DM. */
 export const RESOLVED_ECHO_WINDOW_MESSAGES = 40;
+/** How long (in conversational messages) a finished downtime stretch keeps being echoed to the DM. */
+export const DOWNTIME_ECHO_WINDOW_MESSAGES = 12;
 /**
  * Living-world absence drift (DECISIONS.md 2026-08-05): a return to a known
  * place after this many conversational messages away (~15 scenes) qualifies
@@ -50,6 +60,8 @@ export const RESOLVED_ECHO_WINDOW_MESSAGES = 40;
  * so reducer handlers never import from llm/.
  */
 export const ABSENCE_DRIFT_MIN_AWAY = 30;
+/** ...or after this many calendar days away, however few messages they took. */
+export const ABSENCE_DRIFT_MIN_AWAY_DAYS = 7;
 export const ABSENCE_DRIFT_WINDOW_MESSAGES = 12;
 export const MAX_DRIFT_DEVELOPMENTS = 2;
 /**
@@ -160,6 +172,7 @@ export function buildEncounterEntry(state, payload = {}) {
         location: cleanText(state.currentLocation, 120) || null,
         enemies: summarizeEncounterEnemies(enemies),
         foeFamilies: [...new Set(enemies.map(enemy => foeFamilyKey(enemy?.name)).filter(Boolean))].slice(0, 8),
+        ...(ENCOUNTER_HEAT[state.combat?.encounter?.grade] !== undefined && { difficulty: state.combat.encounter.grade }),
         outcome,
     };
 }
@@ -207,6 +220,50 @@ export function recentlyResolvedFronts(fronts = [], messageCount = 0, messages =
 
 const HEAT_LEVELS = ['calm', 'lively', 'high'];
 
+// Heat a recent fight contributes by its encounter-budget grade.
+const ENCOUNTER_HEAT = { trivial: 1, easy: 2, medium: 3, hard: 4, deadly: 5 };
+
+/**
+ * The last downtime stretch (downtime.js), while it is recent enough that the
+ * next scenes should still show the days that went by; null otherwise.
+ */
+export function recentDowntime(worldTempo, messageCount = 0, messages = null) {
+    const stretch = worldTempo?.lastDowntime;
+    if (!stretch || !Number.isFinite(stretch.atMessage) || !(stretch.days > 0)) return null;
+    return distanceSince(messages, stretch.atMessage, messageCount) <= DOWNTIME_ECHO_WINDOW_MESSAGES ? stretch : null;
+}
+
+/**
+ * The last DM time skip that moved the fronts (PASS_TIME), echoed for the same
+ * few scenes as a downtime stretch; null otherwise.
+ */
+export function recentTimeSkip(worldTempo, messageCount = 0, messages = null) {
+    const skip = worldTempo?.lastTimeSkip;
+    if (!skip || !Number.isFinite(skip.atMessage) || !(skip.days > 0)) return null;
+    return distanceSince(messages, skip.atMessage, messageCount) <= DOWNTIME_ECHO_WINDOW_MESSAGES ? skip : null;
+}
+
+/**
+ * Move the world's clock by `minutes` (calendar.js): every calendar week
+ * boundary crossed ticks each active front once (fronts.js
+ * advanceFrontsForElapsedWeeks). Rests, downtime and DM time skips all come
+ * through here, so fictional time — not message count — drives the pressure
+ * that builds while the hero is busy elsewhere. Pure: the caller stores the
+ * result.
+ */
+export function advanceWorldTime(state, minutes) {
+    const before = state?.calendar;
+    const calendar = advanceCalendar(before, minutes);
+    const weekOf = value => Math.floor((calendarDay(value) - 1) / WORLD_DAYS_PER_FRONT_TICK);
+    const advance = advanceFrontsForElapsedWeeks(state?.fronts || [], weekOf(calendar) - weekOf(before));
+    return {
+        calendar,
+        fronts: advance.fronts,
+        advancedFrontIds: advance.advancedIds,
+        days: daysBetween(before?.elapsedMinutes, calendar.elapsedMinutes),
+    };
+}
+
 function heatLevel(score) {
     if (score >= 7) return 'high';
     if (score >= 3) return 'lively';
@@ -234,8 +291,17 @@ export function computeRecentHeat(state, { window = 15 } = {}) {
         .filter(entry => Number.isFinite(entry?.messageIndex)
             && distanceSince(messages, entry.messageIndex, messageCount) <= window);
     if (recentFights.length > 0) {
-        score += Math.min(7, 3 + (recentFights.length - 1) * 2);
-        reasons.push(recentFights.length === 1 ? 'a fight within the last few scenes' : `${recentFights.length} fights within the last few scenes`);
+        // The hardest recent fight sets the base (its budget grade; ungraded
+        // ledger entries count as medium), each further fight adds 2.
+        const hardest = recentFights.reduce((worst, entry) => {
+            const heat = ENCOUNTER_HEAT[entry.difficulty] ?? ENCOUNTER_HEAT.medium;
+            return heat > worst.heat ? { heat, grade: entry.difficulty } : worst;
+        }, { heat: 0, grade: null });
+        score += Math.min(7, hardest.heat + (recentFights.length - 1) * 2);
+        const graded = hardest.grade ? ` (${recentFights.length === 1 ? 'graded' : 'the hardest'} ${hardest.grade})` : '';
+        reasons.push(recentFights.length === 1
+            ? `a fight within the last few scenes${graded}`
+            : `${recentFights.length} fights within the last few scenes${graded}`);
     }
 
     const character = state.character;
@@ -311,6 +377,7 @@ export function normalizeTempoDirective(raw, {
     timingDelay = 0,
     locations = [],
     currentLocation = null,
+    elapsedMinutes = null,
 } = {}) {
     const dial = normalizePaceDial(paceDial);
     const quiet = {
@@ -321,6 +388,7 @@ export function normalizeTempoDirective(raw, {
         rationale: cleanText(raw?.rationale),
         quietHook: cleanText(raw?.quiet_hook || raw?.quietHook),
         grantedAtMessage: messageCount,
+        ...(Number.isFinite(elapsedMinutes) && { grantedAtMinute: elapsedMinutes }),
         activationDistance: 0,
         expiryDistance: TEMPO_WINDOW_MESSAGES,
     };
@@ -368,6 +436,7 @@ export function normalizeTempoDirective(raw, {
         rationale: cleanText(raw.rationale),
         quietHook: '',
         grantedAtMessage: messageCount,
+        ...(Number.isFinite(elapsedMinutes) && { grantedAtMinute: elapsedMinutes }),
         // The timing die counts scenes: one scene ≈ one player+DM pair ≈ 2
         // CONVERSATIONAL messages past the grant anchor. Dice-turn system
         // chatter never advances the countdown (2026-08-02 P1).
@@ -393,9 +462,16 @@ export function tempoDirectiveDistances(directive) {
     return { activation, expiry };
 }
 
-/** Is the directive's window open for the current message count? */
-export function isTempoWindowActive(directive, messageCount, messages = null) {
+/**
+ * Is the directive's window open for the current message count? With the
+ * calendar's `elapsedMinutes`, a window also closes once TEMPO_WINDOW_MAX_DAYS
+ * have passed since the grant (directives from before the calendar carry no
+ * grantedAtMinute and expire by messages alone).
+ */
+export function isTempoWindowActive(directive, messageCount, messages = null, elapsedMinutes = null) {
     if (!directive?.frontId || !Number.isFinite(messageCount) || !Number.isFinite(directive.grantedAtMessage)) return false;
+    if (Number.isFinite(elapsedMinutes) && Number.isFinite(directive.grantedAtMinute)
+        && elapsedMinutes - directive.grantedAtMinute > TEMPO_WINDOW_MAX_DAYS * MINUTES_PER_DAY) return false;
     const { activation, expiry } = tempoDirectiveDistances(directive);
     const distance = distanceSince(messages, directive.grantedAtMessage, messageCount);
     return distance >= activation && distance <= expiry;
@@ -416,10 +492,13 @@ export function buildWorldTempoBlock({
     messages = null,
     combatActive = false,
     solo = false,
+    calendar = null,
 } = {}) {
     const activeFronts = fronts.filter(f => (f.status || 'active') === 'active');
     const resolvedEchoes = recentlyResolvedFronts(fronts, messageCount, messages);
-    if (activeFronts.length === 0 && recentEncounters.length === 0 && resolvedEchoes.length === 0) return '';
+    const downtime = recentDowntime(worldTempo, messageCount, messages);
+    const timeSkip = recentTimeSkip(worldTempo, messageCount, messages);
+    if (activeFronts.length === 0 && recentEncounters.length === 0 && resolvedEchoes.length === 0 && !downtime && !timeSkip) return '';
 
     const dial = normalizePaceDial(paceDial);
     const lines = [];
@@ -439,7 +518,7 @@ export function buildWorldTempoBlock({
     }
 
     const directive = worldTempo?.directive || null;
-    const windowActive = !combatActive && isTempoWindowActive(directive, messageCount, messages);
+    const windowActive = !combatActive && isTempoWindowActive(directive, messageCount, messages, calendar?.elapsedMinutes);
     const permittedFront = windowActive ? activeFronts.find(f => f.id === directive.frontId) : null;
 
     if (permittedFront) {
@@ -470,6 +549,14 @@ export function buildWorldTempoBlock({
         }
     }
 
+    if (downtime) {
+        // Downtime moves the world's clock in bulk; the DM must make that
+        // felt or the week "never happened".
+        lines.push(`TIME PASSED: the hero just spent ${downtime.days} day${downtime.days === 1 ? '' : 's'} in downtime (${downtime.label}).${downtime.frontIds?.length ? ` Off-screen pressures gained ground meanwhile: ${downtime.frontIds.join(', ')}.` : ''} Let the coming scenes show the days went by — news, weather, prices, people who moved on — without re-narrating the downtime's results, which the engine already applied.`);
+    } else if (timeSkip) {
+        lines.push(`TIME PASSED: ${timeSkip.days} day${timeSkip.days === 1 ? '' : 's'} went by${timeSkip.reason ? ` (${timeSkip.reason})` : ''}, and off-screen pressures gained ground meanwhile: ${timeSkip.frontIds.join(', ')}. Let the coming scenes show it in news, rumor, and changed places.`);
+    }
+
     if (recentEncounters.length > 0) {
         const recent = recentEncounters.slice(-4)
             .map(entry => `${entry.enemies}${entry.location ? ` (${entry.location}` : ' ('}${entry.location ? `, ${entry.outcome})` : `${entry.outcome})`}`)
@@ -1,5 +1,6 @@
 import { describe, expect, it } from 'vitest';
 import {
+    advanceWorldTime,
     appendRecentEncounter,
     buildEncounterEntry,
     buildPaceGuidance,
@@ -19,6 +20,7 @@ import {
     MAX_RECENT_ENCOUNTERS,
     TEMPO_WINDOW_MESSAGES,
 } from './worldTempo.js';
+import { MINUTES_PER_DAY } from './calendar.js';
 
 const front = (overrides = {}) => ({
     id: 'front-v2-1',
@@ -148,6 +150,14 @@ describe('recent heat', () => {
         expect(stacked.score).toBe(4); // 3 cap + 1 hard-DC bonus — never "high" alone
         expect(stacked.level).toBe('lively');
     });
+
+    it('weights a recent fight by its encounter-budget grade', () => {
+        const trivial = computeRecentHeat({ ...baseState, recentEncounters: [{ enemies: 'rat', messageIndex: 27, difficulty: 'trivial' }] });
+        const deadly = computeRecentHeat({ ...baseState, recentEncounters: [{ enemies: 'ogre', messageIndex: 27, difficulty: 'deadly' }] });
+        expect(trivial).toMatchObject({ score: 1, level: 'calm' });
+        expect(deadly).toMatchObject({ score: 5, level: 'lively' });
+        expect(deadly.reasons).toEqual(['a fight within the last few scenes (graded deadly)']);
+    });
 });
 
 describe('pace guidance thermostat', () => {
@@ -282,6 +292,17 @@ describe('tempo directive normalization', () => {
         expect(isTempoWindowActive(directive, later.length, later)).toBe(true);
     });
 
+    it('closes a window once three in-world days have passed since the grant', () => {
+        const directive = normalizeTempoDirective({ front_id: 'front-v2-1' }, { ...ctx, elapsedMinutes: 600 });
+        expect(directive.grantedAtMinute).toBe(600);
+        expect(isTempoWindowActive(directive, 34, null, 600 + 2 * MINUTES_PER_DAY)).toBe(true);
+        expect(isTempoWindowActive(directive, 34, null, 600 + 4 * MINUTES_PER_DAY)).toBe(false);
+        // Pre-calendar directives carry no grant minute and expire by messages alone.
+        const legacy = normalizeTempoDirective({ front_id: 'front-v2-1' }, ctx);
+        expect(legacy.grantedAtMinute).toBeUndefined();
+        expect(isTempoWindowActive(legacy, 34, null, 99 * MINUTES_PER_DAY)).toBe(true);
+    });
+
     it('keeps a legacy raw-index directive working via derived distances', () => {
         const legacy = {
             frontId: 'front-v2-1', maxIntensity: 'indirect',
@@ -309,6 +330,8 @@ describe('encounter ledger', () => {
         expect(entry).toMatchObject({ messageIndex: 12, location: 'Old Crypt', enemies: '2× Ghoul', outcome: 'victory' });
         expect(buildEncounterEntry(state, { defeat: true, slainXpOnly: true }).outcome).toBe('defeat');
         expect(buildEncounterEntry(state, { escaped: true }).outcome).toBe('escaped');
+        expect(entry.difficulty).toBeUndefined();
+        expect(buildEncounterEntry({ ...state, combat: { ...state.combat, encounter: { grade: 'hard' } } }, {}).difficulty).toBe('hard');
 
         let list = [];
         for (let i = 0; i < MAX_RECENT_ENCOUNTERS + 2; i++) list = appendRecentEncounter(list, { enemies: `foe ${i}`, messageIndex: i });
@@ -490,3 +513,38 @@ describe('resolved-front victory echo', () => {
         expect(block).toContain('RECENT VICTORY');
     });
 });
+
+describe('world time', () => {
+    const clocked = [
+        front({ id: 'a', clock: 1, grimPortents: ['x', 'y', 'z'] }),
+        front({ id: 'b', status: 'resolved', clock: 2 }),
+        front({ id: 'c', clock: 6 }),
+    ];
+
+    it('ticks each active front once per calendar week crossed', () => {
+        const inWeek = advanceWorldTime({ calendar: { elapsedMinutes: 0 }, fronts: clocked }, 5 * MINUTES_PER_DAY);
+        expect(inWeek.calendar.elapsedMinutes).toBe(5 * MINUTES_PER_DAY);
+        expect(inWeek.days).toBe(5);
+        expect(inWeek.advancedFrontIds).toEqual([]);
+        expect(inWeek.fronts).toBe(clocked);
+        const twoWeeks = advanceWorldTime({ calendar: { elapsedMinutes: 5 * MINUTES_PER_DAY }, fronts: clocked }, 10 * MINUTES_PER_DAY);
+        expect(twoWeeks.advancedFrontIds).toEqual(['a']);
+        expect(twoWeeks.fronts[0]).toMatchObject({ clock: 3, stage: 1 });
+        expect(twoWeeks.fronts[1]).toBe(clocked[1]);
+    });
+
+    it('echoes a front-moving time skip as TIME PASSED', () => {
+        const block = buildWorldTempoBlock({
+            fronts: [front()],
+            worldTempo: { lastTimeSkip: { days: 9, reason: 'the road north', atMessage: 10, frontIds: ['front-v2-1'] } },
+            messageCount: 12,
+        });
+        expect(block).toContain('TIME PASSED: 9 days went by (the road north), and off-screen pressures gained ground meanwhile: front-v2-1.');
+        const stale = buildWorldTempoBlock({
+            fronts: [front()],
+            worldTempo: { lastTimeSkip: { days: 9, reason: '', atMessage: 10, frontIds: ['front-v2-1'] } },
+            messageCount: 60,
+        });
+        expect(stale).not.toContain('TIME PASSED');
+    });
+});
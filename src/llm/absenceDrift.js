@@ -17,6 +17,7 @@
  * installs nothing, and a quiet "nothing much changed" is a first-class answer.
  */
 import { sendMessage } from './adapter.js';
+import { getDmConfig, isDmReady } from './machinery.js';
 import { cleanText, parseDirectorJson } from './directorUtils.js';
 import { CAMPAIGN_PREMISE_MAX_LENGTH } from '../config/contentLimits.js';
 import { findLocationRecord, isSameLocation } from '../engine/locationRegistry.js';
@@ -30,6 +31,7 @@ import {
     isAbsenceDriftLocalNpc,
 } from '../engine/worldTempo.js';
 import { namesMatch } from '../engine/npcRoster.js';
+import { describeCalendar } from '../engine/calendar.js';
 
 export { ABSENCE_DRIFT_MIN_AWAY, ABSENCE_DRIFT_WINDOW_MESSAGES, MAX_DRIFT_DEVELOPMENTS };
 
@@ -61,7 +63,7 @@ Rules:
 export function shouldGenerateAbsenceDrift(state) {
     return !!(state?.session?.pendingAbsenceDrift
         && state.session?.id
-        && state.settings?.apiKey
+        && isDmReady(state.settings)
         && !state.combat?.active);
 }
 
@@ -74,6 +76,13 @@ function theaterFrontsAt(state, locationRecord) {
         .slice(0, 2);
 }
 
+/** "9 days" / "about 3 weeks" — calendar absence in words for the director and the DM. */
+function describeDaysAway(days) {
+    if (days < 14) return `${days} day${days === 1 ? '' : 's'}`;
+    if (days < 60) return `about ${Math.round(days / 7)} weeks`;
+    return `about ${Math.round(days / 30)} months`;
+}
+
 export function buildAbsenceDriftContext(state) {
     const pending = state.session?.pendingAbsenceDrift || {};
     const locations = state.locations || [];
@@ -98,7 +107,8 @@ export function buildAbsenceDriftContext(state) {
             name: cleanText(pending.locationName, 120),
             type: record?.type || null,
             intrinsicDanger: record?.danger || null,
-            absenceLength: `${pending.awayDistance || 0} conversational beats (~${Math.round((pending.awayDistance || 0) / 2)} scenes)`,
+            absenceLength: `${pending.awayDistance || 0} conversational beats (~${Math.round((pending.awayDistance || 0) / 2)} scenes)${Number.isFinite(pending.awayDays) ? `, ${describeDaysAway(pending.awayDays)} of in-world time` : ''}`,
+            ...(state.calendar && { now: describeCalendar(state.calendar) }),
         },
         offScreenPressuresHoldingThisPlace: theaterFrontsAt(state, record).map(front => ({
             front_id: front.id,
@@ -163,9 +173,7 @@ export async function generateAbsenceDrift(state) {
         throw new Error('No qualifying return is awaiting absence drift.');
     }
     const response = await sendMessage({
-        provider: state.settings.llmProvider,
-        apiKey: state.settings.apiKey,
-        model: state.settings.model,
+        ...getDmConfig(state.settings),
         systemPrompt: ABSENCE_DRIFT_PROMPT,
         messageHistory: [],
         userMessage: JSON.stringify(buildAbsenceDriftContext(state)),
@@ -199,9 +207,12 @@ export function buildWhileYouWereAwayBlock(absenceDrift, { currentLocation, mess
     if (developments.length === 0 && !fact && !symptom) return '';
 
     const scenes = Math.max(1, Math.round((absenceDrift.awayDistance || 0) / 2));
+    const days = Number.isFinite(absenceDrift.awayDays) && absenceDrift.awayDays > 0
+        ? `, ${describeDaysAway(absenceDrift.awayDays)} by the calendar`
+        : '';
     const lines = [];
     lines.push('## WHILE YOU WERE AWAY — PRIVATE');
-    lines.push(`The hero has returned to ${cleanText(absenceDrift.locationName, 120)} after a long absence (~${scenes} scenes away). These off-screen developments are now canon here — surface them through concrete scene detail and NPC dialogue as the fiction allows (discovery, not an exposition dump; one or two touches per scene):`);
+    lines.push(`The hero has returned to ${cleanText(absenceDrift.locationName, 120)} after a long absence (~${scenes} scenes away${days}). These off-screen developments are now canon here — surface them through concrete scene detail and NPC dialogue as the fiction allows (discovery, not an exposition dump; one or two touches per scene):`);
     for (const dev of developments) {
         lines.push(`- ${dev.name}: ${dev.detail}`);
     }
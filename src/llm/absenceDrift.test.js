@@ -64,6 +64,12 @@ describe('shouldGenerateAbsenceDrift', () => {
         expect(shouldGenerateAbsenceDrift({ ...state, settings: { apiKey: '' } })).toBe(false);
         expect(shouldGenerateAbsenceDrift({ ...state, combat: { active: true } })).toBe(false);
     });
+
+    it('runs on a keyless local server once a model is chosen', () => {
+        const state = baseState();
+        expect(shouldGenerateAbsenceDrift({ ...state, settings: { llmProvider: 'local', apiKey: '', model: 'qwen3:14b' } })).toBe(true);
+        expect(shouldGenerateAbsenceDrift({ ...state, settings: { llmProvider: 'local', apiKey: '', model: '' } })).toBe(false);
+    });
 });
 
 describe('buildAbsenceDriftContext', () => {
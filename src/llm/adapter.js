@@ -5,11 +5,13 @@
 import { sendGeminiMessage, streamGeminiMessage } from './providers/gemini.js';
 import { sendOpenAIMessage, streamOpenAIMessage } from './providers/openai.js';
 import { sendXaiMessage, streamXaiMessage } from './providers/xai.js';
+import { sendLocalMessage, streamLocalMessage } from './providers/local.js';
 
 const providers = {
     gemini: { send: sendGeminiMessage, stream: streamGeminiMessage },
     openai: { send: sendOpenAIMessage, stream: streamOpenAIMessage },
     xai: { send: sendXaiMessage, stream: streamXaiMessage },
+    local: { send: sendLocalMessage, stream: streamLocalMessage },
 };
 
 /** Transient failures worth retrying: rate limits, server hiccups, dropped connections. */
@@ -44,9 +46,11 @@ const DEFAULT_SEND_TIMEOUT_MS = 90_000;
  * never retries here: the player has UI-level retry paths and partial output.
  *
  * @param {object} options
- * @param {string} options.provider - Provider name ('gemini' | 'openai')
+ * @param {string} options.provider - Provider name ('gemini' | 'openai' | 'xai' | 'local')
  * @param {string} options.apiKey - API key
  * @param {string} options.model - Model identifier
+ * @param {string} [options.baseUrl] - Server root for the 'local' provider
+ *   (ignored by the hosted providers).
  * @param {string} options.systemPrompt - System prompt
  * @param {Array} options.messageHistory - Previous messages [{role, content}]
  * @param {string} options.userMessage - New user message
@@ -60,7 +64,7 @@ const DEFAULT_SEND_TIMEOUT_MS = 90_000;
  * @param {AbortSignal} [options.signal] - External cancel; never retried.
  * @returns {Promise<string>} LLM response text
  */
-export async function sendMessage({ provider, apiKey, model, systemPrompt, messageHistory, userMessage, temperature, thinkingBudget, maxOutputTokens, timeoutMs = DEFAULT_SEND_TIMEOUT_MS, signal }) {
+export async function sendMessage({ provider, apiKey, model, baseUrl, systemPrompt, messageHistory, userMessage, temperature, thinkingBudget, maxOutputTokens, timeoutMs = DEFAULT_SEND_TIMEOUT_MS, signal }) {
     const p = providers[provider];
     if (!p) throw new Error(`Unknown LLM provider: "${provider}"`);
     if (!apiKey) throw new Error('API key is required. Please set it in Settings.');
@@ -75,7 +79,7 @@ export async function sendMessage({ provider, apiKey, model, systemPrompt, messa
         signal?.addEventListener('abort', onExternalAbort, { once: true });
         const stallTimer = setTimeout(() => controller.abort(), timeoutMs);
         try {
-            return await p.send({ apiKey, model, systemPrompt, messageHistory, userMessage, temperature, thinkingBudget, maxOutputTokens, signal: controller.signal });
+            return await p.send({ apiKey, model, baseUrl, systemPrompt, messageHistory, userMessage, temperature, thinkingBudget, maxOutputTokens, signal: controller.signal });
         } catch (error) {
             const stalled = error?.name === 'AbortError' && !signal?.aborted;
             if (signal?.aborted) throw error; // caller cancelled — never retry
@@ -102,12 +106,12 @@ export async function sendMessage({ provider, apiKey, model, systemPrompt, messa
  * @param {AbortSignal} [options.signal] - Optional abort signal
  * @returns {Promise<string>} Complete response text
  */
-export async function streamMessage({ provider, apiKey, model, systemPrompt, messageHistory, userMessage, onChunk, signal, temperature }) {
+export async function streamMessage({ provider, apiKey, model, baseUrl, systemPrompt, messageHistory, userMessage, onChunk, signal, temperature }) {
     const p = providers[provider];
     if (!p) throw new Error(`Unknown LLM provider: "${provider}"`);
     if (!apiKey) throw new Error('API key is required. Please set it in Settings.');
 
-    const result = await p.stream({ apiKey, model, systemPrompt, messageHistory, userMessage, onChunk, signal, temperature });
+    const result = await p.stream({ apiKey, model, baseUrl, systemPrompt, messageHistory, userMessage, onChunk, signal, temperature });
     if (import.meta.env.DEV) {
         console.log('[LLM Adapter] Full response received, length:', result.length);
         console.log('[LLM Adapter] Contains ```json:', result.includes('```json'));
@@ -149,6 +153,14 @@ export const PROVIDERS = {
             { id: 'grok-4.1-fast', name: 'Grok 4.1 Fast', description: 'Budget tier; xAI aliases retired IDs forward to the current model. Same event-compliance caveat as Grok 4.3' },
         ],
     },
+    // Player-hosted OpenAI-compatible server (Ollama, llama-server, LM Studio).
+    // No fixed catalog — models come from the server's /models listing, and the
+    // machinery can run here too when no Gemini key is set (llm/machinery.js).
+    local: {
+        name: 'Local server (Ollama / llama.cpp)',
+        models: [],
+        discoverModels: true,
+    },
 };
 
 export const PROVIDER_LIST = Object.keys(PROVIDERS);
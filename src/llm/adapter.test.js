@@ -4,18 +4,21 @@
  */
 import { afterEach, describe, expect, it, vi, beforeEach } from 'vitest';
 
-const { sendGeminiMessage, streamGeminiMessage, sendOpenAIMessage, streamOpenAIMessage, sendXaiMessage, streamXaiMessage } = vi.hoisted(() => ({
+const { sendGeminiMessage, streamGeminiMessage, sendOpenAIMessage, streamOpenAIMessage, sendXaiMessage, streamXaiMessage, sendLocalMessage, streamLocalMessage } = vi.hoisted(() => ({
     sendGeminiMessage: vi.fn(),
     streamGeminiMessage: vi.fn(),
     sendOpenAIMessage: vi.fn(),
     streamOpenAIMessage: vi.fn(),
     sendXaiMessage: vi.fn(),
     streamXaiMessage: vi.fn(),
+    sendLocalMessage: vi.fn(),
+    streamLocalMessage: vi.fn(),
 }));
 
 vi.mock('./providers/gemini.js', () => ({ sendGeminiMessage, streamGeminiMessage }));
 vi.mock('./providers/openai.js', () => ({ sendOpenAIMessage, streamOpenAIMessage }));
 vi.mock('./providers/xai.js', () => ({ sendXaiMessage, streamXaiMessage }));
+vi.mock('./providers/local.js', () => ({ sendLocalMessage, streamLocalMessage }));
 
 const { sendMessage, streamMessage, PROVIDERS, PROVIDER_LIST } = await import('./adapter.js');
 
@@ -26,6 +29,8 @@ beforeEach(() => {
     streamOpenAIMessage.mockReset();
     sendXaiMessage.mockReset();
     streamXaiMessage.mockReset();
+    sendLocalMessage.mockReset();
+    streamLocalMessage.mockReset();
 });
 
 const baseOptions = {
@@ -61,6 +66,14 @@ describe('sendMessage', () => {
         expect(sendGeminiMessage).not.toHaveBeenCalled();
     });
 
+    it('routes to the local provider with its server base URL', async () => {
+        sendLocalMessage.mockResolvedValue('narration');
+        const result = await sendMessage({ ...baseOptions, provider: 'local', model: 'llama3.1:8b', baseUrl: 'http://localhost:8080/v1' });
+        expect(result).toBe('narration');
+        expect(sendLocalMessage).toHaveBeenCalledWith(expect.objectContaining({ model: 'llama3.1:8b', baseUrl: 'http://localhost:8080/v1' }));
+        expect(sendGeminiMessage).not.toHaveBeenCalled();
+    });
+
     it('throws for an unknown provider', async () => {
         await expect(sendMessage({ ...baseOptions, provider: 'anthropic' })).rejects.toThrow('Unknown LLM provider: "anthropic"');
     });
@@ -95,6 +108,13 @@ describe('streamMessage', () => {
         expect(streamXaiMessage).toHaveBeenCalled();
     });
 
+    it('routes to the local provider and forwards the base URL', async () => {
+        streamLocalMessage.mockResolvedValue('full response');
+        const result = await streamMessage({ ...baseOptions, provider: 'local', model: 'qwen2.5:7b', baseUrl: 'http://localhost:11434/v1' });
+        expect(result).toBe('full response');
+        expect(streamLocalMessage).toHaveBeenCalledWith(expect.objectContaining({ baseUrl: 'http://localhost:11434/v1' }));
+    });
+
     it('throws for an unknown provider', async () => {
         await expect(streamMessage({ ...baseOptions, provider: 'anthropic' })).rejects.toThrow('Unknown LLM provider: "anthropic"');
     });
@@ -214,13 +234,18 @@ describe('sendMessage stall guard (2026-08-08 audit P1)', () => {
 });
 
 describe('PROVIDERS / PROVIDER_LIST', () => {
-    it('lists gemini, openai, and xai with at least one model each', () => {
-        expect(PROVIDER_LIST).toEqual(['gemini', 'openai', 'xai']);
+    it('lists gemini, openai, xai, and local; the hosted ones with at least one model each', () => {
+        expect(PROVIDER_LIST).toEqual(['gemini', 'openai', 'xai', 'local']);
         expect(PROVIDERS.gemini.models.length).toBeGreaterThan(0);
         expect(PROVIDERS.openai.models.length).toBeGreaterThan(0);
         expect(PROVIDERS.xai.models.length).toBeGreaterThan(0);
     });
 
+    it('marks the local provider as discovering its models from the server', () => {
+        expect(PROVIDERS.local.discoverModels).toBe(true);
+        expect(PROVIDERS.local.models).toEqual([]);
+    });
+
     it('gives every model an id and a name', () => {
         for (const provider of PROVIDER_LIST) {
             for (const model of PROVIDERS[provider].models) {
@@ -0,0 +1,332 @@
+/**
+ * Chronicle books — the Campaign Chronicle (chronicler.js) bound as a book
+ * the players keep: an EPUB 3 and a self-contained HTML file, both built in
+ * the browser with no server and no dependency (DECISIONS.md 2026-10-19).
+ *
+ * A book has a title page from the campaign name and premise, a table of
+ * contents, and one chapter per chronicle entry. Two pictures are optional:
+ * the hero's portrait on the title page, and the scene art still in the image
+ * cache, each placed in the chapter whose span narrated it. Pictures must be
+ * inline data URLs — an EPUB cannot show a remote image, and the HTML file must
+ * open offline — so the caller inlines remote ones first (inlineImageUrl).
+ *
+ * Like the chronicle itself this is player-facing only: nothing here reaches
+ * the DM prompt or RAG.
+ */
+
+const DATA_IMAGE_URL = /^data:image\/(png|jpe?g|webp|gif);base64,([a-z0-9+/=]+)$/i;
+
+const BOOK_CSS = `body { font-family: Georgia, 'Times New Roman', serif; line-height: 1.6; margin: 0 auto; max-width: 40em; padding: 0 1em; color: #2b2118; }
+h1, h2 { font-weight: normal; letter-spacing: 0.02em; }
+.title-page { text-align: center; margin: 3em 0; }
+.title-page h1 { font-size: 2.2em; margin-bottom: 0.2em; }
+.byline { font-style: italic; margin-top: 0; }
+.premise { text-align: left; margin-top: 2em; }
+.portrait { max-width: 60%; max-height: 28em; border-radius: 4px; }
+.chapter-date { font-style: italic; color: #7a6a58; margin-top: -0.5em; }
+figure { margin: 1.5em 0; text-align: center; }
+figure img { max-width: 100%; border-radius: 4px; }
+figcaption { font-size: 0.85em; font-style: italic; color: #7a6a58; }
+nav ol { list-style: none; padding: 0; }
+nav li { margin: 0.3em 0; }
+.chapter { page-break-before: always; break-before: page; }`;
+
+function escapeXml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/** Only inline images go in a book; anything else is left out. */
+function usableImage(url) {
+    return typeof url === 'string' && DATA_IMAGE_URL.test(url) ? url : null;
+}
+
+/**
+ * The book's content, independent of format.
+ * @param {object} state - game state (chronicle, session, character, messages)
+ * @param {{ portraitUrl?: string|null, sceneArt?: Array<{messageId: string, location: string, url: string}> }} [art]
+ *   inlined pictures to include (listCachedSceneImages rows for the scene art)
+ */
+export function buildChronicleBook(state, { portraitUrl = null, sceneArt = [] } = {}) {
+    const messages = state?.messages || [];
+    const heroName = state?.character?.name || '';
+    const chapters = (state?.chronicle || []).map((chapter, index) => {
+        const art = (sceneArt || [])
+            .map(scene => ({ ...scene, index: messages.findIndex(message => message?.id === scene.messageId), url: usableImage(scene.url) }))
+            .filter(scene => scene.url && scene.index >= chapter.fromIndex && scene.index <= chapter.toIndex)
+            .sort((a, b) => a.index - b.index)
+            .map(scene => ({ url: scene.url, caption: scene.location || '' }));
+        return {
+            id: `chapter-${index + 1}`,
+            title: chapter.title || `Chapter ${index + 1}`,
+            date: chapter.createdAt ? new Date(chapter.createdAt).toLocaleDateString() : '',
+            paragraphs: String(chapter.text || '').split(/\n{2,}/).map(paragraph => paragraph.trim()).filter(Boolean),
+            art,
+        };
+    });
+    return {
+        title: state?.session?.name || 'Campaign',
+        byline: heroName ? `The chronicle of ${heroName}` : 'A chronicle',
+        premise: String(state?.session?.premise || '').split(/\n{2,}/).map(paragraph => paragraph.trim()).filter(Boolean),
+        portrait: usableImage(portraitUrl),
+        heroName,
+        identifier: state?.session?.id || `chronicle-${Date.now()}`,
+        chapters,
+    };
+}
+
+// --- Shared markup ---
+// Written as XHTML (self-closed void tags), which HTML parsers read as well.
+
+const paragraphMarkup = text => `<p>${escapeXml(text).replace(/\n/g, '<br/>')}</p>`;
+
+function titlePageMarkup(book, portraitSrc) {
+    return [
+        '<section class="title-page">',
+        `<h1>${escapeXml(book.title)}</h1>`,
+        `<p class="byline">${escapeXml(book.byline)}</p>`,
+        portraitSrc ? `<p><img class="portrait" src="${escapeXml(portraitSrc)}" alt="${escapeXml(book.heroName || 'Hero')} portrait"/></p>` : '',
+        book.premise.length ? `<div class="premise">${book.premise.map(paragraphMarkup).join('\n')}</div>` : '',
+        '</section>',
+    ].filter(Boolean).join('\n');
+}
+
+function chapterMarkup(chapter, artSrcs) {
+    return [
+        `<h2>${escapeXml(chapter.title)}</h2>`,
+        chapter.date ? `<p class="chapter-date">${escapeXml(chapter.date)}</p>` : '',
+        ...chapter.art.map((art, i) => `<figure><img src="${escapeXml(artSrcs[i])}" alt="${escapeXml(art.caption || 'Scene art')}"/>${art.caption ? `<figcaption>${escapeXml(art.caption)}</figcaption>` : ''}</figure>`),
+        ...chapter.paragraphs.map(paragraphMarkup),
+    ].filter(Boolean).join('\n');
+}
+
+const tocMarkup = (chapters, hrefOf) => `<ol>\n${chapters.map(chapter => `<li><a href="${hrefOf(chapter)}">${escapeXml(chapter.title)}</a></li>`).join('\n')}\n</ol>`;
+
+/** The whole book as one self-contained HTML document (pictures inline). */
+export function chronicleToHtml(book) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8"/>
+<meta name="viewport" content="width=device-width, initial-scale=1"/>
+<title>${escapeXml(book.title)}</title>
+<style>
+${BOOK_CSS}
+</style>
+</head>
+<body>
+${titlePageMarkup(book, book.portrait)}
+<nav class="toc">
+<h2>Contents</h2>
+${tocMarkup(book.chapters, chapter => `#${chapter.id}`)}
+</nav>
+${book.chapters.map(chapter => `<section class="chapter" id="${chapter.id}">\n${chapterMarkup(chapter, chapter.art.map(art => art.url))}\n</section>`).join('\n')}
+</body>
+</html>
+`;
+}
+
+// --- EPUB ---
+
+function decodeDataImage(url) {
+    const [, kind, base64] = url.match(DATA_IMAGE_URL);
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    const ext = kind.toLowerCase() === 'jpg' ? 'jpeg' : kind.toLowerCase();
+    return { bytes, ext, mediaType: `image/${ext}` };
+}
+
+const xhtmlDocument = (title, body, extraNamespace = '') => `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml"${extraNamespace} xml:lang="en" lang="en">
+<head>
+<meta charset="utf-8"/>
+<title>${escapeXml(title)}</title>
+<link rel="stylesheet" type="text/css" href="style.css"/>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+
+/**
+ * The book as an EPUB 3 file. Pictures become package resources; the title
+ * page's portrait doubles as the cover image.
+ * @returns {Uint8Array} the .epub bytes
+ */
+export function chronicleToEpub(book, { modified = new Date() } = {}) {
+    const encoder = new TextEncoder();
+    const images = [];
+    const addImage = (url, name) => {
+        const { bytes, ext, mediaType } = decodeDataImage(url);
+        const href = `images/${name}.${ext}`;
+        images.push({ id: name, href, mediaType, bytes });
+        return href;
+    };
+    const portraitHref = book.portrait ? addImage(book.portrait, 'portrait') : null;
+    const chapterFiles = book.chapters.map(chapter => ({
+        chapter,
+        href: `${chapter.id}.xhtml`,
+        artHrefs: chapter.art.map((art, i) => addImage(art.url, `${chapter.id}-art-${i + 1}`)),
+    }));
+
+    const stamp = modified.toISOString().replace(/\.\d{3}Z$/, 'Z');
+    const manifest = [
+        '<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
+        '<item id="style" href="style.css" media-type="text/css"/>',
+        '<item id="title" href="title.xhtml" media-type="application/xhtml+xml"/>',
+        ...chapterFiles.map(({ chapter, href }) => `<item id="${chapter.id}" href="${href}" media-type="application/xhtml+xml"/>`),
+        ...images.map(image => `<item id="${image.id}" href="${image.href}" media-type="${image.mediaType}"${image.id === 'portrait' ? ' properties="cover-image"' : ''}/>`),
+    ];
+    const opf = `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="en">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:identifier id="book-id">${escapeXml(`questforge-${book.identifier}`)}</dc:identifier>
+<dc:title>${escapeXml(book.title)}</dc:title>
+<dc:language>en</dc:language>
+${book.heroName ? `<dc:creator>${escapeXml(book.heroName)}</dc:creator>\n` : ''}<meta property="dcterms:modified">${stamp}</meta>
+</metadata>
+<manifest>
+${manifest.join('\n')}
+</manifest>
+<spine>
+<itemref idref="title"/>
+<itemref idref="nav"/>
+${chapterFiles.map(({ chapter }) => `<itemref idref="${chapter.id}"/>`).join('\n')}
+</spine>
+</package>
+`;
+    const nav = xhtmlDocument('Contents', `<nav epub:type="toc" id="toc">\n<h2>Contents</h2>\n${tocMarkup(book.chapters, chapter => `${chapter.id}.xhtml`)}\n</nav>`, ' xmlns:epub="http://www.idpf.org/2007/ops"');
+    const container = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+<rootfiles>
+<rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+</rootfiles>
+</container>
+`;
+
+    // The mimetype entry must come first and uncompressed (every entry here is stored).
+    return createStoredZip([
+        { name: 'mimetype', data: encoder.encode('application/epub+zip') },
+        { name: 'META-INF/container.xml', data: encoder.encode(container) },
+        { name: 'OEBPS/content.opf', data: encoder.encode(opf) },
+        { name: 'OEBPS/nav.xhtml', data: encoder.encode(nav) },
+        { name: 'OEBPS/style.css', data: encoder.encode(BOOK_CSS) },
+        { name: 'OEBPS/title.xhtml', data: encoder.encode(xhtmlDocument(book.title, titlePageMarkup(book, portraitHref))) },
+        ...chapterFiles.map(({ chapter, href, artHrefs }) => ({
+            name: `OEBPS/${href}`,
+            data: encoder.encode(xhtmlDocument(chapter.title, `<section class="chapter">\n${chapterMarkup(chapter, artHrefs)}\n</section>`)),
+        })),
+        ...images.map(image => ({ name: `OEBPS/${image.href}`, data: image.bytes })),
+    ], modified);
+}
+
+// --- ZIP (stored entries only) ---
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/** A ZIP archive of uncompressed entries — EPUB readers accept stored files throughout. */
+function createStoredZip(files, modified) {
+    const encoder = new TextEncoder();
+    const dosTime = (modified.getHours() << 11) | (modified.getMinutes() << 5) | Math.floor(modified.getSeconds() / 2);
+    const dosDate = ((Math.max(1980, modified.getFullYear()) - 1980) << 9) | ((modified.getMonth() + 1) << 5) | modified.getDate();
+    const local = [];
+    const central = [];
+    let offset = 0;
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const size = file.data.length;
+        const crc = crc32(file.data);
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034b50, true);
+        header.setUint16(4, 20, true);
+        header.setUint16(10, dosTime, true);
+        header.setUint16(12, dosDate, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, size, true);
+        header.setUint32(22, size, true);
+        header.setUint16(26, name.length, true);
+        local.push(new Uint8Array(header.buffer), name, file.data);
+
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014b50, true);
+        entry.setUint16(4, 20, true);
+        entry.setUint16(6, 20, true);
+        entry.setUint16(12, dosTime, true);
+        entry.setUint16(14, dosDate, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, size, true);
+        entry.setUint32(24, size, true);
+        entry.setUint16(28, name.length, true);
+        entry.setUint32(42, offset, true);
+        central.push(new Uint8Array(entry.buffer), name);
+        offset += 30 + name.length + size;
+    }
+    const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...local, ...central, new Uint8Array(end.buffer)];
+    const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let at = 0;
+    for (const part of parts) {
+        zip.set(part, at);
+        at += part.length;
+    }
+    return zip;
+}
+
+// --- Browser helpers ---
+
+/**
+ * A picture as an inline data URL: data URLs pass through, remote ones
+ * (Pollinations renders) are fetched. Resolves null when the picture cannot
+ * be had — the book simply goes without it.
+ */
+export async function inlineImageUrl(url) {
+    if (usableImage(url)) return url;
+    if (typeof url !== 'string' || !/^https:\/\//i.test(url)) return null;
+    try {
+        const response = await fetch(url);
+        if (!response.ok) return null;
+        const blob = await response.blob();
+        const dataUrl = await new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+        return usableImage(dataUrl);
+    } catch {
+        return null;
+    }
+}
+
+export function chronicleBookFilename(sessionName, extension) {
+    const slug = String(sessionName || 'campaign').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    return `${slug || 'campaign'}-chronicle.${extension}`;
+}
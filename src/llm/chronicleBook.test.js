@@ -0,0 +1,105 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { buildChronicleBook, chronicleBookFilename, chronicleToEpub, chronicleToHtml, inlineImageUrl } from './chronicleBook.js';
+
+const PNG = 'data:image/png;base64,iVBORw0KGgo=';
+const JPEG = 'data:image/jpeg;base64,/9j/4AAQ';
+
+const state = {
+    session: { id: 'campaign-1', name: 'The Ferrywoman\'s Debt', premise: 'A ferry that never crosses.\n\nA debt older than the river.' },
+    character: { name: 'Astra' },
+    messages: [
+        { id: 'm0', role: 'user', content: 'We board.' },
+        { id: 'm1', role: 'assistant', content: 'The ferry groans.' },
+        { id: 'm2', role: 'assistant', content: 'Fog on the far bank.' },
+        { id: 'm3', role: 'assistant', content: 'The ferrywoman names her price.' },
+    ],
+    chronicle: [
+        { id: 'c1', title: 'The Crossing', text: 'Astra boarded the ferry.\n\nThe river <ran> & rose.', fromIndex: 0, toIndex: 1, createdAt: 1 },
+        { id: 'c2', title: 'The Price', text: 'The ferrywoman spoke.', fromIndex: 2, toIndex: 3, createdAt: 2 },
+    ],
+};
+
+const sceneArt = [
+    { messageId: 'm3', location: 'The Far Bank', url: JPEG },
+    { messageId: 'm1', location: 'The River', url: PNG },
+    { messageId: 'gone', location: 'Nowhere', url: PNG },
+    { messageId: 'm2', location: 'Remote', url: 'https://image.pollinations.ai/prompt/fog' },
+];
+
+/** Stored entries only: the ZIP's file names and text are plain in its bytes. */
+const zipText = bytes => new TextDecoder('latin1').decode(bytes);
+
+afterEach(() => {
+    vi.unstubAllGlobals();
+});
+
+describe('buildChronicleBook', () => {
+    it('makes a title page from the premise and one chapter per entry', () => {
+        const book = buildChronicleBook(state);
+        expect(book).toMatchObject({ title: 'The Ferrywoman\'s Debt', byline: 'The chronicle of Astra', portrait: null });
+        expect(book.premise).toEqual(['A ferry that never crosses.', 'A debt older than the river.']);
+        expect(book.chapters.map(chapter => [chapter.id, chapter.title, chapter.paragraphs.length])).toEqual([
+            ['chapter-1', 'The Crossing', 2],
+            ['chapter-2', 'The Price', 1],
+        ]);
+    });
+
+    it('places each inline scene render in the chapter that narrated it', () => {
+        const book = buildChronicleBook(state, { portraitUrl: PNG, sceneArt });
+        expect(book.portrait).toBe(PNG);
+        expect(book.chapters[0].art).toEqual([{ url: PNG, caption: 'The River' }]);
+        expect(book.chapters[1].art).toEqual([{ url: JPEG, caption: 'The Far Bank' }]);
+        expect(buildChronicleBook(state, { portraitUrl: 'https://example.com/hero.png' }).portrait).toBeNull();
+    });
+});
+
+describe('chronicleToHtml', () => {
+    it('is one self-contained document with a linked table of contents', () => {
+        const html = chronicleToHtml(buildChronicleBook(state, { portraitUrl: PNG, sceneArt }));
+        expect(html).toMatch(/^<!DOCTYPE html>/);
+        expect(html).toContain('<title>The Ferrywoman&#39;s Debt</title>');
+        expect(html).toContain('<li><a href="#chapter-2">The Price</a></li>');
+        expect(html).toContain('<section class="chapter" id="chapter-1">');
+        expect(html).toContain('The river &lt;ran&gt; &amp; rose.');
+        expect(html).toContain(`<img class="portrait" src="${PNG}"`);
+        expect(html).not.toContain('pollinations');
+        expect(html).not.toMatch(/<link|<script/);
+    });
+});
+
+describe('chronicleToEpub', () => {
+    it('packages an EPUB 3 with the mimetype first and every picture as a resource', () => {
+        const bytes = chronicleToEpub(buildChronicleBook(state, { portraitUrl: PNG, sceneArt }), { modified: new Date(Date.UTC(2026, 9, 19)) });
+        const text = zipText(bytes);
+        expect(text.slice(0, 4)).toBe('PK\u0003\u0004');
+        expect(text.slice(30, 58)).toBe('mimetypeapplication/epub+zip');
+        for (const name of ['META-INF/container.xml', 'OEBPS/content.opf', 'OEBPS/nav.xhtml', 'OEBPS/title.xhtml', 'OEBPS/chapter-1.xhtml', 'OEBPS/chapter-2.xhtml', 'OEBPS/images/portrait.png', 'OEBPS/images/chapter-2-art-1.jpeg']) {
+            expect(text).toContain(name);
+        }
+        expect(text).toContain('<meta property="dcterms:modified">2026-10-19T00:00:00Z</meta>');
+        expect(text).toContain('<item id="portrait" href="images/portrait.png" media-type="image/png" properties="cover-image"/>');
+        expect(text).toContain('<nav epub:type="toc" id="toc">');
+        expect(text).toContain('<li><a href="chapter-1.xhtml">The Crossing</a></li>');
+        expect(text).toContain('<img src="images/chapter-1-art-1.png" alt="The River"/>');
+        // End-of-central-directory record: 11 entries (8 package files, 3 pictures).
+        const end = new DataView(bytes.buffer, bytes.length - 22);
+        expect(end.getUint32(0, true)).toBe(0x06054b50);
+        expect(end.getUint16(10, true)).toBe(11);
+    });
+});
+
+describe('inlineImageUrl', () => {
+    it('passes inline images through and leaves out what it cannot fetch', async () => {
+        expect(await inlineImageUrl(PNG)).toBe(PNG);
+        expect(await inlineImageUrl('javascript:alert(1)')).toBeNull();
+        vi.stubGlobal('fetch', vi.fn().mockResolvedValue({ ok: false }));
+        expect(await inlineImageUrl('https://image.pollinations.ai/prompt/fog')).toBeNull();
+    });
+});
+
+describe('chronicleBookFilename', () => {
+    it('slugs the campaign name', () => {
+        expect(chronicleBookFilename('The Ferrywoman\'s Debt', 'epub')).toBe('the-ferrywoman-s-debt-chronicle.epub');
+        expect(chronicleBookFilename('', 'html')).toBe('campaign-chronicle.html');
+    });
+});
@@ -14,6 +14,7 @@
  * the previous passage for seamless continuation, then passages concatenate.
  */
 import { sendMessage } from './adapter.js';
+import { getDmConfig, isDmReady } from './machinery.js';
 
 export const CHRONICLE_MIN_MESSAGES = 6;
 const CHUNK_SIZE = 30;
@@ -60,7 +61,7 @@ function renderTranscript(chunk, heroName) {
  */
 export async function writeChronicleChapter({ state, title = '', onProgress = null }) {
     const settings = state?.settings || {};
-    if (!settings.apiKey) {
+    if (!isDmReady(settings)) {
         throw new Error('Add your AI provider API key in Settings before writing a chapter.');
     }
     const chapters = state.chronicle || [];
@@ -92,9 +93,7 @@ export async function writeChronicleChapter({ state, title = '', onProgress = nu
         ].filter(Boolean).join('\n\n');
 
         const response = await sendMessage({
-            provider: settings.llmProvider,
-            apiKey: settings.apiKey,
-            model: settings.model,
+            ...getDmConfig(settings),
             systemPrompt: CHRONICLER_PROMPT,
             messageHistory: [],
             userMessage,
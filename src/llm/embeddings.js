@@ -0,0 +1,116 @@
+/**
+ * Embedding providers for RAG (engine/vectorMemory.js).
+ *
+ * Retrieval used to call Gemini directly, so it silently switched off for any
+ * player without a Gemini key. An embedder is now resolved from settings like
+ * the chat lanes are (llm/machinery.js): Gemini when a machinery key exists,
+ * otherwise an OpenAI-compatible `/embeddings` endpoint (OpenAI, or a local
+ * server's embedding model), otherwise the pure-JS hashed vectorizer, which
+ * needs no network — so RAG is always on.
+ *
+ * Each embedder names its `space`: the model, input formatting and width its
+ * vectors live in. Vectors from different spaces are not comparable; the
+ * vector store keys its cache by space and re-embeds on a switch, and the
+ * campaign records the space it was seeded in (`session.embeddingSpace`).
+ */
+import { embedText, embedTexts, GEMINI_EMBED_DIMENSIONS, GEMINI_EMBED_SCHEMA } from './providers/gemini.js';
+import { embedOpenAITexts, OPENAI_EMBED_DIMENSIONS, OPENAI_EMBED_SCHEMA } from './providers/openai.js';
+import { embedLocalTexts, normalizeLocalBaseUrl } from './providers/local.js';
+import { getMachineryGeminiKey } from './machinery.js';
+import { hashedEmbed, HASHED_EMBED_DIMENSIONS, HASHED_EMBED_SCHEMA } from '../engine/hashedEmbedding.js';
+
+/** Settings values for `settings.embeddingProvider`; 'auto' resolves by available keys. */
+export const EMBEDDING_PROVIDERS = {
+    auto: { name: 'Automatic (best available)' },
+    gemini: { name: 'Gemini embeddings', description: 'Needs the Gemini key' },
+    openai: { name: 'OpenAI embeddings', description: 'Needs an OpenAI DM key' },
+    local: { name: 'Local server embeddings', description: 'Needs a local DM and an embedding model' },
+    hashed: { name: 'Offline keyword vectors', description: 'No network — matches names, places, and items, not meaning' },
+};
+
+/**
+ * Raw-similarity floors per space. Cosine scales differ by model: Gemini's
+ * retrieval embeddings sit high, OpenAI's text-embedding-3 runs lower, and the
+ * lexical hashed vectors score only what words actually overlap.
+ */
+const MIN_SCORE = {
+    gemini: 0.55,
+    openai: 0.35,
+    local: 0.5,
+    hashed: 0.15,
+};
+
+/** Which embedding providers these settings can actually run, in 'auto' preference order. */
+function availableProviders(settings) {
+    const available = [];
+    if (getMachineryGeminiKey(settings)) available.push('gemini');
+    if (settings?.llmProvider === 'local' && settings.localEmbeddingModel?.trim()) available.push('local');
+    if (settings?.llmProvider === 'openai' && settings.apiKey?.trim()) available.push('openai');
+    available.push('hashed');
+    return available;
+}
+
+/**
+ * The embedding provider these settings resolve to. An explicit choice that
+ * cannot run (its key was removed) falls back to the automatic pick rather
+ * than turning retrieval off.
+ */
+export function resolveEmbeddingProvider(settings) {
+    const available = availableProviders(settings);
+    const choice = settings?.embeddingProvider;
+    return available.includes(choice) ? choice : available[0];
+}
+
+/**
+ * Build the embedder for these settings.
+ *
+ * @returns {{ provider: string, space: string, dimensions: number|null, minScore: number,
+ *   embed: (texts: string[], options?: { inputType?: 'document'|'query' }) => Promise<Array<number[]|null>> }}
+ *   `embed` is aligned with `texts` (null per failed/empty slot) and never throws.
+ *   `dimensions` is null when the model decides (local servers).
+ */
+export function getEmbedder(settings) {
+    const provider = resolveEmbeddingProvider(settings);
+    if (provider === 'gemini') {
+        const apiKey = getMachineryGeminiKey(settings);
+        return {
+            provider,
+            space: GEMINI_EMBED_SCHEMA,
+            dimensions: GEMINI_EMBED_DIMENSIONS,
+            minScore: MIN_SCORE.gemini,
+            // One text keeps the single-call endpoint (the per-turn live embeds
+            // and retrieval query); bulk seeding rides batchEmbedContents.
+            embed: async (texts, { inputType = 'document' } = {}) => (texts.length === 1
+                ? [await embedText(apiKey, texts[0], { inputType })]
+                : embedTexts(apiKey, texts, { inputType })),
+        };
+    }
+    if (provider === 'openai') {
+        const apiKey = settings.apiKey.trim();
+        return {
+            provider,
+            space: OPENAI_EMBED_SCHEMA,
+            dimensions: OPENAI_EMBED_DIMENSIONS,
+            minScore: MIN_SCORE.openai,
+            embed: (texts) => embedOpenAITexts(apiKey, texts),
+        };
+    }
+    if (provider === 'local') {
+        const model = settings.localEmbeddingModel.trim();
+        const server = { baseUrl: normalizeLocalBaseUrl(settings.localBaseUrl), apiKey: settings.apiKey?.trim(), model };
+        return {
+            provider,
+            space: `local:${model}`,
+            dimensions: null,
+            minScore: MIN_SCORE.local,
+            embed: (texts) => embedLocalTexts(server, texts),
+        };
+    }
+    return {
+        provider: 'hashed',
+        space: HASHED_EMBED_SCHEMA,
+        dimensions: HASHED_EMBED_DIMENSIONS,
+        minScore: MIN_SCORE.hashed,
+        embed: async (texts) => texts.map(text => hashedEmbed(text)),
+    };
+}
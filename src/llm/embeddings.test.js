@@ -0,0 +1,110 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const { embedTextMock, embedTextsMock, embedOpenAIMock, embedLocalMock } = vi.hoisted(() => ({
+    embedTextMock: vi.fn(),
+    embedTextsMock: vi.fn(),
+    embedOpenAIMock: vi.fn(),
+    embedLocalMock: vi.fn(),
+}));
+
+vi.mock('./providers/gemini.js', () => ({
+    embedText: embedTextMock,
+    embedTexts: embedTextsMock,
+    GEMINI_EMBED_DIMENSIONS: 768,
+    GEMINI_EMBED_SCHEMA: 'gemini-test-schema',
+}));
+
+vi.mock('./providers/openai.js', () => ({
+    embedOpenAITexts: embedOpenAIMock,
+    OPENAI_EMBED_DIMENSIONS: 768,
+    OPENAI_EMBED_SCHEMA: 'openai-test-schema',
+}));
+
+vi.mock('./providers/local.js', async (importOriginal) => ({
+    ...(await importOriginal()),
+    embedLocalTexts: embedLocalMock,
+}));
+
+import { getEmbedder, resolveEmbeddingProvider } from './embeddings.js';
+import { HASHED_EMBED_DIMENSIONS, HASHED_EMBED_SCHEMA } from '../engine/hashedEmbedding.js';
+
+beforeEach(() => {
+    embedTextMock.mockReset();
+    embedTextsMock.mockReset();
+    embedOpenAIMock.mockReset();
+    embedLocalMock.mockReset();
+});
+
+describe('resolveEmbeddingProvider', () => {
+    it('auto prefers Gemini whenever a machinery key exists', () => {
+        expect(resolveEmbeddingProvider({ llmProvider: 'gemini', apiKey: 'g' })).toBe('gemini');
+        expect(resolveEmbeddingProvider({ llmProvider: 'openai', apiKey: 'o', geminiApiKey: 'g' })).toBe('gemini');
+    });
+
+    it('auto falls back to the DM provider\'s embeddings, then offline vectors', () => {
+        expect(resolveEmbeddingProvider({ llmProvider: 'openai', apiKey: 'o' })).toBe('openai');
+        expect(resolveEmbeddingProvider({ llmProvider: 'local', localEmbeddingModel: 'nomic-embed-text' })).toBe('local');
+        expect(resolveEmbeddingProvider({ llmProvider: 'local', localEmbeddingModel: '' })).toBe('hashed');
+        expect(resolveEmbeddingProvider({ llmProvider: 'xai', apiKey: 'x' })).toBe('hashed');
+        expect(resolveEmbeddingProvider(null)).toBe('hashed');
+    });
+
+    it('honors an explicit choice that can run', () => {
+        expect(resolveEmbeddingProvider({ llmProvider: 'gemini', apiKey: 'g', embeddingProvider: 'hashed' })).toBe('hashed');
+        expect(resolveEmbeddingProvider({ llmProvider: 'openai', apiKey: 'o', geminiApiKey: 'g', embeddingProvider: 'openai' })).toBe('openai');
+    });
+
+    it('falls back to the automatic pick when the explicit choice cannot run', () => {
+        expect(resolveEmbeddingProvider({ llmProvider: 'xai', apiKey: 'x', embeddingProvider: 'gemini' })).toBe('hashed');
+        expect(resolveEmbeddingProvider({ llmProvider: 'gemini', apiKey: 'g', embeddingProvider: 'local' })).toBe('gemini');
+    });
+});
+
+describe('getEmbedder', () => {
+    it('Gemini uses the single-text endpoint for one text and the batch endpoint for many', async () => {
+        embedTextMock.mockResolvedValue([1, 0]);
+        embedTextsMock.mockResolvedValue([[1, 0], [0, 1]]);
+        const embedder = getEmbedder({ llmProvider: 'gemini', apiKey: 'g' });
+
+        expect(embedder).toMatchObject({ provider: 'gemini', space: 'gemini-test-schema', dimensions: 768 });
+        expect(await embedder.embed(['query'], { inputType: 'query' })).toEqual([[1, 0]]);
+        expect(embedTextMock).toHaveBeenCalledWith('g', 'query', { inputType: 'query' });
+        expect(await embedder.embed(['a', 'b'])).toEqual([[1, 0], [0, 1]]);
+        expect(embedTextsMock).toHaveBeenCalledWith('g', ['a', 'b'], { inputType: 'document' });
+    });
+
+    it('OpenAI embeds with the DM key', async () => {
+        embedOpenAIMock.mockResolvedValue([[1]]);
+        const embedder = getEmbedder({ llmProvider: 'openai', apiKey: ' o ' });
+
+        expect(embedder).toMatchObject({ provider: 'openai', space: 'openai-test-schema' });
+        await embedder.embed(['a']);
+        expect(embedOpenAIMock).toHaveBeenCalledWith('o', ['a']);
+    });
+
+    it('a local server names its space after the model and leaves the width open', async () => {
+        embedLocalMock.mockResolvedValue([[1, 2, 3]]);
+        const embedder = getEmbedder({ llmProvider: 'local', localBaseUrl: 'http://box:8080/v1/', localEmbeddingModel: 'nomic-embed-text' });
+
+        expect(embedder).toMatchObject({ provider: 'local', space: 'local:nomic-embed-text', dimensions: null });
+        await embedder.embed(['a']);
+        expect(embedLocalMock).toHaveBeenCalledWith({ baseUrl: 'http://box:8080/v1', apiKey: undefined, model: 'nomic-embed-text' }, ['a']);
+    });
+
+    it('the offline fallback embeds without any network call', async () => {
+        const embedder = getEmbedder({ llmProvider: 'xai', apiKey: 'x' });
+
+        expect(embedder).toMatchObject({ provider: 'hashed', space: HASHED_EMBED_SCHEMA, dimensions: HASHED_EMBED_DIMENSIONS });
+        const [vector, empty] = await embedder.embed(['The Ashen Keep', '']);
+        expect(vector).toHaveLength(HASHED_EMBED_DIMENSIONS);
+        expect(empty).toBeNull();
+        expect(embedTextMock).not.toHaveBeenCalled();
+        expect(embedOpenAIMock).not.toHaveBeenCalled();
+    });
+
+    it('every space sets a lower retrieval floor than Gemini\'s', () => {
+        const gemini = getEmbedder({ llmProvider: 'gemini', apiKey: 'g' }).minScore;
+        expect(getEmbedder({ llmProvider: 'openai', apiKey: 'o' }).minScore).toBeLessThan(gemini);
+        expect(getEmbedder({}).minScore).toBeLessThan(gemini);
+    });
+});
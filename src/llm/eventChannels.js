@@ -17,9 +17,13 @@
  * Application (events → dispatches) lives in src/state/applyEvents.js.
  */
 
-import { validateEnemyAttackBonus, validateEnemySaveBonus, sanitizeEnemyDamage, clampEnemyAC, clampEnemyHP, normalizeEnemyConditions } from '../engine/enemyStats.js';
+import { validateEnemyAttackBonus, validateEnemySaveBonus, sanitizeEnemyDamage, clampEnemyAC, clampEnemyHP, normalizeEnemyConditions, normalizeEnemyDamageType } from '../engine/enemyStats.js';
 import { normalizeCombatExchange, reconcileStartingCombatExchange } from '../engine/combatExchange.js';
+import { normalizeEnemyAttackRange, normalizeRangeBand } from '../engine/rangeBands.js';
+import { normalizeDamageDefenses, normalizeDamageType } from '../engine/damageDefenses.js';
+import { expandMonsterSpawns, findMonster } from '../data/monsters.js';
 import { MAX_COIN_EVENT } from '../config/contentLimits.js';
+import { normalizeTimePassed } from '../engine/calendar.js';
 
 /** Cryptographically random integer in [min, max] — replaces Math.random() fallbacks. */
 function cryptoRandInt(min, max) {
@@ -76,14 +80,16 @@ function canonicalEnemyId(enemy, index, usedIds) {
 
 /**
  * Validate and sanitize combat_start data from the LLM.
- * Ensures every enemy has required fields with sensible defaults.
+ * Ensures every enemy has required fields with sensible defaults. A
+ * `{ monster, count }` entry is expanded from the monster catalog first, so
+ * its stats are the stat block's rather than the DM's.
  */
 export function validateCombatStart(combatStart) {
     if (!combatStart || !isPlainObject(combatStart)) return null;
     if (!Array.isArray(combatStart.enemies) || combatStart.enemies.length === 0) return null;
 
     const usedIds = new Set();
-    const sanitizedEnemies = combatStart.enemies
+    const sanitizedEnemies = expandMonsterSpawns(combatStart.enemies)
         .filter(e => isPlainObject(e) && typeof e.name === 'string' && e.name.trim())
         .map((e, index) => {
             // Enemy turns are engine-owned, so capture the foe's stats once here, validated at
@@ -96,6 +102,11 @@ export function validateCombatStart(combatStart) {
             const saveBonus = validateEnemySaveBonus(
                 typeof e.save_bonus === 'number' ? e.save_bonus : e.saveBonus
             );
+            const damageType = normalizeEnemyDamageType(e.damage_type ?? e.damageType);
+            const attackRange = normalizeEnemyAttackRange(e.attack_range ?? e.attackRange);
+            const range = normalizeRangeBand(e.range);
+            const monster = findMonster(e.monster);
+            const defenses = normalizeDamageDefenses(e);
             return {
                 id: canonicalEnemyId(e, index, usedIds),
                 name: e.name.trim().slice(0, 100),
@@ -106,7 +117,12 @@ export function validateCombatStart(combatStart) {
                 ...(attackBonus !== undefined && { attackBonus }),
                 ...(damage !== undefined && { damage }),
                 ...(saveBonus !== undefined && { saveBonus }),
+                ...(damageType !== undefined && { damageType }),
+                ...(attackRange !== undefined && { attackRange }),
+                ...(range !== undefined && { range }),
+                ...defenses,
                 isUndead: e.is_undead === true || e.isUndead === true,
+                ...(monster && { monster: monster.key }),
             };
         });
 
@@ -124,6 +140,7 @@ export function validateCombatStart(combatStart) {
 }
 
 function normalizeRequestedRoll(r) {
+    const damageType = normalizeEnemyDamageType(r.damage_type ?? r.damageType);
     return {
         type: r.type || 'skill_check',
         // Type-guarded like dc/modifier: a truthy non-string (array/number)
@@ -150,12 +167,22 @@ function normalizeRequestedRoll(r) {
         // Combat (batched-round) fields: who takes the hit + inline weapon damage
         target: r.target || null,
         damage: r.damage || null,
+        ...(damageType && { damageType }),
         // Advantage / Disadvantage
         advantage: !!r.advantage,
         disadvantage: !!r.disadvantage,
+        // A haggle with the local merchant: the engine prices the outcome.
+        ...(r.haggle === true && { haggle: true }),
     };
 }
 
+function normalizeMerchant(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return null;
+    const name = String(raw.name || '').trim().slice(0, 60);
+    if (!name) return null;
+    return { name, kind: String(raw.kind || '').trim().slice(0, 30) };
+}
+
 function normalizeStartingItem(item) {
     if (typeof item === 'string') return { name: item };
     const name = String(item.name || '').trim();
@@ -260,6 +287,7 @@ export const EVENT_CHANNELS = [
         read: raw => guardedList(raw.requested_rolls, { map: normalizeRequestedRoll }),
     },
     { wire: 'damage_taken', key: 'damageTaken', read: raw => clamp(raw.damage_taken, 0, 999) },
+    { wire: 'damage_taken_type', key: 'damageTakenType', read: raw => normalizeDamageType(raw.damage_taken_type) ?? null },
     { wire: 'healing', key: 'healing', read: raw => clamp(raw.healing, 0, 999) },
     {
         wire: 'starting_items', key: 'startingItems',
@@ -304,6 +332,8 @@ export const EVENT_CHANNELS = [
     { wire: 'exp_awarded', key: 'expAwarded', read: raw => clamp(raw.exp_awarded, 0, 10000) },
     { wire: 'level_up', key: 'levelUp', read: raw => !!raw.level_up },
     { wire: 'rest_taken', key: 'restTaken', read: raw => (typeof raw.rest_taken === 'string' ? raw.rest_taken : null) },
+    // Skipped time (travel, waiting); the engine clamps it and moves the calendar.
+    { wire: 'time_passed', key: 'timePassed', read: raw => normalizeTimePassed(raw.time_passed) },
     // Out-of-combat casting: the engine validates the spell and spends the slot.
     { wire: 'spell_cast', aliases: ['spells_cast', 'spell_casts'], key: 'spellCasts', read: raw => normalizeSpellCasts(raw.spell_cast ?? raw.spells_cast ?? raw.spell_casts) },
     { wire: 'conditions_gained', key: 'conditionsGained', read: raw => guardedList(raw.conditions_gained, { allowStrings: true, cap: 10 }) },
@@ -312,6 +342,9 @@ export const EVENT_CHANNELS = [
     { wire: 'resources_used', key: 'resourcesUsed', read: raw => guardedList(raw.resources_used, { allowStrings: true, cap: 10 }) },
     { wire: 'quest_updates', key: 'questUpdates', read: raw => guardedList(raw.quest_updates, { cap: 8, map: normalizeQuestUpdate }) },
     { wire: 'location', key: 'location', read: raw => raw.location || null },
+    // A shop the scene introduces at the current location; the engine owns its
+    // stock and prices from then on (engine/merchants.js).
+    { wire: 'merchant', key: 'merchant', read: raw => normalizeMerchant(raw.merchant) },
     { wire: 'combat_start', key: 'combatStart', read: raw => validateCombatStart(raw.combat_start) },
     { wire: 'combat_end', key: 'combatEnd', read: raw => !!raw.combat_end },
     // Non-object elements dropped so UPDATE_ENEMY never sees a null payload
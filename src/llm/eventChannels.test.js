@@ -84,6 +84,23 @@ describe('event-channel registry agreement', () => {
         expect(events.requestedRolls[0].dc).toBe(10);
     });
 
+    it('keeps a haggle flag on requested rolls and shapes the merchant channel', () => {
+        const events = normalizeEvents({
+            requested_rolls: [{ type: 'skill_check', skill: 'persuasion', dc: 12, haggle: true }, { skill: 'stealth', haggle: 'yes' }],
+            merchant: { name: '  Brann\'s Forge ', kind: 'smith' },
+        });
+        expect(events.requestedRolls.map(roll => roll.haggle)).toEqual([true, undefined]);
+        expect(events.merchant).toEqual({ name: "Brann's Forge", kind: 'smith' });
+        expect(normalizeEvents({ merchant: { kind: 'smith' } }).merchant).toBeNull();
+    });
+
+    it('normalizes a time_passed skip into clamped minutes', () => {
+        expect(normalizeEvents({ time_passed: { days: 3, reason: 'the road to Greywater' } }).timePassed)
+            .toEqual({ minutes: 3 * 24 * 60, reason: 'the road to Greywater' });
+        expect(normalizeEvents({ time_passed: null }).timePassed).toBeNull();
+        expect(normalizeEvents({ time_passed: { minutes: 2 } }).timePassed).toBeNull();
+    });
+
     it('no longer recognizes the dead damage_dealt channel', () => {
         expect(KNOWN_WIRE_KEYS.has('damage_dealt')).toBe(false);
         const events = normalizeEvents({ damage_dealt: 12 });
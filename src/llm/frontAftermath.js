@@ -12,6 +12,7 @@
  * normalizeEmergentFront and owns the one-shot pending flag.
  */
 import { sendMessage } from './adapter.js';
+import { getDmConfig, isDmReady } from './machinery.js';
 import { cleanText, parseDirectorJson } from './directorUtils.js';
 import { CAMPAIGN_PREMISE_MAX_LENGTH } from '../config/contentLimits.js';
 import { NPC_NAME_DIVERSITY_RULES } from './nameGuidance.js';
@@ -77,7 +78,7 @@ function compactMessage(message) {
 export function shouldGenerateFrontAftermath(state) {
     return !!(state?.session?.pendingFrontAftermath
         && state.session?.id
-        && state.settings?.apiKey
+        && isDmReady(state.settings)
         && !state.combat?.active);
 }
 
@@ -161,9 +162,7 @@ export async function generateFrontAftermath(state) {
         throw new Error('No resolved front is awaiting aftermath generation.');
     }
     const response = await sendMessage({
-        provider: state.settings.llmProvider,
-        apiKey: state.settings.apiKey,
-        model: state.settings.model,
+        ...getDmConfig(state.settings),
         systemPrompt: FRONT_AFTERMATH_PROMPT,
         messageHistory: [],
         userMessage: JSON.stringify(buildFrontAftermathContext(state)),
@@ -81,6 +81,12 @@ describe('shouldGenerateFrontAftermath', () => {
         expect(shouldGenerateFrontAftermath({ ...state, combat: { active: true } })).toBe(false);
         expect(shouldGenerateFrontAftermath(null)).toBe(false);
     });
+
+    it('runs on a keyless local server once a model is chosen', () => {
+        const state = baseState();
+        expect(shouldGenerateFrontAftermath({ ...state, settings: { llmProvider: 'local', apiKey: '', model: 'qwen3:14b' } })).toBe(true);
+        expect(shouldGenerateFrontAftermath({ ...state, settings: { llmProvider: 'local', apiKey: '', model: '' } })).toBe(false);
+    });
 });
 
 describe('buildFrontAftermathContext', () => {
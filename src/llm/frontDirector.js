@@ -1,4 +1,5 @@
 import { sendMessage } from './adapter.js';
+import { getDmConfig, isDmReady } from './machinery.js';
 import { cleanText, parseDirectorJson } from './directorUtils.js';
 import { FRONTS_VERSION, normalizeFront } from '../engine/fronts.js';
 import { CAMPAIGN_PREMISE_MAX_LENGTH } from '../config/contentLimits.js';
@@ -39,7 +40,7 @@ Rules:
 - Prefer two specific fronts over three weak or generic ones. Keep every field compact.`;
 
 export function shouldGenerateCampaignFronts(state) {
-    if (!state?.character || !state?.session?.id || !state?.settings?.apiKey) return false;
+    if (!state?.character || !state?.session?.id || !isDmReady(state?.settings)) return false;
     if (state.combat?.active || state.session?.frontDirector?.version >= FRONTS_VERSION) return false;
     if (state.session?.frontMigration?.version >= 1) return false;
     const visibleMessages = (state.messages || []).filter(message => !message.hidden);
@@ -104,9 +105,7 @@ export async function generateCampaignFronts(state) {
         travelingAlone: (state.party || []).length === 0,
     };
     const response = await sendMessage({
-        provider: state.settings.llmProvider,
-        apiKey: state.settings.apiKey,
-        model: state.settings.model,
+        ...getDmConfig(state.settings),
         systemPrompt: INITIAL_FRONTS_PROMPT,
         messageHistory: [],
         userMessage: JSON.stringify(context),
@@ -1,4 +1,5 @@
 import { sendMessage } from './adapter.js';
+import { getDmConfig, isDmReady } from './machinery.js';
 import { cleanText, parseDirectorJson } from './directorUtils.js';
 import { normalizeFront } from '../engine/fronts.js';
 import { CAMPAIGN_PREMISE_MAX_LENGTH, CHARACTER_APPEARANCE_MAX } from '../config/contentLimits.js';
@@ -169,13 +170,11 @@ export async function generateContextualFronts(state) {
     if (!state?.character || !state?.session?.id) throw new Error('Start or load a campaign first.');
     if (state.session?.frontMigration?.version >= 1) throw new Error('This campaign is already contextually enriched.');
     if (state.combat?.active) throw new Error('Finish the current combat before awakening the living world.');
-    if (!state.settings?.apiKey) throw new Error('Set your DM API key first.');
+    if (!isDmReady(state.settings)) throw new Error('Set your DM API key first.');
 
     const { context, counts } = buildFrontMigrationContext(state);
     const response = await sendMessage({
-        provider: state.settings.llmProvider,
-        apiKey: state.settings.apiKey,
-        model: state.settings.model,
+        ...getDmConfig(state.settings),
         systemPrompt: FRONT_MIGRATION_PROMPT,
         messageHistory: [],
         userMessage: JSON.stringify(context),
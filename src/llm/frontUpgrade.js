@@ -1,4 +1,5 @@
 import { sendMessage } from './adapter.js';
+import { getDmConfig, isDmReady } from './machinery.js';
 import { cleanText, parseDirectorJson } from './directorUtils.js';
 import { buildFrontMigrationContext } from './frontMigration.js';
 import { sanitizeGeneratedFronts } from './frontDirector.js';
@@ -98,14 +99,12 @@ export async function upgradeCampaignFrontsV2(state) {
     if (!state?.character || !state?.session?.id) throw new Error('Load the campaign you want to upgrade first.');
     if (state.session?.frontDirector?.generationVersion >= 2) throw new Error('This campaign already has the Dynamic Living World upgrade.');
     if (state.combat?.active) throw new Error('Finish the current combat before upgrading the living world.');
-    if (!state.settings?.apiKey) throw new Error('Set your DM API key first.');
+    if (!isDmReady(state.settings)) throw new Error('Set your DM API key first.');
 
     const existingFronts = (state.fronts || []).slice(0, 3);
     const { context, counts } = buildFrontMigrationContext(state);
     const response = await sendMessage({
-        provider: state.settings.llmProvider,
-        apiKey: state.settings.apiKey,
-        model: state.settings.model,
+        ...getDmConfig(state.settings),
         systemPrompt: FRONT_UPGRADE_PROMPT,
         messageHistory: [],
         userMessage: JSON.stringify(context),
@@ -1,38 +1,94 @@
 /**
  * The Gemini "machinery" — everything that keeps a campaign coherent behind
- * the DM's back: RAG embeddings (vectorMemory), the Scribe world-state
- * extractor, journal summaries, roll-policy audits, NPC enrichment, and
- * fodder review. It always runs on Gemini Flash, no matter which provider
- * narrates as the DM.
+ * the DM's back: the Scribe world-state extractor, journal summaries,
+ * roll-policy audits, NPC enrichment, and fodder review. It runs on Gemini
+ * Flash whichever hosted provider narrates as the DM. (RAG embeddings
+ * resolve separately — see llm/embeddings.js — and prefer the same key.)
  *
  * When the DM itself is Gemini, the main key doubles as the machinery key.
- * Any other DM provider (OpenAI, xAI) requires a dedicated Gemini key —
- * playing without the machinery is not supported: no memory extraction, no
- * RAG, no loot audit, and a long campaign silently rots. ChatPanel refuses
- * to start a turn until `isMachineryReady` passes, so background tasks can
- * assume a key exists (their own key guards remain as cheap safety nets).
+ * OpenAI and xAI DMs require a dedicated Gemini key — playing without the
+ * machinery is not supported: no memory extraction, no journal, no loot
+ * audit, and a long campaign silently rots. ChatPanel refuses to start a
+ * turn until `isMachineryReady` passes, so background tasks can assume a key
+ * exists (their own key guards remain as cheap safety nets).
+ *
+ * The one exception is a local DM server: with no Gemini key set, the
+ * machinery lanes run on the same local server (optionally on a smaller
+ * model), so a campaign can be played with no hosted key at all. Entering a
+ * Gemini key moves the machinery back to Gemini Flash.
+ *
+ * This module is also the single place that turns `settings` into provider
+ * call options: `getDmConfig` for the narrating DM lane and
+ * `getBackgroundConfig` for the machinery lanes.
  */
+import { LOCAL_PLACEHOLDER_KEY, normalizeLocalBaseUrl } from './providers/local.js';
+
 // Current-gen Flash-Lite (IDEAS.md "Machinery model upgrade", gated on the
 // 2026-07-18 eval:memory pass): ~5x cheaper per token than 2.5 Flash and off
 // the legacy-deprecation track. Extraction-sensitive consumers (Scribe
 // appearance/stance merges, roll audits) were the quality gate.
 export const MACHINERY_MODEL = 'gemini-3.1-flash-lite';
 
-/** The Gemini key powering embeddings/RAG and background extraction, or ''. */
+/**
+ * Local inference is far slower than a hosted endpoint (CPU-only servers can
+ * take minutes on a long Scribe prompt), so local calls get a wider stall guard.
+ */
+const LOCAL_TIMEOUT_MS = 300_000;
+
+/** The Gemini key powering background extraction (and preferred for RAG embeddings), or ''. */
 export function getMachineryGeminiKey(settings) {
     if (!settings) return '';
     if (settings.llmProvider === 'gemini' && settings.apiKey) return settings.apiKey;
     return settings.geminiApiKey?.trim() || '';
 }
 
-/** True when the campaign machinery can run (a Gemini key is available). */
+/**
+ * Provider options for the narrating DM lane (the streamed turn and every
+ * DM-voiced side call: front direction, chronicle, absence drift…). Spread
+ * into sendMessage/streamMessage. A local server needs no key, so a blank
+ * key becomes the placeholder bearer token.
+ */
+export function getDmConfig(settings) {
+    if (settings?.llmProvider === 'local') {
+        return {
+            provider: 'local',
+            apiKey: settings.apiKey?.trim() || LOCAL_PLACEHOLDER_KEY,
+            model: settings.model?.trim() || '',
+            baseUrl: normalizeLocalBaseUrl(settings.localBaseUrl),
+            timeoutMs: LOCAL_TIMEOUT_MS,
+        };
+    }
+    return {
+        provider: settings?.llmProvider,
+        apiKey: settings?.apiKey || '',
+        model: settings?.model,
+    };
+}
+
+/**
+ * True when the DM lane can run: a key for a hosted provider, or a chosen
+ * model for a local server (which needs no key).
+ */
+export function isDmReady(settings) {
+    const config = getDmConfig(settings);
+    return config.provider === 'local' ? !!config.model : !!config.apiKey;
+}
+
+/** True when the machinery lanes run on the player's local server. */
+export function usesLocalMachinery(settings) {
+    return settings?.llmProvider === 'local' && !getMachineryGeminiKey(settings);
+}
+
+/** True when the campaign machinery can run (a Gemini key or a local server). */
 export function isMachineryReady(settings) {
+    if (usesLocalMachinery(settings)) return isDmReady(settings);
     return !!getMachineryGeminiKey(settings);
 }
 
 /**
  * Provider config for background LLM tasks (Scribe, journal, roll policy,
- * NPC enrichment/review, semantic roll detection). Always Gemini Flash.
+ * NPC enrichment/review, semantic roll detection). Gemini Flash whenever a
+ * Gemini key exists; otherwise a local DM server's machinery model.
  *
  * Extraction calls are pure JSON: thinkingBudget 0 stops default-on thinking
  * from burning reasoning tokens against the output cap (2-4 such calls run
@@ -40,6 +96,16 @@ export function isMachineryReady(settings) {
  * every consumer's bounded JSON. Both ride the sendMessage options spread.
  */
 export function getBackgroundConfig(settings) {
+    if (usesLocalMachinery(settings)) {
+        const dm = getDmConfig(settings);
+        return {
+            ...dm,
+            model: settings.localMachineryModel?.trim() || dm.model,
+            maxOutputTokens: 8192,
+            // An unchosen model reads as "no key" to every caller's guard.
+            apiKey: dm.model ? dm.apiKey : '',
+        };
+    }
     return {
         provider: 'gemini',
         apiKey: getMachineryGeminiKey(settings),
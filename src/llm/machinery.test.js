@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { getMachineryGeminiKey, getBackgroundConfig, isMachineryReady, MACHINERY_MODEL } from './machinery.js';
+import { getMachineryGeminiKey, getBackgroundConfig, getDmConfig, isDmReady, isMachineryReady, usesLocalMachinery, MACHINERY_MODEL } from './machinery.js';
 
 describe('getMachineryGeminiKey', () => {
     it('doubles the main key as the machinery key when the DM is Gemini', () => {
@@ -53,3 +53,47 @@ describe('getBackgroundConfig', () => {
         expect(getBackgroundConfig({ llmProvider: 'openai', apiKey: 'oa-key', model: 'gpt-4o' }).apiKey).toBe('');
     });
 });
+
+describe('local DM server', () => {
+    const LOCAL = { llmProvider: 'local', apiKey: '', model: 'llama3.1:8b', localBaseUrl: 'http://box:8080/v1/' };
+
+    it('needs no key: a blank key becomes the placeholder bearer token', () => {
+        expect(getDmConfig(LOCAL)).toEqual({
+            provider: 'local',
+            apiKey: 'local',
+            model: 'llama3.1:8b',
+            baseUrl: 'http://box:8080/v1',
+            timeoutMs: 300_000,
+        });
+        expect(isDmReady(LOCAL)).toBe(true);
+    });
+
+    it('is not ready until a model is chosen', () => {
+        expect(isDmReady({ ...LOCAL, model: '' })).toBe(false);
+        expect(isMachineryReady({ ...LOCAL, model: '' })).toBe(false);
+    });
+
+    it('runs the machinery locally when no Gemini key is set', () => {
+        expect(usesLocalMachinery(LOCAL)).toBe(true);
+        expect(isMachineryReady(LOCAL)).toBe(true);
+        expect(getBackgroundConfig({ ...LOCAL, localMachineryModel: 'qwen2.5:3b' })).toMatchObject({
+            provider: 'local',
+            apiKey: 'local',
+            model: 'qwen2.5:3b',
+            baseUrl: 'http://box:8080/v1',
+            maxOutputTokens: 8192,
+        });
+        expect(getBackgroundConfig(LOCAL).model).toBe('llama3.1:8b');
+    });
+
+    it('hands the machinery back to Gemini Flash once a Gemini key is set', () => {
+        const settings = { ...LOCAL, geminiApiKey: 'gem-key' };
+        expect(usesLocalMachinery(settings)).toBe(false);
+        expect(getBackgroundConfig(settings)).toMatchObject({ provider: 'gemini', apiKey: 'gem-key', model: MACHINERY_MODEL });
+    });
+
+    it('leaves hosted DM configs unchanged', () => {
+        expect(getDmConfig({ llmProvider: 'openai', apiKey: 'oa-key', model: 'gpt-5' })).toEqual({ provider: 'openai', apiKey: 'oa-key', model: 'gpt-5' });
+        expect(isDmReady({ llmProvider: 'openai', apiKey: '' })).toBe(false);
+    });
+});
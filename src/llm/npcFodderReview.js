@@ -4,7 +4,7 @@
  */
 
 import { sendMessage } from './adapter.js';
-import { getBackgroundConfig } from './machinery.js';
+import { getBackgroundConfig, isDmReady } from './machinery.js';
 import { parseJsonObjectLoose } from './utils/jsonExtractor.js';
 import { cleanText } from './directorUtils.js';
 
@@ -102,7 +102,7 @@ async function reviewFodderBatch(batch, settings) {
  * review before dispatching ARCHIVE_NPC_BULK.
  */
 export async function suggestArchivableFodder({ npcs = [], settings } = {}) {
-    if (!settings?.apiKey) {
+    if (!isDmReady(settings)) {
         throw new Error('Add your API key in Settings before running fodder review.');
     }
 
@@ -113,7 +113,7 @@ describe('combat pacing prompt contract', () => {
 });
 
 describe('buildCombatBlock per-combatant rendering (queue 2026-07-16)', () => {
-    it('renders every dynamic enemy field: atk/dmg, health, conditions, status, defending', () => {
+    it('renders every dynamic enemy field: atk/dmg, range, health, conditions, status, defending', () => {
         const text = prompt({
             combat: {
                 active: true,
@@ -126,11 +126,11 @@ describe('buildCombatBlock per-combatant rendering (queue 2026-07-16)', () => {
                     {
                         id: 'chief', name: 'Chief Kraul', hp: 9, maxHp: 28, ac: 14,
                         attackBonus: 4, damage: '1d8+2', condition: 'bloodied',
-                        conditions: ['prone', 'frightened'],
+                        conditions: ['prone', 'frightened'], range: 'engaged',
                     },
                     {
                         id: 'runt', name: 'Goblin Runt', hp: 4, maxHp: 8, ac: 12,
-                        condition: 'bloodied', combatStatus: 'fled', defending: true,
+                        condition: 'bloodied', combatStatus: 'fled', defending: true, attackRange: 'ranged',
                     },
                 ],
                 turnOrder: [
@@ -141,8 +141,8 @@ describe('buildCombatBlock per-combatant rendering (queue 2026-07-16)', () => {
         });
 
         expect(text).toContain('## ACTIVE COMBAT — Round 3 | Phase: awaiting_player | Surprise: enemies');
-        expect(text).toContain('- **Chief Kraul** (id: chief) | HP: 9/28 | AC: 14 | Atk: +4 | Dmg: 1d8+2 | Health: bloodied | Conditions: prone, frightened');
-        expect(text).toContain('- **Goblin Runt** (id: runt) | HP: 4/8 | AC: 12 | Health: bloodied | Status: fled | DEFENDING');
+        expect(text).toContain('- **Chief Kraul** (id: chief) | HP: 9/28 | AC: 14 | Atk: +4 | Dmg: 1d8+2 | Range: engaged | Health: bloodied | Conditions: prone, frightened');
+        expect(text).toContain('- **Goblin Runt** (id: runt) | HP: 4/8 | AC: 12 | Range: near (ranged attacker) | Health: bloodied | Status: fled | DEFENDING');
         // Turn-order marker sits on the CURRENT combatant only.
         expect(text).toContain('  Chief Kraul (init: 17)');
         expect(text).toContain('→ Astra (init: 12)');
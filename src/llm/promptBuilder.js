@@ -3,23 +3,35 @@
  * Constructs dynamic system prompts that inject character state, rules, and context.
  */
 import { PRESETS, DEFAULT_PRESET } from '../data/presets.js';
-import { ABILITY_SHORT, getFightingStyleLabel, getMartialArchetypeLabel } from '../engine/characterUtils.js';
-import { formatModifier, getModifier, getProficiencyBonus, getSavingThrowModifier, isProficientWithWeapon } from '../engine/rules.js';
-import { getExperienceThreshold, isMaxLevel } from '../engine/progression.js';
+import { ABILITY_SHORT, getFightingStyleLabel, getMartialArchetypeLabel, getResourceDefinitions } from '../engine/characterUtils.js';
+import { characterDamageDefenses, formatModifier, getClassLevel, getEncumbrance, getFeats, getHeroSpeed, getModifier, getProficiencyBonus, getSavingThrowModifier, isMagicItemActive, isMulticlassed, isProficientWithWeapon } from '../engine/rules.js';
+import { getExperienceThreshold, getPendingLevelUps, isMaxLevel } from '../engine/progression.js';
+import { describeClassLevels, getHitDicePools } from '../engine/multiclass.js';
 import { buildJournalContext } from '../engine/worldJournal.js';
 import { buildRetrievedMemoriesBlock } from '../engine/vectorMemory.js';
 import { buildStoryMemoryPromptBlock, formatSecrecyTag } from '../engine/storyMemory.js';
 import { describeCatalogForPrompt } from '../data/items.js';
+import { describeMonsterCatalogForPrompt, describeMonsterForPrompt, findMonster } from '../data/monsters.js';
+import { describeEncounterGrade } from '../engine/encounterBudget.js';
 import { formatCurrency } from '../engine/currency.js';
-import { CLASSES } from '../data/classes.js';
+import { resolveRace } from '../data/races.js';
 import { normalizeCampaignPremise } from '../config/contentLimits.js';
 import { NPC_NAME_DIVERSITY_RULES } from './nameGuidance.js';
 import { TABLE_TALK_STANDING_RULE } from './tableTalk.js';
 import { buildWorldTempoBlock, computeRecentHeat } from '../engine/worldTempo.js';
 import { buildRegionalHearsayBlock } from '../engine/regionalHearsay.js';
+import { buildMerchantsBlock, HAGGLE_SKILLS } from '../engine/merchants.js';
+import { describeDowntimeProject } from '../engine/downtime.js';
+import { buildCalendarBlock } from '../engine/calendar.js';
+import { buildJourneyBlock } from '../engine/travel.js';
+import { buildSurvivalBlock } from '../engine/survival.js';
 import { buildWhileYouWereAwayBlock } from './absenceDrift.js';
 import { describeSpellcastingForPrompt } from '../engine/spellcasting.js';
 import { isCompanionActive } from '../engine/combatExchange.js';
+import { enemyRange } from '../engine/rangeBands.js';
+import { describeActiveEffects, describeRoundsLeft } from '../engine/activeEffects.js';
+import { describeDamageDefenses } from '../engine/damageDefenses.js';
+import { attunedItems, describeMagicProperties, hasMagicProperties, MAX_ATTUNED_ITEMS } from '../engine/magicItems.js';
 import { namesMatch } from '../engine/npcRoster.js';
 
 /**
@@ -37,7 +49,7 @@ export const PROMPT_CHAR_BUDGET = 160000;
 /**
  * Build the complete system prompt for the LLM.
  */
-export function buildSystemPrompt({ character, inventory, quests, rollHistory, preset, ruleset, customSystemPrompt, journal, npcs, party, currentLocation, combat, worldFacts, fronts, storyMemory, retrievedMemories, premise, recentRulings, worldTempo, recentEncounters, recentChecks, paceDial, messageCount, messages, regionalHearsay, absenceDrift }) {
+export function buildSystemPrompt({ character, inventory, quests, rollHistory, preset, ruleset, customSystemPrompt, journal, npcs, party, currentLocation, combat, worldFacts, fronts, storyMemory, retrievedMemories, premise, recentRulings, worldTempo, recentEncounters, recentChecks, paceDial, messageCount, messages, regionalHearsay, absenceDrift, merchants, locations, calendar, journey, survival = false }) {
     /** Named [{name, text}] parts — joined in push order; names feed the DEV size log only. */
     const namedParts = [];
     const parts = {
@@ -96,6 +108,18 @@ export function buildSystemPrompt({ character, inventory, quests, rollHistory, p
         parts.push(lowLevelSafety, 'soloSafety');
     }
 
+    // The engine owns the clock (engine/calendar.js): the date and hour are
+    // stated, not left for the DM to track across a pruned history.
+    if (calendar) {
+        parts.push(buildCalendarBlock(calendar), 'calendar');
+    }
+    if (journey) {
+        parts.push(buildJourneyBlock(journey), 'journey');
+    }
+    if (survival) {
+        parts.push(buildSurvivalBlock(character, inventory || []), 'survival');
+    }
+
     // World tempo replaces the old always-visible fronts dossier (DECISIONS.md
     // 2026-07-14): the DM sees pace guidance and, at most, ONE permitted
     // symptom card — never clocks, portents, stages, or notes. Hiding beats
@@ -118,6 +142,7 @@ export function buildSystemPrompt({ character, inventory, quests, rollHistory, p
         messages: messages || null,
         combatActive: !!combat?.active,
         solo: !!character && (!party || party.length === 0),
+        calendar: calendar || null,
     });
     if (tempoBlock) {
         parts.push(tempoBlock, 'worldTempo');
@@ -146,7 +171,7 @@ export function buildSystemPrompt({ character, inventory, quests, rollHistory, p
 
     // Character info
     if (character) {
-        parts.push(buildCharacterBlock(character, combat), 'character');
+        parts.push(buildCharacterBlock(character, combat, inventory), 'character');
         if (character.pendingActionSurge) {
             parts.push(buildActionSurgeBlock(character), 'actionSurge');
         }
@@ -162,6 +187,18 @@ export function buildSystemPrompt({ character, inventory, quests, rollHistory, p
         parts.push(buildInventoryBlock(inventory, character), 'inventory');
     }
 
+    // Shops where the hero stands, at the prices the engine will charge
+    const merchantsBlock = combat?.active ? '' : buildMerchantsBlock({
+        merchants: merchants || [],
+        locations: locations || [],
+        currentLocation,
+        fronts: fronts || [],
+        messages: messages || null,
+    });
+    if (merchantsBlock) {
+        parts.push(merchantsBlock, 'merchants');
+    }
+
     // Active quests
     if (quests && quests.length > 0) {
         const activeQuests = quests.filter(q => q.status === 'active');
@@ -365,6 +402,7 @@ When game events occur, include a structured JSON block at the END of your respo
     { "type": "damage_roll", "notation": "1d8+3", "description": "Out-of-combat damage only" }
   ],
   "damage_taken": 0,
+  "damage_taken_type": null,
   "starting_items": [
     { "name": "Mother's old lute", "description": "The battered instrument carried from home", "equipped": false }
   ],
@@ -385,12 +423,14 @@ When game events occur, include a structured JSON block at the END of your respo
   "exp_awarded": 0,
   "level_up": false,
   "rest_taken": null,
+  "time_passed": null,
   "conditions_gained": [],
   "conditions_removed": [],
   "resources_used": [],
   "healing": 0,
   "quest_updates": [{ "status": "new|updated|completed|failed", "name": "Quest Name", "description": "Quest description" }],
   "location": "",
+  "merchant": null,
   "world_facts": [
     { "fact": "The bandit captain Rarg is dead, killed by the player at the crossroads.", "category": "event" },
     { "fact": "The village of Thornhaven has been burned by the Iron Claw bandits.", "category": "location" }
@@ -408,7 +448,8 @@ When game events occur, include a structured JSON block at the END of your respo
   "combat_start": {
     "surprise": "none",
     "enemies": [
-      { "id": "goblin-1", "name": "Goblin", "hp": 15, "ac": 13, "attack_bonus": 4, "damage": "1d6+2", "save_bonus": 2, "is_undead": false }
+      { "id": "goblin-1", "name": "Goblin", "hp": 15, "ac": 13, "attack_bonus": 4, "damage": "1d6+2", "save_bonus": 2, "is_undead": false, "range": "near" },
+      { "monster": "wolf", "count": 2, "range": "far" }
     ]
   },
   "spell_cast": { "spell": "cure wounds", "slot_level": 1, "target": "self" },
@@ -496,32 +537,40 @@ If no game events occurred, just provide the narrative text without any JSON blo
 - Outside combat, player checks use "skill_check" or "saving_throw" with a DC. Saving throws name the ability; the engine applies proficiency.
 - A response containing outside-combat \`requested_rolls\` carries no outcome mutations. The post-roll response narrates the result once.
 
-## SPELLCASTING INSTRUCTIONS (Wizard / Cleric only)
+## SPELLCASTING INSTRUCTIONS (Wizard, Cleric, Bard, Warlock, Ranger, Paladin)
 - The character block's SPELLCASTING section lists every spell that mechanically exists for this hero, with remaining slots. Spells not on that list have no engine support: when the player asks for one, offer the closest listed spell or adjudicate a purely narrative effect that changes no mechanics.
 - The ENGINE owns slots, dice, save DCs, and effects. You never report a slot as spent, roll spell damage, or decide a save — declare the cast and narrate from the engine's returned result.
 - IN COMBAT: cast through a \`combat_exchange\` player slot (\`"action":"cast"\`). Never use spell_cast during a fight. ONE exception: when the player casts an out-of-combat spell (Mage Armor, Cure Wounds) in the same message where the fight breaks out, emit \`spell_cast\` ALONGSIDE \`combat_start\` in that response — the engine applies the cast BEFORE initiative, so the ward or healing is real when the first blow lands. Narrating the cast without the event leaves it mechanically nonexistent.
 - OUT OF COMBAT: when the player casts a spell marked usable out of combat, emit \`spell_cast\` with the spell name, optional \`slot_level\` to upcast, and \`target\` ("self" or a companion's name). Unlike combat, there is NO second call: write the full prose narration of the casting and its effect in the SAME response that carries the event — a response that is only a JSON block leaves the player staring at silence. Don't state healing numbers (the engine's system line reports them); everything else about what the magic does, reveals, or feels like is yours to narrate now. Emit each casting exactly ONCE; never re-emit it while narrating the aftermath on a later turn.
 - Utility spells (Detect Magic, Knock, Guidance) are narrative-gated: the engine only spends the slot; you honestly adjudicate what the magic reveals, opens, or aids — magic succeeds at what the spell does, but only the fiction present can be revealed.
-- Control-spell conditions (unconscious from Sleep, paralyzed from Hold Person, frightened, prone) are not permanent: lift them through the existing \`remove_conditions\` / \`enemy_condition_updates\` channels when the fiction moves on — a sleeper wakes the moment it takes damage; a held foe shakes free after about a round of struggle.
-- A sustained spell (Mage Armor, Shield of Faith, Invisibility) lasts until the caster sustains a different spell, rests, or the fight ends — the engine tracks this; narrate accordingly.
+- Spell durations are ENGINE-OWNED. Each foe's Effects list shows what holds it and for how many rounds; the engine ends the effect and lifts its condition when time runs out, and a foe held by Hold Person/Hold Monster re-rolls its save after each of its turns by itself. Never lift those conditions early. The one exception: a sleeper wakes the moment it takes damage — lift Sleep's unconscious through \`remove_conditions\` / \`enemy_condition_updates\` then.
+- CONCENTRATION (Shield of Faith, Invisibility, Hunter's Mark, Hex, Hold Person, Fear, Bestow Curse…): the caster holds ONE at a time. Casting another ends the first; when the hero takes damage the engine rolls a Constitution save (DC 10 or half the damage) and a failure — or dropping to 0 HP — ends it and everything it held. Any rest and combat's end also end it. Narrate only the breaks the engine reports. Mage Armor needs no concentration and lasts 8 hours. Hunter's Mark and Hex mark ONE foe: the engine adds the mark's die to later hits on that foe by itself — never declare the mark again to "use" it.
+- Spiritual Weapon lingers for a minute: while the hero's Active effects list shows it, declare it again as a cast slot beside a normal action — the engine resolves the strike as a free bonus action with no slot.
+- A Warlock's pact slots are few but all cast at their highest level, and they come back on every short rest.
 - Out-of-combat healing has no roll gate: casting Cure Wounds on a wounded ally simply works. Genuine uncertainty about ANOTHER objective still uses requested_rolls as usual.
 
 COMBAT NOTES — INTENT ONLY, ENGINE OWNS MECHANICS:
-- Use "combat_start" when combat begins and list every foe 1:1 with a unique stable "id", plus "name", "hp", "ac", "attack_bonus", and "damage". Mark skeletons, zombies, ghouls, and other undead with "is_undead": true, and optionally give tough foes a flat "save_bonus" (-5..15, default +2) used for spell saving throws. Never silently add or drop combatants. If the same response also contains "combat_exchange", every player/companion/enemy reference must use one of those exact combat_start ids.
+- Use "combat_start" when combat begins and list every foe 1:1 with a unique stable "id", plus "name", "hp", "ac", "attack_bonus", and "damage". Mark skeletons, zombies, ghouls, and other undead with "is_undead": true, and optionally give tough foes a flat "save_bonus" (-5..15, default +2) used for spell saving throws. Give a foe whose attack deals elemental or otherwise distinctive damage a "damage_type" (fire, cold, poison, acid, lightning, necrotic, slashing…) — the engine halves it for a hero who resists that type. A hand-authored foe with innate defenses may list "resistances", "vulnerabilities", and "immunities" as damage-type arrays (a fire elemental immune to fire, a frost wight vulnerable to it); catalog monsters already carry theirs. Never silently add or drop combatants. If the same response also contains "combat_exchange", every player/companion/enemy reference must use one of those exact combat_start ids.
+- **Stock creatures come from the bestiary.** For a creature in the catalog, spawn it by key instead of inventing numbers: \`{ "monster": "ghoul", "count": 3, "range": "near" }\` becomes Ghoul 1, Ghoul 2 and Ghoul 3 (ids \`enemy-ghoul-1\`…; give an "id" or "name" to set the base). The engine fills HP, AC, attack, damage, Multiattack, and save bonus from the stat block and ignores any you send; you still set range, surprise, and conditions. Hand-author only foes the catalog lacks. The ACTIVE COMBAT block lists each stat-block foe's special abilities — narrate them and apply them through situational rulings and conditions. Catalog: ${describeMonsterCatalogForPrompt()}.
+- **Range bands are engine-owned geography.** Every foe stands \`engaged\` (toe-to-toe with the hero), \`near\` (one move away), or \`far\` (beyond a single move); companions move with the hero. Give each combat_start foe a "range" from the opening fiction (default \`near\`) and an "attack_range": "ranged" for archers, casters, and other foes who fight from a distance. The engine then owns distance: a melee strike on a near foe closes in automatically, a far foe needs a Dash first (reach weapons also hit near foes; ranged weapons hit any band), ranged attacks while a foe is engaged roll at disadvantage, and melee foes spend their move closing in. A \`dash\` slot takes \`"target":"<enemy id>"\` to close with that foe, or no target to fall back until every foe is far. Leaving an engaged foe by Dash or Flee provokes its opportunity attack unless the same turn includes \`disengage\`. An enemy intent may include \`"move_to":"engaged|near|far"\` when the fiction repositions that foe (an archer backing off, a brute charging). The ACTIVE COMBAT block shows each foe's band — narrate consistent geography.
+- **Encounters have an XP budget.** The engine grades every combat_start as easy, medium, hard, or deadly against the party's 5e XP thresholds (the hero's level, times the hero plus fighting companions, with the crowd multiplier for many foes). Past the campaign's pace ceiling (slow-burn: below hard; standard: below deadly; breakneck: deadly at most half again past the line), the weakest extra foes hold back and are not tracked — a system line names them; narrate them hanging back, fleeing, or never arriving. A lone foe is never held back. Build fights inside the budget rather than relying on the trim.
 - Set combat_start "surprise" to "player" only when the player is genuinely caught unaware, "enemies" only when the foes are caught unaware, otherwise "none". The engine converts this into Opening Initiative; never grant surprise attacks in narration yourself.
 - Every committed player turn includes exactly one \`combat_exchange\`. A question or clarification includes none, so nobody acts.
-- \`player_slots\`: normally exactly one; when ACTION SURGE ACTIVE is shown, exactly two. Each slot is independently \`attack\`, \`cast\`, \`channel\`, \`check\`, \`save\`, \`dodge\`, \`dash\`, \`disengage\`, \`flee\`, \`interact\`, \`pass\`, \`death_save\`, or \`second_wind\`.
-- An Attack slot uses \`strikes: [{"target":"<living enemy id>"}]\`. A Fighter with Extra Attack may name two strikes in one Attack slot, including different targets. Action Surge grants another action slot, not automatically another attack.
-- A Cast slot uses \`{"action":"cast","spell":"<spell name from the SPELLCASTING list>","target":"<living enemy id, companion name, or self>","slot_level":<optional upcast level>}\`. Respect each spell's target count from its SPELLCASTING entry: a spell tagged "ONE foe/ally" takes a single \`target\` (never a \`targets\` array — the engine resolves only the first and ignores the rest); only spells tagged "up to 3" may use \`"targets":["<id>", ...]\`. Only spells on the character's SPELLCASTING list exist; the engine owns every roll, save DC, slot cost, and effect. Unsupported spells must be clarified rather than assigned invented mechanics.
-- A Wizard/Cleric may add ONE bonus-action spell (marked "bonus action" in their list, e.g. Healing Word) as a second player slot alongside one normal action — the caster's equivalent of Cunning Action. Never two bonus spells, never two action spells.
+- \`player_slots\`: normally exactly one; when ACTION SURGE ACTIVE is shown, exactly two. Each slot is independently \`attack\`, \`cast\`, \`channel\`, \`check\`, \`save\`, \`dodge\`, \`dash\`, \`disengage\`, \`flee\`, \`interact\`, \`pass\`, \`death_save\`, \`second_wind\`, or \`breath_weapon\`.
+- An Attack slot uses \`strikes: [{"target":"<living enemy id>"}]\`. A Fighter, Ranger, or Paladin with Extra Attack may name two strikes in one Attack slot, including different targets. Action Surge grants another action slot, not automatically another attack.
+- A Cast slot uses \`{"action":"cast","spell":"<spell name from the SPELLCASTING list>","target":"<living enemy id, companion name, or self>","slot_level":<optional upcast level>}\`. Respect each spell's target count from its SPELLCASTING entry: a spell tagged "ONE foe/ally" takes a single \`target\` (never a \`targets\` array — the engine resolves only the first and ignores the rest); only spells tagged "up to 3" may use \`"targets":["<id>", ...]\`. A spell tagged "AREA" (Fireball, Ice Storm, Cone of Cold, Flame Strike…) takes \`"targets"\` listing every living foe the fiction places inside the blast, up to its cap — not just the one the player pointed at, and never a foe standing clear of it; each rolls its own save for half. Only spells on the character's SPELLCASTING list exist; the engine owns every roll, save DC, slot cost, and effect. Unsupported spells must be clarified rather than assigned invented mechanics.
+- A Paladin's melee Attack slot may add \`"smite": true\` (or a slot level, e.g. \`"smite": 2\`) when the player's message explicitly calls for Divine Smite. The engine spends the slot only if a strike hits and rolls the radiant dice; never declare it on your own initiative.
+- With Great Weapon Master (a heavy melee weapon) or Sharpshooter (a ranged weapon), an Attack slot may add \`"power_attack": true\` when the player's message asks for a reckless or all-out blow: −5 to hit, +10 damage on every strike of that slot. Never declare it on your own initiative.
+- Any spellcaster may add ONE bonus-action spell (marked "bonus action" in their list, e.g. Healing Word, Hunter's Mark, Hex) as a second player slot alongside one normal action — the caster's equivalent of Cunning Action. Never two bonus spells, never two action spells.
 - **A Fighter's Second Wind can ride the exchange.** When the player's own combat message explicitly uses Second Wind ("I use Second Wind and strike back"), declare \`{"action":"second_wind"}\` as an extra player slot beside their normal action (or alone, if catching their breath is the whole turn) — the engine validates availability, rolls 1d10 + level, spends the resource, and reports the recovery; it is a bonus action and never costs the action slot. Declare it ONLY on the player's explicit invocation — never on your own initiative or as a suggestion. If the sheet shows it spent or the bonus action already used, say so in narration instead of declaring the slot.
+- A \`breath_weapon\` slot is a Dragonborn's Breath Weapon (uses their action): \`{"action":"breath_weapon","targets":["<living enemy id>", ...]}\` with up to 3 foes caught in the blast. The engine rolls the damage once, each foe's save for half, and spends the racial charge. Declare it only when the player explicitly breathes.
 - A \`channel\` slot is the Cleric's Turn Undead (level 2+): no target field; the engine rolls a save for every active undead foe. Declare it only when undead are actually present.
 - A Check/Save slot uses \`{"action":"check|save","skill":"<skill or ability>","dc":<5-30>}\` for a genuinely uncertain non-attack action committed during combat. The engine rolls it before companion/enemy intents; do not also use requested_rolls.
 - A Check intended to impose a condition may include \`"on_success":{"target":"<living enemy id>","add":["prone"]}\`. The engine applies the bounded condition only if the check succeeds. Supported enemy conditions are poisoned, blinded, frightened, restrained, prone, invisible, stunned, paralyzed, and unconscious.
 - **Situational rulings preserve table negotiation.** Any player slot, companion intent, or enemy attack intent may include \`"situational_ruling":{"mode":"advantage|disadvantage","reason":"<brief established fictional reason>"}\`. Use this only when you, as DM, accept that current established fiction or a plausible tactical setup warrants it (for example, a genuinely established flank). The player's claim alone does not make the reason true. If it is unsupported, omit the ruling and briefly adjudicate from the actual situation. Never supply numerical modifiers or dice. The engine combines an accepted ruling with conditions and normal advantage/disadvantage cancellation, and shows the reason beside the roll.
 - **An accepted flank persists.** When you grant a flanking-style advantage ruling, the engine records the target as FLANKED and keeps applying that advantage to the hero's and companions' attacks on it in later exchanges — never re-emit the same flank ruling round after round, and never quietly drop an established flank. When the fiction genuinely ends it (the foe repositions or breaks free, knockback, the allies scatter), declare \`"flank_broken": ["<enemy id>"]\` inside that combat_exchange. The engine also ends a flank on its own when the target falls or flees, when the hero Dashes or Disengages away, or when every companion is down.
 - \`enemy_condition_updates\` synchronizes a condition already established by prior authoritative fiction before this exchange (for example, a foe the previous narration left prone). It is not permission to grant advantage merely because the player asserts one. These updates apply before player rolls.
-- Use \`flee\` only when the fiction establishes a successful escape; it ends combat without XP or pursuit attacks. If escape is uncertain, use a Check slot instead and let its result decide the fiction.
+- Use \`flee\` only when the fiction establishes a successful escape; it ends combat without XP or pursuit attacks (engaged foes still get their opportunity attacks as the hero breaks away, unless the turn also Disengages). If escape is uncertain, use a Check slot instead and let its result decide the fiction.
 - \`enemy_intents\`: at most one per living foe, using only \`attack\`, \`defend\`, \`flee\`, or \`surrender\`. An attack targets \`player\` or a living companion id. Missing intent defaults to that foe's basic attack against the hero.
 - **Enemy targeting comes from the fiction, not habit.** Melee foes strike whoever is actually engaging them — a warrior companion holding the front line takes those attacks, not the hero standing behind them. Beasts and brutes hit whatever is closest or loudest; wounded foes turn on whoever just hurt them; smart or ranged foes may deliberately pick the caster or healer. Never route every attack to the hero by default when companions share the fight. Target selection is drawn from the established fiction only — never from comparing HP or AC to pick the weakest victim. Multiple foes do not dogpile one fragile companion in a single exchange unless the fiction has genuinely isolated them, and a companion at 0 HP is out of the fight — foes turn to live threats instead of landing finishing blows on the downed.
 - An enemy intent may include \`"remove_conditions":["prone"]\` when the foe stands, recovers, or otherwise clears an established condition immediately before its own action. Do not remove conditions before the player's earlier slot resolves.
@@ -546,12 +595,18 @@ ECONOMY & HEALING:
 - Provide "X_found" and "X_lost" properties where X is "gold", "silver", or "copper" based on the economy action (e.g. looting coins gives X_found, buying a sword requires X_lost). Provide numbers (integers without labels).
 - **EVERY narrated acquisition MUST carry its matching event in the SAME response.** If the prose says the hero takes, pockets, loots, or receives coins or an item, that exact response must emit the corresponding items_found / X_found / purchase event — narration without the event means the player never receives it. Never attach loot to a response that proposes requested_rolls; grant it in the post-roll outcome response instead, and always state concrete amounts ("23 gold"), never vague quantities.
 - **The reverse is equally binding: items_found is ONLY for items NEWLY entering the hero's possession** (looted, received, stolen, gifted, crafted). NEVER emit items_found for gear the hero already owns and is merely using, drawing, lighting, striking, wearing, or retrieving from their own pack — using their own flint and steel, torch, or rope grants NOTHING. The INVENTORY section lists what they already own; check it before granting an item. Emit items_lost only when an owned item is consumed, destroyed, or leaves their possession.
-- For purchases, prefer one atomic "purchase" event instead of separate money/item fields: { "itemKey": "longsword", "quantity": 1, "priceCp": 1500 }. The client validates funds, subtracts coin, and adds the item. Do NOT also emit gold_lost/silver_lost/copper_lost or items_found for the same purchase.
-- For sales (the player sells loot to a merchant), use one atomic "sell" event: { "itemKey": "longsword", "quantity": 1 } — or identify the item by "name" if it has no catalog key. The client values it (about half the catalog price), removes it, and adds the coin. Set "priceCp" (total) only to model haggling or a stingy/eager buyer. Do NOT also emit items_lost or gold_found/silver_found/copper_found for the same sale.
+- For purchases, prefer one atomic "purchase" event instead of separate money/item fields: { "itemKey": "longsword", "quantity": 1 }. The client validates funds, subtracts coin, and adds the item. Catalog goods are ENGINE-PRICED — by the local merchant's stock and haggle and the region (the MERCHANTS HERE block shows the numbers); any "priceCp" you send for them is ignored, so quote the engine's price in prose. Set "priceCp" (total) only for goods outside the catalog (a meal, a room, a curiosity). Do NOT also emit gold_lost/silver_lost/copper_lost or items_found for the same purchase.
+- **Shops:** when the scene puts the hero at a shop, stall, or trader, emit "merchant": { "name": "<shop or trader name>", "kind": "general"|"smith"|"armorer"|"bowyer"|"alchemist"|"outfitter" } once — the engine stocks it from the catalog, restocks it over time, and lets the player trade from a shop panel. Lines starting "**Shop —" in the history are panel trades the engine ALREADY applied: acknowledge them in the fiction if natural, never emit a purchase or sell event for them.
+- **Haggling is a check, never a number you pick.** When the player haggles with a merchant, request a ${HAGGLE_SKILLS.join('/')} skill_check with "haggle": true; the engine sets that merchant's prices from the result (once per restock) and tells you the new terms.
+- **Downtime is engine-run.** Days spent crafting, brewing, working a trade, researching, or training happen from the player's Downtime panel: the engine owns their cost, length, and results, and advances the world while they pass. Lines starting "**Downtime —" in the history are ALREADY applied — narrate the days and what they produced (a research line asks you to reveal what was learned), but never emit items_found, coin, rest, or XP events for them. If the player asks to spend days at such work in chat, point them to the Downtime panel.
+- **Travel between known places is engine-run.** A journey set out from the player's Travel panel rolls its own navigation, forage, and road encounters, eats rations, burns torches, and moves the clock and the hero. Lines starting "**Journey —" in the history are ALREADY applied — narrate the road and the arrival, but never emit location, time_passed, rest, or items_lost events for them. When a journey halts for an encounter, open that scene; the player resumes the journey afterwards.
+- For sales (the player sells loot to a merchant), use one atomic "sell" event: { "itemKey": "longsword", "quantity": 1 } — or identify the item by "name" if it has no catalog key. The client prices anything with a value (half of it, moved by the local merchant's haggle), removes it, and adds the coin; "priceCp" (total) only prices an item with no value. Do NOT also emit items_lost or gold_found/silver_found/copper_found for the same sale.
 - Purchases and sales are one-shot transaction events. Once a transaction has been narrated and emitted, do NOT emit it again in later responses unless the player explicitly buys/sells another copy or starts a new trade.
 - **Loose coin events are equally one-shot and EXACT.** A payment, toll, fine, tip, bribe, wage, or theft is emitted ONCE, in the same response that first narrates the coins changing hands, and the event amount MUST equal the narrated amount exactly — "six silver" is silver_lost: 6, never a different number, never a partial amount, never split across responses. NEVER re-emit a coin loss or gain in a later response that recaps, confirms, or reflects on money already exchanged — the engine already applied it, and re-emitting charges or pays the player twice. If you discover a past response under-charged or under-paid, emit only the exact missing difference, once.
 - **Restating the hero's wealth is NEVER a coin event.** "Leaving you with fourteen gold", counting the pouch, checking the purse, or recalling an earlier reward emits NOTHING — the engine already tracks the total, and re-emitting it pays the hero twice. Coin events exist only for coin actually changing hands in THIS scene. When the hero pays and receives change, emit ONE net loss for the true cost (paying 1 gold for an 8-silver bill is silver_lost: 8, or gold_lost: 1 plus silver_found: 2 — never the change alone).
 - For ordinary equipment loot or shop goods, use catalog "itemKey" values when possible. For unusual story objects, use a plain item name/type.
+- **Magic item properties** go on an items_found object, at most TWO per item, and the engine validates every one: "extraDamage": { "dice": "1d6"|"2d6"|"1d8"|"1d4"|"2d4", "damageType": "<type>" } on a weapon (a Flame Tongue's +2d6 fire on every hit); "resistances": ["<one damage type>"] (a Ring of Fire Resistance); "skillAdvantage": ["<one skill>"] (Boots of Elvenkind → "stealth"); "spells": [{ "spell": "<catalog spell key, level 1–3>", "cost": <charges> }] with "charges": { "max": 1–7, "recharge": "dawn"|"longRest" } (a Wand of Magic Missiles). Anything outside these bounds is dropped, never stretched. Every such item requires attunement: it arrives inert and the player attunes to it themselves (at most ${MAX_ATTUNED_ITEMS} items, never mid-fight) — never narrate an unattuned item's power working. A weapon's, armor's, or shield's property also needs it equipped. The hero casts an item's spell like any spell ("cast" in combat, "spell_cast" outside it); the engine spends the charges and uses the item's own save DC, and recharges them — "dawn" charges when the world clock passes dawn, both kinds on a long rest. Treat such items as rare treasure, not routine loot.
+- Everything the hero carries has a weight, coins included (50 to the pound), and the engine tracks the load shown under INVENTORY. Give non-catalog loot a realistic "weight" in pounds (a suit of chain mail is 55, an iron-bound strongbox about 25). Past the encumbered line the hero loses 10 ft of speed; heavily encumbered loses 20 ft and rolls Strength, Dexterity, and Constitution checks, saves, and weapon attacks at disadvantage; overloaded barely shuffles. The engine applies all of it — never narrate a load penalty it does not show. When heavy loot would push the hero over a line, make taking it a real choice: leave it, drop something, or haul it slowly.
 - Magic weapon/armor/shield bonuses are supported from +1 to +3 only. Use "magicBonus": 1, 2, or 3. Weapons apply this to both attack and damage; armor and shields apply it to AC. Do not create +4 or higher equipment unless the user explicitly asks for high-power homebrew.
 - The client owns equipped weapon attack/damage and armor/shield AC math. In combat, identify only each strike's target; the engine supplies the weapon mechanics.
 - When the player puts on, removes, draws, sheathes, swaps, drops from hand, or otherwise changes worn/wielded equipment they still own, emit "equipment_changes": [{ "action": "equip"|"unequip", "type": "armor"|"shield"|"weapon", "name": "<item name if known>" }]. Use this for removing armor so AC updates. Do NOT use items_lost unless the item leaves the player's possession.
@@ -562,7 +617,7 @@ REST & RESOURCES:
   - **Short rest:** Spends hit dice to heal, resets short-rest abilities (Fighter's Second Wind, Action Surge, etc.)
   - **Long rest:** Full HP restore, recovers half hit dice, resets ALL abilities, clears minor conditions
 - The character sheet shows current resources (Second Wind, Action Surge, Channel Divinity, etc.) with uses remaining. Reference these in narration — e.g., "You steel yourself and catch your breath" for Second Wind.
-- **Limited abilities (Second Wind, Action Surge, Channel Divinity, Arcane Recovery) and consumables (potions) are activated by the PLAYER through the game UI**, which rolls any dice and applies the effect. Healing potions are bonus actions in this game, use the same Bonus Action This Turn limit as Second Wind, and do not consume the main action. Do NOT emit "resources_used" or "healing" for these. When a system line appears (e.g. "Second Wind — you recover 8 HP" or "You drink a Potion of Healing *(bonus action)*"), simply weave it into your narration as something the player just did. If the player only *describes* using one in prose and no system line follows, narrate the intent but gently note they can trigger it from their character sheet or inventory so the system applies it. ONE exception: Second Wind explicitly used in an active-combat message is declared as a \`second_wind\` player slot inside that turn's combat_exchange (see COMBAT NOTES) — never met with a "press the button" note; the sheet button remains equally valid.
+- **Limited abilities (Second Wind, Action Surge, Channel Divinity, Arcane Recovery, Lay on Hands, Bardic Inspiration, Divine Sense) and consumables (potions) are activated by the PLAYER through the game UI**, which rolls any dice and applies the effect. Healing potions are bonus actions in this game, use the same Bonus Action This Turn limit as Second Wind, and do not consume the main action. Do NOT emit "resources_used" or "healing" for these. When a system line appears (e.g. "Second Wind — you recover 8 HP" or "You drink a Potion of Healing *(bonus action)*"), simply weave it into your narration as something the player just did. If the player only *describes* using one in prose and no system line follows, narrate the intent but gently note they can trigger it from their character sheet or inventory so the system applies it. ONE exception: Second Wind explicitly used in an active-combat message is declared as a \`second_wind\` player slot inside that turn's combat_exchange (see COMBAT NOTES) — never met with a "press the button" note; the sheet button remains equally valid.
 - **Bonus actions are lightweight but real.** If the prompt says Bonus Action This Turn is used, do not suggest another bonus-action resource this turn. Fighter's Second Wind is a bonus action; the UI tracks and spends it.
 - If a system message says Second Wind was used as a bonus action, weave that recovery into the scene and remember the fighter still has their main action unless the player already declared it.
 - If ACTION SURGE ACTIVE is present, the player has already spent Action Surge in the UI. Honor it on their next declared action; do NOT emit "resources_used" for it.
@@ -572,13 +627,15 @@ PROGRESSION & STATUS EFFECTS:
 - The engine awards combat XP automatically for defeated, surrendered, or fled threats. Use "exp_awarded" only for non-combat objectives and quests; never duplicate combat XP.
 - "exp_awarded" is one-shot: award XP for an accomplishment exactly once, in the response that resolves it — never re-emit XP in a later response that references the same accomplishment.
 - **LEVELING:** The client owns XP thresholds, HP gain, hit dice, feature unlocks, and level-up messages. Do NOT narrate HP or stat changes yourself. Use "level_up": true only for a deliberate story milestone where the character should gain exactly one level regardless of current XP; otherwise award XP normally and let the system decide.
-- **FIGHTER EXTRA ATTACK:** Fighters of level 5+ may declare two targetable strikes inside each Attack slot. The engine rolls and applies both.
+- **EXTRA ATTACK:** Fighters, Rangers, and Paladins of level 5+ may declare two targetable strikes inside each Attack slot. The engine rolls and applies both.
 - **ROGUE CLASS FEATURES (Level 1–5):**
   - **Expertise:** A Rogue's selected expertise skills double their proficiency bonus. The engine applies this bonus automatically to any check/save.
   - **Sneak Attack:** A Rogue automatically adds extra damage (1d6 at L1-2, 2d6 at L3-4, 3d6 at L5+) on weapon attacks using finesse or ranged weapons if they have advantage, or if they have an active companion (adjacent ally) and no disadvantage. The engine automatically rolls and applies this damage—do NOT add it or roll it yourself. Narrate it when you see the Sneak Attack damage in the system results.
   - **Cunning Action:** Rogues of level 2+ can Dash, Disengage, or Hide (Stealth check) as a bonus action, allowing them to declare up to **two slots** in a combat exchange, provided one of them is a Cunning Action ('dash', 'disengage', or a 'stealth' check).
   - **Uncanny Dodge:** Rogues of level 5+ automatically halve the damage from the first hit that lands on them each combat exchange. The engine automatically handles this and sets 'uncannyDodgeApplied: true' in the system event—narrate their evasion/reaction accordingly.
 - Provide "rest_taken" as exactly "short" or "long" when the party rests at a camp, inn, or safe zone.
+- **The engine keeps the calendar.** When the fiction skips time — travel, waiting, a watch, "three days later" — emit "time_passed": { "days": 0, "hours": 0, "minutes": 0, "reason": "the road to Greywater" } ONCE, in the response that skips it. Rests and downtime already move the clock: never add "time_passed" for them. Scene-by-scene minutes need nothing.
+- Out-of-combat harm (a trap's jet of flame, a fall, a poisoned needle) is "damage_taken" with the RAW amount plus "damage_taken_type" naming its damage type ("fire", "bludgeoning", "poison"…) when it has one. The engine halves, doubles, or zeroes it for the hero's resistances, vulnerabilities, and immunities and posts a system line saying so — never pre-adjust the number yourself.
 - Provide "conditions_gained" (e.g. ["Poisoned", "Blinded"]) and "conditions_removed" as string arrays when status effects are applied or cured.
 
 ## ROLL REQUEST — EXAMPLES
@@ -607,7 +664,7 @@ GOOD — DM proposes the roll with public adjudication; narrates the full scene
 const FORMAT_REMINDER = `## FINAL FORMAT REMINDER
 Follow the RESPONSE FORMAT contract above: immersive narrative prose first, then — whenever this turn carries events, requested rolls, or combat intent — exactly one fenced \`\`\`json event block as the very LAST thing in the response. Never narrate mechanics the engine owns, and never leave a required event out of the block.`;
 
-function buildCharacterBlock(character, combat = null) {
+function buildCharacterBlock(character, combat = null, inventory = []) {
     const stats = Object.entries(character.abilityScores)
         .map(([ability, score]) => `${ABILITY_SHORT[ability]}: ${score} (${formatModifier(getModifier(score))})`)
         .join(', ');
@@ -638,7 +695,7 @@ function buildCharacterBlock(character, combat = null) {
     // Class resources status
     let resourceLines = '';
     const classResources = character.classResources || {};
-    const resourceDefs = CLASSES[character.class]?.resources || {};
+    const resourceDefs = getResourceDefinitions(character);
     if (Object.keys(classResources).length > 0) {
         const resList = Object.entries(classResources).map(([key, res]) => {
             const available = res.max - res.used;
@@ -654,18 +711,25 @@ function buildCharacterBlock(character, combat = null) {
     // Hit dice
     const hitDice = character.hitDice;
     const hitDiceLine = hitDice
-        ? `\n- **Hit Dice:** ${hitDice.remaining}/${hitDice.total} d${hitDice.die} (spend on short rest to heal)`
+        ? `\n- **Hit Dice:** ${getHitDicePools(hitDice).map(pool => `${pool.remaining}/${pool.total} d${pool.die}`).join(' + ')} (spend on short rest to heal)`
         : '';
-    const fightingStyle = getFightingStyleLabel(character.class, character.fightingStyle);
+    const fightingStyle = getFightingStyleLabel(getClassLevel(character, 'fighter') > 0 ? 'fighter' : character.class, character.fightingStyle);
     const fightingStyleLine = fightingStyle
         ? `\n- **Fighting Style:** ${fightingStyle} (applied automatically by the system — do NOT add this yourself)`
         : '';
-    const martialArchetype = getMartialArchetypeLabel(character.class, character.level, character.martialArchetype);
+    const martialArchetype = getMartialArchetypeLabel('fighter', getClassLevel(character, 'fighter'), character.martialArchetype);
     const martialArchetypeLine = martialArchetype
         ? `\n- **Martial Archetype:** ${martialArchetype} (applied automatically by the system — do NOT add this yourself)`
         : '';
     const asiLine = character.pendingAbilityScoreImprovements > 0
-        ? `\n- **Pending Ability Score Improvement:** ${character.pendingAbilityScoreImprovements} (player applies this in the character sheet; do NOT change stats yourself)`
+        ? `\n- **Pending Ability Score Improvement:** ${character.pendingAbilityScoreImprovements} (player applies this — or takes a feat instead — in the character sheet; do NOT change stats or grant feats yourself)`
+        : '';
+    const feats = getFeats(character);
+    const featsLine = feats.length > 0
+        ? `\n- **Feats:** ${feats.map(feat => `${feat.name} (${feat.summary})`).join('; ')} (applied automatically by the system — do NOT add this yourself)`
+        : '';
+    const pendingLevelLine = getPendingLevelUps(character) > 0
+        ? `\n- **Pending Level Up:** ${getPendingLevelUps(character)} (player chooses the class in the character sheet; do NOT grant class features yourself)`
         : '';
 
     const expLine = isMaxLevel(character.level)
@@ -685,24 +749,44 @@ function buildCharacterBlock(character, combat = null) {
         : '';
 
     const spellcasting = describeSpellcastingForPrompt(character);
+    const held = character.sustainedSpell;
+    const concentrationLine = held
+        ? `\n- **Concentrating on:** ${held.name || held.key} on ${held.targetType === 'companion' ? (held.targetName || 'a companion') : held.targetType === 'enemy' ? (held.targetName || 'a foe') : 'the hero'} (${describeRoundsLeft(held.remainingRounds)}; ends on a failed CON save after damage, another concentration cast, any rest, or combat's end)`
+        : '';
+    const effectsLine = character.activeEffects?.length
+        ? `\n- **Active effects:** ${describeActiveEffects(character.activeEffects)}`
+        : '';
+    const heroDefenses = describeDamageDefenses(characterDamageDefenses(character, inventory));
+    const load = getEncumbrance(character, inventory);
+    const speed = getHeroSpeed(character, inventory);
+    const speedCauses = [load.speedPenalty > 0 && load.level, speed < load.speed && 'exhaustion'].filter(Boolean);
+    const speedLine = speedCauses.length > 0
+        ? `${speed} ft (${speedCauses.join(', ')}; base ${character.speed} ft)`
+        : `${speed} ft`;
+    const defensesLine = heroDefenses
+        ? `\n- **Damage defenses:** ${heroDefenses} (race, spells, and worn gear; applied automatically by the system)`
+        : '';
+    const downtimeLine = character.downtime
+        ? `\n- **Downtime project:** ${describeDowntimeProject(character.downtime)} (the player spends days on it from the Downtime panel; the engine pays, advances, and finishes it)`
+        : '';
     const spellcastingBlock = spellcasting
-        ? `\n- **SPELLCASTING (engine-owned — only these spells exist mechanically):**\n${spellcasting}${character.sustainedSpell ? `\n- **Sustained spell active:** ${character.sustainedSpell.name || character.sustainedSpell.key} on ${character.sustainedSpell.targetType === 'companion' ? (character.sustainedSpell.targetName || 'a companion') : 'the hero'} (ends on another sustained cast, any rest, or combat's end)` : ''}`
+        ? `\n- **SPELLCASTING (engine-owned — only these spells exist mechanically):**\n${spellcasting}${concentrationLine}${effectsLine}`
         : '';
 
     return `## PLAYER CHARACTER
 - **Name:** ${character.name}${deathStatus}${genderLine}${appearanceLine}${backgroundLine}
-- **Race:** ${character.race}
-- **Class:** ${character.class} (Level ${character.level})
+- **Race:** ${character.race}${character.subrace ? ` (${resolveRace(character.race, character.subrace)?.name || character.subrace})` : ''}
+- **Class:** ${isMulticlassed(character) ? describeClassLevels(character) : character.class} (Level ${character.level})
 - **HP:** ${character.currentHP}/${character.maxHP}
 - **EXP:** ${expLine}
-- **AC:** ${character.armorClass}
+- **AC:** ${character.armorClass}${defensesLine}
 - **Wealth:** ${character.gold || 0} gp | ${character.silver || 0} sp | ${character.copper || 0} cp
 - **Proficiency Bonus:** ${formatModifier(getProficiencyBonus(character.level))}
 - **Stats:** ${stats}
 - **Saving Throws:** ${saves} (* = proficient; applied automatically by the system)
 - **Skill Proficiencies:** ${skillProfs}${character.expertiseSkills?.length ? `\n- **Expertise Skills:** ${character.expertiseSkills.join(', ')} (applied automatically by the system)` : ''}
-- **Speed:** ${character.speed} ft
-- **Conditions:** ${character.conditions?.length ? character.conditions.join(', ') : 'None'}${fightingStyleLine}${martialArchetypeLine}${asiLine}${resourceLines}${bonusActionLine}${hitDiceLine}${spellcastingBlock}
+- **Speed:** ${speedLine}
+- **Conditions:** ${character.conditions?.length ? character.conditions.join(', ') : 'None'}${fightingStyleLine}${martialArchetypeLine}${featsLine}${asiLine}${pendingLevelLine}${downtimeLine}${resourceLines}${bonusActionLine}${hitDiceLine}${spellcastingBlock}
 ${character.traits?.length ? `- **Traits:** ${character.traits.join(', ')}` : ''}
 ${character.features?.length ? `- **Features:** ${character.features.map(f => {
         if (f === 'Fighting Style' && fightingStyle) return `Fighting Style: ${fightingStyle}`;
@@ -763,6 +847,10 @@ function buildInventoryBlock(inventory, character) {
         if (i.quantity > 1) desc += ` (x${i.quantity})`;
         if (i.baseAC && !i.isShield) desc += ` [AC ${i.baseAC + (i.acBonus || 0)}, ${i.armorType || 'unknown'} armor]`;
         if (i.isShield || i.type === 'shield') desc += ` [+${(i.shieldAC || 2) + (i.acBonus || 0)} AC shield]`;
+        if (hasMagicProperties(i)) {
+            const bond = !i.attuned ? 'NOT attuned — inert' : isMagicItemActive(i) ? 'attuned' : 'attuned, works only when equipped';
+            desc += ` [${describeMagicProperties(i).join('; ')} — ${bond}]`;
+        }
         if (i.damage) desc += ` [${i.damage}${i.damageType ? ' ' + i.damageType : ''}${i.attackBonus ? `, +${i.attackBonus} hit` : ''}${i.damageBonus ? `, +${i.damageBonus} dmg` : ''}]`;
         if (Number.isFinite(i.valueCp)) desc += ` [value ${formatCurrency(i.valueCp)}]`;
         if (i.type === 'weapon' && character && !isProficientWithWeapon(character, i)) {
@@ -771,7 +859,12 @@ function buildInventoryBlock(inventory, character) {
         return desc;
     };
 
-    let block = `## INVENTORY`;
+    const load = getEncumbrance(character, inventory);
+    let block = `## INVENTORY\n**Load:** ${describeLoad(load)}`;
+    const attuned = attunedItems(inventory);
+    if (attuned.length > 0 || inventory.some(i => i.requiresAttunement)) {
+        block += `\n**Attuned:** ${attuned.length}/${MAX_ATTUNED_ITEMS}${attuned.length ? ` (${attuned.map(i => i.name).join(', ')})` : ''}`;
+    }
     if (equipped.length) {
         block += `\n**Equipped:** ${equipped.map(formatItem).join(', ')}`;
     }
@@ -796,8 +889,20 @@ function buildInventoryBlock(inventory, character) {
 
 const CARRIED_PROMPT_CAP = 25;
 
+const LOAD_EFFECTS = {
+    unencumbered: 'no penalty',
+    encumbered: '-10 ft speed',
+    'heavily encumbered': '-20 ft speed; disadvantage on STR/DEX/CON checks, saves, and weapon attacks',
+    overloaded: 'OVERLOADED — speed 5 ft; disadvantage on STR/DEX/CON checks, saves, and weapon attacks until something is dropped',
+};
+
+function describeLoad(load) {
+    const pounds = Math.round(load.carried * 10) / 10;
+    return `${pounds}/${load.capacity} lb — ${load.level} (${LOAD_EFFECTS[load.level]}; encumbered past ${load.encumberedAt} lb, heavily past ${load.heavilyEncumberedAt} lb; applied by the system)`;
+}
+
 function isMechanicalItem(i) {
-    return !!(i.damage || i.baseAC || i.isShield || i.type === 'shield' || i.type === 'consumable' || i.magicBonus);
+    return !!(i.damage || i.baseAC || i.isShield || i.type === 'shield' || i.type === 'consumable' || i.magicBonus || i.requiresAttunement);
 }
 
 // Genuinely static (closes over nothing but the app's item catalog data), so
@@ -971,7 +1076,14 @@ function buildCombatBlock(combat, character) {
         const defense = e.defending ? ' | DEFENDING' : '';
         const flanked = flankedIds.has(e.id) ? ' | FLANKED (standing advantage — engine-applied; emit flank_broken only when the fiction ends it)' : '';
         const conditions = e.conditions?.length ? ` | Conditions: ${e.conditions.join(', ')}` : '';
-        return `- **${e.name}** (id: ${e.id}) | HP: ${e.hp}/${e.maxHp} | AC: ${e.ac}${atk}${dmg} | Health: ${e.condition}${conditions}${status}${defense}${flanked}`;
+        const effects = e.activeEffects?.length ? ` | Effects: ${describeActiveEffects(e.activeEffects)}` : '';
+        const range = ` | Range: ${enemyRange(e)}${e.attackRange === 'ranged' ? ' (ranged attacker)' : ''}`;
+        const monster = findMonster(e.monster);
+        const statBlock = monster ? ` | Stat block: ${describeMonsterForPrompt(monster)}` : '';
+        // A stat block already lists its defenses; a hand-authored foe's show here.
+        const enemyDefenses = monster ? '' : describeDamageDefenses(e);
+        const defenses = enemyDefenses ? ` | Defenses: ${enemyDefenses}` : '';
+        return `- **${e.name}** (id: ${e.id}) | HP: ${e.hp}/${e.maxHp} | AC: ${e.ac}${atk}${dmg}${range} | Health: ${e.condition}${conditions}${effects}${status}${defense}${flanked}${defenses}${statBlock}`;
     }).join('\n') || '- No tracked enemies';
 
     const turnList = turnOrder.map((t, i) =>
@@ -986,7 +1098,7 @@ LIVE COMBAT STATE OVERRIDES any contradictory earlier narration, journal entry,
 
 **Enemies:**
 ${enemyList}
-
+${combat.encounter?.grade ? `\n**Encounter:** ${describeEncounterGrade(combat.encounter)}\n` : ''}
 **Turn Order:**
 ${turnList}
 
@@ -402,6 +402,28 @@ describe('inventory block', () => {
         expect(text).toContain('…and 7 more minor items (still owned; full list in the Inventory panel)');
     });
 
+    it('reports the load and the slowed speed once the hero is encumbered', () => {
+        const light = prompt({ inventory: [{ id: 'i1', name: 'Longsword', type: 'weapon', weight: 3, equipped: true }] });
+        expect(light).toContain('**Load:** 3.2/240 lb — unencumbered');
+        expect(light).toContain('- **Speed:** 30 ft\n');
+
+        const heavy = prompt({ inventory: [{ id: 'i1', name: 'Plate Armor', type: 'armor', weight: 65, quantity: 3 }] });
+        expect(heavy).toContain('195.2/240 lb — heavily encumbered');
+        expect(heavy).toContain('- **Speed:** 10 ft (heavily encumbered; base 30 ft)');
+    });
+
+    it('shows magic item properties, their attunement, and the attunement count', () => {
+        const text = prompt({
+            inventory: [
+                { id: 'i1', name: 'Flame Tongue', type: 'weapon', damage: '1d8', damageType: 'slashing', requiresAttunement: true, extraDamage: { dice: '2d6', damageType: 'fire' } },
+                { id: 'i2', name: 'Boots of Elvenkind', type: 'gear', requiresAttunement: true, attuned: true, skillAdvantage: ['stealth'] },
+            ],
+        });
+        expect(text).toContain('**Attuned:** 1/3 (Boots of Elvenkind)');
+        expect(text).toContain('Flame Tongue [+2d6 fire — NOT attuned — inert]');
+        expect(text).toContain('Boots of Elvenkind [advantage on stealth — attuned]');
+    });
+
     it('is omitted when inventory is empty', () => {
         const text = prompt({ inventory: [] });
         expect(text).not.toContain('## INVENTORY');
@@ -561,13 +583,16 @@ describe(`spellcasting prompt contract`, () => {
         expect(text).toContain(`"spell_cast"`);
     });
 
-    it(`shows the active sustained spell and omits the block for non-casters`, () => {
+    it(`shows concentration and timed effects, and omits the block for non-casters`, () => {
         const sustained = makeCharacter({
-            class: `wizard`, level: 1,
-            spellSlots: { 1: { used: 0, max: 2 } },
-            sustainedSpell: { key: `mageArmor`, name: `Mage Armor`, acBonus: 3, targetType: `self` },
+            class: `wizard`, level: 3,
+            spellSlots: { 1: { used: 0, max: 4 }, 2: { used: 1, max: 2 } },
+            sustainedSpell: { key: `invisibility`, name: `Invisibility`, condition: `invisible`, targetType: `self`, remainingRounds: 540 },
+            activeEffects: [{ key: `mageArmor`, name: `Mage Armor`, acBonus: 3, remainingRounds: 4800 }],
         });
-        expect(prompt({ character: sustained })).toContain(`Sustained spell active:`);
+        const text = prompt({ character: sustained });
+        expect(text).toContain(`**Concentrating on:** Invisibility on the hero (54 min left;`);
+        expect(text).toContain(`**Active effects:** Mage Armor (+3 AC, 8 h left)`);
         expect(prompt()).not.toContain(`SPELLCASTING (engine-owned`);
     });
 });
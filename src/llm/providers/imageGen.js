@@ -267,6 +267,23 @@ export function peekCachedImage(cacheKey, { imageApiKey, geminiApiKey } = {}) {
     return IMAGE_CACHE.get(`${preferred}|${cacheKey}`) || null;
 }
 
+/**
+ * Every cached scene render, oldest first: `{ messageId, location, url }`.
+ * Scene keys are input-derived (`scene|<narration message id>|<location>`,
+ * SceneArt), so the chronicle book can place each render in the chapter
+ * that narrated it. One render per message — the latest provider's wins.
+ */
+export function listCachedSceneImages() {
+    const byMessage = new Map();
+    for (const [key, result] of IMAGE_CACHE) {
+        const [, kind, messageId, ...location] = key.split('|');
+        if (kind !== 'scene' || !messageId || messageId === 'no-narration' || !result?.url) continue;
+        byMessage.delete(messageId);
+        byMessage.set(messageId, { messageId, location: location.join('|'), url: result.url });
+    }
+    return [...byMessage.values()];
+}
+
 /**
  * Clear the image cache.
  */
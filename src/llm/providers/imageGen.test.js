@@ -1,5 +1,5 @@
 import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
-import { clearImageCache, generateSceneImageDetailed, generatePortraitImageDetailed, peekCachedImage } from './imageGen.js';
+import { clearImageCache, generateSceneImageDetailed, generatePortraitImageDetailed, listCachedSceneImages, peekCachedImage } from './imageGen.js';
 
 const xaiOk = (b64 = 'dGVzdA==') => ({
     ok: true,
@@ -129,6 +129,16 @@ describe('input-keyed scene cache (2026-08-01 queue P1)', () => {
         expect(peekCachedImage('k10', {})).not.toBeNull();
     });
 
+    it('lists cached scene renders by the message that narrated them', async () => {
+        vi.stubGlobal('fetch', vi.fn());
+        await generateSceneImageDetailed('Scene', '', { cacheKey: 'scene|msg-1|The Salt Quay' });
+        await generateSceneImageDetailed('Hero', '', { cacheKey: 'portrait-key' });
+        await generateSceneImageDetailed('Nothing narrated', '', { cacheKey: 'scene|no-narration|Ghyll' });
+        expect(listCachedSceneImages()).toEqual([
+            { messageId: 'msg-1', location: 'The Salt Quay', url: expect.stringContaining('image.pollinations.ai') },
+        ]);
+    });
+
     it('caps a runaway composed prompt before it rides the POST request body (2026-08-01 queue P2)', async () => {
         const fetchMock = vi.fn().mockResolvedValue(xaiOk());
         vi.stubGlobal('fetch', fetchMock);
@@ -0,0 +1,81 @@
+/**
+ * Local model server provider — Ollama, llama.cpp's `llama-server`, LM Studio
+ * and anything else that serves the OpenAI-compatible `/v1` surface. Unlike
+ * the hosted providers the endpoint is player-configured, so the base URL
+ * rides in with every call and the shared factory resolves
+ * `${baseUrl}/chat/completions` per request. Model discovery reads the same
+ * server's `/models` listing for the Settings picker.
+ */
+import { embedOpenAICompatTexts, makeOpenAICompatProvider } from './openaiCompatible.js';
+
+/** Ollama's default OpenAI-compatible root; llama-server's is :8080/v1. */
+export const DEFAULT_LOCAL_BASE_URL = 'http://localhost:11434/v1';
+
+/**
+ * Bearer token sent when the player leaves the key blank. Local servers ignore
+ * Authorization unless started with an API key (Ollama documents a dummy key
+ * for exactly this), and a non-empty key keeps every existing "is a key set?"
+ * guard working for keyless play.
+ */
+export const LOCAL_PLACEHOLDER_KEY = 'local';
+
+/** Trim a pasted base URL and drop trailing slashes; blank means the default. */
+export function normalizeLocalBaseUrl(baseUrl) {
+    const trimmed = String(baseUrl || '').trim().replace(/\/+$/, '');
+    return trimmed || DEFAULT_LOCAL_BASE_URL;
+}
+
+const { send, stream } = makeOpenAICompatProvider({
+    label: 'Local server',
+    baseUrl: ({ baseUrl }) => `${normalizeLocalBaseUrl(baseUrl)}/chat/completions`,
+});
+
+/** Send a non-streaming message to the local server. */
+export const sendLocalMessage = send;
+
+/** Stream a message from the local server. */
+export const streamLocalMessage = stream;
+
+/**
+ * Batch-embed texts for RAG with the local server's `/embeddings` endpoint
+ * (Ollama natively; llama-server when started with --embeddings). The width is
+ * whatever the model produces, so no `dimensions` field is sent.
+ *
+ * @param {{ baseUrl: string, apiKey: string, model: string }} server
+ * @param {string[]} texts
+ * @returns {Promise<Array<number[]|null>>} Aligned with `texts`; null per failure
+ */
+export function embedLocalTexts({ baseUrl, apiKey, model }, texts) {
+    return embedOpenAICompatTexts({
+        label: 'Local server',
+        url: `${normalizeLocalBaseUrl(baseUrl)}/embeddings`,
+        apiKey: apiKey || LOCAL_PLACEHOLDER_KEY,
+        model,
+        texts,
+        // CPU embedding of a cold campaign's seed batch can be slow.
+        timeoutMs: 120_000,
+    });
+}
+
+/**
+ * List the model ids a local server offers (OpenAI-compatible `GET /models`,
+ * which Ollama, llama-server and LM Studio all implement).
+ *
+ * @param {string} baseUrl - Server root, e.g. http://localhost:11434/v1
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<string[]>} Sorted, de-duplicated model ids
+ */
+export async function listLocalModels(baseUrl, { signal } = {}) {
+    const response = await fetch(`${normalizeLocalBaseUrl(baseUrl)}/models`, { signal });
+    if (!response.ok) {
+        const err = new Error(`Local server error (${response.status}): ${response.statusText || 'model listing failed'}`);
+        err.status = response.status;
+        throw err;
+    }
+    const data = await response.json().catch(() => null);
+    const ids = (Array.isArray(data?.data) ? data.data : [])
+        .map(model => (typeof model?.id === 'string' ? model.id.trim() : ''))
+        .filter(Boolean);
+    return [...new Set(ids)].sort((a, b) => a.localeCompare(b));
+}
@@ -0,0 +1,186 @@
+/**
+ * Local model server provider against a real stub HTTP server speaking the
+ * OpenAI-compatible surface Ollama and llama-server expose: model discovery,
+ * non-streaming completions, SSE streaming, embeddings, and base-URL handling.
+ */
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createServer } from 'node:http';
+import {
+    DEFAULT_LOCAL_BASE_URL,
+    embedLocalTexts,
+    listLocalModels,
+    normalizeLocalBaseUrl,
+    sendLocalMessage,
+    streamLocalMessage,
+} from './local.js';
+
+let server;
+let baseUrl;
+let requests = [];
+let nextReply = null;
+
+function readBody(req) {
+    return new Promise((resolve) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => resolve(body));
+    });
+}
+
+beforeAll(async () => {
+    server = createServer(async (req, res) => {
+        const body = await readBody(req);
+        requests.push({ method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null });
+        if (nextReply) {
+            nextReply(req, res);
+            return;
+        }
+        if (req.url === '/v1/models') {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ object: 'list', data: [{ id: 'qwen2.5:7b' }, { id: 'llama3.1:8b' }, { id: 'qwen2.5:7b' }] }));
+            return;
+        }
+        if (req.url === '/v1/embeddings') {
+            const parsed = JSON.parse(body);
+            // Reversed order with explicit indexes, as some servers reply.
+            const data = parsed.input.map((text, index) => ({ index, embedding: [text.length, 1] })).reverse();
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ object: 'list', data }));
+            return;
+        }
+        if (req.url === '/v1/chat/completions') {
+            const parsed = JSON.parse(body);
+            if (parsed.stream) {
+                res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+                res.write('data: {"choices":[{"delta":{"content":"The door "}}]}\n\n');
+                res.write('data: {"choices":[{"delta":{"content":"creaks open."}}]}\n\n');
+                res.write('data: {"choices":[{"delta":{},"finish_reason":"stop"}]}\n\n');
+                res.end('data: [DONE]\n\n');
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ choices: [{ finish_reason: 'stop', message: { content: `Echo from ${parsed.model}` } }] }));
+            return;
+        }
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: { message: 'not found' } }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+});
+
+afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+    requests = [];
+    nextReply = null;
+});
+
+const SEND_ARGS = {
+    apiKey: 'local',
+    model: 'llama3.1:8b',
+    systemPrompt: 'You are the DM.',
+    messageHistory: [{ role: 'assistant', content: 'You stand at a door.' }],
+    userMessage: 'I open the door.',
+};
+
+describe('normalizeLocalBaseUrl', () => {
+    it('trims whitespace and trailing slashes', () => {
+        expect(normalizeLocalBaseUrl('  http://box:8080/v1/  ')).toBe('http://box:8080/v1');
+    });
+
+    it('falls back to the Ollama default when blank', () => {
+        expect(normalizeLocalBaseUrl('')).toBe(DEFAULT_LOCAL_BASE_URL);
+        expect(normalizeLocalBaseUrl(undefined)).toBe(DEFAULT_LOCAL_BASE_URL);
+    });
+});
+
+describe('listLocalModels', () => {
+    it('returns the sorted, de-duplicated model ids from /models', async () => {
+        expect(await listLocalModels(`${baseUrl}/`)).toEqual(['llama3.1:8b', 'qwen2.5:7b']);
+        expect(requests[0]).toMatchObject({ method: 'GET', url: '/v1/models' });
+    });
+
+    it('surfaces the HTTP status when the server refuses', async () => {
+        nextReply = (_req, res) => { res.writeHead(503); res.end(); };
+        await expect(listLocalModels(baseUrl)).rejects.toMatchObject({ status: 503 });
+    });
+});
+
+describe('sendLocalMessage', () => {
+    it('posts an OpenAI-shaped completion to the configured server', async () => {
+        const text = await sendLocalMessage({ ...SEND_ARGS, baseUrl, temperature: 0.2 });
+
+        expect(text).toBe('Echo from llama3.1:8b');
+        const [request] = requests;
+        expect(request.url).toBe('/v1/chat/completions');
+        expect(request.headers.authorization).toBe('Bearer local');
+        expect(request.body.messages).toEqual([
+            { role: 'system', content: 'You are the DM.' },
+            { role: 'assistant', content: 'You stand at a door.' },
+            { role: 'user', content: 'I open the door.' },
+        ]);
+        expect(request.body.temperature).toBe(0.2);
+        expect(request.body.max_tokens).toBe(16384);
+    });
+
+    it('carries the status on server errors so the adapter can retry', async () => {
+        nextReply = (_req, res) => {
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: { message: 'model failed to load' } }));
+        };
+        await expect(sendLocalMessage({ ...SEND_ARGS, baseUrl })).rejects.toMatchObject({
+            status: 500,
+            message: expect.stringContaining('Local server API error (500): model failed to load'),
+        });
+    });
+});
+
+describe('streamLocalMessage', () => {
+    it('streams SSE deltas and returns the full text', async () => {
+        const chunks = [];
+        const text = await streamLocalMessage({ ...SEND_ARGS, baseUrl, onChunk: chunk => chunks.push(chunk) });
+
+        expect(text).toBe('The door creaks open.');
+        expect(chunks).toEqual(['The door ', 'creaks open.']);
+        expect(requests[0].body.stream).toBe(true);
+    });
+
+    it('rejects a stream the server closed without a finish_reason', async () => {
+        nextReply = (_req, res) => {
+            res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+            res.end('data: {"choices":[{"delta":{"content":"The door"}}]}\n\n');
+        };
+        await expect(streamLocalMessage({ ...SEND_ARGS, baseUrl, onChunk: () => {} }))
+            .rejects.toThrow('connection dropped');
+    });
+});
+
+describe('embedLocalTexts', () => {
+    const server = () => ({ baseUrl, apiKey: '', model: 'nomic-embed-text' });
+
+    it('embeds non-empty texts and aligns results by index', async () => {
+        const vectors = await embedLocalTexts(server(), ['abc', '  ', 'hello']);
+
+        expect(vectors).toEqual([[3, 1], null, [5, 1]]);
+        const [request] = requests;
+        expect(request.url).toBe('/v1/embeddings');
+        expect(request.headers.authorization).toBe('Bearer local');
+        expect(request.body).toEqual({ model: 'nomic-embed-text', input: ['abc', 'hello'] });
+    });
+
+    it('returns nulls instead of throwing when the server refuses', async () => {
+        nextReply = (_req, res) => { res.writeHead(404); res.end('model not found'); };
+        const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+        expect(await embedLocalTexts(server(), ['abc'])).toEqual([null]);
+        errorSpy.mockRestore();
+    });
+
+    it('makes no request without a model', async () => {
+        expect(await embedLocalTexts({ baseUrl, model: '' }, ['abc'])).toEqual([null]);
+        expect(requests).toHaveLength(0);
+    });
+});
@@ -3,7 +3,7 @@
  * Thin instantiation of the shared OpenAI-compatible provider factory —
  * the request/stream/error behavior lives in openaiCompatible.js.
  */
-import { makeOpenAICompatProvider } from './openaiCompatible.js';
+import { embedOpenAICompatTexts, makeOpenAICompatProvider } from './openaiCompatible.js';
 
 const { send, stream } = makeOpenAICompatProvider({
     label: 'OpenAI',
@@ -17,3 +17,20 @@ export const sendOpenAIMessage = send;
 
 /** Stream a message from OpenAI. */
 export const streamOpenAIMessage = stream;
+
+const OPENAI_EMBED_MODEL = 'text-embedding-3-small';
+// 768 matches the Gemini cache width; text-embedding-3 truncates natively.
+export const OPENAI_EMBED_DIMENSIONS = 768;
+export const OPENAI_EMBED_SCHEMA = `openai:${OPENAI_EMBED_MODEL}:${OPENAI_EMBED_DIMENSIONS}`;
+
+/** Batch-embed texts for RAG with OpenAI's embeddings endpoint (aligned; null per failure). */
+export function embedOpenAITexts(apiKey, texts) {
+    return embedOpenAICompatTexts({
+        label: 'OpenAI',
+        url: 'https://api.openai.com/v1/embeddings',
+        apiKey,
+        model: OPENAI_EMBED_MODEL,
+        texts,
+        dimensions: OPENAI_EMBED_DIMENSIONS,
+    });
+}
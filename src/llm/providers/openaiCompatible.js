@@ -47,7 +47,9 @@ function formatMessages(systemPrompt, messageHistory, userMessage) {
  *
  * @param {object} options
  * @param {string} options.label - Human-readable provider name for error messages.
- * @param {string} options.baseUrl - Full chat-completions endpoint URL.
+ * @param {string|function} options.baseUrl - Full chat-completions endpoint URL,
+ *   or a function of the per-call options returning one (the local provider's
+ *   endpoint is player-configured, so it arrives with each call).
  * @param {function} [options.mapApiKey] - Optional key normalizer applied before the
  *   Authorization header (e.g. xAI's mandatory `xai-` prefix repair).
  * @param {string} [options.maxTokensParam] - Wire name of the output-cap field.
@@ -57,6 +59,8 @@ function formatMessages(systemPrompt, messageHistory, userMessage) {
  * @returns {{ send: function, stream: function }}
  */
 export function makeOpenAICompatProvider({ label, baseUrl, mapApiKey = (key) => key, maxTokensParam = 'max_tokens' }) {
+    const resolveUrl = typeof baseUrl === 'function' ? baseUrl : () => baseUrl;
+
     async function httpError(response) {
         const error = await response.json().catch(() => ({}));
         // The string fallback covers xAI's occasional string-shaped error bodies
@@ -68,8 +72,9 @@ export function makeOpenAICompatProvider({ label, baseUrl, mapApiKey = (key) =>
     }
 
     /** Send a non-streaming message. (thinkingBudget is Gemini-only; ignored here.) */
-    async function send({ apiKey, model, systemPrompt, messageHistory, userMessage, temperature, maxOutputTokens, signal }) {
-        const response = await fetch(baseUrl, {
+    async function send(options) {
+        const { apiKey, model, systemPrompt, messageHistory, userMessage, temperature, maxOutputTokens, signal } = options;
+        const response = await fetch(resolveUrl(options), {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
@@ -98,8 +103,9 @@ export function makeOpenAICompatProvider({ label, baseUrl, mapApiKey = (key) =>
     }
 
     /** Stream a message, calling onChunk with each text fragment. */
-    async function stream({ apiKey, model, systemPrompt, messageHistory, userMessage, onChunk, signal, temperature }) {
-        const response = await fetch(baseUrl, {
+    async function stream(options) {
+        const { apiKey, model, systemPrompt, messageHistory, userMessage, onChunk, signal, temperature } = options;
+        const response = await fetch(resolveUrl(options), {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
@@ -167,3 +173,75 @@ export function makeOpenAICompatProvider({ label, baseUrl, mapApiKey = (key) =>
 
     return { send, stream };
 }
+
+/** Inputs per `/embeddings` request — well under every compatible server's cap. */
+const EMBED_BATCH_LIMIT = 100;
+
+/**
+ * Embed texts through an OpenAI-compatible `/embeddings` endpoint (OpenAI
+ * itself, Ollama, llama-server --embeddings, LM Studio). Mirrors the Gemini
+ * embedder's failure contract: returns an array aligned with `texts` —
+ * number[] per success, null per empty/failed slot — and never throws, so the
+ * RAG callers skip failed items and the next seed retries them.
+ *
+ * @param {object} options
+ * @param {string} options.label - Provider name for log lines.
+ * @param {string} options.url - Full embeddings endpoint URL.
+ * @param {string} options.apiKey
+ * @param {string} options.model
+ * @param {string[]} options.texts
+ * @param {number} [options.dimensions] - Requested output width (OpenAI's
+ *   text-embedding-3 models truncate natively); omitted for servers that
+ *   reject the field.
+ * @param {number} [options.timeoutMs]
+ * @returns {Promise<Array<number[]|null>>}
+ */
+export async function embedOpenAICompatTexts({ label, url, apiKey, model, texts, dimensions, timeoutMs = 60_000 }) {
+    const list = Array.isArray(texts) ? texts : [];
+    const results = new Array(list.length).fill(null);
+    if (!model || list.length === 0) return results;
+    const sendable = [];
+    list.forEach((text, index) => {
+        if (String(text || '').trim()) sendable.push({ index, text: String(text).trim() });
+    });
+
+    for (let start = 0; start < sendable.length; start += EMBED_BATCH_LIMIT) {
+        const chunk = sendable.slice(start, start + EMBED_BATCH_LIMIT);
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${apiKey}`,
+                },
+                body: JSON.stringify({
+                    model,
+                    input: chunk.map(({ text }) => text),
+                    ...(Number.isFinite(dimensions) && { dimensions }),
+                }),
+                // Retrieval is awaited before the DM prompt is built — a stalled
+                // embed must fail into nulls, never hang the turn.
+                signal: AbortSignal.timeout(timeoutMs),
+            });
+            if (!response.ok) {
+                const body = await response.text().catch(() => '');
+                console.error(`[${label} embed] HTTP ${response.status} ${response.statusText} from ${model}:`, body.slice(0, 500));
+                continue;
+            }
+            const data = await response.json();
+            const rows = Array.isArray(data?.data) ? data.data : [];
+            rows.forEach((row, position) => {
+                // `index` is the spec's alignment key; fall back to response order.
+                const j = Number.isInteger(row?.index) ? row.index : position;
+                const values = row?.embedding;
+                if (!chunk[j] || !Array.isArray(values) || values.length === 0) return;
+                if (Number.isFinite(dimensions) && values.length !== dimensions) return;
+                if (!values.every(Number.isFinite)) return;
+                results[chunk[j].index] = values;
+            });
+        } catch (err) {
+            console.error(`[${label} embed] Request failed:`, err);
+        }
+    }
+    return results;
+}
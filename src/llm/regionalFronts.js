@@ -15,6 +15,7 @@
  * off a one-shot session marker, complete-or-nothing validated install.
  */
 import { sendMessage } from './adapter.js';
+import { getDmConfig, isDmReady } from './machinery.js';
 import { cleanText, parseDirectorJson } from './directorUtils.js';
 import { sanitizeAftermathProposals } from './frontAftermath.js';
 import { CAMPAIGN_PREMISE_MAX_LENGTH } from '../config/contentLimits.js';
@@ -62,7 +63,7 @@ function compactMessage(message) {
 export function shouldGenerateRegionalFronts(state) {
     return !!(state?.session?.pendingRegionalFronts
         && state.session?.id
-        && state.settings?.apiKey
+        && isDmReady(state.settings)
         && !state.combat?.active);
 }
 
@@ -114,9 +115,7 @@ export async function generateRegionalFronts(state) {
         throw new Error('No new region is awaiting front seeding.');
     }
     const response = await sendMessage({
-        provider: state.settings.llmProvider,
-        apiKey: state.settings.apiKey,
-        model: state.settings.model,
+        ...getDmConfig(state.settings),
         systemPrompt: REGIONAL_FRONTS_PROMPT,
         messageHistory: [],
         userMessage: JSON.stringify(buildRegionalFrontsContext(state)),
@@ -65,6 +65,12 @@ describe('shouldGenerateRegionalFronts', () => {
         expect(shouldGenerateRegionalFronts({ ...state, combat: { active: true } })).toBe(false);
         expect(shouldGenerateRegionalFronts(null)).toBe(false);
     });
+
+    it('runs on a keyless local server once a model is chosen', () => {
+        const state = baseState();
+        expect(shouldGenerateRegionalFronts({ ...state, settings: { llmProvider: 'local', apiKey: '', model: 'qwen3:14b' } })).toBe(true);
+        expect(shouldGenerateRegionalFronts({ ...state, settings: { llmProvider: 'local', apiKey: '', model: '' } })).toBe(false);
+    });
 });
 
 describe('buildRegionalFrontsContext', () => {
@@ -351,6 +351,40 @@ describe('combat_start validation', () => {
         }));
         expect(events.combatStart.enemies[0].conditions).toEqual(['prone']);
     });
+
+    it('keeps a declared range band and ranged attack style', () => {
+        const { events } = parseResponse(fence({
+            combat_start: {
+                enemies: [
+                    { name: 'Archer', hp: 9, range: 'far', attack_range: 'ranged' },
+                    { name: 'Wolf', hp: 11, range: 'somewhere' },
+                ],
+            },
+        }));
+        const [archer, wolf] = events.combatStart.enemies;
+        expect(archer).toMatchObject({ range: 'far', attackRange: 'ranged' });
+        expect(wolf.range).toBeUndefined();
+        expect(wolf.attackRange).toBeUndefined();
+    });
+
+    it('spawns catalog monsters by key with the stat block\'s numbers, not the DM\'s', () => {
+        const { events } = parseResponse(fence({
+            combat_start: {
+                enemies: [
+                    { monster: 'ghoul', count: 3, hp: 500, attack_bonus: 12, range: 'far' },
+                    { monster: 'Bandit Captain', name: 'Red Vask' },
+                    { monster: 'beholder' },
+                ],
+            },
+        }));
+        const enemies = events.combatStart.enemies;
+        expect(enemies.map(enemy => enemy.name)).toEqual(['Ghoul 1', 'Ghoul 2', 'Ghoul 3', 'Red Vask']);
+        expect(enemies.map(enemy => enemy.id)).toEqual(['enemy-ghoul-1', 'enemy-ghoul-2', 'enemy-ghoul-3', 'enemy-red-vask']);
+        expect(enemies[0]).toMatchObject({
+            monster: 'ghoul', hp: 22, ac: 12, attackBonus: 4, damage: '2d4+2', damageType: 'slashing', saveBonus: 2, isUndead: true, range: 'far',
+        });
+        expect(enemies[3]).toMatchObject({ monster: 'banditCaptain', hp: 65, ac: 15 });
+    });
 });
 
 describe('combat_exchange validation', () => {
@@ -647,6 +681,13 @@ describe('applyEvents dispatch coverage', () => {
         expect(dispatch).toHaveBeenCalledWith({ type: 'HEAL', payload: 3 });
     });
 
+    it('sends a typed TAKE_DAMAGE payload when damage_taken_type names a known type', () => {
+        expect(run({ damage_taken: 6, damage_taken_type: 'Fire' }))
+            .toHaveBeenCalledWith({ type: 'TAKE_DAMAGE', payload: { amount: 6, damageType: 'fire' } });
+        expect(run({ damage_taken: 6, damage_taken_type: 'hellfire' }))
+            .toHaveBeenCalledWith({ type: 'TAKE_DAMAGE', payload: 6 });
+    });
+
     it('suppresses loose healing emitted alongside rest_taken — the rest owns recovery', () => {
         const dispatch = run({ healing: 7, rest_taken: 'short' });
         expect(dispatch).not.toHaveBeenCalledWith(expect.objectContaining({ type: 'HEAL' }));
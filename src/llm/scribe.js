@@ -18,7 +18,7 @@ import { captureReflection, captureScribePass } from '../debug/memoryInspectorSt
 import { computeRecentHeat, normalizePaceDial, TEMPO_TIMING_DIE_SIDES } from '../engine/worldTempo.js';
 import { conversationalDistance } from '../engine/replayLedger.js';
 import { containment, tokenSet } from '../engine/textMatch.js';
-import { getKnownSpells, isSpellcaster, resolveSpellForCharacter } from '../engine/spellcasting.js';
+import { getKnownSpells, isCharacterSpellcaster, resolveSpellForCharacter } from '../engine/spellcasting.js';
 import { rollDie } from '../engine/dice.ts';
 import { CHARACTER_APPEARANCE_MAX, MAX_COIN_EVENT, NPC_DOSSIER_FIELD_MAX } from '../config/contentLimits.js';
 
@@ -502,7 +502,7 @@ function reconcileNarratedCasts(narrated, lootAudit, dispatch) {
     if (!sourceId) return;
     const state = getState?.();
     const character = state?.character;
-    if (state?.combat?.active || !isSpellcaster(character?.class)) return;
+    if (state?.combat?.active || !isCharacterSpellcaster(character)) return;
     const appliedKeys = new Set((appliedEvents?.spellCasts || [])
         .map(cast => resolveSpellForCharacter(character, cast?.spell)?.key)
         .filter(Boolean));
@@ -772,7 +772,7 @@ export async function runScribe({ playerMessage, dmNarrative, settings, dispatch
     // victory narration recaps in-fight casts and mid-combat casting is exchange
     // territory, so neither may reach CAST_SPELL through this path.
     const castAudit = !!(lootAudit?.auditCasts && auditState
-        && isSpellcaster(auditState.character?.class) && !auditState.combat?.active);
+        && isCharacterSpellcaster(auditState.character) && !auditState.combat?.active);
     const knownSpells = castAudit
         ? getKnownSpells(auditState.character).map(spell => spell.name).join('; ')
         : null;
@@ -22,6 +22,8 @@
  * - clearStreamingDisplay(): drop any streamed text (and scheduled paints).
  * - setLoading(bool) / onStatus(label): the component's isLoading/status UI.
  * - resetRoleplayChallengeUi(): clear the challenge textarea state.
+ * - onTurnHistoryChange({ undoCount, redoCount, lastPlayerMessage }): the
+ *   undo/redo stacks changed (state/turnHistory.js).
  */
 
 import { buildSystemPrompt } from './promptBuilder.js';
@@ -32,13 +34,16 @@ import { playerAuthorityRollCorrectionPrompt, reviewOutsideCombatRolls } from '.
 import { maybeAutoSummarize } from '../engine/worldJournal.js';
 import { buildKnownAppearances, buildKnownLocations, buildKnownStances, runScribe } from './scribe.js';
 import { TABLE_TALK_RESPONSE_MODE } from './tableTalk.js';
-import { addMemory, retrieveRelevant } from '../engine/vectorMemory.js';
-import { getMachineryGeminiKey } from './machinery.js';
+import { addMemory, forgetMemoriesSince, restoreMemories, retrieveRelevant } from '../engine/vectorMemory.js';
+import { getDmConfig, isDmReady } from './machinery.js';
+import { getEmbedder } from './embeddings.js';
 import { curateStoryMemory, formatSecrecyTag } from '../engine/storyMemory.js';
 import { captureInjection } from '../debug/memoryInspectorStore.js';
 import { buildMessageWindow, deriveSetupVisibility, dropOrphanCombatExchange } from '../components/Chat/turnVisibility.js';
 import { buildNudgePrompt, detectMissingEventsCue, extractNudgeEventFields } from '../components/Chat/missingEventsNudge.js';
 import { buildRollRulingRecord, buildRoleplayChallengePrompt, buildRoleplayCheckProposal, pruneRecentRulings } from '../engine/roleplayCheck.js';
+import { isSurvivalEnabled } from '../engine/survival.js';
+import { createTurnHistory } from '../state/turnHistory.js';
 
 /** How many recent (un-summarized) messages to send as LLM history. */
 export const MESSAGE_WINDOW = 20;
@@ -57,24 +62,37 @@ export function createTurnRunner({
     setLoading = noop,
     onStatus = noop,
     resetRoleplayChallengeUi = noop,
+    onTurnHistoryChange = noop,
 }) {
     let lastSummarizedIndex = getState()?.session?.prunedMessageCount || 0;
     let summarizeInFlight = false; // One summarize pass at a time — overlapping runs would double-journal the same range
 
+    // Undo/redo: every restore bumps the epoch, and the background passes a
+    // turn left running (Scribe, auto-summarize) dispatch through
+    // epochDispatch — their results belong to a timeline that no longer
+    // exists, so they are dropped instead of landing on the restored state.
+    const turnHistory = createTurnHistory();
+    let turnEpoch = 0;
+    const epochDispatch = () => {
+        const epoch = turnEpoch;
+        return (action) => { if (epoch === turnEpoch) dispatch(action); };
+    };
+
     const runAutoSummarize = async () => {
         if (summarizeInFlight) return;
         summarizeInFlight = true;
+        const epoch = turnEpoch;
         try {
-            const result = await maybeAutoSummarize(getState(), dispatch, lastSummarizedIndex);
+            const result = await maybeAutoSummarize(getState(), epochDispatch(), lastSummarizedIndex);
+            if (epoch !== turnEpoch) return;
             lastSummarizedIndex = result.index;
-            const machineryKey = getMachineryGeminiKey(getState().settings);
-            if (result.journalEntry && machineryKey) {
+            if (result.journalEntry) {
                 // Bare summary, location as metadata — the EXACT text the mount
                 // seed builds. The old "[Location: X] summary" prefix never
                 // matched the seed's bare text, so every journal entry was
                 // re-embedded (and duplicated in retrieval) on each reload
                 // (live playtest #10, 2026-08-22: 40 re-embeds on Continue).
-                await addMemory(machineryKey, result.journalEntry.summary, 'journal', result.journalEntry.location).catch(() => {});
+                await addMemory(getEmbedder(getState().settings), result.journalEntry.summary, 'journal', result.journalEntry.location).catch(() => {});
             }
         } catch (e) {
             console.error('[Journal RAG Seeding] Failed:', e);
@@ -114,6 +132,11 @@ export function createTurnRunner({
             premise: s.session?.premise,
             regionalHearsay: s.session?.regionalHearsay || null,
             absenceDrift: s.session?.absenceDrift || null,
+            merchants: s.merchants || [],
+            locations: s.locations || [],
+            calendar: s.calendar || null,
+            journey: s.journey || null,
+            survival: isSurvivalEnabled(s),
             recentRulings: pruneRecentRulings(s.recentRulings, {
                 messageCount: (s.messages || []).length,
                 location: s.currentLocation,
@@ -156,8 +179,8 @@ export function createTurnRunner({
         lastCommittedTurn = null;
         const s = getState();
 
-        // RAG: retrieve memories relevant to the current scene (machinery key —
-        // embeddings are Gemini-only regardless of the DM provider).
+        // RAG: retrieve memories relevant to the current scene (the campaign's
+        // embedder — Gemini, an OpenAI-compatible endpoint, or offline vectors).
         // Include location and combat context for better retrieval relevance.
         // Combat-intent translation skips ALL of this (2026-08-06 P1): the call is
         // JSON-only — the DM translates a committed action into a bounded
@@ -165,30 +188,23 @@ export function createTurnRunner({
         // callbacks are dead weight in its prompt, the blocking query-embed
         // round-trip delays every combat turn, and the captureInjection would
         // clobber the Memory Inspector's last real (narrative-turn) capture.
-        const machineryKey = getMachineryGeminiKey(s.settings);
+        const embedder = getEmbedder(s.settings);
         const wantsMemories = !!originalPlayerMessage && !opts.combatIntentOnly;
         let retrievedMemories = [];
         let dramaticMemories = [];
-        if (wantsMemories && machineryKey) {
+        if (wantsMemories) {
             const sceneContext = [
                 originalPlayerMessage,
                 s.currentLocation && `Location: ${s.currentLocation}`,
                 s.combat?.active && `In combat with: ${s.combat.enemies.map(e => e.name).join(', ')}`,
             ].filter(Boolean).join('. ');
-            retrievedMemories = await retrieveRelevant(machineryKey, sceneContext).catch(() => []);
+            retrievedMemories = await retrieveRelevant(embedder, sceneContext).catch(() => []);
             dramaticMemories = curateStoryMemory({
                 memories: s.storyMemory || [],
                 query: sceneContext,
                 location: s.currentLocation || '',
                 npcs: s.npcs || [],
             });
-        } else if (wantsMemories) {
-            dramaticMemories = curateStoryMemory({
-                memories: s.storyMemory || [],
-                query: originalPlayerMessage,
-                location: s.currentLocation || '',
-                npcs: s.npcs || [],
-            });
         }
         if (wantsMemories) {
             // Scores/similarities are dropped once the prompt string is built —
@@ -220,9 +236,7 @@ Translate the player's committed action into the single bounded combat_exchange
         let firstChunkAt = null;
 
         const fullResponse = await streamMessage({
-            provider: s.settings.llmProvider,
-            apiKey: s.settings.apiKey,
-            model: s.settings.model,
+            ...getDmConfig(s.settings),
             systemPrompt,
             messageHistory,
             userMessage,
@@ -272,7 +286,7 @@ Translate the player's committed action into the single bounded combat_exchange
         }
 
         // If no JSON events/rolls were detected, check if we should run the Scribe to semantically detect any requested rolls in text
-        if (!opts.narrationOnly && !opts.tableTalk && (!events || !events.requestedRolls?.length) && originalPlayerMessage && !s.combat?.active && s.settings.apiKey) {
+        if (!opts.narrationOnly && !opts.tableTalk && (!events || !events.requestedRolls?.length) && originalPlayerMessage && !s.combat?.active && isDmReady(s.settings)) {
             const semanticRolls = await detectSemanticTextRolls(narrative, s.settings);
             if (semanticRolls && semanticRolls.length > 0) {
                 console.warn('[ChatPanel] Scribe detected text-based rolls semantically:', semanticRolls);
@@ -363,18 +377,22 @@ Translate the player's committed action into the single bounded combat_exchange
             if (events.location && !s.combat?.active && !events.combatExchange) {
                 dispatch({ type: 'SET_LOCATION', payload: events.location });
             }
+            // After SET_LOCATION so a shop named on arrival is registered where it stands.
+            if (events.merchant && !s.combat?.active && !events.combatExchange) {
+                dispatch({ type: 'REGISTER_MERCHANT', payload: events.merchant });
+            }
         }
 
         // RAG: embed any new world facts the DM emitted this turn (per response).
         // The per-turn Scribe + narrative embedding run once in handleSend on the FINAL
         // narrated outcome, so they capture results rather than withheld setup text.
         // Skip on a setup turn (pending rolls) — those facts ride on the outcome narration.
-        if (!setupPhase && !s.combat?.active && events?.worldFacts?.length > 0 && machineryKey) {
+        if (!setupPhase && !s.combat?.active && events?.worldFacts?.length > 0) {
             for (const f of events.worldFacts) {
                 // Same secrecy-tagged text the mount seed builds — an untagged
                 // live embed of a secret fact was a mismatched duplicate row
                 // (and leaked the canon without its knower boundary) on reload.
-                addMemory(machineryKey, `${formatSecrecyTag(f.knownBy)}${f.fact}`, f.category || 'world_fact', events?.location || s.currentLocation).catch(() => {});
+                addMemory(embedder, `${formatSecrecyTag(f.knownBy)}${f.fact}`, f.category || 'world_fact', events?.location || s.currentLocation).catch(() => {});
             }
         }
 
@@ -406,9 +424,7 @@ Translate the player's committed action into the single bounded combat_exchange
         try {
             const s = getState();
             const response = await sendMessage({
-                provider: s.settings.llmProvider,
-                apiKey: s.settings.apiKey,
-                model: s.settings.model,
+                ...getDmConfig(s.settings),
                 systemPrompt: buildCurrentSystemPrompt([], []),
                 messageHistory: buildMessageHistory(),
                 userMessage: buildNudgePrompt(cue, narrative),
@@ -464,7 +480,7 @@ Translate the player's committed action into the single bounded combat_exchange
             playerMessage,
             dmNarrative: finalNarration.content,
             settings: latest.settings,
-            dispatch,
+            dispatch: epochDispatch(),
             knownAppearances: buildKnownAppearances(latest, playerMessage, finalNarration.content),
             knownStances: buildKnownStances(latest, playerMessage, finalNarration.content),
             knownLocations: buildKnownLocations(latest),
@@ -486,14 +502,11 @@ Translate the player's committed action into the single bounded combat_exchange
                 auditCasts,
             } : null,
         }).catch(() => {});
-        const machineryKey = getMachineryGeminiKey(latest.settings);
-        if (machineryKey) {
-            const loc = latest.currentLocation;
-            const narrativeText = loc
-                ? `[Location: ${loc}] ${finalNarration.content.slice(0, 500)}`
-                : finalNarration.content.slice(0, 500);
-            addMemory(machineryKey, narrativeText, 'narrative', loc).catch(() => {});
-        }
+        const loc = latest.currentLocation;
+        const narrativeText = loc
+            ? `[Location: ${loc}] ${finalNarration.content.slice(0, 500)}`
+            : finalNarration.content.slice(0, 500);
+        addMemory(getEmbedder(latest.settings), narrativeText, 'narrative', loc).catch(() => {});
         return true;
     };
 
@@ -637,6 +650,57 @@ Translate the player's committed action into the single bounded combat_exchange
         resetRoleplayChallengeUi();
     };
 
+    const notifyTurnHistory = () => onTurnHistoryChange(turnHistory.describe());
+
+    /**
+     * Capture the state before a player turn — called by the send flow before
+     * the player's message is dispatched, so an undo removes the message, the
+     * DM's reply and everything applyEvents did with it.
+     */
+    const beginTurn = (playerMessage) => {
+        turnHistory.capture(getState(), { playerMessage });
+        notifyTurnHistory();
+    };
+
+    const restoreTurnState = (state) => {
+        turnEpoch += 1;
+        dispatch({ type: 'RESTORE_TURN', payload: state });
+        lastSummarizedIndex = state.session?.prunedMessageCount || 0;
+        notifyTurnHistory();
+    };
+
+    /**
+     * Undo the last player turn: restore the state captured before it and take
+     * back the RAG rows it stored. Returns the undone entry (its playerMessage
+     * is what Regenerate re-sends), or null when there is nothing to undo.
+     */
+    const undoTurn = () => {
+        const live = getState();
+        const entry = turnHistory.undo(live);
+        if (!entry) {
+            notifyTurnHistory();
+            return null;
+        }
+        const memories = forgetMemoriesSince(entry.takenAt);
+        turnHistory.pushRedo({ state: live, playerMessage: entry.playerMessage, takenAt: entry.takenAt, memories });
+        restoreTurnState(entry.state);
+        return entry;
+    };
+
+    /** Redo the last undone turn, memories included. Returns its entry or null. */
+    const redoTurn = () => {
+        const live = getState();
+        const entry = turnHistory.redo(live);
+        if (!entry) {
+            notifyTurnHistory();
+            return null;
+        }
+        turnHistory.pushUndo({ state: live, playerMessage: entry.playerMessage, takenAt: entry.takenAt, memories: [] });
+        restoreMemories(entry.memories);
+        restoreTurnState(entry.state);
+        return entry;
+    };
+
     // recoverMissingEvents stays internal (sendToLLM's nudge path is its only
     // caller); it was exposed here for a while with zero external callers.
     return {
@@ -649,5 +713,8 @@ Translate the player's committed action into the single bounded combat_exchange
         acceptRoleplayCheck,
         challengeRoleplayCheck,
         changeRoleplayApproach,
+        beginTurn,
+        undoTurn,
+        redoTurn,
     };
 }
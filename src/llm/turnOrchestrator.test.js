@@ -26,7 +26,7 @@ function scriptedStream(responses) {
     });
 }
 
-function createHarness({ streamMessage, sendMessage, isMounted, interceptDispatch, character } = {}) {
+function createHarness({ streamMessage, sendMessage, isMounted, interceptDispatch, character, onTurnHistoryChange } = {}) {
     let state = {
         ...initialGameState,
         character: character || createCharacter('Testa', 'human', 'fighter', ABILITY_SCORES, ['athletics']),
@@ -45,8 +45,9 @@ function createHarness({ streamMessage, sendMessage, isMounted, interceptDispatc
         streamMessage: streamMessage || vi.fn(async () => ''),
         sendMessage: sendMessage || vi.fn(async () => ''),
         ...(isMounted && { isMounted }),
+        ...(onTurnHistoryChange && { onTurnHistoryChange }),
     });
-    return { runner, getState: () => state, dispatched };
+    return { runner, getState: () => state, dispatch, dispatched };
 }
 
 describe('turn runner — plain narrative turn', () => {
@@ -451,7 +452,7 @@ describe('turn runner — pre-fight spell_cast alongside combat_start (Codex 202
         await runner.sendToLLM('I cast Mage Armor and brace as the wisps attack.', 'I cast Mage Armor and brace as the wisps attack.');
 
         const after = getState();
-        expect(after.character.sustainedSpell?.key).toBe('mageArmor');
+        expect(after.character.activeEffects?.map(effect => effect.key)).toEqual(['mageArmor']);
         expect(after.character.spellSlots['1'].used).toBe(1);
         expect(after.character.armorClass).toBe(acBefore + 3);
         expect(after.combat.active).toBe(true);
@@ -459,3 +460,59 @@ describe('turn runner — pre-fight spell_cast alongside combat_start (Codex 202
         expect(after.messages.some(m => m.role === 'system' && /casts Mage Armor/.test(m.content || ''))).toBe(true);
     });
 });
+
+describe('turn runner — undo / redo', () => {
+    const playTurn = async ({ runner, dispatch }, line) => {
+        runner.beginTurn(line);
+        dispatch({ type: 'ADD_MESSAGE', payload: { role: 'user', content: line } });
+        await runner.sendToLLM(line, line);
+    };
+
+    it('rolls a turn back whole — messages, coin and the replay ledger — and redoes it', async () => {
+        const history = vi.fn();
+        const harness = createHarness({
+            streamMessage: scriptedStream(['A purse under the floorboards.\n```json\n{"gold_found": 25}\n```']),
+            onTurnHistoryChange: history,
+        });
+        const { runner, getState } = harness;
+        const before = getState();
+
+        await playTurn(harness, 'I search the floor.');
+        const after = getState();
+        expect(after.character.gold).toBe(before.character.gold + 25);
+        expect(after.recentCoinGrants).not.toEqual(before.recentCoinGrants);
+        expect(history).toHaveBeenLastCalledWith({ undoCount: 1, redoCount: 0, lastPlayerMessage: 'I search the floor.' });
+
+        expect(runner.undoTurn().playerMessage).toBe('I search the floor.');
+        expect(getState().messages).toEqual([]);
+        expect(getState().character.gold).toBe(before.character.gold);
+        expect(getState().recentCoinGrants).toBe(before.recentCoinGrants);
+        expect(getState().settings).toBe(before.settings);
+        expect(history).toHaveBeenLastCalledWith({ undoCount: 0, redoCount: 1, lastPlayerMessage: '' });
+        expect(runner.undoTurn()).toBeNull();
+
+        runner.redoTurn();
+        expect(getState().character.gold).toBe(after.character.gold);
+        expect(getState().messages.map(m => m.id)).toEqual(after.messages.map(m => m.id));
+        expect(history).toHaveBeenLastCalledWith({ undoCount: 1, redoCount: 0, lastPlayerMessage: 'I search the floor.' });
+    });
+
+    it('starts a new redo line when another turn is played after an undo', async () => {
+        const harness = createHarness({
+            streamMessage: scriptedStream(['The door is locked.', 'The window opens.']),
+        });
+        await playTurn(harness, 'I try the door.');
+        harness.runner.undoTurn();
+        await playTurn(harness, 'I try the window.');
+        expect(harness.runner.redoTurn()).toBeNull();
+        expect(harness.getState().messages.map(m => m.content)).toEqual(['I try the window.', 'The window opens.']);
+    });
+
+    it('refuses an undo once the log no longer extends the captured state', async () => {
+        const harness = createHarness({ streamMessage: scriptedStream(['The bridge holds.']) });
+        await playTurn(harness, 'I cross the bridge.');
+        // A save from elsewhere loaded over the campaign: the history no longer fits.
+        harness.dispatch({ type: 'RESTORE_TURN', payload: { ...harness.getState(), messages: [] } });
+        expect(harness.runner.undoTurn()).toBeNull();
+    });
+});
@@ -4,8 +4,8 @@
 /* eslint-disable react-refresh/only-export-components */
 import { createContext, useContext, useReducer, useEffect, useCallback, useState, useRef } from 'react';
 import { gameReducer, initialGameState } from './gameReducer.js';
-import { buildAutosaveSnapshot, hasGameplayChange } from './autosavePolicy.js';
-import { loadSettings, saveSettings, autoSave } from './persistence.js';
+import { buildAutosaveSnapshot, hasGameplayChange, pendingTurnSnapshot } from './autosavePolicy.js';
+import { loadSettings, saveSettings, autoSave, saveTurnSnapshot } from './persistence.js';
 import { PROVIDERS } from '../llm/adapter.js';
 import { initializeFirebase } from '../config/firebase.js';
 import { subscribeToAuth } from './auth.js';
@@ -35,8 +35,9 @@ export function GameProvider({ children }) {
         if (savedSettings) {
             const merged = { ...initial, settings: { ...initial.settings, ...savedSettings } };
             // Validate that saved model still exists in current provider's model list
+            // (a local server's models are discovered live, so there is no list to check)
             const provider = PROVIDERS[merged.settings.llmProvider];
-            if (provider) {
+            if (provider && !provider.discoverModels) {
                 const modelExists = provider.models.some(m => m.id === merged.settings.model);
                 if (!modelExists) {
                     merged.settings.model = provider.models[0].id;
@@ -177,6 +178,9 @@ export function GameProvider({ children }) {
         // touching ONLY user/ui/settings neither schedules a save nor resets a
         // pending debounce timer.
         if (prev && !hasGameplayChange(prev, state)) return;
+        // Every player turn leaves a branch point: the state just before it.
+        const turnSnapshot = pendingTurnSnapshot(prev, state);
+        if (turnSnapshot) saveTurnSnapshot(turnSnapshot.state, { before: turnSnapshot.before });
         autosaveDirtyRef.current = true;
         if (autosaveTimerRef.current) clearTimeout(autosaveTimerRef.current);
         autosaveTimerRef.current = setTimeout(() => {
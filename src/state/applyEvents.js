@@ -11,7 +11,7 @@
  * as three separately testable stages.
  */
 
-import { CLASSES } from '../data/classes.js';
+import { getResourceDefinitions } from '../engine/characterUtils.js';
 import { normalizeItem } from '../data/items.js';
 
 /**
@@ -54,7 +54,7 @@ export function applyEvents(events, dispatch, getState = null, opts = {}) {
 
     const state = getState?.();
     const resources = state?.character?.classResources || {};
-    const classResourceDefs = CLASSES[state?.character?.class]?.resources || {};
+    const classResourceDefs = getResourceDefinitions(state?.character);
     const uiOwnedResources = events.resourcesUsed.filter(resourceKey => classResourceDefs[resourceKey]);
     const unavailableResources = events.resourcesUsed.filter(resourceKey => {
         const res = resources[resourceKey];
@@ -100,7 +100,10 @@ export function applyEvents(events, dispatch, getState = null, opts = {}) {
     }
 
     if (events.damageTaken > 0) {
-        dispatch({ type: 'TAKE_DAMAGE', payload: events.damageTaken });
+        dispatch({
+            type: 'TAKE_DAMAGE',
+            payload: events.damageTakenType ? { amount: events.damageTaken, damageType: events.damageTakenType } : events.damageTaken,
+        });
     }
 
     // One owner per effect: when this same response carries an engine-owned recovery
@@ -239,6 +242,15 @@ export function applyEvents(events, dispatch, getState = null, opts = {}) {
                 ...(item.consumableType && { consumableType: item.consumableType }),
                 ...(item.healing && { healing: item.healing }),
                 ...(item.quantity && { quantity: item.quantity }),
+                // Structured magic: normalizeItem validates and bounds every one
+                // of these (magicItems.js) and forces attunement on the result.
+                ...(item.resistances !== undefined && { resistances: item.resistances }),
+                ...(item.resistance !== undefined && { resistance: item.resistance }),
+                ...(item.extraDamage && { extraDamage: item.extraDamage }),
+                ...(item.skillAdvantage && { skillAdvantage: item.skillAdvantage }),
+                ...(item.spells && { spells: item.spells }),
+                ...(item.charges && { charges: item.charges }),
+                ...(item.requiresAttunement !== undefined && { requiresAttunement: !!item.requiresAttunement }),
             };
         // The cross-message replay ledger (recentItemGrants) needs the source
         // message id + player phrasing — the same meta purchases already carry.
@@ -327,6 +339,11 @@ export function applyEvents(events, dispatch, getState = null, opts = {}) {
         dispatch({ type: 'TAKE_REST', payload: events.restTaken, meta: { source: 'dm', ...transactionMeta } });
     }
 
+    if (events.timePassed) {
+        // Same echo guard as rests: the skip's narration lingers in the DM's window.
+        dispatch({ type: 'PASS_TIME', payload: events.timePassed, meta: { source: 'dm', ...transactionMeta } });
+    }
+
     for (const cast of events.spellCasts || []) {
         dispatch({ type: 'CAST_SPELL', payload: withTransactionMeta(cast) });
     }
@@ -51,3 +51,22 @@ export function buildAutosaveSnapshot(state, { action = null, reduce = gameReduc
         session: { ...current.session, updatedAt: new Date().toISOString() },
     };
 }
+
+/**
+ * Should this render record a branch point (state/saveBranches.js)? When
+ * `next` appended a visible player message to the SAME campaign's log, the
+ * turn snapshot is `prev` — the state just before the player acted — with
+ * that message as its `before` label. Anything else (a load, a new game, a
+ * narration-only change) returns null.
+ * @returns {{ state: object, before: string } | null}
+ */
+export function pendingTurnSnapshot(prev, next) {
+    if (!isAutosavableState(prev) || prev.session.id !== next?.session?.id) return null;
+    const before = prev.messages || [];
+    const after = next.messages || [];
+    if (after.length <= before.length) return null;
+    // Same log, grown at the end: the last message we knew is still in place.
+    if (before.length && after[before.length - 1]?.id !== before[before.length - 1]?.id) return null;
+    const played = after.slice(before.length).find(m => m?.role === 'user' && !m.hidden);
+    return played ? { state: prev, before: String(played.content || '') } : null;
+}
@@ -4,7 +4,7 @@
  * nothing-to-save guards — GameContext's wiring was 0% covered before this.
  */
 import { describe, expect, it } from 'vitest';
-import { buildAutosaveSnapshot, hasGameplayChange, isAutosavableState } from './autosavePolicy.js';
+import { buildAutosaveSnapshot, hasGameplayChange, isAutosavableState, pendingTurnSnapshot } from './autosavePolicy.js';
 import { initialGameState } from './initialState.js';
 
 function liveState(overrides = {}) {
@@ -89,3 +89,23 @@ describe('buildAutosaveSnapshot', () => {
         expect(snapshot.character).toEqual(state.character);
     });
 });
+
+describe('pendingTurnSnapshot (save branching)', () => {
+    const told = { id: 'm1', role: 'assistant', content: 'The troll blocks the bridge.' };
+
+    it('snapshots the state before a player line, labelled with that line', () => {
+        const prev = liveState({ messages: [told] });
+        const next = { ...prev, messages: [told, { id: 'm2', role: 'user', content: 'I charge the troll.' }] };
+        expect(pendingTurnSnapshot(prev, next)).toEqual({ state: prev, before: 'I charge the troll.' });
+    });
+
+    it('ignores narration, hidden lines, loads and other campaigns', () => {
+        const prev = liveState({ messages: [told] });
+        expect(pendingTurnSnapshot(prev, { ...prev, messages: [told, { id: 'm2', role: 'assistant', content: 'It roars.' }] })).toBeNull();
+        expect(pendingTurnSnapshot(prev, { ...prev, messages: [told, { id: 'm2', role: 'user', content: 'x', hidden: true }] })).toBeNull();
+        expect(pendingTurnSnapshot(prev, { ...prev, messages: [{ id: 'other' }, { id: 'm2', role: 'user', content: 'x' }] })).toBeNull();
+        const elsewhere = { ...prev, session: { ...prev.session, id: 's2' }, messages: [told, { id: 'm2', role: 'user', content: 'x' }] };
+        expect(pendingTurnSnapshot(prev, elsewhere)).toBeNull();
+        expect(pendingTurnSnapshot(liveState({ character: null }), prev)).toBeNull();
+    });
+});
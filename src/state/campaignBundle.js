@@ -0,0 +1,215 @@
+/**
+ * Campaign bundles — a whole campaign as one versioned JSON file, to hand to
+ * a teammate or archive outside the browser (DECISIONS.md 2026-10-19).
+ *
+ * The bundle carries the serialized state (serializeGameState, the snapshot
+ * IndexedDB and Firestore save) with the campaign's memory lifted out beside
+ * it as its own slices: journal, chronicle, story memory, fronts and
+ * locations. Two heavy extras are opt-in: the campaign's RAG vectors (the
+ * vectorMemory.js cache rows) and the portraits painted for the hero and the
+ * NPC roster. Without them the state is portrait-free and the vectors are
+ * re-embedded on the campaign's first load.
+ *
+ * A bundle is untrusted input. Import validates each slice, runs the state
+ * through the same validateSaveState → migrateLoadedSave path as LOAD_GAME,
+ * and returns a preview; nothing is replaced until the player confirms it.
+ *
+ * An imported campaign is always a new campaign with a fresh session id. The
+ * id keys its memory vectors, turn snapshots and autosave lineage, so
+ * re-importing a campaign this device already holds would otherwise wipe the
+ * local copy's vectors and let the two copies overwrite each other.
+ */
+import { buildSaveMetadata, serializeGameState } from './persistence.js';
+import { CURRENT_SAVE_VERSION, migrateLoadedSave } from './migrations.js';
+import { validateSaveState } from './handlers/session.js';
+import { sanitizeImageUrl } from '../engine/characterVault.js';
+import { normalizeFront } from '../engine/fronts.js';
+import { dedupeLocationRecords, normalizeLocationRecord } from '../engine/locationRegistry.js';
+import { normalizeStoryMemoryCard } from '../engine/storyMemory.js';
+
+export const BUNDLE_FORMAT = 'quest-forge-campaign';
+export const BUNDLE_VERSION = 1;
+
+const isRecord = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Chronicle chapters keep appendChronicleChapter's caps (worldMemory.js).
+function sanitizeChronicleChapter(chapter, index) {
+    if (!isRecord(chapter) || typeof chapter.text !== 'string' || !chapter.text.trim()) return null;
+    return {
+        id: String(chapter.id || `chapter-imported-${index + 1}`).slice(0, 80),
+        title: String(chapter.title || '').trim().slice(0, 80) || `Chapter ${index + 1}`,
+        text: chapter.text.trim().slice(0, 60000),
+        fromIndex: Number.isFinite(chapter.fromIndex) ? chapter.fromIndex : 0,
+        toIndex: Number.isFinite(chapter.toIndex) ? chapter.toIndex : 0,
+        createdAt: Number.isFinite(chapter.createdAt) ? chapter.createdAt : Date.now(),
+    };
+}
+
+/**
+ * The slices a bundle lifts out of the state, each with its entry validator
+ * (null drops the entry). validateSaveState re-heals the survivors on load.
+ */
+const BUNDLE_SLICES = {
+    journal: {
+        label: 'journal',
+        sanitize: entry => (isRecord(entry) && typeof entry.summary === 'string' && entry.summary.trim() ? entry : null),
+    },
+    chronicle: { label: 'chronicle', sanitize: sanitizeChronicleChapter },
+    storyMemory: { label: 'story memory', sanitize: card => (isRecord(card) ? normalizeStoryMemoryCard(card) : null) },
+    fronts: { label: 'fronts', sanitize: front => (isRecord(front) ? normalizeFront(front) : null) },
+    locations: { label: 'locations', sanitize: record => (isRecord(record) ? normalizeLocationRecord(record) : null) },
+};
+
+/** `{ hero, npcs: { [npcId]: url } }` — every portrait painted in this campaign. */
+function collectPortraits(gameState) {
+    const npcs = {};
+    for (const npc of gameState.npcs || []) {
+        if (npc?.id && npc.portraitUrl) npcs[npc.id] = npc.portraitUrl;
+    }
+    return { hero: gameState.character?.portraitUrl || null, npcs };
+}
+
+function withoutPortraits(state) {
+    const { portraitUrl: _heroPortrait, ...character } = state.character || {};
+    return {
+        ...state,
+        character: state.character ? character : state.character,
+        npcs: (state.npcs || []).map(npc => {
+            if (!npc?.portraitUrl) return npc;
+            const { portraitUrl: _npcPortrait, ...rest } = npc;
+            return rest;
+        }),
+    };
+}
+
+/**
+ * Build the bundle for a live game state. `vectors` are the campaign's cache
+ * rows (exportCampaignMemories), or null to leave them out.
+ */
+export function buildCampaignBundle(gameState, { vectors = null, includePortraits = false } = {}) {
+    const serialized = withoutPortraits(serializeGameState(gameState));
+    const state = { ...serialized };
+    const slices = {};
+    for (const key of Object.keys(BUNDLE_SLICES)) {
+        slices[key] = serialized[key] || [];
+        delete state[key];
+    }
+    return {
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        exportedAt: Date.now(),
+        state,
+        ...slices,
+        ...(Array.isArray(vectors) && { vectors }),
+        ...(includePortraits && { portraits: collectPortraits(gameState) }),
+    };
+}
+
+export function campaignBundleFilename(gameState) {
+    const slug = String(gameState?.session?.name || gameState?.character?.name || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+    return `questforge-campaign-${slug || 'campaign'}.json`;
+}
+
+/** Trigger a browser download of the campaign bundle. */
+export function downloadCampaignBundle(gameState, options) {
+    const data = buildCampaignBundle(gameState, options);
+    const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = campaignBundleFilename(gameState);
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+/** Re-attach a bundle's portraits that pass the image allowlist; returns how many did. */
+function attachPortraits(state, portraits) {
+    if (!isRecord(portraits)) return { state, count: 0 };
+    let count = 0;
+    let character = state.character;
+    const hero = sanitizeImageUrl(portraits.hero);
+    if (hero && character) {
+        character = { ...character, portraitUrl: hero };
+        count += 1;
+    }
+    const npcPortraits = isRecord(portraits.npcs) ? portraits.npcs : {};
+    const npcs = (state.npcs || []).map(npc => {
+        const url = npc?.id && Object.hasOwn(npcPortraits, npc.id) ? sanitizeImageUrl(npcPortraits[npc.id]) : '';
+        if (!url) return npc;
+        count += 1;
+        return { ...npc, portraitUrl: url };
+    });
+    return { state: { ...state, character, npcs }, count };
+}
+
+/**
+ * Parse and validate a bundle file. Throws an Error with a player-readable
+ * message when the file cannot be a campaign; otherwise returns the migrated
+ * state under a fresh session id (`session-${now}`), the vector rows to import
+ * under it (null when the bundle has none), and a preview: the save-slot
+ * metadata, slice counts, the entries dropped per slice (`dropped: [{ slice,
+ * label, count }]`) and the id the campaign had in the file
+ * (`importedFromSessionId`).
+ * @returns {{ state: object, vectors: Array|null, preview: object }}
+ */
+export function parseCampaignBundle(jsonText, { now = Date.now() } = {}) {
+    let data;
+    try {
+        data = JSON.parse(jsonText);
+    } catch {
+        throw new Error('Not a valid JSON file.');
+    }
+    if (!isRecord(data) || data.format !== BUNDLE_FORMAT) {
+        throw new Error('Not a Quest Forge campaign file.');
+    }
+    if (data.version !== BUNDLE_VERSION) {
+        throw new Error(`Unsupported campaign file version (${data.version}) — this build reads version ${BUNDLE_VERSION}.`);
+    }
+    if (!isRecord(data.state)) throw new Error('This campaign file has no game state.');
+    if (!isRecord(data.state.character) || typeof data.state.character.name !== 'string' || !data.state.character.name.trim()) {
+        throw new Error('This campaign file has no hero.');
+    }
+    if (Number(data.state.saveVersion) > CURRENT_SAVE_VERSION) {
+        throw new Error(`This campaign was saved by a newer version of the game (save version ${data.state.saveVersion}).`);
+    }
+
+    const slices = {};
+    const dropped = [];
+    for (const [key, { label, sanitize }] of Object.entries(BUNDLE_SLICES)) {
+        const raw = data[key] ?? [];
+        if (!Array.isArray(raw)) throw new Error(`The campaign file's ${label} slice is not a list.`);
+        const kept = raw.map((entry, index) => sanitize(entry, index)).filter(Boolean);
+        slices[key] = key === 'locations' ? dedupeLocationRecords(kept) : kept;
+        if (raw.length > kept.length) dropped.push({ slice: key, label, count: raw.length - kept.length });
+    }
+
+    const { state: withPortraits, count: portraitCount } = attachPortraits(withoutPortraits({ ...data.state, ...slices }), data.portraits);
+    const migrated = migrateLoadedSave(validateSaveState(withPortraits));
+    const importedFromSessionId = migrated.session?.id || null;
+    const state = importedFromSessionId
+        ? { ...migrated, session: { ...migrated.session, id: `session-${now}` } }
+        : migrated;
+    const vectors = Array.isArray(data.vectors) && state.session?.id ? data.vectors : null;
+
+    return {
+        state,
+        vectors,
+        preview: {
+            ...buildSaveMetadata(state),
+            exportedAt: Number.isFinite(data.exportedAt) ? data.exportedAt : null,
+            messageCount: state.messages.length,
+            journalCount: state.journal.length,
+            chronicleCount: state.chronicle?.length || 0,
+            storyMemoryCount: state.storyMemory.length,
+            frontCount: state.fronts.length,
+            locationCount: state.locations.length,
+            vectorCount: vectors?.length || 0,
+            portraitCount,
+            dropped,
+            importedFromSessionId,
+        },
+    };
+}
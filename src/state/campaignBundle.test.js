@@ -0,0 +1,144 @@
+/**
+ * Tests for campaign bundles: the export shape, a round trip through the
+ * load pipeline, per-slice validation and the import preview.
+ */
+import { describe, expect, it } from 'vitest';
+import { IDBFactory, IDBKeyRange } from 'fake-indexeddb';
+import { initialGameState } from './gameReducer.js';
+import { CURRENT_SAVE_VERSION } from './migrations.js';
+import { BUNDLE_FORMAT, BUNDLE_VERSION, buildCampaignBundle, campaignBundleFilename, parseCampaignBundle } from './campaignBundle.js';
+import { exportCampaignMemories, importCampaignMemories } from '../engine/vectorMemory.js';
+
+const PORTRAIT = 'data:image/jpeg;base64,AAAA';
+
+function makeState() {
+    return {
+        ...initialGameState,
+        user: { uid: 'teammate-1', email: 'a@example.com', isGuest: false, isAuthLoading: false },
+        settings: { ...initialGameState.settings, apiKey: 'secret-key' },
+        character: {
+            ...initialGameState.character,
+            name: 'Astra', race: 'human', class: 'fighter', level: 2, exp: 300, currentHP: 18, maxHP: 20, armorClass: 16,
+            abilityScores: { strength: 15, dexterity: 12, constitution: 14, intelligence: 10, wisdom: 10, charisma: 8 },
+            savingThrowProficiencies: [], skillProficiencies: [], portraitUrl: PORTRAIT,
+        },
+        session: { ...initialGameState.session, id: 'campaign-1', name: 'The Rimefell Road' },
+        currentLocation: 'Ghyll',
+        messages: [{ id: 'm1', role: 'assistant', content: 'The road turns north.' }],
+        journal: [{ id: 'j1', timestamp: 1, summary: 'Astra reached Ghyll.', keyDecisions: [], consequences: [] }],
+        chronicle: [{ id: 'c1', title: 'The Road North', text: 'Astra set out from Aldermill.', fromIndex: 0, toIndex: 1, createdAt: 1 }],
+        storyMemory: [{ id: 'sm1', type: 'promise', text: 'Astra swore to find the ferryman.' }],
+        fronts: [{ id: 'f1', name: 'The Thaw Cult', clock: 2, maxClock: 6, grimPortents: ['Ice cracks'] }],
+        locations: [{ id: 'loc-1', name: 'Ghyll', profile: { type: 'wilderness', danger: 'low' } }],
+        npcs: [{ id: 'npc-1', name: 'Maren', portraitUrl: PORTRAIT }],
+    };
+}
+
+const roundTrip = (bundle, options) => parseCampaignBundle(JSON.stringify(bundle), options);
+
+describe('buildCampaignBundle', () => {
+    it('lifts the memory slices out of the serialized state', () => {
+        const bundle = buildCampaignBundle(makeState());
+        expect(bundle).toMatchObject({ format: BUNDLE_FORMAT, version: BUNDLE_VERSION });
+        expect(bundle.journal).toHaveLength(1);
+        expect(bundle.chronicle[0].title).toBe('The Road North');
+        expect(bundle.state.journal).toBeUndefined();
+        expect(bundle.state.user).toBeUndefined();
+        expect(bundle.state.settings.apiKey).toBeUndefined();
+        expect(bundle.state.saveVersion).toBe(CURRENT_SAVE_VERSION);
+        expect(bundle.vectors).toBeUndefined();
+    });
+
+    it('keeps portraits out of the state and carries them only on request', () => {
+        const plain = buildCampaignBundle(makeState());
+        expect(plain.state.character.portraitUrl).toBeUndefined();
+        expect(plain.state.npcs[0].portraitUrl).toBeUndefined();
+        expect(plain.portraits).toBeUndefined();
+        const painted = buildCampaignBundle(makeState(), { includePortraits: true, vectors: [] });
+        expect(painted.portraits).toEqual({ hero: PORTRAIT, npcs: { 'npc-1': PORTRAIT } });
+        expect(painted.vectors).toEqual([]);
+    });
+
+    it('names the file after the campaign', () => {
+        expect(campaignBundleFilename(makeState())).toBe('questforge-campaign-the-rimefell-road.json');
+        expect(campaignBundleFilename({})).toBe('questforge-campaign-campaign.json');
+    });
+});
+
+describe('parseCampaignBundle', () => {
+    it('round-trips a campaign through the load pipeline with a preview', () => {
+        const vectors = [{ text: 'Astra reached Ghyll.', vector: [1, 0], category: 'journal', schema: 'hashed:v1', timestamp: 1 }];
+        const { state, vectors: rows, preview } = roundTrip(buildCampaignBundle(makeState(), { vectors, includePortraits: true }), { now: 5000 });
+        expect(state.character).toMatchObject({ name: 'Astra', level: 2, portraitUrl: PORTRAIT });
+        expect(state.npcs[0].portraitUrl).toBe(PORTRAIT);
+        expect(state.chronicle[0].text).toBe('Astra set out from Aldermill.');
+        expect(state.saveVersion).toBe(CURRENT_SAVE_VERSION);
+        expect(rows).toEqual(vectors);
+        expect(preview).toMatchObject({
+            sessionId: 'session-5000', importedFromSessionId: 'campaign-1', name: 'The Rimefell Road', characterName: 'Astra', location: 'Ghyll',
+            messageCount: 1, journalCount: 1, chronicleCount: 1, storyMemoryCount: 1, frontCount: 1, locationCount: 1,
+            vectorCount: 1, portraitCount: 2, dropped: [],
+        });
+    });
+
+    it('drops unreadable slice entries and reports them', () => {
+        const bundle = buildCampaignBundle(makeState());
+        const { state, preview } = roundTrip({
+            ...bundle,
+            journal: [...bundle.journal, null, { summary: 42 }],
+            chronicle: [...bundle.chronicle, { title: 'Empty' }],
+            locations: [...bundle.locations, { profile: {} }],
+        });
+        expect(state.journal).toHaveLength(1);
+        expect(state.chronicle).toHaveLength(1);
+        expect(state.locations).toHaveLength(1);
+        expect(preview.dropped).toEqual([
+            { slice: 'journal', label: 'journal', count: 2 },
+            { slice: 'chronicle', label: 'chronicle', count: 1 },
+            { slice: 'locations', label: 'locations', count: 1 },
+        ]);
+    });
+
+    it('keeps only allowlisted portraits and never one the state smuggles in', () => {
+        const bundle = buildCampaignBundle(makeState());
+        const { state, preview } = roundTrip({
+            ...bundle,
+            state: { ...bundle.state, character: { ...bundle.state.character, portraitUrl: 'javascript:alert(1)' } },
+            portraits: { hero: 'https://example.com/x.png', npcs: { 'npc-1': PORTRAIT, constructor: PORTRAIT } },
+        });
+        expect(state.character.portraitUrl).toBeUndefined();
+        expect(state.npcs[0].portraitUrl).toBe(PORTRAIT);
+        expect(preview.portraitCount).toBe(1);
+    });
+
+    it('imports over a campaign already on this device as a separate copy, leaving its memory rows alone', async () => {
+        globalThis.indexedDB = new IDBFactory();
+        globalThis.IDBKeyRange = IDBKeyRange;
+        const local = [{ text: 'Astra met Maren at the ford.', vector: [0, 1], category: 'npc', schema: 'hashed:v1', timestamp: 2 }];
+        await importCampaignMemories('campaign-1', local);
+
+        const bundled = [{ text: 'Astra reached Ghyll.', vector: [1, 0], category: 'journal', schema: 'hashed:v1', timestamp: 1 }];
+        const { state, vectors } = roundTrip(buildCampaignBundle(makeState(), { vectors: bundled }), { now: 7000 });
+        expect(state.session).toMatchObject({ id: 'session-7000', name: 'The Rimefell Road' });
+        await importCampaignMemories(state.session.id, vectors);
+
+        expect(await exportCampaignMemories('campaign-1')).toEqual(local);
+        expect(await exportCampaignMemories('session-7000')).toEqual(bundled);
+    });
+
+    it('imports no vectors for a campaign without an id', () => {
+        const state = makeState();
+        const bundle = buildCampaignBundle({ ...state, session: { ...state.session, id: null } }, { vectors: [] });
+        expect(roundTrip(bundle).vectors).toBeNull();
+    });
+
+    it('rejects files that are not a campaign this build can read', () => {
+        const bundle = buildCampaignBundle(makeState());
+        expect(() => parseCampaignBundle('{nope')).toThrow('Not a valid JSON file.');
+        expect(() => roundTrip({ ...bundle, format: 'quest-forge-character' })).toThrow('Not a Quest Forge campaign file.');
+        expect(() => roundTrip({ ...bundle, version: 2 })).toThrow('Unsupported campaign file version (2)');
+        expect(() => roundTrip({ ...bundle, state: { ...bundle.state, character: null } })).toThrow('This campaign file has no hero.');
+        expect(() => roundTrip({ ...bundle, state: { ...bundle.state, saveVersion: CURRENT_SAVE_VERSION + 1 } })).toThrow('newer version');
+        expect(() => roundTrip({ ...bundle, fronts: 'all of them' })).toThrow("The campaign file's fronts slice is not a list.");
+    });
+});
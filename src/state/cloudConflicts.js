@@ -0,0 +1,127 @@
+/**
+ * Cloud save conflicts — one slot played on two devices (DECISIONS.md
+ * 2026-10-19). cloudSync.js detects them from per-slot revisions; this module
+ * decides when a load needs the player's call, describes both versions for the
+ * conflict dialog, and carries out the player's choice.
+ *
+ * "Mine" is this device's copy: the state a save was writing, or the local
+ * slot a load found. "Cloud" is what another device last wrote to the slot.
+ */
+import { loadGame, saveGame } from './persistence.js';
+import {
+    getCloudDeviceId,
+    isCloudRevisionConflict,
+    lastSeenCloudRevision,
+    loadGameFromCloud,
+    markCloudRevisionSeen,
+    saveGameToCloud,
+} from './cloudSync.js';
+
+/** How many of each version's newest journal entries the dialog shows. */
+export const CONFLICT_JOURNAL_ENTRIES = 3;
+
+/**
+ * Does loading this slot need the player's call? `cloudSave` and `localSave`
+ * are the slot's rows from listCloudSaves and listSaves; `seen` is
+ * lastSeenCloudRevision's. Only a cloud copy changed elsewhere since this
+ * device saw it can conflict. Loading the local copy would then resume the
+ * older timeline; loading the cloud copy only loses something when the local
+ * slot was saved after this device last synced it.
+ */
+export function hasCloudLoadConflict({ source, cloudSave, localSave, seen }) {
+    if (!cloudSave || !localSave || !isCloudRevisionConflict(cloudSave.revision || 0, seen)) return false;
+    if (source === 'local') return true;
+    return (localSave.savedAt || 0) > (seen?.syncedAt || 0);
+}
+
+const toTime = value => (typeof value === 'number' ? value : Date.parse(value || '') || null);
+
+/**
+ * One side of the dialog: level, location, message count and the newest
+ * journal entries (oldest first), from the version's save payload.
+ */
+export function describeSaveVersion(gameState, { savedAt = null, savedBy = null, deviceId = null } = {}) {
+    const journal = (Array.isArray(gameState?.journal) ? gameState.journal : [])
+        .filter(entry => typeof entry?.summary === 'string');
+    return {
+        name: gameState?.session?.name || 'Unnamed Save',
+        characterName: gameState?.character?.name || 'Unknown',
+        level: gameState?.character?.level || 1,
+        location: gameState?.currentLocation || null,
+        messageCount: gameState?.messages?.length || 0,
+        lastJournal: journal.slice(-CONFLICT_JOURNAL_ENTRIES),
+        savedAt: toTime(savedAt),
+        byThisDevice: !!savedBy && savedBy === deviceId,
+    };
+}
+
+/**
+ * Gather both versions for the dialog. `cloud` is the cloud doc's metadata
+ * (saveGameToCloud's conflict, or the listCloudSaves row). Reads the cloud
+ * payload without marking it seen — the player has not chosen yet. Null when
+ * the cloud copy cannot be read.
+ */
+export async function openCloudConflict(uid, { slotId, origin, mineState, mineSavedAt, cloud }) {
+    const cloudState = await loadGameFromCloud(uid, slotId, { markSeen: false });
+    if (!cloudState) return null;
+    const deviceId = getCloudDeviceId();
+    return {
+        slotId,
+        origin,
+        name: cloud?.name || mineState?.session?.name || 'Unnamed Save',
+        cloudRevision: cloud?.revision || 0,
+        mine: { state: mineState, summary: describeSaveVersion(mineState, { savedAt: mineSavedAt, savedBy: deviceId, deviceId }) },
+        cloud: { state: cloudState, summary: describeSaveVersion(cloudState, { savedAt: cloud?.savedAt, savedBy: cloud?.savedBy, deviceId }) },
+    };
+}
+
+/**
+ * Read a local or cloud slot for a look only (the journal compare). A cloud
+ * read here must not count as this device seeing the revision — the next save
+ * would then overwrite the other device's play without asking.
+ */
+export function readSaveForComparison(uid, { slotId, isCloud }) {
+    if (!isCloud) return loadGame(slotId);
+    return uid ? loadGameFromCloud(uid, slotId, { markSeen: false }) : Promise.resolve(null);
+}
+
+/** The load-side conflict for a slot, when there is one: reads this device's local copy. */
+export async function findCloudLoadConflict(uid, { slotId, source, cloudSave, localSave }) {
+    if (!uid || !hasCloudLoadConflict({ source, cloudSave, localSave, seen: lastSeenCloudRevision(uid, slotId) })) return null;
+    const mineState = await loadGame(slotId);
+    if (!mineState) return null;
+    return openCloudConflict(uid, { slotId, origin: 'load', mineState, mineSavedAt: localSave.savedAt, cloud: cloudSave });
+}
+
+/**
+ * Carry out the player's choice: the slot ends up holding the kept version
+ * both locally and in the cloud. `saveOtherAsNew` keeps the other version
+ * too, as a new slot named after the side it came from. Resolves
+ * `{ state, cloudOk, newSlot }` — `state` is the kept version, for a load to
+ * dispatch; `newSlot` is `{ slotId, name, cloudOk }` or null.
+ */
+export async function resolveCloudConflict(uid, conflict, { keep, saveOtherAsNew = false, now = Date.now() }) {
+    const keepCloud = keep === 'cloud';
+    const kept = keepCloud ? conflict.cloud.state : conflict.mine.state;
+    const other = keepCloud ? conflict.mine.state : conflict.cloud.state;
+
+    await saveGame(conflict.slotId, kept);
+    let cloudOk;
+    if (keepCloud) {
+        // The cloud already holds it; this device has now seen that revision.
+        markCloudRevisionSeen(uid, conflict.slotId, conflict.cloudRevision);
+        cloudOk = true;
+    } else {
+        cloudOk = await saveGameToCloud(uid, conflict.slotId, kept, { force: true });
+    }
+
+    let newSlot = null;
+    if (saveOtherAsNew) {
+        const slotId = `save-${now}`;
+        const name = `${other.session?.name || conflict.name} (${keepCloud ? 'this device' : 'other device'})`;
+        const otherState = { ...other, session: { ...other.session, name, updatedAt: new Date(now).toISOString() } };
+        await saveGame(slotId, otherState);
+        newSlot = { slotId, name, cloudOk: await saveGameToCloud(uid, slotId, otherState) };
+    }
+    return { state: kept, cloudOk, newSlot };
+}
@@ -0,0 +1,122 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+const { saveGameMock, loadGameMock, saveGameToCloudMock, loadGameFromCloudMock, markSeenMock } = vi.hoisted(() => ({
+    saveGameMock: vi.fn().mockResolvedValue(true),
+    loadGameMock: vi.fn(),
+    saveGameToCloudMock: vi.fn().mockResolvedValue(true),
+    loadGameFromCloudMock: vi.fn(),
+    markSeenMock: vi.fn(),
+}));
+
+vi.mock('./persistence.js', () => ({ saveGame: saveGameMock, loadGame: loadGameMock }));
+vi.mock('./cloudSync.js', async (importOriginal) => ({
+    ...(await importOriginal()),
+    getCloudDeviceId: () => 'device-laptop',
+    lastSeenCloudRevision: () => ({ revision: 1, syncedAt: 1000 }),
+    saveGameToCloud: saveGameToCloudMock,
+    loadGameFromCloud: loadGameFromCloudMock,
+    markCloudRevisionSeen: markSeenMock,
+}));
+
+const {
+    CONFLICT_JOURNAL_ENTRIES,
+    describeSaveVersion,
+    findCloudLoadConflict,
+    hasCloudLoadConflict,
+    openCloudConflict,
+    resolveCloudConflict,
+} = await import('./cloudConflicts.js');
+
+function version(location, journalCount) {
+    return {
+        session: { id: 'campaign-1', name: 'The Salt Road' },
+        character: { name: 'Astra', level: location === 'Harbor' ? 4 : 5 },
+        currentLocation: location,
+        messages: Array.from({ length: journalCount * 2 }, (_, i) => ({ id: `m${i}` })),
+        journal: Array.from({ length: journalCount }, (_, i) => ({ id: `j${i}`, summary: `${location} entry ${i}`, timestamp: i })),
+    };
+}
+
+const laptopState = version('Harbor', 5);
+const phoneState = version('Lighthouse', 6);
+const cloudSave = { slotId: 'save-1', name: 'The Salt Road', revision: 2, savedBy: 'device-phone', savedAt: '2026-10-19T08:00:00.000Z' };
+
+beforeEach(() => {
+    vi.clearAllMocks();
+    loadGameMock.mockResolvedValue(laptopState);
+    loadGameFromCloudMock.mockResolvedValue(phoneState);
+});
+
+describe('hasCloudLoadConflict', () => {
+    const seen = { revision: 1, syncedAt: 1000 };
+
+    it('asks when the cloud changed elsewhere and the local copy is the older timeline', () => {
+        expect(hasCloudLoadConflict({ source: 'local', cloudSave, localSave: { savedAt: 500 }, seen })).toBe(true);
+        expect(hasCloudLoadConflict({ source: 'local', cloudSave: { ...cloudSave, revision: 1 }, localSave: { savedAt: 500 }, seen })).toBe(false);
+    });
+
+    it('loads the cloud copy unasked unless the local slot was saved after the last sync', () => {
+        expect(hasCloudLoadConflict({ source: 'cloud', cloudSave, localSave: { savedAt: 500 }, seen })).toBe(false);
+        expect(hasCloudLoadConflict({ source: 'cloud', cloudSave, localSave: { savedAt: 1500 }, seen })).toBe(true);
+    });
+
+    it('never asks without both copies or for a doc written before revisions', () => {
+        expect(hasCloudLoadConflict({ source: 'cloud', cloudSave, localSave: undefined, seen })).toBe(false);
+        expect(hasCloudLoadConflict({ source: 'local', cloudSave: { ...cloudSave, revision: undefined }, localSave: { savedAt: 500 }, seen: null })).toBe(false);
+    });
+});
+
+describe('describeSaveVersion', () => {
+    it('summarizes level, location, message count and the newest journal entries', () => {
+        const summary = describeSaveVersion(phoneState, { savedAt: cloudSave.savedAt, savedBy: 'device-phone', deviceId: 'device-laptop' });
+        expect(summary).toMatchObject({ characterName: 'Astra', level: 5, location: 'Lighthouse', messageCount: 12, byThisDevice: false });
+        expect(summary.savedAt).toBe(Date.parse(cloudSave.savedAt));
+        expect(summary.lastJournal.map(entry => entry.id)).toEqual(['j3', 'j4', 'j5']);
+        expect(summary.lastJournal).toHaveLength(CONFLICT_JOURNAL_ENTRIES);
+    });
+});
+
+describe('opening a conflict', () => {
+    it('reads the cloud copy without marking it seen', async () => {
+        const conflict = await openCloudConflict('u1', { slotId: 'save-1', origin: 'save', mineState: laptopState, mineSavedAt: 2000, cloud: cloudSave });
+        expect(loadGameFromCloudMock).toHaveBeenCalledWith('u1', 'save-1', { markSeen: false });
+        expect(conflict).toMatchObject({ slotId: 'save-1', origin: 'save', cloudRevision: 2 });
+        expect(conflict.mine.summary).toMatchObject({ location: 'Harbor', byThisDevice: true, savedAt: 2000 });
+        expect(conflict.cloud.summary).toMatchObject({ location: 'Lighthouse', byThisDevice: false });
+    });
+
+    it('finds a load conflict from the list rows and this device\'s local copy', async () => {
+        const conflict = await findCloudLoadConflict('u1', { slotId: 'save-1', source: 'local', cloudSave, localSave: { slotId: 'save-1', savedAt: 500 } });
+        expect(loadGameMock).toHaveBeenCalledWith('save-1');
+        expect(conflict).toMatchObject({ origin: 'load', mine: { state: laptopState }, cloud: { state: phoneState } });
+        expect(await findCloudLoadConflict(null, { slotId: 'save-1', source: 'local', cloudSave, localSave: { savedAt: 500 } })).toBeNull();
+    });
+});
+
+describe('resolveCloudConflict', () => {
+    const openConflict = () => openCloudConflict('u1', { slotId: 'save-1', origin: 'save', mineState: laptopState, mineSavedAt: 2000, cloud: cloudSave });
+
+    it('keeping this device\'s copy force-writes it over the cloud slot', async () => {
+        const result = await resolveCloudConflict('u1', await openConflict(), { keep: 'mine' });
+        expect(saveGameMock).toHaveBeenCalledWith('save-1', laptopState);
+        expect(saveGameToCloudMock).toHaveBeenCalledWith('u1', 'save-1', laptopState, { force: true });
+        expect(result).toEqual({ state: laptopState, cloudOk: true, newSlot: null });
+    });
+
+    it('keeping the cloud copy stores it locally and marks its revision seen', async () => {
+        const result = await resolveCloudConflict('u1', await openConflict(), { keep: 'cloud' });
+        expect(saveGameMock).toHaveBeenCalledWith('save-1', phoneState);
+        expect(markSeenMock).toHaveBeenCalledWith('u1', 'save-1', 2);
+        expect(saveGameToCloudMock).not.toHaveBeenCalled();
+        expect(result.state).toBe(phoneState);
+    });
+
+    it('saves the version not kept as a new slot named for where it came from', async () => {
+        const { newSlot } = await resolveCloudConflict('u1', await openConflict(), { keep: 'cloud', saveOtherAsNew: true, now: 5000 });
+        expect(newSlot).toEqual({ slotId: 'save-5000', name: 'The Salt Road (this device)', cloudOk: true });
+        const [slotId, saved] = saveGameMock.mock.calls[1];
+        expect(slotId).toBe('save-5000');
+        expect(saved).toMatchObject({ currentLocation: 'Harbor', session: { id: 'campaign-1', name: 'The Salt Road (this device)' } });
+        expect(saveGameToCloudMock).toHaveBeenCalledWith('u1', 'save-5000', saved);
+    });
+});
@@ -54,7 +54,86 @@ function chunksCollection(uid, slotId) {
     return collection(db, `users/${uid}/saves/${cloudDocId(slotId)}/chunks`);
 }
 
-export async function saveGameToCloud(uid, slotId, gameState) {
+/**
+ * Conflict detection (DECISIONS.md 2026-10-19). Every cloud save carries a
+ * `revision` that each write bumps inside its transaction, and `savedBy`, the
+ * writing device's id. Each device remembers, per slot, the revision it last
+ * saved or loaded. A cloud copy whose revision differs from that was written
+ * elsewhere since, and overwriting it blindly would clobber the other device's
+ * play. Docs written before revisions existed (revision 0) never conflict.
+ *
+ * The memory lives in localStorage, so it is per browser — what "this device"
+ * means to the player. Where storage is unavailable it lasts for the tab.
+ */
+const DEVICE_ID_KEY = 'rpg-client-device-id';
+const SEEN_REVISIONS_KEY = 'rpg-client-cloud-revisions';
+let fallbackDeviceId = null;
+let fallbackSeenRevisions = {};
+
+const newDeviceId = () => `device-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/** This browser's id, stamped on its cloud writes as `savedBy`. */
+export function getCloudDeviceId() {
+    try {
+        let id = localStorage.getItem(DEVICE_ID_KEY);
+        if (!id) {
+            id = newDeviceId();
+            localStorage.setItem(DEVICE_ID_KEY, id);
+        }
+        return id;
+    } catch {
+        if (!fallbackDeviceId) fallbackDeviceId = newDeviceId();
+        return fallbackDeviceId;
+    }
+}
+
+function readSeenRevisions() {
+    try {
+        const parsed = JSON.parse(localStorage.getItem(SEEN_REVISIONS_KEY) || '{}');
+        return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+    } catch {
+        return fallbackSeenRevisions;
+    }
+}
+
+function writeSeenRevisions(seen) {
+    fallbackSeenRevisions = seen;
+    try {
+        localStorage.setItem(SEEN_REVISIONS_KEY, JSON.stringify(seen));
+    } catch {
+        // The in-memory copy still protects this tab.
+    }
+}
+
+const seenKey = (uid, slotId) => `${uid}/${cloudDocId(slotId)}`;
+
+/** The revision this device last saved or loaded for a slot: `{ revision, syncedAt }`, or null. */
+export function lastSeenCloudRevision(uid, slotId) {
+    const entry = readSeenRevisions()[seenKey(uid, slotId)];
+    return Number.isInteger(entry?.revision) ? entry : null;
+}
+
+/** Record that this device now holds the slot's `revision` (null forgets the slot). */
+export function markCloudRevisionSeen(uid, slotId, revision) {
+    const seen = { ...readSeenRevisions() };
+    if (Number.isInteger(revision)) seen[seenKey(uid, slotId)] = { revision, syncedAt: Date.now() };
+    else delete seen[seenKey(uid, slotId)];
+    writeSeenRevisions(seen);
+}
+
+/** Was the cloud copy (at `cloudRevision`) written by someone else since this device's `seen`? */
+export function isCloudRevisionConflict(cloudRevision, seen) {
+    return cloudRevision > 0 && cloudRevision !== seen?.revision;
+}
+
+/**
+ * Saves the state to a cloud slot; resolves true on success, false on failure.
+ * When the slot changed in the cloud since this device last saw it, nothing is
+ * written: it resolves false and calls `onConflict` with `{ slotId, cloud,
+ * seen }` — `cloud` is the cloud doc's metadata. `force` overwrites anyway,
+ * once the player has chosen their copy.
+ */
+export async function saveGameToCloud(uid, slotId, gameState, { force = false, onConflict } = {}) {
     if (!db) return false;
     if (!uid) return false;
 
@@ -78,8 +157,10 @@ export async function saveGameToCloud(uid, slotId, gameState) {
             name: gameState.session?.name || 'Auto-Save',
             savedAt: new Date().toISOString(),
             messageCount: messages.length,
-            isAuto: slotId === AUTOSAVE_SLOT
+            isAuto: slotId === AUTOSAVE_SLOT,
+            savedBy: getCloudDeviceId(),
         };
+        const seen = lastSeenCloudRevision(uid, slotId);
 
         // The state is stored as a stringified JSON blob (avoids Firestore's
         // nested object limits/index explosion), ALWAYS in the `chunks`
@@ -98,10 +179,23 @@ export async function saveGameToCloud(uid, slotId, gameState) {
         // the transaction on contention, so the stale-chunk sweep always matches
         // the state actually being overwritten. (Size-wise a transaction carries
         // the same ~10 MiB request ceiling the previous writeBatch had.)
+        // The revision check rides the same transaction read, so a save landing
+        // from another device between the check and this write re-runs it.
+        let conflict = null;
+        let revision = 0;
         await runTransaction(db, async (transaction) => {
             const existingSnap = await transaction.get(saveDocRef);
-            const previousChunkCount = existingSnap.exists() ? (existingSnap.data().payloadChunks || 0) : 0;
-            transaction.set(saveDocRef, { ...metadata, payload: null, payloadChunks: chunks.length });
+            const existing = existingSnap.exists() ? existingSnap.data() : null;
+            const cloudRevision = existing?.revision || 0;
+            conflict = null;
+            if (!force && isCloudRevisionConflict(cloudRevision, seen)) {
+                const { payload: _payload, payloadChunks: _payloadChunks, ...cloud } = existing;
+                conflict = { slotId, cloud, seen };
+                return;
+            }
+            const previousChunkCount = existing?.payloadChunks || 0;
+            revision = cloudRevision + 1;
+            transaction.set(saveDocRef, { ...metadata, revision, payload: null, payloadChunks: chunks.length });
             chunks.forEach((data, index) => {
                 transaction.set(doc(chunksCollection(uid, slotId), String(index)), { index, data });
             });
@@ -110,6 +204,12 @@ export async function saveGameToCloud(uid, slotId, gameState) {
             }
         });
 
+        if (conflict) {
+            console.warn(`Cloud save skipped: ${slotId} changed in the cloud (revision ${conflict.cloud.revision}) since this device last saw it.`);
+            onConflict?.(conflict);
+            return false;
+        }
+        markCloudRevisionSeen(uid, slotId, revision);
         console.log(`Cloud save successful: ${slotId} (${payload.length} chars, ${chunks.length} chunk${chunks.length === 1 ? '' : 's'})`);
         return true;
     } catch (e) {
@@ -125,7 +225,12 @@ export async function saveGameToCloud(uid, slotId, gameState) {
     }
 }
 
-export async function loadGameFromCloud(uid, slotId) {
+/**
+ * Loads a cloud slot's state, or null. A load counts as this device seeing the
+ * slot's revision; `markSeen: false` reads it without that (the conflict
+ * dialog's preview of the cloud copy).
+ */
+export async function loadGameFromCloud(uid, slotId, { markSeen = true } = {}) {
     if (!db || !uid) return null;
 
     try {
@@ -157,13 +262,17 @@ export async function loadGameFromCloud(uid, slotId) {
                     throw new Error(`Cloud save ${slotId} is missing chunk ${i} of ${data.payloadChunks}.`);
                 }
             }
+            const loaded = asSaveObject(JSON.parse(chunks.slice(0, data.payloadChunks).join('')));
+            if (loaded && markSeen) markCloudRevisionSeen(uid, slotId, data.revision || 0);
             console.log(`Cloud load successful: ${slotId} (${data.payloadChunks} chunks)`);
-            return asSaveObject(JSON.parse(chunks.slice(0, data.payloadChunks).join('')));
+            return loaded;
         }
 
         if (data.payload) {
+            const loaded = asSaveObject(JSON.parse(data.payload));
+            if (loaded && markSeen) markCloudRevisionSeen(uid, slotId, data.revision || 0);
             console.log(`Cloud load successful: ${slotId}`);
-            return asSaveObject(JSON.parse(data.payload));
+            return loaded;
         }
         return null;
     } catch (e) {
@@ -220,6 +329,7 @@ export async function deleteGameFromCloud(uid, slotId) {
             transaction.delete(saveDocRef);
         });
 
+        markCloudRevisionSeen(uid, slotId, null);
         console.log(`Cloud delete successful: ${slotId}`);
         return true;
     } catch (e) {
@@ -3,7 +3,7 @@
  * Firestore's 1 MiB document ceiling for very long campaigns.
  * Firestore is mocked with an in-memory path → data store.
  */
-import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
 
 vi.mock('../config/firebase.js', () => ({ db: { mock: true } }));
 
@@ -68,7 +68,15 @@ vi.mock('firebase/firestore', () => {
 });
 
 const firestore = await import('firebase/firestore');
-const { saveGameToCloud, loadGameFromCloud, listCloudSaves, deleteGameFromCloud } = await import('./cloudSync.js');
+const {
+    saveGameToCloud,
+    loadGameFromCloud,
+    listCloudSaves,
+    deleteGameFromCloud,
+    getCloudDeviceId,
+    lastSeenCloudRevision,
+} = await import('./cloudSync.js');
+const { readSaveForComparison } = await import('./cloudConflicts.js');
 const { SAVE_VERSION } = await import('./persistence.js');
 
 function makeGameState(overrides = {}) {
@@ -105,6 +113,18 @@ function makeHugeGameState() {
 
 const chunkPaths = () => [...firestore.__store.keys()].filter(p => p.includes('/chunks/'));
 
+/** A browser's localStorage: each one is a device with its own id and seen revisions. */
+function makeDevice() {
+    const store = new Map();
+    return {
+        getItem: (key) => (store.has(key) ? store.get(key) : null),
+        setItem: (key, value) => store.set(key, String(value)),
+        removeItem: (key) => store.delete(key),
+    };
+}
+
+const onDevice = (device) => { globalThis.localStorage = device; };
+
 beforeEach(() => {
     firestore.__store.clear();
 });
@@ -229,6 +249,89 @@ describe('saveGameToCloud / loadGameFromCloud', () => {
     });
 });
 
+describe('revisions and conflicts (two devices, one slot)', () => {
+    let laptop;
+    let phone;
+
+    beforeEach(() => {
+        laptop = makeDevice();
+        phone = makeDevice();
+        onDevice(laptop);
+    });
+
+    afterEach(() => {
+        delete globalThis.localStorage;
+    });
+
+    it('stamps each write with a bumped revision and the writing device', async () => {
+        await saveGameToCloud('u1', 'slot-1', makeGameState());
+        await saveGameToCloud('u1', 'slot-1', makeGameState());
+        const [listed] = await listCloudSaves('u1');
+        expect(listed).toMatchObject({ revision: 2, savedBy: getCloudDeviceId() });
+        expect(lastSeenCloudRevision('u1', 'slot-1')).toMatchObject({ revision: 2 });
+    });
+
+    it('refuses to overwrite a copy another device saved since, and reports the conflict', async () => {
+        await saveGameToCloud('u1', 'slot-1', makeGameState());
+        onDevice(phone);
+        await loadGameFromCloud('u1', 'slot-1');
+        await saveGameToCloud('u1', 'slot-1', makeGameState({ currentLocation: 'The Phone Road' }));
+        const phoneId = getCloudDeviceId();
+
+        onDevice(laptop);
+        const onConflict = vi.fn();
+        expect(await saveGameToCloud('u1', 'slot-1', makeGameState({ currentLocation: 'The Laptop Road' }), { onConflict })).toBe(false);
+        const [conflict] = onConflict.mock.calls[0];
+        expect(conflict).toMatchObject({ slotId: 'slot-1', cloud: { revision: 2, savedBy: phoneId, location: 'The Phone Road' }, seen: { revision: 1 } });
+        expect(conflict.cloud.payloadChunks).toBeUndefined();
+        expect((await loadGameFromCloud('u1', 'slot-1', { markSeen: false })).currentLocation).toBe('The Phone Road');
+
+        expect(await saveGameToCloud('u1', 'slot-1', makeGameState({ currentLocation: 'The Laptop Road' }), { force: true })).toBe(true);
+        expect((await listCloudSaves('u1'))[0]).toMatchObject({ revision: 3, location: 'The Laptop Road' });
+    });
+
+    it('a preview read does not count as seeing the revision; a load does', async () => {
+        onDevice(phone);
+        await saveGameToCloud('u1', 'slot-1', makeGameState());
+        onDevice(laptop);
+        await loadGameFromCloud('u1', 'slot-1', { markSeen: false });
+        expect(lastSeenCloudRevision('u1', 'slot-1')).toBeNull();
+        expect(await saveGameToCloud('u1', 'slot-1', makeGameState())).toBe(false);
+
+        await loadGameFromCloud('u1', 'slot-1');
+        expect(await saveGameToCloud('u1', 'slot-1', makeGameState())).toBe(true);
+    });
+
+    it('a journal compare reading the cloud copy still leaves the next save to raise the conflict', async () => {
+        await saveGameToCloud('u1', 'slot-1', makeGameState());
+        onDevice(phone);
+        await loadGameFromCloud('u1', 'slot-1');
+        await saveGameToCloud('u1', 'slot-1', makeGameState({ currentLocation: 'The Phone Road' }));
+
+        onDevice(laptop);
+        const compared = await readSaveForComparison('u1', { slotId: 'slot-1', isCloud: true });
+        expect(compared.currentLocation).toBe('The Phone Road');
+        expect(lastSeenCloudRevision('u1', 'slot-1')).toMatchObject({ revision: 1 });
+
+        const onConflict = vi.fn();
+        expect(await saveGameToCloud('u1', 'slot-1', makeGameState({ currentLocation: 'The Laptop Road' }), { onConflict })).toBe(false);
+        expect(onConflict).toHaveBeenCalledWith(expect.objectContaining({ slotId: 'slot-1', cloud: expect.objectContaining({ revision: 2 }) }));
+        expect((await listCloudSaves('u1'))[0].location).toBe('The Phone Road');
+    });
+
+    it('never conflicts on a new slot or a doc written before revisions existed', async () => {
+        firestore.__store.set('users/u1/saves/slot-legacy', { slotId: 'slot-legacy', name: 'Old', payload: JSON.stringify(makeGameState()) });
+        expect(await saveGameToCloud('u1', 'slot-legacy', makeGameState())).toBe(true);
+        expect(await saveGameToCloud('u1', 'slot-new', makeGameState())).toBe(true);
+    });
+
+    it('forgets a deleted slot', async () => {
+        await saveGameToCloud('u1', 'slot-1', makeGameState());
+        await deleteGameFromCloud('u1', 'slot-1');
+        expect(lastSeenCloudRevision('u1', 'slot-1')).toBeNull();
+    });
+});
+
 describe('listCloudSaves / deleteGameFromCloud', () => {
     it('lists manual saves without payloads and excludes the autosave doc', async () => {
         await saveGameToCloud('u1', 'slot-1', makeGameState());
@@ -68,3 +68,30 @@ describe('Ability Score Improvement', () => {
         expect(next.messages.at(-1).content).toContain('cannot be raised above 20');
     });
 });
+
+describe('taking a feat instead', () => {
+    it('spends the improvement on the feat and grants Tough HP for every level', () => {
+        const next = gameReducer(makeState(), {
+            type: 'APPLY_ABILITY_SCORE_IMPROVEMENT',
+            payload: { feat: 'tough' },
+        });
+
+        expect(next.character.feats).toEqual(['tough']);
+        expect(next.character.maxHP).toBe(36);
+        expect(next.character.currentHP).toBe(28);
+        expect(next.character.abilityScores.strength).toBe(16);
+        expect(next.character.abilityScoreImprovementsApplied).toBe(1);
+        expect(next.character.pendingAbilityScoreImprovements).toBe(0);
+        expect(next.messages.at(-1).content).toContain('**Feat gained:** Tough');
+    });
+
+    it('fills Lucky\'s luck points and refuses a feat the hero cannot take', () => {
+        const lucky = gameReducer(makeState(), { type: 'APPLY_ABILITY_SCORE_IMPROVEMENT', payload: { feat: 'lucky' } });
+        expect(lucky.character.classResources.luckPoints).toEqual({ used: 0, max: 3 });
+
+        const refused = gameReducer(makeState(), { type: 'APPLY_ABILITY_SCORE_IMPROVEMENT', payload: { feat: 'warCaster' } });
+        expect(refused.character.feats).toBeUndefined();
+        expect(refused.character.pendingAbilityScoreImprovements).toBe(1);
+        expect(refused.messages.at(-1).content).toContain('War Caster needs the ability to cast spells');
+    });
+});
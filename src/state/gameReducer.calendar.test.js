@@ -0,0 +1,126 @@
+/**
+ * Tests for the engine-owned calendar in the reducer: PASS_TIME and its DM
+ * replay guard, rests moving the clock, journal date stamps, absence drift
+ * measured in days, and calendar saves.
+ */
+import { describe, expect, it } from 'vitest';
+import { gameReducer, initialGameState } from './gameReducer.js';
+import { MINUTES_PER_DAY } from '../engine/calendar.js';
+import { computeACFromInventory } from '../engine/rules.js';
+import { ABSENCE_DRIFT_MIN_AWAY_DAYS } from '../engine/worldTempo.js';
+
+const front = { id: 'front-1', title: 'The Ash Cult', status: 'active', clock: 1, maxClock: 6, stage: 0 };
+
+function makeState(overrides = {}) {
+    return {
+        ...initialGameState,
+        character: { ...initialGameState.character, name: 'Astra', class: 'fighter', level: 1, currentHP: 12, maxHP: 12 },
+        messages: [{ role: 'user', content: 'We ride north.' }, { id: 'msg-dm-1', role: 'assistant', content: 'Three days of road.' }],
+        fronts: [front],
+        ...overrides,
+    };
+}
+
+const pass = (state, payload, meta) => gameReducer(state, { type: 'PASS_TIME', payload, meta });
+
+describe('PASS_TIME', () => {
+    it('moves the clock, posts the new time, and ticks fronts per week crossed', () => {
+        const next = pass(makeState(), { days: 3, reason: 'the road north' });
+        expect(next.calendar.elapsedMinutes).toBe(3 * MINUTES_PER_DAY);
+        expect(next.messages.at(-1).content).toBe('**Time passes:** 3 days — the road north. It is now Day 4 · 4 Seedtide, Year 1 · spring · morning (08:00).');
+        expect(next.fronts[0].clock).toBe(1);
+        expect(next.worldTempo).toBeNull();
+        const later = pass(next, { days: 5 });
+        expect(later.fronts[0].clock).toBe(2);
+        expect(later.worldTempo.lastTimeSkip).toMatchObject({ days: 5, frontIds: ['front-1'] });
+    });
+
+    it('ignores scene-scale skips, combat, and a DM echo of the same skip', () => {
+        expect(pass(makeState(), { minutes: 3 })).toEqual(makeState());
+        const fighting = makeState({ combat: { ...initialGameState.combat, active: true } });
+        expect(pass(fighting, { hours: 2 }).calendar).toEqual({ elapsedMinutes: 0 });
+        const dm = { source: 'dm', sourceId: 'msg-dm-1' };
+        const once = pass(makeState(), { days: 3 }, dm);
+        const replay = pass(once, { days: 3 }, dm);
+        expect(replay.calendar).toEqual(once.calendar);
+        expect(replay.messages).toHaveLength(once.messages.length);
+        const echo = pass({ ...once, messages: [...once.messages, { id: 'msg-dm-2', role: 'assistant', content: 'The road goes on.' }] }, { days: 3 }, { source: 'dm', sourceId: 'msg-dm-2' });
+        expect(echo.calendar).toEqual(once.calendar);
+    });
+
+    it('runs timed magic down with the clock: Mage Armor expires and concentration drops', () => {
+        const mageArmor = { key: 'mageArmor', name: 'Mage Armor', remainingRounds: 4800, acBonus: 3 };
+        const warded = makeState({
+            character: {
+                ...makeState().character,
+                armorClass: 13,
+                activeEffects: [mageArmor],
+                sustainedSpell: { key: 'bless', name: 'Bless', remainingRounds: 10, targetType: 'self' },
+            },
+        });
+        const hour = pass(warded, { hours: 1 });
+        expect(hour.character.activeEffects).toEqual([{ ...mageArmor, remainingRounds: 4200 }]);
+        expect(hour.character.sustainedSpell).toBeNull();
+        expect(hour.messages.at(-1).content).toMatch(/\. Bless fades\.$/);
+
+        const next = pass(warded, { days: 3 });
+        expect(next.character.activeEffects).toEqual([]);
+        expect(next.character.sustainedSpell).toBeNull();
+        expect(next.character.armorClass).toBe(computeACFromInventory([], { ...warded.character, activeEffects: [] }));
+        expect(next.messages.at(-1).content).toMatch(/ Bless fades\. Mage Armor fades\.$/);
+    });
+
+    it('refills dawn item charges when the clock passes dawn, long-rest ones only on a long rest', () => {
+        const wand = { id: 'wand-1', name: 'Wand of Magic Missiles', type: 'gear', charges: { used: 3, max: 7, recharge: 'dawn' } };
+        const ring = { id: 'ring-1', name: 'Ring of Spells', type: 'gear', charges: { used: 2, max: 3, recharge: 'longRest' } };
+        const spent = makeState({ inventory: [wand, ring] });
+        const night = pass(spent, { hours: 20 });
+        expect(night.inventory).toBe(spent.inventory);
+        const morning = pass(night, { hours: 1 });
+        expect(morning.inventory.map(item => item.charges.used)).toEqual([0, 2]);
+        expect(morning.messages.at(-1).content).toMatch(/ Dawn restores item charges: Wand of Magic Missiles\.$/);
+        const shortRest = gameReducer(night, { type: 'TAKE_REST', payload: 'short' });
+        expect(shortRest.inventory.map(item => item.charges.used)).toEqual([0, 2]);
+        expect(shortRest.messages.at(-1).content).toContain(' Item charges restored: Wand of Magic Missiles.');
+    });
+});
+
+describe('rests and the journal', () => {
+    it('advances the clock by the rest length', () => {
+        const short = gameReducer(makeState(), { type: 'TAKE_REST', payload: 'short' });
+        expect(short.calendar.elapsedMinutes).toBe(60);
+        const long = gameReducer(short, { type: 'TAKE_REST', payload: 'long' });
+        expect(long.calendar.elapsedMinutes).toBe(540);
+        const counted = gameReducer(makeState(), { type: 'TAKE_REST', payload: 'long', meta: { passesTime: false } });
+        expect(counted.calendar.elapsedMinutes).toBe(0);
+    });
+
+    it('stamps journal entries with the in-world date', () => {
+        const state = pass(makeState(), { hours: 10 });
+        const next = gameReducer(state, { type: 'ADD_JOURNAL_ENTRY', payload: { summary: 'Reached the ford.', keyDecisions: [], consequences: [] } });
+        expect(next.journal.at(-1).calendar).toEqual({ day: 1, date: '1 Seedtide, Year 1', timeOfDay: 'dusk' });
+    });
+});
+
+describe('absence drift in days', () => {
+    it('raises the marker after a week away, however few messages it took', () => {
+        let state = gameReducer(makeState({ messages: [] }), { type: 'SET_LOCATION', payload: 'Aldermill' });
+        state = gameReducer(state, { type: 'SET_LOCATION', payload: 'Deep Fen' });
+        expect(state.locations.find(record => record.name === 'Aldermill').lastVisitedMinute).toBe(0);
+        const soon = gameReducer(pass(state, { days: 2 }), { type: 'SET_LOCATION', payload: 'Aldermill' });
+        expect(soon.session.pendingAbsenceDrift).toBeUndefined();
+        const away = gameReducer(pass(state, { days: ABSENCE_DRIFT_MIN_AWAY_DAYS + 2 }), { type: 'SET_LOCATION', payload: 'Aldermill' });
+        expect(away.session.pendingAbsenceDrift).toMatchObject({ locationName: 'Aldermill', awayDays: ABSENCE_DRIFT_MIN_AWAY_DAYS + 2 });
+    });
+});
+
+describe('calendar saves', () => {
+    it('round-trips the clock and heals a tampered one', () => {
+        const state = pass(makeState(), { days: 2 }, { source: 'dm', sourceId: 'msg-dm-1' });
+        const loaded = gameReducer(initialGameState, { type: 'LOAD_GAME', payload: state });
+        expect(loaded.calendar).toEqual(state.calendar);
+        expect(loaded.recentTimeSkips).toEqual(state.recentTimeSkips);
+        const tampered = gameReducer(initialGameState, { type: 'LOAD_GAME', payload: { ...state, calendar: { elapsedMinutes: 'soon' } } });
+        expect(tampered.calendar).toEqual({ elapsedMinutes: 0 });
+    });
+});
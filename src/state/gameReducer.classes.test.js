@@ -0,0 +1,143 @@
+/**
+ * Reducer-side class features for the Ranger, Paladin, Bard and Warlock:
+ * resource sizing, Lay on Hands, short-rest recovery (pact slots, Font of
+ * Inspiration, Song of Rest), and level-up carry-over.
+ */
+import { describe, expect, it } from 'vitest';
+import { gameReducer, initialGameState } from './gameReducer.js';
+import { buildClassResources, createCharacter } from '../engine/characterUtils.js';
+import { awardExperience, getExperienceThreshold } from '../engine/progression.js';
+import { buildSpellSlots, getKnownSpells, spendSpellSlot } from '../engine/spellcasting.js';
+
+const SCORES = { strength: 14, dexterity: 12, constitution: 14, intelligence: 10, wisdom: 10, charisma: 16 };
+
+function heroState(className, level, overrides = {}) {
+    const abilityScores = overrides.abilityScores || SCORES;
+    return {
+        ...initialGameState,
+        character: {
+            name: 'Ysolde',
+            race: 'human',
+            class: className,
+            level,
+            exp: 0,
+            currentHP: 10,
+            maxHP: 40,
+            armorClass: 16,
+            abilityScores,
+            conditions: [],
+            classResources: buildClassResources(className, level, null, abilityScores),
+            hitDice: { total: level, remaining: level, die: 8 },
+            spellSlots: buildSpellSlots(level, null, className),
+            sustainedSpell: null,
+            gold: 0, silver: 0, copper: 0,
+            ...overrides.character,
+        },
+        inventory: [],
+        party: [],
+        messages: [],
+    };
+}
+
+describe('new class creation', () => {
+    it('sizes ability-scaled resources and class slot tables at level 1', () => {
+        const paladin = createCharacter('Ysolde', 'human', 'paladin', SCORES, ['athletics', 'religion']);
+        expect(paladin.classResources.layOnHands).toEqual({ used: 0, max: 5 });
+        expect(paladin.classResources.divineSense).toEqual({ used: 0, max: 4 }); // 1 + CHA 17 (+3)
+        expect(paladin.spellSlots).toEqual({});
+        expect(getKnownSpells(paladin)).toEqual([]);
+
+        const bard = createCharacter('Pell', 'human', 'bard', SCORES, ['performance', 'persuasion', 'insight']);
+        expect(bard.classResources.bardicInspiration).toEqual({ used: 0, max: 3 });
+        expect(bard.spellSlots).toEqual({ 1: { used: 0, max: 2 } });
+
+        const warlock = createCharacter('Vess', 'human', 'warlock', SCORES, ['arcana', 'deception']);
+        expect(warlock.spellSlots).toEqual({ 1: { used: 0, max: 1 } });
+        expect(getKnownSpells(warlock).map(spell => spell.key)).toContain('eldritchBlast');
+    });
+});
+
+describe('Lay on Hands', () => {
+    it('heals the missing HP from the pool and spends exactly that much', () => {
+        const state = heroState('paladin', 4, { character: { currentHP: 32 } });
+        const next = gameReducer(state, { type: 'ACTIVATE_RESOURCE', payload: 'layOnHands' });
+        expect(next.character.currentHP).toBe(40);
+        expect(next.character.classResources.layOnHands).toEqual({ used: 8, max: 20 });
+        expect(next.messages.at(-1).content).toMatch(/recover \*\*8 HP\*\*.*12\/20 HP left in the pool/);
+    });
+
+    it('spends only what is left when the pool runs short', () => {
+        const state = heroState('paladin', 2, { character: { currentHP: 5, classResources: { layOnHands: { used: 7, max: 10 }, divineSense: { used: 0, max: 4 } } } });
+        const next = gameReducer(state, { type: 'ACTIVATE_RESOURCE', payload: 'layOnHands' });
+        expect(next.character.currentHP).toBe(8);
+        expect(next.character.classResources.layOnHands.used).toBe(10);
+    });
+
+    it('leaves the pool untouched at full health', () => {
+        const state = heroState('paladin', 3, { character: { currentHP: 40 } });
+        const next = gameReducer(state, { type: 'ACTIVATE_RESOURCE', payload: 'layOnHands' });
+        expect(next.character.classResources.layOnHands.used).toBe(0);
+        expect(next.messages.at(-1).content).toMatch(/already at full health/);
+    });
+});
+
+describe('short-rest recovery', () => {
+    it('refills a Warlock\'s pact slots on a short rest', () => {
+        const spent = spendSpellSlot(spendSpellSlot(buildSpellSlots(5, null, 'warlock'), 3), 3);
+        const state = heroState('warlock', 5, { character: { spellSlots: spent } });
+        const next = gameReducer(state, { type: 'TAKE_REST', payload: 'short' });
+        expect(next.character.spellSlots).toEqual({ 3: { used: 0, max: 2 } });
+        expect(next.messages.at(-1).content).toMatch(/Pact slots restored/);
+    });
+
+    it('keeps a Wizard\'s slots spent on a short rest once Arcane Recovery is used', () => {
+        const spent = spendSpellSlot(buildSpellSlots(5), 1);
+        const state = heroState('wizard', 5, { character: { spellSlots: spent, classResources: { arcaneRecovery: { used: 1, max: 1 } } } });
+        const next = gameReducer(state, { type: 'TAKE_REST', payload: 'short' });
+        expect(next.character.spellSlots[1].used).toBe(1);
+    });
+
+    it('recovers Bardic Inspiration on a short rest only from level 5 (Font of Inspiration)', () => {
+        const low = heroState('bard', 4, { character: { classResources: { bardicInspiration: { used: 3, max: 3 } } } });
+        expect(gameReducer(low, { type: 'TAKE_REST', payload: 'short' }).character.classResources.bardicInspiration.used).toBe(3);
+
+        const high = heroState('bard', 5, { character: { classResources: { bardicInspiration: { used: 3, max: 3 } } } });
+        expect(gameReducer(high, { type: 'TAKE_REST', payload: 'short' }).character.classResources.bardicInspiration.used).toBe(0);
+    });
+
+    it('adds Song of Rest healing when a level 2+ Bard spends hit dice', () => {
+        const state = heroState('bard', 2);
+        const next = gameReducer(state, { type: 'TAKE_REST', payload: 'short' });
+        expect(next.messages.at(-1).content).toMatch(/Song of Rest adds [1-6] HP/);
+    });
+});
+
+describe('level-up and ability score carry-over', () => {
+    it('moves spent pact slots up to the new slot level instead of refilling them', () => {
+        const character = heroState('warlock', 2, {
+            character: { exp: getExperienceThreshold(2) - 1, spellSlots: spendSpellSlot(buildSpellSlots(2, null, 'warlock'), 1) },
+        }).character;
+        const { character: leveled } = awardExperience(character, 1);
+        expect(leveled.level).toBe(3);
+        expect(leveled.spellSlots).toEqual({ 2: { used: 1, max: 2 } });
+    });
+
+    it('grows a Paladin\'s half-caster slots and Lay on Hands pool on level-up', () => {
+        const character = heroState('paladin', 1, { character: { exp: getExperienceThreshold(1) } }).character;
+        const { character: leveled } = awardExperience(character, 0);
+        expect(leveled.level).toBe(2);
+        expect(leveled.spellSlots).toEqual({ 1: { used: 0, max: 2 } });
+        expect(leveled.classResources.layOnHands.max).toBe(10);
+    });
+
+    it('raises Charisma-scaled uses when an Ability Score Improvement raises Charisma', () => {
+        const state = heroState('bard', 4, {
+            character: { pendingAbilityScoreImprovements: 1, classResources: { bardicInspiration: { used: 1, max: 3 } } },
+        });
+        const next = gameReducer(state, {
+            type: 'APPLY_ABILITY_SCORE_IMPROVEMENT',
+            payload: { increases: { charisma: 2 } },
+        });
+        expect(next.character.classResources.bardicInspiration).toEqual({ used: 1, max: 4 });
+    });
+});
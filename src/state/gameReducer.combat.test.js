@@ -149,6 +149,19 @@ describe('combat start initiative', () => {
         expect(playerSurprised.combat.openingActorIds).toEqual([playerSurprised.combat.enemies[0].id]);
         expect(playerSurprised.combat.phase).toBe('opening');
     });
+
+    it('adds Alert to initiative and keeps an Alert hero from being surprised', () => {
+        rollQueue.push(4, 20, 9);
+        const base = makeState();
+        const alert = gameReducer({ ...base, character: { ...base.character, feats: ['alert'] } }, {
+            type: 'START_COMBAT',
+            payload: { surprise: 'player', enemies: [{ name: 'Goblin', hp: 7, ac: 13 }] },
+        });
+        expect(alert.combat.surprise).toBe('none');
+        expect(alert.combat.openingActorIds).toEqual([]);
+        expect(alert.messages.at(-1).content).toContain('Alert +5');
+        expect(alert.messages.at(-1).content).toContain('**Alert** — not surprised.');
+    });
 });
 
 describe('combat victory finalization', () => {
@@ -253,6 +266,33 @@ describe('lost/escaped-fight XP for genuinely slain foes', () => {
     });
 });
 
+describe('encounter budget at combat start', () => {
+    const goblinPack = count => Array.from({ length: count }, (_, index) => ({ name: `Goblin ${index + 1}`, monster: 'goblin', hp: 7, ac: 15 }));
+
+    it('grades the fight and holds back the weakest extras past the pace ceiling', () => {
+        rollQueue.push(5, 6, 7, 8, 12, 9); // four goblins, player, companion
+        // Level 1, hero + Garrick: deadly 200. Four goblins: 200 XP × 2.5 = 500.
+        const next = gameReducer(makeState(), { type: 'START_COMBAT', payload: { enemies: goblinPack(4) } });
+        expect(next.combat.enemies.map(enemy => enemy.name)).toEqual(['Goblin 1']);
+        expect(next.combat.turnOrder.filter(actor => actor.type === 'enemy')).toHaveLength(1);
+        expect(next.combat.encounter).toMatchObject({ grade: 'easy', declaredGrade: 'deadly', adjustedXp: 75, level: 1, partySize: 2, paceDial: 'standard' });
+        expect(next.messages.at(-1).content).toBe('**Encounter budget** — the declared fight was deadly for this party, past the standard pace: **Goblin 4**, **Goblin 3**, **Goblin 2** hold back and stay out of this fight, which now reads easy.');
+    });
+
+    it('keeps a fight inside the budget whole and records its grade in the encounter ledger', () => {
+        rollQueue.push(5, 6, 12, 9);
+        const state = { ...makeState(), settings: { ...initialGameState.settings, paceDial: 'breakneck' } };
+        const started = gameReducer(state, { type: 'START_COMBAT', payload: { enemies: goblinPack(2) } });
+        expect(started.combat.enemies).toHaveLength(2);
+        expect(started.combat.encounter).toMatchObject({ grade: 'deadly', adjustedXp: 200 });
+        expect(started.combat.encounter.declaredGrade).toBeUndefined();
+        expect(started.messages.at(-1).content).toContain('Initiative');
+
+        const ended = gameReducer(started, { type: 'END_COMBAT', payload: { llmAwardedXp: true } });
+        expect(ended.recentEncounters.at(-1)).toMatchObject({ enemies: '2× Goblin', difficulty: 'deadly' });
+    });
+});
+
 describe('enemy-stat validation at every entry point', () => {
     it('clamps HP/AC and rejects absurd attack stats at START_COMBAT', () => {
         rollQueue.push(5, 10, 9); // enemy init, player init, companion init
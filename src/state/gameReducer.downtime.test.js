@@ -0,0 +1,121 @@
+/**
+ * Tests for downtime actions: BEGIN_DOWNTIME, SPEND_DOWNTIME and
+ * ABANDON_DOWNTIME — engine-owned costs, results, and the days' effect on
+ * the calendar, the fronts and the world tempo.
+ */
+import { describe, expect, it } from 'vitest';
+import { gameReducer, initialGameState } from './gameReducer.js';
+import { buildMessageWindow } from '../components/Chat/turnVisibility.js';
+import { buildWorldTempoBlock } from '../engine/worldTempo.js';
+import { calendarDay, MINUTES_PER_DAY } from '../engine/calendar.js';
+
+const town = { id: 'loc-1', name: 'Harrowmere', type: 'settlement', danger: 'low', theaterFrontIds: [], aliases: [] };
+const front = { id: 'front-1', title: 'The Ash Cult', status: 'active', clock: 1, maxClock: 6, stage: 0, grimPortents: ['a', 'b', 'c'] };
+
+function makeState(overrides = {}) {
+    return {
+        ...initialGameState,
+        character: {
+            ...initialGameState.character,
+            name: 'Astra', class: 'fighter', level: 1, gold: 20, silver: 0, copper: 0,
+            currentHP: 5, maxHP: 12, skillProficiencies: ['athletics'],
+            abilityScores: { strength: 16, dexterity: 12, constitution: 14, intelligence: 10, wisdom: 10, charisma: 8 },
+        },
+        inventory: [],
+        messages: [],
+        currentLocation: 'Harrowmere',
+        locations: [town],
+        fronts: [front],
+        ...overrides,
+    };
+}
+
+const begin = (state, payload) => gameReducer(state, { type: 'BEGIN_DOWNTIME', payload });
+const spend = (state, days) => gameReducer(state, { type: 'SPEND_DOWNTIME', payload: { days } });
+
+describe('BEGIN_DOWNTIME', () => {
+    it('pays the materials up front and stores the project on the hero', () => {
+        const next = begin(makeState(), { activity: 'craft', itemKey: 'longsword' });
+        expect(next.character.gold).toBe(12);
+        expect(next.character.silver).toBe(5);
+        expect(next.character.downtime).toMatchObject({ label: 'Craft Longsword', daysNeeded: 3, daysDone: 0 });
+        expect(next.messages.at(-1)).toMatchObject({ downtimeLine: true, content: expect.stringMatching(/3 days of work ahead/) });
+    });
+
+    it('refuses a second project, an empty purse, and unsafe ground', () => {
+        const busy = begin(makeState(), { activity: 'work' });
+        expect(begin(busy, { activity: 'research', topic: 'ruins' }).messages.at(-1).content).toMatch(/Finish or abandon "Work a trade"/);
+        const poor = begin(makeState(), { activity: 'craft', itemKey: 'plateArmor' });
+        expect(poor.character.downtime).toBeUndefined();
+        expect(poor.messages.at(-1).content).toMatch(/Cannot start Craft Plate Armor/);
+        const road = makeState({ locations: [{ ...town, type: 'wilderness' }] });
+        expect(begin(road, { activity: 'work' }).messages.at(-1).content).toMatch(/somewhere safe/);
+        const fighting = makeState({ combat: { ...initialGameState.combat, active: true } });
+        expect(begin(fighting, { activity: 'work' }).character.downtime).toBeUndefined();
+    });
+});
+
+describe('SPEND_DOWNTIME', () => {
+    it('finishes a craft into the pack, rests the hero, and cues the DM to narrate', () => {
+        const crafting = begin(makeState(), { activity: 'craft', itemKey: 'longsword' });
+        const partial = spend(crafting, 2);
+        expect(partial.character.downtime.daysDone).toBe(2);
+        expect(partial.character.currentHP).toBe(12);
+        const done = spend(partial, 7);
+        expect(done.character.downtime).toBeNull();
+        expect(done.inventory.find(item => item.itemKey === 'longsword')).toBeTruthy();
+        const line = done.messages.find(message => message.narrationCue);
+        expect(line).toMatchObject({ downtimeLine: true, content: expect.stringMatching(/1 day spent; Longsword finished/) });
+        expect(buildMessageWindow(done.messages, 20).some(message => /Downtime — Craft Longsword/.test(message.content))).toBe(true);
+    });
+
+    it('pays wages and trains a proficiency', () => {
+        const worked = spend(begin(makeState(), { activity: 'work' }), 5);
+        expect(worked.character.gold).toBe(25);
+        const training = begin(makeState({ character: { ...makeState().character, gold: 500 } }), { activity: 'train', skill: 'stealth' });
+        let state = training;
+        for (let week = 0; week < 8; week += 1) state = spend(state, 7);
+        expect(state.character.skillProficiencies).toContain('stealth');
+        expect(state.character.downtime).toBeNull();
+        expect(state.character.gold).toBe(250);
+    });
+
+    it('stops short when the purse runs dry', () => {
+        const researching = begin(makeState({ character: { ...makeState().character, gold: 2 } }), { activity: 'research', topic: 'the Drowned Crown' });
+        const next = spend(researching, 5);
+        expect(next.character.downtime.daysDone).toBe(2);
+        expect(next.messages.some(message => /purse ran dry/.test(message.content))).toBe(true);
+        expect(spend(next, 1).messages.at(-1).content).toMatch(/Cannot afford another day/);
+    });
+
+    it('runs the calendar, advances active fronts per week, and tells the world tempo the days passed', () => {
+        const working = begin(makeState(), { activity: 'work' });
+        const first = spend(working, 5);
+        expect(first.fronts[0].clock).toBe(1);
+        // The closing long rest's nights are inside the five days.
+        expect(first.calendar.elapsedMinutes).toBe(5 * MINUTES_PER_DAY);
+        expect(first.worldTempo).toMatchObject({ lastDowntime: { days: 5, label: 'Work a trade' } });
+        const again = spend(begin(first, { activity: 'work' }), 3);
+        expect(calendarDay(again.calendar)).toBe(9);
+        expect(again.fronts[0].clock).toBe(2);
+        expect(again.worldTempo.lastDowntime.frontIds).toEqual(['front-1']);
+        const block = buildWorldTempoBlock({ fronts: again.fronts, worldTempo: again.worldTempo, messages: again.messages, messageCount: again.messages.length });
+        expect(block).toContain('TIME PASSED: the hero just spent 3 days in downtime (Work a trade). Off-screen pressures gained ground meanwhile: front-1.');
+    });
+});
+
+describe('ABANDON_DOWNTIME and saves', () => {
+    it('drops the project without a refund', () => {
+        const crafting = begin(makeState(), { activity: 'craft', itemKey: 'longsword' });
+        const dropped = gameReducer(crafting, { type: 'ABANDON_DOWNTIME' });
+        expect(dropped.character.downtime).toBeNull();
+        expect(dropped.character.gold).toBe(12);
+    });
+
+    it('round-trips a project through LOAD_GAME', () => {
+        const crafting = spend(begin(makeState(), { activity: 'craft', itemKey: 'longsword' }), 1);
+        const loaded = gameReducer(initialGameState, { type: 'LOAD_GAME', payload: crafting });
+        expect(loaded.character.downtime).toEqual(crafting.character.downtime);
+        expect(loaded.calendar).toEqual({ elapsedMinutes: MINUTES_PER_DAY });
+    });
+});
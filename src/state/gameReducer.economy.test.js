@@ -47,14 +47,16 @@ describe('PURCHASE_ITEM', () => {
         expect(next.messages.at(-1).content).toMatch(/Cannot buy/);
     });
 
-    it('supports an explicit priceCp override and quantity', () => {
+    it('prices catalog goods itself per unit and ignores a DM priceCp for them', () => {
         const state = makeState({ character: { gold: 1, silver: 0, copper: 0 } });
         const next = gameReducer(state, {
             type: 'PURCHASE_ITEM',
             payload: { itemKey: 'torch', quantity: 3, priceCp: 50 },
         });
+        // Three 1 cp torches, not the DM's 50 cp.
         expect(next.character.gold).toBe(0);
-        expect(next.character.silver).toBe(5);
+        expect(next.character.silver).toBe(9);
+        expect(next.character.copper).toBe(7);
         const torch = next.inventory.find(i => i.itemKey === 'torch');
         expect(torch.quantity).toBe(3);
     });
@@ -64,13 +66,14 @@ describe('PURCHASE_ITEM', () => {
         // supplied id could collide (double-delete class) and equipped: true
         // could displace the hero's active armor without normalizeEquippedSlots.
         const state = makeState({
+            character: { gold: 60 },
             inventory: [
                 { id: 'armor-1', itemKey: 'leatherArmor', name: 'Leather Armor', type: 'armor', equipped: true },
             ],
         });
         const next = gameReducer(state, {
             type: 'PURCHASE_ITEM',
-            payload: { itemKey: 'chainShirt', priceCp: 100, id: 'armor-1', equipped: true },
+            payload: { itemKey: 'chainShirt', id: 'armor-1', equipped: true },
         });
         const bought = next.inventory.find(i => i.itemKey === 'chainShirt');
         expect(bought).toBeTruthy();
@@ -115,10 +118,10 @@ describe('PURCHASE_ITEM', () => {
         const state = makeState();
         const next = gameReducer(state, {
             type: 'PURCHASE_ITEM',
-            payload: { itemKey: 'dagger', quantity: 999999999, priceCp: 1 },
+            payload: { name: 'Clay Marble', quantity: 999999999, priceCp: 1 },
         });
-        const dagger = next.inventory.find(i => i.itemKey === 'dagger');
-        expect(dagger.quantity).toBe(100);
+        const marble = next.inventory.find(i => i.name === 'Clay Marble');
+        expect(marble.quantity).toBe(100);
         expect(next.messages.at(-1).content).toMatch(/Bought 100x/);
     });
 
@@ -126,12 +129,12 @@ describe('PURCHASE_ITEM', () => {
         const state = makeState();
         const next = gameReducer(state, {
             type: 'PURCHASE_ITEM',
-            payload: { itemKey: 'dagger', priceCp: -5000 },
+            payload: { name: 'Clay Marble', priceCp: -5000 },
         });
         expect(next.character.gold).toBe(5);
         expect(next.character.silver).toBe(0);
         expect(next.character.copper).toBe(0);
-        expect(next.inventory.some(i => i.itemKey === 'dagger')).toBe(true);
+        expect(next.inventory.some(i => i.name === 'Clay Marble')).toBe(true);
     });
 
     it('keeps transaction metadata out of inventory and treats nested custom price as per-unit', () => {
@@ -262,7 +265,7 @@ describe('SELL_ITEM', () => {
         expect(torch.quantity).toBe(3);
     });
 
-    it('respects an explicit priceCp override for haggling', () => {
+    it('ignores a DM priceCp on a valued item — haggling goes through a check, not a number', () => {
         const state = makeState({
             inventory: [{ id: 'dagger-1', itemKey: 'dagger', name: 'Dagger', type: 'weapon', valueCp: 200, quantity: 1 }],
         });
@@ -270,12 +273,12 @@ describe('SELL_ITEM', () => {
             type: 'SELL_ITEM',
             payload: { itemId: 'dagger-1', priceCp: 500 },
         });
-        expect(next.character.gold).toBe(10); // 5gp + 5gp override
+        expect(next.character.gold).toBe(6); // 5gp + half of 2gp
     });
 
-    it('caps the priceCp override at the 10,000 gp coin ceiling', () => {
+    it('prices an unvalued curiosity from the DM, capped at the 10,000 gp coin ceiling', () => {
         const state = makeState({
-            inventory: [{ id: 'gem-1', name: 'Kingsgem', type: 'treasure', valueCp: 200, quantity: 1 }],
+            inventory: [{ id: 'gem-1', name: 'Kingsgem', type: 'gear', quantity: 1 }],
         });
         const next = gameReducer(state, {
             type: 'SELL_ITEM',
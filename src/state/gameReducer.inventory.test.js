@@ -674,3 +674,37 @@ describe('items_found quantity drift (playtest #8: the item twin of coin denomin
         expect(second.inventory).toHaveLength(2);
     });
 });
+
+describe('magic item attunement', () => {
+    const ring = (id, overrides = {}) => ({ id, name: `Ring ${id}`, type: 'gear', requiresAttunement: true, resistances: ['cold'], ...overrides });
+
+    it('mints DM loot with properties unattuned, whatever the payload claims', () => {
+        const next = gameReducer(makeState(), {
+            type: 'ADD_ITEM',
+            payload: { name: 'Ring of Warmth', type: 'gear', resistances: ['cold'], attuned: true },
+        });
+        const added = next.inventory.at(-1);
+        expect(added).toMatchObject({ requiresAttunement: true, resistances: ['cold'] });
+        expect(added.attuned).toBeUndefined();
+    });
+
+    it('attunes up to three items out of combat and ends attunement on request', () => {
+        const state = { ...makeState(), inventory: [ring('a', { attuned: true }), ring('b', { attuned: true }), ring('c'), ring('d')] };
+        const third = gameReducer(state, { type: 'ATTUNE_ITEM', payload: 'c' });
+        expect(third.inventory.find(i => i.id === 'c').attuned).toBe(true);
+        expect(third.messages.at(-1).content).toMatch(/attune to \*\*Ring c\*\* \(resists cold\)\. Attuned items: 3\/3/);
+        const fourth = gameReducer(third, { type: 'ATTUNE_ITEM', payload: 'd' });
+        expect(fourth.inventory.find(i => i.id === 'd').attuned).toBeFalsy();
+        expect(fourth.messages.at(-1).content).toMatch(/already attuned to 3 items/);
+        const freed = gameReducer(fourth, { type: 'END_ATTUNEMENT', payload: 'a' });
+        expect(freed.inventory.find(i => i.id === 'a').attuned).toBe(false);
+        expect(gameReducer(freed, { type: 'ATTUNE_ITEM', payload: 'd' }).inventory.find(i => i.id === 'd').attuned).toBe(true);
+    });
+
+    it('refuses to attune mid-fight', () => {
+        const state = withCombat({ ...makeState(), inventory: [ring('a')] });
+        const next = gameReducer(state, { type: 'ATTUNE_ITEM', payload: 'a' });
+        expect(next.inventory[0].attuned).toBeFalsy();
+        expect(next.messages.at(-1).content).toMatch(/cannot attune/);
+    });
+});
@@ -5,7 +5,8 @@
  * src/state/handlers/ (each module exports `handlers` keyed by ACTION_TYPE;
  * multi-domain helpers live in handlers/shared.js). Handlers that re-enter the
  * reducer (EQUIP_ITEM_BY_REF, GIVE_GEAR_TO_COMPANION, APPLY_COMBAT_EXCHANGE,
- * COMPLETE_COMBAT_NARRATION, ADD_STORY_MEMORY_CARDS) import this module's
+ * COMPLETE_COMBAT_NARRATION, ADD_STORY_MEMORY_CARDS, START_HAGGLE,
+ * SPEND_DOWNTIME, PASS_TIME, START_JOURNEY, CONTINUE_JOURNEY) import this module's
  * hoisted `gameReducer` directly — the ESM circular import resolves because
  * the function binding exists before any handler can run.
  */
@@ -14,6 +15,10 @@ import { handlers as characterHandlers } from './handlers/character.js';
 import { handlers as resourceHandlers } from './handlers/resources.js';
 import { handlers as spellcastingHandlers } from './handlers/spellcasting.js';
 import { handlers as economyHandlers } from './handlers/economy.js';
+import { handlers as merchantHandlers } from './handlers/merchants.js';
+import { handlers as downtimeHandlers } from './handlers/downtime.js';
+import { handlers as calendarHandlers } from './handlers/calendar.js';
+import { handlers as travelHandlers } from './handlers/travel.js';
 import { handlers as inventoryHandlers } from './handlers/inventory.js';
 import { handlers as messageHandlers } from './handlers/messages.js';
 import { handlers as questHandlers } from './handlers/quests.js';
@@ -36,6 +41,10 @@ const HANDLERS = {
     ...resourceHandlers,
     ...spellcastingHandlers,
     ...economyHandlers,
+    ...merchantHandlers,
+    ...downtimeHandlers,
+    ...calendarHandlers,
+    ...travelHandlers,
     ...inventoryHandlers,
     ...messageHandlers,
     ...questHandlers,
@@ -0,0 +1,140 @@
+/**
+ * Tests for merchant actions: REGISTER_MERCHANT, shop-panel trades
+ * (BUY_FROM_MERCHANT / SELL_TO_MERCHANT), haggling (START_HAGGLE /
+ * RESOLVE_HAGGLE), and how DM purchase/sale events price against them.
+ */
+import { describe, expect, it } from 'vitest';
+import { gameReducer, initialGameState } from './gameReducer.js';
+import { buildMessageWindow } from '../components/Chat/turnVisibility.js';
+
+const town = { id: 'loc-1', name: 'Harrowmere', type: 'settlement', danger: 'low', theaterFrontIds: [], aliases: [] };
+
+function makeState(overrides = {}) {
+    const base = {
+        ...initialGameState,
+        character: { ...initialGameState.character, name: 'Astra', class: 'fighter', level: 1, gold: 20, silver: 0, copper: 0 },
+        inventory: [],
+        messages: [],
+        currentLocation: 'Harrowmere',
+        locations: [town],
+        ...overrides,
+    };
+    return gameReducer(base, { type: 'REGISTER_MERCHANT', payload: { name: "Brann's Forge", kind: 'smith' } });
+}
+
+const brann = state => state.merchants[0];
+const stockOf = (state, itemKey) => brann(state).stock.find(line => line.itemKey === itemKey)?.quantity;
+
+describe('REGISTER_MERCHANT', () => {
+    it('opens a stocked shop at the current location, once', () => {
+        const state = makeState();
+        expect(state.merchants).toHaveLength(1);
+        expect(brann(state)).toMatchObject({ kind: 'smith', location: 'Harrowmere' });
+        expect(stockOf(state, 'longsword')).toBe(3);
+        expect(gameReducer(state, { type: 'REGISTER_MERCHANT', payload: { name: "Brann's Forge" } })).toBe(state);
+    });
+
+    it('is a no-op with no known location', () => {
+        const state = makeState({ currentLocation: null });
+        expect(state.merchants).toEqual([]);
+    });
+});
+
+describe('shop-panel trades', () => {
+    it('buys from stock at the engine price and tells the DM through a shop line', () => {
+        const state = makeState();
+        const next = gameReducer(state, { type: 'BUY_FROM_MERCHANT', payload: { merchantId: brann(state).id, itemKey: 'longsword' } });
+        expect(next.character.gold).toBe(5);
+        expect(stockOf(next, 'longsword')).toBe(2);
+        expect(next.inventory.find(item => item.itemKey === 'longsword')).toBeTruthy();
+        expect(next.messages.at(-1)).toMatchObject({ shopLine: true, content: expect.stringMatching(/bought Longsword for 15 gp/) });
+        expect(buildMessageWindow(next.messages, 20).at(-1).content).toMatch(/Shop — Brann's Forge/);
+    });
+
+    it('suppresses the DM narrating the same purchase as an event', () => {
+        const state = makeState();
+        const bought = gameReducer(state, { type: 'BUY_FROM_MERCHANT', payload: { merchantId: brann(state).id, itemKey: 'dagger' } });
+        const echoed = gameReducer(bought, { type: 'PURCHASE_ITEM', payload: { itemKey: 'dagger', _meta: { sourceId: 'msg-dm-1' } } });
+        expect(echoed.messages.at(-1).content).toMatch(/Duplicate purchase ignored/);
+        expect(echoed.character.gold).toBe(bought.character.gold);
+    });
+
+    it('refuses past the stock on hand or the purse', () => {
+        const state = makeState();
+        const greedy = gameReducer(state, { type: 'BUY_FROM_MERCHANT', payload: { merchantId: brann(state).id, itemKey: 'longsword', quantity: 5 } });
+        expect(greedy.messages.at(-1).content).toMatch(/only 3 Longsword in stock/);
+        expect(greedy.character.gold).toBe(20);
+        const poor = gameReducer(state, { type: 'BUY_FROM_MERCHANT', payload: { merchantId: brann(state).id, itemKey: 'greatsword' } });
+        expect(poor.messages.at(-1).content).toMatch(/Cannot buy Greatsword/);
+    });
+
+    it('sells unequipped gear at half value and shelves catalog goods', () => {
+        const state = makeState({
+            inventory: [
+                { id: 'mace-1', itemKey: 'mace', name: 'Mace', type: 'weapon', valueCp: 500, quantity: 1 },
+                { id: 'sword-1', itemKey: 'longsword', name: 'Longsword', type: 'weapon', valueCp: 1500, quantity: 1, equipped: true },
+            ],
+        });
+        const sold = gameReducer(state, { type: 'SELL_TO_MERCHANT', payload: { merchantId: brann(state).id, itemId: 'mace-1' } });
+        expect(sold.character.gold).toBe(22);
+        expect(sold.character.silver).toBe(5);
+        expect(sold.inventory.find(item => item.id === 'mace-1')).toBeUndefined();
+        expect(stockOf(sold, 'mace')).toBe(4);
+        const equipped = gameReducer(state, { type: 'SELL_TO_MERCHANT', payload: { merchantId: brann(state).id, itemId: 'sword-1' } });
+        expect(equipped.messages.at(-1).content).toMatch(/Unequip Longsword/);
+    });
+
+    it('trades only with a merchant where the hero stands, and never mid-fight', () => {
+        const state = makeState();
+        const id = brann(state).id;
+        const away = { ...state, currentLocation: 'Greywatch Post' };
+        expect(gameReducer(away, { type: 'BUY_FROM_MERCHANT', payload: { merchantId: id, itemKey: 'dagger' } })).toBe(away);
+        const fighting = { ...state, combat: { active: true } };
+        expect(gameReducer(fighting, { type: 'BUY_FROM_MERCHANT', payload: { merchantId: id, itemKey: 'dagger' } })).toBe(fighting);
+    });
+});
+
+describe('haggling', () => {
+    it('stages an engine-owned persuasion check through the roleplay-check flow', () => {
+        const state = makeState();
+        const next = gameReducer(state, { type: 'START_HAGGLE', payload: { merchantId: brann(state).id } });
+        expect(next.pendingRoleplayCheck.challengeUsed).toBe(true);
+        expect(next.pendingRoleplayCheck.rolls[0]).toMatchObject({ skill: 'persuasion', dc: 12, haggle: true, merchantId: brann(state).id });
+    });
+
+    it('settles the price shift once per restock and prices DM trades by it', () => {
+        const state = makeState();
+        const haggled = gameReducer(state, { type: 'RESOLVE_HAGGLE', payload: { success: true, margin: 2 } });
+        expect(brann(haggled).haggle).toEqual({ adjust: -0.1 });
+        expect(haggled.messages.at(-1).content).toMatch(/prices 10% below list/);
+        expect(gameReducer(haggled, { type: 'RESOLVE_HAGGLE', payload: { success: true, margin: 9 } })).toBe(haggled);
+        const again = gameReducer(haggled, { type: 'START_HAGGLE', payload: { merchantId: brann(state).id } });
+        expect(again.pendingRoleplayCheck).toBeNull();
+
+        // The DM's purchase event comes off this shelf at the haggled price, its priceCp ignored.
+        const bought = gameReducer(haggled, { type: 'PURCHASE_ITEM', payload: { itemKey: 'longsword', priceCp: 1 } });
+        expect(bought.character.gold).toBe(6);
+        expect(bought.character.silver).toBe(5);
+        expect(stockOf(bought, 'longsword')).toBe(2);
+    });
+
+    it('forgets the haggle once the merchant restocks', () => {
+        const haggled = gameReducer(makeState(), { type: 'RESOLVE_HAGGLE', payload: { success: false, margin: -6 } });
+        expect(brann(haggled).haggle).toEqual({ adjust: 0.1 });
+        const later = {
+            ...haggled,
+            messages: Array.from({ length: 40 }, (_, i) => ({ role: i % 2 ? 'assistant' : 'user', content: `beat ${i}` })),
+        };
+        const next = gameReducer(later, { type: 'BUY_FROM_MERCHANT', payload: { merchantId: brann(later).id, itemKey: 'longsword' } });
+        expect(next.character.gold).toBe(5);
+        expect(brann(next).haggle).toBeNull();
+    });
+});
+
+describe('merchants in saves', () => {
+    it('round-trips merchants through LOAD_GAME', () => {
+        const state = makeState();
+        const loaded = gameReducer(initialGameState, { type: 'LOAD_GAME', payload: { ...state, merchants: [...state.merchants, { bogus: true }] } });
+        expect(loaded.merchants).toEqual(state.merchants);
+    });
+});
@@ -0,0 +1,132 @@
+/**
+ * Reducer-side multiclassing: levels banked while the campaign plays with it,
+ * APPLY_LEVEL_UP into a new class, mixed hit dice and pact slots on a short
+ * rest, and the load-time heal of class levels.
+ */
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+const { rollQueue } = vi.hoisted(() => ({ rollQueue: [] }));
+
+vi.mock('../engine/dice.ts', () => {
+    const draw = () => {
+        if (!rollQueue.length) throw new Error('dice queue exhausted — a test under-queued its rolls');
+        return rollQueue.shift();
+    };
+    return {
+        rollDie: () => draw(),
+        rollDice: count => Array.from({ length: count }, draw),
+        rollWithModifier: (count, sides, modifier = 0, description = '') => {
+            const rolls = Array.from({ length: count }, draw);
+            const subtotal = rolls.reduce((sum, value) => sum + value, 0);
+            return { id: 'multiclass-roll', timestamp: 0, notation: `${count}d${sides}`, dice: { count, sides }, rolls, subtotal, modifier, total: subtotal + modifier, description };
+        },
+    };
+});
+
+import { gameReducer, initialGameState } from './gameReducer.js';
+import { buildClassResources } from '../engine/characterUtils.js';
+import { buildCharacterSpellSlots } from '../engine/spellcasting.js';
+
+const SCORES = { strength: 15, dexterity: 12, constitution: 14, intelligence: 10, wisdom: 10, charisma: 14 };
+
+/** Corvin, a level 3 Fighter (CHA 14: Paladin and Warlock are open to him). */
+function heroState({ multiclassing = true, ...overrides } = {}) {
+    return {
+        ...initialGameState,
+        character: {
+            name: 'Corvin',
+            race: 'human',
+            class: 'fighter',
+            level: 3,
+            exp: 0,
+            currentHP: 28,
+            maxHP: 28,
+            armorClass: 16,
+            abilityScores: SCORES,
+            skillProficiencies: ['athletics', 'intimidation'],
+            savingThrowProficiencies: ['strength', 'constitution'],
+            features: ['Fighting Style', 'Second Wind', 'Action Surge', 'Martial Archetype'],
+            fightingStyle: 'defense',
+            conditions: [],
+            classResources: buildClassResources('fighter', 3, null, SCORES),
+            hitDice: { total: 3, remaining: 3, die: 10 },
+            gold: 0, silver: 0, copper: 0,
+            ...overrides,
+        },
+        session: { ...initialGameState.session, multiclassing },
+        inventory: [],
+        party: [],
+        messages: [],
+    };
+}
+
+beforeEach(() => {
+    rollQueue.length = 0;
+});
+
+describe('banking levels', () => {
+    it('holds an earned level for the player to assign when the campaign multiclasses', () => {
+        const next = gameReducer(heroState(), { type: 'ADD_EXP', payload: 1800 });
+        expect(next.character).toMatchObject({ level: 3, pendingLevelUps: 1, exp: 0 });
+        expect(next.messages.at(-1).content).toContain('Level 4 is ready');
+    });
+
+    it('levels the first class at once without the rule', () => {
+        const next = gameReducer(heroState({ multiclassing: false }), { type: 'ADD_EXP', payload: 1800 });
+        expect(next.character).toMatchObject({ level: 4, classLevels: { fighter: 4 } });
+        expect(next.character.pendingLevelUps).toBeUndefined();
+    });
+});
+
+describe('APPLY_LEVEL_UP', () => {
+    it('spends the banked level on a new class', () => {
+        const state = heroState({ pendingLevelUps: 1 });
+        const next = gameReducer(state, { type: 'APPLY_LEVEL_UP', payload: { className: 'warlock' } });
+        expect(next.character).toMatchObject({ level: 4, classLevels: { fighter: 3, warlock: 1 }, pendingLevelUps: 0 });
+        expect(next.character.spellSlots).toEqual({ 1: { used: 0, max: 1 } });
+        expect(next.character.savingThrowProficiencies).toEqual(['strength', 'constitution']);
+        expect(next.messages.at(-1).content).toContain('You are now **Level 4** (Warlock 1)');
+    });
+
+    it('explains a refusal instead of levelling', () => {
+        const state = heroState({ pendingLevelUps: 1 });
+        const next = gameReducer(state, { type: 'APPLY_LEVEL_UP', payload: { className: 'wizard' } });
+        expect(next.character).toBe(state.character);
+        expect(next.messages.at(-1).content).toContain('Multiclassing into Wizard needs Intelligence 13 (Wizard)');
+    });
+});
+
+describe('resting a multiclassed hero', () => {
+    const hexKnight = () => {
+        const character = heroState().character;
+        const multiclassed = { ...character, level: 5, classLevels: { fighter: 3, warlock: 2 } };
+        return heroState({
+            level: 5,
+            classLevels: { fighter: 3, warlock: 2 },
+            currentHP: 20,
+            maxHP: 40,
+            hitDice: { total: 5, remaining: 5, die: 10, pools: [{ die: 10, total: 3, remaining: 3 }, { die: 8, total: 2, remaining: 2 }] },
+            spellSlots: { 1: { ...buildCharacterSpellSlots(multiclassed, null)[1], used: 2 } },
+        });
+    };
+
+    it('spends the largest hit dice first and restores the pact slots', () => {
+        rollQueue.push(6, 6, 6);
+        const next = gameReducer(hexKnight(), { type: 'TAKE_REST', payload: 'short', meta: { passesTime: false } });
+        expect(next.character.hitDice.pools).toEqual([{ die: 10, total: 3, remaining: 0 }, { die: 8, total: 2, remaining: 2 }]);
+        expect(next.character.spellSlots[1]).toEqual({ used: 0, max: 2 });
+        expect(next.messages.at(-1).content).toContain('Pact slots restored');
+    });
+});
+
+describe('loading saves', () => {
+    it('heals class levels that do not add up and keeps the campaign\'s choice', () => {
+        const state = heroState({ classLevels: { fighter: 2, warlock: 9 } });
+        const loaded = gameReducer(initialGameState, { type: 'LOAD_GAME', payload: state });
+        expect(loaded.character.classLevels).toEqual({ fighter: 3 });
+        expect(loaded.session.multiclassing).toBe(true);
+        const { multiclassing: _unset, ...olderSession } = state.session;
+        const older = gameReducer(initialGameState, { type: 'LOAD_GAME', payload: { ...state, session: olderSession } });
+        expect(older.session.multiclassing).toBe(false);
+    });
+});
@@ -0,0 +1,164 @@
+/**
+ * Reducer-side racial traits: subrace creation, racial resources beside class
+ * ones, Relentless Endurance on TAKE_DAMAGE and exchange commits, typed
+ * TAKE_DAMAGE against racial resistance, the Breath Weapon / Infernal Legacy
+ * sheet buttons, and Hill Dwarf level-up HP.
+ */
+import { describe, expect, it } from 'vitest';
+import { gameReducer, initialGameState } from './gameReducer.js';
+import { buildClassResources, createCharacter } from '../engine/characterUtils.js';
+import { awardExperience, getExperienceThreshold } from '../engine/progression.js';
+
+const SCORES = { strength: 15, dexterity: 14, constitution: 13, intelligence: 12, wisdom: 10, charisma: 8 };
+
+function heroState(race, subrace = null, overrides = {}) {
+    const level = overrides.level || 2;
+    return {
+        ...initialGameState,
+        character: {
+            name: 'Brakka',
+            race,
+            subrace,
+            class: 'fighter',
+            level,
+            exp: 0,
+            currentHP: 10,
+            maxHP: 20,
+            armorClass: 16,
+            abilityScores: SCORES,
+            conditions: [],
+            classResources: buildClassResources('fighter', level, null, SCORES, { race, subrace }),
+            hitDice: { total: level, remaining: level, die: 10 },
+            gold: 0, silver: 0, copper: 0,
+            ...overrides.character,
+        },
+        inventory: [],
+        party: [],
+        messages: [],
+        ...(overrides.combat && { combat: { ...initialGameState.combat, ...overrides.combat } }),
+    };
+}
+
+describe('subrace creation', () => {
+    it('stacks subrace bonuses and adds Hill Dwarf toughness to HP', () => {
+        const dwarf = createCharacter('Thora', 'dwarf', 'fighter', SCORES, ['athletics', 'survival'], { subrace: 'hillDwarf' });
+        expect(dwarf.subrace).toBe('hillDwarf');
+        expect(dwarf.abilityScores).toMatchObject({ constitution: 15, wisdom: 11 });
+        expect(dwarf.maxHP).toBe(13); // d10 + CON 15 (+2) + 1 racial
+    });
+
+    it('drops an unknown subrace instead of inventing one', () => {
+        const elf = createCharacter('Ilse', 'elf', 'fighter', SCORES, ['athletics', 'survival'], { subrace: 'moonElf' });
+        expect(elf.subrace).toBeNull();
+        expect(elf.abilityScores.dexterity).toBe(16);
+    });
+
+    it('puts racial resources beside class resources', () => {
+        const dragonborn = createCharacter('Kriv', 'dragonborn', 'fighter', SCORES, ['athletics', 'survival'], { subrace: 'red' });
+        expect(dragonborn.classResources).toMatchObject({
+            secondWind: { used: 0, max: 1 },
+            breathWeapon: { used: 0, max: 1 },
+        });
+        const tiefling = createCharacter('Mara', 'tiefling', 'wizard', SCORES, ['arcana', 'history']);
+        expect(tiefling.classResources.infernalLegacy).toBeUndefined(); // unlocks at level 3
+    });
+});
+
+describe('Relentless Endurance', () => {
+    it('drops a Half-Orc to 1 HP instead of 0 once, then spends the charge', () => {
+        const state = heroState('halfOrc', null, { character: { currentHP: 6 } });
+        const saved = gameReducer(state, { type: 'TAKE_DAMAGE', payload: 9 });
+        expect(saved.character.currentHP).toBe(1);
+        expect(saved.character.dying).toBeFalsy();
+        expect(saved.character.classResources.relentlessEndurance).toEqual({ used: 1, max: 1 });
+        expect(saved.messages.at(-1).content).toMatch(/Relentless Endurance/);
+
+        const felled = gameReducer(saved, { type: 'TAKE_DAMAGE', payload: 4 });
+        expect(felled.character.currentHP).toBe(0);
+    });
+
+    it('spends the charge once when an exchange already held the hero at 1 HP', () => {
+        const state = heroState('halfOrc', null, {
+            character: { currentHP: 6 },
+            combat: {
+                active: true,
+                phase: 'awaiting_player',
+                round: 1,
+                enemies: [{ id: 'e1', name: 'Orc', hp: 7, maxHp: 7, ac: 12, condition: 'healthy', combatStatus: 'active' }],
+                turnOrder: [{ type: 'player', name: 'Brakka', initiative: 12 }],
+                currentTurn: 0,
+            },
+        });
+        const committed = gameReducer(state, {
+            type: 'APPLY_COMBAT_EXCHANGE',
+            payload: {
+                exchangeId: 'exchange-relentless',
+                enemies: state.combat.enemies,
+                party: [],
+                playerDamage: 5,
+                deathSaveNatural: null,
+                rolls: [],
+                relentlessEndurance: true,
+                result: { exchangeId: 'exchange-relentless', kind: 'exchange', round: 1, terminal: null, events: [] },
+            },
+        });
+        expect(committed.character.currentHP).toBe(1);
+        expect(committed.character.classResources.relentlessEndurance).toEqual({ used: 1, max: 1 });
+    });
+
+    it('is automatic, so the sheet button leaves the charge alone', () => {
+        const next = gameReducer(heroState('halfOrc'), { type: 'ACTIVATE_RESOURCE', payload: 'relentlessEndurance' });
+        expect(next.character.classResources.relentlessEndurance.used).toBe(0);
+        expect(next.messages.at(-1).content).toMatch(/happens automatically on your first drop to 0 HP/);
+    });
+});
+
+describe('typed TAKE_DAMAGE', () => {
+    it('halves fire for a Tiefling and says why', () => {
+        const burned = gameReducer(heroState('tiefling'), { type: 'TAKE_DAMAGE', payload: { amount: 9, damageType: 'fire' } });
+        expect(burned.character.currentHP).toBe(6);
+        expect(burned.messages.at(-1).content).toMatch(/fire resistance.*9 → \*\*4\*\*/);
+    });
+
+    it('leaves untyped or unresisted harm as rolled', () => {
+        const state = heroState('tiefling');
+        expect(gameReducer(state, { type: 'TAKE_DAMAGE', payload: { amount: 7, damageType: 'cold' } }).character.currentHP).toBe(3);
+        expect(gameReducer(state, { type: 'TAKE_DAMAGE', payload: { amount: 7 } }).character.currentHP).toBe(3);
+        expect(gameReducer(state, { type: 'TAKE_DAMAGE', payload: 7 }).messages).toEqual([]);
+    });
+});
+
+describe('racial resource buttons and rests', () => {
+    it('keeps Breath Weapon for the combat exchange during a fight', () => {
+        const state = heroState('dragonborn', 'red', { combat: { active: true } });
+        const next = gameReducer(state, { type: 'ACTIVATE_RESOURCE', payload: 'breathWeapon' });
+        expect(next.character.classResources.breathWeapon.used).toBe(0);
+        expect(next.messages.at(-1).content).toMatch(/declared as your combat action/);
+    });
+
+    it('spends Breath Weapon from the sheet outside combat and refills it on a short rest', () => {
+        const spent = gameReducer(heroState('dragonborn', 'red'), { type: 'ACTIVATE_RESOURCE', payload: 'breathWeapon' });
+        expect(spent.character.classResources.breathWeapon.used).toBe(1);
+        const rested = gameReducer(spent, { type: 'TAKE_REST', payload: 'short' });
+        expect(rested.character.classResources.breathWeapon.used).toBe(0);
+    });
+
+    it('leaves Infernal Legacy for a Hellish Rebuke cast to spend', () => {
+        const state = heroState('tiefling', null, { level: 3 });
+        const next = gameReducer(state, { type: 'ACTIVATE_RESOURCE', payload: 'infernalLegacy' });
+        expect(next.character.classResources.infernalLegacy.used).toBe(0);
+        expect(next.messages.at(-1).content).toMatch(/spent by casting Hellish Rebuke/);
+    });
+});
+
+describe('racial level-up', () => {
+    it('adds Hill Dwarf toughness to each level and unlocks Infernal Legacy at 3', () => {
+        const dwarf = heroState('dwarf', 'hillDwarf', { character: { exp: getExperienceThreshold(2) } }).character;
+        const { character: leveledDwarf } = awardExperience(dwarf, 0);
+        expect(leveledDwarf.maxHP).toBe(20 + 6 + 1 + 1); // avg d10 6 + CON 13 (+1) + 1 racial
+
+        const tiefling = heroState('tiefling', null, { character: { exp: getExperienceThreshold(2) } }).character;
+        const { character: leveledTiefling } = awardExperience(tiefling, 0);
+        expect(leveledTiefling.classResources.infernalLegacy).toEqual({ used: 0, max: 1 });
+    });
+});
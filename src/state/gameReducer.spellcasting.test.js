@@ -253,6 +253,60 @@ describe('rest slot recovery and sustained lifecycle', () => {
         expect(next.character.sustainedSpell).toBeNull();
         expect(next.messages.at(-1).content).toMatch(/Mage Armor fades\./);
     });
+
+    it('lays Mage Armor as a timed effect with no concentration, raising AC at once', () => {
+        const state = clericState({
+            character: {
+                class: 'wizard',
+                armorClass: 10,
+                abilityScores: { strength: 8, dexterity: 10, constitution: 12, intelligence: 16, wisdom: 10, charisma: 10 },
+            },
+        });
+        const next = gameReducer(state, { type: 'CAST_SPELL', payload: { spell: 'mage armor', target: 'self' } });
+        expect(next.character.sustainedSpell).toBeNull();
+        expect(next.character.activeEffects).toEqual([{ key: 'mageArmor', name: 'Mage Armor', remainingRounds: 4800, acBonus: 3 }]);
+        expect(next.character.armorClass).toBe(13);
+        expect(next.messages.at(-1).content).toMatch(/no concentration needed; it lasts 8 h/);
+    });
+
+    it('ticks timed effects by the rest\'s length: a short rest keeps Mage Armor, a long one ends it', () => {
+        const armored = clericState({
+            character: {
+                armorClass: 13,
+                activeEffects: [{ key: 'mageArmor', name: 'Mage Armor', remainingRounds: 4800, acBonus: 3 }],
+            },
+        });
+        const short = gameReducer(armored, { type: 'TAKE_REST', payload: 'short' });
+        expect(short.character.activeEffects).toEqual([{ key: 'mageArmor', name: 'Mage Armor', remainingRounds: 4200, acBonus: 3 }]);
+        expect(short.character.armorClass).toBe(13);
+
+        const long = gameReducer(armored, { type: 'TAKE_REST', payload: 'long' });
+        expect(long.character.activeEffects).toEqual([]);
+        expect(long.character.armorClass).toBe(10);
+        expect(long.messages.at(-1).content).toMatch(/Mage Armor fades\./);
+    });
+
+    it('lets a round-long Spiritual Weapon end with the fight while hour-long effects carry on', () => {
+        const state = {
+            ...clericState({
+                character: {
+                    activeEffects: [
+                        { key: 'spiritualWeapon', name: 'Spiritual Weapon', remainingRounds: 7, slotLevel: 2 },
+                        { key: 'mageArmor', name: 'Mage Armor', remainingRounds: 600, acBonus: 3 },
+                    ],
+                },
+            }),
+            combat: {
+                ...initialGameState.combat,
+                active: true,
+                enemies: [{ id: 'e1', name: 'Ghoul', hp: 0, maxHp: 10, ac: 12, condition: 'dead', conditions: [], combatStatus: 'active' }],
+                turnOrder: [{ type: 'player', name: 'Maren' }],
+            },
+        };
+        const next = gameReducer(state, { type: 'END_COMBAT', payload: { llmAwardedXp: true } });
+        expect(next.character.activeEffects).toEqual([{ key: 'mageArmor', name: 'Mage Armor', remainingRounds: 590, acBonus: 3 }]);
+        expect(next.messages.some(m => m.role === 'system' && /Spiritual Weapon\*\* fades as the fight ends/.test(m.content))).toBe(true);
+    });
 });
 
 describe('exchange commits and save loading', () => {
@@ -299,4 +353,67 @@ describe('exchange commits and save loading', () => {
         expect(next.character.spellSlots).toEqual(buildSpellSlots(5));
         expect(next.character.sustainedSpell).toBeNull();
     });
+
+    it('LOAD_GAME moves a legacy sustained Mage Armor into active effects', () => {
+        const legacySave = {
+            ...clericState(),
+            character: {
+                ...clericState().character,
+                sustainedSpell: { key: 'mageArmor', name: 'Mage Armor', acBonus: 3, targetType: 'self' },
+            },
+            session: { id: 'save-2', name: 'Legacy armor' },
+        };
+        const next = gameReducer(initialGameState, { type: 'LOAD_GAME', payload: legacySave });
+        expect(next.character.sustainedSpell).toBeNull();
+        expect(next.character.activeEffects).toEqual([{ key: 'mageArmor', name: 'Mage Armor', remainingRounds: 4800, acBonus: 3 }]);
+    });
+});
+
+describe('magic item spells', () => {
+    const staff = (used = 0) => ({
+        id: 'staff-1', name: 'Staff of Mending', type: 'gear', requiresAttunement: true, attuned: true,
+        spells: [{ spell: 'cureWounds', cost: 1 }], charges: { used, max: 3, recharge: 'dawn' },
+    });
+
+    it('CAST_SPELL pays with the item\'s charge before a slot', () => {
+        const next = gameReducer(clericState({ inventory: [staff()] }), {
+            type: 'CAST_SPELL',
+            payload: { spell: 'cure wounds', _meta: { sourceId: 'msg-1' } },
+        });
+        expect(next.inventory[0].charges.used).toBe(1);
+        expect(next.character.spellSlots[1]).toEqual({ used: 0, max: 4 });
+        expect(next.messages.at(-1).content).toMatch(/casts Cure Wounds\*\* from Staff of Mending \(1 charge; 2\/3 left\)/);
+    });
+
+    it('APPLY_COMBAT_EXCHANGE commits the charges an item cast spent', () => {
+        const state = {
+            ...clericState({ inventory: [staff()] }),
+            combat: {
+                ...initialGameState.combat,
+                active: true,
+                phase: COMBAT_PHASES.AWAITING_INTENT,
+                enemies: [{ id: 'e1', name: 'Ghoul', hp: 10, maxHp: 10, ac: 12, condition: 'healthy', conditions: [], combatStatus: 'active' }],
+                turnOrder: [{ type: 'player', name: 'Maren' }],
+                resolvedExchangeIds: [],
+            },
+        };
+        const next = gameReducer(state, {
+            type: 'APPLY_COMBAT_EXCHANGE',
+            payload: {
+                exchangeId: 'x-1',
+                result: { exchangeId: 'x-1', kind: 'exchange', terminal: null, events: [], summary: 'Cure Wounds.' },
+                itemCharges: { 'staff-1': 2 },
+                rolls: [],
+            },
+        });
+        expect(next.inventory[0].charges.used).toBe(2);
+    });
+
+    it('a long rest recharges the item, a short rest does not', () => {
+        const short = gameReducer(clericState({ inventory: [staff(3)] }), { type: 'TAKE_REST', payload: 'short' });
+        expect(short.inventory[0].charges.used).toBe(3);
+        const long = gameReducer(clericState({ inventory: [staff(3)] }), { type: 'TAKE_REST', payload: 'long' });
+        expect(long.inventory[0].charges.used).toBe(0);
+        expect(long.messages.at(-1).content).toMatch(/Item charges restored: Staff of Mending\./);
+    });
 });
@@ -0,0 +1,165 @@
+/**
+ * Tests for the survival rules in the reducer: daily rations, meals and
+ * water as the clock moves, winter in the open, exhaustion from the DM and
+ * its recovery on a long rest, death at level 6, forced marches, and the
+ * per-campaign toggle.
+ */
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+const { rollQueue } = vi.hoisted(() => ({ rollQueue: [] }));
+
+vi.mock('../engine/dice.ts', () => {
+    const draw = () => {
+        if (!rollQueue.length) throw new Error('dice queue exhausted — a test under-queued its rolls');
+        return rollQueue.shift();
+    };
+    return {
+        rollDie: () => draw(),
+        rollDice: count => Array.from({ length: count }, draw),
+        rollWithModifier: (count, sides, modifier = 0, description = '') => {
+            const rolls = Array.from({ length: count }, draw);
+            const subtotal = rolls.reduce((sum, value) => sum + value, 0);
+            return { id: 'survival-roll', timestamp: 0, notation: `${count}d${sides}`, dice: { count, sides }, rolls, subtotal, modifier, total: subtotal + modifier, description };
+        },
+    };
+});
+
+import { gameReducer, initialGameState } from './gameReducer.js';
+import { MINUTES_PER_DAY } from '../engine/calendar.js';
+import { countProvisions } from '../engine/travel.js';
+
+const supplies = ({ rations = 0, waterskins = 0 } = {}) => [
+    ...(rations > 0 ? [{ id: 'rations-1', itemKey: 'rations', name: 'Rations (1 day)', type: 'gear', quantity: rations }] : []),
+    ...(waterskins > 0 ? [{ id: 'skin-1', itemKey: 'waterskin', name: 'Waterskin', type: 'gear', quantity: waterskins }] : []),
+];
+
+/** Astra (CON 14: five days' food grace) at a named place, survival rules on. */
+function makeState({ place = { type: 'wilderness', danger: 'low', region: 'Rimefell Marches' }, survivalRules = true, gold = 0, inventory = supplies({ rations: 3, waterskins: 2 }), ...overrides } = {}) {
+    let state = {
+        ...initialGameState,
+        character: { ...initialGameState.character, name: 'Astra', class: 'fighter', level: 1, currentHP: 12, maxHP: 12, gold, abilityScores: { strength: 14, dexterity: 12, constitution: 14, intelligence: 10, wisdom: 10, charisma: 8 }, savingThrowProficiencies: [], skillProficiencies: [] },
+        session: { ...initialGameState.session, survivalRules },
+        messages: [{ role: 'user', content: 'We wait.' }],
+    };
+    state = gameReducer(state, { type: 'SET_LOCATION', payload: { name: 'Ghyll', profile: place } });
+    return { ...state, inventory, ...overrides };
+}
+
+const pass = (state, days) => gameReducer(state, { type: 'PASS_TIME', payload: { days } });
+const survivalLine = state => state.messages.findLast(message => message.survivalLine);
+
+beforeEach(() => {
+    rollQueue.length = 0;
+});
+
+describe('daily upkeep', () => {
+    it('eats a ration and drinks a skin per day in the open', () => {
+        const next = pass(makeState(), 2);
+        expect(countProvisions(next.inventory, 'rations')).toBe(1);
+        expect(next.character).toMatchObject({ waterDays: 0, daysWithoutFood: 0, daysWithoutWater: 0, exhaustion: 0 });
+        expect(survivalLine(next).content).toBe("**Survival — 2 days:** 2 rations eaten; 2 days' water drawn from the skins.");
+    });
+
+    it('goes hungry, then thirsty, and gains exhaustion for it', () => {
+        const next = pass(makeState({ inventory: supplies({ waterskins: 1 }) }), 2);
+        expect(next.character).toMatchObject({ daysWithoutFood: 2, daysWithoutWater: 1, exhaustion: 1 });
+        expect(survivalLine(next).content).toContain('Exhaustion 0 → 1 (disadvantage on ability checks).');
+    });
+
+    it('buys meals and refills the skins in a settlement', () => {
+        const state = makeState({ place: { type: 'settlement', danger: 'none' }, gold: 1, inventory: supplies({ waterskins: 2 }) });
+        const next = pass({ ...state, character: { ...state.character, waterDays: 0 } }, 2);
+        expect(next.character).toMatchObject({ gold: 0, silver: 4, waterDays: 2, daysWithoutFood: 0 });
+        expect(survivalLine(next).content).toContain('meals bought for 6 sp');
+    });
+
+    it('calls for the cold save on a winter day in the open', () => {
+        const winter = { elapsedMinutes: 300 * MINUTES_PER_DAY };
+        rollQueue.push(5);
+        const next = pass(makeState({ calendar: winter }), 1);
+        expect(next.character.exhaustion).toBe(1);
+        expect(survivalLine(next).content).toContain('cold save 7 vs DC 10 — failed');
+    });
+
+    it('leaves campaigns without the survival rules alone', () => {
+        const state = makeState({ survivalRules: false });
+        const next = pass(state, 3);
+        expect(next.inventory).toEqual(state.inventory);
+        expect(survivalLine(next)).toBeUndefined();
+    });
+});
+
+describe('exhaustion levels', () => {
+    it('turns a DM "exhaustion" into one more level, and its removal into one less', () => {
+        let state = gameReducer(makeState(), { type: 'ADD_CONDITION', payload: 'Exhaustion' });
+        state = gameReducer(state, { type: 'ADD_CONDITION', payload: 'exhausted' });
+        expect(state.character.exhaustion).toBe(2);
+        expect(state.character.conditions || []).toEqual([]);
+        state = gameReducer(state, { type: 'REMOVE_CONDITION', payload: 'exhaustion' });
+        expect(state.character.exhaustion).toBe(1);
+        const flat = gameReducer(makeState({ survivalRules: false }), { type: 'ADD_CONDITION', payload: 'exhausted' });
+        expect(flat.character.conditions).toEqual(['exhausted']);
+    });
+
+    it('halves the maximum at level 4 and kills at level 6', () => {
+        const state = makeState();
+        const worn = gameReducer({ ...state, character: { ...state.character, exhaustion: 3 } }, { type: 'ADD_CONDITION', payload: 'exhaustion' });
+        expect(worn.character).toMatchObject({ exhaustion: 4, currentHP: 6 });
+        expect(gameReducer(worn, { type: 'HEAL', payload: 10 }).character.currentHP).toBe(6);
+        const dying = { ...state, character: { ...state.character, exhaustion: 5 }, inventory: supplies({ rations: 1 }) };
+        const dead = pass(dying, 1);
+        expect(dead.character).toMatchObject({ isDead: true, exhaustion: 6 });
+        expect(survivalLine(dead).content).toContain('Astra succumbs to exhaustion and dies.');
+        expect(survivalLine(dead).narrationCue).toMatchObject({ mechanic: 'Exhaustion' });
+    });
+
+    it('eases a level on a long rest only when the hero has eaten and drunk', () => {
+        const state = makeState();
+        const fed = gameReducer({ ...state, character: { ...state.character, exhaustion: 4, currentHP: 6 } }, { type: 'TAKE_REST', payload: 'long', meta: { passesTime: false } });
+        expect(fed.character).toMatchObject({ exhaustion: 3, currentHP: 12 });
+        expect(fed.messages.at(-1).content).toContain('Exhaustion eases to 3.');
+        const hungry = gameReducer({ ...state, character: { ...state.character, exhaustion: 2, daysWithoutFood: 1 } }, { type: 'TAKE_REST', payload: 'long', meta: { passesTime: false } });
+        expect(hungry.character.exhaustion).toBe(2);
+        expect(hungry.messages.at(-1).content).toContain('Exhaustion holds at 2');
+    });
+});
+
+describe('forced march', () => {
+    /** Aldermill ↔ Ghyll is a known road; the hero stands in Aldermill. */
+    function roadState(survivalRules) {
+        let state = makeState({ place: { type: 'settlement', danger: 'low', region: 'Vale of Reeds' }, survivalRules });
+        state = gameReducer(state, { type: 'SET_LOCATION', payload: { name: 'Aldermill', profile: { type: 'settlement', danger: 'low', region: 'Vale of Reeds' } } });
+        state = gameReducer(state, { type: 'SET_LOCATION', payload: { name: 'Ghyll', profile: { type: 'wilderness', danger: 'moderate', region: 'Rimefell Marches' } } });
+        return gameReducer(state, { type: 'SET_LOCATION', payload: 'Aldermill' });
+    }
+
+    it('makes up a lost day for a Constitution save', () => {
+        // navigation 3 (lost), forage 15 (fed and watered), encounter 2, forced-march save 4 → 6 vs DC 14.
+        rollQueue.push(3, 15, 2, 4);
+        const next = gameReducer(roadState(true), { type: 'START_JOURNEY', payload: { destination: 'Ghyll', forcedMarch: true } });
+        expect(next.calendar.elapsedMinutes).toBe(MINUTES_PER_DAY);
+        expect(next.messages.find(message => message.journeyLine).content).toContain('force-marched to make it up');
+        expect(survivalLine(next).content).toContain('forced march save 6 vs DC 14 — failed. Exhaustion 0 → 1');
+        // Fed on the last day, so the arrival's long rest lifts the level again.
+        expect(next.messages.at(-1).content).toContain('Exhaustion eases to 0.');
+        expect(next.currentLocation).toBe('Ghyll');
+    });
+
+    it('is ignored without the survival rules', () => {
+        rollQueue.push(3, 15, 2);
+        const next = gameReducer(roadState(false), { type: 'START_JOURNEY', payload: { destination: 'Ghyll', forcedMarch: true } });
+        expect(next.calendar.elapsedMinutes).toBe(2 * MINUTES_PER_DAY);
+        expect(next.character.exhaustion).toBeUndefined();
+    });
+});
+
+describe('survival saves', () => {
+    it('round-trips the counters and heals tampered ones', () => {
+        const state = pass(makeState({ inventory: supplies({ waterskins: 1 }) }), 2);
+        const loaded = gameReducer(initialGameState, { type: 'LOAD_GAME', payload: state });
+        expect(loaded.character).toMatchObject({ exhaustion: 1, daysWithoutFood: 2, daysWithoutWater: 1, waterDays: 0 });
+        expect(loaded.session.survivalRules).toBe(true);
+        const tampered = gameReducer(initialGameState, { type: 'LOAD_GAME', payload: { ...state, character: { ...state.character, exhaustion: 40, daysWithoutFood: 'many' } } });
+        expect(tampered.character).toMatchObject({ exhaustion: 6, daysWithoutFood: 0 });
+    });
+});
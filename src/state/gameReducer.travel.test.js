@@ -0,0 +1,144 @@
+/**
+ * Tests for overland travel in the reducer: routes and visits learned from arrivals,
+ * provisions spent per day, the clock and the hero moved on arrival, an
+ * encounter halting the journey, and journeys in saves.
+ */
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+const { rollQueue } = vi.hoisted(() => ({ rollQueue: [] }));
+
+vi.mock('../engine/dice.ts', () => {
+    const draw = () => {
+        if (!rollQueue.length) throw new Error('dice queue exhausted — a test under-queued its rolls');
+        return rollQueue.shift();
+    };
+    return {
+        rollDie: () => draw(),
+        rollDice: count => Array.from({ length: count }, draw),
+        rollWithModifier: (count, sides, modifier = 0, description = '') => {
+            const rolls = Array.from({ length: count }, draw);
+            const subtotal = rolls.reduce((sum, value) => sum + value, 0);
+            return { id: 'travel-roll', timestamp: 0, notation: `${count}d${sides}`, dice: { count, sides }, rolls, subtotal, modifier, total: subtotal + modifier, description };
+        },
+    };
+});
+
+import { gameReducer, initialGameState } from './gameReducer.js';
+import { MINUTES_PER_DAY } from '../engine/calendar.js';
+import { countProvisions } from '../engine/travel.js';
+
+const provisions = (rations, torches) => [
+    ...(rations > 0 ? [{ id: 'rations-1', itemKey: 'rations', name: 'Rations (1 day)', type: 'gear', quantity: rations }] : []),
+    ...(torches > 0 ? [{ id: 'torch-1', itemKey: 'torch', name: 'Torch', type: 'gear', quantity: torches }] : []),
+];
+
+/** Astra has walked Aldermill → Ghyll and back, so the road between is known. */
+function makeState({ rations = 4, torches = 2, ...overrides } = {}) {
+    let state = {
+        ...initialGameState,
+        character: { ...initialGameState.character, name: 'Astra', class: 'fighter', level: 1, currentHP: 5, maxHP: 12, abilityScores: { strength: 14, dexterity: 12, constitution: 14, intelligence: 10, wisdom: 10, charisma: 8 }, skillProficiencies: [] },
+        messages: [{ role: 'user', content: 'We set out.' }],
+    };
+    state = gameReducer(state, { type: 'SET_LOCATION', payload: { name: 'Aldermill', profile: { type: 'settlement', danger: 'low', region: 'Vale of Reeds' } } });
+    state = gameReducer(state, { type: 'SET_LOCATION', payload: { name: 'Ghyll', profile: { type: 'wilderness', danger: 'moderate', region: 'Rimefell Marches' } } });
+    state = gameReducer(state, { type: 'SET_LOCATION', payload: 'Aldermill' });
+    return { ...state, inventory: provisions(rations, torches), ...overrides };
+}
+
+const travel = (state, destination) => gameReducer(state, { type: 'START_JOURNEY', payload: { destination } });
+
+beforeEach(() => {
+    rollQueue.length = 0;
+});
+
+describe('routes', () => {
+    it('records the road each arrival came by and counts the visits', () => {
+        const state = makeState();
+        const [aldermill, ghyll] = state.locations;
+        expect(ghyll.arrivedFromIds).toEqual([aldermill.id]);
+        expect(aldermill.arrivedFromIds).toEqual([ghyll.id]);
+        expect([aldermill.visitCount, ghyll.visitCount]).toEqual([2, 1]);
+        const restated = gameReducer(state, { type: 'SET_LOCATION', payload: 'Aldermill' });
+        expect(restated.locations[0].visitCount).toBe(2);
+    });
+});
+
+describe('START_JOURNEY', () => {
+    it('walks the legs, eats and burns provisions, and arrives rested', () => {
+        rollQueue.push(15, 3, 2); // on course, forage fails, quiet road
+        const next = travel(makeState(), 'Ghyll');
+        expect(next.currentLocation).toBe('Ghyll');
+        expect(next.journey).toBeNull();
+        expect(next.calendar.elapsedMinutes).toBe(MINUTES_PER_DAY);
+        expect(countProvisions(next.inventory, 'rations')).toBe(3);
+        expect(countProvisions(next.inventory, 'torch')).toBe(1);
+        const log = next.messages.at(-2);
+        expect(log).toMatchObject({ journeyLine: true, narrationCue: { actionType: 'journey' } });
+        expect(log.content).toBe('**Journey — Aldermill → Ghyll:** Day 1, Rimefell Marches: on course (Survival 15 vs DC 12); foraging failed (3 vs DC 13), 1 ration eaten. 1 day on the road, 1 ration eaten, 1 torch burned. Arrived at Ghyll.');
+        expect(next.messages.at(-1).content).toContain('**Long Rest**');
+        expect(next.character.currentHP).toBe(12);
+    });
+
+    it('halts on an encounter without moving the hero, then resumes', () => {
+        rollQueue.push(4, 18, 19); // lost a day, foraged, trouble
+        const halted = travel(makeState(), 'Ghyll');
+        expect(halted.currentLocation).toBe('Aldermill');
+        expect(halted.journey).toMatchObject({ destination: 'Ghyll', legIndex: 1, daysSpent: 2, status: 'interrupted' });
+        expect(halted.calendar.elapsedMinutes).toBe(2 * MINUTES_PER_DAY);
+        expect(countProvisions(halted.inventory, 'rations')).toBe(4);
+        expect(countProvisions(halted.inventory, 'torch')).toBe(0);
+        expect(halted.messages.at(-1).narrationCue).toMatchObject({ actionType: 'journey_encounter' });
+        expect(halted.messages.at(-1).content).toContain('Day 1–2, Rimefell Marches: lost the way (Survival 4 vs DC 12) and a day with it; foraged enough (18 vs DC 13); trouble on the road — the journey halts.');
+
+        const arrived = gameReducer(halted, { type: 'CONTINUE_JOURNEY' });
+        expect(arrived.currentLocation).toBe('Ghyll');
+        expect(arrived.journey).toBeNull();
+        expect(arrived.messages.at(-2).content).toBe('**Journey — Aldermill → Ghyll:** The last stretch passes without incident. Arrived at Ghyll.');
+    });
+
+    it('goes hungry with no rations and skips the arrival rest', () => {
+        rollQueue.push(15, 3, 2);
+        const next = travel(makeState({ rations: 0, torches: 0 }), 'Ghyll');
+        expect(next.messages.at(-1).content).toContain('the rations ran short — hungry; a dark camp.');
+        expect(next.messages.at(-1).narrationCue.effect).toContain(', hungry');
+        expect(next.character.currentHP).toBe(5);
+    });
+
+    it('runs timed magic down on the road, even when the journey halts short of a rest', () => {
+        rollQueue.push(4, 18, 19);
+        const warded = makeState();
+        const halted = travel({
+            ...warded,
+            character: {
+                ...warded.character,
+                activeEffects: [{ key: 'mageArmor', name: 'Mage Armor', remainingRounds: 4800, acBonus: 3 }],
+                sustainedSpell: { key: 'bless', name: 'Bless', remainingRounds: 10, targetType: 'self' },
+            },
+        }, 'Ghyll');
+        expect(halted.journey).toMatchObject({ status: 'interrupted' });
+        expect(halted.character.activeEffects).toEqual([]);
+        expect(halted.character.sustainedSpell).toBeNull();
+        expect(halted.messages.at(-1).content).toMatch(/short of Ghyll\. Bless fades\. Mage Armor fades\.$/);
+    });
+
+    it('refuses in combat, for unknown places, and while a journey is unfinished', () => {
+        const fighting = makeState({ combat: { ...initialGameState.combat, active: true } });
+        expect(travel(fighting, 'Ghyll').messages.at(-1).content).toBe('There is no setting out in the middle of a fight.');
+        expect(travel(makeState(), 'Atlantis').messages.at(-1).content).toBe('No known place called "Atlantis".');
+        const pending = makeState({ journey: { origin: 'Aldermill', destination: 'Ghyll', legs: [], legIndex: 0, daysSpent: 1 } });
+        expect(travel(pending, 'Ghyll').messages.at(-1).content).toContain('continue or abandon that journey first');
+        expect(rollQueue).toHaveLength(0);
+    });
+});
+
+describe('abandoning and saving a journey', () => {
+    it('abandons an interrupted journey and round-trips one through a save', () => {
+        rollQueue.push(4, 18, 19);
+        const halted = travel(makeState(), 'Ghyll');
+        const loaded = gameReducer(initialGameState, { type: 'LOAD_GAME', payload: halted });
+        expect(loaded.journey).toEqual(halted.journey);
+        const abandoned = gameReducer(loaded, { type: 'ABANDON_JOURNEY' });
+        expect(abandoned.journey).toBeNull();
+        expect(abandoned.messages.at(-1)).toMatchObject({ journeyLine: true, content: '**Journey — Aldermill → Ghyll:** abandoned after 2 days on the road.' });
+    });
+});
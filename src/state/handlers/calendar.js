@@ -0,0 +1,80 @@
+/**
+ * The world clock: PASS_TIME moves the engine-owned calendar (travel, waiting,
+ * scene skips) with the DM time_passed replay guard. Rests and downtime move
+ * it from their own handlers; the arithmetic lives in engine/calendar.js and
+ * the front pressure in engine/worldTempo.js advanceWorldTime. The hero's
+ * timed magic runs down with the clock (shared.js ageTimedMagic). Days
+ * crossed re-enter SURVIVAL_UPKEEP for campaigns playing the survival rules.
+ */
+import { describeCalendar, formatDuration, normalizeTimePassed } from '../../engine/calendar.js';
+import { findExactSourceReplay, findNearbyReplay, rememberLedgerEntry } from '../../engine/replayLedger.js';
+import { advanceWorldTime } from '../../engine/worldTempo.js';
+import { gameReducer } from '../gameReducer.js';
+import { ageTimedMagic, currentMessageIndex, describeTimedMagic, RECENT_TIME_SKIP_LIMIT, systemMessage } from './shared.js';
+
+// Same echo failure as rest_taken: a "three days on the road" narration sits in
+// the DM's message window, and the DM re-emits the skip on the next turns.
+const RECENT_TIME_SKIP_MESSAGE_WINDOW = 8;
+
+export const handlers = {
+    /**
+     * Advance the clock by `payload` (anything normalizeTimePassed accepts).
+     * Week boundaries crossed tick the active fronts; a skip that moved them
+     * is echoed through the world tempo like a downtime stretch.
+     */
+    PASS_TIME(state, action) {
+        const skip = normalizeTimePassed(action.payload);
+        if (!skip || state.character?.isDead || state.combat?.active) return state;
+        const meta = action.meta || {};
+        const messageIndex = currentMessageIndex(state);
+        const recentTimeSkips = state.recentTimeSkips || [];
+        const sourceId = String(meta.sourceId || '').slice(0, 160);
+        const key = String(skip.minutes);
+        if (meta.source === 'dm') {
+            const exactReplay = findExactSourceReplay(recentTimeSkips, sourceId);
+            const nearbyReplay = findNearbyReplay(recentTimeSkips, {
+                key,
+                messages: state.messages,
+                currentIndex: messageIndex,
+                window: RECENT_TIME_SKIP_MESSAGE_WINDOW,
+            });
+            if (exactReplay || nearbyReplay) {
+                return {
+                    ...state,
+                    recentTimeSkips: rememberLedgerEntry(recentTimeSkips, { sourceId, key, messageIndex, cap: RECENT_TIME_SKIP_LIMIT }),
+                };
+            }
+        }
+
+        const time = advanceWorldTime(state, skip.minutes);
+        const aged = ageTimedMagic(state, skip.minutes);
+        const worldTempo = time.advancedFrontIds.length > 0
+            ? {
+                ...state.worldTempo,
+                lastTimeSkip: {
+                    days: time.days,
+                    reason: skip.reason,
+                    atMessage: state.messages.length,
+                    frontIds: time.advancedFrontIds,
+                },
+            }
+            : state.worldTempo;
+        const next = {
+            ...state,
+            calendar: time.calendar,
+            fronts: time.fronts,
+            worldTempo,
+            character: aged.character,
+            party: aged.party,
+            inventory: aged.inventory,
+            messages: [
+                ...state.messages,
+                systemMessage(`**Time passes:** ${formatDuration(skip.minutes)}${skip.reason ? ` — ${skip.reason}` : ''}. It is now ${describeCalendar(time.calendar)}.${describeTimedMagic(aged)}`),
+            ],
+            recentTimeSkips: rememberLedgerEntry(recentTimeSkips, { sourceId, key, messageIndex, cap: RECENT_TIME_SKIP_LIMIT }),
+        };
+        return time.days > 0
+            ? gameReducer(next, { type: 'SURVIVAL_UPKEEP', payload: { days: time.days, reason: skip.reason } })
+            : next;
+    },
+};
@@ -1,20 +1,58 @@
 /**
  * Character domain: creation/update, ability score improvements, damage &
- * healing, the death-save state machine, XP/levels, and conditions.
+ * healing, the death-save state machine, XP/levels (and the multiclass
+ * level-up choice), and conditions.
  */
-import { computeACFromInventory, getModifier } from '../../engine/rules.js';
-import { ABILITY_NAMES, normalizeAbilityScoreImprovementState, normalizeFightingStyle, normalizeMartialArchetype } from '../../engine/characterUtils.js';
-import { awardExperience } from '../../engine/progression.js';
+import { computeACFromInventory, ENCUMBRANCE_LEVELS, EXHAUSTION_MAX, getExhaustionLevel, getFeatHitPointsPerLevel, getHeroMaxHP, getModifier } from '../../engine/rules.js';
+import { FEATS, sanitizeFeats } from '../../data/feats.js';
+import { isSurvivalEnabled, withExhaustion } from '../../engine/survival.js';
+import { ABILITY_NAMES, buildCharacterResources, canTakeFeat, normalizeAbilityScoreImprovementState, normalizeFightingStyle, normalizeMartialArchetype } from '../../engine/characterUtils.js';
+import { applyPendingLevelUp, awardExperience } from '../../engine/progression.js';
+import { isMulticlassingEnabled } from '../../engine/multiclass.js';
+import { applyHeroDamageDefenses, applyRelentlessEndurance, createRelentlessEnduranceState } from '../../engine/combatMath.js';
+import { DAMAGE_DEFENSE_NAMES, describeDamageDefense } from '../../engine/damageDefenses.js';
 import {
     applyDeath,
     applyEarlyDefeat,
     isLowLevelSolo,
     reviveCharacter,
+    spendRelentlessEndurance,
     systemMessage,
     withCondition,
     withInventoryAndAC,
 } from './shared.js';
 
+/**
+ * Spend a pending Ability Score Improvement on a feat instead. Tough's hit
+ * points arrive at once for every level already gained; Lucky's luck points
+ * start full.
+ */
+function takeFeat(state, key) {
+    const check = canTakeFeat(state.character, key);
+    if (!check.ok) return { ...state, messages: [...state.messages, systemMessage(check.reason)] };
+    const feats = [...sanitizeFeats(state.character.feats), key];
+    const hpGain = (getFeatHitPointsPerLevel(feats) - getFeatHitPointsPerLevel(state.character.feats)) * (state.character.level || 1);
+    const withFeat = { ...state.character, feats };
+    const improvedCharacter = {
+        ...withFeat,
+        maxHP: state.character.maxHP + hpGain,
+        currentHP: state.character.currentHP + hpGain,
+        classResources: buildCharacterResources(withFeat),
+        abilityScoreImprovementsApplied: (state.character.abilityScoreImprovementsApplied || 0) + 1,
+        pendingAbilityScoreImprovements: Math.max(0, (state.character.pendingAbilityScoreImprovements || 0) - 1),
+    };
+    return {
+        ...state,
+        character: improvedCharacter,
+        messages: [
+            ...state.messages,
+            systemMessage(`**Feat gained:** ${FEATS[key].name} — ${FEATS[key].summary}${hpGain > 0 ? ` Maximum HP +${hpGain}.` : ''}`),
+        ],
+    };
+}
+
+const isExhaustionCondition = condition => ['exhaustion', 'exhausted'].includes(String(condition).toLowerCase().trim());
+
 export const handlers = {
     START_CHARACTER(state, action) {
         const inventory = Array.isArray(action.payload.inventory) ? action.payload.inventory : [];
@@ -43,6 +81,7 @@ export const handlers = {
 
     APPLY_ABILITY_SCORE_IMPROVEMENT(state, action) {
         if (!state.character?.pendingAbilityScoreImprovements) return state;
+        if (action.payload?.feat) return takeFeat(state, action.payload.feat);
         const increases = action.payload?.increases || {};
         const entries = Object.entries(increases)
             .filter(([ability, value]) => ABILITY_NAMES.includes(ability) && Number.isInteger(value) && value > 0);
@@ -73,6 +112,8 @@ export const handlers = {
             abilityScores,
             maxHP: state.character.maxHP + hpGain,
             currentHP: Math.min(state.character.maxHP + hpGain, state.character.currentHP + hpGain),
+            // Charisma-scaled uses (Bardic Inspiration, Divine Sense) grow with the score.
+            classResources: buildCharacterResources({ ...state.character, abilityScores }),
             abilityScoreImprovementsApplied: (state.character.abilityScoreImprovementsApplied || 0) + 1,
             pendingAbilityScoreImprovements: Math.max(0, (state.character.pendingAbilityScoreImprovements || 0) - 1),
         };
@@ -89,9 +130,25 @@ export const handlers = {
 
     TAKE_DAMAGE(state, action) {
         const prevHP = state.character.currentHP;
-        const newHP = Math.max(0, prevHP - action.payload);
-        let character = { ...state.character, currentHP: newHP };
         const messages = [...state.messages];
+        // A bare number is damage already settled (an exchange, a rolled hit);
+        // `{ amount, damageType }` is raw typed harm the hero's defenses still apply to.
+        let damage = action.payload;
+        if (action.payload && typeof action.payload === 'object') {
+            const { amount, damageType } = action.payload;
+            const defended = applyHeroDamageDefenses(state.character, state.inventory, amount, damageType);
+            damage = defended.damage;
+            if (defended.defense) {
+                messages.push(systemMessage(`**${damageType} ${DAMAGE_DEFENSE_NAMES[defended.defense]}** — ${describeDamageDefense({ damageType, defense: defended.defense })} for ${state.character.name || 'the hero'}: ${amount} → **${damage}** damage.`));
+            }
+        }
+        const endurance = applyRelentlessEndurance(prevHP, damage, createRelentlessEnduranceState(state.character));
+        if (endurance.applied) {
+            messages.push(systemMessage(`**Relentless Endurance** — ${state.character.name} refuses to fall and drops to 1 HP instead.`));
+            return { ...state, character: spendRelentlessEndurance({ ...state.character, currentHP: 1 }), messages };
+        }
+        const newHP = Math.max(0, prevHP - damage);
+        let character = { ...state.character, currentHP: newHP };
         const earlyDefeatProtected = isLowLevelSolo(state.character, state.party);
 
         if (newHP === 0 && prevHP > 0 && !character.isDead) {
@@ -105,7 +162,7 @@ export const handlers = {
                 character = withCondition(character, 'Unconscious');
                 messages.push(systemMessage(`💔 **${character.name} falls!** You are unconscious at 0 HP and DYING. Each round, a death saving throw decides your fate — three successes stabilize you, three failures end your story.`));
             }
-        } else if (prevHP === 0 && character.dying && action.payload > 0) {
+        } else if (prevHP === 0 && character.dying && damage > 0) {
             if (earlyDefeatProtected) {
                 character = applyEarlyDefeat(character);
                 messages.push(systemMessage('**Defeat deepens.** The hit worsens the setback, but low-level solo protection prevents a death-save spiral. The DM should turn this into capture, loss, leverage, or a narrow escape.'));
@@ -128,7 +185,7 @@ export const handlers = {
     HEAL(state, action) {
         if (action.payload <= 0 || state.character.isDead) return state;
         const healed = Math.min(
-            state.character.maxHP,
+            getHeroMaxHP(state.character),
             Math.max(0, state.character.currentHP) + action.payload
         );
         let character = { ...state.character, currentHP: healed };
@@ -200,6 +257,7 @@ export const handlers = {
     ADD_EXP(state, action) {
         const result = awardExperience(state.character, action.payload, {
             reason: action.reason,
+            chooseClass: isMulticlassingEnabled(state),
         });
         return {
             ...state,
@@ -213,6 +271,26 @@ export const handlers = {
     ADD_CONDITION(state, action) {
         const existing = state.character.conditions || [];
         if (existing.includes(action.payload)) return state;
+        // Encumbrance is derived from the load every roll (getHeroConditions);
+        // a stored copy would outlive dropping the gear.
+        if (ENCUMBRANCE_LEVELS.includes(String(action.payload).toLowerCase().trim())) return state;
+        // Under the survival rules a DM's "exhaustion" is one more level, not a flat condition.
+        if (isExhaustionCondition(action.payload) && isSurvivalEnabled(state) && !state.character.isDead) {
+            const level = getExhaustionLevel(state.character) + 1;
+            const character = withExhaustion(state.character, level);
+            if (level < EXHAUSTION_MAX) {
+                return {
+                    ...state,
+                    character,
+                    messages: [...state.messages, systemMessage(`**Exhaustion** rises to level ${level}.`, { survivalLine: true })],
+                };
+            }
+            return {
+                ...state,
+                character: applyDeath({ ...character, currentHP: 0 }),
+                messages: [...state.messages, systemMessage(`**Exhaustion** reaches level ${EXHAUSTION_MAX} — ${state.character.name} dies.`, { survivalLine: true })],
+            };
+        }
         return {
             ...state,
             character: { ...state.character, conditions: [...existing, action.payload] },
@@ -221,6 +299,9 @@ export const handlers = {
 
     REMOVE_CONDITION(state, action) {
         const existing = state.character.conditions || [];
+        if (isExhaustionCondition(action.payload) && getExhaustionLevel(state.character) > 0 && !existing.includes(action.payload)) {
+            return { ...state, character: withExhaustion(state.character, getExhaustionLevel(state.character) - 1) };
+        }
         return {
             ...state,
             character: { ...state.character, conditions: existing.filter(c => c !== action.payload) },
@@ -231,6 +312,7 @@ export const handlers = {
         const result = awardExperience(state.character, action.payload?.bonusExp || 0, {
             milestoneLevelUp: true,
             reason: action.payload?.reason || 'milestone',
+            chooseClass: isMulticlassingEnabled(state),
         });
         return {
             ...state,
@@ -239,4 +321,19 @@ export const handlers = {
             combat: state.combat.active ? { ...state.combat, xpAwarded: true } : state.combat,
         };
     },
+
+    // The sheet's Level Up section: spend one banked level on the chosen class
+    // (`{ className, skill?, fightingStyle? }` — the last two for a new class).
+    APPLY_LEVEL_UP(state, action) {
+        if (!state.character || state.character.isDead) return state;
+        const result = applyPendingLevelUp(state.character, action.payload?.className, {
+            skill: action.payload?.skill,
+            fightingStyle: action.payload?.fightingStyle,
+        });
+        if (result.error) {
+            return { ...state, messages: [...state.messages, systemMessage(result.error)] };
+        }
+        const leveledState = withInventoryAndAC({ ...state, character: result.character }, state.inventory);
+        return { ...leveledState, messages: [...leveledState.messages, result.message] };
+    },
 };
@@ -2,9 +2,10 @@
  * Combat: start/end, the intent lock, atomic exchange commits, narration
  * acknowledgement, and enemy HP updates.
  */
-import { computeACFromInventory, getModifier } from '../../engine/rules.js';
+import { computeACFromInventory, getHeroMaxHP, getInitiativeModifier, getModifier, hasFeat } from '../../engine/rules.js';
 import { rollDie, rollWithModifier } from '../../engine/dice.ts';
 import { awardExperience, estimateCombatExperience } from '../../engine/progression.js';
+import { isMulticlassingEnabled } from '../../engine/multiclass.js';
 import {
     clampEnemyAC,
     clampEnemyCurrentHP,
@@ -14,11 +15,17 @@ import {
     normalizeEnemyConditions,
     validateEnemySaveBonus,
 } from '../../engine/enemyStats.js';
-import { COMBAT_PHASES, exchangeEventLines, isEnemyActive, mergeCharacterUpdates, reconcileStartingCombatExchange } from '../../engine/combatExchange.js';
-import { appendRecentEncounter, buildEncounterEntry } from '../../engine/worldTempo.js';
+import { COMBAT_PHASES, exchangeEventLines, isCompanionActive, isEnemyActive, mergeCharacterUpdates, reconcileStartingCombatExchange } from '../../engine/combatExchange.js';
+import { DEFAULT_ENEMY_RANGE, normalizeRangeBand } from '../../engine/rangeBands.js';
+import { advanceEffects, ROUNDS_PER_MINUTE } from '../../engine/activeEffects.js';
+import { normalizeDamageDefenses } from '../../engine/damageDefenses.js';
+import { findMonster } from '../../data/monsters.js';
+import { applyItemCharges } from '../../engine/magicItems.js';
+import { appendRecentEncounter, buildEncounterEntry, normalizePaceDial } from '../../engine/worldTempo.js';
+import { fitEncounterToBudget } from '../../engine/encounterBudget.js';
 import { initialGameState } from '../initialState.js';
 import { gameReducer } from '../gameReducer.js';
-import { appendRollHistory, clearSustainedSpellState, reviveCharacter, systemMessage } from './shared.js';
+import { appendRollHistory, clearSustainedSpellState, reviveCharacter, spendRelentlessEndurance, systemMessage } from './shared.js';
 
 function canonicalCombatEnemyId(enemy, index, usedIds) {
     const fragment = String(enemy?.id || enemy?.name || index + 1)
@@ -44,10 +51,15 @@ function normalizeCombatEnemy(enemy, index, usedIds) {
     // though the parser already ran); otherwise the roll resolver fills flat defaults at roll
     // time, so older saves whose enemies lack these fields still work.
     const attackProfile = normalizeEnemyAttackProfile(enemy);
-    // Drop the raw attackBonus/damage/saveBonus before spreading so an out-of-range value
+    // Drop the raw attackBonus/damage/saveBonus/damageType before spreading so an out-of-range value
     // can't survive when the validated profile omits it; re-add only the sanitized fields.
-    const { attackBonus: _rawAb, damage: _rawDmg, saveBonus: _rawSb, ...rest } = enemy || {};
+    const {
+        attackBonus: _rawAb, damage: _rawDmg, saveBonus: _rawSb, damageType: _rawType, attackRange: _rawReach, range: _rawRange, monster: _rawMonster,
+        resistances: _rawResist, vulnerabilities: _rawVulnerable, immunities: _rawImmune,
+        ...rest
+    } = enemy || {};
     const saveBonus = validateEnemySaveBonus(enemy?.saveBonus);
+    const monster = findMonster(enemy?.monster);
 
     return {
         ...rest,
@@ -58,6 +70,9 @@ function normalizeCombatEnemy(enemy, index, usedIds) {
         ac,
         ...attackProfile,
         ...(saveBonus !== undefined && { saveBonus }),
+        ...(monster && { monster: monster.key }),
+        ...normalizeDamageDefenses(monster || enemy),
+        range: normalizeRangeBand(enemy?.range) || DEFAULT_ENEMY_RANGE,
         initiative,
         condition: enemyHealthCondition(hp, hp),
         conditions: normalizeEnemyConditions(enemy?.conditions),
@@ -67,19 +82,38 @@ function normalizeCombatEnemy(enemy, index, usedIds) {
     };
 }
 
+/** The system line for an over-budget combat_start: who stays out of the fight. */
+function describeBudgetFit(fitted, paceDial) {
+    const one = fitted.heldBack.length === 1;
+    const names = fitted.heldBack.map(enemy => `**${enemy.name}**`).join(', ');
+    return `**Encounter budget** — the declared fight was ${fitted.original.grade} for this party, past the ${paceDial} pace: ${names} ${one ? 'holds' : 'hold'} back and ${one ? 'stays' : 'stay'} out of this fight, which now reads ${fitted.graded.grade}.`;
+}
+
 export const handlers = {
     START_COMBAT(state, action) {
-        // Track exactly the enemies the DM declared — no count or HP trimming. Encounter
-        // difficulty for low-level solo play is steered by the system prompt instead, so
-        // the narrative and the tracked combatants always stay 1:1.
+        // Track the enemies the DM declared, with no HP trimming; the prompt still
+        // steers low-level solo difficulty.
         const usedEnemyIds = new Set();
-        const enemies = (Array.isArray(action.payload?.enemies) ? action.payload.enemies : [])
+        const declared = (Array.isArray(action.payload?.enemies) ? action.payload.enemies : [])
             .map((enemy, index) => normalizeCombatEnemy(enemy, index, usedEnemyIds));
-        if (enemies.length === 0) return state;
+        if (declared.length === 0) return state;
+        // The encounter budget is the one exception to 1:1 tracking: a group
+        // past the pace dial's ceiling has its weakest extras held back, and
+        // the system line below tells the DM who.
+        const budget = {
+            level: state.character?.level ?? 1,
+            partySize: 1 + (state.party || []).filter(isCompanionActive).length,
+            paceDial: normalizePaceDial(state.settings?.paceDial),
+        };
+        const fitted = fitEncounterToBudget(declared, budget);
+        const enemies = fitted.enemies;
         const dexMod = state.character?.abilityScores
             ? getModifier(state.character.abilityScores.dexterity)
             : 0;
-        const playerInitiativeRoll = rollWithModifier(1, 20, dexMod, 'Initiative');
+        // Alert: +5 on top of DEX, and the hero is never caught surprised.
+        const alert = hasFeat(state.character, 'alert');
+        const initiativeMod = getInitiativeModifier(state.character);
+        const playerInitiativeRoll = rollWithModifier(1, 20, initiativeMod, 'Initiative');
         const companionInitiatives = (state.party || []).map(c => ({
             companion: c,
             initiative: rollDie(20),
@@ -98,7 +132,8 @@ export const handlers = {
         ].sort((a, b) => b.initiative - a.initiative);
         const playerIdx = turnOrder.findIndex(actor => actor.type === 'player');
         const actorsBeforePlayer = playerIdx > 0 ? turnOrder.slice(0, playerIdx) : [];
-        const surprise = action.payload?.surprise;
+        const surpriseAlerted = action.payload?.surprise === 'player' && alert;
+        const surprise = surpriseAlerted ? 'none' : action.payload?.surprise;
         const openingActors = surprise === 'player'
             ? turnOrder.filter(actor => actor.type === 'enemy' || (actor.type === 'companion' && actorsBeforePlayer.includes(actor)))
             : surprise === 'enemies'
@@ -127,11 +162,19 @@ export const handlers = {
                 lastExchangeResult: null,
                 resolvedExchangeIds: [],
                 flankedEnemyIds: [],
+                encounter: {
+                    grade: fitted.graded.grade,
+                    adjustedXp: fitted.graded.adjustedXp,
+                    thresholds: fitted.graded.thresholds,
+                    ...budget,
+                    ...(fitted.original.grade !== fitted.graded.grade && { declaredGrade: fitted.original.grade }),
+                },
             },
             rollHistory: appendRollHistory(state.rollHistory, playerInitiativeRoll),
             messages: [
                 ...state.messages,
-                systemMessage(`**Initiative** — ${state.character?.name || 'You'} rolled **${playerInitiativeRoll.total}** (d20: ${playerInitiativeRoll.rolls.join(', ')}${dexMod ? `, DEX ${dexMod >= 0 ? '+' : ''}${dexMod}` : ''}).`),
+                systemMessage(`**Initiative** — ${state.character?.name || 'You'} rolled **${playerInitiativeRoll.total}** (d20: ${playerInitiativeRoll.rolls.join(', ')}${dexMod ? `, DEX ${dexMod >= 0 ? '+' : ''}${dexMod}` : ''}${alert && initiativeMod !== dexMod ? `, Alert +${initiativeMod - dexMod}` : ''}).${surpriseAlerted ? ' **Alert** — not surprised.' : ''}`),
+                ...(fitted.heldBack.length > 0 ? [systemMessage(describeBudgetFit(fitted, budget.paceDial))] : []),
             ],
         };
     },
@@ -151,7 +194,7 @@ export const handlers = {
                 buildEncounterEntry(state, action.payload || {}),
             ),
         };
-        // Combat's end releases the caster's sustained spell (v1 concentration).
+        // Combat's end releases the caster's concentration spell.
         // Announce it: the fade was silent, so the DM's next narration kept
         // asserting the ward still held ("you are already protected") while the
         // real AC had dropped — live playtest #7. The system line reaches the
@@ -169,6 +212,21 @@ export const handlers = {
                 ],
             };
         }
+        // The fight's aftermath takes about a minute: round-long effects (a
+        // Spiritual Weapon) end with it, hour-long ones (Mage Armor) carry on.
+        if (newState.character?.activeEffects?.length) {
+            const { active, expired } = advanceEffects(newState.character.activeEffects, ROUNDS_PER_MINUTE);
+            const character = { ...newState.character, activeEffects: active };
+            newState = {
+                ...newState,
+                character: expired.some(effect => effect.acBonus)
+                    ? { ...character, armorClass: computeACFromInventory(newState.inventory || [], character) }
+                    : character,
+                messages: expired.length > 0
+                    ? [...newState.messages, systemMessage(`${expired.map(effect => `**${effect.name}**`).join(' and ')} ${expired.length === 1 ? 'fades' : 'fade'} as the fight ends.`)]
+                    : newState.messages,
+            };
+        }
         // A companion down at combat's end is stable — no bleed-out mechanic by
         // design (death stays behind the deliberate remove_companions channel).
         // One visible line so the player knows they're recoverable, not lost.
@@ -198,6 +256,7 @@ export const handlers = {
                     reason: slainXpOnly
                         ? `foes slain before the fight ended: ${enemyNames || 'enemies'}`
                         : `battle complete: ${enemyNames || 'enemies'}`,
+                    chooseClass: isMulticlassingEnabled(newState),
                 });
                 newState = {
                     ...newState,
@@ -237,7 +296,7 @@ export const handlers = {
         // Spell healing lands before enemy damage — that is the order the
         // exchange resolved in (player casts, then foes act on the new HP).
         if (Number.isFinite(payload.playerHealing) && payload.playerHealing > 0 && next.character) {
-            const healedTo = Math.min(next.character.maxHP, (next.character.currentHP || 0) + payload.playerHealing);
+            const healedTo = Math.min(getHeroMaxHP(next.character), (next.character.currentHP || 0) + payload.playerHealing);
             next = { ...next, character: reviveCharacter({ ...next.character, currentHP: healedTo }) };
         }
         if (Number.isFinite(payload.playerDamage) && payload.playerDamage > 0) {
@@ -263,13 +322,23 @@ export const handlers = {
         // Channel Divinity, condition deltas) atomically with the exchange.
         if (character && payload.characterUpdates) {
             character = mergeCharacterUpdates(character, payload.characterUpdates);
-            if ('sustainedSpell' in payload.characterUpdates) {
+            if ('sustainedSpell' in payload.characterUpdates || 'activeEffects' in payload.characterUpdates) {
                 character = { ...character, armorClass: computeACFromInventory(next.inventory || [], character) };
             }
         }
+        // The exchange already held the hero at 1 HP; only the charge is left to spend.
+        // It lands after the player-side updates, which carry pre-exchange resources.
+        if (character && payload.relentlessEndurance) {
+            character = spendRelentlessEndurance(character);
+        }
+        // Item-cast spells spend their magic item's charges with the same commit.
+        const inventory = payload.itemCharges && Array.isArray(next.inventory)
+            ? applyItemCharges(next.inventory, payload.itemCharges)
+            : next.inventory;
         return {
             ...next,
             character,
+            inventory,
             party: Array.isArray(payload.party) ? payload.party : next.party,
             rollHistory: appendRollHistory(next.rollHistory, Array.isArray(payload.rolls) ? payload.rolls : []),
             messages: [...next.messages.slice(0, preExchangeMessageCount), ...resultMessages, ...statusMessages],
@@ -0,0 +1,173 @@
+/**
+ * Downtime: starting, working and abandoning the hero's one downtime project
+ * (craft, brew, work, research, train). Tables and rules live in
+ * engine/downtime.js; the days spent run the calendar and the fronts forward.
+ */
+import { ITEM_CATALOG, normalizeItem } from '../../data/items.js';
+import { SKILL_LABELS } from '../../engine/characterUtils.js';
+import { addCurrency, characterCurrencyToCopper, formatCurrency, spendCurrency } from '../../engine/currency.js';
+import {
+    describeDowntimeProject,
+    DOWNTIME_MAX_STRETCH_DAYS,
+    isDowntimeSafe,
+    planDowntimeProject,
+    workDowntimeDays,
+} from '../../engine/downtime.js';
+import { MINUTES_PER_DAY } from '../../engine/calendar.js';
+import { getCurrentLocationRecord } from '../../engine/locationRegistry.js';
+import { advanceWorldTime } from '../../engine/worldTempo.js';
+import { gameReducer } from '../gameReducer.js';
+import { ageTimedMagic, describeTimedMagic, mintOwnedItem, systemMessage, withInventoryAndAC } from './shared.js';
+
+// Downtime lines reach the DM's history window (buildMessageWindow) like shop
+// lines: the engine settled the days without a DM turn.
+function downtimeMessage(content, extra = {}) {
+    return systemMessage(content, { downtimeLine: true, ...extra });
+}
+
+function refuse(state, content) {
+    return { ...state, messages: [...state.messages, systemMessage(content)] };
+}
+
+/** The reason downtime can't happen right now, or '' when it can. */
+function downtimeBlocker(state) {
+    if (state.character?.isDead) return 'The dead have no downtime.';
+    if (state.combat?.active) return 'There is no downtime in the middle of a fight.';
+    if (!isDowntimeSafe(getCurrentLocationRecord(state.locations, state.currentLocation))) {
+        return 'Downtime needs somewhere safe to stay put — a town or a haven, not the road or hostile ground.';
+    }
+    return '';
+}
+
+/** Hand over what a finished project produced; returns the next state and a result phrase. */
+function completeProject(state, project) {
+    if (project.activity === 'craft' || project.activity === 'brew') {
+        const item = normalizeItem({ itemKey: project.itemKey, quantity: project.quantity });
+        const next = withInventoryAndAC(state, [...state.inventory, mintOwnedItem(item, { quantity: project.quantity })]);
+        return { state: next, result: `${project.quantity > 1 ? `${project.quantity}x ` : ''}${ITEM_CATALOG[project.itemKey].name} finished` };
+    }
+    if (project.activity === 'train') {
+        const skillProficiencies = [...new Set([...(state.character.skillProficiencies || []), project.skill])];
+        return {
+            state: { ...state, character: { ...state.character, skillProficiencies } },
+            result: `now proficient in ${SKILL_LABELS[project.skill] || project.skill}`,
+        };
+    }
+    if (project.activity === 'research') {
+        return { state, result: `the research into ${project.topic} is done — the DM reveals what it turned up` };
+    }
+    return { state, result: 'the workweek is done' };
+}
+
+export const handlers = {
+    BEGIN_DOWNTIME(state, action) {
+        const blocker = downtimeBlocker(state);
+        if (blocker) return refuse(state, blocker);
+        if (state.character.downtime) {
+            return refuse(state, `Finish or abandon "${state.character.downtime.label}" before starting another downtime project.`);
+        }
+        const { activity, ...options } = action.payload || {};
+        const plan = planDowntimeProject(activity, options, { character: state.character, inventory: state.inventory });
+        if (plan.error) return refuse(state, plan.error);
+        const payment = spendCurrency(state.character, plan.project.upfrontCp);
+        if (!payment.paid) {
+            return refuse(state, `Cannot start ${plan.project.label} — materials cost ${formatCurrency(plan.project.upfrontCp)}, missing ${formatCurrency(payment.missingCp)}.`);
+        }
+        const paidNote = plan.project.upfrontCp > 0 ? ` Materials bought for ${formatCurrency(plan.project.upfrontCp)}.` : '';
+        return {
+            ...state,
+            character: { ...payment.character, downtime: plan.project },
+            messages: [
+                ...state.messages,
+                downtimeMessage(`**Downtime — ${plan.project.label}:** ${plan.project.daysNeeded} day${plan.project.daysNeeded === 1 ? '' : 's'} of work ahead.${paidNote}`),
+            ],
+        };
+    },
+
+    /**
+     * Spend up to `payload.days` on the current project. The days run the
+     * calendar forward (ticking the fronts per week crossed), the stretch
+     * ends with a long rest whose nights are already counted in those days,
+     * and a finished project hands over its result with a narration cue.
+     */
+    SPEND_DOWNTIME(state, action) {
+        const project = state.character?.downtime;
+        if (!project) return state;
+        const blocker = downtimeBlocker(state);
+        if (blocker) return refuse(state, blocker);
+        const days = Math.max(1, Math.min(DOWNTIME_MAX_STRETCH_DAYS, Math.trunc(action.payload?.days) || 1));
+        const stretch = workDowntimeDays(project, days, characterCurrencyToCopper(state.character));
+        if (stretch.daysWorked === 0) {
+            return refuse(state, `Cannot afford another day of ${project.label} — it costs ${formatCurrency(project.dailyCostCp)} a day.`);
+        }
+
+        let character = spendCurrency(state.character, stretch.costCp).character;
+        if (stretch.wageCp > 0) character = addCurrency(character, { copper: stretch.wageCp });
+        character = { ...character, downtime: stretch.complete ? null : stretch.project };
+
+        const time = advanceWorldTime(state, stretch.daysWorked * MINUTES_PER_DAY);
+        const aged = ageTimedMagic({ ...state, character }, stretch.daysWorked * MINUTES_PER_DAY);
+        const timedMagic = describeTimedMagic(aged);
+        let next = {
+            ...state,
+            character: aged.character,
+            party: aged.party,
+            inventory: aged.inventory,
+            calendar: time.calendar,
+            fronts: time.fronts,
+            worldTempo: {
+                ...state.worldTempo,
+                lastDowntime: {
+                    days: stretch.daysWorked,
+                    label: project.label,
+                    atMessage: state.messages.length,
+                    frontIds: time.advancedFrontIds,
+                },
+            },
+        };
+
+        const ledger = [
+            stretch.costCp > 0 && `paid ${formatCurrency(stretch.costCp)}`,
+            stretch.wageCp > 0 && `earned ${formatCurrency(stretch.wageCp)}`,
+        ].filter(Boolean).join(', ');
+        const spent = `${stretch.daysWorked} day${stretch.daysWorked === 1 ? '' : 's'}`;
+        if (stretch.complete) {
+            const completion = completeProject(next, project);
+            next = completion.state;
+            next.messages = [...next.messages, downtimeMessage(
+                `**Downtime — ${project.label}:** ${spent} spent${ledger ? ` (${ledger})` : ''}; ${completion.result}.${timedMagic}`,
+                {
+                    narrationCue: {
+                        type: 'player_mechanic',
+                        mechanic: 'Downtime',
+                        actionType: 'downtime',
+                        effect: `${state.character.name} spends ${spent} of downtime and completes: ${project.label}${project.activity === 'research' ? '. Reveal one concrete, useful finding about the topic' : ''}`,
+                    },
+                },
+            )];
+        } else {
+            const stoppedShort = stretch.daysWorked < days && stretch.project.daysDone < stretch.project.daysNeeded
+                ? ' The purse ran dry before the stretch was out.'
+                : '';
+            next.messages = [...next.messages, downtimeMessage(
+                `**Downtime — ${project.label}:** ${spent} spent${ledger ? ` (${ledger})` : ''}; ${describeDowntimeProject(stretch.project)}.${stoppedShort}${timedMagic}`,
+            )];
+        }
+        next = gameReducer(next, { type: 'SURVIVAL_UPKEEP', payload: { days: stretch.daysWorked, reason: project.label } });
+        if (next.character.isDead) return next;
+        return gameReducer(next, { type: 'TAKE_REST', payload: 'long', meta: { passesTime: false } });
+    },
+
+    ABANDON_DOWNTIME(state) {
+        const project = state.character?.downtime;
+        if (!project) return state;
+        return {
+            ...state,
+            character: { ...state.character, downtime: null },
+            messages: [
+                ...state.messages,
+                downtimeMessage(`**Downtime — ${project.label}:** abandoned after ${project.daysDone} day${project.daysDone === 1 ? '' : 's'}; materials and fees are not refunded.`),
+            ],
+        };
+    },
+};
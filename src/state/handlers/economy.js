@@ -2,10 +2,11 @@
  * Coin and trade: replay-guarded coin grants/losses, the Scribe payment audit,
  * and one-shot purchase/sale transactions.
  */
-import { normalizeItem, normalizeItemKey } from '../../data/items.js';
+import { ITEM_CATALOG, normalizeItem, normalizeItemKey } from '../../data/items.js';
 import { addCurrency, formatCurrency, spendCurrency } from '../../engine/currency.js';
 import { MAX_COIN_EVENT } from '../../config/contentLimits.js';
 import { conversationalDistance } from '../../engine/replayLedger.js';
+import { adjustStock, quoteCatalogPurchase, quoteSale, shelveSoldItem } from '../../engine/merchants.js';
 import {
     consumeItem,
     currentMessageIndex,
@@ -30,7 +31,7 @@ const MAX_SALE_PROCEEDS_CP = 1000000;
 const PURCHASE_VERB_RE = /\b(buy|buys|buying|bought|purchase|purchases|purchasing|purchased|pay|pays|paying|paid|order|orders|ordering|ordered|take|takes|taking|grab|grabs|grabbing|get|gets|getting)\b/i;
 const SALE_VERB_RE = /\b(sell|sells|selling|sold|pawn|pawns|pawning|pawned|trade|trades|trading|traded|offer|offers|offering|offered|unload|unloads|unloading|fence|fences|fencing|fenced)\b/i;
 
-function buildPurchaseTransaction(payload = {}) {
+function buildPurchaseTransaction(payload = {}, state = {}) {
     const root = payload && typeof payload === 'object'
         ? payload
         : { name: String(payload || '') };
@@ -50,11 +51,17 @@ function buildPurchaseTransaction(payload = {}) {
     // quantity would mint an arbitrary stack for a trivial fixed price. Negative or
     // fractional prices are hostile input on the same boundary.
     const quantity = Math.max(1, Math.min(MAX_PURCHASE_QUANTITY, Math.trunc(item.quantity || 1)));
-    const rawPriceCp = Number.isFinite(root.priceCp)
-        ? root.priceCp
-        : Number.isFinite(item.valueCp)
-            ? item.valueCp * quantity
-            : 0;
+    // Catalog goods are engine-priced (engine/merchants.js): the local merchant
+    // who stocks them, with its haggle, at the place's regional multiplier.
+    // The DM's priceCp only prices goods the catalog doesn't know.
+    const quote = item.itemKey && ITEM_CATALOG[item.itemKey] ? quoteCatalogPurchase(state, item, quantity) : null;
+    const rawPriceCp = quote
+        ? quote.unitCp * quantity
+        : Number.isFinite(root.priceCp)
+            ? root.priceCp
+            : Number.isFinite(item.valueCp)
+                ? item.valueCp * quantity
+                : 0;
     const priceCp = Math.max(0, Math.trunc(rawPriceCp));
     const identity = normalizeItemKey(item.itemKey || item.key || item.name)
         || normalizeRefToken(item.itemKey || item.name);
@@ -62,6 +69,7 @@ function buildPurchaseTransaction(payload = {}) {
         item,
         quantity,
         priceCp,
+        merchant: quote?.merchant || null,
         signature: `${identity || normalizeRefToken(item.name)}|${quantity}|${Math.max(0, Math.trunc(priceCp))}`,
     };
 }
@@ -561,8 +569,8 @@ export const handlers = {
     },
 
     PURCHASE_ITEM(state, action) {
-        const transaction = buildPurchaseTransaction(action.payload);
-        const { item, quantity, priceCp } = transaction;
+        const transaction = buildPurchaseTransaction(action.payload, state);
+        const { item, quantity, priceCp, merchant } = transaction;
         const meta = action.payload?._meta || {};
         const sourceId = String(meta.sourceId || '').slice(0, 160);
         // Pass messages so the window measures conversational distance — without
@@ -596,6 +604,7 @@ export const handlers = {
         const nextState = {
             ...state,
             character: payment.character,
+            ...(merchant ? { merchants: state.merchants.map(entry => (entry.id === merchant.id ? adjustStock(merchant, item.itemKey, -quantity) : entry)) } : {}),
             recentPurchases: rememberTransaction(state.recentPurchases, transaction, sourceId, currentMessageIndex(state)),
             messages: [
                 ...state.messages,
@@ -607,9 +616,10 @@ export const handlers = {
 
     SELL_ITEM(state, action) {
         // Atomic sale (DM-driven, at a merchant). Find the item, remove the sold
-        // quantity, and add the proceeds. Default proceeds are half the catalog value
-        // per unit; the DM may override priceCp (total) to model haggling, a stingy
-        // fence, or a motivated buyer.
+        // quantity, and add the proceeds. Anything with a value sells at the
+        // engine's sell-back price (half of value, moved by a local merchant's
+        // haggle — engine/merchants.js); the DM's priceCp (total) only prices
+        // an unvalued curiosity.
         const payload = action.payload || {};
         const ref = payload.itemId || payload.itemKey || payload.name || '';
         const lc = String(ref).toLowerCase();
@@ -626,12 +636,13 @@ export const handlers = {
         }
 
         const quantity = Math.max(1, Math.min(item.quantity || 1, payload.quantity || 1));
+        const quote = item.valueCp > 0 ? quoteSale(state, item) : null;
         // Proceeds share the coin-grant ceiling whichever path priced them: the DM's
-        // override is unbounded LLM input, and legacy save items may carry an
+        // price is unbounded LLM input, and legacy save items may carry an
         // unclamped valueCp.
-        const proceedsCp = Math.min(MAX_SALE_PROCEEDS_CP, Number.isFinite(payload.priceCp)
-            ? Math.max(0, Math.trunc(payload.priceCp))
-            : Math.floor((item.valueCp || 0) / 2) * quantity);
+        const proceedsCp = Math.min(MAX_SALE_PROCEEDS_CP, quote
+            ? quote.unitCp * quantity
+            : Number.isFinite(payload.priceCp) ? Math.max(0, Math.trunc(payload.priceCp)) : 0);
 
         // Sales get the same one-shot replay protection as purchases: a re-emitted
         // sell event must not remove the item twice or pay out twice.
@@ -659,6 +670,7 @@ export const handlers = {
         const nextState = {
             ...state,
             character: addCurrency(state.character, { copper: proceedsCp }),
+            ...(quote?.merchant ? { merchants: state.merchants.map(entry => (entry.id === quote.merchant.id ? shelveSoldItem(quote.merchant, item, quantity) : entry)) } : {}),
             recentSales: rememberTransaction(state.recentSales, saleTransaction, saleSourceId, currentMessageIndex(state)),
             messages: [
                 ...state.messages,
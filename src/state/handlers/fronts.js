@@ -12,7 +12,8 @@ import {
     normalizeFrontUpdate,
 } from '../../engine/fronts.js';
 import { MAX_ACTIVE_FRONTS, normalizeTempoDirective } from '../../engine/worldTempo.js';
-import { awardExperience, getFrontResolutionMilestoneXp } from '../../engine/progression.js';
+import { awardExperience, getFrontResolutionMilestoneXp, getPendingLevelUps } from '../../engine/progression.js';
+import { isMulticlassingEnabled } from '../../engine/multiclass.js';
 import { upsertLocation } from '../../engine/locationRegistry.js';
 import { gameReducer } from '../gameReducer.js';
 import { systemMessage } from './shared.js';
@@ -65,6 +66,7 @@ export const handlers = {
             timingDelay: payload.timingDelay,
             locations: state.locations || [],
             currentLocation: state.currentLocation,
+            elapsedMinutes: state.calendar?.elapsedMinutes,
         });
         // Theaters grow organically: placing a front's symptom somewhere
         // records that place as part of the front's home territory.
@@ -74,7 +76,7 @@ export const handlers = {
         return {
             ...state,
             locations,
-            worldTempo: { directive, lastCadenceId: cadenceId, updatedAt: Date.now() },
+            worldTempo: { ...state.worldTempo, directive, lastCadenceId: cadenceId, updatedAt: Date.now() },
         };
     },
 
@@ -203,8 +205,8 @@ export const handlers = {
         if (next.character) {
             const awarded = awardExperience(
                 next.character,
-                getFrontResolutionMilestoneXp(next.character.level),
-                { reason: `campaign milestone — "${updatedFront.title}" ended` }
+                getFrontResolutionMilestoneXp(next.character.level + getPendingLevelUps(next.character)),
+                { reason: `campaign milestone — "${updatedFront.title}" ended`, chooseClass: isMulticlassingEnabled(next) }
             );
             next.character = awarded.character;
             next.messages = [...next.messages, ...awarded.messages];
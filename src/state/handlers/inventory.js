@@ -1,10 +1,13 @@
 /**
- * Inventory: add/remove items, consumable use (engine-rolled healing), and
- * equip/unequip including the by-ref resolution used by DM equipment_changes.
+ * Inventory: add/remove items, consumable use (engine-rolled healing),
+ * equip/unequip including the by-ref resolution used by DM equipment_changes,
+ * and magic item attunement.
  */
 import { normalizeItem, normalizeItemKey } from '../../data/items.js';
 import { isEquippableItem, normalizeEquippedSlots } from '../../engine/equipment.js';
+import { attunedItems, describeMagicProperties, MAX_ATTUNED_ITEMS } from '../../engine/magicItems.js';
 import { rollNotation } from '../../engine/dice.ts';
+import { getHeroMaxHP } from '../../engine/rules.js';
 import { gameReducer } from '../gameReducer.js';
 import {
     companionStatus,
@@ -255,7 +258,7 @@ export const handlers = {
                     messages: [...state.messages, systemMessage(`The ${item.name} cannot help the dead.`)],
                 };
             }
-            if (state.character.currentHP >= state.character.maxHP) {
+            if (state.character.currentHP >= getHeroMaxHP(state.character)) {
                 return {
                     ...state,
                     messages: [...state.messages, systemMessage(`You're already at full health — you keep the ${item.name}.`)],
@@ -283,7 +286,7 @@ export const handlers = {
                     messages: [...state.messages, systemMessage(`**${item.name}** has an invalid healing formula (${item.healing}) and cannot be used.`)],
                 };
             }
-            const healed = Math.min(state.character.maxHP, state.character.currentHP + roll.total);
+            const healed = Math.min(getHeroMaxHP(state.character), state.character.currentHP + roll.total);
             const gained = healed - state.character.currentHP;
             const healedCharacter = healed > 0
                 ? reviveCharacter({ ...state.character, currentHP: healed })
@@ -371,4 +374,34 @@ export const handlers = {
             ? gameReducer(state, { type: 'UNEQUIP_ITEM', payload: item.id })
             : state;
     },
+
+    // Attunement (magicItems.js): an hour's focus with the item, so never
+    // mid-fight, and at most MAX_ATTUNED_ITEMS bonds at once. Payload: item id.
+    ATTUNE_ITEM(state, action) {
+        const item = state.inventory.find(i => i.id === action.payload);
+        if (!item?.requiresAttunement || item.attuned) return state;
+        const refuse = content => ({ ...state, messages: [...state.messages, systemMessage(content)] });
+        if (state.combat.active) return refuse(`You cannot attune to **${item.name}** in the middle of a fight.`);
+        const bonded = attunedItems(state.inventory);
+        if (bonded.length >= MAX_ATTUNED_ITEMS) {
+            return refuse(`You are already attuned to ${MAX_ATTUNED_ITEMS} items (${bonded.map(i => i.name).join(', ')}) — end one attunement first.`);
+        }
+        const properties = describeMagicProperties(item);
+        return {
+            ...withInventoryAndAC(state, state.inventory.map(i => (i.id === item.id ? { ...i, attuned: true } : i))),
+            messages: [
+                ...state.messages,
+                systemMessage(`✨ You attune to **${item.name}**${properties.length ? ` (${properties.join('; ')})` : ''}. Attuned items: ${bonded.length + 1}/${MAX_ATTUNED_ITEMS}.`),
+            ],
+        };
+    },
+
+    END_ATTUNEMENT(state, action) {
+        const item = state.inventory.find(i => i.id === action.payload);
+        if (!item?.attuned) return state;
+        return {
+            ...withInventoryAndAC(state, state.inventory.map(i => (i.id === item.id ? { ...i, attuned: false } : i))),
+            messages: [...state.messages, systemMessage(`You end your attunement to **${item.name}**.`)],
+        };
+    },
 };
@@ -0,0 +1,173 @@
+/**
+ * Merchants: registering the shops the DM names, shop-panel trades the engine
+ * settles without an LLM round-trip, and haggling through the roleplay-check
+ * flow. Prices and stock rules live in engine/merchants.js.
+ */
+import { ITEM_CATALOG, normalizeItem } from '../../data/items.js';
+import { addCurrency, formatCurrency, spendCurrency } from '../../engine/currency.js';
+import { getCurrentLocationRecord } from '../../engine/locationRegistry.js';
+import {
+    adjustStock,
+    buildHaggleRoll,
+    currentMerchantView,
+    describeHaggle,
+    findHaggleMerchant,
+    getMerchantsHere,
+    haggleAdjustment,
+    merchantBuyPriceCp,
+    merchantSellPriceCp,
+    regionalPriceMultiplier,
+    registerMerchant,
+    shelveSoldItem,
+    stockQuantity,
+} from '../../engine/merchants.js';
+import { buildRoleplayCheckProposal } from '../../engine/roleplayCheck.js';
+import { gameReducer } from '../gameReducer.js';
+import {
+    consumeItem,
+    currentMessageIndex,
+    mintOwnedItem,
+    rememberTransaction,
+    systemMessage,
+    withInventoryAndAC,
+} from './shared.js';
+
+const MAX_SHOP_QUANTITY = 20;
+
+// Shop lines reach the DM's history window (buildMessageWindow) so the next
+// narration knows the trade happened — and that it is already applied.
+function shopMessage(content) {
+    return systemMessage(content, { shopLine: true });
+}
+
+function refuse(state, content) {
+    return { ...state, messages: [...state.messages, systemMessage(content)] };
+}
+
+function replaceMerchant(merchants, merchant) {
+    return merchants.map(entry => (entry.id === merchant.id ? merchant : entry));
+}
+
+/** The named merchant as the hero finds it now, or null when it is not where the hero stands. */
+function merchantHere(state, merchantId) {
+    const merchant = getMerchantsHere(state).find(entry => entry.id === merchantId);
+    return merchant ? currentMerchantView(state, merchant) : null;
+}
+
+function tradeTransaction(item, quantity, priceCp) {
+    return {
+        item: { itemKey: item.itemKey, name: item.name },
+        quantity,
+        priceCp,
+        signature: `${item.itemKey}|${quantity}|${priceCp}`,
+    };
+}
+
+export const handlers = {
+    REGISTER_MERCHANT(state, action) {
+        if (!state.currentLocation) return state;
+        const merchants = registerMerchant(state.merchants, action.payload || {}, {
+            location: state.currentLocation,
+            locationRecord: getCurrentLocationRecord(state.locations, state.currentLocation),
+            messageCount: (state.messages || []).length,
+        });
+        return merchants === state.merchants ? state : { ...state, merchants };
+    },
+
+    BUY_FROM_MERCHANT(state, action) {
+        if (state.combat?.active) return state;
+        const { merchantId, itemKey } = action.payload || {};
+        const merchant = merchantHere(state, merchantId);
+        const base = ITEM_CATALOG[itemKey];
+        if (!merchant || !base) return state;
+        const available = stockQuantity(merchant, itemKey);
+        const quantity = Math.max(1, Math.min(MAX_SHOP_QUANTITY, Math.trunc(action.payload.quantity) || 1));
+        if (available < quantity) {
+            return refuse(state, `${merchant.name} has only ${available} ${base.name} in stock.`);
+        }
+        const record = getCurrentLocationRecord(state.locations, state.currentLocation);
+        const priceCp = merchantBuyPriceCp(base.valueCp, regionalPriceMultiplier(record, state.fronts), merchant) * quantity;
+        const payment = spendCurrency(state.character, priceCp);
+        if (!payment.paid) {
+            return refuse(state, `Cannot buy ${base.name} — price is ${formatCurrency(priceCp)}, missing ${formatCurrency(payment.missingCp)}.`);
+        }
+        const item = normalizeItem({ itemKey, quantity });
+        const nextState = {
+            ...state,
+            character: payment.character,
+            merchants: replaceMerchant(state.merchants, adjustStock(merchant, itemKey, -quantity)),
+            // Remembered like a DM purchase so a narrated echo of this trade is
+            // suppressed by PURCHASE_ITEM's replay guard.
+            recentPurchases: rememberTransaction(state.recentPurchases, tradeTransaction(item, quantity, priceCp), `shop:${merchant.id}`, currentMessageIndex(state)),
+            messages: [
+                ...state.messages,
+                shopMessage(`**Shop — ${merchant.name}:** bought ${quantity > 1 ? `${quantity}x ` : ''}${item.name} for ${formatCurrency(priceCp)}.`),
+            ],
+        };
+        return withInventoryAndAC(nextState, [...state.inventory, mintOwnedItem(item, { quantity })]);
+    },
+
+    SELL_TO_MERCHANT(state, action) {
+        if (state.combat?.active) return state;
+        const { merchantId, itemId } = action.payload || {};
+        const merchant = merchantHere(state, merchantId);
+        const item = state.inventory.find(entry => entry.id === itemId);
+        if (!merchant || !item) return state;
+        if (item.equipped) return refuse(state, `Unequip ${item.name} before selling it.`);
+        if (!(item.valueCp > 0)) return refuse(state, `${merchant.name} won't put a price on ${item.name}.`);
+        const quantity = Math.max(1, Math.min(item.quantity || 1, Math.trunc(action.payload.quantity) || 1));
+        const proceedsCp = merchantSellPriceCp(item.valueCp, merchant) * quantity;
+        const nextState = {
+            ...state,
+            character: addCurrency(state.character, { copper: proceedsCp }),
+            merchants: replaceMerchant(state.merchants, shelveSoldItem(merchant, item, quantity)),
+            recentSales: rememberTransaction(state.recentSales, tradeTransaction(item, quantity, proceedsCp), `shop:${merchant.id}`, currentMessageIndex(state)),
+            messages: [
+                ...state.messages,
+                shopMessage(`**Shop — ${merchant.name}:** sold ${quantity > 1 ? `${quantity}x ` : ''}${item.name} for ${formatCurrency(proceedsCp)}.`),
+            ],
+        };
+        return withInventoryAndAC(nextState, consumeItem(state.inventory, item.id, quantity));
+    },
+
+    // Stage the engine's haggle check as an ordinary roleplay-check proposal;
+    // the player accepts it in the chat like any other check.
+    START_HAGGLE(state, action) {
+        if (state.combat?.active || state.pendingRoleplayCheck) return state;
+        const merchant = merchantHere(state, action.payload?.merchantId);
+        if (!merchant) return state;
+        if (merchant.haggle) {
+            return refuse(state, `${merchant.name} has already settled on ${describeHaggle(merchant)} — no more haggling until the next restock.`);
+        }
+        // The DC is the engine's, not the DM's, so there is nothing to challenge.
+        const proposal = buildRoleplayCheckProposal(
+            [buildHaggleRoll(merchant)],
+            `I haggle with ${merchant.name} over their prices.`,
+            { challengeUsed: true },
+        );
+        return gameReducer(state, { type: 'PROPOSE_ROLEPLAY_CHECK', payload: proposal });
+    },
+
+    // A resolved haggle roll (shop panel or DM-requested): settle the
+    // merchant's price shift until the next restock. Without a merchantId the
+    // first merchant where the hero stands is the one being haggled with. The
+    // DM learns the terms from the roll summary, so this line stays out of
+    // its history window.
+    RESOLVE_HAGGLE(state, action) {
+        const payload = action.payload || {};
+        const merchant = findHaggleMerchant(state, payload.merchantId);
+        if (!merchant || merchant.haggle) return state;
+        const settled = {
+            ...merchant,
+            haggle: { adjust: haggleAdjustment({ success: !!payload.success, critical: !!payload.critical, margin: Number(payload.margin) || 0 }) },
+        };
+        return {
+            ...state,
+            merchants: replaceMerchant(state.merchants, settled),
+            messages: [
+                ...state.messages,
+                systemMessage(`**Haggle — ${merchant.name}:** ${describeHaggle(settled)} until the next restock.`),
+            ],
+        };
+    },
+};
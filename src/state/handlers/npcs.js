@@ -6,7 +6,8 @@ import { buildStoryMemoryPromotion, migrateLegacyNpc, namesMatch, normalizeNpcRe
 import { findStoryMemoryMatch, normalizeStoryMemoryCard } from '../../engine/storyMemory.js';
 import { areRelatedPlaces, collectKnownRegions, findLocationRecord, isBackstoryRegion, isRegionEvidenced, isRegionNameOnly, isSameLocation, isSameRegion, resolvePlaceNamedRegion, sanitizeRegionName, upsertLocation } from '../../engine/locationRegistry.js';
 import { appendHearsayLedger, selectRegionalHearsay } from '../../engine/regionalHearsay.js';
-import { ABSENCE_DRIFT_COOLDOWN_MESSAGES, ABSENCE_DRIFT_MIN_AWAY, MAX_ACTIVE_FRONTS, MAX_DRIFT_DEVELOPMENTS, distanceSince, getFrontIntensityBand, isAbsenceDriftLocalNpc } from '../../engine/worldTempo.js';
+import { ABSENCE_DRIFT_COOLDOWN_MESSAGES, ABSENCE_DRIFT_MIN_AWAY, ABSENCE_DRIFT_MIN_AWAY_DAYS, MAX_ACTIVE_FRONTS, MAX_DRIFT_DEVELOPMENTS, distanceSince, getFrontIntensityBand, isAbsenceDriftLocalNpc } from '../../engine/worldTempo.js';
+import { MINUTES_PER_DAY } from '../../engine/calendar.js';
 import { gameReducer } from '../gameReducer.js';
 import { upsertNpc } from './shared.js';
 
@@ -162,11 +163,22 @@ export const handlers = {
         const awayDistance = arrived && targetRecord && Number.isFinite(targetRecord.lastVisitedMessage)
             ? distanceSince(state.messages, targetRecord.lastVisitedMessage, messageIndex)
             : null;
+        // ...and in calendar days (engine/calendar.js): a week on the road is
+        // an absence however few messages narrated it.
+        const nowMinute = Number.isFinite(state.calendar?.elapsedMinutes) ? state.calendar.elapsedMinutes : null;
+        const daysSince = minute => (nowMinute !== null && Number.isFinite(minute)
+            ? Math.floor(Math.max(0, nowMinute - minute) / MINUTES_PER_DAY)
+            : null);
+        const awayDays = arrived && targetRecord ? daysSince(targetRecord.lastVisitedMinute) : null;
+        const visitStamp = {
+            lastVisitedMessage: messageIndex,
+            ...(nowMinute !== null && { lastVisitedMinute: nowMinute }),
+        };
 
         // Departure stamp on the place being left, arrival stamp on the new one.
         const departed = arrived && prevRecord
             ? priorLocations.map(record => (record.id === prevRecord.id
-                ? { ...record, lastVisitedMessage: messageIndex }
+                ? { ...record, ...visitStamp }
                 : record))
             : priorLocations;
         // A bare region name ("the Rimefell Marches") is a whereabouts, not a
@@ -178,7 +190,13 @@ export const handlers = {
         const regionOnly = targetIdx === -1 && isRegionNameOnly(priorLocations, name);
         const locations = regionOnly
             ? departed
-            : upsertLocation(departed, name, { ...(profile || {}), lastVisitedMessage: messageIndex });
+            : upsertLocation(departed, name, {
+                ...(profile || {}),
+                ...visitStamp,
+                // The road just taken: travel routes are planned over these.
+                ...(arrived && prevRecord && { arrivedFromIds: [prevRecord.id] }),
+                ...(arrived && { visitCount: (targetRecord?.visitCount || 0) + 1 }),
+            });
 
         const next = { ...state, currentLocation: name, locations };
         if (!arrived) return next;
@@ -228,20 +246,25 @@ export const handlers = {
         // stale record fired drift while the hero had spent the whole absence
         // inside the shop ON that street. If any RELATED record (shared
         // name/alias token) was visited more recently than the drift threshold,
-        // the hero never really left this place's orbit — no drift.
+        // the hero never really left this place's orbit — no drift. Recent
+        // means recent on both scales: a related stop a few messages but a
+        // week of travel ago is no longer nearby.
         const lingeredNearby = (departed || []).some(record =>
             record.id !== targetRecord?.id
             && Number.isFinite(record.lastVisitedMessage)
             && distanceSince(state.messages, record.lastVisitedMessage, messageIndex) < ABSENCE_DRIFT_MIN_AWAY
+            && !(daysSince(record.lastVisitedMinute) >= ABSENCE_DRIFT_MIN_AWAY_DAYS)
             && areRelatedPlaces(record, targetRecord));
-        if (awayDistance !== null && awayDistance >= ABSENCE_DRIFT_MIN_AWAY
-            && !state.session?.pendingAbsenceDrift && !driftCoolingDown && !lingeredNearby) {
+        const longAway = (awayDistance !== null && awayDistance >= ABSENCE_DRIFT_MIN_AWAY)
+            || (awayDays !== null && awayDays >= ABSENCE_DRIFT_MIN_AWAY_DAYS);
+        if (longAway && !state.session?.pendingAbsenceDrift && !driftCoolingDown && !lingeredNearby) {
             next.session = {
                 ...next.session,
                 pendingAbsenceDrift: {
                     key: `${targetRecord.id}|${messageIndex}`,
                     locationName: targetRecord.name,
-                    awayDistance,
+                    awayDistance: awayDistance ?? 0,
+                    ...(awayDays !== null && { awayDays }),
                     returnMessage: messageIndex,
                 },
             };
@@ -313,6 +336,7 @@ export const handlers = {
                         locationName: pending.locationName,
                         arrivedAtMessage: pending.returnMessage,
                         awayDistance: pending.awayDistance,
+                        ...(Number.isFinite(pending.awayDays) && { awayDays: pending.awayDays }),
                         developments,
                         fact,
                         frontSymptom,
@@ -1,20 +1,53 @@
 /**
- * Class resources and rests: Second Wind / Action Surge activation, resource
- * spending, and the short/long rest pipeline (with the rest replay guard).
+ * Class resources and rests: Second Wind / Action Surge / Lay on Hands
+ * activation, resource spending, the short/long rest pipeline (with the
+ * rest replay guard), and the survival rules' daily food, water and exposure
+ * upkeep (engine/survival.js).
  */
 import { CLASSES } from '../../data/classes.js';
-import { computeACFromInventory, getModifier } from '../../engine/rules.js';
+import {
+    computeACFromInventory,
+    describeExhaustion,
+    EXHAUSTION_MAX,
+    getClassLevel,
+    getExhaustionLevel,
+    getHeroMaxHP,
+    getModifier,
+    hasClass,
+    isMulticlassed,
+} from '../../engine/rules.js';
+import { advanceEffects, REST_MINUTES, ROUNDS_PER_MINUTE } from '../../engine/activeEffects.js';
 import { rollDie, rollNotation } from '../../engine/dice.ts';
-import { applyArcaneRecovery, refillSpellSlots, summarizeSpellSlots } from '../../engine/spellcasting.js';
+import { getClassResourceReset, getResourceDefinitions, getResourceLevel } from '../../engine/characterUtils.js';
+import { recoverHitDice, spendHitDie } from '../../engine/multiclass.js';
+import { CHARGE_RECHARGES, rechargeItems } from '../../engine/magicItems.js';
+import { applyArcaneRecovery, getPactSlotShare, refillSpellSlots, summarizeSpellSlots, usesPactMagic } from '../../engine/spellcasting.js';
 import { findExactSourceReplay, findNearbyReplay, rememberLedgerEntry } from '../../engine/replayLedger.js';
+import { advanceWorldTime } from '../../engine/worldTempo.js';
+import { dawnsBetween, MINUTES_PER_DAY, readCalendar } from '../../engine/calendar.js';
+import { characterCurrencyToCopper, formatCurrency, spendCurrency } from '../../engine/currency.js';
+import { getCurrentLocationRecord } from '../../engine/locationRegistry.js';
+import {
+    canRecoverExhaustion,
+    foodGraceDays,
+    isSettledPlace,
+    isSurvivalEnabled,
+    resolveSurvivalDay,
+    SETTLED_MEAL_CP,
+    waterCapacity,
+    waterCarried,
+    withExhaustion,
+} from '../../engine/survival.js';
 import {
     appendRollHistory,
+    applyDeath,
     companionStatus,
     currentMessageIndex,
     isPlayerCombatTurn,
     normalizeCompanion,
     RECENT_REST_LIMIT,
     reviveCharacter,
+    spendProvisions,
     systemMessage,
 } from './shared.js';
 
@@ -33,6 +66,103 @@ function playerMessageRequestsRest(playerMessage) {
     return /\b(sleep|nap|slumber|make camp|set up camp|camp for|bed down|turn in for)\b/i.test(text);
 }
 
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+/**
+ * Settle the survival rules for days the clock just crossed. `days` is a
+ * count, or one record per day `{ outdoors, fed, watered, forcedMarch }` when
+ * the caller (a journey) already knows what the road provided; unset fields
+ * fall to the pack and the place. A day eats a ration, or buys modest meals
+ * in a settlement; a day in the open drinks from the waterskins, which a
+ * settlement refills. An unregistered place counts as settled — the engine
+ * does not starve the hero over a place it cannot see. Winter days in the
+ * open call for the cold save. No-op without the survival rules.
+ */
+function settleSurvivalDays(state, days, reason = '') {
+    const log = typeof days === 'number'
+        ? Array.from({ length: Math.max(0, Math.trunc(days) || 0) }, () => ({}))
+        : (Array.isArray(days) ? days : []);
+    if (!isSurvivalEnabled(state) || log.length === 0 || !state.character || state.character.isDead) return state;
+    const record = getCurrentLocationRecord(state.locations, state.currentLocation);
+    const inTheOpen = !!record && !isSettledPlace(record);
+    const endMinute = state.calendar?.elapsedMinutes || 0;
+    const before = getExhaustionLevel(state.character);
+    let character = state.character;
+    let inventory = state.inventory || [];
+    let water = waterCarried(character, inventory);
+    const tally = { rations: 0, mealsCp: 0, waterDrawn: 0, hungry: 0, thirsty: 0 };
+    const saveNotes = [];
+    let settled = 0;
+
+    for (const [i, day] of log.entries()) {
+        const outdoors = day.outdoors ?? inTheOpen;
+        let fed = day.fed;
+        if (fed === undefined) {
+            const eaten = spendProvisions(inventory, 'rations', 1);
+            const meal = eaten.spent === 0 && !outdoors && characterCurrencyToCopper(character) >= SETTLED_MEAL_CP;
+            inventory = eaten.inventory;
+            tally.rations += eaten.spent;
+            if (meal) {
+                character = spendCurrency(character, SETTLED_MEAL_CP).character;
+                tally.mealsCp += SETTLED_MEAL_CP;
+            }
+            fed = eaten.spent > 0 || meal;
+        }
+        let watered = day.watered;
+        if (!outdoors) {
+            watered = true;
+            water = waterCapacity(inventory);
+        } else if (watered === undefined) {
+            watered = water > 0;
+            if (watered) {
+                water -= 1;
+                tally.waterDrawn += 1;
+            }
+        }
+        const { season } = readCalendar({ elapsedMinutes: endMinute - (log.length - 1 - i) * MINUTES_PER_DAY });
+        const result = resolveSurvivalDay(character, { fed, watered, cold: outdoors && season === 'winter', forcedMarch: !!day.forcedMarch, inventory });
+        character = result.character;
+        if (!fed) tally.hungry += 1;
+        if (!watered) tally.thirsty += 1;
+        saveNotes.push(...result.saves.map(save => `${save.label} save ${save.total} vs DC ${save.dc} — ${save.success ? 'endured' : 'failed'}`));
+        settled += 1;
+        if (getExhaustionLevel(character) >= EXHAUSTION_MAX) break;
+    }
+    character = { ...character, waterDays: water };
+
+    const after = getExhaustionLevel(character);
+    const dead = after >= EXHAUSTION_MAX;
+    const parts = [
+        tally.rations > 0 && `${plural(tally.rations, 'ration')} eaten`,
+        tally.mealsCp > 0 && `meals bought for ${formatCurrency(tally.mealsCp)}`,
+        tally.waterDrawn > 0 && `${tally.waterDrawn === 1 ? "a day's" : `${tally.waterDrawn} days'`} water drawn from the skins`,
+        tally.hungry > 0 && `${plural(tally.hungry, 'day')} without food (${character.daysWithoutFood} running; the body holds out ${foodGraceDays(character)})`,
+        tally.thirsty > 0 && `${plural(tally.thirsty, 'day')} without water`,
+        ...saveNotes,
+    ].filter(Boolean);
+    const exhaustionNote = after > before
+        ? ` Exhaustion ${before} → ${after}${dead ? '' : ` (${describeExhaustion(after).join('; ')})`}.`
+        : '';
+    const deathNote = dead ? ` ${character.name} succumbs to exhaustion and dies.` : '';
+    const content = `**Survival — ${plural(settled, 'day')}${reason ? `, ${reason}` : ''}:** ${parts.length > 0 ? parts.join('; ') : 'nothing to report'}.${exhaustionNote}${deathNote}`;
+    return {
+        ...state,
+        character: dead ? applyDeath({ ...character, currentHP: 0 }) : character,
+        inventory,
+        messages: [...state.messages, systemMessage(content, {
+            survivalLine: true,
+            ...(dead && {
+                narrationCue: {
+                    type: 'player_mechanic',
+                    mechanic: 'Exhaustion',
+                    actionType: 'survival',
+                    effect: `${state.character.name} dies of exhaustion — hunger, thirst and cold have taken the last of their strength`,
+                },
+            }),
+        })],
+    };
+}
+
 export const handlers = {
     USE_RESOURCE(state, action) {
         // action.payload = resource key (e.g. 'secondWind', 'actionSurge')
@@ -55,7 +185,7 @@ export const handlers = {
             };
         }
 
-        const label = res.label || resKey;
+        const label = getResourceDefinitions(state.character)[resKey]?.label || res.label || resKey;
 
         return {
             ...state,
@@ -83,8 +213,7 @@ export const handlers = {
         // mechanical effect (rolling real dice). The system message informs the DM,
         // which then narrates the moment without emitting resources_used itself.
         const resKey = action.payload;
-        const charClass = CLASSES[state.character.class];
-        const def = charClass?.resources?.[resKey];
+        const def = getResourceDefinitions(state.character)[resKey];
         const resources = state.character.classResources || {};
         const res = resources[resKey];
         if (!def || !res) return state;
@@ -98,6 +227,20 @@ export const handlers = {
                 messages: [...state.messages, systemMessage(`**${def.label}** happens automatically on your first ${def.passive} after a long rest — there is nothing to activate manually, and the charge is still available.`)],
             };
         }
+        if (def.paysForSpell) {
+            return {
+                ...state,
+                messages: [...state.messages, systemMessage(`**${def.label}** is spent by casting ${def.paysForSpell} — cast the spell and the charge pays for it.`)],
+            };
+        }
+        // In a fight the exchange owns the dice (Breath Weapon damage and saves), so
+        // the sheet button would only burn the charge.
+        if (def.combatAction && state.combat.active) {
+            return {
+                ...state,
+                messages: [...state.messages, systemMessage(`**${def.label}** is declared as your combat action — describe it in your turn and the engine resolves it.`)],
+            };
+        }
 
         if (resKey === 'actionSurge') {
             const unableToAct = state.character.isDead
@@ -132,22 +275,56 @@ export const handlers = {
             };
         }
 
+        const resetOn = getClassResourceReset(def, getResourceLevel(state.character, resKey));
         if (res.used >= res.max) {
             return {
                 ...state,
-                messages: [...state.messages, systemMessage(`**${def.label}** is spent — recharge it on a ${def.resetOn} rest.`)],
+                messages: [...state.messages, systemMessage(`**${def.label}** is spent — recharge it on a ${resetOn} rest.`)],
+            };
+        }
+
+        // Healing pool (Paladin's Lay on Hands): heal the missing HP from what is
+        // left, spending exactly that much — no dice, and a full-HP touch costs nothing.
+        if (def.effect?.kind === 'poolHeal') {
+            const missing = Math.max(0, getHeroMaxHP(state.character) - state.character.currentHP);
+            if (missing === 0 || state.character.isDead) {
+                return {
+                    ...state,
+                    messages: [...state.messages, systemMessage(`**${def.label}** — ${state.character.isDead ? 'the dead are beyond a healing touch' : 'you are already at full health'}; the pool is untouched.`)],
+                };
+            }
+            const spent = Math.min(missing, res.max - res.used);
+            const healed = state.character.currentHP + spent;
+            const pooledResources = { ...resources, [resKey]: { ...res, used: res.used + spent } };
+            return {
+                ...state,
+                character: reviveCharacter({ ...state.character, currentHP: healed, classResources: pooledResources }),
+                messages: [
+                    ...state.messages,
+                    systemMessage(
+                        `**${def.label}** — you recover **${spent} HP** (now ${healed}/${state.character.maxHP}). ${res.max - res.used - spent}/${res.max} HP left in the pool until ${resetOn} rest.`,
+                        {
+                            narrationCue: {
+                                type: 'player_mechanic',
+                                mechanic: def.label,
+                                effect: `recovered ${spent} HP`,
+                                actionType: 'action',
+                            },
+                        }
+                    ),
+                ],
             };
         }
 
         const remaining = res.max - res.used - 1;
         const spentResources = { ...resources, [resKey]: { ...res, used: res.used + 1 } };
-        const tail = `${remaining}/${res.max} left until ${def.resetOn} rest.`;
+        const tail = `${remaining}/${res.max} left until ${resetOn} rest.`;
 
         // Resource with a mechanical heal (Fighter's Second Wind): roll real dice and heal.
         if (def.effect?.kind === 'heal') {
             const roll = rollNotation(def.effect.dice || '1d10', def.label);
-            const bonus = def.effect.addLevel ? (state.character.level || 0) : 0;
-            const healed = Math.min(state.character.maxHP, state.character.currentHP + roll.total + bonus);
+            const bonus = def.effect.addLevel ? getResourceLevel(state.character, resKey) : 0;
+            const healed = Math.min(getHeroMaxHP(state.character), state.character.currentHP + roll.total + bonus);
             const gained = healed - state.character.currentHP;
             const healedCharacter = healed > 0
                 ? reviveCharacter({ ...state.character, currentHP: healed, classResources: spentResources })
@@ -249,52 +426,100 @@ export const handlers = {
         let newHitDice = { ...hitDice };
 
         if (isLong) {
-            // Long rest: full HP restore, recover half hit dice (minimum 1)
+            // Long rest: full HP restore, recover half hit dice (minimum 1),
+            // the largest of a multiclass hero's mixed dice first.
             healAmount = state.character.maxHP;
             const recover = Math.max(1, Math.floor(hitDice.total / 2));
-            newHitDice.remaining = Math.min(hitDice.total, hitDice.remaining + recover);
+            newHitDice = hitDice.pools
+                ? recoverHitDice(hitDice, recover)
+                : { ...hitDice, remaining: Math.min(hitDice.total, hitDice.remaining + recover) };
         } else {
-            // Short rest: spend available hit dice to heal (auto-spend up to full)
-            const canSpend = Math.min(newHitDice.remaining, Math.ceil((state.character.maxHP - state.character.currentHP) / ((hitDice.die / 2) + 1 + conMod || 1)));
+            // Short rest: spend available hit dice to heal (auto-spend up to full),
+            // the largest die first.
+            const canSpend = Math.min(newHitDice.remaining, Math.ceil((getHeroMaxHP(state.character) - state.character.currentHP) / ((hitDice.die / 2) + 1 + conMod || 1)));
             let rolled = 0;
             for (let i = 0; i < canSpend; i++) {
-                rolled += Math.max(1, rollDie(hitDice.die) + conMod);
-                newHitDice.remaining--;
+                const spent = spendHitDie(newHitDice);
+                if (!spent) break;
+                rolled += Math.max(1, rollDie(spent.die) + conMod);
+                newHitDice = spent.hitDice;
             }
             healAmount = rolled;
         }
 
-        const healed = Math.min(state.character.maxHP, state.character.currentHP + healAmount);
+        // Bard Song of Rest: a short rest that spends hit dice heals an extra 1d6.
+        let songOfRestNote = '';
+        if (!isLong && getClassLevel(state.character, 'bard') >= 2 && newHitDice.remaining < hitDice.remaining) {
+            const song = rollDie(6);
+            healAmount += song;
+            songOfRestNote = ` Song of Rest adds ${song} HP.`;
+        }
+
+        // A long rest lifts one level of exhaustion — under the survival rules
+        // only once the hero has eaten and drunk — before the heal, so the
+        // maximum halved at level 4 is restored with it.
+        const exhaustion = getExhaustionLevel(state.character);
+        const easesExhaustion = isLong && canRecoverExhaustion(state.character, isSurvivalEnabled(state));
+        const restingCharacter = easesExhaustion ? withExhaustion(state.character, exhaustion - 1) : state.character;
+        const exhaustionNote = !isLong || exhaustion === 0 ? ''
+            : easesExhaustion ? ` Exhaustion eases to ${exhaustion - 1}.`
+                : ` Exhaustion holds at ${exhaustion} — the hero went without food or water.`;
+        const healed = Math.min(getHeroMaxHP(restingCharacter), state.character.currentHP + healAmount);
 
         // Reset class resources based on rest type
         const currentResources = state.character.classResources || {};
-        const resourceDefs = charClass?.resources || {};
+        const resourceDefs = getResourceDefinitions(state.character);
         const newResources = { ...currentResources };
         for (const [key, def] of Object.entries(resourceDefs)) {
-            if (currentResources[key] && (isLong || def.resetOn === 'short')) {
+            if (currentResources[key] && (isLong || getClassResourceReset(def, getResourceLevel(state.character, key)) === 'short')) {
                 newResources[key] = { ...currentResources[key], used: 0 };
             }
         }
 
-        // Spellcasting: a long rest refills every slot; a wizard's first short
-        // rest per long-rest cycle triggers Arcane Recovery automatically.
+        // Spellcasting: a long rest refills every slot, and so does any rest for
+        // a Warlock's pact slots (just the pact share of a multiclass pool); a
+        // wizard's first short rest per long-rest cycle triggers Arcane Recovery
+        // automatically.
         let newSpellSlots = state.character.spellSlots || null;
         let recoveryNote = '';
+        const pactShare = getPactSlotShare(state.character);
         if (newSpellSlots) {
             if (isLong) {
                 newSpellSlots = refillSpellSlots(newSpellSlots);
-            } else if (state.character.class === 'wizard' && (currentResources.arcaneRecovery?.used ?? 1) === 0) {
-                const recovery = applyArcaneRecovery(newSpellSlots, state.character.level || 1);
+            } else if (usesPactMagic(state.character.class) && !isMulticlassed(state.character)) {
+                newSpellSlots = refillSpellSlots(newSpellSlots);
+                recoveryNote = ` Pact slots restored (${summarizeSpellSlots(newSpellSlots)}).`;
+            } else if (pactShare && newSpellSlots[pactShare.level]?.used > 0) {
+                const slot = newSpellSlots[pactShare.level];
+                newSpellSlots = { ...newSpellSlots, [pactShare.level]: { ...slot, used: Math.max(0, slot.used - pactShare.count) } };
+                recoveryNote = ` Pact slots restored (${summarizeSpellSlots(newSpellSlots)}).`;
+            }
+            if (!isLong && hasClass(state.character, 'wizard') && (currentResources.arcaneRecovery?.used ?? 1) === 0) {
+                const recovery = applyArcaneRecovery(newSpellSlots, getClassLevel(state.character, 'wizard'));
                 if (recovery.recovered > 0) {
                     newSpellSlots = recovery.spellSlots;
                     newResources.arcaneRecovery = { ...(currentResources.arcaneRecovery || { max: 1 }), used: 1 };
-                    recoveryNote = ` Arcane Recovery restores ${recovery.recovered} slot level${recovery.recovered === 1 ? '' : 's'} (${summarizeSpellSlots(newSpellSlots)}).`;
+                    recoveryNote += ` Arcane Recovery restores ${recovery.recovered} slot level${recovery.recovered === 1 ? '' : 's'} (${summarizeSpellSlots(newSpellSlots)}).`;
                 }
             }
         }
 
-        // Any rest ends a sustained spell (the v1 concentration model).
+        // Magic item charges return at dawn or on a long rest; the long rest
+        // always brings them back, whatever hour the calendar shows, and a
+        // short rest that runs past dawn brings back the dawn ones (magicItems.js).
+        const restStart = state.calendar?.elapsedMinutes || 0;
+        const dawnBreaks = action.meta?.passesTime !== false
+            && dawnsBetween(restStart, restStart + REST_MINUTES[restType]) > 0;
+        const itemRecharge = state.inventory && (isLong || dawnBreaks)
+            ? rechargeItems(state.inventory, isLong ? CHARGE_RECHARGES : ['dawn'])
+            : { inventory: state.inventory, recharged: [] };
+        const itemNote = itemRecharge.recharged.length > 0 ? ` Item charges restored: ${itemRecharge.recharged.join(', ')}.` : '';
+
+        // Any rest ends concentration; timed effects (Mage Armor) run down by the
+        // rest's length and fade only if it outlasts them.
         const endedSustained = state.character.sustainedSpell || null;
+        const restEffects = advanceEffects(state.character.activeEffects, REST_MINUTES[isLong ? 'long' : 'short'] * ROUNDS_PER_MINUTE);
+        const fadedEffects = [endedSustained, ...restEffects.expired].filter(Boolean);
 
         // Long Rests clear common minor conditions
         let currentConditions = state.character.conditions || [];
@@ -348,11 +573,11 @@ export const handlers = {
             timestamp: Date.now(),
             role: 'system',
             content: (isLong
-                ? `**Long Rest** — Fully restored to ${healed} HP. Hit dice recovered. All abilities recharged.${newSpellSlots ? ' Spell slots restored.' : ''}${currentConditions.length < (state.character.conditions || []).length ? ' Conditions cleared.' : ''}${companionNote}`
-                : `**Short Rest** — Recovered ${healedAmount} HP (now ${healed}/${state.character.maxHP}). Short-rest abilities recharged. Hit dice remaining: ${newHitDice.remaining}/${newHitDice.total}.${recoveryNote}${companionNote}`)
-                // Announce the sustained-spell fade — a silent clear leaves the DM
-                // (and player) believing the ward still holds (live playtest #7).
-                + (endedSustained ? ` ${endedSustained.name} fades.` : ''),
+                ? `**Long Rest** — Fully restored to ${healed} HP. Hit dice recovered. All abilities recharged.${newSpellSlots ? ' Spell slots restored.' : ''}${currentConditions.length < (state.character.conditions || []).length ? ' Conditions cleared.' : ''}${exhaustionNote}${itemNote}${companionNote}`
+                : `**Short Rest** — Recovered ${healedAmount} HP (now ${healed}/${state.character.maxHP}). Short-rest abilities recharged. Hit dice remaining: ${newHitDice.remaining}/${newHitDice.total}.${songOfRestNote}${recoveryNote}${itemNote}${companionNote}`)
+                // Announce the spell fade — a silent clear leaves the DM (and
+                // player) believing the ward still holds (live playtest #7).
+                + fadedEffects.map(effect => ` ${effect.name} fades.`).join(''),
             ...(action.meta?.narrate && {
                 narrationCue: {
                     type: 'player_mechanic',
@@ -368,30 +593,40 @@ export const handlers = {
         const spellFields = {
             ...(newSpellSlots && { spellSlots: newSpellSlots }),
             ...(endedSustained && { sustainedSpell: null }),
+            ...(state.character.activeEffects && { activeEffects: restEffects.active }),
         };
         const restedBase = {
             ...state.character,
             currentHP: healed,
+            ...(easesExhaustion && { exhaustion: exhaustion - 1 }),
             conditions: currentConditions,
             classResources: newResources,
             hitDice: newHitDice,
             pendingActionSurge: false,
             ...spellFields,
         };
-        // Ending a sustained AC buff (Mage Armor / Shield of Faith) must
+        // Ending a spell AC buff (Mage Armor / Shield of Faith) must
         // immediately reflect in the stored armor class.
-        if (endedSustained?.acBonus && endedSustained.targetType !== 'companion') {
+        if ((endedSustained?.acBonus && endedSustained.targetType !== 'companion') || restEffects.expired.some(effect => effect.acBonus)) {
             restedBase.armorClass = computeACFromInventory(state.inventory || [], restedBase);
         }
 
-        return {
+        // The rest runs the calendar by its length — unless the caller already
+        // counted those hours (a downtime stretch's days include its nights).
+        const time = action.meta?.passesTime === false
+            ? null
+            : advanceWorldTime(state, REST_MINUTES[restType]);
+
+        const rested = {
             ...state,
+            ...(time && { calendar: time.calendar, fronts: time.fronts }),
             character: healed > 0 ? reviveCharacter({
                 ...restedBase,
                 lowLevelDefeat: clearsEarlyDefeat ? false : state.character.lowLevelDefeat,
                 deathSaves: clearsEarlyDefeat ? { successes: 0, failures: 0 } : state.character.deathSaves,
             }) : restedBase,
             party: restedParty,
+            inventory: itemRecharge.inventory,
             messages: [...state.messages, restMsg],
             recentRests: rememberLedgerEntry(recentRests, {
                 sourceId: restMeta.sourceId,
@@ -400,5 +635,15 @@ export const handlers = {
                 cap: RECENT_REST_LIMIT,
             }),
         };
+        return time ? settleSurvivalDays(rested, time.days) : rested;
+    },
+
+    /**
+     * The survival rules' upkeep for days the clock already moved past:
+     * `payload.days` (a count or per-day records) and an optional `reason`.
+     * Time-moving handlers re-enter this after advanceWorldTime.
+     */
+    SURVIVAL_UPKEEP(state, action) {
+        return settleSurvivalDays(state, action.payload?.days, action.payload?.reason || '');
     },
 };
@@ -1,14 +1,18 @@
 /**
  * Session lifecycle: auth, settings, UI state, session metadata, and the
- * LOAD_GAME / NEW_GAME bulk paths (validateSaveState + migration pipeline).
+ * LOAD_GAME / NEW_GAME bulk paths (validateSaveState + migration pipeline),
+ * and RESTORE_TURN for turn undo/redo.
  */
 import { initialGameState } from '../initialState.js';
 import { migrateLoadedSave } from '../migrations.js';
 import { createInitialFronts, normalizeFront } from '../../engine/fronts.js';
 import { normalizeStoryMemoryCard } from '../../engine/storyMemory.js';
 import { dedupeLocationRecords, normalizeLocationRecord } from '../../engine/locationRegistry.js';
+import { sanitizeMerchants } from '../../engine/merchants.js';
 import { sanitizeRecentHearsay } from '../../engine/regionalHearsay.js';
 import { MAX_RECENT_ENCOUNTERS } from '../../engine/worldTempo.js';
+import { sanitizeCalendar } from '../../engine/calendar.js';
+import { sanitizeJourney } from '../../engine/travel.js';
 import { normalizeRollRuling, RECENT_RULING_LIMIT, sanitizePendingRoleplayCheck, sanitizeRecentChecks } from '../../engine/roleplayCheck.js';
 import { normalizeEnemyConditions, sanitizeLoadedEnemy } from '../../engine/enemyStats.js';
 import { COMBAT_PHASES, normalizeCombatExchange } from '../../engine/combatExchange.js';
@@ -18,6 +22,7 @@ import {
     normalizeRecentTransactions,
     RECENT_REST_LIMIT,
     RECENT_SPELL_CAST_LIMIT,
+    RECENT_TIME_SKIP_LIMIT,
     sanitizeWorldFactPayload,
 } from './shared.js';
 
@@ -64,7 +69,7 @@ function sanitizeStoredExchangeResult(result) {
  * validated result. Healing it here too was the old double-heal, whose second
  * result was discarded.
  */
-function validateSaveState(payload) {
+export function validateSaveState(payload) {
     return {
         ...payload,
         inventory: Array.isArray(payload.inventory) ? payload.inventory : [],
@@ -105,6 +110,10 @@ function validateSaveState(payload) {
                     ...e,
                     keyDecisions: Array.isArray(e.keyDecisions) ? e.keyDecisions : [],
                     consequences: Array.isArray(e.consequences) ? e.consequences : [],
+                    // The in-world date stamp renders as text; drop anything else.
+                    calendar: Number.isFinite(e.calendar?.day) && typeof e.calendar?.date === 'string'
+                        ? { day: e.calendar.day, date: e.calendar.date.slice(0, 60), timeOfDay: String(e.calendar.timeOfDay || '').slice(0, 20) }
+                        : undefined,
                 }))
             : [],
         npcs: Array.isArray(payload.npcs)
@@ -129,12 +138,15 @@ function validateSaveState(payload) {
         locations: Array.isArray(payload.locations)
             ? dedupeLocationRecords(payload.locations.map(record => normalizeLocationRecord(record)).filter(Boolean))
             : [],
+        merchants: sanitizeMerchants(payload.merchants),
         recentEncounters: Array.isArray(payload.recentEncounters)
             ? payload.recentEncounters.slice(-MAX_RECENT_ENCOUNTERS)
             : [],
         worldTempo: payload.worldTempo && typeof payload.worldTempo === 'object' && !Array.isArray(payload.worldTempo)
             ? payload.worldTempo
             : null,
+        calendar: sanitizeCalendar(payload.calendar),
+        journey: sanitizeJourney(payload.journey),
         pendingRoleplayCheck: sanitizePendingRoleplayCheck(payload.pendingRoleplayCheck),
         appliedLootSourceIds: Array.isArray(payload.appliedLootSourceIds) ? payload.appliedLootSourceIds : [],
         recentPurchases: normalizeRecentTransactions(payload.recentPurchases),
@@ -151,6 +163,9 @@ function validateSaveState(payload) {
         recentRests: Array.isArray(payload.recentRests)
             ? payload.recentRests.filter(entry => typeof entry === 'string').slice(-RECENT_REST_LIMIT)
             : [],
+        recentTimeSkips: Array.isArray(payload.recentTimeSkips)
+            ? payload.recentTimeSkips.filter(entry => typeof entry === 'string').slice(-RECENT_TIME_SKIP_LIMIT)
+            : [],
         recentHearsay: sanitizeRecentHearsay(payload.recentHearsay),
         combat: (() => {
             const savedCombat = payload.combat && typeof payload.combat === 'object' && !Array.isArray(payload.combat)
@@ -284,6 +299,18 @@ export const handlers = {
         };
     },
 
+    RESTORE_TURN(state, action) {
+        // Turn undo/redo (state/turnHistory.js): the payload is a state this
+        // reducer produced earlier in the same campaign, so it needs none of
+        // LOAD_GAME's validation. The live user, settings and UI stay.
+        return {
+            ...action.payload,
+            user: state.user,
+            settings: state.settings,
+            ui: state.ui,
+        };
+    },
+
     NEW_GAME(state) {
         return {
             ...initialGameState,
@@ -3,6 +3,9 @@
  * (migrations.js). Single-domain helpers live in their domain module instead.
  */
 import { computeACFromInventory } from '../../engine/rules.js';
+import { advanceEffects, ROUNDS_PER_MINUTE } from '../../engine/activeEffects.js';
+import { dawnsBetween } from '../../engine/calendar.js';
+import { rechargeItems } from '../../engine/magicItems.js';
 import { conversationalDistance } from '../../engine/replayLedger.js';
 import { ITEM_CATALOG, clampMagicBonus, normalizeItemKey, parseMagicBonusFromName } from '../../data/items.js';
 import { MAX_CHARACTER_LEVEL } from '../../engine/progression.js';
@@ -10,6 +13,7 @@ import { normalizeKnownBy } from '../../engine/storyMemory.js';
 import { appendKeepsakes } from '../../engine/companionGear.js';
 import { NPC_DOSSIER_FIELD_MAX, NPC_GENDER_MAX } from '../../config/contentLimits.js';
 import { COMBAT_PHASES, isCompanionActive } from '../../engine/combatExchange.js';
+import { isProvision } from '../../engine/travel.js';
 import {
     appendBondMoments,
     appendCallbackHooks,
@@ -72,6 +76,16 @@ export function applyEarlyDefeat(character) {
     }, 'Unconscious');
 }
 
+/** Spend the Half-Orc's Relentless Endurance charge (the engine already kept them at 1 HP). */
+export function spendRelentlessEndurance(character) {
+    const res = character.classResources?.relentlessEndurance;
+    if (!res) return character;
+    return {
+        ...character,
+        classResources: { ...character.classResources, relentlessEndurance: { ...res, used: Math.min(res.max, res.used + 1) } },
+    };
+}
+
 /** Bring a dying/stable character back to consciousness (healing or a nat-20 death save). */
 export function reviveCharacter(character) {
     return {
@@ -260,6 +274,8 @@ export function mintOwnedItem(normalizedItem, { equipOnAdd = false, quantity } =
         id: _untrustedId,
         equipped: _untrustedEquipped,
         equipOnAdd: _equipFlag,
+        // Attunement is a short rest's bond the hero makes (ATTUNE_ITEM), never part of a grant.
+        attuned: _untrustedAttuned,
         ...safe
     } = normalizedItem;
     return {
@@ -275,6 +291,8 @@ export const RECENT_SPELL_CAST_LIMIT = 8;
 
 export const RECENT_REST_LIMIT = 8;
 
+export const RECENT_TIME_SKIP_LIMIT = 8;
+
 /** Decrement a stackable item by `qty`, removing it entirely when the stack is exhausted. */
 export function consumeItem(inventory, itemId, qty = 1) {
     return inventory.flatMap(item => {
@@ -284,6 +302,22 @@ export function consumeItem(inventory, itemId, qty = 1) {
     });
 }
 
+/**
+ * Spend up to `qty` of a catalog provision ('rations', 'torch') across its
+ * stacks; returns the inventory and what was actually spent.
+ */
+export function spendProvisions(inventory, key, qty) {
+    let next = inventory || [];
+    let spent = 0;
+    for (const stack of next.filter(item => isProvision(item, key))) {
+        if (spent >= qty) break;
+        const take = Math.min(qty - spent, stack.quantity || 1);
+        next = consumeItem(next, stack.id, take);
+        spent += take;
+    }
+    return { inventory: next, spent };
+}
+
 /**
  * End the caster's sustained spell (combat over, rest taken): drop the buff,
  * strip its condition from whoever carried it, and recompute AC without it.
@@ -309,6 +343,50 @@ export function clearSustainedSpellState(character, party, inventory) {
     return { character: nextCharacter, party: nextParty };
 }
 
+/**
+ * Run the hero's timed magic on by `minutes` of world time. The handlers that
+ * move the clock outside a rest (PASS_TIME, journeys, downtime) call this
+ * beside advanceWorldTime; TAKE_REST handles its own hours. Effects lose that
+ * many rounds and fade when they run out. Concentration ends when its duration
+ * runs out — or, with no duration, on any skip, since nobody holds a spell
+ * through hours of road. Each dawn crossed refills 'dawn' item charges.
+ * Returns `{ character, party, inventory, faded, recharged }`; the two name
+ * lists feed describeTimedMagic.
+ */
+export function ageTimedMagic(state, minutes) {
+    const character = state.character;
+    const elapsed = Math.max(0, Math.trunc(Number(minutes) || 0));
+    const from = state.calendar?.elapsedMinutes || 0;
+    const dawn = dawnsBetween(from, from + elapsed) > 0 && state.inventory
+        ? rechargeItems(state.inventory, ['dawn'])
+        : { inventory: state.inventory, recharged: [] };
+    const rounds = elapsed * ROUNDS_PER_MINUTE;
+    if (!character || rounds === 0) return { character, party: state.party, inventory: dawn.inventory, faded: [], recharged: dawn.recharged };
+    const aged = advanceEffects(character.activeEffects, rounds);
+    const sustained = character.sustainedSpell || null;
+    const sustainedEnds = !!sustained && !(sustained.remainingRounds > rounds);
+    let nextCharacter = character.activeEffects ? { ...character, activeEffects: aged.active } : character;
+    let party = state.party;
+    if (sustainedEnds) {
+        const released = clearSustainedSpellState(nextCharacter, party, state.inventory);
+        nextCharacter = released.character;
+        party = released.party;
+    } else if (sustained) {
+        nextCharacter = { ...nextCharacter, sustainedSpell: { ...sustained, remainingRounds: sustained.remainingRounds - rounds } };
+    }
+    if (aged.expired.some(effect => effect.acBonus)) {
+        nextCharacter = { ...nextCharacter, armorClass: computeACFromInventory(state.inventory || [], nextCharacter) };
+    }
+    const faded = [...(sustainedEnds ? [sustained] : []), ...aged.expired].map(effect => effect.name || effect.key);
+    return { character: nextCharacter, party, inventory: dawn.inventory, faded, recharged: dawn.recharged };
+}
+
+/** " Mage Armor fades." per ended effect, then the dawn's refilled items — the lines a rest announces. */
+export function describeTimedMagic({ faded = [], recharged = [] }) {
+    return faded.map(name => ` ${name} fades.`).join('')
+        + (recharged.length > 0 ? ` Dawn restores item charges: ${recharged.join(', ')}.` : '');
+}
+
 /** How many disposition shifts to keep per NPC — enough to show an arc, bounded for state size. */
 const MAX_NPC_HISTORY = 10;
 
@@ -1,16 +1,18 @@
 /**
- * Out-of-combat spellcasting (DM-emitted spell_cast): validation, slot
- * spending, engine-rolled effects, and the spell replay guard.
+ * Out-of-combat spellcasting (DM-emitted spell_cast): validation, slot (or
+ * magic item charge) spending, engine-rolled effects, and the spell replay guard.
  */
-import { computeACFromInventory } from '../../engine/rules.js';
+import { computeACFromInventory, getHeroMaxHP } from '../../engine/rules.js';
 import { rollNotation } from '../../engine/dice.ts';
+import { createSpellEffect, describeRoundsLeft, describeSpellBuff, spellDurationRounds, upsertEffect } from '../../engine/activeEffects.js';
 import {
-    chooseSlotLevel,
+    chooseSpellPayment,
     resolveSpellForCharacter,
     spellHealingNotation,
     spendSpellSlot,
     summarizeSpellSlots,
 } from '../../engine/spellcasting.js';
+import { spendItemCharges } from '../../engine/magicItems.js';
 import { findExactSourceReplay, findNearbyReplay, rememberLedgerEntry } from '../../engine/replayLedger.js';
 import {
     clearSustainedSpellState,
@@ -54,7 +56,8 @@ export const handlers = {
         if (state.combat?.active) {
             return { ...state, messages: [...state.messages, systemMessage('Combat spells are cast through the combat exchange — the spell_cast event is ignored during a fight.')] };
         }
-        const spell = resolveSpellForCharacter(character, payload.spell);
+        const inventory = state.inventory || [];
+        const spell = resolveSpellForCharacter(character, payload.spell, inventory);
         if (!spell) {
             return { ...state, messages: [...state.messages, systemMessage(`"${String(payload.spell || '').slice(0, 60)}" is not on ${character.name || 'the hero'}'s engine-owned spell list — nothing was spent or applied.`)] };
         }
@@ -83,12 +86,20 @@ export const handlers = {
         if (nearbyReplay && !playerMessageRecastsSpell(spell, meta.playerMessage)) return state;
 
         let spellSlots = character.spellSlots || null;
-        let slotLevel = 0;
-        if (spell.level > 0) {
-            slotLevel = chooseSlotLevel(spellSlots, spell, payload.slotLevel ?? payload.slot_level);
-            if (slotLevel === null) {
-                return { ...state, messages: [...state.messages, systemMessage(`${spell.name} fails — no level ${spell.level}+ spell slot remains. Rest to recover slots.`)] };
-            }
+        let classResources = character.classResources;
+        let nextInventory = inventory;
+        const payment = chooseSpellPayment(character, spellSlots, spell, payload.slotLevel ?? payload.slot_level, classResources, inventory);
+        if (payment === null) {
+            return { ...state, messages: [...state.messages, systemMessage(`${spell.name} fails — no level ${spell.level}+ spell slot remains. Rest to recover slots.`)] };
+        }
+        const slotLevel = payment.slotLevel;
+        if (payment.resource) {
+            // Racial innate magic (Infernal Legacy): the charge pays, no slot is touched.
+            const res = classResources[payment.resource];
+            classResources = { ...classResources, [payment.resource]: { ...res, used: res.used + 1 } };
+        } else if (payment.item) {
+            nextInventory = spendItemCharges(inventory, payment.item.itemId, payment.item.cost);
+        } else if (spell.level > 0) {
             spellSlots = spendSpellSlot(spellSlots, slotLevel);
         }
 
@@ -104,9 +115,19 @@ export const handlers = {
             return { ...state, messages: [...state.messages, systemMessage(`${spell.name} has no valid recipient "${targetRef}" — nothing was spent or applied.`)] };
         }
 
-        let nextCharacter = { ...character, ...(spell.level > 0 && { spellSlots }) };
+        let nextCharacter = {
+            ...character,
+            ...(spell.level > 0 && !payment.resource && !payment.item && { spellSlots }),
+            ...(payment.resource && { classResources }),
+        };
         let nextParty = state.party || [];
-        const lines = [`**${character.name || 'The hero'} casts ${spell.name}**${slotLevel > spell.level ? ` using a level ${slotLevel} slot` : ''}${spell.level > 0 ? ` (slots left: ${summarizeSpellSlots(spellSlots)})` : ''}.`];
+        const charged = payment.item && nextInventory.find(item => item.id === payment.item.itemId).charges;
+        const cost = payment.resource
+            ? ` as innate magic at level ${slotLevel} (no spell slot spent)`
+            : charged
+                ? ` from ${payment.item.itemName} (${payment.item.cost} charge${payment.item.cost === 1 ? '' : 's'}; ${charged.max - charged.used}/${charged.max} left)`
+                : `${slotLevel > spell.level ? ` using a level ${slotLevel} slot` : ''}${spell.level > 0 ? ` (slots left: ${summarizeSpellSlots(spellSlots)})` : ''}`;
+        const lines = [`**${character.name || 'The hero'} casts ${spell.name}**${cost}.`];
 
         if (spell.healing) {
             const roll = rollNotation(spellHealingNotation(spell, character, slotLevel), spell.name);
@@ -118,7 +139,7 @@ export const handlers = {
                     : c);
                 lines.push(`${companion.name} recovers **${roll.total}** HP (now ${hp}/${maxHp}). Rolled: ${roll.rolls.join(', ')}${roll.modifier ? ` (+${roll.modifier})` : ''}.`);
             } else {
-                const healed = Math.min(character.maxHP, character.currentHP + roll.total);
+                const healed = Math.min(getHeroMaxHP(character), character.currentHP + roll.total);
                 const gained = healed - character.currentHP;
                 nextCharacter = gained > 0
                     ? reviveCharacter({ ...nextCharacter, currentHP: healed })
@@ -139,18 +160,17 @@ export const handlers = {
                 nextCharacter = { ...nextCharacter, conditions: (nextCharacter.conditions || []).filter(condition => !matches(condition)) };
                 lines.push(removed.length > 0 ? `${character.name || 'The hero'} is cleansed of: ${removed.join(', ')}.` : 'There is no affliction the spell can lift.');
             }
-        } else if (spell.sustained) {
+        } else if (spell.concentration) {
             const released = clearSustainedSpellState(nextCharacter, nextParty, state.inventory);
             nextCharacter = released.character;
             nextParty = released.party;
-            const sustained = {
-                key: spell.key,
-                name: spell.name,
+            const sustained = createSpellEffect(spell, {
                 ...(spell.acBonus && { acBonus: spell.acBonus }),
+                ...(spell.resistances && { resistances: [...spell.resistances] }),
                 ...(spell.condition && { condition: spell.condition }),
                 targetType: companion ? 'companion' : 'self',
                 ...(companion && { targetId: companion.id, targetName: companion.name }),
-            };
+            });
             nextCharacter = { ...nextCharacter, sustainedSpell: sustained };
             if (companion) {
                 nextParty = nextParty.map(c => {
@@ -164,7 +184,18 @@ export const handlers = {
                 nextCharacter = withCondition(nextCharacter, spell.condition);
             }
             nextCharacter = { ...nextCharacter, armorClass: computeACFromInventory(state.inventory || [], nextCharacter) };
-            lines.push(`It settles over ${companion ? companion.name : (character.name || 'the hero')}${spell.acBonus ? ` (+${spell.acBonus} AC)` : ''} and holds until another sustained spell, a rest, or the end of a fight.`);
+            lines.push(`It settles over ${companion ? companion.name : (character.name || 'the hero')}${describeSpellBuff(spell)} and holds while ${character.name || 'the hero'} concentrates — until another concentration spell, a rest, or the end of a fight.`);
+        } else if (spell.duration && !companion) {
+            // A timed buff without concentration (Mage Armor) rides the hero's effects list.
+            nextCharacter = {
+                ...nextCharacter,
+                activeEffects: upsertEffect(nextCharacter.activeEffects, createSpellEffect(spell, {
+                    ...(spell.acBonus && { acBonus: spell.acBonus }),
+                    ...(spell.resistances && { resistances: [...spell.resistances] }),
+                })),
+            };
+            nextCharacter = { ...nextCharacter, armorClass: computeACFromInventory(state.inventory || [], nextCharacter) };
+            lines.push(`It settles over ${character.name || 'the hero'}${describeSpellBuff(spell)} — no concentration needed; it lasts ${describeRoundsLeft(spellDurationRounds(spell)).replace(/ left$/, '')}.`);
         } else if (spell.stabilizes) {
             lines.push(`${companion ? companion.name : 'The recipient'} is stabilized if dying — no HP restored.`);
         } else {
@@ -175,6 +206,7 @@ export const handlers = {
             ...state,
             character: nextCharacter,
             party: nextParty,
+            ...(payment.item && { inventory: nextInventory }),
             ...(castKey && {
                 recentSpellCasts: rememberLedgerEntry(recentCasts, {
                     sourceId,
@@ -0,0 +1,227 @@
+/**
+ * Overland travel: setting out for a known place, resuming a journey an
+ * encounter interrupted, and turning back. Route planning and the daily dice
+ * live in engine/travel.js; this module spends the provisions, runs the
+ * calendar, and hands the DM a compact journey log to narrate. Under the
+ * survival rules the days on the road re-enter SURVIVAL_UPKEEP with what the
+ * road fed and watered, and a forced march is on offer.
+ */
+import { MINUTES_PER_DAY } from '../../engine/calendar.js';
+import { countProvisions, planJourney, rollTravelDay } from '../../engine/travel.js';
+import { isSurvivalEnabled } from '../../engine/survival.js';
+import { advanceWorldTime, getFrontIntensityBand } from '../../engine/worldTempo.js';
+import { gameReducer } from '../gameReducer.js';
+import { ageTimedMagic, describeTimedMagic, spendProvisions, systemMessage } from './shared.js';
+
+// Journey lines reach the DM's history window (buildMessageWindow) like
+// downtime lines: the engine settled the days without a DM turn.
+function journeyMessage(content, extra = {}) {
+    return systemMessage(content, { journeyLine: true, ...extra });
+}
+
+function refuse(state, content) {
+    return { ...state, messages: [...state.messages, systemMessage(content)] };
+}
+
+function journeyBlocker(state) {
+    if (state.character?.isDead) return 'The dead make no journeys.';
+    if (state.combat?.active) return 'There is no setting out in the middle of a fight.';
+    return '';
+}
+
+/** The hero plus every companion still standing eats. */
+function countTravelers(state) {
+    return 1 + (state.party || []).filter(companion => companion && companion.status !== 'dead').length;
+}
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+/**
+ * Walk the journey's remaining legs until it arrives or the road throws an
+ * encounter. Each leg is a day — two when navigation fails, unless a forced
+ * march pushes on — and every day eats a ration per traveler unless the
+ * forage held; every night burns a torch while any are left.
+ */
+function runJourney(state, journey) {
+    const travelers = countTravelers(state);
+    const survival = isSurvivalEnabled(state);
+    const forcedMarch = survival && journey.forcedMarch === true;
+    const survivalDays = [];
+    let inventory = state.inventory;
+    let { legIndex, daysSpent } = journey;
+    let rationsEaten = 0;
+    let torchesBurned = 0;
+    let hungryDays = 0;
+    let lastDayFed = true;
+    let encounter = null;
+    const entries = [];
+
+    while (legIndex < journey.legs.length) {
+        const leg = journey.legs[legIndex];
+        const litCamp = countProvisions(inventory, 'torch') > 0;
+        const day = rollTravelDay(leg, { character: state.character, inventory, litCamp });
+        const pushedOn = !day.navigation.success && forcedMarch;
+        const days = day.navigation.success || pushedOn ? 1 : 2;
+        const parts = [day.navigation.success
+            ? `on course (Survival ${day.navigation.total} vs DC ${day.navigation.dc})`
+            : pushedOn
+                ? `lost the way (Survival ${day.navigation.total} vs DC ${day.navigation.dc}) and force-marched to make it up`
+                : `lost the way (Survival ${day.navigation.total} vs DC ${day.navigation.dc}) and a day with it`];
+
+        // The hero eats first; forage feeds and waters everyone.
+        let heroFedDays = days;
+        if (day.forage.success) {
+            parts.push(`foraged enough (${day.forage.total} vs DC ${day.forage.dc})`);
+            lastDayFed = true;
+        } else {
+            const needed = travelers * days;
+            const eaten = spendProvisions(inventory, 'rations', needed);
+            inventory = eaten.inventory;
+            rationsEaten += eaten.spent;
+            lastDayFed = eaten.spent >= needed;
+            heroFedDays = Math.min(days, eaten.spent);
+            if (!lastDayFed) hungryDays += days;
+            parts.push(lastDayFed
+                ? `foraging failed (${day.forage.total} vs DC ${day.forage.dc}), ${plural(eaten.spent, 'ration')} eaten`
+                : `foraging failed (${day.forage.total} vs DC ${day.forage.dc}) and the rations ran short — hungry`);
+        }
+
+        const burned = spendProvisions(inventory, 'torch', days);
+        inventory = burned.inventory;
+        torchesBurned += burned.spent;
+        if (burned.spent < days) parts.push('a dark camp');
+
+        for (let i = 0; i < days; i += 1) {
+            survivalDays.push({
+                outdoors: true,
+                fed: i < heroFedDays,
+                ...(day.forage.success && { watered: true }),
+                forcedMarch: pushedOn,
+            });
+        }
+
+        const first = daysSpent + 1;
+        daysSpent += days;
+        legIndex += 1;
+        if (day.encounter?.triggered) {
+            encounter = { leg, die: day.encounter.die, threshold: day.encounter.threshold };
+            parts.push('trouble on the road — the journey halts');
+        }
+        entries.push(`Day ${first}${days > 1 ? `–${daysSpent}` : ''}, ${leg.region}: ${parts.join('; ')}.`);
+        if (encounter) break;
+    }
+
+    const daysThisRun = daysSpent - journey.daysSpent;
+    const time = advanceWorldTime(state, daysThisRun * MINUTES_PER_DAY);
+    const aged = ageTimedMagic({ ...state, inventory }, daysThisRun * MINUTES_PER_DAY);
+    const tally = [
+        `${plural(daysThisRun, 'day')} on the road`,
+        rationsEaten > 0 && `${plural(rationsEaten, 'ration')} eaten`,
+        torchesBurned > 0 && `${torchesBurned} torch${torchesBurned === 1 ? '' : 'es'} burned`,
+        hungryDays > 0 && plural(hungryDays, 'hungry day'),
+    ].filter(Boolean).join(', ');
+    const outcome = encounter
+        ? `Halted in ${encounter.leg.region}, short of ${journey.destination}.`
+        : `Arrived at ${journey.destination}.`;
+    const content = `**Journey — ${journey.origin} → ${journey.destination}:** ${entries.length > 0 ? `${entries.join(' ')} ${tally}.` : 'The last stretch passes without incident.'} ${outcome}${describeTimedMagic(aged)}`;
+
+    let next = {
+        ...state,
+        character: aged.character,
+        party: aged.party,
+        inventory: aged.inventory,
+        calendar: time.calendar,
+        fronts: time.fronts,
+        worldTempo: time.advancedFrontIds.length > 0
+            ? {
+                ...state.worldTempo,
+                lastTimeSkip: {
+                    days: time.days,
+                    reason: `the road to ${journey.destination}`,
+                    atMessage: state.messages.length,
+                    frontIds: time.advancedFrontIds,
+                },
+            }
+            : state.worldTempo,
+    };
+
+    if (encounter) {
+        const pressures = (state.fronts || []).filter(front => encounter.leg.frontIds.includes(front.id));
+        const pressureNote = pressures.length > 0
+            ? `. ${pressures.map(front => `${front.title} holds this country — the trouble may be its doing, at most at ${getFrontIntensityBand(front)} intensity`).join('; ')}`
+            : '';
+        const halted = gameReducer({
+            ...next,
+            journey: { ...journey, legIndex, daysSpent, status: 'interrupted' },
+            messages: [...state.messages, journeyMessage(content, {
+                narrationCue: {
+                    type: 'player_mechanic',
+                    mechanic: 'Journey',
+                    actionType: 'journey_encounter',
+                    effect: `${state.character.name}'s journey to ${journey.destination} is interrupted in ${encounter.leg.region} (${encounter.leg.danger} danger)${pressureNote}. Open the encounter: what finds them and where, ending at the moment of contact`,
+                },
+            })],
+        }, { type: 'SURVIVAL_UPKEEP', payload: { days: survivalDays, reason: `the road to ${journey.destination}` } });
+        return halted.character.isDead ? { ...halted, journey: null } : halted;
+    }
+
+    next = {
+        ...next,
+        journey: null,
+        messages: [...state.messages, journeyMessage(content, {
+            narrationCue: {
+                type: 'player_mechanic',
+                mechanic: 'Journey',
+                actionType: 'journey',
+                effect: `${state.character.name} arrives at ${journey.destination} after ${plural(daysSpent, 'day')} on the road${hungryDays > 0 ? ', hungry' : ''}`,
+            },
+        })],
+    };
+    next = gameReducer(next, { type: 'SURVIVAL_UPKEEP', payload: { days: survivalDays, reason: `the road to ${journey.destination}` } });
+    if (next.character.isDead) return next;
+    next = gameReducer(next, { type: 'SET_LOCATION', payload: journey.destination });
+    // The last night on the road was the rest — unless it was a hungry one.
+    return lastDayFed
+        ? gameReducer(next, { type: 'TAKE_REST', payload: 'long', meta: { passesTime: false } })
+        : next;
+}
+
+export const handlers = {
+    START_JOURNEY(state, action) {
+        const blocker = journeyBlocker(state);
+        if (blocker) return refuse(state, blocker);
+        if (state.journey) {
+            return refuse(state, `The road to ${state.journey.destination} is still unfinished — continue or abandon that journey first.`);
+        }
+        const plan = planJourney({
+            locations: state.locations,
+            currentLocation: state.currentLocation,
+            destination: action.payload?.destination,
+            fronts: state.fronts,
+        });
+        if (!plan.ok) return refuse(state, plan.reason);
+        return runJourney(state, { ...plan.journey, forcedMarch: action.payload?.forcedMarch === true });
+    },
+
+    /** Resume a journey once the encounter that halted it is behind the hero. */
+    CONTINUE_JOURNEY(state, action) {
+        if (!state.journey) return state;
+        const blocker = journeyBlocker(state);
+        if (blocker) return refuse(state, blocker);
+        const forcedMarch = typeof action.payload?.forcedMarch === 'boolean' ? action.payload.forcedMarch : state.journey.forcedMarch;
+        return runJourney(state, { ...state.journey, forcedMarch: forcedMarch === true, status: 'traveling' });
+    },
+
+    ABANDON_JOURNEY(state) {
+        const journey = state.journey;
+        if (!journey) return state;
+        return {
+            ...state,
+            journey: null,
+            messages: [
+                ...state.messages,
+                journeyMessage(`**Journey — ${journey.origin} → ${journey.destination}:** abandoned after ${plural(journey.daysSpent, 'day')} on the road.`),
+            ],
+        };
+    },
+};
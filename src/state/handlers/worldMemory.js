@@ -10,6 +10,7 @@ import {
     normalizeStoryMemoryUpdate,
     pickMergedCardText,
 } from '../../engine/storyMemory.js';
+import { calendarStamp } from '../../engine/calendar.js';
 import { gameReducer } from '../gameReducer.js';
 import { sanitizeWorldFactPayload } from './shared.js';
 
@@ -150,9 +151,12 @@ export const handlers = {
     },
 
     ADD_JOURNAL_ENTRY(state, action) {
+        // Entries carry the in-world date they were written on (engine/calendar.js)
+        // unless the payload brings its own.
         const journal = [...state.journal, {
             id: action.payload.id || `journal-${Date.now()}`,
             timestamp: action.payload.timestamp || Date.now(),
+            ...(state.calendar && { calendar: calendarStamp(state.calendar) }),
             ...action.payload,
         }];
         return {
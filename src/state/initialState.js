@@ -18,8 +18,11 @@ export const initialGameState = {
     party: [], // Companions currently traveling with the player
     currentLocation: null,
     locations: [], // Canonical location records (alias-folded) — profiles + front-theater membership for the tempo system
+    merchants: [], // Per-location shops the DM named — engine-owned stock, restock clock and haggle (engine/merchants.js)
     recentEncounters: [], // Last few closed fights (enemies/location/outcome) — variety fatigue + heat input
-    worldTempo: null, // Engine-owned pacing state: the current cadence tempo directive (window, intensity, timing die)
+    worldTempo: null, // Engine-owned pacing state: the current cadence tempo directive (window, intensity, timing die) and the last downtime stretch / time skip echoed to the DM
+    calendar: { elapsedMinutes: 0 }, // Engine-owned world clock (engine/calendar.js) — minutes since 08:00, 1 Seedtide, Year 1; rests, downtime, journeys and time_passed move it
+    journey: null, // A journey an encounter interrupted (engine/travel.js) — legs, progress and days spent, resumed from the Travel panel
     pendingRoleplayCheck: null, // Reload-safe out-of-combat check proposal; no dice exist yet
     appliedLootSourceIds: [], // Message IDs whose gold/item loot has already been applied — prevents double-grant
     recentPurchases: [], // Recent one-shot purchase signatures — prevents cross-turn LLM replays from double-charging
@@ -31,6 +34,7 @@ export const initialGameState = {
     recentChecks: [], // Compact out-of-combat check-proposal ledger — heat input for diceless-but-tense arcs (chases, heists)
     recentSpellCasts: [], // "sourceId|spellKey" replay guard so a re-parsed spell_cast never double-spends a slot
     recentRests: [], // "sourceId|restType|messageIndex" replay guard — a DM re-emitting rest_taken must not re-run the rest
+    recentTimeSkips: [], // "sourceId|minutes|messageIndex" replay guard — a DM re-emitting time_passed must not move the clock twice
     recentHearsay: [], // "deedKey|locationKey|messageIndex" — a hero deed is offered as traveling rumor at a given place only once
     combat: {
         active: false,
@@ -47,6 +51,7 @@ export const initialGameState = {
         resolvedExchangeIds: [],
         surprise: 'none',
         flankedEnemyIds: [], // Enemy ids under a standing flank — the engine keeps applying attack advantage across exchanges until the flank breaks
+        encounter: null, // Encounter-budget grade of this fight (engine/encounterBudget.js) — prompt context and the recentEncounters difficulty
     },
     session: {
         id: null,
@@ -54,6 +59,8 @@ export const initialGameState = {
         createdAt: null,
         lastSaved: null,
         prunedMessageCount: 0, // How many messages have been summarized and excluded from LLM history
+        embeddingSpace: null, // Embedding space (llm/embeddings.js) the campaign's RAG memory was last seeded in
+        multiclassing: false, // Multiclass level-up choice (engine/multiclass.js) — pinned on for new campaigns, off for older ones until switched on
     },
 
     user: {
@@ -67,6 +74,10 @@ export const initialGameState = {
         apiKey: '',
         geminiApiKey: '', // Gemini machinery key (RAG/Scribe/journal) — required when the DM provider is not Gemini
         imageApiKey: '', // xAI (Grok) key for scene-art image generation — separate from the chat key
+        localBaseUrl: '', // OpenAI-compatible root of a local model server (blank = Ollama's default) — 'local' provider only
+        localMachineryModel: '', // Optional smaller local model for the machinery lanes (blank = the DM model)
+        embeddingProvider: 'auto', // RAG embedder: auto | gemini | openai | local | hashed (llm/embeddings.js)
+        localEmbeddingModel: '', // Local server embedding model (e.g. nomic-embed-text) — enables 'local' embeddings
         model: 'gemini-3.1-pro-preview',
         preset: 'classicFantasy',
         ruleset: 'simplified5e',
@@ -27,18 +27,21 @@
  * healed the character twice through diverging pipelines and discarded one):
  *   raw save character
  *     → backfillCharacterShape   (missing-field defaults + style/archetype/ASI derivation)
- *     → healCharacterCoreFields  (numeric coercion, ability scores, spell-slot minting, AC recompute)
+ *     → healCharacterCoreFields  (numeric coercion, ability scores, class levels, spell-slot minting, AC recompute)
  *     → replayPendingLevelUps    (banked XP under new thresholds)
  *     → healStrandedDyingSolo    (low-level-solo dying → defeat setback)
  *     → versioned migrations     (currently: Fighter level-bonus retirement notice)
  * Later steps always win over earlier ones; validateSaveState never touches
  * the character.
  */
-import { computeACFromInventory } from '../engine/rules.js';
+import { computeACFromInventory, EXHAUSTION_MAX, getClassLevel, getClassLevels, isMulticlassed } from '../engine/rules.js';
 import { CLASSES } from '../data/classes.js';
+import { normalizeSubrace } from '../data/races.js';
 import { normalizeItem } from '../data/items.js';
+import { sanitizeFeats } from '../data/feats.js';
 import {
     ABILITY_NAMES,
+    buildCharacterResources,
     buildClassResources,
     normalizeAbilityScoreImprovementState,
     normalizeFightingStyle,
@@ -47,7 +50,11 @@ import {
 import { awardExperience, MAX_CHARACTER_LEVEL } from '../engine/progression.js';
 import { normalizeEquippedSlots } from '../engine/equipment.js';
 import { createInitialFronts } from '../engine/fronts.js';
-import { isSpellcaster, sanitizeSpellSlots } from '../engine/spellcasting.js';
+import { buildCharacterSpellSlots, isCharacterSpellcaster } from '../engine/spellcasting.js';
+import { buildHitDice, isMulticlassingEnabled } from '../engine/multiclass.js';
+import { createSpellEffect, sanitizeActiveEffects, upsertEffect } from '../engine/activeEffects.js';
+import { sanitizeDowntimeProject } from '../engine/downtime.js';
+import { SPELLS } from '../data/spells.js';
 import { initialGameState } from './initialState.js';
 import { coverage, tokenSet } from '../engine/textMatch.js';
 import { applyEarlyDefeat, isLowLevelSolo, systemMessage } from './handlers/shared.js';
@@ -188,27 +195,34 @@ function healEquippedSlots(save) {
 
 /**
  * Backfill character fields newer than the save (skill/expertise lists, class
- * resources, hit dice) and re-derive normalized progression state (fighting
+ * and racial resources, hit dice, subrace) and re-derive normalized progression state (fighting
  * style, martial archetype, pending-ASI accounting = earned − applied, which
  * also grants ASIs the save's era never offered).
  */
 function backfillCharacterShape(save) {
     const character = save.character;
     if (!character) return save;
+    // Racial and feat resources (Relentless Endurance, Luck Points) postdate many saves:
+    // missing ones are added fresh, existing counts are never touched.
+    const racialResources = buildClassResources(null, character.level || 1, null, character.abilityScores, character);
     return {
         ...save,
         character: {
             skillProficiencies: [],
             expertiseSkills: [],
-            classResources: character.class ? buildClassResources(character.class, character.level || 1) : {},
+            classResources: character.class ? buildCharacterResources(character, null) : {},
             hitDice: {
                 total: character.level || 1,
                 remaining: character.level || 1,
                 die: CLASSES[character.class]?.hitDie || 8,
             },
             ...character,
+            ...(character.classResources && { classResources: { ...racialResources, ...character.classResources } }),
+            subrace: normalizeSubrace(character.race, character.subrace),
             fightingStyle: normalizeFightingStyle(character.class, character.fightingStyle),
-            martialArchetype: normalizeMartialArchetype(character.class, character.level, character.martialArchetype),
+            martialArchetype: getClassLevel(character, 'fighter') > 0
+                ? normalizeMartialArchetype('fighter', getClassLevel(character, 'fighter'), character.martialArchetype)
+                : normalizeMartialArchetype(character.class, character.level, character.martialArchetype),
             ...normalizeAbilityScoreImprovementState(character),
         },
     };
@@ -245,13 +259,36 @@ function healLoadedCharacter(character) {
         currentHP: Math.min(maxHP, Math.max(0, toInt(character.currentHP, maxHP))),
         abilityScores,
     };
-    if (!isSpellcaster(healed.class)) return healed;
-    const sustained = healed.sustainedSpell && typeof healed.sustainedSpell === 'object' && healed.sustainedSpell.key
+    // Multiclassing (2026-10-19): every hero carries its levels per class.
+    // Saves from before it — and any whose classes do not add up to the
+    // level — become single-classed; a mixed hero's hit dice are re-pooled.
+    if (healed.class) {
+        healed.classLevels = getClassLevels(healed);
+        if (isMulticlassed(healed)) healed.hitDice = buildHitDice(healed);
+    }
+    if (healed.pendingLevelUps !== undefined) {
+        healed.pendingLevelUps = Math.max(0, Math.min(MAX_CHARACTER_LEVEL - level, toInt(healed.pendingLevelUps, 0)));
+    }
+    if (healed.feats !== undefined) healed.feats = sanitizeFeats(healed.feats);
+    if (healed.activeEffects !== undefined) healed.activeEffects = sanitizeActiveEffects(healed.activeEffects);
+    if (healed.downtime !== undefined) healed.downtime = sanitizeDowntimeProject(healed.downtime);
+    // Survival-rules counters (engine/survival.js): whole days, exhaustion 0–6.
+    for (const key of ['exhaustion', 'daysWithoutFood', 'daysWithoutWater', 'waterDays']) {
+        if (healed[key] !== undefined) healed[key] = Math.max(0, Math.min(key === 'exhaustion' ? EXHAUSTION_MAX : 999, toInt(healed[key], 0)));
+    }
+    if (!isCharacterSpellcaster(healed)) return healed;
+    let sustained = healed.sustainedSpell && typeof healed.sustainedSpell === 'object' && healed.sustainedSpell.key
         ? healed.sustainedSpell
         : null;
+    // Mage Armor stopped needing concentration (2026-10-19): a save that still
+    // holds it as the sustained spell moves it onto the hero's timed effects.
+    if (sustained?.key === 'mageArmor') {
+        healed.activeEffects = upsertEffect(healed.activeEffects, createSpellEffect(SPELLS.mageArmor, { acBonus: SPELLS.mageArmor.acBonus }));
+        sustained = null;
+    }
     return {
         ...healed,
-        spellSlots: sanitizeSpellSlots(level, healed.spellSlots),
+        spellSlots: buildCharacterSpellSlots(healed, healed.spellSlots),
         sustainedSpell: sustained,
     };
 }
@@ -276,7 +313,7 @@ function healCharacterCoreFields(save) {
  */
 function replayPendingLevelUps(save) {
     if (!save.character) return save;
-    const result = awardExperience(save.character, 0);
+    const result = awardExperience(save.character, 0, { chooseClass: isMulticlassingEnabled(save) });
     return {
         ...save,
         character: result.character,
@@ -7,10 +7,13 @@ const SETTINGS_KEY = 'rpg-client-settings';
 const DB_NAME = 'rpg-client-saves';
 // v3 (2026-08-04): save payloads split out of the metadata records so listing
 // saves never materializes full campaign states (multi-MB on mature campaigns).
-const DB_VERSION = 3;
+// v4 (2026-10-19): per-turn snapshot stores for save branching, split the same way.
+const DB_VERSION = 4;
 const STORE_NAME = 'saves';
 const PAYLOAD_STORE = 'savePayloads';
 const ROSTER_STORE = 'characters';
+const SNAPSHOT_STORE = 'turnSnapshots';
+const SNAPSHOT_PAYLOAD_STORE = 'turnSnapshotPayloads';
 const AUTOSAVE_SLOT = '__autosave__';
 
 // === LocalStorage (Settings) ===
@@ -94,6 +97,12 @@ function openDB() {
                     cursor.continue();
                 };
             }
+            if (!db.objectStoreNames.contains(SNAPSHOT_STORE)) {
+                db.createObjectStore(SNAPSHOT_STORE, { keyPath: ['sessionId', 'messageCount'] });
+            }
+            if (!db.objectStoreNames.contains(SNAPSHOT_PAYLOAD_STORE)) {
+                db.createObjectStore(SNAPSHOT_PAYLOAD_STORE, { keyPath: ['sessionId', 'messageCount'] });
+            }
         };
     });
 }
@@ -154,6 +163,10 @@ export function buildSaveMetadata(gameState) {
         location: gameState.currentLocation || null,
         questCount: gameState.quests?.filter(q => q.status === 'active')?.length || 0,
         partySize: gameState.party?.length || 0,
+        // Branch lineage (state/saveBranches.js): null on a campaign's original timeline.
+        parentSessionId: gameState.session?.branch?.parentSessionId || null,
+        branchPoint: gameState.session?.branch?.divergedAtTurn ?? null, // the turn it diverged at
+        branchedAt: gameState.session?.branch?.branchedAt || null,
     };
 }
 
@@ -256,6 +269,9 @@ export async function listSaves() {
                     location: s.location,
                     questCount: s.questCount,
                     partySize: s.partySize,
+                    parentSessionId: s.parentSessionId || null,
+                    branchPoint: s.branchPoint ?? null,
+                    branchedAt: s.branchedAt || null,
                     savedAt: s.savedAt,
                     messageCount: s.messageCount,
                 }));
@@ -302,6 +318,108 @@ export async function deleteSave(slotId) {
     });
 }
 
+// === Turn snapshots (save branching — see state/saveBranches.js) ===
+
+/** Snapshots kept per campaign; the oldest are pruned past this. */
+export const MAX_TURN_SNAPSHOTS = 60;
+
+const campaignRange = sessionId => IDBKeyRange.bound([sessionId, 0], [sessionId, Infinity]);
+
+/**
+ * Record the state a campaign was in just before a player turn, keyed by
+ * `[sessionId, messageCount]`. The payload is the serialized state WITHOUT
+ * its messages — the log is append-only, so a branch takes its prefix from
+ * the live campaign (`lastMessageId` proves the prefix is the same timeline).
+ * Metadata and payload commit in one transaction; past MAX_TURN_SNAPSHOTS the
+ * campaign's oldest snapshots go in the same transaction. `before` is the
+ * player's next line, shown in the branch picker. Resolves false instead of
+ * throwing — a missed snapshot only costs one branch point.
+ */
+export async function saveTurnSnapshot(gameState, { before = '' } = {}) {
+    const sessionId = gameState?.session?.id;
+    if (!sessionId) return false;
+    try {
+        const db = await openDB();
+        return await new Promise((resolve) => {
+            const tx = db.transaction([SNAPSHOT_STORE, SNAPSHOT_PAYLOAD_STORE], 'readwrite');
+            const metadata = tx.objectStore(SNAPSHOT_STORE);
+            const payloads = tx.objectStore(SNAPSHOT_PAYLOAD_STORE);
+            const messages = gameState.messages || [];
+            const messageCount = messages.length;
+            const { messages: _messages, ...state } = serializeGameState(gameState);
+
+            metadata.put({
+                sessionId,
+                messageCount,
+                turn: messages.filter(m => m?.role === 'user' && !m.hidden).length + 1,
+                lastMessageId: messages[messageCount - 1]?.id || null,
+                summarizedCount: messages.filter(m => m?.summarized).length,
+                takenAt: Date.now(),
+                location: gameState.currentLocation || null,
+                characterHP: gameState.character?.currentHP || 0,
+                characterMaxHP: gameState.character?.maxHP || 0,
+                before: String(before || '').trim().slice(0, 120),
+            });
+            payloads.put({ sessionId, messageCount, state });
+
+            const keysRequest = metadata.getAllKeys(campaignRange(sessionId));
+            keysRequest.onsuccess = () => {
+                // Keys sort by messageCount, so the excess is the oldest.
+                const excess = keysRequest.result.length - MAX_TURN_SNAPSHOTS;
+                for (const key of keysRequest.result.slice(0, Math.max(0, excess))) {
+                    metadata.delete(key);
+                    payloads.delete(key);
+                }
+            };
+            tx.oncomplete = () => { db.close(); resolve(true); };
+            tx.onabort = () => { db.close(); resolve(false); };
+        });
+    } catch (e) {
+        console.warn('Turn snapshot failed:', e);
+        return false;
+    }
+}
+
+/** One campaign's snapshot metadata, newest turn first. Never reads a payload. */
+export async function listTurnSnapshots(sessionId) {
+    if (!sessionId) return [];
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(SNAPSHOT_STORE, 'readonly');
+        const request = tx.objectStore(SNAPSHOT_STORE).getAll(campaignRange(sessionId));
+        request.onsuccess = () => resolve(request.result.reverse());
+        request.onerror = () => reject(request.error);
+        tx.oncomplete = () => db.close();
+        tx.onabort = () => { db.close(); reject(tx.error || request.error); };
+    });
+}
+
+/** A snapshot's state (no messages), or null when it is gone. */
+export async function loadTurnSnapshot(sessionId, messageCount) {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(SNAPSHOT_PAYLOAD_STORE, 'readonly');
+        const request = tx.objectStore(SNAPSHOT_PAYLOAD_STORE).get([sessionId, messageCount]);
+        request.onsuccess = () => resolve(request.result?.state || null);
+        request.onerror = () => reject(request.error);
+        tx.oncomplete = () => db.close();
+        tx.onabort = () => { db.close(); reject(tx.error || request.error); };
+    });
+}
+
+/** Drop every snapshot of a campaign (its last save was deleted). */
+export async function deleteTurnSnapshots(sessionId) {
+    if (!sessionId) return;
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction([SNAPSHOT_STORE, SNAPSHOT_PAYLOAD_STORE], 'readwrite');
+        tx.objectStore(SNAPSHOT_STORE).delete(campaignRange(sessionId));
+        tx.objectStore(SNAPSHOT_PAYLOAD_STORE).delete(campaignRange(sessionId));
+        tx.oncomplete = () => { db.close(); resolve(); };
+        tx.onabort = () => { db.close(); reject(tx.error); };
+    });
+}
+
 // === Character roster (heroes, not campaigns — see engine/characterVault.js) ===
 
 /**
@@ -4,7 +4,7 @@
  * localStorage stub since the vitest environment here is plain Node.
  */
 import { describe, expect, it, beforeEach } from 'vitest';
-import { IDBFactory } from 'fake-indexeddb';
+import { IDBFactory, IDBKeyRange } from 'fake-indexeddb';
 
 function makeLocalStorageStub() {
     const store = new Map();
@@ -19,6 +19,7 @@ function makeLocalStorageStub() {
 beforeEach(() => {
     // Fresh, empty IndexedDB per test so saves/roster entries don't leak across tests.
     globalThis.indexedDB = new IDBFactory();
+    globalThis.IDBKeyRange = IDBKeyRange; // the turn snapshots' per-campaign ranges
     globalThis.localStorage = makeLocalStorageStub();
 });
 
@@ -35,6 +36,11 @@ const {
     deleteRosterCharacter,
     autoSave,
     loadAutoSave,
+    saveTurnSnapshot,
+    listTurnSnapshots,
+    loadTurnSnapshot,
+    deleteTurnSnapshots,
+    MAX_TURN_SNAPSHOTS,
     SAVE_VERSION,
 } = await import('./persistence.js');
 
@@ -282,6 +288,66 @@ describe('metadata/payload split (DB v3, 2026-08-04)', () => {
     });
 });
 
+describe('turn snapshots (save branching, DB v4)', () => {
+    const campaign = (messages, overrides = {}) => makeGameState({
+        session: { id: 'campaign-1', name: 'The Sundered Coast' },
+        messages,
+        ...overrides,
+    });
+    const told = [
+        { id: 'm1', role: 'assistant', content: 'The troll blocks the bridge.', summarized: true },
+        { id: 'm2', role: 'user', content: 'I greet it.' },
+        { id: 'm3', role: 'assistant', content: 'It grunts.' },
+    ];
+
+    it('keeps branch-point metadata apart from a message-free payload', async () => {
+        expect(await saveTurnSnapshot(campaign(told), { before: 'I charge the troll.' })).toBe(true);
+        const [snapshot] = await listTurnSnapshots('campaign-1');
+        expect(snapshot).toMatchObject({
+            sessionId: 'campaign-1', messageCount: 3, turn: 2, lastMessageId: 'm3', summarizedCount: 1,
+            location: 'Oakhaven', characterHP: 20, characterMaxHP: 25, before: 'I charge the troll.',
+        });
+        const state = await loadTurnSnapshot('campaign-1', 3);
+        expect(state.messages).toBeUndefined();
+        expect(state.character.name).toBe('Astra');
+        expect(state.settings.apiKey).toBeUndefined();
+        expect(await loadTurnSnapshot('campaign-1', 99)).toBeNull();
+    });
+
+    it('lists one campaign newest turn first and prunes the oldest past the cap', async () => {
+        for (let count = 1; count <= MAX_TURN_SNAPSHOTS + 2; count += 1) {
+            await saveTurnSnapshot(campaign(Array.from({ length: count }, (_, i) => ({ id: `m${i}`, role: 'assistant', content: '…' }))));
+        }
+        await saveTurnSnapshot(campaign(told, { session: { id: 'campaign-2' } }));
+        const snapshots = await listTurnSnapshots('campaign-1');
+        expect(snapshots).toHaveLength(MAX_TURN_SNAPSHOTS);
+        expect(snapshots[0].messageCount).toBe(MAX_TURN_SNAPSHOTS + 2);
+        expect(snapshots.at(-1).messageCount).toBe(3);
+        expect(await loadTurnSnapshot('campaign-1', 2)).toBeNull();
+        expect(await listTurnSnapshots('campaign-2')).toHaveLength(1);
+    });
+
+    it('skips campaigns without an id and deletes one campaign\'s snapshots whole', async () => {
+        expect(await saveTurnSnapshot(campaign(told, { session: { id: null } }))).toBe(false);
+        await saveTurnSnapshot(campaign(told));
+        await saveTurnSnapshot(campaign(told, { session: { id: 'campaign-2' } }));
+        await deleteTurnSnapshots('campaign-1');
+        expect(await listTurnSnapshots('campaign-1')).toEqual([]);
+        expect(await loadTurnSnapshot('campaign-1', 3)).toBeNull();
+        expect(await listTurnSnapshots('campaign-2')).toHaveLength(1);
+    });
+
+    it('stamps a branch\'s lineage into its save metadata', async () => {
+        await saveGame('slot-branch', makeGameState({
+            session: { id: 'campaign-b', name: 'Second Try', branch: { parentSessionId: 'campaign-1', divergedAtMessage: 3, divergedAtTurn: 2, branchedAt: 5 } },
+        }));
+        await saveGame('slot-root', makeGameState({ session: { id: 'campaign-1' } }));
+        const saves = await listSaves();
+        expect(saves.find(s => s.slotId === 'slot-branch')).toMatchObject({ parentSessionId: 'campaign-1', branchPoint: 2, branchedAt: 5 });
+        expect(saves.find(s => s.slotId === 'slot-root')).toMatchObject({ parentSessionId: null, branchPoint: null, branchedAt: null });
+    });
+});
+
 describe('character roster', () => {
     function makeHero(overrides = {}) {
         return { id: 'hero-1', name: 'Astra', race: 'human', class: 'fighter', level: 3, ...overrides };
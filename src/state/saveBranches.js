@@ -0,0 +1,146 @@
+/**
+ * Save branching — go back to a turn and play it again without losing the
+ * original timeline (DECISIONS.md 2026-10-19).
+ *
+ * A branch is rebuilt from a turn snapshot (persistence.js saveTurnSnapshot:
+ * the state just before a player turn, minus the append-only message log)
+ * plus the live campaign's messages up to that point. It becomes a campaign
+ * of its own — fresh session id, its own saves, autosave and memories — that
+ * remembers where it came from in `session.branch`. The save list nests
+ * branches under their parent campaign by that link.
+ *
+ * Replaying actions through the reducer was not an option: nothing records
+ * the action log, and the reducers roll dice, so a replay would not
+ * reproduce the timeline it claims to.
+ */
+
+/**
+ * The snapshots that lie on this log: the message a snapshot ended on must
+ * still be at the same index. Any rewrite of the log since (a combat exchange
+ * retelling its tail) drops the snapshots that ended inside it.
+ */
+export function branchPointsFor(snapshots, messages) {
+    const log = messages || [];
+    return (snapshots || []).filter(snapshot => {
+        if (!Number.isInteger(snapshot?.messageCount) || snapshot.messageCount > log.length) return false;
+        if (snapshot.messageCount === 0) return !snapshot.lastMessageId;
+        return log[snapshot.messageCount - 1]?.id === snapshot.lastMessageId;
+    });
+}
+
+/** The branch picker's label for a snapshot. */
+export function describeBranchPoint(snapshot) {
+    const before = snapshot.before
+        ? ` — before “${snapshot.before.length > 60 ? `${snapshot.before.slice(0, 60)}…` : snapshot.before}”`
+        : '';
+    return `Turn ${snapshot.turn}${snapshot.location ? ` · ${snapshot.location}` : ''}${before}`;
+}
+
+/**
+ * Rebuild the game state at a branch point as a new campaign. `snapshotState`
+ * is loadTurnSnapshot's payload, `snapshot` its metadata, `messages` the live
+ * log the snapshot was taken on. Messages summarized only after the branch
+ * point are un-marked, so the branch re-summarizes them on its own schedule.
+ */
+export function buildBranchState({ snapshotState, snapshot, messages, parentSession, name, now = Date.now() }) {
+    const summarizedCount = snapshot.summarizedCount || 0;
+    const branchMessages = (messages || []).slice(0, snapshot.messageCount).map((message, index) => {
+        if (index < summarizedCount || !message?.summarized) return message;
+        const { summarized: _summarized, ...rest } = message;
+        return rest;
+    });
+    return {
+        ...snapshotState,
+        messages: branchMessages,
+        session: {
+            ...snapshotState.session,
+            id: `session-${now}`,
+            name: String(name || '').trim() || `${parentSession?.name || 'Campaign'} (turn ${snapshot.turn})`,
+            prunedMessageCount: summarizedCount,
+            updatedAt: new Date(now).toISOString(),
+            branch: {
+                parentSessionId: parentSession?.id || null,
+                parentName: parentSession?.name || '',
+                divergedAtMessage: snapshot.messageCount,
+                divergedAtTurn: snapshot.turn,
+                branchedAt: now,
+            },
+        },
+    };
+}
+
+/** The parent's memory rows a branch inherits: those embedded by the branch point. */
+export function branchMemoryRows(rows, snapshot) {
+    return (rows || []).filter(row => Number.isFinite(row?.timestamp) && row.timestamp <= snapshot.takenAt);
+}
+
+/**
+ * Order a save list as a branch tree: each campaign's saves (newest first),
+ * then the campaigns branched from it, ordered by where they diverged, one
+ * level deeper. Returns `[{ save, depth, forksFrom }]`, where `forksFrom` is
+ * set on a branch campaign's first row: `{ parentName, branchPoint }`.
+ * A branch whose parent has no save left stands at the top level.
+ */
+export function buildSaveTree(saves) {
+    const campaigns = new Map();
+    for (const save of saves || []) {
+        const key = save.sessionId || `slot:${save.slotId}`;
+        if (!campaigns.has(key)) campaigns.set(key, []);
+        campaigns.get(key).push(save);
+    }
+    const children = new Map();
+    const roots = [];
+    for (const [key, group] of campaigns) {
+        const parent = group[0].parentSessionId;
+        if (parent && parent !== key && campaigns.has(parent)) {
+            if (!children.has(parent)) children.set(parent, []);
+            children.get(parent).push(key);
+        } else {
+            roots.push(key);
+        }
+    }
+
+    const rows = [];
+    const placed = new Set();
+    const place = (key, depth) => {
+        if (placed.has(key)) return;
+        placed.add(key);
+        const group = campaigns.get(key);
+        const parentName = campaigns.get(group[0].parentSessionId)?.[0]?.name || null;
+        group.forEach((save, index) => rows.push({
+            save,
+            depth,
+            forksFrom: index === 0 && save.parentSessionId ? { parentName, branchPoint: save.branchPoint } : null,
+        }));
+        const branches = [...(children.get(key) || [])].sort((a, b) => (
+            (campaigns.get(a)[0].branchPoint ?? 0) - (campaigns.get(b)[0].branchPoint ?? 0)
+            || (campaigns.get(a)[0].branchedAt || 0) - (campaigns.get(b)[0].branchedAt || 0)
+        ));
+        for (const branch of branches) place(branch, depth + 1);
+    };
+    for (const key of roots) place(key, 0);
+    // A parent cycle (hand-edited saves) has no root; list it flat rather than lose it.
+    for (const key of campaigns.keys()) place(key, 0);
+    return rows;
+}
+
+const journalKey = entry => entry?.id || `${entry?.timestamp}|${entry?.summary}`;
+
+const readableEntries = journal => (Array.isArray(journal) ? journal : []).filter(entry => typeof entry?.summary === 'string');
+
+/**
+ * Line two timelines' journals up: the entries both share (written before
+ * they diverged) and the ones only each side has, in journal order. Takes
+ * raw save payloads' journals, so unreadable entries are skipped.
+ */
+export function compareBranchJournals(journalA, journalB) {
+    const a = readableEntries(journalA);
+    const b = readableEntries(journalB);
+    const keysA = new Set(a.map(journalKey));
+    const keysB = new Set(b.map(journalKey));
+    return {
+        shared: a.filter(entry => keysB.has(journalKey(entry))),
+        onlyA: a.filter(entry => !keysB.has(journalKey(entry))),
+        onlyB: b.filter(entry => !keysA.has(journalKey(entry))),
+    };
+}
@@ -0,0 +1,100 @@
+/**
+ * Tests for save branching: which snapshots lie on the live timeline, the
+ * rebuilt branch state, the save tree and the journal comparison.
+ */
+import { describe, expect, it } from 'vitest';
+import { branchMemoryRows, branchPointsFor, buildBranchState, buildSaveTree, compareBranchJournals, describeBranchPoint } from './saveBranches.js';
+
+const messages = [
+    { id: 'm1', role: 'assistant', content: 'The troll blocks the bridge.', summarized: true },
+    { id: 'm2', role: 'user', content: 'I greet it.', summarized: true },
+    { id: 'm3', role: 'assistant', content: 'It grunts.', summarized: true },
+    { id: 'm4', role: 'user', content: 'I charge the troll.' },
+    { id: 'm5', role: 'assistant', content: 'The fight goes badly.' },
+];
+
+const snapshot = { sessionId: 'campaign-1', messageCount: 3, turn: 2, lastMessageId: 'm3', summarizedCount: 1, takenAt: 100, location: 'Troll Bridge', before: 'I charge the troll.' };
+
+describe('branchPointsFor', () => {
+    it('keeps only snapshots whose last message is still in place', () => {
+        const points = branchPointsFor([
+            snapshot,
+            { ...snapshot, messageCount: 2, lastMessageId: 'rewritten' },
+            { ...snapshot, messageCount: 9, lastMessageId: 'm9' },
+            { ...snapshot, messageCount: 0, lastMessageId: null },
+        ], messages);
+        expect(points.map(p => p.messageCount)).toEqual([3, 0]);
+    });
+
+    it('labels a branch point by turn, place and the line that followed', () => {
+        expect(describeBranchPoint(snapshot)).toBe('Turn 2 · Troll Bridge — before “I charge the troll.”');
+        expect(describeBranchPoint({ turn: 1 })).toBe('Turn 1');
+    });
+});
+
+describe('buildBranchState', () => {
+    it('rebuilds the state at the branch point as a new linked campaign', () => {
+        const snapshotState = { character: { name: 'Astra', currentHP: 20 }, session: { id: 'campaign-1', name: 'The Bridge', premise: 'A toll.' } };
+        const branch = buildBranchState({ snapshotState, snapshot, messages, parentSession: { id: 'campaign-1', name: 'The Bridge' }, name: '', now: 500 });
+        expect(branch.character.currentHP).toBe(20);
+        expect(branch.messages.map(m => m.id)).toEqual(['m1', 'm2', 'm3']);
+        // Summarized only after the branch point: the branch re-summarizes it.
+        expect(branch.messages.map(m => Boolean(m.summarized))).toEqual([true, false, false]);
+        expect(branch.session).toMatchObject({
+            id: 'session-500',
+            name: 'The Bridge (turn 2)',
+            premise: 'A toll.',
+            prunedMessageCount: 1,
+            branch: { parentSessionId: 'campaign-1', parentName: 'The Bridge', divergedAtMessage: 3, divergedAtTurn: 2, branchedAt: 500 },
+        });
+        expect(buildBranchState({ snapshotState, snapshot, messages, parentSession: {}, name: ' Second Try ' }).session.name).toBe('Second Try');
+    });
+
+    it('inherits only the memories embedded by the branch point', () => {
+        const rows = [{ text: 'old', timestamp: 50 }, { text: 'future', timestamp: 150 }, { text: 'undated' }];
+        expect(branchMemoryRows(rows, snapshot).map(r => r.text)).toEqual(['old']);
+    });
+});
+
+describe('buildSaveTree', () => {
+    it('nests branches under their parent campaign in divergence order', () => {
+        const saves = [
+            { slotId: 'b2', sessionId: 'late', name: 'Late Branch', parentSessionId: 'root', branchPoint: 9 },
+            { slotId: 'r2', sessionId: 'root', name: 'Root Newer' },
+            { slotId: 'g1', sessionId: 'grand', name: 'Grandchild', parentSessionId: 'early', branchPoint: 4 },
+            { slotId: 'b1', sessionId: 'early', name: 'Early Branch', parentSessionId: 'root', branchPoint: 3 },
+            { slotId: 'r1', sessionId: 'root', name: 'Root Older' },
+            { slotId: 'o1', sessionId: 'orphan', name: 'Orphan', parentSessionId: 'deleted', branchPoint: 2 },
+            { slotId: 'legacy', sessionId: null, name: 'Legacy' },
+        ];
+        const tree = buildSaveTree(saves);
+        expect(tree.map(({ save, depth }) => [save.slotId, depth])).toEqual([
+            ['r2', 0], ['r1', 0], ['b1', 1], ['g1', 2], ['b2', 1], ['o1', 0], ['legacy', 0],
+        ]);
+        expect(tree.find(row => row.save.slotId === 'b1').forksFrom).toEqual({ parentName: 'Root Newer', branchPoint: 3 });
+        expect(tree.find(row => row.save.slotId === 'o1').forksFrom).toEqual({ parentName: null, branchPoint: 2 });
+        expect(tree.find(row => row.save.slotId === 'r1').forksFrom).toBeNull();
+    });
+
+    it('lists a parent cycle flat instead of losing it', () => {
+        const tree = buildSaveTree([
+            { slotId: 'a', sessionId: 'A', parentSessionId: 'B' },
+            { slotId: 'b', sessionId: 'B', parentSessionId: 'A' },
+        ]);
+        expect(tree.map(row => row.save.slotId).sort()).toEqual(['a', 'b']);
+    });
+});
+
+describe('compareBranchJournals', () => {
+    it('splits two journals into shared entries and each timeline\'s own', () => {
+        const shared = { id: 'j1', summary: 'Astra reached the bridge.' };
+        const { shared: both, onlyA, onlyB } = compareBranchJournals(
+            [shared, { id: 'j2', summary: 'Astra fell to the troll.' }],
+            [shared, { id: 'j3', summary: 'Astra paid the toll.' }, { id: 'j4', summary: 42 }],
+        );
+        expect(both).toEqual([shared]);
+        expect(onlyA.map(e => e.id)).toEqual(['j2']);
+        expect(onlyB.map(e => e.id)).toEqual(['j3']);
+        expect(compareBranchJournals(null, undefined)).toEqual({ shared: [], onlyA: [], onlyB: [] });
+    });
+});
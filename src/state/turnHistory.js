@@ -0,0 +1,85 @@
+/**
+ * Turn undo / redo stacks (DECISIONS.md 2026-10-19). The turn runner
+ * (llm/turnOrchestrator.js) captures the whole game state before each player
+ * turn; undoing restores it, so the turn's damage, coin, clocks and replay
+ * ledgers (recentPurchases, recentCoinGrants, recentSpellCasts, …) all roll
+ * back together — they are ordinary state fields.
+ *
+ * States are the reducer's own immutable objects, so an entry costs only the
+ * fields the turn changed. Stacks are bounded and in-memory: one mount of the
+ * chat is one campaign, and a reload starts with no history.
+ */
+
+/** How many turns can be undone in a row. */
+export const MAX_UNDO_TURNS = 10;
+
+/** Does `later`'s message log extend `earlier`'s (same campaign, same prefix, longer)? */
+export function extendsTimeline(earlier, later) {
+    if (!earlier || !later || earlier.session?.id !== later.session?.id) return false;
+    const before = earlier.messages || [];
+    const after = later.messages || [];
+    if (after.length <= before.length) return false;
+    return !before.length || after[before.length - 1]?.id === before[before.length - 1]?.id;
+}
+
+/**
+ * Entries are `{ state, playerMessage, takenAt, memories }` — `takenAt` marks
+ * where the turn's RAG rows begin; `memories` holds the rows an undo took back,
+ * for its redo. `undo(live)` and `redo(live)` return the entry to restore, or
+ * null when there is none that fits the live state: a stack that no longer
+ * matches (a save was loaded over the campaign) is dropped whole.
+ */
+export function createTurnHistory({ limit = MAX_UNDO_TURNS } = {}) {
+    let undoStack = [];
+    let redoStack = [];
+
+    return {
+        /** Record the state before a new turn. A new turn ends the redo line. */
+        capture(state, { playerMessage = '', takenAt = Date.now() } = {}) {
+            undoStack = [...undoStack, { state, playerMessage, takenAt, memories: [] }].slice(-limit);
+            redoStack = [];
+        },
+
+        undo(live) {
+            const entry = undoStack.at(-1);
+            if (!entry) return null;
+            if (!extendsTimeline(entry.state, live)) {
+                undoStack = [];
+                redoStack = [];
+                return null;
+            }
+            undoStack = undoStack.slice(0, -1);
+            return entry;
+        },
+
+        /** Keep the state an undo left, so redo can return to it. */
+        pushRedo(entry) {
+            redoStack = [...redoStack, entry].slice(-limit);
+        },
+
+        redo(live) {
+            const entry = redoStack.at(-1);
+            if (!entry) return null;
+            if (!extendsTimeline(live, entry.state)) {
+                redoStack = [];
+                return null;
+            }
+            redoStack = redoStack.slice(0, -1);
+            return entry;
+        },
+
+        /** Put a redone turn's starting state back on the undo stack. */
+        pushUndo(entry) {
+            undoStack = [...undoStack, entry].slice(-limit);
+        },
+
+        /** The last undoable turn's player line, and how deep each stack is. */
+        describe() {
+            return {
+                undoCount: undoStack.length,
+                redoCount: redoStack.length,
+                lastPlayerMessage: undoStack.at(-1)?.playerMessage || '',
+            };
+        },
+    };
+}
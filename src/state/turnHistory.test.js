@@ -0,0 +1,55 @@
+/**
+ * Tests for the turn undo/redo stacks: bounds, the redo line, and the
+ * timeline checks that drop history a load has made meaningless.
+ */
+import { describe, expect, it } from 'vitest';
+import { createTurnHistory, extendsTimeline } from './turnHistory.js';
+
+const message = id => ({ id, role: 'assistant', content: id });
+const at = (...ids) => ({ session: { id: 'campaign-1' }, messages: ids.map(message) });
+
+describe('extendsTimeline', () => {
+    it('is true only for a longer log over the same prefix of the same campaign', () => {
+        expect(extendsTimeline(at('m1'), at('m1', 'm2'))).toBe(true);
+        expect(extendsTimeline(at(), at('m1'))).toBe(true);
+        expect(extendsTimeline(at('m1'), at('m1'))).toBe(false);
+        expect(extendsTimeline(at('m1'), at('x1', 'm2'))).toBe(false);
+        expect(extendsTimeline(at('m1'), { ...at('m1', 'm2'), session: { id: 'campaign-2' } })).toBe(false);
+    });
+});
+
+describe('createTurnHistory', () => {
+    it('undoes newest first and keeps at most `limit` turns', () => {
+        const history = createTurnHistory({ limit: 2 });
+        history.capture(at(), { playerMessage: 'one', takenAt: 1 });
+        history.capture(at('m1'), { playerMessage: 'two', takenAt: 2 });
+        history.capture(at('m1', 'm2'), { playerMessage: 'three', takenAt: 3 });
+        expect(history.describe()).toEqual({ undoCount: 2, redoCount: 0, lastPlayerMessage: 'three' });
+        expect(history.undo(at('m1', 'm2', 'm3')).playerMessage).toBe('three');
+        expect(history.undo(at('m1', 'm2')).playerMessage).toBe('two');
+        expect(history.undo(at('m1'))).toBeNull();
+    });
+
+    it('redoes only onto the state it was undone from, and a new turn ends the redo line', () => {
+        const history = createTurnHistory();
+        history.capture(at('m1'), { playerMessage: 'go' });
+        history.undo(at('m1', 'm2'));
+        history.pushRedo({ state: at('m1', 'm2'), playerMessage: 'go', takenAt: 1, memories: [] });
+        expect(history.redo(at('x1'))).toBeNull();
+        expect(history.describe().redoCount).toBe(0);
+
+        history.pushRedo({ state: at('m1', 'm2'), playerMessage: 'go', takenAt: 1, memories: [] });
+        expect(history.redo(at('m1')).state.messages).toHaveLength(2);
+        history.pushRedo({ state: at('m1', 'm2'), playerMessage: 'go', takenAt: 1, memories: [] });
+        history.capture(at('m1'), { playerMessage: 'another way' });
+        expect(history.describe()).toMatchObject({ undoCount: 1, redoCount: 0 });
+    });
+
+    it('drops a stack the live state no longer extends', () => {
+        const history = createTurnHistory();
+        history.capture(at('m1'), { playerMessage: 'a' });
+        history.capture(at('m1', 'm2'), { playerMessage: 'b' });
+        expect(history.undo(at('other'))).toBeNull();
+        expect(history.describe()).toEqual({ undoCount: 0, redoCount: 0, lastPlayerMessage: '' });
+    });
+});